@@ -12,6 +12,8 @@
  * - No breaking changes to frontend - identical response shapes
  */
 
+import { detectRemotePolicy, normalizeSeniority, parseSalaryText } from '../postingExtractors/normalize.js';
+
 /**
  * Mock response for resume match analysis
  * @param {string} jobTitle - Job title for personalization
@@ -153,3 +155,57 @@ export function getMockResumeImprovement(originalBullets = [], jobTitle = 'Softw
   };
 }
 
+
+// Skills the mock requirements extraction recognizes (matched case-insensitively)
+const MOCK_KNOWN_SKILLS = [
+  'JavaScript', 'TypeScript', 'Node.js', 'React', 'Vue', 'Angular', 'Next.js', 'Python', 'Django',
+  'Java', 'Spring', 'Kotlin', 'Swift', 'Ruby', 'Rails', 'PHP', 'C#', '.NET', 'C++', 'Rust', 'Golang',
+  'SQL', 'PostgreSQL', 'MySQL', 'MongoDB', 'Redis', 'GraphQL', 'AWS', 'Azure', 'GCP', 'Docker',
+  'Kubernetes', 'Terraform', 'CI/CD', 'Git', 'Linux', 'Kafka', 'Machine Learning', 'Figma', 'Excel',
+  'Tableau', 'Power BI', 'Agile', 'Scrum',
+];
+
+// Headings after which skills are preferred rather than required
+const MOCK_NICE_TO_HAVE_HEADING = /nice[ -]to[ -]have|preferred|bonus points|is a plus|would be a plus/i;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Mock response for job requirements extraction
+ * Reads the description with simple keyword rules instead of a model, so
+ * the stored fields still reflect the application's own description.
+ * @param {string} jobDescription - Job description text
+ * @param {string} jobTitle - Job title (seniority hint)
+ * @returns {Object} Mock extracted requirements
+ */
+export function getMockJobRequirements(jobDescription = '', jobTitle = 'Software Engineer') {
+  const lines = jobDescription.split(/\n+/).map((line) => line.trim()).filter(Boolean);
+  const niceIndex = lines.findIndex((line) => MOCK_NICE_TO_HAVE_HEADING.test(line));
+  const requiredText = (niceIndex === -1 ? lines : lines.slice(0, niceIndex)).join('\n');
+  const niceText = niceIndex === -1 ? '' : lines.slice(niceIndex).join('\n');
+
+  const mentions = (text, skill) =>
+    new RegExp(`(?<![\\w.#+])${escapeRegExp(skill)}(?![\\w#+])`, 'i').test(text);
+  const requiredSkills = MOCK_KNOWN_SKILLS.filter((skill) => mentions(requiredText, skill));
+  const niceToHaveSkills = MOCK_KNOWN_SKILLS.filter(
+    (skill) => !requiredSkills.includes(skill) && mentions(niceText, skill)
+  );
+
+  const years = jobDescription.match(/(\d{1,2})\s*\+?\s*(?:(?:-|–|to)\s*\d{1,2}\s*)?years?/i);
+  const salaryLine = lines.find((line) => /salary|compensation|pay range|base pay/i.test(line) && /\d/.test(line));
+  // "Hybrid" anywhere wins over a "Remote - EU" location line
+  const workplaceText = lines.filter((line) => detectRemotePolicy(line)).join(' ');
+  const locationLine = lines.find((line) => /^locations?\s*:/i.test(line));
+
+  return {
+    requiredSkills,
+    niceToHaveSkills,
+    yearsOfExperience: years ? Number(years[1]) : null,
+    salary: salaryLine ? parseSalaryText(salaryLine) : null,
+    locations: locationLine
+      ? locationLine.replace(/^locations?\s*:/i, '').split(/;|\s+or\s+/).map((location) => location.trim())
+      : [],
+    remotePolicy: detectRemotePolicy(workplaceText),
+    seniority: normalizeSeniority(jobTitle),
+  };
+}
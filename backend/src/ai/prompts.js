@@ -21,7 +21,7 @@
  * 
  * Why: Analyzes how well a user's resume matches a job description.
  * This prompt:
- * - Compares resume summary with job requirements
+ * - Compares the resume with job requirements
  * - Identifies strengths and gaps
  * - Provides a match score (0-100)
  * - Suggests improvements
@@ -32,18 +32,25 @@
  * - Specific scoring criteria (0-100 scale)
  * - Actionable suggestions (not just analysis)
  */
-export function getResumeMatchPrompt(resumeSummary, jobDescription, jobTitle, company) {
+export function getResumeMatchPrompt(resumeText, jobDescription, jobTitle, company, requirements = {}) {
+  // Requirements extracted earlier (AI requirements task or entered by hand)
+  const requirementLines = [
+    requirements.requiredSkills?.length ? `- Required Skills: ${requirements.requiredSkills.join(', ')}` : '',
+    requirements.niceToHaveSkills?.length ? `- Nice-to-have Skills: ${requirements.niceToHaveSkills.join(', ')}` : '',
+    requirements.yearsOfExperience != null ? `- Minimum Years of Experience: ${requirements.yearsOfExperience}` : '',
+  ].filter(Boolean);
+
   return `You are a professional career advisor specializing in resume optimization and job matching.
 
 Your task is to analyze how well a candidate's resume matches a specific job description and provide actionable feedback.
 
-RESUME SUMMARY:
-${resumeSummary || 'No resume summary provided.'}
+RESUME:
+${resumeText || 'No resume provided.'}
 
 JOB DETAILS:
 - Company: ${company}
 - Position: ${jobTitle}
-- Job Description: ${jobDescription}
+${requirementLines.length > 0 ? `${requirementLines.join('\n')}\n` : ''}- Job Description: ${jobDescription}
 
 Please analyze the match and provide your response in the following JSON format:
 {
@@ -80,13 +87,13 @@ Provide your response as valid JSON only, no additional text.`;
  * - Actionable advice (not generic tips)
  * - Resume integration (connect resume to job requirements)
  */
-export function getInterviewPrepPrompt(resumeSummary, jobDescription, jobTitle, company) {
+export function getInterviewPrepPrompt(resumeText, jobDescription, jobTitle, company) {
   return `You are an expert interview coach specializing in technical and professional interviews.
 
 Your task is to provide personalized interview preparation tips for a candidate applying to a specific role.
 
 CANDIDATE BACKGROUND:
-${resumeSummary || 'No resume summary provided.'}
+${resumeText || 'No resume provided.'}
 
 JOB DETAILS:
 - Company: ${company}
@@ -154,3 +161,49 @@ Guidelines:
 Provide your response as valid JSON only, no additional text.`;
 }
 
+
+/**
+ * Job Requirements Extraction Prompt
+ * 
+ * Why: Turns a pasted job description into structured fields that can be
+ * filtered on and compared with a resume.
+ * This prompt:
+ * - Separates required skills from nice-to-haves
+ * - Reads the minimum years of experience, salary range and locations
+ * - Maps remote policy and seniority onto the application's fixed values
+ * 
+ * Prompt Design:
+ * - Extraction, not advice: only facts stated in the description
+ * - null for anything not stated, so guesses never overwrite real data
+ * - Allowed values listed inline for the enum fields
+ */
+export function getJobRequirementsPrompt(jobDescription, jobTitle, company, allowedValues) {
+  return `You are a recruiting analyst who reads job descriptions and records their requirements as structured data.
+
+Your task is to extract the requirements stated in a job description.
+
+JOB DETAILS:
+- Company: ${company}
+- Position: ${jobTitle}
+- Job Description: ${jobDescription}
+
+Please provide the extracted requirements in the following JSON format:
+{
+  "requiredSkills": [<array of skills, tools or technologies the job requires>],
+  "niceToHaveSkills": [<array of skills listed as preferred, a plus or a bonus>],
+  "yearsOfExperience": <minimum years of experience required as a number, or null>,
+  "salary": {"min": <number or null>, "max": <number or null>, "currency": "<3-letter ISO code>", "period": "<${allowedValues.salaryPeriods.join(' | ')}>"} or null,
+  "locations": [<array of work locations, e.g. "Berlin, Germany" or "Remote - US">],
+  "remotePolicy": "<${allowedValues.remotePolicies.join(' | ')}>" or null,
+  "seniority": "<${allowedValues.seniorityLevels.join(' | ')}>" or null
+}
+
+Guidelines:
+- Only extract what the description states: use null or [] for anything it does not mention
+- Skills: short names ("React", "PostgreSQL", "Stakeholder management"), no sentences, no duplicates
+- Years of experience: the lowest number mentioned for the role ("5+ years" = 5, "3-5 years" = 3)
+- Salary: amounts as plain numbers in the posted currency; monthly, weekly or daily pay converted to a yearly amount with period "annual"
+- Seniority: judge from the title and the stated expectations; null if unclear
+
+Provide your response as valid JSON only, no additional text.`;
+}
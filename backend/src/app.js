@@ -4,10 +4,21 @@ import cookieParser from 'cookie-parser';
 import config from './config/index.js';
 import authRoutes from './routes/auth.routes.js';
 import jobApplicationRoutes from './routes/jobApplication.routes.js';
+import interviewRoundRoutes from './routes/interviewRound.routes.js';
 import analyticsRoutes from './routes/analytics.routes.js';
 import aiRoutes from './routes/ai.routes.js';
 import reminderRoutes from './routes/reminder.routes.js';
+import pipelineRoutes from './routes/pipeline.routes.js';
+import savedViewRoutes from './routes/savedView.routes.js';
+import tagRoutes from './routes/tag.routes.js';
+import companyRoutes from './routes/company.routes.js';
+import contactRoutes from './routes/contact.routes.js';
+import offerRoutes from './routes/offer.routes.js';
+import documentRoutes from './routes/document.routes.js';
+import resumeRoutes from './routes/resume.routes.js';
+import accountRoutes from './routes/account.routes.js';
 import adminRoutes from './routes/admin.routes.js';
+import { POSTING_REQUEST_BODY_LIMIT } from './models/postingImport.constants.js';
 
 // Create Express application
 const app = express();
@@ -28,6 +39,9 @@ const app = express();
  * Example: POST /api/jobs with { "company": "Google" } 
  *          → req.body = { company: "Google" }
  */
+// Pasted job posting pages are larger than any other JSON body; this route
+// gets its own limit (parsed first, so the default parser below skips it)
+app.use('/api/applications/parse-posting', express.json({ limit: POSTING_REQUEST_BODY_LIMIT }));
 app.use(express.json());
 
 /**
@@ -84,6 +98,7 @@ const corsOptions = {
     callback(new Error('Not allowed by CORS'));
   },
   credentials: true, // Allow cookies to be sent with cross-origin requests
+  exposedHeaders: ['Content-Disposition'], // Lets the frontend read download filenames (exports)
 };
 app.use(cors(corsOptions));
 
@@ -116,6 +131,9 @@ app.get('/health', (req, res) => {
 // Authentication routes
 app.use('/api/auth', authRoutes);
 
+// Interview rounds of an application (before the application routes, which would authenticate again)
+app.use('/api/applications/:applicationId/interviews', interviewRoundRoutes);
+
 // Job application routes
 app.use('/api/applications', jobApplicationRoutes);
 
@@ -128,6 +146,33 @@ app.use('/api/ai', aiRoutes);
 // Reminder routes
 app.use('/api/reminders', reminderRoutes);
 
+// Pipeline (custom stages) routes
+app.use('/api/pipeline', pipelineRoutes);
+
+// Saved view (smart list) routes
+app.use('/api/views', savedViewRoutes);
+
+// Tag routes
+app.use('/api/tags', tagRoutes);
+
+// Company routes
+app.use('/api/companies', companyRoutes);
+
+// Contact routes
+app.use('/api/contacts', contactRoutes);
+
+// Offer routes
+app.use('/api/offers', offerRoutes);
+
+// Document (resume and cover letter) routes
+app.use('/api/documents', documentRoutes);
+
+// Resume library routes
+app.use('/api/resumes', resumeRoutes);
+
+// Account (backup/restore) routes
+app.use('/api/account', accountRoutes);
+
 // Admin routes (for testing/debugging)
 app.use('/api/admin', adminRoutes);
 
@@ -45,6 +45,14 @@ const envSchema = z.object({
   // SendGrid API Key (when EMAIL_SERVICE='sendgrid')
   SENDGRID_API_KEY: z.string().optional(),
 
+  // Trash: days a deleted application is kept before it is purged for good
+  TRASH_RETENTION_DAYS: z.string().regex(/^\d+$/).transform(Number).default('30'),
+
+  // Document storage: where uploaded resumes and cover letters are kept
+  STORAGE_DRIVER: z.enum(['local']).default('local'),
+  // Directory for the 'local' driver (relative paths are resolved from the working directory)
+  STORAGE_LOCAL_DIR: z.string().min(1).default('uploads'),
+
   // Frontend URL (for CORS)
   FRONTEND_URL: z.string().url().default('http://localhost:5173'),
 });
@@ -0,0 +1,71 @@
+import accountService from '../services/account.service.js';
+
+/**
+ * Account Controller
+ * 
+ * Why: Handles HTTP requests and responses for account backups and restores.
+ * Controllers are thin - they only handle HTTP concerns (extract data, format responses).
+ * All business logic is handled in the service layer.
+ * 
+ * Responsibilities:
+ * - Extract data from HTTP requests (query, uploaded file, form fields)
+ * - Extract userId from req.user (set by auth middleware)
+ * - Call service layer for business logic
+ * - Send backup files as downloads and restore summaries as JSON
+ * - Handle HTTP-specific errors
+ */
+class AccountController {
+  /**
+   * Download a full account backup
+   * GET /api/account/backup
+   */
+  async backup(req, res) {
+    try {
+      const userId = req.user._id.toString();
+
+      const { filename, contentType, body } = await accountService.createBackup(
+        userId,
+        req.query.format
+      );
+
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.status(200).send(body);
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to create backup',
+      });
+    }
+  }
+
+  /**
+   * Restore a backup into the authenticated account
+   * POST /api/account/restore
+   */
+  async restore(req, res) {
+    try {
+      const userId = req.user._id.toString();
+
+      const result = await accountService.restoreBackup(userId, req.file, {
+        mode: req.body.mode,
+        restoreProfile: req.body.restoreProfile === 'true',
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Backup restored successfully',
+        data: result,
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to restore backup',
+      });
+    }
+  }
+}
+
+export default new AccountController();
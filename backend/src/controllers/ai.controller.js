@@ -27,12 +27,13 @@ class AIController {
   async analyzeResumeMatch(req, res) {
     try {
       const userId = req.user._id.toString();
-      const { jobDescription, jobTitle, company } = req.body;
+      const { jobDescription, jobTitle, company, resumeId } = req.body;
 
       const analysis = await aiService.analyzeResumeMatch(userId, {
         jobDescription,
         jobTitle,
         company,
+        resumeId,
       });
 
       res.status(200).json({
@@ -71,12 +72,13 @@ class AIController {
   async getInterviewPrep(req, res) {
     try {
       const userId = req.user._id.toString();
-      const { jobDescription, jobTitle, company } = req.body;
+      const { jobDescription, jobTitle, company, resumeId } = req.body;
 
       const tips = await aiService.getInterviewPrepTips(userId, {
         jobDescription,
         jobTitle,
         company,
+        resumeId,
       });
 
       res.status(200).json({
@@ -27,7 +27,7 @@ class AnalyticsController {
     try {
       const userId = req.user._id.toString();
 
-      const analytics = await analyticsService.getComprehensiveAnalytics(userId);
+      const analytics = await analyticsService.getComprehensiveAnalytics(userId, this.getOptions(req));
 
       res.status(200).json({
         success: true,
@@ -50,7 +50,7 @@ class AnalyticsController {
     try {
       const userId = req.user._id.toString();
 
-      const distribution = await analyticsService.getStatusDistribution(userId);
+      const distribution = await analyticsService.getStatusDistribution(userId, this.getOptions(req));
 
       res.status(200).json({
         success: true,
@@ -73,7 +73,7 @@ class AnalyticsController {
     try {
       const userId = req.user._id.toString();
 
-      const trends = await analyticsService.getMonthlyTrends(userId);
+      const trends = await analyticsService.getMonthlyTrends(userId, this.getOptions(req));
 
       res.status(200).json({
         success: true,
@@ -96,7 +96,7 @@ class AnalyticsController {
     try {
       const userId = req.user._id.toString();
 
-      const successRate = await analyticsService.getSuccessRate(userId);
+      const successRate = await analyticsService.getSuccessRate(userId, this.getOptions(req));
 
       res.status(200).json({
         success: true,
@@ -119,7 +119,7 @@ class AnalyticsController {
     try {
       const userId = req.user._id.toString();
 
-      const timeline = await analyticsService.getTimelineAnalytics(userId);
+      const timeline = await analyticsService.getTimelineAnalytics(userId, this.getOptions(req));
 
       res.status(200).json({
         success: true,
@@ -133,6 +133,157 @@ class AnalyticsController {
       });
     }
   }
+
+  /**
+   * Get funnel conversion and time-in-stage analytics
+   * GET /api/analytics/funnel
+   */
+  async getFunnel(req, res) {
+    try {
+      const userId = req.user._id.toString();
+
+      const funnel = await analyticsService.getFunnelAnalytics(userId, this.getOptions(req));
+
+      res.status(200).json({
+        success: true,
+        data: { funnel },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to get funnel analytics',
+      });
+    }
+  }
+
+  /**
+   * Get per-tag breakdown analytics
+   * GET /api/analytics/tags
+   */
+  async getTagBreakdown(req, res) {
+    try {
+      const userId = req.user._id.toString();
+
+      const tags = await analyticsService.getTagBreakdown(userId, this.getOptions(req));
+
+      res.status(200).json({
+        success: true,
+        data: { tags },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to get tag analytics',
+      });
+    }
+  }
+
+  /**
+   * Get per-company breakdown analytics
+   * GET /api/analytics/companies
+   */
+  async getCompanyBreakdown(req, res) {
+    try {
+      const userId = req.user._id.toString();
+
+      const companies = await analyticsService.getCompanyBreakdown(userId, this.getOptions(req));
+
+      res.status(200).json({
+        success: true,
+        data: { companies },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to get company analytics',
+      });
+    }
+  }
+
+  /**
+   * Get analytics for one company
+   * GET /api/analytics/companies/:companyId
+   */
+  async getCompany(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { companyId } = req.params;
+
+      const company = await analyticsService.getCompanyAnalytics(userId, companyId, this.getOptions(req));
+
+      res.status(200).json({
+        success: true,
+        data: { company },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to get company analytics',
+      });
+    }
+  }
+
+  /**
+   * Get per-value breakdowns of the structured job details
+   * GET /api/analytics/job-details
+   */
+  async getJobDetails(req, res) {
+    try {
+      const userId = req.user._id.toString();
+
+      const jobDetails = await analyticsService.getJobDetailBreakdown(userId, this.getOptions(req));
+
+      res.status(200).json({
+        success: true,
+        data: { jobDetails },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to get job detail analytics',
+      });
+    }
+  }
+
+  /**
+   * Get the posted and expected salary distribution
+   * GET /api/analytics/compensation
+   */
+  async getCompensation(req, res) {
+    try {
+      const userId = req.user._id.toString();
+
+      const compensation = await analyticsService.getCompensationAnalytics(userId, {
+        ...this.getOptions(req),
+        currency: req.query.currency?.trim().toUpperCase(),
+      });
+
+      res.status(200).json({
+        success: true,
+        data: { compensation },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to get compensation analytics',
+      });
+    }
+  }
+
+  /**
+   * Helper: Read the shared analytics options from the query string
+   * @param {Object} req - Express request object
+   * @returns {Object} { includeArchived }
+   */
+  getOptions(req) {
+    return { includeArchived: req.query.includeArchived === 'true' };
+  }
 }
 
 export default new AnalyticsController();
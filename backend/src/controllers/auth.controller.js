@@ -64,6 +64,7 @@ class AuthController {
             role: user.role,
             status: user.status,
             profile: user.profile,
+            settings: user.settings,
           },
         },
       });
@@ -104,6 +105,7 @@ class AuthController {
             role: user.role,
             status: user.status,
             profile: user.profile,
+            settings: user.settings,
           },
         },
       });
@@ -195,6 +197,7 @@ class AuthController {
             role: user.role,
             status: user.status,
             profile: user.profile,
+            settings: user.settings,
             createdAt: user.createdAt,
             updatedAt: user.updatedAt,
           },
@@ -276,6 +279,7 @@ class AuthController {
             role: updatedUser.role,
             status: updatedUser.status,
             profile: updatedUser.profile,
+            settings: updatedUser.settings,
             createdAt: updatedUser.createdAt,
             updatedAt: updatedUser.updatedAt,
           },
@@ -0,0 +1,167 @@
+import companyService from '../services/company.service.js';
+
+/**
+ * Company Controller
+ * 
+ * Why: Handles HTTP requests and responses for company operations.
+ * Controllers are thin - they only handle HTTP concerns (extract data, format responses).
+ * All business logic is handled in the service layer.
+ * 
+ * Responsibilities:
+ * - Extract data from HTTP requests (body, params, query)
+ * - Extract userId from req.user (set by auth middleware)
+ * - Call service layer for business logic
+ * - Format and send HTTP responses
+ * - Handle HTTP-specific errors
+ */
+class CompanyController {
+  /**
+   * Get all companies with application counts
+   * GET /api/companies
+   */
+  async getAll(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const companies = await companyService.getCompanies(userId, { q: req.query.q });
+
+      res.status(200).json({
+        success: true,
+        data: { companies },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to get companies',
+      });
+    }
+  }
+
+  /**
+   * Get a company with its applications
+   * GET /api/companies/:companyId
+   */
+  async getById(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { companyId } = req.params;
+
+      const { company, applications } = await companyService.getCompanyById(userId, companyId);
+
+      res.status(200).json({
+        success: true,
+        data: { company, applications },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to get company',
+      });
+    }
+  }
+
+  /**
+   * Create a company
+   * POST /api/companies
+   */
+  async create(req, res) {
+    try {
+      const userId = req.user._id.toString();
+
+      const company = await companyService.createCompany(userId, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Company created successfully',
+        data: { company },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to create company',
+      });
+    }
+  }
+
+  /**
+   * Update a company
+   * PUT /api/companies/:companyId
+   */
+  async update(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { companyId } = req.params;
+
+      const company = await companyService.updateCompany(userId, companyId, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: 'Company updated successfully',
+        data: { company },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to update company',
+      });
+    }
+  }
+
+  /**
+   * Merge a company into another one
+   * POST /api/companies/:companyId/merge
+   */
+  async merge(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { companyId } = req.params;
+
+      const { company, moved } = await companyService.mergeCompany(
+        userId,
+        companyId,
+        req.body.targetCompanyId
+      );
+
+      res.status(200).json({
+        success: true,
+        message: `Company merged into ${company.name}`,
+        data: { company, moved },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to merge company',
+      });
+    }
+  }
+
+  /**
+   * Delete a company without applications
+   * DELETE /api/companies/:companyId
+   */
+  async delete(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { companyId } = req.params;
+
+      await companyService.deleteCompany(userId, companyId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Company deleted successfully',
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to delete company',
+      });
+    }
+  }
+}
+
+export default new CompanyController();
@@ -0,0 +1,195 @@
+import contactService from '../services/contact.service.js';
+
+/**
+ * Contact Controller
+ * 
+ * Why: Handles HTTP requests and responses for contact operations.
+ * Controllers are thin - they only handle HTTP concerns (extract data, format responses).
+ * All business logic is handled in the service layer.
+ * 
+ * Responsibilities:
+ * - Extract data from HTTP requests (body, params, query)
+ * - Extract userId from req.user (set by auth middleware)
+ * - Call service layer for business logic
+ * - Format and send HTTP responses
+ * - Handle HTTP-specific errors
+ */
+class ContactController {
+  /**
+   * Get all contacts (optionally for one application)
+   * GET /api/contacts
+   */
+  async getAll(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { q, applicationId, relationship } = req.query;
+
+      const contacts = await contactService.getContacts(userId, { q, applicationId, relationship });
+
+      res.status(200).json({
+        success: true,
+        data: { contacts },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to get contacts',
+      });
+    }
+  }
+
+  /**
+   * Get a contact with its applications
+   * GET /api/contacts/:contactId
+   */
+  async getById(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { contactId } = req.params;
+
+      const { contact, applications } = await contactService.getContactById(userId, contactId);
+
+      res.status(200).json({
+        success: true,
+        data: { contact, applications },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to get contact',
+      });
+    }
+  }
+
+  /**
+   * Create a contact
+   * POST /api/contacts
+   */
+  async create(req, res) {
+    try {
+      const userId = req.user._id.toString();
+
+      const contact = await contactService.createContact(userId, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Contact created successfully',
+        data: { contact },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to create contact',
+      });
+    }
+  }
+
+  /**
+   * Update a contact
+   * PUT /api/contacts/:contactId
+   */
+  async update(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { contactId } = req.params;
+
+      const contact = await contactService.updateContact(userId, contactId, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: 'Contact updated successfully',
+        data: { contact },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to update contact',
+      });
+    }
+  }
+
+  /**
+   * Delete a contact
+   * DELETE /api/contacts/:contactId
+   */
+  async delete(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { contactId } = req.params;
+
+      await contactService.deleteContact(userId, contactId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Contact deleted successfully',
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to delete contact',
+      });
+    }
+  }
+
+  /**
+   * Link a contact to an application (or change the relationship)
+   * PUT /api/contacts/:contactId/applications/:applicationId
+   */
+  async linkApplication(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { contactId, applicationId } = req.params;
+
+      const contact = await contactService.linkApplication(
+        userId,
+        contactId,
+        applicationId,
+        req.body.relationship
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Contact linked to application',
+        data: { contact },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to link contact',
+      });
+    }
+  }
+
+  /**
+   * Unlink a contact from an application
+   * DELETE /api/contacts/:contactId/applications/:applicationId
+   */
+  async unlinkApplication(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { contactId, applicationId } = req.params;
+
+      const contact = await contactService.unlinkApplication(userId, contactId, applicationId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Contact unlinked from application',
+        data: { contact },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to unlink contact',
+      });
+    }
+  }
+}
+
+export default new ContactController();
@@ -0,0 +1,276 @@
+import documentService from '../services/document.service.js';
+
+/**
+ * Document Controller
+ * 
+ * Why: Handles HTTP requests and responses for documents (resumes, cover
+ * letters) and their versions.
+ * Controllers are thin - they only handle HTTP concerns (extract data, format responses).
+ * All business logic is handled in the service layer.
+ * 
+ * Responsibilities:
+ * - Extract data from HTTP requests (body, params, query, uploaded file)
+ * - Extract userId from req.user (set by auth middleware)
+ * - Call service layer for business logic
+ * - Send stored files as downloads and everything else as JSON
+ * - Handle HTTP-specific errors
+ */
+class DocumentController {
+  /**
+   * Get all documents (optionally for one application)
+   * GET /api/documents
+   */
+  async getAll(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { q, type, applicationId } = req.query;
+
+      const documents = await documentService.getDocuments(userId, { q, type, applicationId });
+
+      res.status(200).json({
+        success: true,
+        data: { documents },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to get documents',
+      });
+    }
+  }
+
+  /**
+   * Get a document with the applications it is attached to
+   * GET /api/documents/:documentId
+   */
+  async getById(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { documentId } = req.params;
+
+      const { document, applications } = await documentService.getDocumentById(userId, documentId);
+
+      res.status(200).json({
+        success: true,
+        data: { document, applications },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to get document',
+      });
+    }
+  }
+
+  /**
+   * Upload a new document
+   * POST /api/documents
+   */
+  async upload(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { name, type, notes } = req.body;
+
+      const document = await documentService.uploadDocument(userId, req.file, { name, type, notes });
+
+      res.status(201).json({
+        success: true,
+        message: 'Document uploaded successfully',
+        data: { document },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to upload document',
+      });
+    }
+  }
+
+  /**
+   * Update a document's name or type
+   * PUT /api/documents/:documentId
+   */
+  async update(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { documentId } = req.params;
+
+      const document = await documentService.updateDocument(userId, documentId, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: 'Document updated successfully',
+        data: { document },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to update document',
+      });
+    }
+  }
+
+  /**
+   * Delete a document with all its versions
+   * DELETE /api/documents/:documentId
+   */
+  async delete(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { documentId } = req.params;
+
+      await documentService.deleteDocument(userId, documentId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Document deleted successfully',
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to delete document',
+      });
+    }
+  }
+
+  /**
+   * Upload a new version of a document
+   * POST /api/documents/:documentId/versions
+   */
+  async addVersion(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { documentId } = req.params;
+
+      const document = await documentService.addVersion(userId, documentId, req.file, {
+        notes: req.body.notes,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Version ${document.latestVersion} uploaded`,
+        data: { document },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to upload version',
+      });
+    }
+  }
+
+  /**
+   * Download a version's file
+   * GET /api/documents/:documentId/versions/:version/download
+   */
+  async downloadVersion(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { documentId, version } = req.params;
+
+      const { filename, contentType, body } = await documentService.downloadVersion(
+        userId,
+        documentId,
+        Number(version)
+      );
+
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.status(200).send(body);
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to download document',
+      });
+    }
+  }
+
+  /**
+   * Delete one version of a document
+   * DELETE /api/documents/:documentId/versions/:version
+   */
+  async deleteVersion(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { documentId, version } = req.params;
+
+      const document = await documentService.deleteVersion(userId, documentId, Number(version));
+
+      res.status(200).json({
+        success: true,
+        message: `Version ${version} deleted`,
+        data: { document },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to delete version',
+      });
+    }
+  }
+
+  /**
+   * Attach a document version to an application (or change the version)
+   * PUT /api/documents/:documentId/applications/:applicationId
+   */
+  async attachToApplication(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { documentId, applicationId } = req.params;
+
+      const document = await documentService.attachToApplication(
+        userId,
+        documentId,
+        applicationId,
+        Number(req.body.version)
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Document attached to application',
+        data: { document },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to attach document',
+      });
+    }
+  }
+
+  /**
+   * Detach a document from an application
+   * DELETE /api/documents/:documentId/applications/:applicationId
+   */
+  async detachFromApplication(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { documentId, applicationId } = req.params;
+
+      const document = await documentService.detachFromApplication(userId, documentId, applicationId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Document detached from application',
+        data: { document },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to detach document',
+      });
+    }
+  }
+}
+
+export default new DocumentController();
@@ -0,0 +1,117 @@
+import interviewRoundService from '../services/interviewRound.service.js';
+
+/**
+ * Interview Round Controller
+ * 
+ * Why: Handles HTTP requests and responses for the interview rounds of an application.
+ * Controllers are thin - they only handle HTTP concerns (extract data, format responses).
+ * All business logic is handled in the service layer.
+ * 
+ * Responsibilities:
+ * - Extract data from HTTP requests (body, params)
+ * - Extract userId from req.user (set by auth middleware)
+ * - Call service layer for business logic
+ * - Format and send HTTP responses
+ * - Handle HTTP-specific errors
+ */
+class InterviewRoundController {
+  /**
+   * Get the rounds of an application
+   * GET /api/applications/:applicationId/interviews
+   */
+  async getAll(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { applicationId } = req.params;
+
+      const rounds = await interviewRoundService.getRounds(userId, applicationId);
+
+      res.status(200).json({
+        success: true,
+        data: { rounds },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to get interview rounds',
+      });
+    }
+  }
+
+  /**
+   * Create a round
+   * POST /api/applications/:applicationId/interviews
+   */
+  async create(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { applicationId } = req.params;
+
+      const round = await interviewRoundService.createRound(userId, applicationId, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Interview round created successfully',
+        data: { round },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to create interview round',
+      });
+    }
+  }
+
+  /**
+   * Update a round
+   * PUT /api/applications/:applicationId/interviews/:roundId
+   */
+  async update(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { applicationId, roundId } = req.params;
+
+      const round = await interviewRoundService.updateRound(userId, applicationId, roundId, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: 'Interview round updated successfully',
+        data: { round },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to update interview round',
+      });
+    }
+  }
+
+  /**
+   * Delete a round
+   * DELETE /api/applications/:applicationId/interviews/:roundId
+   */
+  async delete(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { applicationId, roundId } = req.params;
+
+      await interviewRoundService.deleteRound(userId, applicationId, roundId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Interview round deleted successfully',
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to delete interview round',
+      });
+    }
+  }
+}
+
+export default new InterviewRoundController();
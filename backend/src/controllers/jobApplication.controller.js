@@ -1,4 +1,7 @@
 import jobApplicationService from '../services/jobApplication.service.js';
+import applicationImportService from '../services/applicationImport.service.js';
+import applicationExportService from '../services/applicationExport.service.js';
+import postingImportService from '../services/postingImport.service.js';
 
 /**
  * Job Application Controller
@@ -86,15 +89,14 @@ class JobApplicationController {
   async getAll(req, res) {
     try {
       const userId = req.user._id.toString();
-      const { page, limit, status, sortBy, sortOrder } = req.query;
+      const { page, limit, ...filters } = req.query;
 
       // Service automatically filters by userId
+      // Remaining query params (status, q, date ranges, source, match score...) are filters
       const result = await jobApplicationService.getUserApplications(userId, {
+        ...filters,
         page: parseInt(page) || 1,
         limit: parseInt(limit) || 10,
-        status,
-        sortBy,
-        sortOrder,
       });
 
       res.status(200).json({
@@ -113,6 +115,224 @@ class JobApplicationController {
     }
   }
 
+  /**
+   * Export applications matching the list filters as a file download
+   * GET /api/applications/export?format=csv|xlsx|json
+   */
+  async exportApplications(req, res) {
+    try {
+      const userId = req.user._id.toString();
+
+      const { filename, contentType, body } = await applicationExportService.exportApplications(
+        userId,
+        req.query
+      );
+
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.status(200).send(body);
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to export applications',
+      });
+    }
+  }
+
+  /**
+   * Apply one action to several applications
+   * POST /api/applications/bulk
+   */
+  async bulkUpdate(req, res) {
+    try {
+      const userId = req.user._id.toString();
+
+      const result = await jobApplicationService.bulkUpdate(userId, req.body);
+      const { succeeded, failed } = result.summary;
+
+      res.status(200).json({
+        success: true,
+        message: failed > 0
+          ? `${succeeded} application${succeeded === 1 ? '' : 's'} updated, ${failed} failed`
+          : `${succeeded} application${succeeded === 1 ? '' : 's'} updated`,
+        data: result,
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to update applications',
+      });
+    }
+  }
+
+  /**
+   * Preview a CSV/XLSX import (nothing is saved)
+   * POST /api/applications/import/preview
+   */
+  async previewImport(req, res) {
+    try {
+      const userId = req.user._id.toString();
+
+      const preview = await applicationImportService.previewImport(
+        userId,
+        req.file,
+        this.getImportOptions(req.body)
+      );
+
+      res.status(200).json({
+        success: true,
+        data: { preview },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to preview import',
+      });
+    }
+  }
+
+  /**
+   * Import applications from a CSV/XLSX file
+   * POST /api/applications/import
+   */
+  async importApplications(req, res) {
+    try {
+      const userId = req.user._id.toString();
+
+      const result = await applicationImportService.commitImport(
+        userId,
+        req.file,
+        this.getImportOptions(req.body)
+      );
+
+      res.status(201).json({
+        success: true,
+        message: `${result.imported} application${result.imported === 1 ? '' : 's'} imported`,
+        data: result,
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to import applications',
+      });
+    }
+  }
+
+  /**
+   * Read import options from multipart form fields (already validated)
+   */
+  getImportOptions(body = {}) {
+    return {
+      mapping: body.mapping ? JSON.parse(body.mapping) : undefined,
+      dateFormat: body.dateFormat,
+      skipDuplicates: body.skipDuplicates !== 'false',
+    };
+  }
+
+  /**
+   * Read a job posting (URL or pasted HTML) into a draft application (nothing is saved)
+   * POST /api/applications/parse-posting
+   */
+  async parsePosting(req, res) {
+    try {
+      const result = await postingImportService.parsePosting({
+        url: req.body.url,
+        html: req.body.html,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to read job posting',
+      });
+    }
+  }
+
+  /**
+   * Get distinct sources for the filter controls
+   * GET /api/applications/sources
+   */
+  async getSources(req, res) {
+    try {
+      const userId = req.user._id.toString();
+
+      const sources = await jobApplicationService.getSources(userId);
+
+      res.status(200).json({
+        success: true,
+        data: { sources },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to get sources',
+      });
+    }
+  }
+
+  /**
+   * Get applications grouped by status for the board view
+   * GET /api/applications/board
+   */
+  async getBoard(req, res) {
+    try {
+      const userId = req.user._id.toString();
+
+      // Service automatically filters by userId
+      const board = await jobApplicationService.getBoard(userId);
+
+      res.status(200).json({
+        success: true,
+        data: { board },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to get application board',
+      });
+    }
+  }
+
+  /**
+   * Persist the card order of a board column
+   * PUT /api/applications/board/order
+   */
+  async reorderBoardColumn(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { status, applicationIds } = req.body;
+
+      const result = await jobApplicationService.reorderBoardColumn(
+        userId,
+        status,
+        applicationIds
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Board order saved successfully',
+        data: result,
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to save board order',
+      });
+    }
+  }
+
   /**
    * Update application
    * PUT /api/applications/:applicationId
@@ -158,7 +378,7 @@ class JobApplicationController {
 
       res.status(200).json({
         success: true,
-        message: 'Job application deleted successfully',
+        message: 'Job application moved to trash',
       });
     } catch (error) {
       const statusCode = error.statusCode || 500;
@@ -169,6 +389,160 @@ class JobApplicationController {
     }
   }
 
+  /**
+   * Archive an application
+   * POST /api/applications/:applicationId/archive
+   */
+  async archive(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { applicationId } = req.params;
+
+      const application = await jobApplicationService.setArchived(userId, applicationId, true);
+
+      res.status(200).json({
+        success: true,
+        message: 'Job application archived',
+        data: { application },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to archive job application',
+      });
+    }
+  }
+
+  /**
+   * Unarchive an application
+   * POST /api/applications/:applicationId/unarchive
+   */
+  async unarchive(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { applicationId } = req.params;
+
+      const application = await jobApplicationService.setArchived(userId, applicationId, false);
+
+      res.status(200).json({
+        success: true,
+        message: 'Job application unarchived',
+        data: { application },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to unarchive job application',
+      });
+    }
+  }
+
+  /**
+   * Get the applications in the trash
+   * GET /api/applications/trash
+   */
+  async getTrash(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { page, limit } = req.query;
+
+      const result = await jobApplicationService.getTrash(userId, {
+        page: parseInt(page) || 1,
+        limit: parseInt(limit) || 10,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to get trash',
+      });
+    }
+  }
+
+  /**
+   * Restore an application from the trash
+   * POST /api/applications/:applicationId/restore
+   */
+  async restore(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { applicationId } = req.params;
+
+      const application = await jobApplicationService.restoreApplication(userId, applicationId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Job application restored',
+        data: { application },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to restore job application',
+      });
+    }
+  }
+
+  /**
+   * Permanently delete an application from the trash
+   * DELETE /api/applications/trash/:applicationId
+   */
+  async deletePermanently(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { applicationId } = req.params;
+
+      await jobApplicationService.permanentlyDeleteApplication(userId, applicationId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Job application permanently deleted',
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to delete job application',
+      });
+    }
+  }
+
+  /**
+   * Get status change timeline for an application
+   * GET /api/applications/:applicationId/timeline
+   */
+  async getTimeline(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { applicationId } = req.params;
+
+      // Service enforces ownership - returns 404 if user doesn't own application
+      const timeline = await jobApplicationService.getApplicationTimeline(
+        userId,
+        applicationId
+      );
+
+      res.status(200).json({
+        success: true,
+        data: { timeline },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to get application timeline',
+      });
+    }
+  }
+
   /**
    * Get application statistics
    * GET /api/applications/statistics
@@ -201,10 +575,12 @@ class JobApplicationController {
     try {
       const userId = req.user._id.toString();
       const { applicationId } = req.params;
+      const { resumeId } = req.body;
 
       const application = await jobApplicationService.generateResumeMatch(
         userId,
-        applicationId
+        applicationId,
+        resumeId
       );
 
       res.status(200).json({
@@ -232,10 +608,12 @@ class JobApplicationController {
     try {
       const userId = req.user._id.toString();
       const { applicationId } = req.params;
+      const { resumeId } = req.body;
 
       const application = await jobApplicationService.generateInterviewPrep(
         userId,
-        applicationId
+        applicationId,
+        resumeId
       );
 
       res.status(200).json({
@@ -287,7 +665,37 @@ class JobApplicationController {
       });
     }
   }
+
+  /**
+   * Extract and persist the requirements stated in a job application's description
+   * POST /api/applications/:applicationId/ai/requirements
+   */
+  async extractRequirements(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { applicationId } = req.params;
+
+      const { application, filledFields } = await jobApplicationService.extractRequirements(
+        userId,
+        applicationId
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Job requirements extracted successfully',
+        data: {
+          application,
+          filledFields,
+        },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to extract job requirements',
+      });
+    }
+  }
 }
 
 export default new JobApplicationController();
-
@@ -0,0 +1,164 @@
+import offerService from '../services/offer.service.js';
+
+/**
+ * Offer Controller
+ * 
+ * Why: Handles HTTP requests and responses for job offers.
+ * Controllers are thin - they only handle HTTP concerns (extract data, format responses).
+ * All business logic is handled in the service layer.
+ * 
+ * Responsibilities:
+ * - Extract data from HTTP requests (body, params, query)
+ * - Extract userId from req.user (set by auth middleware)
+ * - Call service layer for business logic
+ * - Format and send HTTP responses
+ * - Handle HTTP-specific errors
+ */
+class OfferController {
+  /**
+   * Get the user's offers
+   * GET /api/offers
+   */
+  async getAll(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { applicationId } = req.query;
+
+      const offers = await offerService.getOffers(userId, { applicationId });
+
+      res.status(200).json({
+        success: true,
+        data: { offers },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to get offers',
+      });
+    }
+  }
+
+  /**
+   * Compare offers
+   * GET /api/offers/compare?offerIds=id1,id2
+   */
+  async compare(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const offerIds = req.query.offerIds.split(',').map((id) => id.trim());
+
+      const comparison = await offerService.compareOffers(userId, offerIds);
+
+      res.status(200).json({
+        success: true,
+        data: comparison,
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to compare offers',
+      });
+    }
+  }
+
+  /**
+   * Get an offer by ID
+   * GET /api/offers/:offerId
+   */
+  async getById(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { offerId } = req.params;
+
+      const offer = await offerService.getOfferById(userId, offerId);
+
+      res.status(200).json({
+        success: true,
+        data: { offer },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to get offer',
+      });
+    }
+  }
+
+  /**
+   * Create an offer
+   * POST /api/offers
+   */
+  async create(req, res) {
+    try {
+      const userId = req.user._id.toString();
+
+      const offer = await offerService.createOffer(userId, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Offer created successfully',
+        data: { offer },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to create offer',
+      });
+    }
+  }
+
+  /**
+   * Update an offer
+   * PUT /api/offers/:offerId
+   */
+  async update(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { offerId } = req.params;
+
+      const offer = await offerService.updateOffer(userId, offerId, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: 'Offer updated successfully',
+        data: { offer },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to update offer',
+      });
+    }
+  }
+
+  /**
+   * Delete an offer
+   * DELETE /api/offers/:offerId
+   */
+  async delete(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { offerId } = req.params;
+
+      await offerService.deleteOffer(userId, offerId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Offer deleted successfully',
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to delete offer',
+      });
+    }
+  }
+}
+
+export default new OfferController();
@@ -0,0 +1,146 @@
+import pipelineService from '../services/pipeline.service.js';
+
+/**
+ * Pipeline Controller
+ * 
+ * Why: Handles HTTP requests and responses for pipeline (custom stage) operations.
+ * Controllers are thin - they only handle HTTP concerns (extract data, format responses).
+ * All business logic is handled in the service layer.
+ * 
+ * Responsibilities:
+ * - Extract data from HTTP requests (body, params, query)
+ * - Extract userId from req.user (set by auth middleware)
+ * - Call service layer for business logic
+ * - Format and send HTTP responses
+ * - Handle HTTP-specific errors
+ */
+class PipelineController {
+  /**
+   * Get the authenticated user's pipeline
+   * GET /api/pipeline
+   */
+  async get(req, res) {
+    try {
+      const userId = req.user._id.toString();
+
+      const pipeline = await pipelineService.getPipeline(userId);
+
+      res.status(200).json({
+        success: true,
+        data: { pipeline },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to get pipeline',
+      });
+    }
+  }
+
+  /**
+   * Replace all stages (reorder / bulk edit)
+   * PUT /api/pipeline
+   */
+  async replace(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { stages } = req.body;
+
+      const pipeline = await pipelineService.replaceStages(userId, stages);
+
+      res.status(200).json({
+        success: true,
+        message: 'Pipeline updated successfully',
+        data: { pipeline },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to update pipeline',
+      });
+    }
+  }
+
+  /**
+   * Add a stage
+   * POST /api/pipeline/stages
+   */
+  async addStage(req, res) {
+    try {
+      const userId = req.user._id.toString();
+
+      const pipeline = await pipelineService.addStage(userId, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Stage added successfully',
+        data: { pipeline },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to add stage',
+      });
+    }
+  }
+
+  /**
+   * Update a stage
+   * PUT /api/pipeline/stages/:stageKey
+   */
+  async updateStage(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { stageKey } = req.params;
+
+      const pipeline = await pipelineService.updateStage(userId, stageKey, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: 'Stage updated successfully',
+        data: { pipeline },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to update stage',
+      });
+    }
+  }
+
+  /**
+   * Delete a stage, optionally moving its applications to another stage
+   * DELETE /api/pipeline/stages/:stageKey?reassignTo=stage-key
+   */
+  async deleteStage(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { stageKey } = req.params;
+      const { reassignTo } = req.query;
+
+      const { pipeline, reassigned } = await pipelineService.deleteStage(
+        userId,
+        stageKey,
+        reassignTo
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Stage deleted successfully',
+        data: { pipeline, reassigned },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to delete stage',
+      });
+    }
+  }
+}
+
+export default new PipelineController();
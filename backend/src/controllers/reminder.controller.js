@@ -77,12 +77,13 @@ class ReminderController {
   async getAll(req, res) {
     try {
       const userId = req.user._id.toString();
-      const { page, limit, applicationId, reminderType, sent, startDate, endDate, sortBy, sortOrder } = req.query;
+      const { page, limit, applicationId, contactId, reminderType, sent, startDate, endDate, sortBy, sortOrder } = req.query;
 
       const result = await reminderService.getUserReminders(userId, {
         page: parseInt(page) || 1,
         limit: parseInt(limit) || 10,
         applicationId,
+        contactId,
         reminderType,
         sent,
         startDate,
@@ -0,0 +1,186 @@
+import resumeService from '../services/resume.service.js';
+import resumeImportService from '../services/resumeImport.service.js';
+
+/**
+ * Resume Controller
+ * 
+ * Why: Handles HTTP requests and responses for the resume library.
+ * Controllers are thin - they only handle HTTP concerns (extract data, format responses).
+ * All business logic is handled in the service layer.
+ * 
+ * Responsibilities:
+ * - Extract data from HTTP requests (body, params)
+ * - Extract userId from req.user (set by auth middleware)
+ * - Call service layer for business logic
+ * - Format HTTP responses
+ * - Handle HTTP-specific errors
+ */
+class ResumeController {
+  /**
+   * Get all resumes, the default first
+   * GET /api/resumes
+   */
+  async getAll(req, res) {
+    try {
+      const userId = req.user._id.toString();
+
+      const resumes = await resumeService.getResumes(userId);
+
+      res.status(200).json({
+        success: true,
+        data: { resumes },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to get resumes',
+      });
+    }
+  }
+
+  /**
+   * Read an uploaded resume file into a draft (nothing is saved)
+   * POST /api/resumes/parse
+   */
+  async parse(req, res) {
+    try {
+      const result = await resumeImportService.parseResume(req.file);
+
+      res.status(200).json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to read resume file',
+      });
+    }
+  }
+
+  /**
+   * Get a resume
+   * GET /api/resumes/:resumeId
+   */
+  async getById(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { resumeId } = req.params;
+
+      const resume = await resumeService.getResumeById(userId, resumeId);
+
+      res.status(200).json({
+        success: true,
+        data: { resume },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to get resume',
+      });
+    }
+  }
+
+  /**
+   * Create a resume
+   * POST /api/resumes
+   */
+  async create(req, res) {
+    try {
+      const userId = req.user._id.toString();
+
+      const resume = await resumeService.createResume(userId, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Resume created successfully',
+        data: { resume },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to create resume',
+      });
+    }
+  }
+
+  /**
+   * Update a resume
+   * PUT /api/resumes/:resumeId
+   */
+  async update(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { resumeId } = req.params;
+
+      const resume = await resumeService.updateResume(userId, resumeId, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: 'Resume updated successfully',
+        data: { resume },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to update resume',
+      });
+    }
+  }
+
+  /**
+   * Make a resume the default
+   * PUT /api/resumes/:resumeId/default
+   */
+  async setDefault(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { resumeId } = req.params;
+
+      const resume = await resumeService.setDefaultResume(userId, resumeId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Default resume updated',
+        data: { resume },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to set default resume',
+      });
+    }
+  }
+
+  /**
+   * Delete a resume
+   * DELETE /api/resumes/:resumeId
+   */
+  async delete(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { resumeId } = req.params;
+
+      await resumeService.deleteResume(userId, resumeId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Resume deleted successfully',
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to delete resume',
+      });
+    }
+  }
+}
+
+export default new ResumeController();
@@ -0,0 +1,138 @@
+import savedViewService from '../services/savedView.service.js';
+
+/**
+ * Saved View Controller
+ * 
+ * Why: Handles HTTP requests and responses for saved view operations.
+ * Controllers are thin - they only handle HTTP concerns (extract data, format responses).
+ * All business logic is handled in the service layer.
+ * 
+ * Responsibilities:
+ * - Extract data from HTTP requests (body, params, query)
+ * - Extract userId from req.user (set by auth middleware)
+ * - Call service layer for business logic
+ * - Format and send HTTP responses
+ * - Handle HTTP-specific errors
+ */
+class SavedViewController {
+  /**
+   * Get all saved views with live application counts
+   * GET /api/views
+   */
+  async getAll(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const views = await savedViewService.getViews(userId);
+
+      res.status(200).json({
+        success: true,
+        data: { views },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to get saved views',
+      });
+    }
+  }
+
+  /**
+   * Get a single saved view
+   * GET /api/views/:viewId
+   */
+  async getById(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { viewId } = req.params;
+
+      const view = await savedViewService.getViewById(userId, viewId);
+
+      res.status(200).json({
+        success: true,
+        data: { view },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to get saved view',
+      });
+    }
+  }
+
+  /**
+   * Create a saved view
+   * POST /api/views
+   */
+  async create(req, res) {
+    try {
+      const userId = req.user._id.toString();
+
+      const view = await savedViewService.createView(userId, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Saved view created successfully',
+        data: { view },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to create saved view',
+      });
+    }
+  }
+
+  /**
+   * Update a saved view
+   * PUT /api/views/:viewId
+   */
+  async update(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { viewId } = req.params;
+
+      const view = await savedViewService.updateView(userId, viewId, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: 'Saved view updated successfully',
+        data: { view },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to update saved view',
+      });
+    }
+  }
+
+  /**
+   * Delete a saved view
+   * DELETE /api/views/:viewId
+   */
+  async delete(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { viewId } = req.params;
+
+      await savedViewService.deleteView(userId, viewId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Saved view deleted successfully',
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to delete saved view',
+      });
+    }
+  }
+}
+
+export default new SavedViewController();
@@ -0,0 +1,115 @@
+import tagService from '../services/tag.service.js';
+
+/**
+ * Tag Controller
+ * 
+ * Why: Handles HTTP requests and responses for tag operations.
+ * Controllers are thin - they only handle HTTP concerns (extract data, format responses).
+ * All business logic is handled in the service layer.
+ * 
+ * Responsibilities:
+ * - Extract data from HTTP requests (body, params, query)
+ * - Extract userId from req.user (set by auth middleware)
+ * - Call service layer for business logic
+ * - Format and send HTTP responses
+ * - Handle HTTP-specific errors
+ */
+class TagController {
+  /**
+   * Get all tags with application counts
+   * GET /api/tags
+   */
+  async getAll(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const tags = await tagService.getTags(userId);
+
+      res.status(200).json({
+        success: true,
+        data: { tags },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to get tags',
+      });
+    }
+  }
+
+  /**
+   * Create a tag
+   * POST /api/tags
+   */
+  async create(req, res) {
+    try {
+      const userId = req.user._id.toString();
+
+      const tag = await tagService.createTag(userId, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Tag created successfully',
+        data: { tag },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to create tag',
+      });
+    }
+  }
+
+  /**
+   * Rename and/or recolor a tag
+   * PUT /api/tags/:tagId
+   */
+  async update(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { tagId } = req.params;
+
+      const tag = await tagService.updateTag(userId, tagId, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: 'Tag updated successfully',
+        data: { tag },
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to update tag',
+      });
+    }
+  }
+
+  /**
+   * Delete a tag and remove it from all applications
+   * DELETE /api/tags/:tagId
+   */
+  async delete(req, res) {
+    try {
+      const userId = req.user._id.toString();
+      const { tagId } = req.params;
+
+      const result = await tagService.deleteTag(userId, tagId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Tag deleted successfully',
+        data: result,
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to delete tag',
+      });
+    }
+  }
+}
+
+export default new TagController();
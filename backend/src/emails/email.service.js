@@ -4,6 +4,7 @@ import {
   getWelcomeEmailTemplate,
   getPasswordResetEmailTemplate,
   getInterviewReminderEmailTemplate,
+  getOfferDeadlineReminderEmailTemplate,
   getAIReportReadyEmailTemplate,
   getFollowUpReminderEmailTemplate,
 } from './email.templates.js';
@@ -26,6 +27,7 @@ import {
  * - Welcome emails for new users
  * - Password reset emails
  * - Interview reminder emails
+ * - Offer deadline reminder emails
  * - AI report ready notifications
  */
 class EmailService {
@@ -252,14 +254,18 @@ class EmailService {
    * Send interview reminder email
    * @param {Object} user - User object with firstName and email
    * @param {Object} application - Job application object
+   * @param {Object} [round] - Interview round the reminder was generated for
    * @returns {Promise<Object>} Send result
    */
-  async sendInterviewReminder(user, application) {
+  async sendInterviewReminder(user, application, round = null) {
     try {
-      const html = getInterviewReminderEmailTemplate(user.firstName || user.name || 'there', application);
+      const html = getInterviewReminderEmailTemplate(user.firstName || user.name || 'there', application, round);
+      const subject = round
+        ? `Interview Reminder: ${round.name} at ${application.company || 'Upcoming Interview'}`
+        : `Interview Reminder: ${application.company || 'Upcoming Interview'}`;
       return await this.sendEmail({
         to: user.email,
-        subject: `Interview Reminder: ${application.company || 'Upcoming Interview'}`,
+        subject,
         html,
       });
     } catch (error) {
@@ -268,6 +274,27 @@ class EmailService {
     }
   }
 
+  /**
+   * Send offer deadline reminder email
+   * @param {Object} user - User object with firstName and email
+   * @param {Object} application - Job application object
+   * @param {Object} offer - Offer the reminder was generated for
+   * @returns {Promise<Object>} Send result
+   */
+  async sendOfferDeadlineReminder(user, application, offer) {
+    try {
+      const html = getOfferDeadlineReminderEmailTemplate(user.firstName || user.name || 'there', application, offer);
+      return await this.sendEmail({
+        to: user.email,
+        subject: `Offer Deadline Reminder: ${application.company || 'Your Offer'}`,
+        html,
+      });
+    } catch (error) {
+      console.error('Error sending offer deadline reminder email:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Send AI report ready notification email
    * @param {Object} user - User object with firstName and email
@@ -307,14 +334,16 @@ class EmailService {
    * @param {Object} user - User object with firstName and email
    * @param {Object} application - Job application object
    * @param {string} reminderType - Type of reminder (follow-up, deadline, response)
+   * @param {Object} [contact] - Contact to follow up with
    * @returns {Promise<Object>} Send result
    */
-  async sendFollowUpReminder(user, application, reminderType = 'follow-up') {
+  async sendFollowUpReminder(user, application, reminderType = 'follow-up', contact = null) {
     try {
       const html = getFollowUpReminderEmailTemplate(
         user.firstName || user.name || 'there',
         application,
-        reminderType
+        reminderType,
+        contact
       );
       
       const subjects = {
@@ -323,7 +352,9 @@ class EmailService {
         'response': `Response Check: ${application.company || 'Your Application'}`,
       };
       
-      const subject = subjects[reminderType] || subjects['follow-up'];
+      const subject = contact && reminderType === 'follow-up'
+        ? `Follow up with ${contact.name}: ${application.company || 'Your Application'}`
+        : subjects[reminderType] || subjects['follow-up'];
       
       return await this.sendEmail({
         to: user.email,
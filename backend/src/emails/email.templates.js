@@ -1,3 +1,6 @@
+import { formatInTimeZone } from '../utils/timezone.js';
+import { formatAmount } from '../utils/compensation.js';
+
 /**
  * Email Templates
  * 
@@ -146,19 +149,28 @@ export function getPasswordResetEmailTemplate(userName, resetToken) {
  * Interview reminder email template
  * @param {string} userName - User's first name
  * @param {Object} application - Job application object
+ * @param {Object} [round] - Interview round (time, time zone, location, interviewers)
  * @returns {string} HTML email
  */
-export function getInterviewReminderEmailTemplate(userName, application) {
+export function getInterviewReminderEmailTemplate(userName, application, round = null) {
   const company = application.company || 'the company';
   const jobTitle = application.jobTitle || 'the position';
-  const interviewDate = application.dateApplied 
-    ? new Date(application.dateApplied).toLocaleDateString('en-US', { 
-        weekday: 'long', 
-        year: 'numeric', 
-        month: 'long', 
-        day: 'numeric' 
-      })
+  // Shown in the time zone the round was scheduled in
+  const interviewDate = round?.scheduledStart
+    ? formatInTimeZone(round.scheduledStart, round.timezone)
     : 'soon';
+  const detailLine = (label, value) => `
+      <p style="margin: 10px 0 0; color: #495057; font-size: 15px; line-height: 1.6;">
+        <strong>${label}:</strong> ${value}
+      </p>`;
+  const roundLines = [
+    round?.location && detailLine('Location', round.location),
+    round?.meetingUrl && detailLine('Link', `<a href="${round.meetingUrl}" style="color: #667eea;">${round.meetingUrl}</a>`),
+    round?.interviewers?.length > 0 && detailLine(
+      'Interviewers',
+      round.interviewers.map(({ name, role }) => (role ? `${name} (${role})` : name)).join(', ')
+    ),
+  ].filter(Boolean).join('');
   
   const content = `
     <h2 style="margin: 0 0 20px; color: #212529; font-size: 24px; font-weight: 600;">Interview Reminder 📅</h2>
@@ -175,10 +187,10 @@ export function getInterviewReminderEmailTemplate(userName, application) {
       </p>
       <p style="margin: 0 0 10px; color: #495057; font-size: 15px; line-height: 1.6;">
         <strong>Position:</strong> ${jobTitle}
-      </p>
-      <p style="margin: 0; color: #495057; font-size: 15px; line-height: 1.6;">
+      </p>${round ? detailLine('Round', round.name) : ''}
+      <p style="margin: 10px 0 0; color: #495057; font-size: 15px; line-height: 1.6;">
         <strong>Date:</strong> ${interviewDate}
-      </p>
+      </p>${roundLines}
     </div>
     <div style="margin: 30px 0; padding: 15px; background-color: #d1ecf1; border-radius: 6px; border-left: 4px solid #0dcaf0;">
       <h3 style="margin: 0 0 10px; color: #212529; font-size: 16px; font-weight: 600;">💡 Quick Tips:</h3>
@@ -203,6 +215,63 @@ export function getInterviewReminderEmailTemplate(userName, application) {
   return baseTemplate(content, 'Interview Reminder');
 }
 
+/**
+ * Offer deadline reminder email template
+ * @param {string} userName - User's first name
+ * @param {Object} application - Job application object
+ * @param {Object} offer - Offer (currency, amounts, start date, response deadline)
+ * @returns {string} HTML email
+ */
+export function getOfferDeadlineReminderEmailTemplate(userName, application, offer) {
+  const company = application.company || 'the company';
+  const jobTitle = application.jobTitle || 'the position';
+  const detailLine = (label, value) => `
+      <p style="margin: 10px 0 0; color: #495057; font-size: 15px; line-height: 1.6;">
+        <strong>${label}:</strong> ${value}
+      </p>`;
+  const offerLines = [
+    offer.baseSalary > 0 && detailLine('Base Salary', formatAmount(offer.baseSalary, offer.currency)),
+    offer.bonus > 0 && detailLine('Bonus', formatAmount(offer.bonus, offer.currency)),
+    offer.signOnBonus > 0 && detailLine('Sign-on Bonus', formatAmount(offer.signOnBonus, offer.currency)),
+    offer.startDate && detailLine('Start Date', new Date(offer.startDate).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      timeZone: 'UTC',
+    })),
+  ].filter(Boolean).join('');
+
+  const content = `
+    <h2 style="margin: 0 0 20px; color: #212529; font-size: 24px; font-weight: 600;">Offer Deadline Reminder ⏰</h2>
+    <p style="margin: 0 0 20px; color: #495057; font-size: 16px; line-height: 1.6;">
+      Hi ${userName || 'there'},
+    </p>
+    <p style="margin: 0 0 20px; color: #495057; font-size: 16px; line-height: 1.6;">
+      Your offer from ${company} needs an answer by <strong>${formatInTimeZone(offer.responseDeadline)}</strong>.
+    </p>
+    <div style="margin: 30px 0; padding: 20px; background-color: #f8f9fa; border-radius: 6px; border-left: 4px solid #667eea;">
+      <h3 style="margin: 0 0 15px; color: #212529; font-size: 18px; font-weight: 600;">Offer Details</h3>
+      <p style="margin: 0 0 10px; color: #495057; font-size: 15px; line-height: 1.6;">
+        <strong>Company:</strong> ${company}
+      </p>
+      <p style="margin: 0; color: #495057; font-size: 15px; line-height: 1.6;">
+        <strong>Position:</strong> ${jobTitle}
+      </p>${offerLines}
+    </div>
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${process.env.FRONTEND_URL || 'http://localhost:3000'}/dashboard/offers" 
+         style="display: inline-block; padding: 14px 32px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
+                color: #ffffff; text-decoration: none; border-radius: 6px; font-weight: 600; font-size: 16px;">
+        Compare Your Offers
+      </a>
+    </div>
+    <p style="margin: 20px 0 0; color: #6c757d; font-size: 14px; line-height: 1.6;">
+      Congratulations on the offer! 🎉
+    </p>
+  `;
+  return baseTemplate(content, 'Offer Deadline Reminder');
+}
+
 /**
  * AI report ready email template
  * @param {string} userName - User's first name
@@ -253,11 +322,20 @@ export function getAIReportReadyEmailTemplate(userName, reportType, applicationI
  * @param {string} userName - User's first name
  * @param {Object} application - Job application object
  * @param {string} reminderType - Type of reminder (follow-up, deadline, response)
+ * @param {Object} [contact] - Contact to follow up with (name, role, email, phone)
  * @returns {string} HTML email
  */
-export function getFollowUpReminderEmailTemplate(userName, application, reminderType = 'follow-up') {
+export function getFollowUpReminderEmailTemplate(userName, application, reminderType = 'follow-up', contact = null) {
   const company = application.company || 'the company';
   const jobTitle = application.jobTitle || 'the position';
+  const contactRole = contact?.role ? ` (${contact.role})` : '';
+  const contactDetails = contact ? [contact.email, contact.phone].filter(Boolean).join(', ') : '';
+  const contactLine = contact
+    ? `
+      <p style="margin: 10px 0 0; color: #495057; font-size: 15px; line-height: 1.6;">
+        <strong>Contact:</strong> ${contact.name}${contactRole}${contactDetails ? ` - ${contactDetails}` : ''}
+      </p>`
+    : '';
   
   const reminderMessages = {
     'follow-up': {
@@ -277,7 +355,11 @@ export function getFollowUpReminderEmailTemplate(userName, application, reminder
     },
   };
 
-  const reminder = reminderMessages[reminderType] || reminderMessages['follow-up'];
+  const reminder = { ...(reminderMessages[reminderType] || reminderMessages['follow-up']) };
+  if (contact && reminderType === 'follow-up') {
+    reminder.message = `This is a reminder to follow up with ${contact.name} about your job application.`;
+    reminder.action = `Follow up with ${contact.name}`;
+  }
   
   const content = `
     <h2 style="margin: 0 0 20px; color: #212529; font-size: 24px; font-weight: 600;">${reminder.title}</h2>
@@ -297,7 +379,7 @@ export function getFollowUpReminderEmailTemplate(userName, application, reminder
       </p>
       <p style="margin: 0; color: #495057; font-size: 15px; line-height: 1.6;">
         <strong>Status:</strong> ${application.status || 'Applied'}
-      </p>
+      </p>${contactLine}
     </div>
     <div style="text-align: center; margin: 30px 0;">
       <a href="${process.env.FRONTEND_URL || 'http://localhost:3000'}/applications/${application._id || ''}" 
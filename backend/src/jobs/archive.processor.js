@@ -0,0 +1,90 @@
+import cron from 'node-cron';
+import jobApplicationService from '../services/jobApplication.service.js';
+
+/**
+ * Archive Processor (Job Scheduler)
+ *
+ * Why: Rejected applications clutter the list and analytics long after they
+ * are closed. Users can opt in to having them archived automatically after
+ * a number of days (settings.autoArchiveRejectedAfterDays); this background
+ * job applies that setting.
+ *
+ * Responsibilities:
+ * - Periodically archive applications that have been in a rejected stage
+ *   for longer than each user's setting
+ * - Log processing activity
+ *
+ * Scheduling:
+ * - Runs once a day at 02:00 UTC
+ */
+class ArchiveProcessor {
+  constructor() {
+    this.isRunning = false;
+    this.cronJob = null;
+  }
+
+  /**
+   * Archive rejected applications for users with auto-archive turned on
+   * This is the main function that runs on schedule
+   */
+  async archiveRejected() {
+    if (this.isRunning) {
+      console.log('⏳ Archive processor already running, skipping...');
+      return;
+    }
+
+    this.isRunning = true;
+    console.log(`📦 Auto-archiving rejected applications at ${new Date().toISOString()}...`);
+
+    try {
+      const archived = await jobApplicationService.autoArchiveRejected();
+      console.log(`✅ Auto-archive complete: ${archived} application(s) archived`);
+    } catch (error) {
+      console.error('❌ Error auto-archiving applications:', error.message);
+      console.error('   Stack:', error.stack);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Start the archive processor
+   */
+  start() {
+    if (this.cronJob) {
+      console.log('⚠️ Archive processor already started');
+      return;
+    }
+
+    // Format: '0 2 * * *' = every day at 02:00
+    this.cronJob = cron.schedule('0 2 * * *', async () => {
+      await this.archiveRejected();
+    }, {
+      scheduled: true,
+      timezone: 'UTC',
+    });
+
+    console.log('✅ Archive processor started (runs daily)');
+  }
+
+  /**
+   * Stop the archive processor
+   */
+  stop() {
+    if (this.cronJob) {
+      this.cronJob.stop();
+      this.cronJob = null;
+      console.log('🛑 Archive processor stopped');
+    }
+  }
+
+  /**
+   * Manually trigger auto-archiving (for testing/debugging)
+   */
+  async triggerNow() {
+    console.log('📦 Manually triggering auto-archive...');
+    await this.archiveRejected();
+  }
+}
+
+export default new ArchiveProcessor();
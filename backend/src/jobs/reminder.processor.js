@@ -88,10 +88,10 @@ class ReminderProcessor {
 
   /**
    * Send email for a specific reminder
-   * @param {Object} reminder - Reminder object with populated user and application
+   * @param {Object} reminder - Reminder object with populated user, application, contact, interview round and offer
    */
   async sendReminderEmail(reminder) {
-    const { user, application, reminderType } = reminder;
+    const { user, application, contact, interviewRound, offer, reminderType } = reminder;
 
     if (!user || !application) {
       throw new Error('Reminder missing user or application data');
@@ -101,15 +101,23 @@ class ReminderProcessor {
     switch (reminderType) {
       case REMINDER_TYPE.INTERVIEW:
         // Use interview reminder email template
-        await EmailService.sendInterviewReminder(user, application);
+        await EmailService.sendInterviewReminder(user, application, interviewRound);
         break;
 
-      case REMINDER_TYPE.FOLLOW_UP:
       case REMINDER_TYPE.DEADLINE:
+        if (offer?.responseDeadline) {
+          // Deadline generated for an offer
+          await EmailService.sendOfferDeadlineReminder(user, application, offer);
+        } else {
+          await EmailService.sendFollowUpReminder(user, application, reminderType, contact);
+        }
+        break;
+
+      case REMINDER_TYPE.FOLLOW_UP:
       case REMINDER_TYPE.RESPONSE:
       default:
         // Use generic follow-up email (can be customized later)
-        await EmailService.sendFollowUpReminder(user, application, reminderType);
+        await EmailService.sendFollowUpReminder(user, application, reminderType, contact);
         break;
     }
   }
@@ -0,0 +1,92 @@
+import cron from 'node-cron';
+import config from '../config/index.js';
+import jobApplicationService from '../services/jobApplication.service.js';
+
+/**
+ * Trash Processor (Job Scheduler)
+ *
+ * Why: Deleted applications stay in the trash so they can be restored.
+ * This background job removes them for good once they have been there
+ * longer than the retention period (TRASH_RETENTION_DAYS).
+ *
+ * Responsibilities:
+ * - Periodically purge applications deleted before the retention cutoff
+ * - Remove their reminders and status history with them
+ * - Log processing activity
+ *
+ * Scheduling:
+ * - Runs once a day at 03:00 UTC
+ */
+class TrashProcessor {
+  constructor() {
+    this.isRunning = false;
+    this.cronJob = null;
+  }
+
+  /**
+   * Purge applications whose retention period has passed
+   * This is the main function that runs on schedule
+   */
+  async purgeExpired() {
+    if (this.isRunning) {
+      console.log('⏳ Trash processor already running, skipping...');
+      return;
+    }
+
+    this.isRunning = true;
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - config.TRASH_RETENTION_DAYS);
+    console.log(`🗑️ Purging applications deleted before ${cutoff.toISOString()}...`);
+
+    try {
+      const purged = await jobApplicationService.purgeTrash(cutoff);
+      console.log(`✅ Trash purge complete: ${purged} application(s) permanently deleted`);
+    } catch (error) {
+      console.error('❌ Error purging trash:', error.message);
+      console.error('   Stack:', error.stack);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Start the trash processor
+   */
+  start() {
+    if (this.cronJob) {
+      console.log('⚠️ Trash processor already started');
+      return;
+    }
+
+    // Format: '0 3 * * *' = every day at 03:00
+    this.cronJob = cron.schedule('0 3 * * *', async () => {
+      await this.purgeExpired();
+    }, {
+      scheduled: true,
+      timezone: 'UTC',
+    });
+
+    console.log(`✅ Trash processor started (daily, ${config.TRASH_RETENTION_DAYS}-day retention)`);
+  }
+
+  /**
+   * Stop the trash processor
+   */
+  stop() {
+    if (this.cronJob) {
+      this.cronJob.stop();
+      this.cronJob = null;
+      console.log('🛑 Trash processor stopped');
+    }
+  }
+
+  /**
+   * Manually trigger a purge (for testing/debugging)
+   */
+  async triggerNow() {
+    console.log('🗑️ Manually triggering trash purge...');
+    await this.purgeExpired();
+  }
+}
+
+export default new TrashProcessor();
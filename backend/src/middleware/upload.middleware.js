@@ -0,0 +1,63 @@
+import path from 'path';
+import multer from 'multer';
+
+/**
+ * Upload Middleware
+ * 
+ * Why: Parses multipart file uploads into memory before they reach controllers.
+ * Files are small and processed immediately, so nothing is written to disk.
+ * 
+ * Responsibilities:
+ * - Accept a single file from a named form field
+ * - Enforce a maximum file size and allowed extensions
+ * - Return 400 with a clear message for rejected uploads
+ */
+
+/**
+ * Accept one file from a form field
+ * @param {string} fieldName - Form field holding the file
+ * @param {Object} options - Upload rules
+ * @param {Array<string>} options.extensions - Allowed extensions (e.g. ['.csv'])
+ * @param {number} options.maxFileSize - Maximum file size in bytes
+ * @returns {Function} Express middleware function
+ */
+export function uploadSingle(fieldName, { extensions, maxFileSize }) {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxFileSize, files: 1 },
+    fileFilter: (req, file, callback) => {
+      const extension = path.extname(file.originalname || '').toLowerCase();
+      if (!extensions.includes(extension)) {
+        const error = new Error(`Unsupported file type. Allowed: ${extensions.join(', ')}`);
+        error.statusCode = 400;
+        return callback(error);
+      }
+      callback(null, true);
+    },
+  }).single(fieldName);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (!error) {
+        if (!req.file) {
+          return res.status(400).json({
+            success: false,
+            message: `A file is required in the "${fieldName}" field`,
+          });
+        }
+        return next();
+      }
+
+      // Multer errors (size, unexpected field) are client errors
+      let message = error.message || 'File upload failed';
+      if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+        message = `File is too large. Maximum size is ${Math.round(maxFileSize / (1024 * 1024))} MB`;
+      }
+
+      res.status(error.statusCode || 400).json({
+        success: false,
+        message,
+      });
+    });
+  };
+}
@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+import {
+  COMPANY_WEBSITE_MAX_LENGTH,
+  COMPANY_INDUSTRY_MAX_LENGTH,
+  COMPANY_HEADQUARTERS_MAX_LENGTH,
+  COMPANY_NOTES_MAX_LENGTH,
+  COMPANY_SIZES,
+  COMPANY_RATING_FIELDS,
+  COMPANY_RATING_MIN,
+  COMPANY_RATING_MAX,
+} from './company.constants.js';
+import { COMPANY_NAME_MAX_LENGTH } from './jobApplication.constants.js';
+
+/**
+ * Company Mongoose Model
+ *
+ * Why: Applications to several roles at one employer share the same
+ * research. A company holds it once - website, industry, size,
+ * headquarters, notes and ratings - and applications link to it.
+ * Applications keep their own company name as entered; nameKey (the
+ * normalized name) is what they are matched on.
+ *
+ * Responsibilities:
+ * - Define schema structure for companies
+ * - Enforce one company per normalized name per user
+ * - Handle data validation at the database level
+ */
+const ratingField = {
+  type: Number,
+  min: [COMPANY_RATING_MIN, `Ratings must be between ${COMPANY_RATING_MIN} and ${COMPANY_RATING_MAX}`],
+  max: [COMPANY_RATING_MAX, `Ratings must be between ${COMPANY_RATING_MIN} and ${COMPANY_RATING_MAX}`],
+  default: null,
+};
+
+const companySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User reference is required'],
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Company name is required'],
+      trim: true,
+      maxlength: [COMPANY_NAME_MAX_LENGTH, `Company name cannot exceed ${COMPANY_NAME_MAX_LENGTH} characters`],
+    },
+    // Normalized name (utils/company.js), set by the service whenever the name changes
+    nameKey: {
+      type: String,
+      required: true,
+    },
+    website: {
+      type: String,
+      trim: true,
+      maxlength: [COMPANY_WEBSITE_MAX_LENGTH, `Website cannot exceed ${COMPANY_WEBSITE_MAX_LENGTH} characters`],
+      default: '',
+    },
+    industry: {
+      type: String,
+      trim: true,
+      maxlength: [COMPANY_INDUSTRY_MAX_LENGTH, `Industry cannot exceed ${COMPANY_INDUSTRY_MAX_LENGTH} characters`],
+      default: '',
+    },
+    size: {
+      type: String,
+      enum: {
+        values: [...COMPANY_SIZES, null],
+        message: 'Invalid company size',
+      },
+      default: null,
+    },
+    headquarters: {
+      type: String,
+      trim: true,
+      maxlength: [COMPANY_HEADQUARTERS_MAX_LENGTH, `Headquarters cannot exceed ${COMPANY_HEADQUARTERS_MAX_LENGTH} characters`],
+      default: '',
+    },
+    // Research shared by every application to this company
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [COMPANY_NOTES_MAX_LENGTH, `Notes cannot exceed ${COMPANY_NOTES_MAX_LENGTH} characters`],
+      default: '',
+    },
+    // Entered by hand (e.g. from review sites); null = not rated
+    ratings: Object.fromEntries(COMPANY_RATING_FIELDS.map((field) => [field, ratingField])),
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt fields
+  }
+);
+
+// One company per normalized name per user
+companySchema.index({ user: 1, nameKey: 1 }, { unique: true });
+
+const Company = mongoose.model('Company', companySchema);
+
+export default Company;
@@ -0,0 +1,116 @@
+import mongoose from 'mongoose';
+import {
+  CONTACT_NAME_MAX_LENGTH,
+  CONTACT_ROLE_MAX_LENGTH,
+  CONTACT_EMAIL_MAX_LENGTH,
+  CONTACT_PHONE_MAX_LENGTH,
+  CONTACT_URL_MAX_LENGTH,
+  CONTACT_NOTES_MAX_LENGTH,
+  CONTACT_RELATIONSHIP,
+} from './contact.constants.js';
+import { COMPANY_NAME_MAX_LENGTH } from './jobApplication.constants.js';
+
+/**
+ * Contact Mongoose Model
+ *
+ * Why: Recruiters, hiring managers, referrers and interviewers are part
+ * of the job search. A contact is stored once and linked to every
+ * application it is involved in, with its role in each one.
+ *
+ * Responsibilities:
+ * - Define schema structure for contacts
+ * - Store links to applications (many-to-many) with a relationship type
+ * - Handle data validation at the database level
+ */
+const applicationLinkSchema = new mongoose.Schema(
+  {
+    application: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JobApplication',
+      required: [true, 'Job application reference is required'],
+    },
+    relationship: {
+      type: String,
+      enum: {
+        values: Object.values(CONTACT_RELATIONSHIP),
+        message: 'Invalid relationship type',
+      },
+      required: [true, 'Relationship type is required'],
+    },
+  },
+  { _id: false }
+);
+
+const contactSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User reference is required'],
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Contact name is required'],
+      trim: true,
+      maxlength: [CONTACT_NAME_MAX_LENGTH, `Name cannot exceed ${CONTACT_NAME_MAX_LENGTH} characters`],
+    },
+    role: {
+      type: String,
+      trim: true,
+      maxlength: [CONTACT_ROLE_MAX_LENGTH, `Role cannot exceed ${CONTACT_ROLE_MAX_LENGTH} characters`],
+      default: '',
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [CONTACT_EMAIL_MAX_LENGTH, `Email cannot exceed ${CONTACT_EMAIL_MAX_LENGTH} characters`],
+      default: '',
+    },
+    phone: {
+      type: String,
+      trim: true,
+      maxlength: [CONTACT_PHONE_MAX_LENGTH, `Phone cannot exceed ${CONTACT_PHONE_MAX_LENGTH} characters`],
+      default: '',
+    },
+    linkedInUrl: {
+      type: String,
+      trim: true,
+      maxlength: [CONTACT_URL_MAX_LENGTH, `LinkedIn URL cannot exceed ${CONTACT_URL_MAX_LENGTH} characters`],
+      default: '',
+    },
+    // Where the contact works (free text - agencies are not companies applied to)
+    company: {
+      type: String,
+      trim: true,
+      maxlength: [COMPANY_NAME_MAX_LENGTH, `Company name cannot exceed ${COMPANY_NAME_MAX_LENGTH} characters`],
+      default: '',
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [CONTACT_NOTES_MAX_LENGTH, `Notes cannot exceed ${CONTACT_NOTES_MAX_LENGTH} characters`],
+      default: '',
+    },
+    lastContactedAt: {
+      type: Date,
+      default: null,
+    },
+    // One entry per application; the relationship can differ per application
+    applications: {
+      type: [applicationLinkSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt fields
+  }
+);
+
+// Contacts of an application
+contactSchema.index({ user: 1, 'applications.application': 1 });
+
+const Contact = mongoose.model('Contact', contactSchema);
+
+export default Contact;
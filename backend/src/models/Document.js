@@ -0,0 +1,137 @@
+import mongoose from 'mongoose';
+import {
+  DOCUMENT_NAME_MAX_LENGTH,
+  DOCUMENT_NOTES_MAX_LENGTH,
+  DOCUMENT_TYPE,
+  DOCUMENT_FILE_EXTENSIONS,
+} from './document.constants.js';
+
+/**
+ * Document Mongoose Model
+ *
+ * Why: Users send different resumes and cover letters to different
+ * applications and revise them over time. A document groups the versions
+ * of one file (e.g. "Backend resume"); an application records exactly
+ * which version was sent.
+ *
+ * Responsibilities:
+ * - Define schema structure for documents and their versions
+ * - Store file metadata only - file contents live in the storage adapter (storage/)
+ * - Store links to applications with the version that was sent
+ * - Handle data validation at the database level
+ */
+const versionSchema = new mongoose.Schema(
+  {
+    // 1, 2, 3... never reused, even after a version is deleted
+    version: {
+      type: Number,
+      required: [true, 'Version number is required'],
+      min: 1,
+    },
+    originalName: {
+      type: String,
+      required: [true, 'File name is required'],
+      trim: true,
+    },
+    extension: {
+      type: String,
+      enum: {
+        values: DOCUMENT_FILE_EXTENSIONS,
+        message: 'Unsupported file type',
+      },
+      required: [true, 'File extension is required'],
+    },
+    size: {
+      type: Number,
+      required: [true, 'File size is required'],
+      min: 0,
+    },
+    // Key of the file in the storage adapter
+    storageKey: {
+      type: String,
+      required: [true, 'Storage key is required'],
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [DOCUMENT_NOTES_MAX_LENGTH, `Notes cannot exceed ${DOCUMENT_NOTES_MAX_LENGTH} characters`],
+      default: '',
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const applicationLinkSchema = new mongoose.Schema(
+  {
+    application: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JobApplication',
+      required: [true, 'Job application reference is required'],
+    },
+    // Version sent with the application
+    version: {
+      type: Number,
+      required: [true, 'Version number is required'],
+      min: 1,
+    },
+    attachedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const documentSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User reference is required'],
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Document name is required'],
+      trim: true,
+      maxlength: [DOCUMENT_NAME_MAX_LENGTH, `Name cannot exceed ${DOCUMENT_NAME_MAX_LENGTH} characters`],
+    },
+    type: {
+      type: String,
+      enum: {
+        values: Object.values(DOCUMENT_TYPE),
+        message: 'Invalid document type',
+      },
+      default: DOCUMENT_TYPE.RESUME,
+    },
+    // Oldest first
+    versions: {
+      type: [versionSchema],
+      default: [],
+    },
+    // Highest version number ever used (the next upload gets latestVersion + 1)
+    latestVersion: {
+      type: Number,
+      default: 0,
+    },
+    // One entry per application
+    applications: {
+      type: [applicationLinkSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt fields
+  }
+);
+
+// Documents attached to an application
+documentSchema.index({ user: 1, 'applications.application': 1 });
+
+const Document = mongoose.model('Document', documentSchema);
+
+export default Document;
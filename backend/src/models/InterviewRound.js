@@ -0,0 +1,153 @@
+import mongoose from 'mongoose';
+import {
+  ROUND_NAME_MAX_LENGTH,
+  ROUND_LOCATION_MAX_LENGTH,
+  ROUND_URL_MAX_LENGTH,
+  ROUND_NOTES_MAX_LENGTH,
+  INTERVIEWER_NAME_MAX_LENGTH,
+  INTERVIEWER_ROLE_MAX_LENGTH,
+  TIMEZONE_MAX_LENGTH,
+  MAX_INTERVIEWERS_PER_ROUND,
+  ROUND_TYPE,
+  ROUND_OUTCOME,
+  SELF_RATING_MIN,
+  SELF_RATING_MAX,
+} from './interviewRound.constants.js';
+
+/**
+ * Interview Round Mongoose Model
+ *
+ * Why: An application usually goes through several interviews. Each round
+ * has its own time, place, interviewers and outcome, so rounds are stored
+ * as their own documents next to the application rather than inferred from
+ * the application status.
+ *
+ * Responsibilities:
+ * - Define schema structure for interview rounds
+ * - Establish relationships with User and JobApplication models
+ * - Handle data validation at the database level
+ */
+const interviewerSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Interviewer name is required'],
+      trim: true,
+      maxlength: [INTERVIEWER_NAME_MAX_LENGTH, `Interviewer name cannot exceed ${INTERVIEWER_NAME_MAX_LENGTH} characters`],
+    },
+    role: {
+      type: String,
+      trim: true,
+      maxlength: [INTERVIEWER_ROLE_MAX_LENGTH, `Interviewer role cannot exceed ${INTERVIEWER_ROLE_MAX_LENGTH} characters`],
+      default: '',
+    },
+  },
+  { _id: false }
+);
+
+const interviewRoundSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User reference is required'],
+      index: true,
+    },
+    application: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JobApplication',
+      required: [true, 'Job application reference is required'],
+    },
+    name: {
+      type: String,
+      required: [true, 'Round name is required'],
+      trim: true,
+      maxlength: [ROUND_NAME_MAX_LENGTH, `Round name cannot exceed ${ROUND_NAME_MAX_LENGTH} characters`],
+    },
+    type: {
+      type: String,
+      enum: {
+        values: Object.values(ROUND_TYPE),
+        message: 'Invalid round type',
+      },
+      default: ROUND_TYPE.OTHER,
+    },
+    // Stored in UTC; null until the round is scheduled
+    scheduledStart: {
+      type: Date,
+      default: null,
+    },
+    scheduledEnd: {
+      type: Date,
+      default: null,
+      validate: {
+        validator(value) {
+          return !value || !this.scheduledStart || value >= this.scheduledStart;
+        },
+        message: 'End time cannot be before the start time',
+      },
+    },
+    // IANA time zone the round was scheduled in (used to display its time)
+    timezone: {
+      type: String,
+      trim: true,
+      maxlength: [TIMEZONE_MAX_LENGTH, `Time zone cannot exceed ${TIMEZONE_MAX_LENGTH} characters`],
+      default: 'UTC',
+    },
+    // Address or room for in-person rounds
+    location: {
+      type: String,
+      trim: true,
+      maxlength: [ROUND_LOCATION_MAX_LENGTH, `Location cannot exceed ${ROUND_LOCATION_MAX_LENGTH} characters`],
+      default: '',
+    },
+    // Video call link for remote rounds
+    meetingUrl: {
+      type: String,
+      trim: true,
+      maxlength: [ROUND_URL_MAX_LENGTH, `Meeting link cannot exceed ${ROUND_URL_MAX_LENGTH} characters`],
+      default: '',
+    },
+    interviewers: {
+      type: [interviewerSchema],
+      default: [],
+      validate: {
+        validator: (interviewers) => interviewers.length <= MAX_INTERVIEWERS_PER_ROUND,
+        message: `A round cannot have more than ${MAX_INTERVIEWERS_PER_ROUND} interviewers`,
+      },
+    },
+    // How the user thinks the round went
+    selfAssessment: {
+      rating: {
+        type: Number,
+        min: [SELF_RATING_MIN, `Rating must be at least ${SELF_RATING_MIN}`],
+        max: [SELF_RATING_MAX, `Rating cannot exceed ${SELF_RATING_MAX}`],
+        default: null,
+      },
+      notes: {
+        type: String,
+        trim: true,
+        maxlength: [ROUND_NOTES_MAX_LENGTH, `Self-assessment cannot exceed ${ROUND_NOTES_MAX_LENGTH} characters`],
+        default: '',
+      },
+    },
+    outcome: {
+      type: String,
+      enum: {
+        values: Object.values(ROUND_OUTCOME),
+        message: 'Invalid round outcome',
+      },
+      default: ROUND_OUTCOME.PENDING,
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt fields
+  }
+);
+
+// Rounds of an application in schedule order
+interviewRoundSchema.index({ user: 1, application: 1, scheduledStart: 1 });
+
+const InterviewRound = mongoose.model('InterviewRound', interviewRoundSchema);
+
+export default InterviewRound;
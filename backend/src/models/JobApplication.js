@@ -1,5 +1,56 @@
 import mongoose from 'mongoose';
-import { APPLICATION_STATUS } from './jobApplication.constants.js';
+import {
+  APPLICATION_STATUS,
+  SEARCH_FIELD_WEIGHTS,
+  TAG_MAX_LENGTH,
+  MAX_TAGS_PER_APPLICATION,
+  SALARY_PERIOD,
+  MAX_SALARY_AMOUNT,
+  REMOTE_POLICY,
+  EMPLOYMENT_TYPE,
+  SENIORITY_LEVEL,
+  LOCATION_MAX_LENGTH,
+  MAX_LOCATIONS_PER_APPLICATION,
+  SKILL_MAX_LENGTH,
+  MAX_SKILLS_PER_LIST,
+  MAX_YEARS_OF_EXPERIENCE,
+} from './jobApplication.constants.js';
+import { STAGE_KEY_REGEX, STAGE_KEY_MAX_LENGTH } from './pipeline.constants.js';
+import { CURRENCY_CODE_REGEX, DEFAULT_CURRENCY } from './offer.constants.js';
+
+// An optional choice from a fixed list (null = not known)
+const optionalEnumField = (values, label) => ({
+  type: String,
+  enum: {
+    values,
+    message: `Invalid ${label}`,
+  },
+  default: null,
+});
+
+// A list of skills, e.g. ["TypeScript", "PostgreSQL"]
+const skillListField = (label) => ({
+  type: [
+    {
+      type: String,
+      trim: true,
+      maxlength: [SKILL_MAX_LENGTH, `Skill cannot exceed ${SKILL_MAX_LENGTH} characters`],
+    },
+  ],
+  default: [],
+  validate: {
+    validator: (skills) => skills.length <= MAX_SKILLS_PER_LIST,
+    message: `Cannot have more than ${MAX_SKILLS_PER_LIST} ${label}`,
+  },
+});
+
+// A salary amount in the currency and period of its range (null = not known)
+const salaryAmountField = (label) => ({
+  type: Number,
+  min: [0, `${label} cannot be negative`],
+  max: [MAX_SALARY_AMOUNT, `${label} is too large`],
+  default: null,
+});
 
 /**
  * Job Application Mongoose Model
@@ -28,6 +79,13 @@ const jobApplicationSchema = new mongoose.Schema(
       trim: true,
       maxlength: [200, 'Company name cannot exceed 200 characters'],
     },
+    // Company this application is linked to, matched on the normalized company name
+    // (null until matched - see companyService.syncCompanies)
+    companyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      default: null,
+    },
     jobTitle: {
       type: String,
       required: [true, 'Job title is required'],
@@ -46,9 +104,12 @@ const jobApplicationSchema = new mongoose.Schema(
       maxlength: [10000, 'Job description cannot exceed 10000 characters'],
       default: '',
     },
+    // Key of a stage in the owner's pipeline (validated against it in the service layer)
     status: {
       type: String,
-      enum: Object.values(APPLICATION_STATUS),
+      trim: true,
+      maxlength: [STAGE_KEY_MAX_LENGTH, `Status cannot exceed ${STAGE_KEY_MAX_LENGTH} characters`],
+      match: [STAGE_KEY_REGEX, 'Invalid status value'],
       default: APPLICATION_STATUS.SAVED,
       index: true, // Index for filtering by status
     },
@@ -56,6 +117,13 @@ const jobApplicationSchema = new mongoose.Schema(
       type: Date,
       default: null, // Can be null if status is 'saved'
     },
+    // Position of the card within its status column on the board view.
+    // null = not placed yet (shown at the top of the column, newest first)
+    boardPosition: {
+      type: Number,
+      min: [0, 'Board position cannot be negative'],
+      default: null,
+    },
     source: {
       type: String,
       trim: true,
@@ -68,6 +136,93 @@ const jobApplicationSchema = new mongoose.Schema(
       maxlength: [5000, 'Notes cannot exceed 5000 characters'],
       default: '',
     },
+    // Free-form labels for grouping applications (e.g. "remote", "dream job")
+    tags: {
+      type: [
+        {
+          type: String,
+          trim: true,
+          maxlength: [TAG_MAX_LENGTH, `Tag cannot exceed ${TAG_MAX_LENGTH} characters`],
+        },
+      ],
+      default: [],
+      validate: {
+        validator: (tags) => tags.length <= MAX_TAGS_PER_APPLICATION,
+        message: `An application cannot have more than ${MAX_TAGS_PER_APPLICATION} tags`,
+      },
+    },
+    // Posted salary range and the salary the user asked for, all in one
+    // currency and pay period (converted when filtering and charting)
+    salary: {
+      min: salaryAmountField('Minimum salary'),
+      max: salaryAmountField('Maximum salary'),
+      currency: {
+        type: String,
+        uppercase: true,
+        trim: true,
+        match: [CURRENCY_CODE_REGEX, 'Currency must be a 3-letter ISO code'],
+        default: DEFAULT_CURRENCY,
+      },
+      period: {
+        type: String,
+        enum: {
+          values: Object.values(SALARY_PERIOD),
+          message: 'Invalid salary period',
+        },
+        default: SALARY_PERIOD.ANNUAL,
+      },
+      expected: salaryAmountField('Expected salary'),
+    },
+    // Where the job is based, e.g. ["Berlin", "Remote - EU"]
+    locations: {
+      type: [
+        {
+          type: String,
+          trim: true,
+          maxlength: [LOCATION_MAX_LENGTH, `Location cannot exceed ${LOCATION_MAX_LENGTH} characters`],
+        },
+      ],
+      default: [],
+      validate: {
+        validator: (locations) => locations.length <= MAX_LOCATIONS_PER_APPLICATION,
+        message: `An application cannot have more than ${MAX_LOCATIONS_PER_APPLICATION} locations`,
+      },
+    },
+    remotePolicy: optionalEnumField(Object.values(REMOTE_POLICY), 'remote policy'),
+    employmentType: optionalEnumField(Object.values(EMPLOYMENT_TYPE), 'employment type'),
+    seniority: optionalEnumField(Object.values(SENIORITY_LEVEL), 'seniority level'),
+    // Whether the employer sponsors work visas (null = not known)
+    visaSponsorship: {
+      type: Boolean,
+      default: null,
+    },
+    // What the job asks for (see the AI requirements task)
+    requiredSkills: skillListField('required skills'),
+    niceToHaveSkills: skillListField('nice-to-have skills'),
+    // Minimum years of experience asked for (null = not stated)
+    yearsOfExperience: {
+      type: Number,
+      min: [0, 'Years of experience cannot be negative'],
+      max: [MAX_YEARS_OF_EXPERIENCE, `Years of experience cannot exceed ${MAX_YEARS_OF_EXPERIENCE}`],
+      default: null,
+    },
+    // Set when the application is archived (null = active); archived
+    // applications are hidden from lists and analytics unless requested
+    archivedAt: {
+      type: Date,
+      default: null,
+    },
+    // Set when the application is moved to the trash (null = not deleted)
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    // Resume from the library used for this application (null = the default resume)
+    resumeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Resume',
+      default: null,
+    },
     // AI-generated insights for this job application
     aiInsights: {
       resumeMatch: {
@@ -77,6 +232,9 @@ const jobApplicationSchema = new mongoose.Schema(
         suggestions: { type: [String], default: [] },
         summary: { type: String, default: '' },
         analyzedAt: { type: Date, default: null },
+        // Resume the analysis read (name kept in case the resume is renamed or deleted)
+        resumeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Resume', default: null },
+        resumeName: { type: String, default: '' },
       },
       interviewPrep: {
         likelyQuestions: { type: [String], default: [] },
@@ -86,6 +244,8 @@ const jobApplicationSchema = new mongoose.Schema(
         questionsToAsk: { type: [String], default: [] },
         summary: { type: String, default: '' },
         generatedAt: { type: Date, default: null },
+        resumeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Resume', default: null },
+        resumeName: { type: String, default: '' },
       },
       resumeImprovement: {
         improvedBullets: { type: [String], default: [] },
@@ -94,6 +254,12 @@ const jobApplicationSchema = new mongoose.Schema(
         summary: { type: String, default: '' },
         generatedAt: { type: Date, default: null },
       },
+      // Last requirements extraction; the values live in the fields above
+      requirements: {
+        extractedAt: { type: Date, default: null },
+        // Fields that were empty and filled from the description
+        filledFields: { type: [String], default: [] },
+      },
     },
   },
   {
@@ -107,9 +273,24 @@ jobApplicationSchema.index({ user: 1, status: 1 });
 // Compound index for efficient queries: user + createdAt (for sorting)
 jobApplicationSchema.index({ user: 1, createdAt: -1 });
 
+// Compound index for the board view: user + status column + card order
+jobApplicationSchema.index({ user: 1, status: 1, boardPosition: 1 });
+
 // Index for date applied queries
 jobApplicationSchema.index({ user: 1, dateApplied: -1 });
 
+// Index for the trash: user + deletion date (listing and purging)
+jobApplicationSchema.index({ user: 1, deletedAt: -1 });
+
+// Index for a company's applications and linking unmatched ones
+jobApplicationSchema.index({ user: 1, companyId: 1 });
+
+// Text index for full-text search (MongoDB allows one per collection)
+jobApplicationSchema.index(
+  Object.fromEntries(Object.keys(SEARCH_FIELD_WEIGHTS).map((field) => [field, 'text'])),
+  { name: 'application_text_search', weights: SEARCH_FIELD_WEIGHTS }
+);
+
 const JobApplication = mongoose.model('JobApplication', jobApplicationSchema);
 
 export default JobApplication;
@@ -0,0 +1,130 @@
+import mongoose from 'mongoose';
+import {
+  OFFER_TEXT_MAX_LENGTH,
+  OFFER_NOTES_MAX_LENGTH,
+  MAX_COMPENSATION_AMOUNT,
+  MAX_PTO_DAYS,
+  CURRENCY_CODE_REGEX,
+  DEFAULT_CURRENCY,
+  DEFAULT_VESTING_SCHEDULE,
+  DEFAULT_VESTING_CLIFF_MONTHS,
+  MAX_VESTING_YEARS,
+  MAX_VESTING_CLIFF_MONTHS,
+  OFFER_DECISION,
+} from './offer.constants.js';
+
+/**
+ * Offer Mongoose Model
+ *
+ * Why: Reaching an offer stage says nothing about the offer itself. Each
+ * application can have one offer recording its compensation and terms, so
+ * offers can be compared and the response deadline is not missed.
+ *
+ * Responsibilities:
+ * - Define schema structure for offers (compensation, vesting, terms, deadline)
+ * - Establish relationships with User and JobApplication models
+ * - Handle data validation at the database level
+ *
+ * Amounts are yearly (except the one-time sign-on bonus and the total equity
+ * grant) and in the offer's currency.
+ */
+const amountField = (label) => ({
+  type: Number,
+  min: [0, `${label} cannot be negative`],
+  max: [MAX_COMPENSATION_AMOUNT, `${label} is too large`],
+  default: 0,
+});
+
+const offerSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User reference is required'],
+      index: true,
+    },
+    application: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JobApplication',
+      required: [true, 'Job application reference is required'],
+    },
+    currency: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [CURRENCY_CODE_REGEX, 'Currency must be a 3-letter ISO code (e.g. USD)'],
+      default: DEFAULT_CURRENCY,
+    },
+    baseSalary: amountField('Base salary'),
+    // Yearly target bonus
+    bonus: amountField('Bonus'),
+    // Paid once, in the first year
+    signOnBonus: amountField('Sign-on bonus'),
+    equity: {
+      // Value of the whole grant at offer time
+      grantValue: amountField('Equity grant'),
+      // Percent of the grant vesting in each year, e.g. [25, 25, 25, 25]
+      vestingSchedule: {
+        type: [Number],
+        default: () => [...DEFAULT_VESTING_SCHEDULE],
+        validate: {
+          validator: (schedule) => schedule.length <= MAX_VESTING_YEARS
+            && schedule.every((percent) => percent >= 0)
+            && schedule.reduce((sum, percent) => sum + percent, 0) <= 100,
+          message: `Vesting schedule must cover at most ${MAX_VESTING_YEARS} years and 100% of the grant`,
+        },
+      },
+      cliffMonths: {
+        type: Number,
+        min: [0, 'Cliff cannot be negative'],
+        max: [MAX_VESTING_CLIFF_MONTHS, `Cliff cannot exceed ${MAX_VESTING_CLIFF_MONTHS} months`],
+        default: DEFAULT_VESTING_CLIFF_MONTHS,
+      },
+    },
+    benefits: {
+      type: String,
+      trim: true,
+      maxlength: [OFFER_TEXT_MAX_LENGTH, `Benefits cannot exceed ${OFFER_TEXT_MAX_LENGTH} characters`],
+      default: '',
+    },
+    ptoDays: {
+      type: Number,
+      min: [0, 'PTO days cannot be negative'],
+      max: [MAX_PTO_DAYS, `PTO days cannot exceed ${MAX_PTO_DAYS}`],
+      default: null,
+    },
+    startDate: {
+      type: Date,
+      default: null,
+    },
+    // Date by which the user has to accept or decline
+    responseDeadline: {
+      type: Date,
+      default: null,
+    },
+    decision: {
+      type: String,
+      enum: {
+        values: Object.values(OFFER_DECISION),
+        message: 'Invalid offer decision',
+      },
+      default: OFFER_DECISION.PENDING,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [OFFER_NOTES_MAX_LENGTH, `Notes cannot exceed ${OFFER_NOTES_MAX_LENGTH} characters`],
+      default: '',
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt fields
+  }
+);
+
+// One offer per application
+offerSchema.index({ user: 1, application: 1 }, { unique: true });
+
+const Offer = mongoose.model('Offer', offerSchema);
+
+export default Offer;
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import {
+  STAGE_CATEGORY,
+  STAGE_KEY_REGEX,
+  STAGE_KEY_MAX_LENGTH,
+  STAGE_LABEL_MAX_LENGTH,
+} from './pipeline.constants.js';
+
+/**
+ * Pipeline Mongoose Model
+ *
+ * Why: Stores each user's ordered list of application stages.
+ * Stage order is the array order. Users without a pipeline document
+ * use DEFAULT_PIPELINE_STAGES.
+ *
+ * Responsibilities:
+ * - Define schema structure for pipelines and their stages
+ * - Enforce one pipeline per user
+ * - Handle data validation at the database level
+ */
+const stageSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, 'Stage key is required'],
+      trim: true,
+      maxlength: [STAGE_KEY_MAX_LENGTH, `Stage key cannot exceed ${STAGE_KEY_MAX_LENGTH} characters`],
+      match: [STAGE_KEY_REGEX, 'Stage key must be a lowercase slug'],
+    },
+    label: {
+      type: String,
+      required: [true, 'Stage label is required'],
+      trim: true,
+      maxlength: [STAGE_LABEL_MAX_LENGTH, `Stage label cannot exceed ${STAGE_LABEL_MAX_LENGTH} characters`],
+    },
+    category: {
+      type: String,
+      enum: Object.values(STAGE_CATEGORY),
+      required: [true, 'Stage category is required'],
+    },
+  },
+  { _id: false }
+);
+
+const pipelineSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User reference is required'],
+      unique: true, // One pipeline per user
+    },
+    stages: {
+      type: [stageSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt fields
+  }
+);
+
+const Pipeline = mongoose.model('Pipeline', pipelineSchema);
+
+export default Pipeline;
@@ -11,7 +11,7 @@ import { REMINDER_TYPE } from './reminder.constants.js';
  * Responsibilities:
  * - Define schema structure (fields, types, required, defaults)
  * - Set up indexes for efficient querying of due reminders
- * - Establish relationships with User and JobApplication models
+ * - Establish relationships with User, JobApplication, Contact, InterviewRound and Offer models
  * - Handle data validation at the database level
  */
 const reminderSchema = new mongoose.Schema(
@@ -28,6 +28,24 @@ const reminderSchema = new mongoose.Schema(
       required: [true, 'Job application reference is required'],
       index: true, // Index for faster queries by application
     },
+    // Optional person to follow up with ("follow up with X")
+    contact: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Contact',
+      default: null,
+    },
+    // Interview round this reminder was generated for (kept in sync with its schedule)
+    interviewRound: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InterviewRound',
+      default: null,
+    },
+    // Offer whose response deadline this reminder was generated for
+    offer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Offer',
+      default: null,
+    },
     reminderDate: {
       type: Date,
       required: [true, 'Reminder date is required'],
@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+import {
+  RESUME_NAME_MAX_LENGTH,
+  RESUME_TARGET_ROLE_MAX_LENGTH,
+  RESUME_CONTENT_MAX_LENGTH,
+  RESUME_SECTION_TITLE_MAX_LENGTH,
+  RESUME_SECTION_CONTENT_MAX_LENGTH,
+  RESUME_SECTION_TYPE,
+  MAX_RESUME_SECTIONS,
+} from './resume.constants.js';
+
+/**
+ * Resume Mongoose Model
+ *
+ * Why: Users tailor their resume per role. The resume library keeps several
+ * named resume texts; an application records which one it used and AI
+ * analyses read it instead of the single profile resume summary.
+ *
+ * Responsibilities:
+ * - Define schema structure for resumes (full text plus structured sections)
+ * - Mark the user's default resume
+ * - Handle data validation at the database level
+ */
+const sectionSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: {
+        values: Object.values(RESUME_SECTION_TYPE),
+        message: 'Invalid section type',
+      },
+      default: RESUME_SECTION_TYPE.OTHER,
+    },
+    title: {
+      type: String,
+      trim: true,
+      maxlength: [RESUME_SECTION_TITLE_MAX_LENGTH, `Section title cannot exceed ${RESUME_SECTION_TITLE_MAX_LENGTH} characters`],
+      default: '',
+    },
+    content: {
+      type: String,
+      trim: true,
+      maxlength: [RESUME_SECTION_CONTENT_MAX_LENGTH, `Section content cannot exceed ${RESUME_SECTION_CONTENT_MAX_LENGTH} characters`],
+      default: '',
+    },
+  },
+  { _id: false }
+);
+
+const resumeSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User reference is required'],
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Resume name is required'],
+      trim: true,
+      maxlength: [RESUME_NAME_MAX_LENGTH, `Name cannot exceed ${RESUME_NAME_MAX_LENGTH} characters`],
+    },
+    // Role the resume is tailored for (e.g. "Backend Engineer")
+    targetRole: {
+      type: String,
+      trim: true,
+      maxlength: [RESUME_TARGET_ROLE_MAX_LENGTH, `Target role cannot exceed ${RESUME_TARGET_ROLE_MAX_LENGTH} characters`],
+      default: '',
+    },
+    // Full resume text
+    content: {
+      type: String,
+      trim: true,
+      maxlength: [RESUME_CONTENT_MAX_LENGTH, `Resume text cannot exceed ${RESUME_CONTENT_MAX_LENGTH} characters`],
+      default: '',
+    },
+    // Structured sections, in resume order
+    sections: {
+      type: [sectionSchema],
+      validate: {
+        validator: (sections) => sections.length <= MAX_RESUME_SECTIONS,
+        message: `A resume can have at most ${MAX_RESUME_SECTIONS} sections`,
+      },
+      default: [],
+    },
+    // Used by applications and AI analyses that do not pick a resume
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt fields
+  }
+);
+
+// The user's default resume
+resumeSchema.index({ user: 1, isDefault: 1 });
+
+const Resume = mongoose.model('Resume', resumeSchema);
+
+export default Resume;
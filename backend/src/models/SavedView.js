@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+import {
+  SAVED_VIEW_NAME_MAX_LENGTH,
+  SAVED_VIEW_COLUMNS,
+  DEFAULT_SAVED_VIEW_COLUMNS,
+} from './savedView.constants.js';
+
+/**
+ * Saved View Mongoose Model
+ *
+ * Why: Lets users name a combination of list filters, sort and columns
+ * (e.g. "Applied > 14 days, no response") and come back to it in one click.
+ * Filters are stored as the raw list query parameters so a view always
+ * means the same thing as the equivalent list URL, and relative filters
+ * (appliedMoreThanDaysAgo) are re-evaluated every time the view is used.
+ *
+ * Responsibilities:
+ * - Define schema structure for saved views
+ * - Handle data validation at the database level
+ * - Index views by owner for the sidebar listing
+ */
+const savedViewSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User reference is required'],
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'View name is required'],
+      trim: true,
+      maxlength: [SAVED_VIEW_NAME_MAX_LENGTH, `View name cannot exceed ${SAVED_VIEW_NAME_MAX_LENGTH} characters`],
+    },
+    // Raw list filters, validated with applicationFiltersSchema
+    filters: {
+      type: Object,
+      default: {},
+    },
+    sort: {
+      sortBy: {
+        type: String,
+        default: null,
+      },
+      sortOrder: {
+        type: String,
+        enum: ['asc', 'desc'],
+        default: 'desc',
+      },
+    },
+    columns: {
+      type: [
+        {
+          type: String,
+          enum: SAVED_VIEW_COLUMNS,
+        },
+      ],
+      default: () => [...DEFAULT_SAVED_VIEW_COLUMNS],
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt fields
+    minimize: false, // Keep empty filters objects
+  }
+);
+
+const SavedView = mongoose.model('SavedView', savedViewSchema);
+
+export default SavedView;
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+import { STATUS_NOTE_MAX_LENGTH } from './jobApplication.constants.js';
+import { STAGE_CATEGORY, STAGE_KEY_MAX_LENGTH } from './pipeline.constants.js';
+
+/**
+ * Status History Mongoose Model
+ *
+ * Why: Job applications only store their current status, so every transition
+ * would be lost the moment it happens. This model keeps an append-only log of
+ * status changes (who/when/from/to) so we can build per-application timelines
+ * and historical analytics.
+ *
+ * Responsibilities:
+ * - Define schema structure for a single status transition
+ * - Set up indexes for timeline and analytics queries
+ * - Establish relationships with User and JobApplication models
+ */
+const statusHistorySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User reference is required'],
+      index: true, // Index for faster queries by user
+    },
+    application: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JobApplication',
+      required: [true, 'Job application reference is required'],
+      index: true, // Index for faster queries by application
+    },
+    // Statuses are pipeline stage keys; categories are captured at the time of
+    // the change so history stays meaningful after stages are edited or deleted
+    fromStatus: {
+      type: String,
+      maxlength: [STAGE_KEY_MAX_LENGTH, `Status cannot exceed ${STAGE_KEY_MAX_LENGTH} characters`],
+      default: null, // null when the application was just created
+    },
+    toStatus: {
+      type: String,
+      required: [true, 'New status is required'],
+      maxlength: [STAGE_KEY_MAX_LENGTH, `Status cannot exceed ${STAGE_KEY_MAX_LENGTH} characters`],
+    },
+    fromCategory: {
+      type: String,
+      enum: Object.values(STAGE_CATEGORY),
+      default: null,
+    },
+    toCategory: {
+      type: String,
+      enum: Object.values(STAGE_CATEGORY),
+      default: null,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Changed by reference is required'],
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [STATUS_NOTE_MAX_LENGTH, `Note cannot exceed ${STATUS_NOTE_MAX_LENGTH} characters`],
+      default: '',
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt fields
+  }
+);
+
+// Compound index for timeline queries: application + changedAt
+statusHistorySchema.index({ application: 1, changedAt: 1 });
+
+// Compound index for per-user analytics over transitions
+statusHistorySchema.index({ user: 1, changedAt: 1 });
+
+const StatusHistory = mongoose.model('StatusHistory', statusHistorySchema);
+
+export default StatusHistory;
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+import { TAG_COLORS, DEFAULT_TAG_COLOR } from './tag.constants.js';
+import { TAG_MAX_LENGTH } from './jobApplication.constants.js';
+
+/**
+ * Tag Mongoose Model
+ *
+ * Why: Applications store their tags as plain names (like stage keys),
+ * which keeps filtering, bulk tagging and exports simple. This model holds
+ * what the names alone cannot: the user's tag list and each tag's color.
+ * Names are unique per user regardless of case.
+ *
+ * Responsibilities:
+ * - Define schema structure for tags
+ * - Enforce case-insensitive name uniqueness per user (via nameKey)
+ * - Handle data validation at the database level
+ */
+const tagSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User reference is required'],
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Tag name is required'],
+      trim: true,
+      maxlength: [TAG_MAX_LENGTH, `Tag name cannot exceed ${TAG_MAX_LENGTH} characters`],
+    },
+    // Lowercase name, set by the service whenever the name changes
+    nameKey: {
+      type: String,
+      required: true,
+    },
+    color: {
+      type: String,
+      enum: {
+        values: TAG_COLORS,
+        message: 'Invalid tag color',
+      },
+      default: DEFAULT_TAG_COLOR,
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt fields
+  }
+);
+
+// One tag per name (case-insensitive) per user
+tagSchema.index({ user: 1, nameKey: 1 }, { unique: true });
+
+const Tag = mongoose.model('Tag', tagSchema);
+
+export default Tag;
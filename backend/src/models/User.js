@@ -1,5 +1,10 @@
 import mongoose from 'mongoose';
-import { USER_ROLES, USER_STATUS } from './user.constants.js';
+import {
+  USER_ROLES,
+  USER_STATUS,
+  AUTO_ARCHIVE_MIN_DAYS,
+  AUTO_ARCHIVE_MAX_DAYS,
+} from './user.constants.js';
 
 /**
  * User Mongoose Model
@@ -84,6 +89,16 @@ const userSchema = new mongoose.Schema(
         default: '',
       },
     },
+    settings: {
+      // Rejected applications are archived this many days after their last
+      // status change (null = never)
+      autoArchiveRejectedAfterDays: {
+        type: Number,
+        min: [AUTO_ARCHIVE_MIN_DAYS, `Auto-archive must be at least ${AUTO_ARCHIVE_MIN_DAYS} day`],
+        max: [AUTO_ARCHIVE_MAX_DAYS, `Auto-archive cannot exceed ${AUTO_ARCHIVE_MAX_DAYS} days`],
+        default: null,
+      },
+    },
     passwordResetToken: {
       type: String,
       select: false, // Don't return token in queries by default
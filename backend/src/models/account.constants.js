@@ -0,0 +1,58 @@
+/**
+ * Account Backup Domain Constants
+ *
+ * Centralized constants for full account backups and restores.
+ */
+
+// Identifies a Joblytics backup (checked on restore)
+export const BACKUP_FORMAT = 'joblytics-backup';
+
+/**
+ * Backup format version.
+ * Bump when the archive layout changes; restores accept this version and older.
+ */
+export const BACKUP_FORMAT_VERSION = 7; // 2: tags with colors, 3: companies, 4: contacts, 5: interview rounds, 6: offers, 7: resumes
+
+export const BACKUP_FILE_FORMATS = ['json', 'zip'];
+
+export const BACKUP_CONTENT_TYPES = {
+  json: 'application/json; charset=utf-8',
+  zip: 'application/zip',
+};
+
+// Uploaded backups are parsed in memory - keep them bounded
+export const BACKUP_MAX_FILE_SIZE = 25 * 1024 * 1024; // 25 MB
+export const BACKUP_MAX_UNCOMPRESSED_SIZE = 100 * 1024 * 1024; // 100 MB (ZIP contents)
+export const BACKUP_FILE_EXTENSIONS = ['.json', '.zip'];
+
+/**
+ * Files inside a ZIP backup (one per collection)
+ */
+export const BACKUP_ARCHIVE_FILES = {
+  manifest: 'manifest.json',
+  profile: 'profile.json',
+  pipeline: 'pipeline.json',
+  tags: 'tags.json',
+  companies: 'companies.json',
+  resumes: 'resumes.json',
+  applications: 'applications.json',
+  contacts: 'contacts.json',
+  interviewRounds: 'interview-rounds.json',
+  offers: 'offers.json',
+  reminders: 'reminders.json',
+  statusHistory: 'status-history.json',
+  savedViews: 'saved-views.json',
+};
+
+/**
+ * Restore modes
+ * - merge: add the backup's data next to the existing data
+ * - replace: remove the existing data once the backup is restored
+ */
+export const RESTORE_MODE = {
+  MERGE: 'merge',
+  REPLACE: 'replace',
+};
+
+// Name fields a restore may overwrite, besides profile.* (never email, role or status)
+export const RESTORABLE_PROFILE_FIELDS = ['firstName', 'lastName'];
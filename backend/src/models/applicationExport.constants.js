@@ -0,0 +1,24 @@
+/**
+ * Application Export Domain Constants
+ *
+ * Centralized constants for exporting applications.
+ */
+
+export const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+// Exports are built in memory - keep them bounded
+export const EXPORT_MAX_ROWS = 10000;
+
+/**
+ * Optional column groups (?include=ai,reminders)
+ * - ai: AI insight summaries, match score details
+ * - reminders: reminder counts and next pending reminder
+ * - description: full job description (large)
+ */
+export const EXPORT_INCLUDE_OPTIONS = ['ai', 'reminders', 'description'];
+
+export const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json; charset=utf-8',
+};
@@ -0,0 +1,52 @@
+import { APPLICATION_STATUS } from './jobApplication.constants.js';
+
+/**
+ * Application Import Domain Constants
+ *
+ * Centralized constants for importing applications from CSV/XLSX files.
+ */
+
+// Upload limits
+export const IMPORT_MAX_FILE_SIZE = 5 * 1024 * 1024; // 5 MB
+export const IMPORT_MAX_ROWS = 2000;
+
+// Accepted file types (checked by extension - browsers report CSV mime types inconsistently)
+export const IMPORT_FILE_EXTENSIONS = ['.csv', '.xlsx'];
+
+/**
+ * JobApplication fields a spreadsheet column can be mapped to,
+ * with the header names that are mapped to them automatically.
+ * Header names are compared lowercase with punctuation and spaces removed.
+ */
+export const IMPORT_FIELD_ALIASES = {
+  company: ['company', 'companyname', 'employer', 'organization', 'organisation'],
+  jobTitle: ['jobtitle', 'title', 'position', 'role', 'job'],
+  status: ['status', 'stage', 'applicationstatus'],
+  dateApplied: ['dateapplied', 'applied', 'appliedon', 'applieddate', 'applicationdate', 'date'],
+  jobLink: ['joblink', 'link', 'url', 'joburl', 'posting', 'postingurl'],
+  source: ['source', 'jobboard', 'platform', 'foundon', 'channel'],
+  notes: ['notes', 'note', 'comments', 'comment'],
+  jobDescription: ['jobdescription', 'description', 'jd'],
+};
+
+export const IMPORT_FIELDS = Object.keys(IMPORT_FIELD_ALIASES);
+
+// Fields that must be mapped before rows can be imported
+export const IMPORT_REQUIRED_FIELDS = ['company', 'jobTitle'];
+
+/**
+ * Common status wording in tracking spreadsheets, by stage category
+ * Stage keys, stage labels and category names are matched first.
+ */
+export const IMPORT_STATUS_ALIASES = {
+  [APPLICATION_STATUS.SAVED]: ['wishlist', 'bookmarked', 'interested', 'todo', 'toapply', 'notapplied', 'draft'],
+  [APPLICATION_STATUS.APPLIED]: ['submitted', 'sent', 'pending', 'waiting', 'inreview', 'noresponse'],
+  [APPLICATION_STATUS.INTERVIEW]: [
+    'interviewing', 'interviews', 'phonescreen', 'screening', 'screen', 'onsite', 'technical', 'finalround',
+  ],
+  [APPLICATION_STATUS.OFFER]: ['offered', 'accepted', 'hired'],
+  [APPLICATION_STATUS.REJECTED]: ['rejection', 'declined', 'denied', 'ghosted', 'withdrawn', 'closed', 'notselected'],
+};
+
+// How to read ambiguous numeric dates such as 03/04/2024
+export const IMPORT_DATE_FORMATS = ['mdy', 'dmy'];
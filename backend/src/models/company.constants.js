@@ -0,0 +1,71 @@
+/**
+ * Company Domain Constants
+ *
+ * Centralized constants for companies (shared research across the
+ * applications a user sends to the same employer).
+ */
+
+export const COMPANY_WEBSITE_MAX_LENGTH = 500;
+export const COMPANY_INDUSTRY_MAX_LENGTH = 100;
+export const COMPANY_HEADQUARTERS_MAX_LENGTH = 200;
+export const COMPANY_NOTES_MAX_LENGTH = 20000;
+
+/**
+ * Company size bands (employees)
+ */
+export const COMPANY_SIZES = [
+  '1-10',
+  '11-50',
+  '51-200',
+  '201-500',
+  '501-1000',
+  '1001-5000',
+  '5001-10000',
+  '10000+',
+];
+
+/**
+ * Ratings entered by the user (e.g. copied from review sites), 1-5 in half steps
+ */
+export const COMPANY_RATING_FIELDS = [
+  'overall',
+  'workLifeBalance',
+  'compensation',
+  'culture',
+  'careerGrowth',
+  'management',
+];
+
+export const COMPANY_RATING_MIN = 1;
+export const COMPANY_RATING_MAX = 5;
+export const COMPANY_RATING_STEP = 0.5;
+
+/**
+ * Legal-form words ignored when matching company names,
+ * so "Acme Inc." and "ACME" are the same company
+ */
+export const COMPANY_NAME_SUFFIXES = [
+  'inc',
+  'incorporated',
+  'llc',
+  'llp',
+  'ltd',
+  'limited',
+  'corp',
+  'corporation',
+  'co',
+  'company',
+  'plc',
+  'gmbh',
+  'ag',
+  'sa',
+  'sas',
+  'bv',
+  'nv',
+  'pty',
+  'oy',
+  'ab',
+];
+
+// Applications linked per batch when existing company names are matched
+export const COMPANY_SYNC_BATCH_SIZE = 500;
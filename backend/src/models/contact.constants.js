@@ -0,0 +1,30 @@
+/**
+ * Contact Domain Constants
+ *
+ * Centralized constants for contacts (recruiters, referrers and other
+ * people met during the job search).
+ */
+
+export const CONTACT_NAME_MAX_LENGTH = 200;
+export const CONTACT_ROLE_MAX_LENGTH = 200;
+export const CONTACT_EMAIL_MAX_LENGTH = 254;
+export const CONTACT_PHONE_MAX_LENGTH = 50;
+export const CONTACT_URL_MAX_LENGTH = 500;
+export const CONTACT_NOTES_MAX_LENGTH = 5000;
+
+/**
+ * How a contact is involved in an application:
+ * - recruiter: Internal or agency recruiter
+ * - hiring-manager: Manager of the role
+ * - referrer: Person who referred the user
+ * - interviewer: Person the user interviewed with
+ */
+export const CONTACT_RELATIONSHIP = {
+  RECRUITER: 'recruiter',
+  HIRING_MANAGER: 'hiring-manager',
+  REFERRER: 'referrer',
+  INTERVIEWER: 'interviewer',
+};
+
+// Applications one contact can be linked to
+export const MAX_CONTACT_APPLICATIONS = 200;
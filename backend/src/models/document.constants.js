@@ -0,0 +1,41 @@
+/**
+ * Document Domain Constants
+ *
+ * Centralized constants for uploaded documents (resumes, cover letters)
+ * and their versions.
+ */
+
+export const DOCUMENT_NAME_MAX_LENGTH = 200;
+export const DOCUMENT_NOTES_MAX_LENGTH = 500;
+
+/**
+ * Kinds of documents:
+ * - resume: Resume / CV
+ * - cover-letter: Cover letter
+ * - other: Portfolio, references, transcripts...
+ */
+export const DOCUMENT_TYPE = {
+  RESUME: 'resume',
+  COVER_LETTER: 'cover-letter',
+  OTHER: 'other',
+};
+
+/**
+ * Accepted file types, keyed by extension
+ * The content type is set from the extension (never taken from the client).
+ */
+export const DOCUMENT_FILE_TYPES = {
+  '.pdf': 'application/pdf',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.txt': 'text/plain; charset=utf-8',
+};
+
+export const DOCUMENT_FILE_EXTENSIONS = Object.keys(DOCUMENT_FILE_TYPES);
+
+export const DOCUMENT_MAX_FILE_SIZE = 10 * 1024 * 1024; // 10 MB
+
+// Versions kept per document (older versions must be deleted to upload more)
+export const MAX_DOCUMENT_VERSIONS = 20;
+
+// Applications one document can be attached to
+export const MAX_DOCUMENT_APPLICATIONS = 500;
@@ -0,0 +1,63 @@
+/**
+ * Interview Round Domain Constants
+ *
+ * Centralized constants for the interview rounds of an application.
+ */
+
+export const ROUND_NAME_MAX_LENGTH = 200;
+export const ROUND_LOCATION_MAX_LENGTH = 500;
+export const ROUND_URL_MAX_LENGTH = 500;
+export const ROUND_NOTES_MAX_LENGTH = 5000;
+export const INTERVIEWER_NAME_MAX_LENGTH = 200;
+export const INTERVIEWER_ROLE_MAX_LENGTH = 200;
+export const TIMEZONE_MAX_LENGTH = 100;
+
+export const MAX_INTERVIEWERS_PER_ROUND = 20;
+export const MAX_ROUNDS_PER_APPLICATION = 50;
+
+/**
+ * Round Types:
+ * - phone-screen: First call, usually with a recruiter
+ * - technical: Coding or domain interview
+ * - behavioral: Experience and culture interview
+ * - system-design: Architecture interview
+ * - take-home: Assignment done on the user's own time
+ * - onsite: Onsite or virtual onsite loop
+ * - panel: Several interviewers at once
+ * - final: Final round, often with leadership
+ * - other: Anything else
+ */
+export const ROUND_TYPE = {
+  PHONE_SCREEN: 'phone-screen',
+  TECHNICAL: 'technical',
+  BEHAVIORAL: 'behavioral',
+  SYSTEM_DESIGN: 'system-design',
+  TAKE_HOME: 'take-home',
+  ONSITE: 'onsite',
+  PANEL: 'panel',
+  FINAL: 'final',
+  OTHER: 'other',
+};
+
+/**
+ * Round Outcomes:
+ * - pending: Not held yet, or no answer yet
+ * - passed: Moved on to the next round
+ * - failed: Did not move on
+ * - cancelled: Round did not take place
+ */
+export const ROUND_OUTCOME = {
+  PENDING: 'pending',
+  PASSED: 'passed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+// Self-assessment rating scale (how the user thinks the round went)
+export const SELF_RATING_MIN = 1;
+export const SELF_RATING_MAX = 5;
+
+// The reminder for a round is sent this long before it starts...
+export const ROUND_REMINDER_LEAD_HOURS = 24;
+// ...or this long before when the round is scheduled less than a day ahead
+export const ROUND_REMINDER_SHORT_LEAD_HOURS = 1;
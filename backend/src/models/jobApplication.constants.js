@@ -20,10 +20,149 @@ export const APPLICATION_STATUS = {
   REJECTED: 'rejected',     // Application rejected
 };
 
+/**
+ * Hiring funnel stages, in order.
+ * Rejected is a terminal outcome rather than a funnel stage.
+ */
+export const FUNNEL_STAGES = [
+  APPLICATION_STATUS.SAVED,
+  APPLICATION_STATUS.APPLIED,
+  APPLICATION_STATUS.INTERVIEW,
+  APPLICATION_STATUS.OFFER,
+];
+
+/**
+ * Statuses that count as a response from the employer after applying
+ */
+export const RESPONSE_STATUSES = [
+  APPLICATION_STATUS.INTERVIEW,
+  APPLICATION_STATUS.OFFER,
+  APPLICATION_STATUS.REJECTED,
+];
+
 // Validation constants
 export const COMPANY_NAME_MAX_LENGTH = 200;
 export const JOB_TITLE_MAX_LENGTH = 200;
 export const JOB_LINK_MAX_LENGTH = 500;
+export const JOB_DESCRIPTION_MAX_LENGTH = 10000;
 export const SOURCE_MAX_LENGTH = 200;
 export const NOTES_MAX_LENGTH = 5000;
+export const STATUS_NOTE_MAX_LENGTH = 500;
+export const TAG_MAX_LENGTH = 50;
+export const MAX_TAGS_PER_APPLICATION = 20;
+
+// Full-text search: fields covered by the text index and their relevance weights
+export const SEARCH_FIELD_WEIGHTS = {
+  company: 10,
+  jobTitle: 8,
+  source: 3,
+  notes: 2,
+  jobDescription: 1,
+};
+export const SEARCH_QUERY_MAX_LENGTH = 200;
+
+// List filters: maximum number of statuses in a multi-status filter
+export const MAX_STATUS_FILTERS = 20;
+// List filters: value matching applications where a job detail is not set
+export const UNSET_FILTER_VALUE = 'none';
+
+// Board view: fields needed to render a card (keeps the board payload small)
+export const BOARD_CARD_FIELDS =
+  'company jobTitle status jobLink dateApplied boardPosition createdAt updatedAt aiInsights.resumeMatch.matchScore';
+
+// Maximum number of cards that can be reordered in one request
+export const MAX_BOARD_COLUMN_SIZE = 1000;
+
+/**
+ * Bulk operations (POST /api/applications/bulk)
+ * Each item runs through the regular service methods, so keep batches small.
+ */
+export const BULK_ACTION = {
+  STATUS: 'status',       // Move to another stage (history + auto reminders)
+  DELETE: 'delete',       // Move to the trash (restorable until purged)
+  TAG: 'tag',             // Add and/or remove tags
+  REMINDER: 'reminder',   // Create the same reminder for each application
+};
+export const MAX_BULK_APPLICATIONS = 200;
+
+/**
+ * Trash
+ * Deleted applications are kept for TRASH_RETENTION_DAYS (config) and then
+ * purged with their reminders and history, in batches.
+ */
+export const TRASH_PURGE_BATCH_SIZE = 500;
+
+/**
+ * Compensation
+ * Posted salary ranges are stored as listed (amount, currency, period).
+ * Filters and analytics convert them to yearly amounts in one currency
+ * using the exchange-rate table in config/exchangeRates.json.
+ */
+export const SALARY_PERIOD = {
+  ANNUAL: 'annual',
+  HOURLY: 'hourly',
+};
+// Full-time hours in a year (40 hours × 52 weeks), used to annualize hourly pay
+export const HOURS_PER_YEAR = 2080;
+export const MAX_SALARY_AMOUNT = 1000000000;
+
+// Compensation analytics: number of histogram buckets (at most)
+export const COMPENSATION_BUCKET_COUNT = 10;
+
+/**
+ * Job details
+ * Structured versions of what used to go in notes ("remote, EU only",
+ * "contract"). All are optional - null means not known.
+ */
+export const REMOTE_POLICY = {
+  REMOTE: 'remote',
+  HYBRID: 'hybrid',
+  ONSITE: 'onsite',
+};
+
+export const EMPLOYMENT_TYPE = {
+  FULL_TIME: 'full-time',
+  PART_TIME: 'part-time',
+  CONTRACT: 'contract',
+  INTERNSHIP: 'internship',
+  TEMPORARY: 'temporary',
+};
+
+// In order of seniority
+export const SENIORITY_LEVEL = {
+  INTERN: 'intern',
+  ENTRY: 'entry',
+  MID: 'mid',
+  SENIOR: 'senior',
+  LEAD: 'lead',
+  MANAGER: 'manager',
+  DIRECTOR: 'director',
+  EXECUTIVE: 'executive',
+};
+
+export const LOCATION_MAX_LENGTH = 100;
+export const MAX_LOCATIONS_PER_APPLICATION = 10;
+
+// Job details analytics: most common locations listed
+export const MAX_CHARTED_LOCATIONS = 10;
+
+/**
+ * Job requirements
+ * Skills and experience the job description asks for, entered by hand or
+ * extracted by the AI requirements task (POST /:id/ai/requirements).
+ */
+export const SKILL_MAX_LENGTH = 60;
+export const MAX_SKILLS_PER_LIST = 30;
+export const MAX_YEARS_OF_EXPERIENCE = 50;
 
+// Fields the requirements task fills when they are not set yet (values
+// entered by hand, or extracted earlier, are never overwritten)
+export const EXTRACTED_DETAIL_FIELDS = [
+  'requiredSkills',
+  'niceToHaveSkills',
+  'yearsOfExperience',
+  'salary',
+  'locations',
+  'remotePolicy',
+  'seniority',
+];
@@ -0,0 +1,50 @@
+/**
+ * Offer Domain Constants
+ *
+ * Centralized constants for job offers and their compensation.
+ */
+
+export const OFFER_TEXT_MAX_LENGTH = 2000;
+export const OFFER_NOTES_MAX_LENGTH = 5000;
+
+// Upper bound for any single amount (guards against typos like an extra 0s)
+export const MAX_COMPENSATION_AMOUNT = 1e9;
+export const MAX_PTO_DAYS = 365;
+
+// ISO 4217 currency code, e.g. USD, EUR
+export const CURRENCY_CODE_REGEX = /^[A-Z]{3}$/;
+export const DEFAULT_CURRENCY = 'USD';
+
+/**
+ * Equity vesting: percent of the grant vesting in each year, plus a cliff
+ * before which nothing vests (what would have vested is paid at the cliff).
+ */
+export const DEFAULT_VESTING_SCHEDULE = [25, 25, 25, 25];
+export const DEFAULT_VESTING_CLIFF_MONTHS = 12;
+export const MAX_VESTING_YEARS = 10;
+export const MAX_VESTING_CLIFF_MONTHS = 60;
+
+// Total compensation is compared over the first year and over this many years
+export const COMPARISON_YEARS = 4;
+
+// Offers compared at once
+export const MAX_COMPARED_OFFERS = 10;
+
+/**
+ * Offer Decisions:
+ * - pending: Not answered yet
+ * - accepted: Offer accepted
+ * - declined: Offer declined
+ * - expired: Deadline passed without an answer
+ */
+export const OFFER_DECISION = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  EXPIRED: 'expired',
+};
+
+// The deadline reminder is sent this long before the response deadline...
+export const OFFER_REMINDER_LEAD_HOURS = 48;
+// ...or this long before when the deadline is sooner than that
+export const OFFER_REMINDER_SHORT_LEAD_HOURS = 2;
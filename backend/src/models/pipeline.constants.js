@@ -0,0 +1,36 @@
+import { APPLICATION_STATUS } from './jobApplication.constants.js';
+
+/**
+ * Pipeline Domain Constants
+ *
+ * Centralized constants for per-user pipeline definitions.
+ * Every custom stage maps to one canonical category so that analytics,
+ * reminders and the funnel keep working regardless of how a user names
+ * or splits their stages.
+ */
+
+/**
+ * Canonical stage categories.
+ * These are the original application statuses - existing applications
+ * keep working because each default stage key equals its category.
+ */
+export const STAGE_CATEGORY = { ...APPLICATION_STATUS };
+
+/**
+ * Pipeline used until a user customizes their own
+ */
+export const DEFAULT_PIPELINE_STAGES = [
+  { key: APPLICATION_STATUS.SAVED, label: 'Saved', category: STAGE_CATEGORY.SAVED },
+  { key: APPLICATION_STATUS.APPLIED, label: 'Applied', category: STAGE_CATEGORY.APPLIED },
+  { key: APPLICATION_STATUS.INTERVIEW, label: 'Interview', category: STAGE_CATEGORY.INTERVIEW },
+  { key: APPLICATION_STATUS.OFFER, label: 'Offer', category: STAGE_CATEGORY.OFFER },
+  { key: APPLICATION_STATUS.REJECTED, label: 'Rejected', category: STAGE_CATEGORY.REJECTED },
+];
+
+// Stage keys are lowercase slugs, e.g. "phone-screen"
+export const STAGE_KEY_REGEX = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Validation constants
+export const STAGE_KEY_MAX_LENGTH = 50;
+export const STAGE_LABEL_MAX_LENGTH = 50;
+export const MAX_PIPELINE_STAGES = 20;
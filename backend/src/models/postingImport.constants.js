@@ -0,0 +1,52 @@
+/**
+ * Job Posting Import Domain Constants
+ *
+ * Centralized constants for reading job postings (from a URL or pasted HTML)
+ * into draft applications.
+ */
+
+// Fetching posting pages
+export const POSTING_FETCH_TIMEOUT_MS = 10000;
+export const POSTING_MAX_REDIRECTS = 5;
+export const POSTING_USER_AGENT = 'Mozilla/5.0 (compatible; JoblyticsBot/1.0; +job posting import)';
+
+// Page size limits: fetched pages (after decompression) and pasted HTML
+export const POSTING_MAX_HTML_SIZE = 3 * 1024 * 1024; // 3 MB
+export const POSTING_MAX_HTML_LENGTH = 3000000; // characters
+// JSON body limit of the parse-posting endpoint (pasted HTML is larger than other bodies)
+export const POSTING_REQUEST_BODY_LIMIT = '4mb';
+
+/**
+ * Job boards with their own extractor, with the host names they serve
+ * (also used as the application source)
+ */
+export const POSTING_SITES = {
+  greenhouse: { label: 'Greenhouse', hosts: ['greenhouse.io'] },
+  lever: { label: 'Lever', hosts: ['lever.co'] },
+  workday: { label: 'Workday', hosts: ['myworkdayjobs.com', 'myworkdaysite.com'] },
+  linkedin: { label: 'LinkedIn', hosts: ['linkedin.com'] },
+};
+
+/**
+ * Currency symbols and prefixes in posted salaries → ISO codes
+ * Longer prefixes are matched first ("CA$" before "$").
+ */
+export const SALARY_CURRENCY_SYMBOLS = {
+  US$: 'USD',
+  CA$: 'CAD',
+  C$: 'CAD',
+  A$: 'AUD',
+  AU$: 'AUD',
+  NZ$: 'NZD',
+  S$: 'SGD',
+  HK$: 'HKD',
+  R$: 'BRL',
+  $: 'USD',
+  '€': 'EUR',
+  '£': 'GBP',
+  '¥': 'JPY',
+  '₹': 'INR',
+  '₦': 'NGN',
+  CHF: 'CHF',
+  zł: 'PLN',
+};
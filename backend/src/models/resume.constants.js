@@ -0,0 +1,78 @@
+/**
+ * Resume Domain Constants
+ *
+ * Centralized constants for the resume library (named resume texts used by
+ * applications and AI analyses).
+ */
+
+export const RESUME_NAME_MAX_LENGTH = 200;
+export const RESUME_TARGET_ROLE_MAX_LENGTH = 200;
+// Full text; also bounds what is sent to the AI model
+export const RESUME_CONTENT_MAX_LENGTH = 20000;
+export const RESUME_SECTION_TITLE_MAX_LENGTH = 100;
+export const RESUME_SECTION_CONTENT_MAX_LENGTH = 10000;
+export const MAX_RESUME_SECTIONS = 20;
+
+// Resumes one user can keep
+export const MAX_RESUMES = 50;
+
+/**
+ * Kinds of resume sections:
+ * - summary: Profile / objective
+ * - experience: Work history
+ * - education: Degrees and courses
+ * - skills: Skills and technologies
+ * - projects: Projects and portfolio
+ * - certifications: Certifications and licenses
+ * - other: Anything else (awards, languages, volunteering...)
+ */
+export const RESUME_SECTION_TYPE = {
+  SUMMARY: 'summary',
+  EXPERIENCE: 'experience',
+  EDUCATION: 'education',
+  SKILLS: 'skills',
+  PROJECTS: 'projects',
+  CERTIFICATIONS: 'certifications',
+  OTHER: 'other',
+};
+
+// Resume file import (text is extracted locally, see utils/documentText.js)
+export const RESUME_IMPORT_MAX_FILE_SIZE = 10 * 1024 * 1024; // 10 MB
+export const RESUME_IMPORT_FILE_EXTENSIONS = ['.pdf', '.docx'];
+
+// Matches the profile resume summary limit (User model)
+export const PROFILE_RESUME_SUMMARY_MAX_LENGTH = 2000;
+
+/**
+ * Section headings recognized when splitting an imported resume, by section type.
+ * A line is a heading when, lowercase with punctuation removed, it equals one
+ * of these.
+ */
+export const RESUME_SECTION_HEADINGS = {
+  [RESUME_SECTION_TYPE.SUMMARY]: [
+    'summary', 'professional summary', 'career summary', 'executive summary', 'profile',
+    'professional profile', 'personal profile', 'objective', 'career objective', 'about', 'about me',
+  ],
+  [RESUME_SECTION_TYPE.EXPERIENCE]: [
+    'experience', 'work experience', 'professional experience', 'relevant experience', 'employment',
+    'employment history', 'work history', 'career history', 'professional background',
+  ],
+  [RESUME_SECTION_TYPE.EDUCATION]: [
+    'education', 'education and training', 'academic background', 'academic history', 'qualifications',
+  ],
+  [RESUME_SECTION_TYPE.SKILLS]: [
+    'skills', 'technical skills', 'key skills', 'core skills', 'core competencies', 'competencies',
+    'skills and competencies', 'technologies', 'tech stack', 'tools and technologies', 'expertise',
+    'areas of expertise',
+  ],
+  [RESUME_SECTION_TYPE.PROJECTS]: ['projects', 'personal projects', 'selected projects', 'key projects', 'portfolio'],
+  [RESUME_SECTION_TYPE.CERTIFICATIONS]: [
+    'certifications', 'certificates', 'licenses', 'licenses and certifications',
+    'certifications and licenses', 'courses', 'training',
+  ],
+  [RESUME_SECTION_TYPE.OTHER]: [
+    'awards', 'honors', 'honors and awards', 'achievements', 'languages', 'volunteering',
+    'volunteer experience', 'publications', 'interests', 'hobbies', 'activities', 'references',
+    'additional information',
+  ],
+};
@@ -0,0 +1,18 @@
+/**
+ * Saved View Domain Constants
+ *
+ * Centralized constants for saved views (named application list filters).
+ */
+
+export const SAVED_VIEW_NAME_MAX_LENGTH = 100;
+
+// Keeps the sidebar usable and live counts cheap
+export const MAX_SAVED_VIEWS = 30;
+
+/**
+ * Optional columns a view can show in the application list
+ * Company, job title and status are always shown.
+ */
+export const SAVED_VIEW_COLUMNS = ['dateApplied', 'source', 'matchScore', 'salary', 'createdAt', 'updatedAt'];
+
+export const DEFAULT_SAVED_VIEW_COLUMNS = ['dateApplied'];
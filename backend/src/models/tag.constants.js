@@ -0,0 +1,28 @@
+/**
+ * Tag Domain Constants
+ *
+ * Centralized constants for user-defined application tags.
+ * Tag names themselves are limited by TAG_MAX_LENGTH (jobApplication.constants).
+ */
+
+/**
+ * Tag colors
+ * Stored as palette keys; the frontend maps each key to its chip styles.
+ */
+export const TAG_COLORS = [
+  'gray',
+  'red',
+  'orange',
+  'amber',
+  'green',
+  'teal',
+  'blue',
+  'indigo',
+  'purple',
+  'pink',
+];
+
+export const DEFAULT_TAG_COLOR = 'gray';
+
+// Keeps the tag picker and per-tag analytics readable
+export const MAX_TAGS = 100;
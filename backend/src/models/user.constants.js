@@ -24,3 +24,7 @@ export const EMAIL_MAX_LENGTH = 255;
 export const NAME_MIN_LENGTH = 2;
 export const NAME_MAX_LENGTH = 100;
 
+
+// Settings: auto-archive rejected applications after this many days (null = off)
+export const AUTO_ARCHIVE_MIN_DAYS = 1;
+export const AUTO_ARCHIVE_MAX_DAYS = 365;
@@ -0,0 +1,65 @@
+import { decodeHtmlEntities, findElement, htmlToText, textOf } from '../utils/html.js';
+import { companyFromSlug, detectRemotePolicy, isOnHost, parseSalaryText, uniqueStrings } from './normalize.js';
+import { POSTING_SITES } from '../models/postingImport.constants.js';
+
+/**
+ * Greenhouse Extractor
+ *
+ * Why: Greenhouse hosts job boards at boards.greenhouse.io (classic
+ * markup) and job-boards.greenhouse.io (current markup). Both put the
+ * company in the URL (/acme/jobs/123) and the fields in stable classes.
+ */
+
+/**
+ * Company name from the job JSON embedded in current boards ("company_name":"Acme")
+ */
+function embeddedCompany(html) {
+  const match = /"company_name"\s*:\s*("(?:[^"\\]|\\.)*")/.exec(html);
+  if (!match) return '';
+  try {
+    return decodeHtmlEntities(JSON.parse(match[1])).trim();
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Company board slug from a Greenhouse URL path, e.g. "acme" in /acme/jobs/123
+ */
+function boardSlug(url) {
+  const segments = (url?.pathname || '').split('/').filter(Boolean);
+  return segments[0] && segments[0] !== 'embed' && segments[1] === 'jobs' ? segments[0] : '';
+}
+
+export default {
+  name: 'greenhouse',
+
+  matches({ url, html }) {
+    return isOnHost(url, POSTING_SITES.greenhouse.hosts)
+      || /boards(?:-api)?\.greenhouse\.io|job-boards\.greenhouse\.io/.test(html.slice(0, 200000));
+  },
+
+  /**
+   * @param {string} html - Posting page
+   * @param {URL|null} url - Posting URL
+   * @returns {Object} Posting fields found
+   */
+  extract(html, url) {
+    const location = textOf(html, ['div.location', 'div.job__location', '.job__location']);
+    const description = findElement(html, '#content')
+      || findElement(html, 'div.job__description')
+      || findElement(html, '.job-post-content');
+
+    return {
+      jobTitle: textOf(html, ['h1.app-title', '.job__title', 'h1.section-header']),
+      company:
+        textOf(html, ['span.company-name']).replace(/^at\s+/i, '')
+        || embeddedCompany(html)
+        || companyFromSlug(boardSlug(url)),
+      description: htmlToText(description?.html || ''),
+      locations: uniqueStrings(location.split(/\s*(?:;|\|| or )\s*/)),
+      remotePolicy: detectRemotePolicy(location),
+      salary: parseSalaryText(textOf(html, ['div.pay-range', '.pay-range', 'div.pay-input'])),
+    };
+  },
+};
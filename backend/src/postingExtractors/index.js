@@ -0,0 +1,86 @@
+/**
+ * Job Posting Extractors
+ *
+ * Why: Central export point for reading job postings out of HTML. Each
+ * extractor knows one source of fields - a job board's markup or a
+ * generic format - and works on an HTML string alone, so extractors are
+ * tested against saved pages (test/fixtures/postings) without any network
+ * access. Adding a job board means adding an extractor, listing it here
+ * and saving one of its pages as a fixture.
+ *
+ * Extractor interface:
+ * - name - identifier reported back with the draft
+ * - matches({ url, html }) - whether the extractor applies (url may be null)
+ * - extract(html, url) - posting fields found, all optional:
+ *   { jobTitle, company, description, locations, salary, remotePolicy, employmentType, seniority }
+ *
+ * Usage:
+ * ```js
+ * import { extractPosting } from '../postingExtractors/index.js';
+ * const { fields, extractors } = extractPosting(html, 'https://jobs.lever.co/acme/123');
+ * ```
+ */
+
+import greenhouseExtractor from './greenhouse.extractor.js';
+import leverExtractor from './lever.extractor.js';
+import workdayExtractor from './workday.extractor.js';
+import linkedinExtractor from './linkedin.extractor.js';
+import jsonLdExtractor from './jsonLd.extractor.js';
+import metaExtractor from './meta.extractor.js';
+
+// In order of precedence: job board markup, then structured data, then page metadata
+export const POSTING_EXTRACTORS = [
+  greenhouseExtractor,
+  leverExtractor,
+  workdayExtractor,
+  linkedinExtractor,
+  jsonLdExtractor,
+  metaExtractor,
+];
+
+export const POSTING_FIELDS = [
+  'jobTitle',
+  'company',
+  'description',
+  'locations',
+  'salary',
+  'remotePolicy',
+  'employmentType',
+  'seniority',
+];
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Read a job posting with every extractor that applies
+ * Each field comes from the first extractor (in precedence order) that found it.
+ * @param {string} html - Posting page
+ * @param {string|null} [url] - Posting URL, used to pick extractors and fill gaps (e.g. company slugs)
+ * @returns {Object} { fields, extractors } - fields found and the extractors that supplied them
+ */
+export function extractPosting(html, url = null) {
+  let parsedUrl = null;
+  try {
+    parsedUrl = url ? new URL(url) : null;
+  } catch {
+    parsedUrl = null;
+  }
+
+  const fields = {};
+  const used = new Set();
+
+  POSTING_EXTRACTORS
+    .filter((extractor) => extractor.matches({ url: parsedUrl, html }))
+    .forEach((extractor) => {
+      const found = extractor.extract(html, parsedUrl) || {};
+      POSTING_FIELDS.forEach((field) => {
+        if (isEmpty(fields[field]) && !isEmpty(found[field])) {
+          fields[field] = found[field];
+          used.add(extractor.name);
+        }
+      });
+    });
+
+  return { fields, extractors: [...used] };
+}
@@ -0,0 +1,97 @@
+import { decodeHtmlEntities, getJsonLd, htmlToText } from '../utils/html.js';
+import {
+  detectRemotePolicy,
+  normalizeEmploymentType,
+  salaryFromMonetaryAmount,
+  uniqueStrings,
+} from './normalize.js';
+import { REMOTE_POLICY } from '../models/jobApplication.constants.js';
+
+/**
+ * JSON-LD JobPosting Extractor
+ *
+ * Why: Most career sites publish a schema.org JobPosting for search
+ * engines, whatever system they run on. It is structured and usually
+ * complete, so it works on sites without an extractor of their own.
+ */
+
+const isJobPosting = (node) => {
+  const type = node?.['@type'];
+  return Array.isArray(type) ? type.includes('JobPosting') : type === 'JobPosting';
+};
+
+/**
+ * First JobPosting in the page's JSON-LD (top level, arrays or @graph)
+ */
+function findJobPosting(blocks) {
+  const queue = [...blocks];
+  while (queue.length > 0) {
+    const node = queue.shift();
+    if (Array.isArray(node)) {
+      queue.push(...node);
+    } else if (node && typeof node === 'object') {
+      if (isJobPosting(node)) return node;
+      if (Array.isArray(node['@graph'])) queue.push(...node['@graph']);
+    }
+  }
+  return null;
+}
+
+const nameOf = (value) => (typeof value === 'string' ? value : value?.name || '');
+
+/**
+ * "City, Region, Country" of a schema.org Place
+ */
+function formatPlace(place) {
+  if (typeof place === 'string') return place;
+  const address = place?.address;
+  if (typeof address === 'string') return address;
+  if (!address) return nameOf(place);
+  return uniqueStrings([
+    address.addressLocality,
+    address.addressRegion,
+    nameOf(address.addressCountry),
+  ]).join(', ');
+}
+
+const toArray = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+
+export default {
+  name: 'json-ld',
+
+  matches() {
+    return true;
+  },
+
+  /**
+   * @param {string} html - Posting page
+   * @returns {Object} Posting fields found
+   */
+  extract(html) {
+    const posting = findJobPosting(getJsonLd(html));
+    if (!posting) return {};
+
+    const isRemote = toArray(posting.jobLocationType).some((type) => /telecommute/i.test(type));
+    const remoteAreas = toArray(posting.applicantLocationRequirements)
+      .map((area) => nameOf(area))
+      .filter(Boolean);
+
+    // Descriptions are HTML, sometimes entity-encoded a second time
+    const description = decodeHtmlEntities(String(posting.description || ''));
+
+    return {
+      jobTitle: decodeHtmlEntities(String(posting.title || '')).trim(),
+      company: decodeHtmlEntities(nameOf(posting.hiringOrganization)).trim(),
+      description: htmlToText(description),
+      locations: uniqueStrings([
+        ...toArray(posting.jobLocation).map(formatPlace),
+        ...(isRemote ? remoteAreas.map((area) => `Remote - ${area}`) : []),
+      ]),
+      remotePolicy: isRemote
+        ? REMOTE_POLICY.REMOTE
+        : detectRemotePolicy(toArray(posting.jobLocationType).join(' ')),
+      employmentType: normalizeEmploymentType(posting.employmentType),
+      salary: salaryFromMonetaryAmount(posting.baseSalary) || salaryFromMonetaryAmount(posting.estimatedSalary),
+    };
+  },
+};
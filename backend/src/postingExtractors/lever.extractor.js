@@ -0,0 +1,72 @@
+import { findElement, findElements, getMetaContent, getTitle, htmlToText, textOf } from '../utils/html.js';
+import {
+  companyFromSlug,
+  detectRemotePolicy,
+  isOnHost,
+  normalizeEmploymentType,
+  parseSalaryText,
+  uniqueStrings,
+} from './normalize.js';
+import { POSTING_SITES } from '../models/postingImport.constants.js';
+
+/**
+ * Lever Extractor
+ *
+ * Why: Lever postings (jobs.lever.co/<company>/<id>) put the title and a
+ * row of categories (location, commitment, workplace type) in the
+ * headline, and the description in "section page-centered" blocks.
+ */
+
+/**
+ * Company from the page title ("Acme - Senior Engineer") or the URL path
+ */
+function companyName(html, url, jobTitle) {
+  const title = getMetaContent(html, 'og:title') || getTitle(html);
+  const separator = title.indexOf(' - ');
+  if (separator > 0 && title.slice(separator + 3).trim() === jobTitle) {
+    return title.slice(0, separator).trim();
+  }
+  const logo = findElement(html, 'div.main-header-logo');
+  const alt = /<img[^>]+alt=["']([^"']+?)(?:\s+logo)?["']/i.exec(logo?.html || '')?.[1];
+  if (alt) return alt.trim();
+
+  const slug = (url?.pathname || '').split('/').filter(Boolean)[0];
+  return companyFromSlug(slug);
+}
+
+export default {
+  name: 'lever',
+
+  matches({ url, html }) {
+    return isOnHost(url, POSTING_SITES.lever.hosts) || /class=["'][^"']*posting-headline/.test(html);
+  },
+
+  /**
+   * @param {string} html - Posting page
+   * @param {URL|null} url - Posting URL
+   * @returns {Object} Posting fields found
+   */
+  extract(html, url) {
+    const jobTitle = textOf(findElement(html, '.posting-headline')?.html || '', ['h2', 'h1']);
+
+    const location = textOf(html, ['.posting-category.location', '.location']);
+    const workplace = textOf(html, ['.posting-category.workplaceTypes', '.workplaceTypes']);
+
+    // Description blocks, without the headline and apply button sections
+    const sections = findElements(html, 'div.section.page-centered')
+      .filter(({ attributes }) => !/posting-header|last-section-apply/.test(attributes.class || ''))
+      .filter(({ attributes }) => attributes['data-qa'] !== 'salary-range')
+      .map((section) => htmlToText(section.html))
+      .filter(Boolean);
+
+    return {
+      jobTitle,
+      company: companyName(html, url, jobTitle),
+      description: sections.join('\n\n'),
+      locations: uniqueStrings(location.split(/\s*(?:;|\|)\s*/)),
+      remotePolicy: detectRemotePolicy(workplace) || detectRemotePolicy(location),
+      employmentType: normalizeEmploymentType(textOf(html, ['.posting-category.commitment', '.commitment'])),
+      salary: parseSalaryText(textOf(html, ['[data-qa=salary-range]'])),
+    };
+  },
+};
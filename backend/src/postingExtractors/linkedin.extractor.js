@@ -0,0 +1,67 @@
+import { findElement, findElements, htmlToText, inlineText, textOf } from '../utils/html.js';
+import {
+  detectRemotePolicy,
+  isOnHost,
+  normalizeEmploymentType,
+  normalizeSeniority,
+  parseSalaryText,
+  uniqueStrings,
+} from './normalize.js';
+import { POSTING_SITES } from '../models/postingImport.constants.js';
+
+/**
+ * LinkedIn Extractor
+ *
+ * Why: LinkedIn job pages (linkedin.com/jobs/view/<id>) use "top card"
+ * classes for the title, company and location, and list the employment
+ * type and seniority level as labelled "job criteria". LinkedIn often
+ * refuses server requests, so pasted page HTML is the usual input.
+ */
+
+/**
+ * Job criteria by lowercase label, e.g. { "employment type": "Full-time" }
+ */
+function jobCriteria(html) {
+  const criteria = {};
+  findElements(html, 'li.description__job-criteria-item').forEach((item) => {
+    const label = textOf(item.html, ['h3.description__job-criteria-subheader', 'h3']).toLowerCase();
+    const value = textOf(item.html, ['span.description__job-criteria-text', 'span']);
+    if (label) criteria[label] = value;
+  });
+  return criteria;
+}
+
+export default {
+  name: 'linkedin',
+
+  matches({ url, html }) {
+    return isOnHost(url, POSTING_SITES.linkedin.hosts) || /class=["'][^"']*top-card-layout__title/.test(html);
+  },
+
+  /**
+   * @param {string} html - Posting page
+   * @param {URL|null} url - Posting URL
+   * @returns {Object} Posting fields found
+   */
+  extract(html) {
+    const criteria = jobCriteria(html);
+    const location = textOf(html, ['span.topcard__flavor--bullet', '.job-details-jobs-unified-top-card__bullet']);
+    const workplace = findElements(html, 'span.topcard__flavor--metadata')
+      .map((element) => inlineText(element.html))
+      .join(' ');
+    const description = findElement(html, 'div.show-more-less-html__markup')
+      || findElement(html, 'div.description__text')
+      || findElement(html, '#job-details');
+
+    return {
+      jobTitle: textOf(html, ['h1.top-card-layout__title', 'h1.topcard__title', 'h2.top-card-layout__title']),
+      company: textOf(html, ['a.topcard__org-name-link', 'span.topcard__org-name-without-link', '.topcard__flavor']),
+      description: htmlToText(description?.html || ''),
+      locations: uniqueStrings([location.replace(/\s*\((?:remote|hybrid|on-?site)\)\s*$/i, '')]),
+      remotePolicy: detectRemotePolicy(`${location} ${workplace}`),
+      employmentType: normalizeEmploymentType(criteria['employment type']),
+      seniority: normalizeSeniority(criteria['seniority level']),
+      salary: parseSalaryText(textOf(html, ['div.compensation__salary', '.salary'])),
+    };
+  },
+};
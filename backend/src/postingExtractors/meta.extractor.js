@@ -0,0 +1,28 @@
+import { getMetaContent, getTitle } from '../utils/html.js';
+
+/**
+ * Page Metadata Extractor
+ *
+ * Why: The last resort for pages without structured data or a known
+ * layout. Open Graph tags give at least a title, the site name (usually
+ * the company) and a short description for the user to complete.
+ */
+export default {
+  name: 'meta',
+
+  matches() {
+    return true;
+  },
+
+  /**
+   * @param {string} html - Posting page
+   * @returns {Object} Posting fields found
+   */
+  extract(html) {
+    return {
+      jobTitle: getMetaContent(html, 'og:title') || getMetaContent(html, 'twitter:title') || getTitle(html),
+      company: getMetaContent(html, 'og:site_name'),
+      description: getMetaContent(html, 'og:description') || getMetaContent(html, 'description'),
+    };
+  },
+};
@@ -0,0 +1,233 @@
+import {
+  EMPLOYMENT_TYPE,
+  REMOTE_POLICY,
+  SALARY_PERIOD,
+  SENIORITY_LEVEL,
+  MAX_SALARY_AMOUNT,
+} from '../models/jobApplication.constants.js';
+import { SALARY_CURRENCY_SYMBOLS } from '../models/postingImport.constants.js';
+import { isSupportedCurrency } from '../utils/currency.js';
+
+/**
+ * Posting Field Normalization
+ *
+ * Why: Job boards describe the same facts in different words - "FULL_TIME",
+ * "Full-time" and "Permanent"; "$120K/yr" and "USD 120,000 per annum".
+ * Extractors hand their raw values to these helpers so every draft uses
+ * the JobApplication vocabulary (employment types, remote policies,
+ * seniority levels, salary periods).
+ *
+ * Responsibilities:
+ * - Parse salary ranges from text and from schema.org amounts
+ * - Map employment type, remote policy and seniority wording to enum values
+ * - Turn URL slugs into company names and match posting hosts
+ */
+
+const CURRENCY_SYMBOLS = Object.keys(SALARY_CURRENCY_SYMBOLS).sort((a, b) => b.length - a.length);
+
+// Multipliers to a yearly amount, by pay period wording
+const PERIOD_MULTIPLIERS = [
+  { pattern: /\b(?:hour|hr|hourly)\b|\/\s*h\b/i, period: SALARY_PERIOD.HOURLY, multiplier: 1 },
+  { pattern: /\b(?:day|daily)\b|\/\s*d(?:ay)?\b/i, period: SALARY_PERIOD.ANNUAL, multiplier: 260 },
+  { pattern: /\b(?:week|weekly|wk)\b|\/\s*w(?:k|eek)?\b/i, period: SALARY_PERIOD.ANNUAL, multiplier: 52 },
+  { pattern: /\b(?:month|monthly|mo)\b|\/\s*mo(?:nth)?\b/i, period: SALARY_PERIOD.ANNUAL, multiplier: 12 },
+];
+
+// schema.org unitText values
+const UNIT_MULTIPLIERS = {
+  HOUR: { period: SALARY_PERIOD.HOURLY, multiplier: 1 },
+  DAY: { period: SALARY_PERIOD.ANNUAL, multiplier: 260 },
+  WEEK: { period: SALARY_PERIOD.ANNUAL, multiplier: 52 },
+  MONTH: { period: SALARY_PERIOD.ANNUAL, multiplier: 12 },
+  YEAR: { period: SALARY_PERIOD.ANNUAL, multiplier: 1 },
+};
+
+/**
+ * Salary range from amounts, or null when unusable
+ * @returns {Object|null} { min, max, currency, period }
+ */
+function buildSalary(min, max, currency, { period, multiplier }) {
+  const code = currency?.toUpperCase();
+  if (!code || !isSupportedCurrency(code)) return null;
+
+  const scale = (amount) =>
+    typeof amount === 'number' && Number.isFinite(amount) && amount > 0
+      ? Math.round(amount * multiplier * 100) / 100
+      : null;
+  let low = scale(min);
+  let high = scale(max);
+  if (low === null && high === null) return null;
+  if (low !== null && high !== null && low > high) [low, high] = [high, low];
+  if ((low ?? 0) > MAX_SALARY_AMOUNT || (high ?? 0) > MAX_SALARY_AMOUNT) return null;
+
+  return { min: low, max: high, currency: code, period };
+}
+
+/**
+ * Salary range from a schema.org MonetaryAmount (JobPosting baseSalary)
+ * @param {Object} amount - { currency, value: number | { minValue, maxValue, value, unitText } }
+ * @returns {Object|null} { min, max, currency, period }
+ */
+export function salaryFromMonetaryAmount(amount) {
+  if (!amount || typeof amount !== 'object') return null;
+  const value = typeof amount.value === 'object' && amount.value !== null ? amount.value : { value: amount.value };
+  const number = (raw) => (raw === undefined || raw === null || raw === '' ? null : Number(raw));
+
+  const unit = UNIT_MULTIPLIERS[String(value.unitText || amount.unitText || 'YEAR').toUpperCase()]
+    || UNIT_MULTIPLIERS.YEAR;
+  const min = number(value.minValue) ?? number(value.value);
+  const max = number(value.maxValue) ?? number(value.value);
+  return buildSalary(min, max, amount.currency || value.currency, unit);
+}
+
+/**
+ * Parse a number as written in a salary: "120,000", "120.000", "120k", "1.2M"
+ */
+function parseAmount(digits, suffix) {
+  let amount;
+  if (/^\d{1,3}(?:[,.\s ]\d{3})+$/.test(digits)) {
+    // Grouped thousands
+    amount = Number(digits.replace(/\D/g, ''));
+  } else {
+    amount = Number(digits.replace(',', '.'));
+  }
+  if (/^k$/i.test(suffix || '')) amount *= 1000;
+  if (/^m$/i.test(suffix || '')) amount *= 1000000;
+  return amount;
+}
+
+/**
+ * Salary range from posted text, e.g. "$120K - $150K/yr", "£45,000 – £55,000 per annum",
+ * "USD 50-65 an hour"
+ * Text without a recognizable currency gives null; amounts are not guessed.
+ * @param {string} text - Salary text
+ * @returns {Object|null} { min, max, currency, period }
+ */
+export function parseSalaryText(text) {
+  if (!text) return null;
+
+  const code = [...text.matchAll(/(?<![A-Za-z])([A-Z]{3})(?![A-Za-z])/g)]
+    .map((match) => match[1])
+    .find(isSupportedCurrency);
+  const symbol = CURRENCY_SYMBOLS.find((candidate) => text.includes(candidate));
+  const currency = code || SALARY_CURRENCY_SYMBOLS[symbol];
+  if (!currency) return null;
+
+  const amounts = [];
+  const numbers = /(\d{1,3}(?:[,.\s ]\d{3})+(?!\d)|\d+(?:[.,]\d+)?)\s*(?:([kKmM])(?![a-zA-Z]))?/g;
+  let match;
+  while ((match = numbers.exec(text)) && amounts.length < 2) {
+    const amount = parseAmount(match[1], match[2]);
+    if (amount > 0) amounts.push(amount);
+  }
+  if (amounts.length === 0) return null;
+
+  let unit = PERIOD_MULTIPLIERS.find(({ pattern }) => pattern.test(text))
+    || { period: SALARY_PERIOD.ANNUAL, multiplier: 1 };
+  // "$45 - $60" with no period is hourly pay
+  if (unit.period === SALARY_PERIOD.ANNUAL && unit.multiplier === 1 && Math.max(...amounts) < 500) {
+    unit = { period: SALARY_PERIOD.HOURLY, multiplier: 1 };
+  }
+
+  if (amounts.length === 1) {
+    // "Up to $150k" is a maximum; any other single figure a minimum
+    return /\bup to\b/i.test(text)
+      ? buildSalary(null, amounts[0], currency, unit)
+      : buildSalary(amounts[0], null, currency, unit);
+  }
+  return buildSalary(amounts[0], amounts[1], currency, unit);
+}
+
+/**
+ * Employment type from posting wording (schema.org values or free text)
+ * @param {string|Array<string>} value - e.g. "FULL_TIME", "Full-time", ["CONTRACTOR"]
+ * @returns {string|null} EMPLOYMENT_TYPE value
+ */
+export function normalizeEmploymentType(value) {
+  const values = Array.isArray(value) ? value : [value];
+  for (const raw of values) {
+    const text = String(raw || '').toLowerCase().replace(/[_\s]+/g, '-');
+    if (!text) continue;
+    if (/intern/.test(text)) return EMPLOYMENT_TYPE.INTERNSHIP;
+    if (/part-?time/.test(text)) return EMPLOYMENT_TYPE.PART_TIME;
+    if (/contract|freelance|consult/.test(text)) return EMPLOYMENT_TYPE.CONTRACT;
+    if (/temp|seasonal|fixed-term/.test(text)) return EMPLOYMENT_TYPE.TEMPORARY;
+    if (/full-?time|permanent|regular/.test(text)) return EMPLOYMENT_TYPE.FULL_TIME;
+  }
+  return null;
+}
+
+/**
+ * Remote policy from a workplace or location label, e.g. "Remote - US", "Hybrid", "On-site"
+ * Meant for short labels; descriptions mention "remote" in too many senses.
+ * @param {string} text - Label
+ * @returns {string|null} REMOTE_POLICY value
+ */
+export function detectRemotePolicy(text) {
+  const value = String(text || '').toLowerCase();
+  if (!value) return null;
+  if (/hybrid/.test(value)) return REMOTE_POLICY.HYBRID;
+  if (/remote|telecommute|work from home|anywhere/.test(value)) return REMOTE_POLICY.REMOTE;
+  if (/on-?site|in[- ]office|in[- ]person/.test(value)) return REMOTE_POLICY.ONSITE;
+  return null;
+}
+
+/**
+ * Seniority from a seniority label, e.g. LinkedIn's "Mid-Senior level"
+ * @param {string} text - Label
+ * @returns {string|null} SENIORITY_LEVEL value
+ */
+export function normalizeSeniority(text) {
+  const value = String(text || '').toLowerCase();
+  if (!value) return null;
+  if (/intern/.test(value)) return SENIORITY_LEVEL.INTERN;
+  if (/entry|junior|graduate|associate/.test(value)) return SENIORITY_LEVEL.ENTRY;
+  if (/mid-senior|senior/.test(value)) return SENIORITY_LEVEL.SENIOR;
+  if (/\bmid\b|intermediate/.test(value)) return SENIORITY_LEVEL.MID;
+  if (/lead|staff|principal/.test(value)) return SENIORITY_LEVEL.LEAD;
+  if (/manager/.test(value)) return SENIORITY_LEVEL.MANAGER;
+  if (/director/.test(value)) return SENIORITY_LEVEL.DIRECTOR;
+  if (/executive|chief|vice president|\bvp\b/.test(value)) return SENIORITY_LEVEL.EXECUTIVE;
+  return null;
+}
+
+/**
+ * Company name from a URL slug: "acme-corp" → "Acme Corp"
+ * @param {string} slug - Path segment or subdomain
+ * @returns {string}
+ */
+export function companyFromSlug(slug) {
+  return decodeURIComponent(slug || '')
+    .replace(/[-_]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/\b[a-z]/g, (letter) => letter.toUpperCase());
+}
+
+/**
+ * Distinct non-empty strings, trimmed, in order
+ * @param {Array<string>} values - Strings
+ * @returns {Array<string>}
+ */
+export function uniqueStrings(values) {
+  const seen = new Set();
+  return values
+    .map((value) => String(value || '').replace(/\s+/g, ' ').trim())
+    .filter((value) => {
+      const key = value.toLowerCase();
+      if (!value || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Whether a URL is on one of the given hosts or their subdomains
+ * @param {URL|null} url - Posting URL (null for pasted HTML without one)
+ * @param {Array<string>} hosts - e.g. ['lever.co']
+ * @returns {boolean}
+ */
+export function isOnHost(url, hosts) {
+  const hostname = url?.hostname?.toLowerCase() || '';
+  return hosts.some((host) => hostname === host || hostname.endsWith(`.${host}`));
+}
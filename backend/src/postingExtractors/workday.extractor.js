@@ -0,0 +1,64 @@
+import { findElement, findElements, htmlToText, inlineText, textOf } from '../utils/html.js';
+import {
+  companyFromSlug,
+  detectRemotePolicy,
+  isOnHost,
+  normalizeEmploymentType,
+  uniqueStrings,
+} from './normalize.js';
+import { POSTING_SITES } from '../models/postingImport.constants.js';
+
+/**
+ * Workday Extractor
+ *
+ * Why: Workday career sites (<company>.wd5.myworkdayjobs.com) mark every
+ * field with a data-automation-id. The page is rendered in the browser, so
+ * a fetched page often has only the JSON-LD posting; pasted HTML from the
+ * browser has the full markup read here.
+ */
+
+/**
+ * Values of a labelled detail block, e.g. [data-automation-id=locations] → ["Berlin", "Munich"]
+ * The first <dt> is the label; each <dd> a value.
+ */
+function detailValues(html, automationId) {
+  const block = findElement(html, `[data-automation-id=${automationId}]`);
+  if (!block) return [];
+  const values = findElements(block.html, 'dd').map((element) => inlineText(element.html));
+  return values.length > 0 ? values : [inlineText(block.html)];
+}
+
+/**
+ * Company from the tenant subdomain: "acme" in acme.wd5.myworkdayjobs.com
+ */
+function tenantCompany(url) {
+  if (!isOnHost(url, POSTING_SITES.workday.hosts)) return '';
+  return companyFromSlug(url.hostname.split('.')[0]);
+}
+
+export default {
+  name: 'workday',
+
+  matches({ url, html }) {
+    return isOnHost(url, POSTING_SITES.workday.hosts) || /data-automation-id=["']jobPostingHeader/.test(html);
+  },
+
+  /**
+   * @param {string} html - Posting page
+   * @param {URL|null} url - Posting URL
+   * @returns {Object} Posting fields found
+   */
+  extract(html, url) {
+    const locations = detailValues(html, 'locations');
+    const remoteType = detailValues(html, 'remoteType').join(' ');
+
+    return {
+      jobTitle: textOf(html, ['[data-automation-id=jobPostingHeader]']),
+      company: tenantCompany(url),
+      description: htmlToText(findElement(html, '[data-automation-id=jobPostingDescription]')?.html || ''),
+      locations: uniqueStrings(locations),
+      remotePolicy: detectRemotePolicy(remoteType) || detectRemotePolicy(locations.join(' ')),
+      employmentType: normalizeEmploymentType(detailValues(html, 'time')),
+    };
+  },
+};
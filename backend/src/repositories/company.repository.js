@@ -0,0 +1,136 @@
+import Company from '../models/Company.js';
+
+/**
+ * Company Repository
+ *
+ * Why: Encapsulates all database operations for the Company model.
+ *
+ * Responsibilities:
+ * - CRUD operations for companies
+ * - Ownership enforcement (all queries filter by userId)
+ */
+class CompanyRepository {
+  /**
+   * Create a new company
+   * @param {Object} companyData - Company data (user, name, nameKey, ...)
+   * @returns {Object} Created company
+   */
+  async create(companyData) {
+    const company = new Company(companyData);
+    return await company.save();
+  }
+
+  /**
+   * Create several companies at once
+   * Unordered, so one duplicate (e.g. from a concurrent request) does not stop the rest.
+   * @param {Array} companies - Company data
+   * @returns {Array} Created companies
+   */
+  async createMany(companies) {
+    try {
+      return await Company.insertMany(companies, { ordered: false });
+    } catch (error) {
+      // Duplicate names were created in the meantime - callers look them up again
+      if (error.code === 11000 || error.writeErrors?.every((writeError) => writeError.code === 11000)) {
+        return error.insertedDocs || [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find all companies for a user, alphabetically
+   * @param {string} userId - User ID
+   * @param {Object} [options] - { q } - Case-insensitive name search
+   * @returns {Array} Companies
+   */
+  async findByUserId(userId, { q } = {}) {
+    const query = { user: userId };
+    if (q) {
+      query.name = { $regex: q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+    return await Company.find(query)
+      .sort({ nameKey: 1 })
+      .lean();
+  }
+
+  /**
+   * Find a company by ID and user ID (for ownership verification)
+   * @param {string} companyId - Company ID
+   * @param {string} userId - User ID
+   * @returns {Object|null} Company or null if not found
+   */
+  async findByIdAndUserId(companyId, userId) {
+    return await Company.findOne({ _id: companyId, user: userId }).lean();
+  }
+
+  /**
+   * Find a user's companies by normalized name
+   * @param {string} userId - User ID
+   * @param {Array<string>} nameKeys - Normalized names
+   * @returns {Array} Matching companies
+   */
+  async findByNameKeys(userId, nameKeys) {
+    return await Company.find({ user: userId, nameKey: { $in: nameKeys } }).lean();
+  }
+
+  /**
+   * Find companies by ID with only the given fields
+   * @param {string} userId - User ID
+   * @param {Array<string>} companyIds - Company IDs
+   * @param {string} [fields] - Fields to select
+   * @returns {Array} Companies
+   */
+  async findByIds(userId, companyIds, fields = '') {
+    return await Company.find({ user: userId, _id: { $in: companyIds } })
+      .select(fields)
+      .lean();
+  }
+
+  /**
+   * Update a company by ID and user ID
+   * @param {string} companyId - Company ID
+   * @param {string} userId - User ID
+   * @param {Object} updateData - Fields to update (dotted paths allowed)
+   * @returns {Object|null} Updated company or null if not found
+   */
+  async updateByIdAndUserId(companyId, userId, updateData) {
+    return await Company.findOneAndUpdate(
+      { _id: companyId, user: userId },
+      { $set: updateData },
+      { new: true, runValidators: true }
+    ).lean();
+  }
+
+  /**
+   * Delete a company by ID and user ID
+   * @param {string} companyId - Company ID
+   * @param {string} userId - User ID
+   * @returns {Object|null} Deleted company or null if not found
+   */
+  async deleteByIdAndUserId(companyId, userId) {
+    return await Company.findOneAndDelete({ _id: companyId, user: userId }).lean();
+  }
+
+  /**
+   * Delete specific companies of a user (account restores)
+   * @param {string} userId - User ID
+   * @param {Array<string>} companyIds - Company IDs
+   * @returns {Object} Delete result
+   */
+  async deleteManyByIds(userId, companyIds) {
+    return await Company.deleteMany({ user: userId, _id: { $in: companyIds } });
+  }
+
+  /**
+   * Delete a user's companies except the given ones (account restores in replace mode)
+   * @param {string} userId - User ID
+   * @param {Array<string>} keepIds - IDs of the companies to keep
+   * @returns {Object} Delete result
+   */
+  async deleteByUserIdExcept(userId, keepIds) {
+    return await Company.deleteMany({ user: userId, _id: { $nin: keepIds } });
+  }
+}
+
+export default new CompanyRepository();
@@ -0,0 +1,185 @@
+import Contact from '../models/Contact.js';
+import { MAX_CONTACT_APPLICATIONS } from '../models/contact.constants.js';
+
+/**
+ * Contact Repository
+ *
+ * Why: Encapsulates all database operations for the Contact model.
+ *
+ * Responsibilities:
+ * - CRUD operations for contacts
+ * - Add, change and remove application links
+ * - Ownership enforcement (all user queries filter by userId)
+ */
+class ContactRepository {
+  /**
+   * Create a new contact
+   * @param {Object} contactData - Contact data
+   * @returns {Object} Created contact
+   */
+  async create(contactData) {
+    const contact = new Contact(contactData);
+    return await contact.save();
+  }
+
+  /**
+   * Find a user's contacts, alphabetically
+   * @param {string} userId - User ID
+   * @param {Object} [options] - { q, applicationId, relationship }
+   *   q searches name, company, role and email; relationship applies to the
+   *   given application, or to any application without one
+   * @returns {Array} Lean contacts
+   */
+  async findByUserId(userId, { q, applicationId, relationship } = {}) {
+    const query = { user: userId };
+
+    if (q) {
+      const pattern = { $regex: q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+      query.$or = [{ name: pattern }, { company: pattern }, { role: pattern }, { email: pattern }];
+    }
+
+    if (applicationId || relationship) {
+      query.applications = {
+        $elemMatch: {
+          ...(applicationId && { application: applicationId }),
+          ...(relationship && { relationship }),
+        },
+      };
+    }
+
+    return await Contact.find(query)
+      .sort({ name: 1 })
+      .lean();
+  }
+
+  /**
+   * Find a contact by ID and user ID (for ownership verification)
+   * @param {string} contactId - Contact ID
+   * @param {string} userId - User ID
+   * @returns {Object|null} Lean contact or null
+   */
+  async findByIdAndUserId(contactId, userId) {
+    return await Contact.findOne({ _id: contactId, user: userId }).lean();
+  }
+
+  /**
+   * Update a contact by ID and user ID (ensures ownership)
+   * @param {string} contactId - Contact ID
+   * @param {string} userId - User ID
+   * @param {Object} updateData - Fields to set
+   * @returns {Object|null} Updated lean contact or null
+   */
+  async updateByIdAndUserId(contactId, userId, updateData) {
+    return await Contact.findOneAndUpdate(
+      { _id: contactId, user: userId },
+      { $set: updateData },
+      { new: true, runValidators: true }
+    ).lean();
+  }
+
+  /**
+   * Delete a contact by ID and user ID (ensures ownership)
+   * @param {string} contactId - Contact ID
+   * @param {string} userId - User ID
+   * @returns {Object|null} Deleted contact or null
+   */
+  async deleteByIdAndUserId(contactId, userId) {
+    return await Contact.findOneAndDelete({ _id: contactId, user: userId });
+  }
+
+  /**
+   * Change the relationship of an existing application link
+   * @param {string} contactId - Contact ID
+   * @param {string} userId - User ID
+   * @param {string} applicationId - Application ID
+   * @param {string} relationship - Relationship type
+   * @returns {Object|null} Updated lean contact, or null if the link does not exist
+   */
+  async updateApplicationLink(contactId, userId, applicationId, relationship) {
+    return await Contact.findOneAndUpdate(
+      { _id: contactId, user: userId, 'applications.application': applicationId },
+      { $set: { 'applications.$.relationship': relationship } },
+      { new: true, runValidators: true }
+    ).lean();
+  }
+
+  /**
+   * Add an application link, unless the contact already has the maximum
+   * Runs as one update so concurrent links cannot exceed the limit.
+   * @param {string} contactId - Contact ID
+   * @param {string} userId - User ID
+   * @param {string} applicationId - Application ID
+   * @param {string} relationship - Relationship type
+   * @returns {Object|null} Updated lean contact, or null if not found or full
+   */
+  async addApplicationLink(contactId, userId, applicationId, relationship) {
+    return await Contact.findOneAndUpdate(
+      {
+        _id: contactId,
+        user: userId,
+        'applications.application': { $ne: applicationId },
+        [`applications.${MAX_CONTACT_APPLICATIONS - 1}`]: { $exists: false },
+      },
+      { $push: { applications: { application: applicationId, relationship } } },
+      { new: true, runValidators: true }
+    ).lean();
+  }
+
+  /**
+   * Remove an application link
+   * @param {string} contactId - Contact ID
+   * @param {string} userId - User ID
+   * @param {string} applicationId - Application ID
+   * @returns {Object|null} Updated lean contact or null
+   */
+  async removeApplicationLink(contactId, userId, applicationId) {
+    return await Contact.findOneAndUpdate(
+      { _id: contactId, user: userId },
+      { $pull: { applications: { application: applicationId } } },
+      { new: true }
+    ).lean();
+  }
+
+  /**
+   * Remove links to applications that were permanently deleted
+   * @param {Array<string>} applicationIds - Application IDs
+   * @returns {Object} Update result
+   */
+  async removeApplicationLinks(applicationIds) {
+    return await Contact.updateMany(
+      { 'applications.application': { $in: applicationIds } },
+      { $pull: { applications: { application: { $in: applicationIds } } } }
+    );
+  }
+
+  /**
+   * Find all contacts for a user (account backups)
+   * @param {string} userId - User ID
+   * @returns {Array} Lean contacts
+   */
+  async findAllByUserId(userId) {
+    return await Contact.find({ user: userId }).sort({ name: 1 }).lean();
+  }
+
+  /**
+   * Create several contacts at once (account restores)
+   * @param {Array} contacts - Contact data
+   * @param {Object} [options] - insertMany options
+   * @returns {Array} Created contacts
+   */
+  async createMany(contacts, options = {}) {
+    return await Contact.insertMany(contacts, options);
+  }
+
+  /**
+   * Delete specific contacts of a user (account restores)
+   * @param {string} userId - User ID
+   * @param {Array<string>} contactIds - Contact IDs
+   * @returns {Object} Delete result
+   */
+  async deleteManyByIds(userId, contactIds) {
+    return await Contact.deleteMany({ user: userId, _id: { $in: contactIds } });
+  }
+}
+
+export default new ContactRepository();
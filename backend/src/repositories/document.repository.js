@@ -0,0 +1,201 @@
+import Document from '../models/Document.js';
+import { MAX_DOCUMENT_VERSIONS, MAX_DOCUMENT_APPLICATIONS } from '../models/document.constants.js';
+
+/**
+ * Document Repository
+ *
+ * Why: Encapsulates all database operations for the Document model.
+ *
+ * Responsibilities:
+ * - CRUD operations for documents
+ * - Add and remove versions (atomically, so version numbers are never reused)
+ * - Add, change and remove application links
+ * - Ownership enforcement (all user queries filter by userId)
+ */
+class DocumentRepository {
+  /**
+   * Create a new document
+   * @param {Object} documentData - Document data
+   * @returns {Object} Created document
+   */
+  async create(documentData) {
+    const document = new Document(documentData);
+    return await document.save();
+  }
+
+  /**
+   * Find a user's documents, most recently updated first
+   * @param {string} userId - User ID
+   * @param {Object} [options] - { q, type, applicationId }
+   *   q searches the name; applicationId keeps documents attached to that application
+   * @returns {Array} Lean documents
+   */
+  async findByUserId(userId, { q, type, applicationId } = {}) {
+    const query = { user: userId };
+
+    if (q) {
+      query.name = { $regex: q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+    if (type) {
+      query.type = type;
+    }
+    if (applicationId) {
+      query['applications.application'] = applicationId;
+    }
+
+    return await Document.find(query)
+      .sort({ updatedAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Find a document by ID and user ID (for ownership verification)
+   * @param {string} documentId - Document ID
+   * @param {string} userId - User ID
+   * @returns {Object|null} Lean document or null
+   */
+  async findByIdAndUserId(documentId, userId) {
+    return await Document.findOne({ _id: documentId, user: userId }).lean();
+  }
+
+  /**
+   * Update a document by ID and user ID (ensures ownership)
+   * @param {string} documentId - Document ID
+   * @param {string} userId - User ID
+   * @param {Object} updateData - Fields to set
+   * @returns {Object|null} Updated lean document or null
+   */
+  async updateByIdAndUserId(documentId, userId, updateData) {
+    return await Document.findOneAndUpdate(
+      { _id: documentId, user: userId },
+      { $set: updateData },
+      { new: true, runValidators: true }
+    ).lean();
+  }
+
+  /**
+   * Delete a document by ID and user ID (ensures ownership)
+   * @param {string} documentId - Document ID
+   * @param {string} userId - User ID
+   * @returns {Object|null} Deleted document or null
+   */
+  async deleteByIdAndUserId(documentId, userId) {
+    return await Document.findOneAndDelete({ _id: documentId, user: userId }).lean();
+  }
+
+  /**
+   * Append a version, unless another upload took the version number first
+   * or the document already has the maximum number of versions
+   * @param {string} documentId - Document ID
+   * @param {string} userId - User ID
+   * @param {Object} version - Version data (version must be latestVersion + 1)
+   * @returns {Object|null} Updated lean document, or null if not added
+   */
+  async addVersion(documentId, userId, version) {
+    return await Document.findOneAndUpdate(
+      {
+        _id: documentId,
+        user: userId,
+        latestVersion: version.version - 1,
+        [`versions.${MAX_DOCUMENT_VERSIONS - 1}`]: { $exists: false },
+      },
+      { $push: { versions: version }, $set: { latestVersion: version.version } },
+      { new: true, runValidators: true }
+    ).lean();
+  }
+
+  /**
+   * Remove a version, unless it is the only one or attached to an application
+   * @param {string} documentId - Document ID
+   * @param {string} userId - User ID
+   * @param {number} version - Version number
+   * @returns {Object|null} Document before the update, or null if not removed
+   */
+  async removeVersion(documentId, userId, version) {
+    return await Document.findOneAndUpdate(
+      {
+        _id: documentId,
+        user: userId,
+        'versions.version': version,
+        'versions.1': { $exists: true },
+        'applications.version': { $ne: version },
+      },
+      { $pull: { versions: { version } } },
+      { new: false }
+    ).lean();
+  }
+
+  /**
+   * Change the version of an existing application link
+   * @param {string} documentId - Document ID
+   * @param {string} userId - User ID
+   * @param {string} applicationId - Application ID
+   * @param {number} version - Version number (must exist)
+   * @returns {Object|null} Updated lean document, or null if the link or version does not exist
+   */
+  async updateApplicationLink(documentId, userId, applicationId, version) {
+    return await Document.findOneAndUpdate(
+      {
+        _id: documentId,
+        user: userId,
+        'applications.application': applicationId,
+        'versions.version': version,
+      },
+      // Array filter rather than "$": the query matches two arrays
+      { $set: { 'applications.$[link].version': version, 'applications.$[link].attachedAt': new Date() } },
+      { new: true, runValidators: true, arrayFilters: [{ 'link.application': applicationId }] }
+    ).lean();
+  }
+
+  /**
+   * Add an application link, unless the document already has the maximum
+   * Runs as one update so concurrent links cannot exceed the limit.
+   * @param {string} documentId - Document ID
+   * @param {string} userId - User ID
+   * @param {string} applicationId - Application ID
+   * @param {number} version - Version number (must exist)
+   * @returns {Object|null} Updated lean document, or null if not found, full or the version is missing
+   */
+  async addApplicationLink(documentId, userId, applicationId, version) {
+    return await Document.findOneAndUpdate(
+      {
+        _id: documentId,
+        user: userId,
+        'versions.version': version,
+        'applications.application': { $ne: applicationId },
+        [`applications.${MAX_DOCUMENT_APPLICATIONS - 1}`]: { $exists: false },
+      },
+      { $push: { applications: { application: applicationId, version } } },
+      { new: true, runValidators: true }
+    ).lean();
+  }
+
+  /**
+   * Remove an application link
+   * @param {string} documentId - Document ID
+   * @param {string} userId - User ID
+   * @param {string} applicationId - Application ID
+   * @returns {Object|null} Updated lean document or null
+   */
+  async removeApplicationLink(documentId, userId, applicationId) {
+    return await Document.findOneAndUpdate(
+      { _id: documentId, user: userId },
+      { $pull: { applications: { application: applicationId } } },
+      { new: true }
+    ).lean();
+  }
+
+  /**
+   * Remove links to applications that were permanently deleted
+   * @param {Array<string>} applicationIds - Application IDs
+   * @returns {Object} Update result
+   */
+  async removeApplicationLinks(applicationIds) {
+    return await Document.updateMany(
+      { 'applications.application': { $in: applicationIds } },
+      { $pull: { applications: { application: { $in: applicationIds } } } }
+    );
+  }
+}
+
+export default new DocumentRepository();
@@ -0,0 +1,125 @@
+import InterviewRound from '../models/InterviewRound.js';
+
+/**
+ * Interview Round Repository
+ *
+ * Why: Encapsulates all database operations for the InterviewRound model.
+ *
+ * Responsibilities:
+ * - CRUD operations for interview rounds
+ * - Ownership enforcement (all user queries filter by userId)
+ */
+class InterviewRoundRepository {
+  /**
+   * Create a new interview round
+   * @param {Object} roundData - Round data
+   * @returns {Object} Created round
+   */
+  async create(roundData) {
+    const round = new InterviewRound(roundData);
+    return await round.save();
+  }
+
+  /**
+   * Find the rounds of an application, scheduled rounds first in time order
+   * @param {string} userId - User ID
+   * @param {string} applicationId - Application ID
+   * @returns {Array} Lean rounds
+   */
+  async findByApplicationId(userId, applicationId) {
+    const rounds = await InterviewRound.find({ user: userId, application: applicationId })
+      .sort({ scheduledStart: 1, createdAt: 1 })
+      .lean();
+
+    // MongoDB sorts null first; unscheduled rounds belong after the scheduled ones
+    return [
+      ...rounds.filter((round) => round.scheduledStart),
+      ...rounds.filter((round) => !round.scheduledStart),
+    ];
+  }
+
+  /**
+   * Find a round by ID, application and user (ensures ownership)
+   * @param {string} roundId - Round ID
+   * @param {string} applicationId - Application ID
+   * @param {string} userId - User ID
+   * @returns {Object|null} Round or null
+   */
+  async findByIdAndApplicationId(roundId, applicationId, userId) {
+    return await InterviewRound.findOne({ _id: roundId, application: applicationId, user: userId });
+  }
+
+  /**
+   * Count the rounds of an application
+   * @param {string} userId - User ID
+   * @param {string} applicationId - Application ID
+   * @returns {number} Round count
+   */
+  async countByApplicationId(userId, applicationId) {
+    return await InterviewRound.countDocuments({ user: userId, application: applicationId });
+  }
+
+  /**
+   * Delete a round by ID, application and user (ensures ownership)
+   * @param {string} roundId - Round ID
+   * @param {string} applicationId - Application ID
+   * @param {string} userId - User ID
+   * @returns {Object|null} Deleted round or null
+   */
+  async deleteByIdAndApplicationId(roundId, applicationId, userId) {
+    return await InterviewRound.findOneAndDelete({
+      _id: roundId,
+      application: applicationId,
+      user: userId,
+    });
+  }
+
+  /**
+   * Delete all rounds of an application (when the application is deleted)
+   * @param {string} applicationId - Application ID
+   * @returns {Object} Delete result
+   */
+  async deleteByApplicationId(applicationId) {
+    return await InterviewRound.deleteMany({ application: applicationId });
+  }
+
+  /**
+   * Delete all rounds of several applications (trash purge)
+   * @param {Array<string>} applicationIds - Application IDs
+   * @returns {Object} Delete result
+   */
+  async deleteByApplicationIds(applicationIds) {
+    return await InterviewRound.deleteMany({ application: { $in: applicationIds } });
+  }
+
+  /**
+   * Find all rounds for a user (account backups)
+   * @param {string} userId - User ID
+   * @returns {Array} Lean rounds
+   */
+  async findAllByUserId(userId) {
+    return await InterviewRound.find({ user: userId }).sort({ createdAt: 1 }).lean();
+  }
+
+  /**
+   * Create several rounds at once (account restores)
+   * @param {Array} rounds - Round data
+   * @param {Object} [options] - insertMany options
+   * @returns {Array} Created rounds
+   */
+  async createMany(rounds, options = {}) {
+    return await InterviewRound.insertMany(rounds, options);
+  }
+
+  /**
+   * Delete specific rounds of a user (account restores)
+   * @param {string} userId - User ID
+   * @param {Array<string>} roundIds - Round IDs
+   * @returns {Object} Delete result
+   */
+  async deleteManyByIds(userId, roundIds) {
+    return await InterviewRound.deleteMany({ user: userId, _id: { $in: roundIds } });
+  }
+}
+
+export default new InterviewRoundRepository();
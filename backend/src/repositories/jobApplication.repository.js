@@ -1,6 +1,63 @@
 import mongoose from 'mongoose';
 import JobApplication from '../models/JobApplication.js';
-import { APPLICATION_STATUS } from '../models/jobApplication.constants.js';
+import { APPLICATION_STATUS, SALARY_PERIOD, HOURS_PER_YEAR } from '../models/jobApplication.constants.js';
+import { getExchangeRates } from '../utils/currency.js';
+
+// Applications in the trash are excluded from every query unless stated otherwise
+const NOT_DELETED = { deletedAt: null };
+
+// Archived applications are left out of lists, the board and analytics unless requested
+const visibleFilter = ({ includeArchived = false } = {}) =>
+  (includeArchived ? NOT_DELETED : { ...NOT_DELETED, archivedAt: null });
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive exact match (sources and tag names)
+const exactMatch = (value) => new RegExp(`^${escapeRegExp(value)}$`, 'i');
+
+// A posted salary range is recorded when either end is
+const NO_SALARY = { 'salary.min': null, 'salary.max': null };
+const HAS_SALARY = { $nor: [NO_SALARY] };
+
+/**
+ * Aggregation expression for a salary amount as a yearly amount in another
+ * currency (null when the amount is missing or its currency has no rate).
+ * Converting at query time keeps results right after the rate table changes.
+ * @param {string} amountExpression - e.g. '$salary.min'
+ * @param {string} currency - Target currency code
+ */
+const annualSalaryExpression = (amountExpression, currency) => {
+  const { rates } = getExchangeRates();
+  return {
+    $let: {
+      vars: {
+        amount: amountExpression,
+        rate: {
+          $switch: {
+            branches: Object.entries(rates).map(([code, rate]) => ({
+              case: { $eq: ['$salary.currency', code] },
+              then: rate,
+            })),
+            default: null,
+          },
+        },
+      },
+      in: {
+        $cond: [
+          { $or: [{ $eq: ['$$amount', null] }, { $eq: ['$$rate', null] }] },
+          null,
+          {
+            $multiply: [
+              '$$amount',
+              { $cond: [{ $eq: ['$salary.period', SALARY_PERIOD.HOURLY] }, HOURS_PER_YEAR, 1] },
+              { $divide: [rates[currency], '$$rate'] },
+            ],
+          },
+        ],
+      },
+    },
+  };
+};
 
 /**
  * Job Application Repository
@@ -14,6 +71,10 @@ import { APPLICATION_STATUS } from '../models/jobApplication.constants.js';
  * 
  * Responsibilities:
  * - CRUD operations (Create, Read, Update, Delete)
+ * - Soft deletion: trashed applications (deletedAt set) are hidden from all
+ *   other queries until restored or purged
+ * - Archiving: archived applications (archivedAt set) are hidden from lists,
+ *   the board and analytics unless includeArchived is passed
  * - Complex queries (find by criteria, pagination, filtering)
  * - Data transformation between service layer and database
  * - Query optimization (select specific fields, use indexes)
@@ -27,6 +88,16 @@ class JobApplicationRepository {
     return await application.save();
   }
 
+  /**
+   * Create several job applications at once (imports, restores)
+   * @param {Array} applications - Application data
+   * @param {Object} [options] - insertMany options (e.g. { timestamps: false } to keep restored dates)
+   * @returns {Array} Created applications
+   */
+  async createMany(applications, options = {}) {
+    return await JobApplication.insertMany(applications, options);
+  }
+
   /**
    * Find application by ID
    */
@@ -41,25 +112,145 @@ class JobApplicationRepository {
     return await JobApplication.findOne({
       _id: applicationId,
       user: userId,
+      ...NOT_DELETED,
+    });
+  }
+
+  /**
+   * Build the MongoDB query for a user's application list
+   * @param {string} userId - User ID
+   * @param {Object} filters - Normalized filters
+   * @param {Array<string>} [filters.statuses] - Match any of these statuses
+   * @param {string} [filters.q] - Full-text search query
+   * @param {Object} [filters.dateApplied] - { from?: Date, to?: Date }
+   * @param {Object} [filters.createdAt] - { from?: Date, to?: Date }
+   * @param {string} [filters.source] - Source (case-insensitive exact match)
+   * @param {Array<string>} [filters.tags] - Match any of these tags (case-insensitive)
+   * @param {boolean} [filters.hasAnalysis] - Has a resume match analysis or not
+   * @param {number} [filters.minMatchScore] - Minimum match score (inclusive)
+   * @param {number} [filters.maxMatchScore] - Maximum match score (inclusive)
+   * @param {number} [filters.salaryMin] - Top of the posted range (yearly) is at least this
+   * @param {number} [filters.salaryMax] - Bottom of the posted range (yearly) is at most this
+   * @param {string} [filters.salaryCurrency] - Currency of salaryMin/salaryMax
+   * @param {boolean} [filters.hasSalary] - Has a posted salary range or not
+   * @param {string} [filters.location] - Any location contains this (case-insensitive)
+   * @param {Array<string|null>} [filters.remotePolicy] - Match any of these (null = not set)
+   * @param {Array<string|null>} [filters.employmentType] - Match any of these (null = not set)
+   * @param {Array<string|null>} [filters.seniority] - Match any of these (null = not set)
+   * @param {boolean|null} [filters.visaSponsorship] - Sponsors visas, does not, or not known (null)
+   * @param {Array<string>} [filters.skills] - Requires or prefers any of these skills (case-insensitive)
+   * @param {number} [filters.maxYearsOfExperience] - Asks for at most this many years (stated only)
+   * @param {boolean} [filters.includeArchived] - Include archived applications
+   * @returns {Object} MongoDB query
+   */
+  buildListQuery(userId, filters = {}) {
+    const query = { user: userId, ...visibleFilter(filters) };
+
+    if (filters.statuses?.length) {
+      query.status = filters.statuses.length === 1
+        ? filters.statuses[0]
+        : { $in: filters.statuses };
+    }
+    if (filters.q) {
+      query.$text = { $search: filters.q };
+    }
+
+    ['dateApplied', 'createdAt'].forEach((field) => {
+      const range = filters[field];
+      if (range?.from || range?.to) {
+        query[field] = {};
+        if (range.from) query[field].$gte = range.from;
+        if (range.to) query[field].$lte = range.to;
+      }
+    });
+
+    if (filters.source) {
+      query.source = exactMatch(filters.source);
+    }
+
+    if (filters.tags?.length) {
+      query.tags = { $in: filters.tags.map(exactMatch) };
+    }
+
+    // An analysis exists once it has a timestamp
+    if (filters.hasAnalysis === true) {
+      query['aiInsights.resumeMatch.analyzedAt'] = { $ne: null };
+    } else if (filters.hasAnalysis === false) {
+      query['aiInsights.resumeMatch.analyzedAt'] = null;
+    }
+
+    if (filters.minMatchScore !== undefined || filters.maxMatchScore !== undefined) {
+      const score = {};
+      if (filters.minMatchScore !== undefined) score.$gte = filters.minMatchScore;
+      if (filters.maxMatchScore !== undefined) score.$lte = filters.maxMatchScore;
+      query['aiInsights.resumeMatch.matchScore'] = score;
+    }
+
+    if (filters.hasSalary === true) {
+      Object.assign(query, HAS_SALARY);
+    } else if (filters.hasSalary === false) {
+      Object.assign(query, NO_SALARY);
+    }
+
+    if (filters.location) {
+      query.locations = new RegExp(escapeRegExp(filters.location), 'i');
+    }
+
+    ['remotePolicy', 'employmentType', 'seniority'].forEach((field) => {
+      const values = filters[field];
+      if (values?.length) {
+        query[field] = values.length === 1 ? values[0] : { $in: values };
+      }
     });
+
+    if (filters.visaSponsorship !== undefined) {
+      query.visaSponsorship = filters.visaSponsorship;
+    }
+
+    if (filters.skills?.length) {
+      const skills = { $in: filters.skills.map(exactMatch) };
+      query.$or = [{ requiredSkills: skills }, { niceToHaveSkills: skills }];
+    }
+
+    if (filters.maxYearsOfExperience !== undefined) {
+      query.yearsOfExperience = { $lte: filters.maxYearsOfExperience };
+    }
+
+    // Salary bounds match ranges that overlap them; a one-sided range counts as a single figure
+    const salaryConditions = [];
+    if (filters.salaryMin !== undefined) {
+      const top = annualSalaryExpression({ $ifNull: ['$salary.max', '$salary.min'] }, filters.salaryCurrency);
+      salaryConditions.push({ $ne: [top, null] }, { $gte: [top, filters.salaryMin] });
+    }
+    if (filters.salaryMax !== undefined) {
+      const bottom = annualSalaryExpression({ $ifNull: ['$salary.min', '$salary.max'] }, filters.salaryCurrency);
+      salaryConditions.push({ $ne: [bottom, null] }, { $lte: [bottom, filters.salaryMax] });
+    }
+    if (salaryConditions.length > 0) {
+      query.$expr = { $and: salaryConditions };
+    }
+
+    return query;
   }
 
   /**
    * Find all applications for a specific user
+   * With a search query (q) results come from the text index and are ranked
+   * by relevance unless another sort field is requested.
+   * @param {string} userId - User ID
+   * @param {Object} options - Filters (see buildListQuery) plus page, limit, sortBy, sortOrder
    */
   async findByUserId(userId, options = {}) {
-    const { status, page = 1, limit = 10, sortBy = 'createdAt', sortOrder = 'desc' } = options;
+    const { q, page = 1, limit = 10 } = options;
 
-    const query = { user: userId };
-    if (status) {
-      query.status = status;
-    }
+    const query = this.buildListQuery(userId, options);
 
     const skip = (page - 1) * limit;
-    const sort = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
+    const projection = q ? { score: { $meta: 'textScore' } } : {};
+    const sort = this.buildListSort(options);
 
     const [applications, total] = await Promise.all([
-      JobApplication.find(query)
+      JobApplication.find(query, projection)
         .sort(sort)
         .skip(skip)
         .limit(limit)
@@ -78,6 +269,101 @@ class JobApplicationRepository {
     };
   }
 
+  /**
+   * Build the sort for a list query
+   * With a search query (q) relevance is the default; without one it falls back to createdAt.
+   * @param {Object} options - { q, sortBy, sortOrder }
+   * @returns {Object} MongoDB sort
+   */
+  buildListSort({ q, sortBy, sortOrder = 'desc' } = {}) {
+    const field = sortBy || (q ? 'relevance' : 'createdAt');
+    if (q && field === 'relevance') {
+      return { score: { $meta: 'textScore' }, _id: 1 };
+    }
+    return { [field === 'relevance' ? 'createdAt' : field]: sortOrder === 'desc' ? -1 : 1 };
+  }
+
+  /**
+   * Find every application matching list filters, without pagination (exports)
+   * @param {string} userId - User ID
+   * @param {Object} options - Filters (see buildListQuery) plus sortBy, sortOrder
+   * @param {number} limit - Maximum number of applications
+   * @returns {Array} Lean application documents
+   */
+  async findAllByFilters(userId, options = {}, limit) {
+    const query = this.buildListQuery(userId, options);
+    const projection = options.q ? { score: { $meta: 'textScore' } } : {};
+
+    return await JobApplication.find(query, projection)
+      .sort(this.buildListSort(options))
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Find all applications for a user without pagination
+   * Used by analytics that need to inspect every application
+   * @param {string} userId - User ID
+   * @param {string} [fields] - Space-separated projection
+   * @param {Object} [filter] - Additional query conditions
+   * @returns {Array} Lean application documents
+   */
+  async findAllByUserId(userId, fields = '', filter = {}) {
+    return await JobApplication.find({ ...filter, user: userId, ...NOT_DELETED })
+      .select(fields)
+      .lean();
+  }
+
+  /**
+   * Find all applications for a user including the trash (account backups)
+   * @param {string} userId - User ID
+   * @param {string} [fields] - Space-separated projection
+   * @returns {Array} Lean application documents
+   */
+  async findAllWithDeletedByUserId(userId, fields = '') {
+    return await JobApplication.find({ user: userId })
+      .select(fields)
+      .lean();
+  }
+
+  /**
+   * Find all applications for the board view, in card order
+   * Unplaced cards (boardPosition null) sort first, most recently updated on top
+   * @param {string} userId - User ID
+   * @param {string} fields - Space-separated projection
+   * @returns {Array} Lean application documents
+   */
+  async findBoardByUserId(userId, fields) {
+    return await JobApplication.find({ user: userId, ...visibleFilter() })
+      .select(fields)
+      .sort({ boardPosition: 1, updatedAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Persist the card order of one board column
+   * Only applications owned by the user and currently in the column are updated
+   * @param {string} userId - User ID
+   * @param {string} status - Column status (pipeline stage key)
+   * @param {Array<string>} applicationIds - Application IDs in display order
+   * @returns {Object} Bulk write result
+   */
+  async updateBoardPositions(userId, status, applicationIds) {
+    if (applicationIds.length === 0) {
+      return { matchedCount: 0, modifiedCount: 0 };
+    }
+
+    return await JobApplication.bulkWrite(
+      applicationIds.map((applicationId, index) => ({
+        updateOne: {
+          filter: { _id: applicationId, user: userId, status, ...NOT_DELETED },
+          update: { $set: { boardPosition: index } },
+        },
+      })),
+      { ordered: false }
+    );
+  }
+
   /**
    * Update application by ID and user ID (ensures ownership)
    */
@@ -86,6 +372,7 @@ class JobApplicationRepository {
       {
         _id: applicationId,
         user: userId,
+        ...NOT_DELETED,
       },
       { $set: updateData },
       { new: true, runValidators: true }
@@ -93,21 +380,155 @@ class JobApplicationRepository {
   }
 
   /**
-   * Delete application by ID and user ID (ensures ownership)
+   * Archive or unarchive an application (ensures ownership)
+   * @param {string} applicationId - Application ID
+   * @param {string} userId - User ID
+   * @param {boolean} archived - true to archive, false to unarchive
+   * @returns {Object|null} Updated application or null if not found
+   */
+  async setArchivedByIdAndUserId(applicationId, userId, archived) {
+    return await JobApplication.findOneAndUpdate(
+      { _id: applicationId, user: userId, ...NOT_DELETED },
+      { $set: { archivedAt: archived ? new Date() : null } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Archive several applications of a user that are not archived yet (auto-archive)
+   * @param {string} userId - User ID
+   * @param {Array<string>} applicationIds - Application IDs
+   * @returns {Object} Update result
+   */
+  async archiveManyByIds(userId, applicationIds) {
+    return await JobApplication.updateMany(
+      { _id: { $in: applicationIds }, user: userId, archivedAt: null, ...NOT_DELETED },
+      { $set: { archivedAt: new Date() } }
+    );
+  }
+
+  /**
+   * Move an application to the trash (ensures ownership)
+   * @returns {Object|null} Trashed application or null if not found
+   */
+  async softDeleteByIdAndUserId(applicationId, userId) {
+    return await JobApplication.findOneAndUpdate(
+      { _id: applicationId, user: userId, ...NOT_DELETED },
+      { $set: { deletedAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Take an application out of the trash (ensures ownership)
+   * @param {string} applicationId - Application ID
+   * @param {string} userId - User ID
+   * @param {Object} [updateData] - Extra fields to set (e.g. a replacement status)
+   * @returns {Object|null} Restored application or null if not in the trash
+   */
+  async restoreByIdAndUserId(applicationId, userId, updateData = {}) {
+    return await JobApplication.findOneAndUpdate(
+      { _id: applicationId, user: userId, deletedAt: { $ne: null } },
+      { $set: { ...updateData, deletedAt: null } },
+      { new: true, runValidators: true }
+    );
+  }
+
+  /**
+   * Find an application in the trash by ID and user ID
+   */
+  async findDeletedByIdAndUserId(applicationId, userId) {
+    return await JobApplication.findOne({
+      _id: applicationId,
+      user: userId,
+      deletedAt: { $ne: null },
+    });
+  }
+
+  /**
+   * Find a user's trashed applications, most recently deleted first
+   * @param {string} userId - User ID
+   * @param {Object} options - { page, limit }
+   * @returns {Object} Applications with pagination
+   */
+  async findDeletedByUserId(userId, { page = 1, limit = 20 } = {}) {
+    const query = { user: userId, deletedAt: { $ne: null } };
+
+    const [applications, total] = await Promise.all([
+      JobApplication.find(query)
+        .select('company jobTitle status source dateApplied deletedAt createdAt')
+        .sort({ deletedAt: -1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      JobApplication.countDocuments(query),
+    ]);
+
+    return {
+      applications,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Find the IDs of a user's trashed applications
+   * @param {string} userId - User ID
+   * @returns {Array<ObjectId>} Application IDs
+   */
+  async findDeletedIdsByUserId(userId) {
+    return await JobApplication.distinct('_id', { user: userId, deletedAt: { $ne: null } });
+  }
+
+  /**
+   * Find trashed applications deleted before a date, across all users (trash purge)
+   * @param {Date} cutoff - Deleted before this date
+   * @param {number} limit - Maximum number of applications
+   * @returns {Array} Lean documents with _id and user
+   */
+  async findDeletedBefore(cutoff, limit) {
+    return await JobApplication.find({ deletedAt: { $ne: null, $lt: cutoff } })
+      .select('_id user')
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Permanently delete trashed applications by ID, across all users (trash purge)
+   * @param {Array<string>} applicationIds - Application IDs
+   * @returns {Object} Delete result
+   */
+  async deleteDeletedByIds(applicationIds) {
+    return await JobApplication.deleteMany({
+      _id: { $in: applicationIds },
+      deletedAt: { $ne: null },
+    });
+  }
+
+  /**
+   * Permanently delete a trashed application (ensures ownership)
+   * Only applications in the trash can be deleted permanently.
    */
   async deleteByIdAndUserId(applicationId, userId) {
     return await JobApplication.findOneAndDelete({
       _id: applicationId,
       user: userId,
+      deletedAt: { $ne: null },
     });
   }
 
   /**
    * Get application statistics for a user
+   * @param {string} userId - User ID
+   * @param {Object} [options] - { includeArchived }
    */
-  async getStatisticsByUserId(userId) {
+  async getStatisticsByUserId(userId, options = {}) {
     const stats = await JobApplication.aggregate([
-      { $match: { user: new mongoose.Types.ObjectId(userId) } },
+      { $match: { user: new mongoose.Types.ObjectId(userId), ...visibleFilter(options) } },
       {
         $group: {
           _id: '$status',
@@ -125,11 +546,234 @@ class JobApplicationRepository {
     return statistics;
   }
 
+  /**
+   * Delete specific applications of a user (account restores)
+   * @param {string} userId - User ID
+   * @param {Array<string>} applicationIds - Application IDs
+   * @returns {Object} Delete result
+   */
+  async deleteManyByIds(userId, applicationIds) {
+    return await JobApplication.deleteMany({ user: userId, _id: { $in: applicationIds } });
+  }
+
   /**
    * Count total applications for a user
+   * @param {string} userId - User ID
+   * @param {Object} [options] - { includeArchived }
+   */
+  async countByUserId(userId, options = {}) {
+    return await JobApplication.countDocuments({ user: userId, ...visibleFilter(options) });
+  }
+
+  /**
+   * Count a user's applications matching list filters
+   * @param {string} userId - User ID
+   * @param {Object} filters - Normalized filters (see buildListQuery)
+   * @returns {number} Number of matching applications
+   */
+  async countByUserIdAndFilters(userId, filters = {}) {
+    return await JobApplication.countDocuments(this.buildListQuery(userId, filters));
+  }
+
+  /**
+   * Get the distinct non-empty sources used by a user's applications
+   * @param {string} userId - User ID
+   * @returns {Array<string>} Sources
+   */
+  async findDistinctSourcesByUserId(userId) {
+    const sources = await JobApplication.distinct('source', { user: userId, ...NOT_DELETED });
+    return sources.filter(Boolean).sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Count applications for a user in a given status
+   * @param {string} userId - User ID
+   * @param {string} status - Status (pipeline stage key)
+   * @returns {number} Count of applications
+   */
+  async countByUserIdAndStatus(userId, status) {
+    return await JobApplication.countDocuments({ user: userId, status, ...NOT_DELETED });
+  }
+
+  /**
+   * Get the distinct statuses used by a user's applications
+   * @param {string} userId - User ID
+   * @returns {Array<string>} Status values
+   */
+  async findDistinctStatusesByUserId(userId) {
+    return await JobApplication.distinct('status', { user: userId, ...NOT_DELETED });
+  }
+
+  /**
+   * Get the distinct tags used by a user's applications, including trashed ones
+   * @param {string} userId - User ID
+   * @returns {Array<string>} Tag names
+   */
+  async findDistinctTagsByUserId(userId) {
+    return await JobApplication.distinct('tags', { user: userId });
+  }
+
+  /**
+   * Count a user's applications per tag (case-insensitive)
+   * @param {string} userId - User ID
+   * @returns {Object} Map of lowercase tag name to application count
+   */
+  async countByTagForUserId(userId) {
+    const counts = await JobApplication.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(userId), ...NOT_DELETED } },
+      { $unwind: '$tags' },
+      { $group: { _id: { $toLower: '$tags' }, count: { $sum: 1 } } },
+    ]);
+    return Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+  }
+
+  /**
+   * Rename a tag on all of a user's applications, including trashed ones
+   * Matched case-insensitively; applications hold each tag at most once.
+   * @param {string} userId - User ID
+   * @param {string} fromName - Current tag name
+   * @param {string} toName - New tag name
+   * @returns {Object} Update result
+   */
+  async renameTagByUserId(userId, fromName, toName) {
+    return await JobApplication.updateMany(
+      { user: userId, tags: exactMatch(fromName) },
+      { $set: { 'tags.$': toName } }
+    );
+  }
+
+  /**
+   * Remove a tag from all of a user's applications, including trashed ones
+   * @param {string} userId - User ID
+   * @param {string} name - Tag name (case-insensitive)
+   * @returns {Object} Update result
+   */
+  async removeTagByUserId(userId, name) {
+    return await JobApplication.updateMany(
+      { user: userId, tags: exactMatch(name) },
+      { $pull: { tags: exactMatch(name) } }
+    );
+  }
+
+  /**
+   * Find applications not linked to a company yet, including trashed ones
+   * @param {string} userId - User ID
+   * @param {number} limit - Maximum number of applications
+   * @returns {Array} Applications with only _id and company
+   */
+  async findWithoutCompanyByUserId(userId, limit) {
+    return await JobApplication.find({ user: userId, companyId: null })
+      .select('_id company')
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Link applications to a company
+   * @param {string} userId - User ID
+   * @param {Array<string>} applicationIds - Application IDs
+   * @param {string} companyId - Company ID
+   * @returns {Object} Update result
+   */
+  async setCompanyByIds(userId, applicationIds, companyId) {
+    return await JobApplication.updateMany(
+      { user: userId, _id: { $in: applicationIds } },
+      { $set: { companyId } }
+    );
+  }
+
+  /**
+   * Find the applications linked to a company (archived included, trash excluded)
+   * @param {string} userId - User ID
+   * @param {string} companyId - Company ID
+   * @returns {Array} Applications, most recent first
+   */
+  async findByCompanyIdAndUserId(companyId, userId) {
+    return await JobApplication.find({ user: userId, companyId, ...NOT_DELETED })
+      .select('company jobTitle status source dateApplied archivedAt tags aiInsights.resumeMatch.matchScore createdAt updatedAt')
+      .sort({ dateApplied: -1, createdAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Count a user's applications per company (trash excluded)
+   * @param {string} userId - User ID
+   * @returns {Object} Map of company ID to application count
+   */
+  async countByCompanyForUserId(userId) {
+    const counts = await JobApplication.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(userId), companyId: { $ne: null }, ...NOT_DELETED } },
+      { $group: { _id: '$companyId', count: { $sum: 1 } } },
+    ]);
+    return Object.fromEntries(counts.map(({ _id, count }) => [_id.toString(), count]));
+  }
+
+  /**
+   * Count the applications linked to a company (trash excluded)
+   * @param {string} userId - User ID
+   * @param {string} companyId - Company ID
+   * @returns {number} Count of applications
    */
-  async countByUserId(userId) {
-    return await JobApplication.countDocuments({ user: userId });
+  async countByCompanyIdAndUserId(companyId, userId) {
+    return await JobApplication.countDocuments({ user: userId, companyId, ...NOT_DELETED });
+  }
+
+  /**
+   * Move all applications of one company to another, including trashed ones
+   * Used to link applications to another company (merges) or to none (deletes).
+   * @param {string} userId - User ID
+   * @param {string} fromCompanyId - Current company ID
+   * @param {string|null} toCompanyId - New company ID (null to unlink)
+   * @returns {Object} Update result
+   */
+  async updateCompanyByUserId(userId, fromCompanyId, toCompanyId) {
+    return await JobApplication.updateMany(
+      { user: userId, companyId: fromCompanyId },
+      { $set: { companyId: toCompanyId } }
+    );
+  }
+
+  /**
+   * Set the company name of all applications linked to a company, including trashed ones
+   * @param {string} userId - User ID
+   * @param {string} companyId - Company ID
+   * @param {string} name - Company name
+   * @returns {Object} Update result
+   */
+  async renameCompanyByUserId(userId, companyId, name) {
+    return await JobApplication.updateMany(
+      { user: userId, companyId },
+      { $set: { company: name } }
+    );
+  }
+
+  /**
+   * Unlink a resume from all applications using it, including trashed ones
+   * (they fall back to the default resume)
+   * @param {string} userId - User ID
+   * @param {string} resumeId - Resume ID
+   * @returns {Object} Update result
+   */
+  async clearResumeByUserId(userId, resumeId) {
+    return await JobApplication.updateMany(
+      { user: userId, resumeId },
+      { $set: { resumeId: null } }
+    );
+  }
+
+  /**
+   * Move all of a user's applications from one status to another
+   * Used when a pipeline stage is deleted
+   * @param {string} userId - User ID
+   * @param {string} fromStatus - Current status
+   * @param {string} toStatus - New status
+   * @returns {Object} Update result
+   */
+  async updateStatusByUserId(userId, fromStatus, toStatus) {
+    return await JobApplication.updateMany(
+      { user: userId, status: fromStatus, ...NOT_DELETED },
+      { $set: { status: toStatus } }
+    );
   }
 
   /**
@@ -144,6 +788,7 @@ class JobApplicationRepository {
       {
         _id: applicationId,
         user: userId, // Ensure ownership
+        ...NOT_DELETED,
       },
       {
         $set: {
@@ -163,13 +808,16 @@ class JobApplicationRepository {
    * 1. $match: Filter by user ID
    * 2. $group: Group by year-month and count applications
    * 3. $sort: Sort by year-month ascending
+   * @param {string} userId - User ID
+   * @param {Object} [options] - { includeArchived }
    */
-  async getMonthlyTrendsByUserId(userId) {
+  async getMonthlyTrendsByUserId(userId, options = {}) {
     const trends = await JobApplication.aggregate([
       // Stage 1: Match documents for this user
       {
         $match: {
           user: new mongoose.Types.ObjectId(userId),
+          ...visibleFilter(options),
         },
       },
       // Stage 2: Group by year-month and count
@@ -210,20 +858,179 @@ class JobApplicationRepository {
     return trends;
   }
 
+  /**
+   * Find the salary figures of a user's applications (compensation analytics)
+   * Only applications with a posted range or an expected salary are returned.
+   * @param {string} userId - User ID
+   * @param {Object} [options] - { includeArchived }
+   * @returns {Array} Lean documents with status and salary
+   */
+  async findSalariesByUserId(userId, options = {}) {
+    return await JobApplication.find({
+      user: userId,
+      ...visibleFilter(options),
+      $or: [HAS_SALARY, { 'salary.expected': { $ne: null } }],
+    })
+      .select('status salary')
+      .lean();
+  }
+
+  /**
+   * Get application counts per job detail value and status for a user
+   * Aggregation pipeline:
+   * 1. $match: Filter by user ID
+   * 2. $facet: One count by value and status per job detail; locations are
+   *    unwound first and grouped by lowercase name
+   * @param {string} userId - User ID
+   * @param {Object} [options] - { includeArchived }
+   * @returns {Object} { remotePolicy, employmentType, seniority, visaSponsorship, locations }
+   *   each [{ value, status, count }] - value is null when not set; locations also have a name
+   */
+  async getJobDetailStatisticsByUserId(userId, options = {}) {
+    const countBy = (field) => [
+      { $group: { _id: { value: { $ifNull: [`$${field}`, null] }, status: '$status' }, count: { $sum: 1 } } },
+      { $project: { _id: 0, value: '$_id.value', status: '$_id.status', count: 1 } },
+    ];
+
+    const [result] = await JobApplication.aggregate([
+      {
+        $match: {
+          user: new mongoose.Types.ObjectId(userId),
+          ...visibleFilter(options),
+        },
+      },
+      {
+        $facet: {
+          remotePolicy: countBy('remotePolicy'),
+          employmentType: countBy('employmentType'),
+          seniority: countBy('seniority'),
+          visaSponsorship: countBy('visaSponsorship'),
+          locations: [
+            { $unwind: '$locations' },
+            {
+              $group: {
+                _id: { value: { $toLower: '$locations' }, status: '$status' },
+                name: { $first: '$locations' },
+                count: { $sum: 1 },
+              },
+            },
+            { $project: { _id: 0, value: '$_id.value', name: 1, status: '$_id.status', count: 1 } },
+          ],
+        },
+      },
+    ]);
+
+    return result;
+  }
+
+  /**
+   * Get application counts per tag and status for a user
+   * Aggregation pipeline:
+   * 1. $match: Filter by user ID
+   * 2. $unwind: One document per tag
+   * 3. $group: Count by lowercase tag and status
+   * @param {string} userId - User ID
+   * @param {Object} [options] - { includeArchived }
+   * @returns {Array} [{ tag, name, status, count }] - tag is the lowercase name
+   */
+  async getTagStatisticsByUserId(userId, options = {}) {
+    return await JobApplication.aggregate([
+      {
+        $match: {
+          user: new mongoose.Types.ObjectId(userId),
+          ...visibleFilter(options),
+        },
+      },
+      { $unwind: '$tags' },
+      {
+        $group: {
+          _id: { tag: { $toLower: '$tags' }, status: '$status' },
+          name: { $first: '$tags' },
+          count: { $sum: 1 },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          tag: '$_id.tag',
+          name: 1,
+          status: '$_id.status',
+          count: 1,
+        },
+      },
+    ]);
+  }
+
+  /**
+   * Get application counts per company and status for a user
+   * Aggregation pipeline:
+   * 1. $match: Filter by user ID (and company, when given)
+   * 2. $group: Count by company and status, with match score and date ranges
+   * @param {string} userId - User ID
+   * @param {Object} [options] - { companyId, includeArchived }
+   * @returns {Array} [{ companyId, status, count, matchScoreTotal, matchScoreCount, firstApplied, lastApplied }]
+   */
+  async getCompanyStatisticsByUserId(userId, options = {}) {
+    const match = {
+      user: new mongoose.Types.ObjectId(userId),
+      companyId: options.companyId
+        ? new mongoose.Types.ObjectId(options.companyId)
+        : { $ne: null },
+      ...visibleFilter(options),
+    };
+
+    return await JobApplication.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { companyId: '$companyId', status: '$status' },
+          count: { $sum: 1 },
+          matchScoreTotal: { $sum: { $ifNull: ['$aiInsights.resumeMatch.matchScore', 0] } },
+          matchScoreCount: {
+            $sum: { $cond: [{ $ne: [{ $ifNull: ['$aiInsights.resumeMatch.matchScore', null] }, null] }, 1, 0] },
+          },
+          firstApplied: { $min: '$dateApplied' },
+          lastApplied: { $max: '$dateApplied' },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          companyId: '$_id.companyId',
+          status: '$_id.status',
+          count: 1,
+          matchScoreTotal: 1,
+          matchScoreCount: 1,
+          firstApplied: 1,
+          lastApplied: 1,
+        },
+      },
+    ]);
+  }
+
   /**
    * Get success rate analytics for a user
-   * Success = applications that reached interview or offer stage
+   * Success = applications currently in one of the successful statuses
+   * (by default the interview and offer stages)
    * Aggregation pipeline:
    * 1. $match: Filter by user ID
    * 2. $group: Count total and successful applications
    * 3. $project: Calculate success rate percentage
+   * @param {string} userId - User ID
+   * @param {Array<string>} successfulStatuses - Statuses that count as successful
+   * @param {Object} [options] - { includeArchived }
    */
-  async getSuccessRateByUserId(userId) {
+  async getSuccessRateByUserId(
+    userId,
+    successfulStatuses = [APPLICATION_STATUS.INTERVIEW, APPLICATION_STATUS.OFFER],
+    options = {}
+  ) {
     const result = await JobApplication.aggregate([
       // Stage 1: Match documents for this user
       {
         $match: {
           user: new mongoose.Types.ObjectId(userId),
+          ...visibleFilter(options),
         },
       },
       // Stage 2: Group and count total vs successful
@@ -235,13 +1042,7 @@ class JobApplicationRepository {
             $sum: {
               $cond: [
                 {
-                  $in: [
-                    '$status',
-                    [
-                      APPLICATION_STATUS.INTERVIEW,
-                      APPLICATION_STATUS.OFFER,
-                    ],
-                  ],
+                  $in: ['$status', successfulStatuses],
                 },
                 1,
                 0,
@@ -289,18 +1090,21 @@ class JobApplicationRepository {
   /**
    * Get comprehensive analytics for a user
    * Combines multiple aggregations for efficiency
+   * @param {string} userId - User ID
+   * @param {Array<string>} [successfulStatuses] - Statuses that count as successful
+   * @param {Object} [options] - { includeArchived }
    */
-  async getComprehensiveAnalyticsByUserId(userId) {
+  async getComprehensiveAnalyticsByUserId(userId, successfulStatuses, options = {}) {
     const [
       statusCounts,
       monthlyTrends,
       successRate,
       totalCount,
     ] = await Promise.all([
-      this.getStatisticsByUserId(userId),
-      this.getMonthlyTrendsByUserId(userId),
-      this.getSuccessRateByUserId(userId),
-      this.countByUserId(userId),
+      this.getStatisticsByUserId(userId, options),
+      this.getMonthlyTrendsByUserId(userId, options),
+      this.getSuccessRateByUserId(userId, successfulStatuses, options),
+      this.countByUserId(userId, options),
     ]);
 
     return {
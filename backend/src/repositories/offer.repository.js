@@ -0,0 +1,130 @@
+import Offer from '../models/Offer.js';
+
+// Application fields shown next to an offer
+const APPLICATION_FIELDS = 'company jobTitle status deletedAt';
+
+/**
+ * Offer Repository
+ *
+ * Why: Encapsulates all database operations for the Offer model.
+ *
+ * Responsibilities:
+ * - CRUD operations for offers
+ * - Ownership enforcement (all user queries filter by userId)
+ */
+class OfferRepository {
+  /**
+   * Create a new offer
+   * @param {Object} offerData - Offer data
+   * @returns {Object} Created offer
+   */
+  async create(offerData) {
+    const offer = new Offer(offerData);
+    return await offer.save();
+  }
+
+  /**
+   * Find the offers of a user with their application, newest first
+   * @param {string} userId - User ID
+   * @param {Object} [options] - { applicationId, offerIds, excludeApplicationIds }
+   * @returns {Array} Lean offers
+   */
+  async findByUserId(userId, { applicationId, offerIds, excludeApplicationIds } = {}) {
+    const filter = { user: userId };
+
+    if (applicationId) {
+      filter.application = applicationId;
+    } else if (excludeApplicationIds?.length) {
+      filter.application = { $nin: excludeApplicationIds };
+    }
+
+    if (offerIds) {
+      filter._id = { $in: offerIds };
+    }
+
+    return await Offer.find(filter)
+      .populate('application', APPLICATION_FIELDS)
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Find an offer by ID and user ID (ensures ownership)
+   * @param {string} offerId - Offer ID
+   * @param {string} userId - User ID
+   * @returns {Object|null} Offer document or null
+   */
+  async findByIdAndUserId(offerId, userId) {
+    return await Offer.findOne({ _id: offerId, user: userId })
+      .populate('application', APPLICATION_FIELDS);
+  }
+
+  /**
+   * Find the offer of an application
+   * @param {string} userId - User ID
+   * @param {string} applicationId - Application ID
+   * @returns {Object|null} Lean offer or null
+   */
+  async findByApplicationId(userId, applicationId) {
+    return await Offer.findOne({ user: userId, application: applicationId }).lean();
+  }
+
+  /**
+   * Delete an offer by ID and user ID (ensures ownership)
+   * @param {string} offerId - Offer ID
+   * @param {string} userId - User ID
+   * @returns {Object|null} Deleted offer or null
+   */
+  async deleteByIdAndUserId(offerId, userId) {
+    return await Offer.findOneAndDelete({ _id: offerId, user: userId });
+  }
+
+  /**
+   * Delete the offer of an application (when the application is deleted)
+   * @param {string} applicationId - Application ID
+   * @returns {Object} Delete result
+   */
+  async deleteByApplicationId(applicationId) {
+    return await Offer.deleteMany({ application: applicationId });
+  }
+
+  /**
+   * Delete the offers of several applications (trash purge)
+   * @param {Array<string>} applicationIds - Application IDs
+   * @returns {Object} Delete result
+   */
+  async deleteByApplicationIds(applicationIds) {
+    return await Offer.deleteMany({ application: { $in: applicationIds } });
+  }
+
+  /**
+   * Find all offers for a user (account backups)
+   * @param {string} userId - User ID
+   * @returns {Array} Lean offers
+   */
+  async findAllByUserId(userId) {
+    return await Offer.find({ user: userId }).sort({ createdAt: 1 }).lean();
+  }
+
+  /**
+   * Create several offers at once (account restores)
+   * @param {Array} offers - Offer data
+   * @param {Object} [options] - insertMany options
+   * @returns {Array} Created offers
+   */
+  async createMany(offers, options = {}) {
+    return await Offer.insertMany(offers, options);
+  }
+
+  /**
+   * Delete specific offers of a user (account restores)
+   * @param {string} userId - User ID
+   * @param {Array<string>} offerIds - Offer IDs
+   * @returns {Object} Delete result
+   */
+  async deleteManyByIds(userId, offerIds) {
+    return await Offer.deleteMany({ user: userId, _id: { $in: offerIds } });
+  }
+}
+
+export default new OfferRepository();
@@ -0,0 +1,38 @@
+import Pipeline from '../models/Pipeline.js';
+
+/**
+ * Pipeline Repository
+ *
+ * Why: Encapsulates all database operations for the Pipeline model.
+ *
+ * Responsibilities:
+ * - Read a user's pipeline
+ * - Create or replace a user's stage list
+ * - Ownership enforcement (every query is keyed by userId)
+ */
+class PipelineRepository {
+  /**
+   * Find pipeline for a user
+   * @param {string} userId - User ID
+   * @returns {Object|null} Pipeline or null if the user still uses the default
+   */
+  async findByUserId(userId) {
+    return await Pipeline.findOne({ user: userId }).lean();
+  }
+
+  /**
+   * Create or replace the stages of a user's pipeline
+   * @param {string} userId - User ID
+   * @param {Array} stages - Ordered stage definitions
+   * @returns {Object} Updated pipeline
+   */
+  async upsertStages(userId, stages) {
+    return await Pipeline.findOneAndUpdate(
+      { user: userId },
+      { $set: { stages } },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    ).lean();
+  }
+}
+
+export default new PipelineRepository();
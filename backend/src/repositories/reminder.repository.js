@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import Reminder from '../models/Reminder.js';
+import JobApplication from '../models/JobApplication.js';
 
 /**
  * Reminder Repository
@@ -36,6 +37,7 @@ class ReminderRepository {
   async findById(reminderId) {
     return await Reminder.findById(reminderId)
       .populate('application', 'company jobTitle status dateApplied')
+      .populate('contact', 'name role email phone company')
       .populate('user', 'firstName lastName email');
   }
 
@@ -51,6 +53,7 @@ class ReminderRepository {
       user: userId,
     })
       .populate('application', 'company jobTitle status dateApplied')
+      .populate('contact', 'name role email phone company')
       .populate('user', 'firstName lastName email');
   }
 
@@ -65,12 +68,14 @@ class ReminderRepository {
       page = 1,
       limit = 10,
       applicationId,
+      contactId,
       reminderType,
       sent,
       startDate,
       endDate,
       sortBy = 'reminderDate',
       sortOrder = 'asc',
+      excludeApplicationIds,
     } = options;
 
     // Build query filter
@@ -78,6 +83,12 @@ class ReminderRepository {
 
     if (applicationId) {
       filter.application = new mongoose.Types.ObjectId(applicationId);
+    } else if (excludeApplicationIds?.length) {
+      filter.application = { $nin: excludeApplicationIds };
+    }
+
+    if (contactId) {
+      filter.contact = new mongoose.Types.ObjectId(contactId);
     }
 
     if (reminderType) {
@@ -109,6 +120,9 @@ class ReminderRepository {
     const [reminders, total] = await Promise.all([
       Reminder.find(filter)
         .populate('application', 'company jobTitle status dateApplied')
+        .populate('contact', 'name role email phone company')
+        .populate('interviewRound', 'name type scheduledStart timezone')
+        .populate('offer', 'responseDeadline decision')
         .sort(sort)
         .skip(skip)
         .limit(limit)
@@ -144,6 +158,7 @@ class ReminderRepository {
       { new: true, runValidators: true }
     )
       .populate('application', 'company jobTitle status dateApplied')
+      .populate('contact', 'name role email phone company')
       .populate('user', 'firstName lastName email');
   }
 
@@ -163,17 +178,44 @@ class ReminderRepository {
   /**
    * Find all due reminders (for job scheduler)
    * Due reminders: reminderDate <= now AND sent === false
+   * Reminders of applications in the trash are left pending (sent if restored)
+   * and skipped in the query, so each scheduler run does not load them again.
    * @param {Date} now - Current date/time
-   * @returns {Array} Array of due reminders
+   * @returns {Array} Array of due reminders (lean, with references populated)
    */
   async findDueReminders(now = new Date()) {
-    return await Reminder.find({
-      reminderDate: { $lte: now },
-      sent: false,
-    })
-      .populate('application', 'company jobTitle status dateApplied jobDescription')
-      .populate('user', 'firstName lastName email')
-      .lean();
+    const reminders = await Reminder.aggregate([
+      { $match: { reminderDate: { $lte: now }, sent: false } },
+      {
+        $lookup: {
+          from: JobApplication.collection.name,
+          let: { applicationId: '$application' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$_id', '$$applicationId'] } } },
+            { $project: { deletedAt: 1 } },
+          ],
+          as: 'applicationState',
+        },
+      },
+      { $match: { 'applicationState.deletedAt': null } },
+      { $project: { applicationState: 0 } },
+    ]);
+
+    return await Reminder.populate(reminders, [
+      { path: 'application', select: 'company jobTitle status dateApplied jobDescription', options: { lean: true } },
+      { path: 'contact', select: 'name role email phone company', options: { lean: true } },
+      {
+        path: 'interviewRound',
+        select: 'name type scheduledStart scheduledEnd timezone location meetingUrl interviewers',
+        options: { lean: true },
+      },
+      {
+        path: 'offer',
+        select: 'currency baseSalary bonus signOnBonus startDate responseDeadline decision',
+        options: { lean: true },
+      },
+      { path: 'user', select: 'firstName lastName email', options: { lean: true } },
+    ]);
   }
 
   /**
@@ -207,6 +249,116 @@ class ReminderRepository {
     });
   }
 
+  /**
+   * Find all reminders for a user without pagination (account backups)
+   * @param {string} userId - User ID
+   * @returns {Array} Lean reminder documents
+   */
+  async findAllByUserId(userId) {
+    return await Reminder.find({ user: userId }).sort({ reminderDate: 1 }).lean();
+  }
+
+  /**
+   * Create several reminders at once (account restores)
+   * @param {Array} reminders - Reminder data
+   * @param {Object} [options] - insertMany options
+   * @returns {Array} Created reminders
+   */
+  async createMany(reminders, options = {}) {
+    return await Reminder.insertMany(reminders, options);
+  }
+
+  /**
+   * Delete specific reminders of a user (account restores)
+   * @param {string} userId - User ID
+   * @param {Array<string>} reminderIds - Reminder IDs
+   * @returns {Object} Delete result
+   */
+  async deleteManyByIds(userId, reminderIds) {
+    return await Reminder.deleteMany({ user: userId, _id: { $in: reminderIds } });
+  }
+
+  /**
+   * Summarize reminders for several applications in one query
+   * @param {string} userId - User ID
+   * @param {Array<string>} applicationIds - Application IDs
+   * @returns {Object} { [applicationId]: { total, pending, nextReminderDate } }
+   */
+  async summarizeByApplicationIds(userId, applicationIds) {
+    const results = await Reminder.aggregate([
+      {
+        $match: {
+          user: new mongoose.Types.ObjectId(userId),
+          application: { $in: applicationIds.map((id) => new mongoose.Types.ObjectId(id)) },
+        },
+      },
+      {
+        $group: {
+          _id: '$application',
+          total: { $sum: 1 },
+          pending: { $sum: { $cond: ['$sent', 0, 1] } },
+          nextReminderDate: {
+            $min: { $cond: ['$sent', null, '$reminderDate'] },
+          },
+        },
+      },
+    ]);
+
+    return Object.fromEntries(
+      results.map(({ _id, ...summary }) => [_id.toString(), summary])
+    );
+  }
+
+  /**
+   * Remove a deleted contact from its reminders (the reminders are kept)
+   * @param {string} userId - User ID
+   * @param {string} contactId - Contact ID
+   * @returns {Object} Update result
+   */
+  async clearContactByUserId(userId, contactId) {
+    return await Reminder.updateMany(
+      { user: userId, contact: contactId },
+      { $set: { contact: null } }
+    );
+  }
+
+  /**
+   * Delete the reminders generated for an interview round
+   * @param {string} roundId - Interview round ID
+   * @param {Object} [options] - { unsentOnly } keeps reminders already sent
+   * @returns {Object} Delete result
+   */
+  async deleteByInterviewRoundId(roundId, { unsentOnly = false } = {}) {
+    return await Reminder.deleteMany({
+      interviewRound: roundId,
+      ...(unsentOnly && { sent: false }),
+    });
+  }
+
+  /**
+   * Delete the reminders generated for an offer
+   * @param {string} offerId - Offer ID
+   * @param {Object} [options] - { unsentOnly } keeps reminders already sent
+   * @returns {Object} Delete result
+   */
+  async deleteByOfferId(offerId, { unsentOnly = false } = {}) {
+    return await Reminder.deleteMany({
+      offer: offerId,
+      ...(unsentOnly && { sent: false }),
+    });
+  }
+
+  /**
+   * Delete all reminders for several applications (trash purge)
+   * @param {Array<string>} applicationIds - Application IDs
+   * @returns {Object} Delete result
+   */
+  async deleteByApplicationIds(applicationIds) {
+    return await Reminder.deleteMany({
+      application: { $in: applicationIds },
+    });
+  }
+
   /**
    * Delete all reminders for an application (when application is deleted)
    * @param {string} applicationId - Application ID
@@ -0,0 +1,146 @@
+import Resume from '../models/Resume.js';
+
+/**
+ * Resume Repository
+ *
+ * Why: Encapsulates all database operations for the Resume model.
+ *
+ * Responsibilities:
+ * - CRUD operations for resumes
+ * - Find and change the user's default resume
+ * - Ownership enforcement (all user queries filter by userId)
+ */
+class ResumeRepository {
+  /**
+   * Create a new resume
+   * @param {Object} resumeData - Resume data
+   * @returns {Object} Created resume
+   */
+  async create(resumeData) {
+    const resume = new Resume(resumeData);
+    return await resume.save();
+  }
+
+  /**
+   * Find a user's resumes, the default first, then most recently updated
+   * @param {string} userId - User ID
+   * @param {string} [fields] - Space-separated projection
+   * @returns {Array} Lean resumes
+   */
+  async findByUserId(userId, fields = '') {
+    return await Resume.find({ user: userId })
+      .select(fields)
+      .sort({ isDefault: -1, updatedAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Count a user's resumes
+   * @param {string} userId - User ID
+   * @returns {number}
+   */
+  async countByUserId(userId) {
+    return await Resume.countDocuments({ user: userId });
+  }
+
+  /**
+   * Find a resume by ID and user ID (for ownership verification)
+   * @param {string} resumeId - Resume ID
+   * @param {string} userId - User ID
+   * @returns {Object|null} Lean resume or null
+   */
+  async findByIdAndUserId(resumeId, userId) {
+    return await Resume.findOne({ _id: resumeId, user: userId }).lean();
+  }
+
+  /**
+   * Find the user's default resume
+   * @param {string} userId - User ID
+   * @returns {Object|null} Lean resume or null
+   */
+  async findDefaultByUserId(userId) {
+    return await Resume.findOne({ user: userId, isDefault: true })
+      .sort({ updatedAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Update a resume by ID and user ID (ensures ownership)
+   * @param {string} resumeId - Resume ID
+   * @param {string} userId - User ID
+   * @param {Object} updateData - Fields to set
+   * @returns {Object|null} Updated lean resume or null
+   */
+  async updateByIdAndUserId(resumeId, userId, updateData) {
+    return await Resume.findOneAndUpdate(
+      { _id: resumeId, user: userId },
+      { $set: updateData },
+      { new: true, runValidators: true }
+    ).lean();
+  }
+
+  /**
+   * Make one resume the default and clear the flag on the others
+   * @param {string} userId - User ID
+   * @param {string} resumeId - Resume ID
+   * @returns {Object|null} Updated lean resume, or null if not found
+   */
+  async setDefault(userId, resumeId) {
+    const resume = await Resume.findOneAndUpdate(
+      { _id: resumeId, user: userId },
+      { $set: { isDefault: true } },
+      { new: true, timestamps: false }
+    ).lean();
+
+    if (resume) {
+      await Resume.updateMany(
+        { user: userId, isDefault: true, _id: { $ne: resumeId } },
+        { $set: { isDefault: false } },
+        { timestamps: false }
+      );
+    }
+
+    return resume;
+  }
+
+  /**
+   * Delete a resume by ID and user ID (ensures ownership)
+   * @param {string} resumeId - Resume ID
+   * @param {string} userId - User ID
+   * @returns {Object|null} Deleted resume or null
+   */
+  async deleteByIdAndUserId(resumeId, userId) {
+    return await Resume.findOneAndDelete({ _id: resumeId, user: userId }).lean();
+  }
+
+  /**
+   * Find all resumes for a user (account backups)
+   * @param {string} userId - User ID
+   * @returns {Array} Lean resumes
+   */
+  async findAllByUserId(userId) {
+    return await Resume.find({ user: userId }).sort({ createdAt: 1 }).lean();
+  }
+
+  /**
+   * Create several resumes at once (account restores)
+   * @param {Array} resumes - Resume data
+   * @param {Object} [options] - insertMany options
+   * @returns {Array} Created resumes
+   */
+  async createMany(resumes, options = {}) {
+    return await Resume.insertMany(resumes, options);
+  }
+
+  /**
+   * Delete specific resumes of a user (account restores)
+   * @param {string} userId - User ID
+   * @param {Array<string>} resumeIds - Resume IDs
+   * @returns {Object} Delete result
+   */
+  async deleteManyByIds(userId, resumeIds) {
+    return await Resume.deleteMany({ user: userId, _id: { $in: resumeIds } });
+  }
+}
+
+export default new ResumeRepository();
@@ -0,0 +1,99 @@
+import SavedView from '../models/SavedView.js';
+
+/**
+ * Saved View Repository
+ *
+ * Why: Encapsulates all database operations for the SavedView model.
+ *
+ * Responsibilities:
+ * - CRUD operations for saved views
+ * - Ownership enforcement (all queries filter by userId)
+ */
+class SavedViewRepository {
+  /**
+   * Create a new saved view
+   * @param {Object} viewData - Saved view data
+   * @returns {Object} Created view
+   */
+  async create(viewData) {
+    const view = new SavedView(viewData);
+    return await view.save();
+  }
+
+  /**
+   * Create several saved views at once (account restores)
+   * @param {Array} views - Saved view data
+   * @param {Object} [options] - insertMany options
+   * @returns {Array} Created views
+   */
+  async createMany(views, options = {}) {
+    return await SavedView.insertMany(views, options);
+  }
+
+  /**
+   * Find all saved views for a user (oldest first, so the sidebar order is stable)
+   * @param {string} userId - User ID
+   * @returns {Array} Saved views
+   */
+  async findByUserId(userId) {
+    return await SavedView.find({ user: userId })
+      .sort({ createdAt: 1, _id: 1 })
+      .lean();
+  }
+
+  /**
+   * Find a saved view by ID and user ID (for ownership verification)
+   * @param {string} viewId - View ID
+   * @param {string} userId - User ID
+   * @returns {Object|null} View or null if not found
+   */
+  async findByIdAndUserId(viewId, userId) {
+    return await SavedView.findOne({ _id: viewId, user: userId }).lean();
+  }
+
+  /**
+   * Count saved views for a user
+   * @param {string} userId - User ID
+   * @returns {number} Number of views
+   */
+  async countByUserId(userId) {
+    return await SavedView.countDocuments({ user: userId });
+  }
+
+  /**
+   * Update a saved view by ID and user ID
+   * @param {string} viewId - View ID
+   * @param {string} userId - User ID
+   * @param {Object} updateData - Fields to update
+   * @returns {Object|null} Updated view or null if not found
+   */
+  async updateByIdAndUserId(viewId, userId, updateData) {
+    return await SavedView.findOneAndUpdate(
+      { _id: viewId, user: userId },
+      { $set: updateData },
+      { new: true, runValidators: true }
+    ).lean();
+  }
+
+  /**
+   * Delete a saved view by ID and user ID
+   * @param {string} viewId - View ID
+   * @param {string} userId - User ID
+   * @returns {Object|null} Deleted view or null if not found
+   */
+  async deleteByIdAndUserId(viewId, userId) {
+    return await SavedView.findOneAndDelete({ _id: viewId, user: userId }).lean();
+  }
+
+  /**
+   * Delete specific saved views of a user (account restores)
+   * @param {string} userId - User ID
+   * @param {Array<string>} viewIds - View IDs
+   * @returns {Object} Delete result
+   */
+  async deleteManyByIds(userId, viewIds) {
+    return await SavedView.deleteMany({ user: userId, _id: { $in: viewIds } });
+  }
+}
+
+export default new SavedViewRepository();
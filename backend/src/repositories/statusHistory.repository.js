@@ -0,0 +1,121 @@
+import mongoose from 'mongoose';
+import StatusHistory from '../models/StatusHistory.js';
+
+/**
+ * Status History Repository
+ *
+ * Why: Encapsulates all database operations for the StatusHistory model.
+ * Status history is append-only - entries are created on every transition
+ * and only removed together with their application.
+ *
+ * Responsibilities:
+ * - Record status transitions
+ * - Query per-application timelines
+ * - Query per-user transitions for analytics
+ * - Ownership enforcement (all read queries filter by userId)
+ */
+class StatusHistoryRepository {
+  /**
+   * Create a new status history entry
+   * @param {Object} entryData - Status history data
+   * @returns {Object} Created entry
+   */
+  async create(entryData) {
+    const entry = new StatusHistory(entryData);
+    return await entry.save();
+  }
+
+  /**
+   * Create several status history entries at once
+   * @param {Array} entries - Status history data
+   * @param {Object} [options] - insertMany options
+   * @returns {Array} Created entries
+   */
+  async createMany(entries, options = {}) {
+    return await StatusHistory.insertMany(entries, options);
+  }
+
+  /**
+   * Find all status history entries for an application (oldest first)
+   * @param {string} applicationId - Application ID
+   * @param {string} userId - User ID (for ownership verification)
+   * @returns {Array} Status history entries
+   */
+  async findByApplicationId(applicationId, userId) {
+    return await StatusHistory.find({
+      application: applicationId,
+      user: userId,
+    })
+      .sort({ changedAt: 1, _id: 1 })
+      .populate('changedBy', 'firstName lastName email')
+      .lean();
+  }
+
+  /**
+   * Find all status history entries for a user (oldest first)
+   * Used by analytics to reconstruct each application's path through the pipeline
+   * @param {string} userId - User ID
+   * @returns {Array} Status history entries
+   */
+  async findByUserId(userId) {
+    return await StatusHistory.find({
+      user: new mongoose.Types.ObjectId(userId),
+    })
+      .sort({ changedAt: 1, _id: 1 })
+      .lean();
+  }
+
+  /**
+   * Find when each application last changed status
+   * @param {string} userId - User ID
+   * @param {Array<string>} applicationIds - Application IDs
+   * @returns {Object} { [applicationId]: Date }
+   */
+  async findLastChangeByApplicationIds(userId, applicationIds) {
+    const results = await StatusHistory.aggregate([
+      {
+        $match: {
+          user: new mongoose.Types.ObjectId(userId),
+          application: { $in: applicationIds.map((id) => new mongoose.Types.ObjectId(id)) },
+        },
+      },
+      { $group: { _id: '$application', changedAt: { $max: '$changedAt' } } },
+    ]);
+
+    return Object.fromEntries(results.map(({ _id, changedAt }) => [_id.toString(), changedAt]));
+  }
+
+  /**
+   * Delete specific entries of a user (account restores)
+   * @param {string} userId - User ID
+   * @param {Array<string>} entryIds - Entry IDs
+   * @returns {Object} Delete result
+   */
+  async deleteManyByIds(userId, entryIds) {
+    return await StatusHistory.deleteMany({ user: userId, _id: { $in: entryIds } });
+  }
+
+  /**
+   * Delete all status history for several applications (trash purge)
+   * @param {Array<string>} applicationIds - Application IDs
+   * @returns {Object} Delete result
+   */
+  async deleteByApplicationIds(applicationIds) {
+    return await StatusHistory.deleteMany({
+      application: { $in: applicationIds },
+    });
+  }
+
+  /**
+   * Delete all status history for an application (when application is deleted)
+   * @param {string} applicationId - Application ID
+   * @returns {Object} Delete result
+   */
+  async deleteByApplicationId(applicationId) {
+    return await StatusHistory.deleteMany({
+      application: applicationId,
+    });
+  }
+}
+
+export default new StatusHistoryRepository();
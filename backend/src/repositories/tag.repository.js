@@ -0,0 +1,117 @@
+import Tag from '../models/Tag.js';
+
+/**
+ * Tag Repository
+ *
+ * Why: Encapsulates all database operations for the Tag model.
+ *
+ * Responsibilities:
+ * - CRUD operations for tags
+ * - Ownership enforcement (all queries filter by userId)
+ */
+class TagRepository {
+  /**
+   * Create a new tag
+   * @param {Object} tagData - Tag data (user, name, nameKey, color)
+   * @returns {Object} Created tag
+   */
+  async create(tagData) {
+    const tag = new Tag(tagData);
+    return await tag.save();
+  }
+
+  /**
+   * Create several tags at once
+   * Unordered, so one duplicate (e.g. from a concurrent request) does not stop the rest.
+   * @param {Array} tags - Tag data
+   * @returns {Array} Created tags
+   */
+  async createMany(tags) {
+    try {
+      return await Tag.insertMany(tags, { ordered: false });
+    } catch (error) {
+      // Duplicate names were created in the meantime - that is the goal anyway
+      if (error.code === 11000 || error.writeErrors?.every((writeError) => writeError.code === 11000)) {
+        return error.insertedDocs || [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find all tags for a user, alphabetically
+   * @param {string} userId - User ID
+   * @returns {Array} Tags
+   */
+  async findByUserId(userId) {
+    return await Tag.find({ user: userId })
+      .sort({ nameKey: 1 })
+      .lean();
+  }
+
+  /**
+   * Find a tag by ID and user ID (for ownership verification)
+   * @param {string} tagId - Tag ID
+   * @param {string} userId - User ID
+   * @returns {Object|null} Tag or null if not found
+   */
+  async findByIdAndUserId(tagId, userId) {
+    return await Tag.findOne({ _id: tagId, user: userId }).lean();
+  }
+
+  /**
+   * Find a user's tags by lowercase name
+   * @param {string} userId - User ID
+   * @param {Array<string>} nameKeys - Lowercase tag names
+   * @returns {Array} Matching tags
+   */
+  async findByNameKeys(userId, nameKeys) {
+    return await Tag.find({ user: userId, nameKey: { $in: nameKeys } }).lean();
+  }
+
+  /**
+   * Count tags for a user
+   * @param {string} userId - User ID
+   * @returns {number} Number of tags
+   */
+  async countByUserId(userId) {
+    return await Tag.countDocuments({ user: userId });
+  }
+
+  /**
+   * Update a tag by ID and user ID
+   * @param {string} tagId - Tag ID
+   * @param {string} userId - User ID
+   * @param {Object} updateData - Fields to update
+   * @returns {Object|null} Updated tag or null if not found
+   */
+  async updateByIdAndUserId(tagId, userId, updateData) {
+    return await Tag.findOneAndUpdate(
+      { _id: tagId, user: userId },
+      { $set: updateData },
+      { new: true, runValidators: true }
+    ).lean();
+  }
+
+  /**
+   * Delete a tag by ID and user ID
+   * @param {string} tagId - Tag ID
+   * @param {string} userId - User ID
+   * @returns {Object|null} Deleted tag or null if not found
+   */
+  async deleteByIdAndUserId(tagId, userId) {
+    return await Tag.findOneAndDelete({ _id: tagId, user: userId }).lean();
+  }
+
+  /**
+   * Delete a user's tags except the given names (account restores in replace mode)
+   * @param {string} userId - User ID
+   * @param {Array<string>} keepNameKeys - Lowercase names of the tags to keep
+   * @returns {Object} Delete result
+   */
+  async deleteByUserIdExcept(userId, keepNameKeys) {
+    return await Tag.deleteMany({ user: userId, nameKey: { $nin: keepNameKeys } });
+  }
+}
+
+export default new TagRepository();
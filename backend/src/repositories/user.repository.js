@@ -1,4 +1,5 @@
 import User from '../models/User.js';
+import { USER_STATUS } from '../models/user.constants.js';
 
 /**
  * User Repository
@@ -86,6 +87,19 @@ class UserRepository {
     return !!user;
   }
 
+  /**
+   * Find active users who turned on auto-archiving (archive processor)
+   * @returns {Array} Lean users with _id and settings
+   */
+  async findWithAutoArchive() {
+    return await User.find({
+      status: USER_STATUS.ACTIVE,
+      'settings.autoArchiveRejectedAfterDays': { $gte: 1 },
+    })
+      .select('_id settings')
+      .lean();
+  }
+
   /**
    * Find all users with pagination and filtering
    */
@@ -0,0 +1,60 @@
+import express from 'express';
+import accountController from '../controllers/account.controller.js';
+import { validate } from '../middleware/validation.middleware.js';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { uploadSingle } from '../middleware/upload.middleware.js';
+import {
+  backupQuerySchema,
+  restoreBackupSchema,
+} from '../validations/account.validation.js';
+import {
+  BACKUP_FILE_EXTENSIONS,
+  BACKUP_MAX_FILE_SIZE,
+} from '../models/account.constants.js';
+
+/**
+ * Account Routes
+ * 
+ * Why: Defines HTTP endpoints for full account backups and restores.
+ * All routes are protected with authentication middleware.
+ * 
+ * Responsibilities:
+ * - Define route paths and HTTP methods
+ * - Apply upload and validation middleware
+ * - Apply authentication middleware (all routes protected)
+ * - Wire routes to controller methods
+ */
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * GET /api/account/backup
+ * Download a versioned backup of the account
+ * - format=json (default): one JSON document
+ * - format=zip: manifest.json plus one JSON file per collection
+ */
+router.get(
+  '/backup',
+  validate(backupQuerySchema),
+  accountController.backup.bind(accountController)
+);
+
+/**
+ * POST /api/account/restore
+ * Restore a JSON or ZIP backup into the authenticated account
+ * - multipart/form-data: file, optional mode (merge|replace), restoreProfile (true|false)
+ * - Documents get new IDs, so backups can be restored into any account
+ */
+router.post(
+  '/restore',
+  uploadSingle('file', {
+    extensions: BACKUP_FILE_EXTENSIONS,
+    maxFileSize: BACKUP_MAX_FILE_SIZE,
+  }),
+  validate(restoreBackupSchema),
+  accountController.restore.bind(accountController)
+);
+
+export default router;
@@ -1,6 +1,9 @@
 import express from 'express';
 import analyticsController from '../controllers/analytics.controller.js';
 import { authenticate } from '../middleware/auth.middleware.js';
+import { validate } from '../middleware/validation.middleware.js';
+import { analyticsQuerySchema, compensationQuerySchema } from '../validations/analytics.validation.js';
+import { companyIdParamSchema } from '../validations/company.validation.js';
 
 /**
  * Analytics Routes
@@ -19,6 +22,7 @@ import { authenticate } from '../middleware/auth.middleware.js';
  * - userId is extracted from req.user (set by authenticate middleware)
  * - Service layer scopes all analytics to authenticated user
  * - Users can only see their own analytics
+ * - Archived applications are excluded unless includeArchived=true
  */
 const router = express.Router();
 
@@ -33,6 +37,7 @@ router.use(authenticate);
  */
 router.get(
   '/',
+  validate(analyticsQuerySchema),
   analyticsController.getComprehensive.bind(analyticsController)
 );
 
@@ -44,6 +49,7 @@ router.get(
  */
 router.get(
   '/status-distribution',
+  validate(analyticsQuerySchema),
   analyticsController.getStatusDistribution.bind(analyticsController)
 );
 
@@ -55,6 +61,7 @@ router.get(
  */
 router.get(
   '/monthly-trends',
+  validate(analyticsQuerySchema),
   analyticsController.getMonthlyTrends.bind(analyticsController)
 );
 
@@ -67,6 +74,7 @@ router.get(
  */
 router.get(
   '/success-rate',
+  validate(analyticsQuerySchema),
   analyticsController.getSuccessRate.bind(analyticsController)
 );
 
@@ -78,8 +86,91 @@ router.get(
  */
 router.get(
   '/timeline',
+  validate(analyticsQuerySchema),
   analyticsController.getTimeline.bind(analyticsController)
 );
 
+/**
+ * GET /api/analytics/funnel
+ * Get hiring funnel analytics computed from status history
+ * - Protected route (requires authentication)
+ * - Returns stage-to-stage conversion (saved → applied → interview → offer),
+ *   median days spent in each stage and average days to first response
+ */
+router.get(
+  '/funnel',
+  validate(analyticsQuerySchema),
+  analyticsController.getFunnel.bind(analyticsController)
+);
+
+/**
+ * GET /api/analytics/tags
+ * Get per-tag breakdown analytics
+ * - Protected route (requires authentication)
+ * - Returns, for each tag, its color, application count, counts per status
+ *   category and success rate, most used tags first
+ */
+router.get(
+  '/tags',
+  validate(analyticsQuerySchema),
+  analyticsController.getTagBreakdown.bind(analyticsController)
+);
+
+/**
+ * GET /api/analytics/companies
+ * Get per-company breakdown analytics
+ * - Protected route (requires authentication)
+ * - Returns, for each company, its application count, counts per status
+ *   category, success and response rates, average match score and the
+ *   first and last application dates, most applied-to companies first
+ */
+router.get(
+  '/companies',
+  validate(analyticsQuerySchema),
+  analyticsController.getCompanyBreakdown.bind(analyticsController)
+);
+
+/**
+ * GET /api/analytics/job-details
+ * Get per-value breakdowns of the structured job details
+ * - Protected route (requires authentication)
+ * - For remote policy, employment type, seniority, visa sponsorship and the
+ *   most common locations: application count, counts per status category
+ *   and success rate of each value (null = not set)
+ */
+router.get(
+  '/job-details',
+  validate(analyticsQuerySchema),
+  analyticsController.getJobDetails.bind(analyticsController)
+);
+
+/**
+ * GET /api/analytics/compensation
+ * Get the salary distribution of applications
+ * - Protected route (requires authentication)
+ * - Posted ranges (midpoints) and expected salaries as yearly amounts,
+ *   converted to ?currency= (default USD) with the static exchange-rate table
+ * - Returns summary figures, a histogram and the median per status category
+ */
+router.get(
+  '/compensation',
+  validate(analyticsQuerySchema),
+  validate(compensationQuerySchema),
+  analyticsController.getCompensation.bind(analyticsController)
+);
+
+/**
+ * GET /api/analytics/companies/:companyId
+ * Get analytics for one company
+ * - Protected route (requires authentication)
+ * - Same figures as /companies, plus counts per pipeline stage
+ */
+router.get(
+  '/companies/:companyId',
+  validate(companyIdParamSchema),
+  validate(analyticsQuerySchema),
+  analyticsController.getCompany.bind(analyticsController)
+);
+
 export default router;
 
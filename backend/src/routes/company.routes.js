@@ -0,0 +1,98 @@
+import express from 'express';
+import companyController from '../controllers/company.controller.js';
+import { validate } from '../middleware/validation.middleware.js';
+import { authenticate } from '../middleware/auth.middleware.js';
+import {
+  getCompaniesQuerySchema,
+  createCompanySchema,
+  updateCompanySchema,
+  mergeCompanySchema,
+  companyIdParamSchema,
+} from '../validations/company.validation.js';
+
+/**
+ * Company Routes
+ * 
+ * Why: Defines HTTP endpoints for companies (shared research across the
+ * applications sent to one employer).
+ * All routes are protected with authentication middleware.
+ * 
+ * Responsibilities:
+ * - Define route paths and HTTP methods
+ * - Apply validation middleware (Zod schemas)
+ * - Apply authentication middleware (all routes protected)
+ * - Wire routes to controller methods
+ */
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * GET /api/companies
+ * Get all companies for the authenticated user, each with its application count
+ * - Applications not linked yet are matched to companies by normalized name first
+ * - Optional name search: ?q=
+ */
+router.get(
+  '/',
+  validate(getCompaniesQuerySchema),
+  companyController.getAll.bind(companyController)
+);
+
+/**
+ * POST /api/companies
+ * Create a company
+ * - 409 if the name matches an existing company (e.g. "Acme Inc." and "ACME")
+ */
+router.post(
+  '/',
+  validate(createCompanySchema),
+  companyController.create.bind(companyController)
+);
+
+/**
+ * GET /api/companies/:companyId
+ * Get a company with all its applications (archived included)
+ */
+router.get(
+  '/:companyId',
+  validate(companyIdParamSchema),
+  companyController.getById.bind(companyController)
+);
+
+/**
+ * PUT /api/companies/:companyId
+ * Update a company's name, details, notes or ratings
+ * - A new name is applied to every linked application
+ */
+router.put(
+  '/:companyId',
+  validate(companyIdParamSchema),
+  validate(updateCompanySchema),
+  companyController.update.bind(companyController)
+);
+
+/**
+ * POST /api/companies/:companyId/merge
+ * Merge a company into another one (body: targetCompanyId)
+ * - Moves its applications, appends its notes and fills in missing details
+ */
+router.post(
+  '/:companyId/merge',
+  validate(companyIdParamSchema),
+  validate(mergeCompanySchema),
+  companyController.merge.bind(companyController)
+);
+
+/**
+ * DELETE /api/companies/:companyId
+ * Delete a company that has no applications
+ */
+router.delete(
+  '/:companyId',
+  validate(companyIdParamSchema),
+  companyController.delete.bind(companyController)
+);
+
+export default router;
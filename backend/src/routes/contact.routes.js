@@ -0,0 +1,107 @@
+import express from 'express';
+import contactController from '../controllers/contact.controller.js';
+import { validate } from '../middleware/validation.middleware.js';
+import { authenticate } from '../middleware/auth.middleware.js';
+import {
+  getContactsQuerySchema,
+  createContactSchema,
+  updateContactSchema,
+  linkApplicationSchema,
+  contactIdParamSchema,
+  contactApplicationParamsSchema,
+} from '../validations/contact.validation.js';
+
+/**
+ * Contact Routes
+ * 
+ * Why: Defines HTTP endpoints for contacts (recruiters, hiring managers,
+ * referrers and interviewers) and their links to applications.
+ * All routes are protected with authentication middleware.
+ * 
+ * Responsibilities:
+ * - Define route paths and HTTP methods
+ * - Apply validation middleware (Zod schemas)
+ * - Apply authentication middleware (all routes protected)
+ * - Wire routes to controller methods
+ */
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * GET /api/contacts
+ * Get all contacts for the authenticated user, alphabetically
+ * - Optional filters: ?q= (name, company, role, email), ?applicationId=, ?relationship=
+ */
+router.get(
+  '/',
+  validate(getContactsQuerySchema),
+  contactController.getAll.bind(contactController)
+);
+
+/**
+ * POST /api/contacts
+ * Create a contact, optionally linked to applications
+ * (body: applications [{ applicationId, relationship }])
+ */
+router.post(
+  '/',
+  validate(createContactSchema),
+  contactController.create.bind(contactController)
+);
+
+/**
+ * GET /api/contacts/:contactId
+ * Get a contact with the applications it is linked to
+ */
+router.get(
+  '/:contactId',
+  validate(contactIdParamSchema),
+  contactController.getById.bind(contactController)
+);
+
+/**
+ * PUT /api/contacts/:contactId
+ * Update a contact's details
+ */
+router.put(
+  '/:contactId',
+  validate(contactIdParamSchema),
+  validate(updateContactSchema),
+  contactController.update.bind(contactController)
+);
+
+/**
+ * DELETE /api/contacts/:contactId
+ * Delete a contact (its reminders are kept without the contact)
+ */
+router.delete(
+  '/:contactId',
+  validate(contactIdParamSchema),
+  contactController.delete.bind(contactController)
+);
+
+/**
+ * PUT /api/contacts/:contactId/applications/:applicationId
+ * Link a contact to an application, or change the relationship of the link
+ * (body: relationship - recruiter, hiring-manager, referrer or interviewer)
+ */
+router.put(
+  '/:contactId/applications/:applicationId',
+  validate(contactApplicationParamsSchema),
+  validate(linkApplicationSchema),
+  contactController.linkApplication.bind(contactController)
+);
+
+/**
+ * DELETE /api/contacts/:contactId/applications/:applicationId
+ * Remove the link between a contact and an application
+ */
+router.delete(
+  '/:contactId/applications/:applicationId',
+  validate(contactApplicationParamsSchema),
+  contactController.unlinkApplication.bind(contactController)
+);
+
+export default router;
@@ -0,0 +1,152 @@
+import express from 'express';
+import documentController from '../controllers/document.controller.js';
+import { validate } from '../middleware/validation.middleware.js';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { uploadSingle } from '../middleware/upload.middleware.js';
+import {
+  getDocumentsQuerySchema,
+  uploadDocumentSchema,
+  uploadVersionSchema,
+  updateDocumentSchema,
+  attachDocumentSchema,
+  documentIdParamSchema,
+  documentVersionParamsSchema,
+  documentApplicationParamsSchema,
+} from '../validations/document.validation.js';
+import { DOCUMENT_FILE_EXTENSIONS, DOCUMENT_MAX_FILE_SIZE } from '../models/document.constants.js';
+
+/**
+ * Document Routes
+ * 
+ * Why: Defines HTTP endpoints for documents (resumes, cover letters), their
+ * versions and their attachments to applications.
+ * All routes are protected with authentication middleware.
+ * 
+ * Responsibilities:
+ * - Define route paths and HTTP methods
+ * - Apply upload middleware (PDF, DOCX or TXT in the form field "file")
+ * - Apply validation middleware (Zod schemas)
+ * - Apply authentication middleware (all routes protected)
+ * - Wire routes to controller methods
+ */
+const router = express.Router();
+
+// Document uploads (form field "file")
+const uploadDocumentFile = uploadSingle('file', {
+  extensions: DOCUMENT_FILE_EXTENSIONS,
+  maxFileSize: DOCUMENT_MAX_FILE_SIZE,
+});
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * GET /api/documents
+ * Get all documents for the authenticated user, most recently updated first
+ * - Optional filters: ?q= (name), ?type=, ?applicationId=
+ */
+router.get(
+  '/',
+  validate(getDocumentsQuerySchema),
+  documentController.getAll.bind(documentController)
+);
+
+/**
+ * POST /api/documents
+ * Upload a new document (version 1)
+ * - multipart/form-data: file, optional name (defaults to the file name), type, notes
+ */
+router.post(
+  '/',
+  uploadDocumentFile,
+  validate(uploadDocumentSchema),
+  documentController.upload.bind(documentController)
+);
+
+/**
+ * GET /api/documents/:documentId
+ * Get a document with the applications it is attached to
+ */
+router.get(
+  '/:documentId',
+  validate(documentIdParamSchema),
+  documentController.getById.bind(documentController)
+);
+
+/**
+ * PUT /api/documents/:documentId
+ * Rename a document or change its type
+ */
+router.put(
+  '/:documentId',
+  validate(documentIdParamSchema),
+  validate(updateDocumentSchema),
+  documentController.update.bind(documentController)
+);
+
+/**
+ * DELETE /api/documents/:documentId
+ * Delete a document, its files and its attachments to applications
+ */
+router.delete(
+  '/:documentId',
+  validate(documentIdParamSchema),
+  documentController.delete.bind(documentController)
+);
+
+/**
+ * POST /api/documents/:documentId/versions
+ * Upload a new version of a document
+ * - multipart/form-data: file, optional notes (e.g. what changed)
+ */
+router.post(
+  '/:documentId/versions',
+  validate(documentIdParamSchema),
+  uploadDocumentFile,
+  validate(uploadVersionSchema),
+  documentController.addVersion.bind(documentController)
+);
+
+/**
+ * GET /api/documents/:documentId/versions/:version/download
+ * Download the file of a version
+ */
+router.get(
+  '/:documentId/versions/:version/download',
+  validate(documentVersionParamsSchema),
+  documentController.downloadVersion.bind(documentController)
+);
+
+/**
+ * DELETE /api/documents/:documentId/versions/:version
+ * Delete a version (not the only one, nor one attached to an application)
+ */
+router.delete(
+  '/:documentId/versions/:version',
+  validate(documentVersionParamsSchema),
+  documentController.deleteVersion.bind(documentController)
+);
+
+/**
+ * PUT /api/documents/:documentId/applications/:applicationId
+ * Attach a document version to an application, or change the attached version
+ * (body: version)
+ */
+router.put(
+  '/:documentId/applications/:applicationId',
+  validate(documentApplicationParamsSchema),
+  validate(attachDocumentSchema),
+  documentController.attachToApplication.bind(documentController)
+);
+
+/**
+ * DELETE /api/documents/:documentId/applications/:applicationId
+ * Detach a document from an application
+ */
+router.delete(
+  '/:documentId/applications/:applicationId',
+  validate(documentApplicationParamsSchema),
+  documentController.detachFromApplication.bind(documentController)
+);
+
+export default router;
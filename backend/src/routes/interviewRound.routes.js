@@ -0,0 +1,78 @@
+import express from 'express';
+import interviewRoundController from '../controllers/interviewRound.controller.js';
+import { validate } from '../middleware/validation.middleware.js';
+import { authenticate } from '../middleware/auth.middleware.js';
+import {
+  applicationRoundsParamsSchema,
+  interviewRoundParamsSchema,
+  createInterviewRoundSchema,
+  updateInterviewRoundSchema,
+} from '../validations/interviewRound.validation.js';
+
+/**
+ * Interview Round Routes
+ * 
+ * Why: Defines HTTP endpoints for the interview rounds of an application.
+ * Mounted under /api/applications/:applicationId/interviews, so the
+ * application ID comes from the parent path (mergeParams).
+ * All routes are protected with authentication middleware.
+ * 
+ * Responsibilities:
+ * - Define route paths and HTTP methods
+ * - Apply validation middleware (Zod schemas)
+ * - Apply authentication middleware (all routes protected)
+ * - Wire routes to controller methods
+ */
+const router = express.Router({ mergeParams: true });
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * GET /api/applications/:applicationId/interviews
+ * Get the rounds of an application, scheduled ones first in time order
+ * - Returns 404 if the application doesn't exist, is in the trash or isn't the user's
+ */
+router.get(
+  '/',
+  validate(applicationRoundsParamsSchema),
+  interviewRoundController.getAll.bind(interviewRoundController)
+);
+
+/**
+ * POST /api/applications/:applicationId/interviews
+ * Create a round
+ * - Body: name, optional type, scheduledStart/scheduledEnd (ISO), timezone (IANA),
+ *   location, meetingUrl, interviewers [{ name, role }], selfAssessment { rating, notes }, outcome
+ * - Creates an interview reminder before scheduledStart
+ */
+router.post(
+  '/',
+  validate(applicationRoundsParamsSchema),
+  validate(createInterviewRoundSchema),
+  interviewRoundController.create.bind(interviewRoundController)
+);
+
+/**
+ * PUT /api/applications/:applicationId/interviews/:roundId
+ * Update a round
+ * - Changing the name, start time or outcome regenerates its pending reminder
+ */
+router.put(
+  '/:roundId',
+  validate(interviewRoundParamsSchema),
+  validate(updateInterviewRoundSchema),
+  interviewRoundController.update.bind(interviewRoundController)
+);
+
+/**
+ * DELETE /api/applications/:applicationId/interviews/:roundId
+ * Delete a round and its reminders
+ */
+router.delete(
+  '/:roundId',
+  validate(interviewRoundParamsSchema),
+  interviewRoundController.delete.bind(interviewRoundController)
+);
+
+export default router;
@@ -2,13 +2,25 @@ import express from 'express';
 import jobApplicationController from '../controllers/jobApplication.controller.js';
 import { validate } from '../middleware/validation.middleware.js';
 import { authenticate } from '../middleware/auth.middleware.js';
+import { uploadSingle } from '../middleware/upload.middleware.js';
 import {
   createJobApplicationSchema,
   updateJobApplicationSchema,
   jobApplicationIdParamSchema,
   getJobApplicationsQuerySchema,
   resumeImprovementBodySchema,
+  applicationAIBodySchema,
+  boardColumnOrderSchema,
+  importApplicationsSchema,
+  exportApplicationsQuerySchema,
+  bulkApplicationsSchema,
+  trashQuerySchema,
+  parsePostingSchema,
 } from '../validations/jobApplication.validation.js';
+import {
+  IMPORT_FILE_EXTENSIONS,
+  IMPORT_MAX_FILE_SIZE,
+} from '../models/applicationImport.constants.js';
 
 /**
  * Job Application Routes
@@ -30,6 +42,12 @@ import {
  */
 const router = express.Router();
 
+// Spreadsheet uploads for imports (form field "file")
+const uploadImportFile = uploadSingle('file', {
+  extensions: IMPORT_FILE_EXTENSIONS,
+  maxFileSize: IMPORT_MAX_FILE_SIZE,
+});
+
 // All routes require authentication
 router.use(authenticate);
 
@@ -50,7 +68,9 @@ router.post(
  * GET /api/applications
  * Get all applications for authenticated user
  * - Protected route (requires authentication)
- * - Validates query parameters (pagination, filtering)
+ * - Validates query parameters (pagination, search, filters: status list,
+ *   date ranges, source, AI analysis presence, match score range)
+ * - Archived applications are excluded unless includeArchived=true
  * - Returns only applications owned by authenticated user
  */
 router.get(
@@ -70,6 +90,131 @@ router.get(
   jobApplicationController.getStatistics.bind(jobApplicationController)
 );
 
+/**
+ * GET /api/applications/sources
+ * Get the distinct sources of the user's applications (for filter controls)
+ * - Protected route (requires authentication)
+ */
+router.get(
+  '/sources',
+  jobApplicationController.getSources.bind(jobApplicationController)
+);
+
+/**
+ * GET /api/applications/export
+ * Download applications as CSV, XLSX or JSON
+ * - Protected route (requires authentication)
+ * - Same filters and sort as GET /api/applications (no pagination)
+ * - include=ai,reminders,description adds optional columns
+ */
+router.get(
+  '/export',
+  validate(exportApplicationsQuerySchema),
+  jobApplicationController.exportApplications.bind(jobApplicationController)
+);
+
+/**
+ * POST /api/applications/bulk
+ * Apply one action to several applications
+ * - Protected route (requires authentication)
+ * - action: status | delete | tag | reminder, plus the fields that action needs
+ * - Returns a result per application; one failure does not stop the rest
+ */
+router.post(
+  '/bulk',
+  validate(bulkApplicationsSchema),
+  jobApplicationController.bulkUpdate.bind(jobApplicationController)
+);
+
+/**
+ * GET /api/applications/trash
+ * Get deleted applications, most recently deleted first
+ * - Protected route (requires authentication)
+ * - Each application has purgeAt; retentionDays is the configured retention
+ */
+router.get(
+  '/trash',
+  validate(trashQuerySchema),
+  jobApplicationController.getTrash.bind(jobApplicationController)
+);
+
+/**
+ * DELETE /api/applications/trash/:applicationId
+ * Permanently delete an application in the trash, with its reminders and history
+ * - Protected route (requires authentication)
+ * - Returns 404 if the application is not in the user's trash
+ */
+router.delete(
+  '/trash/:applicationId',
+  validate(jobApplicationIdParamSchema),
+  jobApplicationController.deletePermanently.bind(jobApplicationController)
+);
+
+/**
+ * POST /api/applications/import/preview
+ * Preview a CSV/XLSX import without saving anything
+ * - Protected route (requires authentication)
+ * - multipart/form-data: file, optional mapping (JSON), dateFormat, skipDuplicates
+ * - Returns the column mapping and every row normalized, with validation errors
+ */
+router.post(
+  '/import/preview',
+  uploadImportFile,
+  validate(importApplicationsSchema),
+  jobApplicationController.previewImport.bind(jobApplicationController)
+);
+
+/**
+ * POST /api/applications/import
+ * Import applications from a CSV/XLSX file
+ * - Protected route (requires authentication)
+ * - Same form fields as the preview; creates all valid rows in bulk
+ * - Invalid and duplicate rows are skipped and reported by row number
+ */
+router.post(
+  '/import',
+  uploadImportFile,
+  validate(importApplicationsSchema),
+  jobApplicationController.importApplications.bind(jobApplicationController)
+);
+
+/**
+ * POST /api/applications/parse-posting
+ * Read a job posting into a draft application without saving anything
+ * - Protected route (requires authentication)
+ * - Body: url (fetched from the server) and/or html (pasted page source, read instead of fetching)
+ * - Uses the page's JSON-LD JobPosting and Greenhouse, Lever, Workday and LinkedIn markup
+ * - Returns the draft, the extractors used and the required fields not found
+ */
+router.post(
+  '/parse-posting',
+  validate(parsePostingSchema),
+  jobApplicationController.parsePosting.bind(jobApplicationController)
+);
+
+/**
+ * GET /api/applications/board
+ * Get all applications grouped into one column per pipeline stage
+ * - Protected route (requires authentication)
+ * - Cards are returned in their persisted column order
+ */
+router.get(
+  '/board',
+  jobApplicationController.getBoard.bind(jobApplicationController)
+);
+
+/**
+ * PUT /api/applications/board/order
+ * Persist the card order of one board column
+ * - Protected route (requires authentication)
+ * - Status changes are made via PUT /api/applications/:applicationId
+ */
+router.put(
+  '/board/order',
+  validate(boardColumnOrderSchema),
+  jobApplicationController.reorderBoardColumn.bind(jobApplicationController)
+);
+
 /**
  * GET /api/applications/:applicationId
  * Get application by ID
@@ -83,6 +228,19 @@ router.get(
   jobApplicationController.getById.bind(jobApplicationController)
 );
 
+/**
+ * GET /api/applications/:applicationId/timeline
+ * Get status change history for an application (oldest first)
+ * - Protected route (requires authentication)
+ * - Validates application ID parameter
+ * - Returns 404 if application doesn't exist or user doesn't own it
+ */
+router.get(
+  '/:applicationId/timeline',
+  validate(jobApplicationIdParamSchema),
+  jobApplicationController.getTimeline.bind(jobApplicationController)
+);
+
 /**
  * PUT /api/applications/:applicationId
  * Update application
@@ -99,10 +257,11 @@ router.put(
 
 /**
  * DELETE /api/applications/:applicationId
- * Delete application
+ * Move application to the trash
  * - Protected route (requires authentication)
  * - Validates application ID parameter
  * - Returns 404 if application doesn't exist or user doesn't own it
+ * - Reminders and history are kept until the application is purged
  */
 router.delete(
   '/:applicationId',
@@ -110,6 +269,43 @@ router.delete(
   jobApplicationController.delete.bind(jobApplicationController)
 );
 
+/**
+ * POST /api/applications/:applicationId/archive
+ * Archive an application (hidden from list, board and analytics by default)
+ * - Protected route (requires authentication)
+ * - Returns 404 if application doesn't exist or user doesn't own it
+ */
+router.post(
+  '/:applicationId/archive',
+  validate(jobApplicationIdParamSchema),
+  jobApplicationController.archive.bind(jobApplicationController)
+);
+
+/**
+ * POST /api/applications/:applicationId/unarchive
+ * Unarchive an application
+ * - Protected route (requires authentication)
+ * - Returns 404 if application doesn't exist or user doesn't own it
+ */
+router.post(
+  '/:applicationId/unarchive',
+  validate(jobApplicationIdParamSchema),
+  jobApplicationController.unarchive.bind(jobApplicationController)
+);
+
+/**
+ * POST /api/applications/:applicationId/restore
+ * Restore an application from the trash
+ * - Protected route (requires authentication)
+ * - Returns 404 if the application is not in the user's trash
+ * - Moves it to the default stage if its stage no longer exists
+ */
+router.post(
+  '/:applicationId/restore',
+  validate(jobApplicationIdParamSchema),
+  jobApplicationController.restore.bind(jobApplicationController)
+);
+
 /**
  * POST /api/applications/:applicationId/ai/resume-match
  * Generate and persist resume match analysis for a job application
@@ -117,10 +313,12 @@ router.delete(
  * - Validates application ID parameter
  * - Returns 404 if application doesn't exist or user doesn't own it
  * - Requires jobDescription field in the application
+ * - Optional body: resumeId (defaults to the application's resume, then the default resume)
  */
 router.post(
   '/:applicationId/ai/resume-match',
   validate(jobApplicationIdParamSchema),
+  validate(applicationAIBodySchema),
   jobApplicationController.generateResumeMatch.bind(jobApplicationController)
 );
 
@@ -131,10 +329,12 @@ router.post(
  * - Validates application ID parameter
  * - Returns 404 if application doesn't exist or user doesn't own it
  * - Requires jobDescription field in the application
+ * - Optional body: resumeId (defaults to the application's resume, then the default resume)
  */
 router.post(
   '/:applicationId/ai/interview-prep',
   validate(jobApplicationIdParamSchema),
+  validate(applicationAIBodySchema),
   jobApplicationController.generateInterviewPrep.bind(jobApplicationController)
 );
 
@@ -153,5 +353,21 @@ router.post(
   jobApplicationController.generateResumeImprovement.bind(jobApplicationController)
 );
 
+/**
+ * POST /api/applications/:applicationId/ai/requirements
+ * Extract structured requirements from the job description and store them on the application
+ * - Protected route (requires authentication)
+ * - Validates application ID parameter
+ * - Returns 404 if application doesn't exist or user doesn't own it
+ * - Requires jobDescription field in the application
+ * - Replaces required/nice-to-have skills and years of experience; fills salary,
+ *   locations, remote policy and seniority only when they are not set
+ */
+router.post(
+  '/:applicationId/ai/requirements',
+  validate(jobApplicationIdParamSchema),
+  jobApplicationController.extractRequirements.bind(jobApplicationController)
+);
+
 export default router;
 
@@ -0,0 +1,101 @@
+import express from 'express';
+import offerController from '../controllers/offer.controller.js';
+import { validate } from '../middleware/validation.middleware.js';
+import { authenticate } from '../middleware/auth.middleware.js';
+import {
+  offerIdSchema,
+  getOffersQuerySchema,
+  compareOffersQuerySchema,
+  createOfferSchema,
+  updateOfferSchema,
+} from '../validations/offer.validation.js';
+
+/**
+ * Offer Routes
+ * 
+ * Why: Defines HTTP endpoints for job offers and their comparison.
+ * All routes are protected with authentication middleware.
+ * 
+ * Responsibilities:
+ * - Define route paths and HTTP methods
+ * - Apply validation middleware (Zod schemas)
+ * - Apply authentication middleware (all routes protected)
+ * - Wire routes to controller methods
+ */
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * GET /api/offers
+ * Get the user's offers with their application and total compensation
+ * - Query: optional applicationId (the offer of one application)
+ * - Offers of applications in the trash are hidden
+ */
+router.get(
+  '/',
+  validate(getOffersQuerySchema),
+  offerController.getAll.bind(offerController)
+);
+
+/**
+ * GET /api/offers/compare?offerIds=id1,id2
+ * Compare offers: first-year and four-year total compensation per offer,
+ * and the best offers by each total when they share a currency
+ * - Returns 404 if any offer doesn't exist or isn't the user's
+ */
+router.get(
+  '/compare',
+  validate(compareOffersQuerySchema),
+  offerController.compare.bind(offerController)
+);
+
+/**
+ * GET /api/offers/:offerId
+ * Get an offer by ID
+ */
+router.get(
+  '/:offerId',
+  validate(offerIdSchema),
+  offerController.getById.bind(offerController)
+);
+
+/**
+ * POST /api/offers
+ * Create the offer of an application
+ * - Body: applicationId, optional currency, baseSalary, bonus, signOnBonus,
+ *   equity { grantValue, vestingSchedule, cliffMonths }, benefits, ptoDays,
+ *   startDate, responseDeadline (ISO), decision, notes
+ * - Returns 409 if the application already has an offer
+ * - Creates a deadline reminder before responseDeadline
+ */
+router.post(
+  '/',
+  validate(createOfferSchema),
+  offerController.create.bind(offerController)
+);
+
+/**
+ * PUT /api/offers/:offerId
+ * Update an offer
+ * - Changing the response deadline or decision regenerates its pending reminder
+ */
+router.put(
+  '/:offerId',
+  validate(offerIdSchema),
+  validate(updateOfferSchema),
+  offerController.update.bind(offerController)
+);
+
+/**
+ * DELETE /api/offers/:offerId
+ * Delete an offer and its reminders
+ */
+router.delete(
+  '/:offerId',
+  validate(offerIdSchema),
+  offerController.delete.bind(offerController)
+);
+
+export default router;
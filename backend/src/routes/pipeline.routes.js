@@ -0,0 +1,84 @@
+import express from 'express';
+import pipelineController from '../controllers/pipeline.controller.js';
+import { validate } from '../middleware/validation.middleware.js';
+import { authenticate } from '../middleware/auth.middleware.js';
+import {
+  replacePipelineSchema,
+  addStageSchema,
+  updateStageSchema,
+  stageKeyParamSchema,
+  deleteStageQuerySchema,
+} from '../validations/pipeline.validation.js';
+
+/**
+ * Pipeline Routes
+ * 
+ * Why: Defines HTTP endpoints for managing a user's application stages.
+ * All routes are protected with authentication middleware - each user
+ * has exactly one pipeline, so no pipeline ID is needed.
+ * 
+ * Responsibilities:
+ * - Define route paths and HTTP methods
+ * - Apply validation middleware (Zod schemas)
+ * - Apply authentication middleware (all routes protected)
+ * - Wire routes to controller methods
+ */
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * GET /api/pipeline
+ * Get the authenticated user's pipeline (default stages until customized)
+ */
+router.get(
+  '/',
+  pipelineController.get.bind(pipelineController)
+);
+
+/**
+ * PUT /api/pipeline
+ * Replace the full ordered list of stages
+ * - Returns 409 if a removed stage is still used by applications
+ */
+router.put(
+  '/',
+  validate(replacePipelineSchema),
+  pipelineController.replace.bind(pipelineController)
+);
+
+/**
+ * POST /api/pipeline/stages
+ * Add a stage (key is derived from the label when omitted)
+ */
+router.post(
+  '/stages',
+  validate(addStageSchema),
+  pipelineController.addStage.bind(pipelineController)
+);
+
+/**
+ * PUT /api/pipeline/stages/:stageKey
+ * Rename, recategorize or move a stage
+ */
+router.put(
+  '/stages/:stageKey',
+  validate(stageKeyParamSchema),
+  validate(updateStageSchema),
+  pipelineController.updateStage.bind(pipelineController)
+);
+
+/**
+ * DELETE /api/pipeline/stages/:stageKey
+ * Delete a stage
+ * - Returns 409 if the stage is in use and no reassignTo stage is given
+ */
+router.delete(
+  '/stages/:stageKey',
+  validate(stageKeyParamSchema),
+  validate(deleteStageQuerySchema),
+  pipelineController.deleteStage.bind(pipelineController)
+);
+
+export default router;
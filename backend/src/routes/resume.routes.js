@@ -0,0 +1,107 @@
+import express from 'express';
+import resumeController from '../controllers/resume.controller.js';
+import { validate } from '../middleware/validation.middleware.js';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { uploadSingle } from '../middleware/upload.middleware.js';
+import {
+  createResumeSchema,
+  updateResumeSchema,
+  resumeIdParamSchema,
+} from '../validations/resume.validation.js';
+import {
+  RESUME_IMPORT_FILE_EXTENSIONS,
+  RESUME_IMPORT_MAX_FILE_SIZE,
+} from '../models/resume.constants.js';
+
+/**
+ * Resume Routes
+ * 
+ * Why: Defines HTTP endpoints for the resume library (named resumes used by
+ * applications and AI analyses).
+ * All routes are protected with authentication middleware.
+ * 
+ * Responsibilities:
+ * - Define route paths and HTTP methods
+ * - Apply validation middleware (Zod schemas)
+ * - Apply authentication middleware (all routes protected)
+ * - Wire routes to controller methods
+ */
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * GET /api/resumes
+ * Get all resumes for the authenticated user, the default first
+ */
+router.get('/', resumeController.getAll.bind(resumeController));
+
+/**
+ * POST /api/resumes
+ * Create a resume (name, optional targetRole, content, sections, isDefault)
+ * - The first resume becomes the default
+ */
+router.post(
+  '/',
+  validate(createResumeSchema),
+  resumeController.create.bind(resumeController)
+);
+
+/**
+ * POST /api/resumes/parse
+ * Read a PDF or DOCX resume into a draft (sections, summary, contact details)
+ * - multipart/form-data: file
+ * - Nothing is saved; the reviewed draft is saved with POST /api/resumes
+ */
+router.post(
+  '/parse',
+  uploadSingle('file', {
+    extensions: RESUME_IMPORT_FILE_EXTENSIONS,
+    maxFileSize: RESUME_IMPORT_MAX_FILE_SIZE,
+  }),
+  resumeController.parse.bind(resumeController)
+);
+
+/**
+ * GET /api/resumes/:resumeId
+ * Get a resume
+ */
+router.get(
+  '/:resumeId',
+  validate(resumeIdParamSchema),
+  resumeController.getById.bind(resumeController)
+);
+
+/**
+ * PUT /api/resumes/:resumeId
+ * Update a resume's name, target role, text or sections
+ */
+router.put(
+  '/:resumeId',
+  validate(resumeIdParamSchema),
+  validate(updateResumeSchema),
+  resumeController.update.bind(resumeController)
+);
+
+/**
+ * PUT /api/resumes/:resumeId/default
+ * Make a resume the default (used when an application or analysis picks none)
+ */
+router.put(
+  '/:resumeId/default',
+  validate(resumeIdParamSchema),
+  resumeController.setDefault.bind(resumeController)
+);
+
+/**
+ * DELETE /api/resumes/:resumeId
+ * Delete a resume; applications using it fall back to the default resume
+ */
+router.delete(
+  '/:resumeId',
+  validate(resumeIdParamSchema),
+  resumeController.delete.bind(resumeController)
+);
+
+export default router;
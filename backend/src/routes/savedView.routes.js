@@ -0,0 +1,79 @@
+import express from 'express';
+import savedViewController from '../controllers/savedView.controller.js';
+import { validate } from '../middleware/validation.middleware.js';
+import { authenticate } from '../middleware/auth.middleware.js';
+import {
+  createSavedViewSchema,
+  updateSavedViewSchema,
+  savedViewIdParamSchema,
+} from '../validations/savedView.validation.js';
+
+/**
+ * Saved View Routes
+ * 
+ * Why: Defines HTTP endpoints for saved views (named application list filters).
+ * All routes are protected with authentication middleware.
+ * 
+ * Responsibilities:
+ * - Define route paths and HTTP methods
+ * - Apply validation middleware (Zod schemas)
+ * - Apply authentication middleware (all routes protected)
+ * - Wire routes to controller methods
+ */
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * GET /api/views
+ * Get all saved views for the authenticated user, each with a live count
+ */
+router.get(
+  '/',
+  savedViewController.getAll.bind(savedViewController)
+);
+
+/**
+ * POST /api/views
+ * Create a saved view
+ * - filters use the same parameters as GET /api/applications
+ */
+router.post(
+  '/',
+  validate(createSavedViewSchema),
+  savedViewController.create.bind(savedViewController)
+);
+
+/**
+ * GET /api/views/:viewId
+ * Get a single saved view with its live count
+ */
+router.get(
+  '/:viewId',
+  validate(savedViewIdParamSchema),
+  savedViewController.getById.bind(savedViewController)
+);
+
+/**
+ * PUT /api/views/:viewId
+ * Update a saved view's name, filters, sort or columns
+ */
+router.put(
+  '/:viewId',
+  validate(savedViewIdParamSchema),
+  validate(updateSavedViewSchema),
+  savedViewController.update.bind(savedViewController)
+);
+
+/**
+ * DELETE /api/views/:viewId
+ * Delete a saved view
+ */
+router.delete(
+  '/:viewId',
+  validate(savedViewIdParamSchema),
+  savedViewController.delete.bind(savedViewController)
+);
+
+export default router;
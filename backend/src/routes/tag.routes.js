@@ -0,0 +1,70 @@
+import express from 'express';
+import tagController from '../controllers/tag.controller.js';
+import { validate } from '../middleware/validation.middleware.js';
+import { authenticate } from '../middleware/auth.middleware.js';
+import {
+  createTagSchema,
+  updateTagSchema,
+  tagIdParamSchema,
+} from '../validations/tag.validation.js';
+
+/**
+ * Tag Routes
+ * 
+ * Why: Defines HTTP endpoints for user-defined application tags.
+ * All routes are protected with authentication middleware.
+ * 
+ * Responsibilities:
+ * - Define route paths and HTTP methods
+ * - Apply validation middleware (Zod schemas)
+ * - Apply authentication middleware (all routes protected)
+ * - Wire routes to controller methods
+ */
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * GET /api/tags
+ * Get all tags for the authenticated user, each with its application count
+ */
+router.get(
+  '/',
+  tagController.getAll.bind(tagController)
+);
+
+/**
+ * POST /api/tags
+ * Create a tag
+ * - Names are unique per user, ignoring case (409 if taken)
+ */
+router.post(
+  '/',
+  validate(createTagSchema),
+  tagController.create.bind(tagController)
+);
+
+/**
+ * PUT /api/tags/:tagId
+ * Rename and/or recolor a tag
+ * - A new name is applied to every application with the tag
+ */
+router.put(
+  '/:tagId',
+  validate(tagIdParamSchema),
+  validate(updateTagSchema),
+  tagController.update.bind(tagController)
+);
+
+/**
+ * DELETE /api/tags/:tagId
+ * Delete a tag and remove it from every application
+ */
+router.delete(
+  '/:tagId',
+  validate(tagIdParamSchema),
+  tagController.delete.bind(tagController)
+);
+
+export default router;
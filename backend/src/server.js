@@ -3,6 +3,8 @@ import config from './config/index.js';
 import loadApp from './loaders/index.js';
 import { disconnectDB } from './loaders/mongoose.js';
 import reminderProcessor from './jobs/reminder.processor.js';
+import trashProcessor from './jobs/trash.processor.js';
+import archiveProcessor from './jobs/archive.processor.js';
 
 /**
  * Server entry point
@@ -24,6 +26,12 @@ async function startServer() {
       
       // Start reminder processor (background job scheduler)
       reminderProcessor.start();
+
+      // Start trash processor (purges applications past the retention period)
+      trashProcessor.start();
+
+      // Start archive processor (auto-archives rejected applications)
+      archiveProcessor.start();
     });
 
     // Handle server errors
@@ -40,8 +48,10 @@ async function startServer() {
     const gracefulShutdown = async (signal) => {
       console.log(`\n${signal} received. Starting graceful shutdown...`);
 
-      // Stop reminder processor
+      // Stop background job schedulers
       reminderProcessor.stop();
+      trashProcessor.stop();
+      archiveProcessor.stop();
 
       // Stop accepting new connections
       server.close(async () => {
@@ -0,0 +1,667 @@
+import path from 'path';
+import mongoose from 'mongoose';
+import JSZip from 'jszip';
+import userRepository from '../repositories/user.repository.js';
+import pipelineRepository from '../repositories/pipeline.repository.js';
+import jobApplicationRepository from '../repositories/jobApplication.repository.js';
+import reminderRepository from '../repositories/reminder.repository.js';
+import statusHistoryRepository from '../repositories/statusHistory.repository.js';
+import savedViewRepository from '../repositories/savedView.repository.js';
+import contactRepository from '../repositories/contact.repository.js';
+import documentRepository from '../repositories/document.repository.js';
+import interviewRoundRepository from '../repositories/interviewRound.repository.js';
+import offerRepository from '../repositories/offer.repository.js';
+import tagRepository from '../repositories/tag.repository.js';
+import companyRepository from '../repositories/company.repository.js';
+import resumeRepository from '../repositories/resume.repository.js';
+import pipelineService from './pipeline.service.js';
+import savedViewService from './savedView.service.js';
+import tagService from './tag.service.js';
+import companyService from './company.service.js';
+import { backupArchiveSchema } from '../validations/account.validation.js';
+import { applicationFiltersSchema } from '../validations/jobApplication.validation.js';
+import { DEFAULT_PIPELINE_STAGES, STAGE_CATEGORY } from '../models/pipeline.constants.js';
+import { MAX_SAVED_VIEWS } from '../models/savedView.constants.js';
+import { MAX_RESUMES } from '../models/resume.constants.js';
+import {
+  BACKUP_FORMAT,
+  BACKUP_FORMAT_VERSION,
+  BACKUP_CONTENT_TYPES,
+  BACKUP_MAX_UNCOMPRESSED_SIZE,
+  BACKUP_ARCHIVE_FILES,
+  RESTORE_MODE,
+  RESTORABLE_PROFILE_FIELDS,
+} from '../models/account.constants.js';
+
+// Collections stored in a backup, in restore order (parents first)
+const BACKUP_COLLECTIONS = [
+  'resumes',
+  'applications',
+  'contacts',
+  'interviewRounds',
+  'offers',
+  'reminders',
+  'statusHistory',
+  'savedViews',
+];
+
+/**
+ * Account Service
+ *
+ * Why: Users own their data and need a complete copy of it - to keep a
+ * backup, to move to another account or to start over. Unlike exports,
+ * backups contain everything needed to rebuild the account: profile,
+ * pipeline, tags, companies, resumes, applications (with AI insights),
+ * contacts, interview rounds, offers, reminders, status history and saved views.
+ * Uploaded documents (resumes, cover letters) are files, not records, and
+ * are left out.
+ *
+ * Responsibilities:
+ * - Build versioned backups as one JSON document or a ZIP with one file per collection
+ * - Read and validate uploaded backups (JSON or ZIP, bounded in size)
+ * - Restore into any account, giving every document a new ID and remapping references
+ * - Merge the backup's pipeline stages so every restored status exists
+ * - Merge the backup's tags (names and colors)
+ * - Match the backup's companies to existing ones by name and relink applications to them
+ * - Keep the user's default resume on merge; take the backup's default on replace
+ * - Never leave a half-restored account: inserted documents are removed on failure
+ */
+class AccountService {
+  /**
+   * Build a backup of the user's account
+   * @param {string} userId - User ID
+   * @param {string} [format] - 'json' or 'zip'
+   * @returns {Object} { filename, contentType, body }
+   */
+  async createBackup(userId, format = 'json') {
+    const user = await userRepository.findById(userId);
+    if (!user) {
+      const error = new Error('User not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const [
+      pipeline,
+      tags,
+      companies,
+      resumes,
+      applications,
+      contacts,
+      interviewRounds,
+      offers,
+      reminders,
+      statusHistory,
+      savedViews,
+    ] = await Promise.all([
+      pipelineRepository.findByUserId(userId),
+      tagRepository.findByUserId(userId),
+      companyRepository.findByUserId(userId),
+      resumeRepository.findAllByUserId(userId),
+      jobApplicationRepository.findAllWithDeletedByUserId(userId),
+      contactRepository.findAllByUserId(userId),
+      interviewRoundRepository.findAllByUserId(userId),
+      offerRepository.findAllByUserId(userId),
+      reminderRepository.findAllByUserId(userId),
+      statusHistoryRepository.findByUserId(userId),
+      savedViewRepository.findByUserId(userId),
+    ]);
+
+    const { profile = {} } = user.toObject();
+    const backup = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      profile: {
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        profile,
+        createdAt: user.createdAt,
+      },
+      pipeline: pipeline?.stages.length > 0
+        ? { stages: pipeline.stages.map(({ key, label, category }) => ({ key, label, category })) }
+        : null,
+      tags: tags.map(({ name, color }) => ({ name, color })),
+      companies: companies.map(({ nameKey, ...company }) => this.withoutOwner(company)),
+      resumes: resumes.map((resume) => this.withoutOwner(resume)),
+      applications: applications.map((application) => this.withoutOwner(application)),
+      contacts: contacts.map((contact) => this.withoutOwner(contact)),
+      interviewRounds: interviewRounds.map((round) => this.withoutOwner(round)),
+      offers: offers.map((offer) => this.withoutOwner(offer)),
+      reminders: reminders.map((reminder) => this.withoutOwner(reminder)),
+      statusHistory: statusHistory.map(({ changedBy, ...entry }) => this.withoutOwner(entry)),
+      savedViews: savedViews.map((view) => this.withoutOwner(view)),
+    };
+
+    const filename = `joblytics-backup-${new Date().toISOString().slice(0, 10)}.${format}`;
+    return {
+      filename,
+      contentType: BACKUP_CONTENT_TYPES[format],
+      body: format === 'zip' ? await this.toZip(backup) : JSON.stringify(backup, null, 2),
+    };
+  }
+
+  /**
+   * Restore a backup into the user's account
+   * @param {string} userId - User ID
+   * @param {Object} file - Uploaded file (multer: { buffer, originalname })
+   * @param {Object} [options] - { mode: 'merge'|'replace', restoreProfile }
+   * @returns {Object} { mode, restored, skipped, stagesAdded, tagsAdded, companiesAdded, profileRestored }
+   */
+  async restoreBackup(userId, file, { mode = RESTORE_MODE.MERGE, restoreProfile = false } = {}) {
+    if (!file) {
+      const error = new Error('Backup file is required');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const backup = await this.readBackup(file);
+    const replace = mode === RESTORE_MODE.REPLACE;
+
+    const { stages, stagesAdded, changed } = await this.resolveStages(userId, backup, replace);
+
+    // Captured up front: in replace mode these are removed after the restore succeeded
+    const previous = replace ? await this.findDocumentIds(userId) : null;
+    const existingViews = replace ? [] : await savedViewRepository.findByUserId(userId);
+    const existingResumeCount = replace ? 0 : await resumeRepository.countByUserId(userId);
+
+    let restoredCompanies;
+    try {
+      restoredCompanies = await companyService.restoreCompanies(userId, backup.companies, replace);
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        error.message = `Backup contains invalid data: ${error.message}`;
+        error.statusCode = 400;
+      }
+      throw error;
+    }
+    const { companyIds, created: companiesCreated } = restoredCompanies;
+
+    const documents = this.buildDocuments(userId, backup, existingViews, companyIds, existingResumeCount);
+
+    const inserted = {};
+    try {
+      for (const collection of BACKUP_COLLECTIONS) {
+        // Record IDs before inserting so a partial insert can still be rolled back
+        inserted[collection] = documents[collection].map((document) => document._id);
+        if (documents[collection].length > 0) {
+          await this.repositoryFor(collection).createMany(documents[collection], { timestamps: false });
+        }
+      }
+    } catch (error) {
+      await this.removeDocuments(userId, inserted);
+      await companyService.removeCompanies(userId, companiesCreated);
+      if (error.name === 'ValidationError') {
+        error.message = `Backup contains invalid data: ${error.message}`;
+        error.statusCode = 400;
+      }
+      throw error;
+    }
+
+    if (changed) {
+      await pipelineRepository.upsertStages(userId, stages);
+    }
+
+    if (previous) {
+      await this.removeDocuments(userId, previous);
+      // Uploaded files are not part of backups: they stay, detached from the removed applications
+      await documentRepository.removeApplicationLinks(previous.applications);
+      await companyService.removeCompaniesExcept(userId, [...companyIds.values()]);
+    }
+
+    // Resumes are inserted without the default flag; merge keeps the user's default
+    if (documents.defaultResumeId && (replace || !(await resumeRepository.findDefaultByUserId(userId)))) {
+      await resumeRepository.setDefault(userId, documents.defaultResumeId);
+    }
+
+    // Applications from backups without companies are linked by name
+    await companyService.syncCompanies(userId);
+
+    // After the old applications are gone, so replace does not keep their tags
+    const tagsAdded = await tagService.restoreTags(userId, backup.tags, replace);
+
+    // Profile fields are set one by one so fields missing from the backup are kept
+    let profileRestored = false;
+    if (restoreProfile && backup.profile) {
+      const { profile = {}, ...names } = backup.profile;
+      const updateData = {
+        ...Object.fromEntries(
+          RESTORABLE_PROFILE_FIELDS
+            .filter((field) => names[field] !== undefined)
+            .map((field) => [field, names[field]])
+        ),
+        ...Object.fromEntries(
+          Object.entries(profile).map(([field, value]) => [`profile.${field}`, value])
+        ),
+      };
+      if (Object.keys(updateData).length > 0) {
+        await userRepository.updateById(userId, updateData);
+        profileRestored = true;
+      }
+    }
+
+    return {
+      mode,
+      restored: Object.fromEntries(
+        BACKUP_COLLECTIONS.map((collection) => [collection, documents[collection].length])
+      ),
+      skipped: documents.skipped,
+      stagesAdded,
+      tagsAdded,
+      companiesAdded: companiesCreated.length,
+      profileRestored,
+    };
+  }
+
+  /**
+   * Read an uploaded backup file and validate its structure
+   * @param {Object} file - Uploaded file (multer)
+   * @returns {Object} Parsed backup
+   */
+  async readBackup(file) {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    const raw = extension === '.zip'
+      ? await this.readZip(file.buffer)
+      : this.parseJson(file.buffer.toString('utf8'), file.originalname);
+
+    const result = backupArchiveSchema.safeParse(raw);
+    if (!result.success) {
+      const issue = result.error.issues[0];
+      const location = issue.path.length > 0 ? ` (${issue.path.join('.')})` : '';
+      const error = new Error(`Invalid backup${location}: ${issue.message}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    return result.data;
+  }
+
+  /**
+   * Combine the files of a ZIP backup into one backup object
+   * Entries are read with a size budget so a small ZIP cannot expand without bound.
+   */
+  async readZip(buffer) {
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(buffer);
+    } catch {
+      const error = new Error('Backup file is not a valid ZIP archive');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const manifestEntry = zip.file(BACKUP_ARCHIVE_FILES.manifest);
+    if (!manifestEntry) {
+      const error = new Error(`ZIP backup is missing ${BACKUP_ARCHIVE_FILES.manifest}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const budget = { remaining: BACKUP_MAX_UNCOMPRESSED_SIZE };
+    const manifest = this.parseJson(
+      await this.readZipEntry(manifestEntry, budget),
+      BACKUP_ARCHIVE_FILES.manifest
+    ) || {};
+
+    const backup = { format: manifest.format, version: manifest.version, exportedAt: manifest.exportedAt };
+    for (const [key, name] of Object.entries(BACKUP_ARCHIVE_FILES)) {
+      if (key === 'manifest') continue;
+      const entry = zip.file(name);
+      if (entry) {
+        backup[key] = this.parseJson(await this.readZipEntry(entry, budget), name);
+      }
+    }
+    return backup;
+  }
+
+  /**
+   * Read one ZIP entry as text, failing once the shared budget is used up
+   */
+  readZipEntry(entry, budget) {
+    return new Promise((resolve, reject) => {
+      let content = '';
+      const stream = entry.internalStream('string');
+      stream
+        .on('data', (chunk) => {
+          budget.remaining -= chunk.length;
+          if (budget.remaining < 0) {
+            stream.pause();
+            const error = new Error('Backup archive is too large to restore');
+            error.statusCode = 400;
+            reject(error);
+            return;
+          }
+          content += chunk;
+        })
+        .on('error', reject)
+        .on('end', () => resolve(content))
+        .resume();
+    });
+  }
+
+  /**
+   * Parse JSON text from a backup, with a 400 naming the file on failure
+   */
+  parseJson(text, name) {
+    try {
+      return JSON.parse(text.replace(/^\uFEFF/, ''));
+    } catch {
+      const error = new Error(`${name || 'Backup file'} is not valid JSON`);
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  /**
+   * Work out the pipeline after the restore
+   * Merge keeps the current stages and appends the backup's missing ones;
+   * replace uses the backup's pipeline. Statuses of restored applications
+   * that are not stages (e.g. hand-edited backups) are added when they are
+   * categories and rejected otherwise.
+   * @returns {Object} { stages, stagesAdded, changed }
+   */
+  async resolveStages(userId, backup, replace) {
+    const current = await pipelineService.getPipeline(userId);
+    const backupStages = backup.pipeline?.stages?.length > 0
+      ? backup.pipeline.stages
+      : DEFAULT_PIPELINE_STAGES;
+
+    const stages = replace
+      ? backupStages.map((stage) => pipelineService.normalizeStage(stage))
+      : current.stages.map(({ key, label, category }) => ({ key, label, category }));
+
+    if (!replace) {
+      backupStages.forEach((stage) => {
+        if (!stages.some((existing) => existing.key === stage.key)) {
+          stages.push(pipelineService.normalizeStage(stage));
+        }
+      });
+    }
+
+    backup.applications.forEach((application) => {
+      const { status } = application;
+      if (!status || stages.some((stage) => stage.key === status)) return;
+
+      if (!Object.values(STAGE_CATEGORY).includes(status)) {
+        const error = new Error(
+          `Backup application "${application.company}" uses unknown status "${status}"`
+        );
+        error.statusCode = 400;
+        throw error;
+      }
+      stages.push({
+        key: status,
+        label: status.charAt(0).toUpperCase() + status.slice(1),
+        category: status,
+      });
+    });
+
+    pipelineService.assertValidStageList(stages);
+
+    const currentStages = current.stages.map(({ key, label, category }) => ({ key, label, category }));
+    const stagesAdded = stages.filter(
+      (stage) => !currentStages.some((existing) => existing.key === stage.key)
+    ).length;
+    const changed = JSON.stringify(stages) !== JSON.stringify(currentStages);
+
+    return { stages, stagesAdded, changed };
+  }
+
+  /**
+   * Turn backup documents into new documents owned by the user
+   * Every document gets a new ID (backups can be restored more than once or
+   * into another account); reminders and history follow their application,
+   * applications follow their restored company, contacts keep the links to
+   * restored applications and reminders keep their contact, interview round and offer.
+   * Applications and their AI insights keep the resume they used when it is restored.
+   * @param {Map} [companyIds] - Backup company ID → restored company ID
+   * @param {number} [existingResumeCount] - Resumes the user keeps (merge)
+   * @returns {Object} { resumes, applications, contacts, interviewRounds, offers, reminders, statusHistory,
+   *   savedViews, skipped, defaultResumeId }
+   */
+  buildDocuments(userId, backup, existingViews, companyIds = new Map(), existingResumeCount = 0) {
+    const now = new Date();
+    const applicationIds = new Map();
+    const skipped = { resumes: 0, interviewRounds: 0, offers: 0, reminders: 0, statusHistory: 0, savedViews: 0 };
+
+    const withNewId = (document) => {
+      const { _id, __v, user, createdAt, updatedAt, ...rest } = document;
+      return {
+        ...rest,
+        _id: new mongoose.Types.ObjectId(),
+        user: userId,
+        createdAt: createdAt || now,
+        updatedAt: updatedAt || createdAt || now,
+      };
+    };
+
+    // Resumes over the limit are skipped; the backup's default (or first) resume
+    // becomes the default once restored
+    const resumeIds = new Map();
+    let defaultResumeId = null;
+    const resumes = backup.resumes
+      .slice(0, Math.max(MAX_RESUMES - existingResumeCount, 0))
+      .map((resume) => {
+        const document = { ...withNewId(resume), isDefault: false };
+        resumeIds.set(resume._id, document._id);
+        if (resume.isDefault || !defaultResumeId) defaultResumeId = document._id;
+        return document;
+      });
+    skipped.resumes = backup.resumes.length - resumes.length;
+
+    const withResume = (insight) => insight && {
+      ...insight,
+      resumeId: resumeIds.get(String(insight.resumeId)) || null,
+    };
+
+    const applications = backup.applications.map((application) => {
+      const document = {
+        ...withNewId(application),
+        companyId: companyIds.get(String(application.companyId)) || null,
+        resumeId: resumeIds.get(String(application.resumeId)) || null,
+        ...(application.aiInsights && {
+          aiInsights: {
+            ...application.aiInsights,
+            resumeMatch: withResume(application.aiInsights.resumeMatch),
+            interviewPrep: withResume(application.aiInsights.interviewPrep),
+          },
+        }),
+      };
+      applicationIds.set(application._id, document._id);
+      return document;
+    });
+
+    // Links to applications that are not in the backup are dropped
+    const contactIds = new Map();
+    const contacts = backup.contacts.map((contact) => {
+      const document = {
+        ...withNewId(contact),
+        applications: (contact.applications || [])
+          .filter((link) => applicationIds.has(String(link.application)))
+          .map((link) => ({ ...link, application: applicationIds.get(String(link.application)) })),
+      };
+      contactIds.set(contact._id, document._id);
+      return document;
+    });
+
+    // Children of applications that are not in the backup cannot be restored
+    const withApplication = (document, counter) => {
+      const applicationId = applicationIds.get(document.application);
+      if (!applicationId) {
+        skipped[counter] += 1;
+        return null;
+      }
+      return { ...withNewId(document), application: applicationId };
+    };
+
+    const roundIds = new Map();
+    const interviewRounds = backup.interviewRounds
+      .map((round) => {
+        const document = withApplication(round, 'interviewRounds');
+        if (document) roundIds.set(round._id, document._id);
+        return document;
+      })
+      .filter(Boolean);
+
+    const offerIds = new Map();
+    const offers = backup.offers
+      .map((offer) => {
+        const document = withApplication(offer, 'offers');
+        if (document) offerIds.set(offer._id, document._id);
+        return document;
+      })
+      .filter(Boolean);
+
+    const reminders = backup.reminders
+      .map((reminder) => withApplication(reminder, 'reminders'))
+      .filter(Boolean)
+      .map((reminder) => ({
+        ...reminder,
+        contact: contactIds.get(String(reminder.contact)) || null,
+        interviewRound: roundIds.get(String(reminder.interviewRound)) || null,
+        offer: offerIds.get(String(reminder.offer)) || null,
+      }));
+
+    const statusHistory = backup.statusHistory
+      .map((entry) => withApplication(entry, 'statusHistory'))
+      .filter(Boolean)
+      .map((entry) => ({ ...entry, changedBy: userId }));
+
+    // Views with invalid filters, duplicate names or over the limit are skipped
+    const viewNames = new Set(existingViews.map((view) => view.name.toLowerCase()));
+    const savedViews = [];
+    backup.savedViews.forEach((view) => {
+      const name = typeof view.name === 'string' ? view.name.trim() : '';
+      const filters = savedViewService.normalizeFilters(view.filters || {});
+      if (
+        !name
+        || viewNames.has(name.toLowerCase())
+        || existingViews.length + savedViews.length >= MAX_SAVED_VIEWS
+        || !applicationFiltersSchema.safeParse(filters).success
+      ) {
+        skipped.savedViews += 1;
+        return;
+      }
+      viewNames.add(name.toLowerCase());
+      savedViews.push({ ...withNewId(view), name, filters });
+    });
+
+    return {
+      resumes,
+      applications,
+      contacts,
+      interviewRounds,
+      offers,
+      reminders,
+      statusHistory,
+      savedViews,
+      skipped,
+      defaultResumeId,
+    };
+  }
+
+  /**
+   * Collect the IDs of all documents the user currently owns
+   */
+  async findDocumentIds(userId) {
+    const [
+      resumes,
+      applications,
+      contacts,
+      interviewRounds,
+      offers,
+      reminders,
+      statusHistory,
+      savedViews,
+    ] = await Promise.all([
+      resumeRepository.findByUserId(userId, '_id'),
+      jobApplicationRepository.findAllWithDeletedByUserId(userId, '_id'),
+      contactRepository.findAllByUserId(userId),
+      interviewRoundRepository.findAllByUserId(userId),
+      offerRepository.findAllByUserId(userId),
+      reminderRepository.findAllByUserId(userId),
+      statusHistoryRepository.findByUserId(userId),
+      savedViewRepository.findByUserId(userId),
+    ]);
+    const ids = (documents) => documents.map((document) => document._id);
+    return {
+      resumes: ids(resumes),
+      applications: ids(applications),
+      contacts: ids(contacts),
+      interviewRounds: ids(interviewRounds),
+      offers: ids(offers),
+      reminders: ids(reminders),
+      statusHistory: ids(statusHistory),
+      savedViews: ids(savedViews),
+    };
+  }
+
+  /**
+   * Delete documents by ID, children first
+   * @param {string} userId - User ID
+   * @param {Object} ids - Arrays of IDs keyed by collection
+   */
+  async removeDocuments(userId, ids) {
+    for (const collection of [...BACKUP_COLLECTIONS].reverse()) {
+      if (ids[collection]?.length > 0) {
+        await this.repositoryFor(collection).deleteManyByIds(userId, ids[collection]);
+      }
+    }
+  }
+
+  /**
+   * Repository storing a backup collection
+   */
+  repositoryFor(collection) {
+    return {
+      resumes: resumeRepository,
+      applications: jobApplicationRepository,
+      contacts: contactRepository,
+      interviewRounds: interviewRoundRepository,
+      offers: offerRepository,
+      reminders: reminderRepository,
+      statusHistory: statusHistoryRepository,
+      savedViews: savedViewRepository,
+    }[collection];
+  }
+
+  /**
+   * Drop the owner reference and version key from a backed-up document
+   */
+  withoutOwner({ user, __v, ...document }) {
+    return document;
+  }
+
+  /**
+   * Pack a backup into a ZIP: a manifest plus one JSON file per collection
+   */
+  async toZip(backup) {
+    const zip = new JSZip();
+    const { format, version, exportedAt } = backup;
+
+    zip.file(
+      BACKUP_ARCHIVE_FILES.manifest,
+      JSON.stringify(
+        {
+          format,
+          version,
+          exportedAt,
+          counts: Object.fromEntries(
+            BACKUP_COLLECTIONS.map((collection) => [collection, backup[collection].length])
+          ),
+        },
+        null,
+        2
+      )
+    );
+
+    for (const [key, name] of Object.entries(BACKUP_ARCHIVE_FILES)) {
+      if (key === 'manifest') continue;
+      zip.file(name, JSON.stringify(backup[key], null, 2));
+    }
+
+    return await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  }
+}
+
+export default new AccountService();
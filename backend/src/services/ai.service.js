@@ -3,14 +3,28 @@ import {
   getResumeMatchPrompt,
   getInterviewPrepPrompt,
   getResumeImprovementPrompt,
+  getJobRequirementsPrompt,
 } from '../ai/prompts.js';
 import {
   getMockResumeMatch,
   getMockInterviewPrep,
   getMockResumeImprovement,
+  getMockJobRequirements,
 } from '../ai/mockResponses.js';
-import userRepository from '../repositories/user.repository.js';
+import resumeService from './resume.service.js';
 import config from '../config/index.js';
+import {
+  SALARY_PERIOD,
+  MAX_SALARY_AMOUNT,
+  REMOTE_POLICY,
+  SENIORITY_LEVEL,
+  LOCATION_MAX_LENGTH,
+  MAX_LOCATIONS_PER_APPLICATION,
+  SKILL_MAX_LENGTH,
+  MAX_SKILLS_PER_LIST,
+  MAX_YEARS_OF_EXPERIENCE,
+} from '../models/jobApplication.constants.js';
+import { CURRENCY_CODE_REGEX } from '../models/offer.constants.js';
 
 /**
  * AI Service
@@ -30,7 +44,8 @@ import config from '../config/index.js';
  * - Set AI_MODE in .env: AI_MODE=mock (default in development) or AI_MODE=live
  * 
  * Responsibilities:
- * - Load user data (resume summary) for AI prompts
+ * - Load the resume an analysis reads (picked resume, default resume or the
+ *   profile resume summary - see ResumeService.resolveResumeForAnalysis)
  * - Call OpenAI with appropriate prompts (or use mocks)
  * - Parse and validate AI responses
  * - Normalize responses into consistent format
@@ -46,24 +61,17 @@ class AIService {
   /**
    * Analyze resume match with job description
    * @param {string} userId - Authenticated user's ID
-   * @param {Object} jobData - Job description data
-   * @returns {Object} Match analysis with score, strengths, gaps, suggestions
+   * @param {Object} jobData - Job description data, optional resumeId (defaults to the default resume)
+   *   and requirements ({ requiredSkills, niceToHaveSkills, yearsOfExperience } stated on the application)
+   * @returns {Object} Match analysis with score, strengths, gaps, suggestions and the resume used
    */
   async analyzeResumeMatch(userId, jobData) {
-    const { jobDescription, jobTitle, company } = jobData;
+    const { jobDescription, jobTitle, company, resumeId, requirements } = jobData;
 
-    // Load user's resume summary
-    const user = await userRepository.findById(userId);
-    if (!user) {
-      const error = new Error('User not found');
-      error.statusCode = 404;
-      throw error;
-    }
+    const resume = await resumeService.resolveResumeForAnalysis(userId, resumeId);
 
-    const resumeSummary = user.profile?.resumeSummary || '';
-
-    if (!resumeSummary) {
-      const error = new Error('Resume summary not found. Please update your profile.');
+    if (!resume.text) {
+      const error = new Error('No resume found. Add a resume to your resume library first.');
       error.statusCode = 400;
       throw error;
     }
@@ -76,10 +84,11 @@ class AIService {
     } else {
       // Generate prompt and call OpenAI
       const prompt = getResumeMatchPrompt(
-        resumeSummary,
+        resume.text,
         jobDescription,
         jobTitle,
-        company
+        company,
+        requirements
       );
 
       const aiResponse = await callOpenAI(prompt, {
@@ -99,6 +108,8 @@ class AIService {
       gaps: this.normalizeArray(parsed.gaps),
       suggestions: this.normalizeArray(parsed.suggestions),
       summary: this.normalizeString(parsed.summary),
+      resumeId: resume.resumeId,
+      resumeName: resume.resumeName,
       analyzedAt: new Date().toISOString(),
     };
 
@@ -108,21 +119,14 @@ class AIService {
   /**
    * Get interview preparation tips
    * @param {string} userId - Authenticated user's ID
-   * @param {Object} jobData - Job description data
-   * @returns {Object} Interview preparation tips
+   * @param {Object} jobData - Job description data, optional resumeId (defaults to the default resume)
+   * @returns {Object} Interview preparation tips and the resume used
    */
   async getInterviewPrepTips(userId, jobData) {
-    const { jobDescription, jobTitle, company } = jobData;
+    const { jobDescription, jobTitle, company, resumeId } = jobData;
 
-    // Load user's resume summary
-    const user = await userRepository.findById(userId);
-    if (!user) {
-      const error = new Error('User not found');
-      error.statusCode = 404;
-      throw error;
-    }
-
-    const resumeSummary = user.profile?.resumeSummary || '';
+    // Tips are still generated without a resume, just less personalized
+    const resume = await resumeService.resolveResumeForAnalysis(userId, resumeId);
 
     // Use mock or live AI based on AI_MODE
     let parsed;
@@ -132,7 +136,7 @@ class AIService {
     } else {
       // Generate prompt and call OpenAI
       const prompt = getInterviewPrepPrompt(
-        resumeSummary,
+        resume.text,
         jobDescription,
         jobTitle,
         company
@@ -156,6 +160,8 @@ class AIService {
       preparationSteps: this.normalizeArray(parsed.preparationSteps),
       questionsToAsk: this.normalizeArray(parsed.questionsToAsk),
       summary: this.normalizeString(parsed.summary),
+      resumeId: resume.resumeId,
+      resumeName: resume.resumeName,
       generatedAt: new Date().toISOString(),
     };
   }
@@ -209,6 +215,55 @@ class AIService {
     };
   }
 
+  /**
+   * Extract structured requirements from a job description
+   * Fields the description does not state come back empty (null or []).
+   * @param {Object} jobData - Job description, title and company
+   * @returns {Object} requiredSkills, niceToHaveSkills, yearsOfExperience, salary,
+   *   locations, remotePolicy, seniority and extractedAt
+   */
+  async extractJobRequirements(jobData) {
+    const { jobDescription, jobTitle, company } = jobData;
+
+    // Use mock or live AI based on AI_MODE
+    let parsed;
+    if (config.AI_MODE === 'mock') {
+      // Use mock response - no OpenAI call
+      parsed = getMockJobRequirements(jobDescription, jobTitle);
+    } else {
+      // Generate prompt and call OpenAI
+      const prompt = getJobRequirementsPrompt(jobDescription, jobTitle, company, {
+        salaryPeriods: Object.values(SALARY_PERIOD),
+        remotePolicies: Object.values(REMOTE_POLICY),
+        seniorityLevels: Object.values(SENIORITY_LEVEL),
+      });
+
+      // Low temperature: this is extraction, not writing
+      const aiResponse = await callOpenAI(prompt, {
+        model: 'gpt-4o-mini',
+        temperature: 0.2,
+        max_tokens: 1000,
+      });
+
+      // Parse AI response
+      parsed = parseAIResponse(aiResponse);
+    }
+
+    // Normalize response structure (same for both mock and live)
+    return {
+      requiredSkills: this.normalizeSkills(parsed.requiredSkills),
+      niceToHaveSkills: this.normalizeSkills(parsed.niceToHaveSkills),
+      yearsOfExperience: this.normalizeYears(parsed.yearsOfExperience),
+      salary: this.normalizeSalary(parsed.salary),
+      locations: this.normalizeArray(parsed.locations)
+        .map((location) => location.slice(0, LOCATION_MAX_LENGTH).trim())
+        .slice(0, MAX_LOCATIONS_PER_APPLICATION),
+      remotePolicy: this.normalizeChoice(parsed.remotePolicy, Object.values(REMOTE_POLICY)),
+      seniority: this.normalizeChoice(parsed.seniority, Object.values(SENIORITY_LEVEL)),
+      extractedAt: new Date().toISOString(),
+    };
+  }
+
   /**
    * Normalize score to ensure it's between 0-100
    */
@@ -236,6 +291,62 @@ class AIService {
     if (typeof str !== 'string') return '';
     return str.trim();
   }
+
+  /**
+   * Normalize a skill list: short names only, no duplicates (case-insensitive), capped
+   */
+  normalizeSkills(arr) {
+    const seen = new Set();
+    return this.normalizeArray(arr)
+      .filter((skill) => {
+        const key = skill.toLowerCase();
+        if (skill.length > SKILL_MAX_LENGTH || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, MAX_SKILLS_PER_LIST);
+  }
+
+  /**
+   * Normalize years of experience to a whole number in range, or null
+   */
+  normalizeYears(years) {
+    const num = typeof years === 'number' ? years : parseFloat(years);
+    if (!Number.isFinite(num) || num < 0) return null;
+    return Math.min(MAX_YEARS_OF_EXPERIENCE, Math.round(num));
+  }
+
+  /**
+   * Normalize a salary range to { min, max, currency, period }, or null when unusable
+   */
+  normalizeSalary(salary) {
+    if (!salary || typeof salary !== 'object') return null;
+
+    const amount = (value) => {
+      const num = typeof value === 'number' ? value : parseFloat(value);
+      return Number.isFinite(num) && num > 0 && num <= MAX_SALARY_AMOUNT ? num : null;
+    };
+    let min = amount(salary.min);
+    let max = amount(salary.max);
+    const currency = String(salary.currency || '').trim().toUpperCase();
+    if ((min === null && max === null) || !CURRENCY_CODE_REGEX.test(currency)) return null;
+    if (min !== null && max !== null && min > max) [min, max] = [max, min];
+
+    return {
+      min,
+      max,
+      currency,
+      period: this.normalizeChoice(salary.period, Object.values(SALARY_PERIOD)) || SALARY_PERIOD.ANNUAL,
+    };
+  }
+
+  /**
+   * Normalize a value to one of a fixed list, or null
+   */
+  normalizeChoice(value, values) {
+    const choice = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    return values.includes(choice) ? choice : null;
+  }
 }
 
 export default new AIService();
@@ -1,5 +1,30 @@
 import jobApplicationRepository from '../repositories/jobApplication.repository.js';
-import { APPLICATION_STATUS } from '../models/jobApplication.constants.js';
+import statusHistoryRepository from '../repositories/statusHistory.repository.js';
+import tagRepository from '../repositories/tag.repository.js';
+import companyRepository from '../repositories/company.repository.js';
+import pipelineService from './pipeline.service.js';
+import companyService from './company.service.js';
+import {
+  APPLICATION_STATUS,
+  FUNNEL_STAGES,
+  RESPONSE_STATUSES,
+  COMPENSATION_BUCKET_COUNT,
+  REMOTE_POLICY,
+  EMPLOYMENT_TYPE,
+  SENIORITY_LEVEL,
+  MAX_CHARTED_LOCATIONS,
+} from '../models/jobApplication.constants.js';
+import { STAGE_CATEGORY } from '../models/pipeline.constants.js';
+import { DEFAULT_TAG_COLOR } from '../models/tag.constants.js';
+import { DEFAULT_CURRENCY } from '../models/offer.constants.js';
+import {
+  getExchangeRates,
+  getSupportedCurrencies,
+  isSupportedCurrency,
+  toAnnualIn,
+} from '../utils/currency.js';
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
 
 /**
  * Analytics Service
@@ -18,30 +43,33 @@ import { APPLICATION_STATUS } from '../models/jobApplication.constants.js';
  * - All analytics are scoped to the authenticated user (userId)
  * - Repository methods filter by userId automatically
  * - Service receives userId from controllers (set by auth middleware)
+ *
+ * Custom Pipelines:
+ * - Applications store the key of a user-defined stage as their status
+ * - Metrics are computed on stage categories (saved, applied, interview,
+ *   offer, rejected) so they are comparable whatever stages the user has
+ * - Per-stage breakdowns (byStage) are returned alongside for detail views
  */
 class AnalyticsService {
   /**
    * Get comprehensive analytics for a user
    * @param {string} userId - Authenticated user's ID
+   * @param {Object} [options] - { includeArchived } (archived applications are excluded by default)
    * @returns {Object} Comprehensive analytics data
    */
-  async getComprehensiveAnalytics(userId) {
+  async getComprehensiveAnalytics(userId, options = {}) {
+    const stages = await pipelineService.getStages(userId);
     const analytics = await jobApplicationRepository.getComprehensiveAnalyticsByUserId(
-      userId
+      userId,
+      this.getSuccessfulStageKeys(stages),
+      options
     );
 
-    // Format status counts with all possible statuses (even if 0)
-    const formattedStatusCounts = {
-      saved: analytics.byStatus[APPLICATION_STATUS.SAVED] || 0,
-      applied: analytics.byStatus[APPLICATION_STATUS.APPLIED] || 0,
-      interview: analytics.byStatus[APPLICATION_STATUS.INTERVIEW] || 0,
-      offer: analytics.byStatus[APPLICATION_STATUS.OFFER] || 0,
-      rejected: analytics.byStatus[APPLICATION_STATUS.REJECTED] || 0,
-    };
-
     return {
       total: analytics.total,
-      byStatus: formattedStatusCounts,
+      // Counts per category with all categories present (even if 0)
+      byStatus: pipelineService.countByCategory(analytics.byStatus, stages),
+      byStage: pipelineService.formatStageCounts(analytics.byStatus, stages),
       monthlyTrends: analytics.monthlyTrends,
       successRate: Math.round(analytics.successRate * 100) / 100, // Round to 2 decimal places
       successful: analytics.successful,
@@ -51,19 +79,15 @@ class AnalyticsService {
   /**
    * Get status distribution analytics
    * @param {string} userId - Authenticated user's ID
+   * @param {Object} [options] - { includeArchived } (archived applications are excluded by default)
    * @returns {Object} Status counts
    */
-  async getStatusDistribution(userId) {
-    const stats = await jobApplicationRepository.getStatisticsByUserId(userId);
-    const total = await jobApplicationRepository.countByUserId(userId);
+  async getStatusDistribution(userId, options = {}) {
+    const stats = await jobApplicationRepository.getStatisticsByUserId(userId, options);
+    const total = await jobApplicationRepository.countByUserId(userId, options);
+    const stages = await pipelineService.getStages(userId);
 
-    const formatted = {
-      saved: stats[APPLICATION_STATUS.SAVED] || 0,
-      applied: stats[APPLICATION_STATUS.APPLIED] || 0,
-      interview: stats[APPLICATION_STATUS.INTERVIEW] || 0,
-      offer: stats[APPLICATION_STATUS.OFFER] || 0,
-      rejected: stats[APPLICATION_STATUS.REJECTED] || 0,
-    };
+    const formatted = pipelineService.countByCategory(stats, stages);
 
     // Calculate percentages
     const percentages = {};
@@ -76,27 +100,33 @@ class AnalyticsService {
       total,
       counts: formatted,
       percentages,
+      byStage: pipelineService.formatStageCounts(stats, stages),
     };
   }
 
   /**
    * Get monthly application trends
    * @param {string} userId - Authenticated user's ID
+   * @param {Object} [options] - { includeArchived } (archived applications are excluded by default)
    * @returns {Array} Monthly trends data
    */
-  async getMonthlyTrends(userId) {
-    return await jobApplicationRepository.getMonthlyTrendsByUserId(userId);
+  async getMonthlyTrends(userId, options = {}) {
+    return await jobApplicationRepository.getMonthlyTrendsByUserId(userId, options);
   }
 
   /**
    * Get success rate analytics
-   * Success = applications that reached interview or offer stage
+   * Success = applications in a stage of the interview or offer category
    * @param {string} userId - Authenticated user's ID
+   * @param {Object} [options] - { includeArchived } (archived applications are excluded by default)
    * @returns {Object} Success rate data
    */
-  async getSuccessRate(userId) {
+  async getSuccessRate(userId, options = {}) {
+    const stages = await pipelineService.getStages(userId);
     const successData = await jobApplicationRepository.getSuccessRateByUserId(
-      userId
+      userId,
+      this.getSuccessfulStageKeys(stages),
+      options
     );
 
     return {
@@ -117,17 +147,518 @@ class AnalyticsService {
    * Get application timeline analytics
    * Shows applications over time with status breakdown
    * @param {string} userId - Authenticated user's ID
+   * @param {Object} [options] - { includeArchived } (archived applications are excluded by default)
    * @returns {Object} Timeline analytics
    */
-  async getTimelineAnalytics(userId) {
-    const monthlyTrends = await this.getMonthlyTrends(userId);
-    const statusDistribution = await this.getStatusDistribution(userId);
+  async getTimelineAnalytics(userId, options = {}) {
+    const monthlyTrends = await this.getMonthlyTrends(userId, options);
+    const statusDistribution = await this.getStatusDistribution(userId, options);
 
     return {
       monthlyTrends,
       statusDistribution,
     };
   }
+
+  /**
+   * Get hiring funnel analytics from historical status transitions
+   * Stages are the canonical categories; custom stages count towards their category.
+   * - Stage counts: applications that ever reached a stage (or a later one)
+   * - Conversion: share of applications moving from one stage to the next
+   * - Median days in stage: completed stays only (the current stage is still open)
+   * - Average days to first response: applied → first interview/offer/rejection
+   * @param {string} userId - Authenticated user's ID
+   * @param {Object} [options] - { includeArchived } (archived applications are excluded by default)
+   * @returns {Object} Funnel analytics
+   */
+  async getFunnelAnalytics(userId, options = {}) {
+    const [applications, history, pipelineStages] = await Promise.all([
+      jobApplicationRepository.findAllByUserId(
+        userId,
+        'status dateApplied createdAt',
+        options.includeArchived ? {} : { archivedAt: null }
+      ),
+      statusHistoryRepository.findByUserId(userId),
+      pipelineService.getStages(userId),
+    ]);
+
+    // Categories recorded at change time win over the current pipeline, so
+    // renaming or recategorising a stage does not rewrite history
+    const categoryOf = (entry) =>
+      entry.toCategory || pipelineService.getCategory(pipelineStages, entry.toStatus);
+
+    // Group transitions by application (history is already sorted oldest first)
+    const historyByApplication = new Map();
+    history.forEach((entry) => {
+      const key = entry.application.toString();
+      if (!historyByApplication.has(key)) {
+        historyByApplication.set(key, []);
+      }
+      historyByApplication.get(key).push(entry);
+    });
+
+    const stageCounts = Object.fromEntries(FUNNEL_STAGES.map((stage) => [stage, 0]));
+    const stageDurations = Object.fromEntries(
+      Object.values(APPLICATION_STATUS).map((status) => [status, []])
+    );
+    const responseTimes = [];
+
+    applications.forEach((application) => {
+      const entries = historyByApplication.get(application._id.toString()) || [];
+
+      // Furthest funnel stage reached - reaching a stage implies passing earlier ones.
+      // Applications created before history existed fall back to their current status.
+      const reachedStatuses = new Set([
+        pipelineService.getCategory(pipelineStages, application.status),
+        ...entries.map(categoryOf),
+      ]);
+      const furthestIndex = Math.max(
+        0,
+        ...FUNNEL_STAGES.map((stage, index) => (reachedStatuses.has(stage) ? index : -1))
+      );
+      FUNNEL_STAGES.slice(0, furthestIndex + 1).forEach((stage) => {
+        stageCounts[stage] += 1;
+      });
+
+      // Time spent in each completed stage
+      for (let i = 0; i < entries.length - 1; i++) {
+        const days = (new Date(entries[i + 1].changedAt) - new Date(entries[i].changedAt)) / MS_PER_DAY;
+        stageDurations[categoryOf(entries[i])]?.push(days);
+      }
+
+      // Time from applying to the first employer response
+      const appliedEntry = entries.find((e) => categoryOf(e) === APPLICATION_STATUS.APPLIED);
+      const appliedAt = application.dateApplied || appliedEntry?.changedAt;
+      if (appliedAt) {
+        const responseEntry = entries.find(
+          (e) => RESPONSE_STATUSES.includes(categoryOf(e)) && new Date(e.changedAt) >= new Date(appliedAt)
+        );
+        if (responseEntry) {
+          responseTimes.push((new Date(responseEntry.changedAt) - new Date(appliedAt)) / MS_PER_DAY);
+        }
+      }
+    });
+
+    const stages = FUNNEL_STAGES.map((stage, index) => {
+      const previousCount = index > 0 ? stageCounts[FUNNEL_STAGES[index - 1]] : null;
+      return {
+        stage,
+        count: stageCounts[stage],
+        // Conversion from the previous stage (null for the first stage)
+        conversionRate:
+          previousCount === null
+            ? null
+            : previousCount > 0
+              ? this.roundTo2(stageCounts[stage] / previousCount * 100)
+              : 0,
+        medianDaysInStage: this.median(stageDurations[stage]),
+      };
+    });
+
+    const medianDaysInStage = {};
+    Object.keys(stageDurations).forEach((status) => {
+      medianDaysInStage[status] = this.median(stageDurations[status]);
+    });
+
+    return {
+      total: applications.length,
+      stages,
+      medianDaysInStage,
+      averageDaysToFirstResponse:
+        responseTimes.length > 0
+          ? this.roundTo2(responseTimes.reduce((sum, days) => sum + days, 0) / responseTimes.length)
+          : null,
+      respondedCount: responseTimes.length,
+    };
+  }
+
+  /**
+   * Get per-tag breakdown analytics
+   * An application with several tags counts once for each of them.
+   * @param {string} userId - Authenticated user's ID
+   * @param {Object} [options] - { includeArchived } (archived applications are excluded by default)
+   * @returns {Array} [{ tag, color, total, byStatus, successful, successRate }], most used first
+   */
+  async getTagBreakdown(userId, options = {}) {
+    const [rows, tags, stages] = await Promise.all([
+      jobApplicationRepository.getTagStatisticsByUserId(userId, options),
+      tagRepository.findByUserId(userId),
+      pipelineService.getStages(userId),
+    ]);
+
+    const tagsByKey = new Map(tags.map((tag) => [tag.nameKey, tag]));
+    const successfulStatuses = new Set(this.getSuccessfulStageKeys(stages));
+
+    // Group the per-status counts by tag
+    const byTag = new Map();
+    rows.forEach(({ tag, name, status, count }) => {
+      if (!byTag.has(tag)) byTag.set(tag, { name, stats: {} });
+      byTag.get(tag).stats[status] = count;
+    });
+
+    return [...byTag.entries()]
+      .map(([key, { name, stats }]) => {
+        const tag = tagsByKey.get(key);
+
+        return {
+          tag: tag?.name || name,
+          color: tag?.color || DEFAULT_TAG_COLOR,
+          ...this.summarizeStatusCounts(stats, stages, successfulStatuses),
+        };
+      })
+      .sort((a, b) => b.total - a.total || a.tag.localeCompare(b.tag));
+  }
+
+  /**
+   * Get per-company breakdown analytics
+   * Applications not linked to a company yet are linked first.
+   * @param {string} userId - Authenticated user's ID
+   * @param {Object} [options] - { includeArchived } (archived applications are excluded by default)
+   * @returns {Array} [{ companyId, company, total, byStatus, successful, successRate,
+   *   responseRate, averageMatchScore, firstApplied, lastApplied }], most applications first
+   */
+  async getCompanyBreakdown(userId, options = {}) {
+    await companyService.syncCompanies(userId);
+
+    const [rows, companies, stages] = await Promise.all([
+      jobApplicationRepository.getCompanyStatisticsByUserId(userId, options),
+      companyRepository.findByUserId(userId),
+      pipelineService.getStages(userId),
+    ]);
+
+    const companiesById = new Map(companies.map((company) => [company._id.toString(), company]));
+
+    return this.groupCompanyStatistics(rows, stages)
+      .filter((stats) => companiesById.has(stats.companyId))
+      .map((stats) => ({ ...stats, company: companiesById.get(stats.companyId).name }))
+      .sort((a, b) => b.total - a.total || a.company.localeCompare(b.company));
+  }
+
+  /**
+   * Get analytics for a single company
+   * @param {string} userId - Authenticated user's ID
+   * @param {string} companyId - Company ID
+   * @param {Object} [options] - { includeArchived } (archived applications are excluded by default)
+   * @returns {Object} Same fields as a getCompanyBreakdown entry, plus byStage
+   */
+  async getCompanyAnalytics(userId, companyId, options = {}) {
+    await companyService.syncCompanies(userId);
+    const company = await companyService.findCompanyOrThrow(userId, companyId);
+
+    const [rows, stages] = await Promise.all([
+      jobApplicationRepository.getCompanyStatisticsByUserId(userId, { ...options, companyId }),
+      pipelineService.getStages(userId),
+    ]);
+
+    const [stats] = this.groupCompanyStatistics(rows, stages);
+    const byStatus = {};
+    rows.forEach(({ status, count }) => {
+      byStatus[status] = count;
+    });
+
+    return {
+      ...(stats || {
+        companyId: company._id.toString(),
+        total: 0,
+        byStatus: pipelineService.countByCategory({}, stages),
+        successful: 0,
+        successRate: 0,
+        responseRate: 0,
+        averageMatchScore: null,
+        firstApplied: null,
+        lastApplied: null,
+      }),
+      company: company.name,
+      byStage: pipelineService.formatStageCounts(byStatus, stages),
+    };
+  }
+
+  /**
+   * Helper: Combine per-company, per-status rows into one summary per company
+   * Response rate counts applications that got an answer (interview, offer or
+   * rejection) out of those actually sent (everything but saved).
+   * @param {Array} rows - Rows from getCompanyStatisticsByUserId
+   * @param {Array} stages - Pipeline stage definitions
+   * @returns {Array} Company summaries (unsorted, without the company name)
+   */
+  groupCompanyStatistics(rows, stages) {
+    const successfulStatuses = new Set(this.getSuccessfulStageKeys(stages));
+
+    const byCompany = new Map();
+    rows.forEach((row) => {
+      const key = row.companyId.toString();
+      if (!byCompany.has(key)) {
+        byCompany.set(key, {
+          stats: {},
+          matchScoreTotal: 0,
+          matchScoreCount: 0,
+          firstApplied: null,
+          lastApplied: null,
+        });
+      }
+      const entry = byCompany.get(key);
+      entry.stats[row.status] = row.count;
+      entry.matchScoreTotal += row.matchScoreTotal;
+      entry.matchScoreCount += row.matchScoreCount;
+      if (row.firstApplied && (!entry.firstApplied || row.firstApplied < entry.firstApplied)) {
+        entry.firstApplied = row.firstApplied;
+      }
+      if (row.lastApplied && (!entry.lastApplied || row.lastApplied > entry.lastApplied)) {
+        entry.lastApplied = row.lastApplied;
+      }
+    });
+
+    return [...byCompany.entries()].map(([companyId, entry]) => {
+      const total = Object.values(entry.stats).reduce((sum, count) => sum + count, 0);
+      const successful = Object.entries(entry.stats)
+        .filter(([status]) => successfulStatuses.has(status))
+        .reduce((sum, [, count]) => sum + count, 0);
+      const byStatus = pipelineService.countByCategory(entry.stats, stages);
+      const sent = total - byStatus[STAGE_CATEGORY.SAVED];
+      const responded =
+        byStatus[STAGE_CATEGORY.INTERVIEW] + byStatus[STAGE_CATEGORY.OFFER] + byStatus[STAGE_CATEGORY.REJECTED];
+
+      return {
+        companyId,
+        total,
+        byStatus,
+        successful,
+        successRate: total > 0 ? this.roundTo2((successful / total) * 100) : 0,
+        responseRate: sent > 0 ? this.roundTo2((responded / sent) * 100) : 0,
+        averageMatchScore:
+          entry.matchScoreCount > 0 ? this.roundTo2(entry.matchScoreTotal / entry.matchScoreCount) : null,
+        firstApplied: entry.firstApplied,
+        lastApplied: entry.lastApplied,
+      };
+    });
+  }
+
+  /**
+   * Get per-value breakdowns of the structured job details
+   * Values are listed in their defined order with "not set" (null) last;
+   * locations are the most common ones, matched case-insensitively.
+   * @param {string} userId - Authenticated user's ID
+   * @param {Object} [options] - { includeArchived } (archived applications are excluded by default)
+   * @returns {Object} { remotePolicy, employmentType, seniority, visaSponsorship, locations }
+   *   each [{ value, total, byStatus, successful, successRate }] (locations also have a name)
+   */
+  async getJobDetailBreakdown(userId, options = {}) {
+    const [statistics, stages] = await Promise.all([
+      jobApplicationRepository.getJobDetailStatisticsByUserId(userId, options),
+      pipelineService.getStages(userId),
+    ]);
+    const successfulStatuses = new Set(this.getSuccessfulStageKeys(stages));
+
+    // Group each detail's per-status counts by value
+    const breakdown = (rows) => {
+      const byValue = new Map();
+      rows.forEach(({ value, name, status, count }) => {
+        if (!byValue.has(value)) byValue.set(value, { name, stats: {} });
+        byValue.get(value).stats[status] = count;
+      });
+      return [...byValue.entries()].map(([value, { name, stats }]) => ({
+        value,
+        ...(name !== undefined && { name }),
+        ...this.summarizeStatusCounts(stats, stages, successfulStatuses),
+      }));
+    };
+
+    // Defined order first, not set last
+    const inOrder = (rows, values) => breakdown(rows).sort((a, b) => {
+      const rank = (value) => (value === null ? values.length : values.indexOf(value));
+      return rank(a.value) - rank(b.value);
+    });
+
+    return {
+      remotePolicy: inOrder(statistics.remotePolicy, Object.values(REMOTE_POLICY)),
+      employmentType: inOrder(statistics.employmentType, Object.values(EMPLOYMENT_TYPE)),
+      seniority: inOrder(statistics.seniority, Object.values(SENIORITY_LEVEL)),
+      visaSponsorship: inOrder(statistics.visaSponsorship, [true, false]),
+      locations: breakdown(statistics.locations)
+        .sort((a, b) => b.total - a.total || a.name.localeCompare(b.name))
+        .slice(0, MAX_CHARTED_LOCATIONS),
+    };
+  }
+
+  /**
+   * Get the distribution of posted salaries
+   * Each range counts once, at its midpoint (or its only end), as a yearly
+   * amount converted to one currency with the exchange-rate table.
+   * Applications whose currency has no rate are counted as unconverted.
+   * @param {string} userId - Authenticated user's ID
+   * @param {Object} [options] - { currency (default USD), includeArchived }
+   * @returns {Object} { currency, currencies, ratesUpdatedAt, posted, expected, unconverted, buckets, byCategory }
+   *   currencies: codes with a known rate (choices for ?currency=)
+   *   posted/expected: { count, median, average, min, max }
+   *   buckets: [{ from, to, posted, expected }] covering all values, lowest first
+   *   byCategory: { saved|applied|interview|offer|rejected: { count, median } }
+   */
+  async getCompensationAnalytics(userId, options = {}) {
+    const currency = options.currency || DEFAULT_CURRENCY;
+    const [applications, stages] = await Promise.all([
+      jobApplicationRepository.findSalariesByUserId(userId, options),
+      pipelineService.getStages(userId),
+    ]);
+
+    const posted = [];
+    const expected = [];
+    const postedByCategory = Object.fromEntries(
+      Object.values(STAGE_CATEGORY).map((category) => [category, []])
+    );
+    let unconverted = 0;
+
+    applications.forEach(({ status, salary }) => {
+      if (!isSupportedCurrency(salary.currency)) {
+        unconverted += 1;
+        return;
+      }
+
+      if (salary.min !== null || salary.max !== null) {
+        const low = toAnnualIn(salary.min ?? salary.max, salary, currency);
+        const high = toAnnualIn(salary.max ?? salary.min, salary, currency);
+        const midpoint = (low + high) / 2;
+        posted.push(midpoint);
+        postedByCategory[pipelineService.getCategory(stages, status)]?.push(midpoint);
+      }
+      if (salary.expected !== null) {
+        expected.push(toAnnualIn(salary.expected, salary, currency));
+      }
+    });
+
+    return {
+      currency,
+      currencies: getSupportedCurrencies(),
+      ratesUpdatedAt: getExchangeRates().updatedAt || null,
+      posted: this.summarizeAmounts(posted),
+      expected: this.summarizeAmounts(expected),
+      unconverted,
+      buckets: this.buildHistogram(posted, expected),
+      byCategory: Object.fromEntries(
+        Object.entries(postedByCategory).map(([category, values]) => [
+          category,
+          { count: values.length, median: this.roundAmount(this.median(values)) },
+        ])
+      ),
+    };
+  }
+
+  /**
+   * Count, median, average and extremes of a list of amounts (whole units)
+   * @param {Array<number>} values - Amounts
+   * @returns {Object} { count, median, average, min, max } (null figures when empty)
+   */
+  summarizeAmounts(values) {
+    if (values.length === 0) {
+      return { count: 0, median: null, average: null, min: null, max: null };
+    }
+    return {
+      count: values.length,
+      median: this.roundAmount(this.median(values)),
+      average: this.roundAmount(values.reduce((sum, value) => sum + value, 0) / values.length),
+      min: this.roundAmount(Math.min(...values)),
+      max: this.roundAmount(Math.max(...values)),
+    };
+  }
+
+  /**
+   * Histogram of posted and expected amounts over shared buckets
+   * Bucket width is a round number (1, 2, 2.5 or 5 × a power of ten) giving
+   * at most COMPENSATION_BUCKET_COUNT buckets.
+   * @param {Array<number>} posted - Posted salary midpoints
+   * @param {Array<number>} expected - Expected salaries
+   * @returns {Array} [{ from, to, posted, expected }] - from inclusive, to exclusive
+   */
+  buildHistogram(posted, expected) {
+    const values = [...posted, ...expected];
+    if (values.length === 0) return [];
+
+    const lowest = Math.min(...values);
+    const highest = Math.max(...values);
+    // All values equal: size the single bucket on the value itself
+    const spread = highest - lowest || highest;
+    const rawWidth = Math.max(spread / COMPENSATION_BUCKET_COUNT, 1);
+    const magnitude = 10 ** Math.floor(Math.log10(rawWidth));
+    const width = [1, 2, 2.5, 5, 10]
+      .map((step) => step * magnitude)
+      .find((step) => step >= rawWidth);
+
+    const start = Math.floor(lowest / width) * width;
+    const count = Math.floor((highest - start) / width) + 1;
+    const buckets = Array.from({ length: count }, (_, index) => ({
+      from: start + index * width,
+      to: start + (index + 1) * width,
+      posted: 0,
+      expected: 0,
+    }));
+
+    const bucketOf = (value) => buckets[Math.min(Math.floor((value - start) / width), count - 1)];
+    posted.forEach((value) => { bucketOf(value).posted += 1; });
+    expected.forEach((value) => { bucketOf(value).expected += 1; });
+
+    return buckets;
+  }
+
+  /**
+   * Round an amount to whole units (null stays null)
+   */
+  roundAmount(value) {
+    return value === null ? null : Math.round(value);
+  }
+
+  /**
+   * Totals, counts per category and success rate from counts per status
+   * @param {Object} stats - Counts keyed by stage key
+   * @param {Array} stages - Pipeline stage definitions
+   * @param {Set<string>} successfulStatuses - Stage keys that count as a success
+   * @returns {Object} { total, byStatus, successful, successRate }
+   */
+  summarizeStatusCounts(stats, stages, successfulStatuses) {
+    const total = Object.values(stats).reduce((sum, count) => sum + count, 0);
+    const successful = Object.entries(stats)
+      .filter(([status]) => successfulStatuses.has(status))
+      .reduce((sum, [, count]) => sum + count, 0);
+
+    return {
+      total,
+      byStatus: pipelineService.countByCategory(stats, stages),
+      successful,
+      successRate: total > 0 ? this.roundTo2((successful / total) * 100) : 0,
+    };
+  }
+
+  /**
+   * Stage keys that count as a success (interview or offer category)
+   * @param {Array} stages - Pipeline stage definitions
+   * @returns {Array<string>} Stage keys
+   */
+  getSuccessfulStageKeys(stages) {
+    return pipelineService.getStageKeysByCategory(stages, [
+      STAGE_CATEGORY.INTERVIEW,
+      STAGE_CATEGORY.OFFER,
+    ]);
+  }
+
+  /**
+   * Median of a list of numbers, rounded to 2 decimal places
+   * @param {Array<number>} values - Values to summarize
+   * @returns {number|null} Median, or null for an empty list
+   */
+  median(values) {
+    if (!values || values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    const result = sorted.length % 2 === 0
+      ? (sorted[middle - 1] + sorted[middle]) / 2
+      : sorted[middle];
+    return this.roundTo2(result);
+  }
+
+  /**
+   * Round to 2 decimal places
+   */
+  roundTo2(value) {
+    return Math.round(value * 100) / 100;
+  }
 }
 
 export default new AnalyticsService();
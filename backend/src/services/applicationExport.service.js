@@ -0,0 +1,215 @@
+import jobApplicationRepository from '../repositories/jobApplication.repository.js';
+import reminderRepository from '../repositories/reminder.repository.js';
+import jobApplicationService from './jobApplication.service.js';
+import pipelineService from './pipeline.service.js';
+import { toCsv, toXlsx } from '../utils/spreadsheet.js';
+import {
+  EXPORT_CONTENT_TYPES,
+  EXPORT_MAX_ROWS,
+} from '../models/applicationExport.constants.js';
+
+// Spreadsheet columns: [record key, header]
+const BASE_COLUMNS = [
+  ['company', 'Company'],
+  ['jobTitle', 'Job Title'],
+  ['statusLabel', 'Status'],
+  ['statusCategory', 'Status Category'],
+  ['dateApplied', 'Date Applied'],
+  ['source', 'Source'],
+  ['tags', 'Tags'],
+  ['jobLink', 'Job Link'],
+  ['locations', 'Locations'],
+  ['remotePolicy', 'Remote Policy'],
+  ['employmentType', 'Employment Type'],
+  ['seniority', 'Seniority'],
+  ['visaSponsorship', 'Visa Sponsorship'],
+  ['requiredSkills', 'Required Skills'],
+  ['niceToHaveSkills', 'Nice-to-have Skills'],
+  ['yearsOfExperience', 'Years of Experience'],
+  ['salaryMin', 'Salary Min'],
+  ['salaryMax', 'Salary Max'],
+  ['salaryCurrency', 'Salary Currency'],
+  ['salaryPeriod', 'Salary Period'],
+  ['expectedSalary', 'Expected Salary'],
+  ['notes', 'Notes'],
+  ['matchScore', 'Match Score'],
+  ['createdAt', 'Date Added'],
+  ['updatedAt', 'Last Updated'],
+];
+
+const AI_COLUMNS = [
+  ['resumeMatchSummary', 'Resume Match Summary'],
+  ['strengths', 'Strengths'],
+  ['gaps', 'Gaps'],
+  ['interviewPrepSummary', 'Interview Prep Summary'],
+  ['resumeImprovementSummary', 'Resume Improvement Summary'],
+];
+
+const REMINDER_COLUMNS = [
+  ['reminders', 'Reminders'],
+  ['pendingReminders', 'Pending Reminders'],
+  ['nextReminder', 'Next Reminder'],
+];
+
+const DESCRIPTION_COLUMNS = [['jobDescription', 'Job Description']];
+
+/**
+ * Application Export Service
+ *
+ * Why: Users need to get their data out - for backups, other tools or
+ * sharing with a career coach. Exports use the same filters and sort as
+ * the list endpoint, so "export" always means "what I am looking at".
+ *
+ * Responsibilities:
+ * - Load every application matching the list filters (bounded)
+ * - Resolve stage labels and categories from the user's pipeline
+ * - Add optional AI summary, reminder and description columns
+ * - Render CSV, XLSX or JSON
+ */
+class ApplicationExportService {
+  /**
+   * Build an export file
+   * @param {string} userId - User ID
+   * @param {Object} query - Raw list filters plus format, include, sortBy, sortOrder
+   * @returns {Object} { filename, contentType, body }
+   */
+  async exportApplications(userId, query = {}) {
+    const format = query.format || 'csv';
+    const include = new Set(
+      String(query.include || '').split(',').map((option) => option.trim()).filter(Boolean)
+    );
+
+    const filters = jobApplicationService.parseListFilters(query);
+    const applications = await jobApplicationRepository.findAllByFilters(
+      userId,
+      { ...filters, sortBy: query.sortBy, sortOrder: query.sortOrder },
+      EXPORT_MAX_ROWS + 1
+    );
+
+    if (applications.length > EXPORT_MAX_ROWS) {
+      const error = new Error(
+        `Exports are limited to ${EXPORT_MAX_ROWS} applications. Narrow the filters and try again.`
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const stages = await pipelineService.getStages(userId);
+    const reminders = include.has('reminders') && applications.length > 0
+      ? await reminderRepository.summarizeByApplicationIds(
+        userId,
+        applications.map((application) => application._id.toString())
+      )
+      : {};
+
+    const records = applications.map((application) =>
+      this.toRecord(application, { stages, include, reminders })
+    );
+
+    const filename = `joblytics-applications-${new Date().toISOString().slice(0, 10)}.${format}`;
+    return {
+      filename,
+      contentType: EXPORT_CONTENT_TYPES[format],
+      body: await this.render(format, records, { filters, include }),
+    };
+  }
+
+  /**
+   * Flatten an application into one export record
+   * JSON exports use records as-is; CSV/XLSX pick columns from them.
+   */
+  toRecord(application, { stages, include, reminders }) {
+    const stage = stages.find((s) => s.key === application.status);
+    const resumeMatch = application.aiInsights?.resumeMatch || {};
+    const salary = application.salary || {};
+
+    const record = {
+      id: application._id.toString(),
+      company: application.company,
+      jobTitle: application.jobTitle,
+      status: application.status,
+      statusLabel: stage?.label || application.status,
+      statusCategory: pipelineService.getCategory(stages, application.status) || '',
+      dateApplied: application.dateApplied || null,
+      source: application.source || '',
+      tags: application.tags || [],
+      jobLink: application.jobLink || '',
+      locations: application.locations || [],
+      remotePolicy: application.remotePolicy || '',
+      employmentType: application.employmentType || '',
+      seniority: application.seniority || '',
+      visaSponsorship: application.visaSponsorship ?? null,
+      requiredSkills: application.requiredSkills || [],
+      niceToHaveSkills: application.niceToHaveSkills || [],
+      yearsOfExperience: application.yearsOfExperience ?? null,
+      salaryMin: salary.min ?? null,
+      salaryMax: salary.max ?? null,
+      salaryCurrency: salary.currency || '',
+      salaryPeriod: salary.period || '',
+      expectedSalary: salary.expected ?? null,
+      notes: application.notes || '',
+      matchScore: resumeMatch.matchScore ?? null,
+      createdAt: application.createdAt,
+      updatedAt: application.updatedAt,
+    };
+
+    if (include.has('ai')) {
+      const { interviewPrep = {}, resumeImprovement = {} } = application.aiInsights || {};
+      record.resumeMatchSummary = resumeMatch.summary || '';
+      record.strengths = resumeMatch.strengths || [];
+      record.gaps = resumeMatch.gaps || [];
+      record.interviewPrepSummary = interviewPrep.summary || '';
+      record.resumeImprovementSummary = resumeImprovement.summary || '';
+    }
+
+    if (include.has('reminders')) {
+      const summary = reminders[record.id];
+      record.reminders = summary?.total || 0;
+      record.pendingReminders = summary?.pending || 0;
+      record.nextReminder = summary?.nextReminderDate || null;
+    }
+
+    if (include.has('description')) {
+      record.jobDescription = application.jobDescription || '';
+    }
+
+    return record;
+  }
+
+  /**
+   * Render records in the requested format
+   */
+  async render(format, records, { filters, include }) {
+    if (format === 'json') {
+      return JSON.stringify(
+        {
+          exportedAt: new Date().toISOString(),
+          filters,
+          include: [...include],
+          count: records.length,
+          applications: records,
+        },
+        null,
+        2
+      );
+    }
+
+    const columns = [
+      ...BASE_COLUMNS,
+      ...(include.has('ai') ? AI_COLUMNS : []),
+      ...(include.has('reminders') ? REMINDER_COLUMNS : []),
+      ...(include.has('description') ? DESCRIPTION_COLUMNS : []),
+    ];
+    const headers = columns.map(([, header]) => header);
+    const rows = records.map((record) =>
+      columns.map(([key]) => (Array.isArray(record[key]) ? record[key].join('; ') : record[key]))
+    );
+
+    if (format === 'xlsx') {
+      return await toXlsx(headers, rows, 'Applications');
+    }
+    return toCsv(headers, rows);
+  }
+}
+
+export default new ApplicationExportService();
@@ -0,0 +1,349 @@
+import { parseSpreadsheet } from '../utils/spreadsheet.js';
+import jobApplicationService from './jobApplication.service.js';
+import jobApplicationRepository from '../repositories/jobApplication.repository.js';
+import pipelineService from './pipeline.service.js';
+import { createJobApplicationSchema } from '../validations/jobApplication.validation.js';
+import {
+  IMPORT_FIELD_ALIASES,
+  IMPORT_FIELDS,
+  IMPORT_REQUIRED_FIELDS,
+  IMPORT_STATUS_ALIASES,
+  IMPORT_MAX_ROWS,
+} from '../models/applicationImport.constants.js';
+
+/**
+ * Application Import Service
+ *
+ * Why: Users arrive with spreadsheets of past applications. Importing is a
+ * two-step flow over the same file: a preview that maps columns to
+ * JobApplication fields and shows every row as it would be saved (with
+ * errors), then a commit that creates the valid rows in bulk. Both steps
+ * are stateless - the client sends the file and mapping each time - so a
+ * preview always describes exactly what the commit will do.
+ *
+ * Responsibilities:
+ * - Suggest a column mapping from header names
+ * - Normalize statuses (to the user's pipeline stages) and dates
+ * - Validate each row with the same schema as the create endpoint
+ * - Flag rows that duplicate existing applications
+ * - Create valid rows in bulk
+ */
+class ApplicationImportService {
+  /**
+   * Preview an import without saving anything
+   * @param {string} userId - User ID
+   * @param {Object} file - Uploaded file ({ buffer, originalname })
+   * @param {Object} options - { mapping?, dateFormat?, skipDuplicates? }
+   * @returns {Object} { headers, suggestedMapping, mapping, missingFields, rows, summary }
+   */
+  async previewImport(userId, file, options = {}) {
+    const { headers, suggestedMapping, mapping, missingFields, rows } = await this.prepareImport(
+      userId,
+      file,
+      options
+    );
+
+    return {
+      headers,
+      suggestedMapping,
+      mapping,
+      missingFields,
+      rows,
+      summary: this.summarize(rows, options.skipDuplicates),
+    };
+  }
+
+  /**
+   * Import the valid rows of a file
+   * Invalid rows (and duplicates, unless skipDuplicates is false) are skipped
+   * and reported back with their spreadsheet row numbers.
+   * @param {string} userId - User ID
+   * @param {Object} file - Uploaded file ({ buffer, originalname })
+   * @param {Object} options - { mapping?, dateFormat?, skipDuplicates? }
+   * @returns {Object} { imported, skipped: [{ rowNumber, reason, errors? }], summary }
+   */
+  async commitImport(userId, file, options = {}) {
+    const { missingFields, rows } = await this.prepareImport(userId, file, options);
+    if (missingFields.length > 0) {
+      const error = new Error(`Map a column to: ${missingFields.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const skipDuplicates = options.skipDuplicates !== false;
+
+    const toImport = [];
+    const skipped = [];
+    rows.forEach((row) => {
+      if (row.errors.length > 0) {
+        skipped.push({ rowNumber: row.rowNumber, reason: 'invalid', errors: row.errors });
+      } else if (row.duplicate && skipDuplicates) {
+        skipped.push({ rowNumber: row.rowNumber, reason: 'duplicate' });
+      } else {
+        toImport.push(row.data);
+      }
+    });
+
+    const created = toImport.length > 0
+      ? await jobApplicationService.importApplications(userId, toImport)
+      : [];
+
+    return {
+      imported: created.length,
+      skipped,
+      summary: this.summarize(rows, skipDuplicates),
+    };
+  }
+
+  /**
+   * Parse, map, normalize and validate every row of a file
+   */
+  async prepareImport(userId, file, options) {
+    const { headers, rows: rawRows } = await parseSpreadsheet(file.buffer, file.originalname);
+
+    if (headers.length === 0) {
+      const error = new Error('The file is empty');
+      error.statusCode = 400;
+      throw error;
+    }
+    if (rawRows.length > IMPORT_MAX_ROWS) {
+      const error = new Error(`Files can contain at most ${IMPORT_MAX_ROWS} rows`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const suggestedMapping = this.suggestMapping(headers);
+    const mapping = options.mapping ? this.resolveMapping(options.mapping, headers) : suggestedMapping;
+
+    // The preview asks the user to map them; rows are only built once they are
+    const missingFields = IMPORT_REQUIRED_FIELDS.filter((field) => !mapping[field]);
+    if (missingFields.length > 0) {
+      return { headers, suggestedMapping, mapping, missingFields, rows: [] };
+    }
+
+    const [stages, defaultStatus, existing] = await Promise.all([
+      pipelineService.getStages(userId),
+      pipelineService.getDefaultStageKey(userId),
+      jobApplicationRepository.findAllByUserId(userId, 'company jobTitle'),
+    ]);
+
+    const statusLookup = this.buildStatusLookup(stages);
+    const seen = new Set(existing.map((application) => this.duplicateKey(application)));
+
+    const rows = rawRows.map(({ rowNumber, values }) => {
+      const row = this.normalizeRow(values, headers, mapping, {
+        statusLookup,
+        defaultStatus,
+        dateFormat: options.dateFormat || 'mdy',
+      });
+
+      // Later rows repeating an earlier one in the same file are duplicates too
+      const key = this.duplicateKey(row.data);
+      const duplicate = row.errors.length === 0 && seen.has(key);
+      if (row.errors.length === 0) seen.add(key);
+
+      return { rowNumber, ...row, duplicate };
+    });
+
+    return { headers, suggestedMapping, mapping, missingFields, rows };
+  }
+
+  /**
+   * Map each field to the first header that matches one of its aliases
+   * @param {Array<string>} headers - Header names
+   * @returns {Object} { [field]: header }
+   */
+  suggestMapping(headers) {
+    const mapping = {};
+    const used = new Set();
+
+    IMPORT_FIELDS.forEach((field) => {
+      const aliases = IMPORT_FIELD_ALIASES[field];
+      const header = headers.find(
+        (name) => !used.has(name) && aliases.includes(this.normalizeKey(name))
+      );
+      if (header) {
+        mapping[field] = header;
+        used.add(header);
+      }
+    });
+
+    return mapping;
+  }
+
+  /**
+   * Check a client-provided mapping against the file's headers
+   */
+  resolveMapping(mapping, headers) {
+    const resolved = {};
+    Object.entries(mapping).forEach(([field, header]) => {
+      if (!header) return;
+      if (!headers.includes(header)) {
+        const error = new Error(`Column "${header}" mapped to ${field} is not in the file`);
+        error.statusCode = 400;
+        throw error;
+      }
+      resolved[field] = header;
+    });
+    return resolved;
+  }
+
+  /**
+   * Turn one spreadsheet row into application data plus errors
+   * @returns {Object} { data, errors: [{ field, message }] }
+   */
+  normalizeRow(values, headers, mapping, { statusLookup, defaultStatus, dateFormat }) {
+    const cell = (field) => {
+      const header = mapping[field];
+      if (!header) return '';
+      const value = values[headers.indexOf(header)];
+      return value instanceof Date ? value : String(value ?? '').trim();
+    };
+
+    const errors = [];
+    const data = {
+      company: cell('company'),
+      jobTitle: cell('jobTitle'),
+      jobLink: this.normalizeLink(cell('jobLink')),
+      source: cell('source'),
+      notes: cell('notes'),
+      jobDescription: cell('jobDescription'),
+    };
+
+    const rawStatus = cell('status');
+    if (rawStatus) {
+      const status = statusLookup.get(this.normalizeKey(rawStatus));
+      if (status) {
+        data.status = status;
+      } else {
+        errors.push({ field: 'status', message: `Unknown status "${rawStatus}"` });
+      }
+    } else {
+      data.status = defaultStatus;
+    }
+
+    const rawDate = cell('dateApplied');
+    if (rawDate !== '') {
+      const date = this.parseDate(rawDate, dateFormat);
+      if (date) {
+        data.dateApplied = date.toISOString();
+      } else {
+        errors.push({ field: 'dateApplied', message: `Could not read date "${rawDate}"` });
+      }
+    }
+
+    // Same rules as POST /api/applications
+    const result = createJobApplicationSchema.shape.body.safeParse(data);
+    if (!result.success) {
+      result.error.issues.forEach((issue) => {
+        const field = issue.path.join('.');
+        // Status and date problems are already reported in their normalized form
+        if (!errors.some((existing) => existing.field === field)) {
+          errors.push({ field, message: issue.message });
+        }
+      });
+    }
+
+    return { data, errors };
+  }
+
+  /**
+   * Build a lookup from normalized status text to stage key
+   * Matches stage keys, stage labels, category names and common aliases.
+   * Categories resolve to their first stage in the user's pipeline.
+   */
+  buildStatusLookup(stages) {
+    const lookup = new Map();
+    const add = (text, key) => {
+      const normalized = this.normalizeKey(text);
+      if (normalized && !lookup.has(normalized)) lookup.set(normalized, key);
+    };
+
+    stages.forEach((stage) => {
+      add(stage.key, stage.key);
+      add(stage.label, stage.key);
+    });
+
+    Object.entries(IMPORT_STATUS_ALIASES).forEach(([category, aliases]) => {
+      const [firstKey] = pipelineService.getStageKeysByCategory(stages, [category]);
+      if (!firstKey) return;
+      add(category, firstKey);
+      aliases.forEach((alias) => add(alias, firstKey));
+    });
+
+    return lookup;
+  }
+
+  /**
+   * Read a date cell
+   * Accepts Date cells, Excel serial numbers, ISO dates and numeric dates
+   * (03/04/2024 is read as month/day or day/month depending on dateFormat).
+   * @returns {Date|null} Date or null if it cannot be read
+   */
+  parseDate(value, dateFormat) {
+    if (value instanceof Date) {
+      return Number.isNaN(value.getTime()) ? null : value;
+    }
+
+    const text = String(value).trim();
+
+    // Excel stores dates as days since 1899-12-30
+    if (/^\d{5}(\.\d+)?$/.test(text)) {
+      const date = new Date(Date.UTC(1899, 11, 30) + Number(text) * 24 * 60 * 60 * 1000);
+      return Number.isNaN(date.getTime()) ? null : date;
+    }
+
+    const numeric = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+    if (numeric) {
+      const [first, second] = [Number(numeric[1]), Number(numeric[2])];
+      const [month, day] = dateFormat === 'dmy' ? [second, first] : [first, second];
+      const year = numeric[3].length === 2 ? 2000 + Number(numeric[3]) : Number(numeric[3]);
+      const date = new Date(Date.UTC(year, month - 1, day));
+      // Reject overflow such as 02/31 rolling into March
+      return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+    }
+
+    // Date-only ISO strings are parsed as UTC midnight, which is what we want
+    const timestamp = Date.parse(text);
+    return Number.isNaN(timestamp) ? null : new Date(timestamp);
+  }
+
+  /**
+   * Add a protocol to bare links ("linkedin.com/jobs/...") so they validate as URLs
+   */
+  normalizeLink(link) {
+    if (!link) return '';
+    return /^[a-z][a-z0-9+.-]*:\/\//i.test(link) ? link : `https://${link}`;
+  }
+
+  /**
+   * Company + job title, ignoring case and punctuation
+   */
+  duplicateKey(application) {
+    return `${this.normalizeKey(application.company)}|${this.normalizeKey(application.jobTitle)}`;
+  }
+
+  /**
+   * Lowercase and strip everything but letters and numbers
+   */
+  normalizeKey(text) {
+    return String(text ?? '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+  }
+
+  /**
+   * Count rows by outcome
+   */
+  summarize(rows, skipDuplicates = true) {
+    const invalid = rows.filter((row) => row.errors.length > 0).length;
+    const duplicates = rows.filter((row) => row.duplicate).length;
+    return {
+      total: rows.length,
+      valid: rows.length - invalid,
+      invalid,
+      duplicates,
+      toImport: rows.length - invalid - (skipDuplicates === false ? 0 : duplicates),
+    };
+  }
+}
+
+export default new ApplicationImportService();
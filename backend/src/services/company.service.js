@@ -0,0 +1,435 @@
+import companyRepository from '../repositories/company.repository.js';
+import jobApplicationRepository from '../repositories/jobApplication.repository.js';
+import { normalizeCompanyName } from '../utils/company.js';
+import { COMPANY_RATING_FIELDS, COMPANY_SYNC_BATCH_SIZE } from '../models/company.constants.js';
+
+// Text fields copied as-is (trimmed) when creating or updating a company
+const TEXT_FIELDS = ['website', 'industry', 'headquarters', 'notes'];
+
+/**
+ * Company Service
+ *
+ * Why: Applications name their company as free text. This service links
+ * every application to one Company per employer by matching normalized
+ * names ("Acme, Inc." and "ACME" are the same company), so research,
+ * notes and ratings are kept once and every application to that employer
+ * can be seen together.
+ *
+ * Responsibilities:
+ * - List, create, update, merge and delete a user's companies
+ * - Link new and edited applications to the matching company, creating it if needed
+ * - Link applications that predate companies (or were imported/restored) on demand
+ * - Keep application company names in step when a company is renamed
+ * - Restore the companies of an account backup
+ * - Enforce ownership (404 for companies that are missing or not the user's)
+ */
+class CompanyService {
+  /**
+   * Get a user's companies with the number of applications linked to each
+   * @param {string} userId - User ID
+   * @param {Object} [options] - { q } - Name search
+   * @returns {Array} Companies, each with applicationCount
+   */
+  async getCompanies(userId, { q } = {}) {
+    await this.syncCompanies(userId);
+
+    const [companies, counts] = await Promise.all([
+      companyRepository.findByUserId(userId, { q: q?.trim() }),
+      jobApplicationRepository.countByCompanyForUserId(userId),
+    ]);
+
+    return companies.map((company) => ({
+      ...company,
+      applicationCount: counts[company._id.toString()] || 0,
+    }));
+  }
+
+  /**
+   * Get a company with its applications
+   * @param {string} userId - User ID
+   * @param {string} companyId - Company ID
+   * @returns {Object} { company, applications }
+   */
+  async getCompanyById(userId, companyId) {
+    await this.syncCompanies(userId);
+    const company = await this.findCompanyOrThrow(userId, companyId);
+    const applications = await jobApplicationRepository.findByCompanyIdAndUserId(companyId, userId);
+
+    return {
+      company: { ...company, applicationCount: applications.length },
+      applications,
+    };
+  }
+
+  /**
+   * Create a company
+   * @param {string} userId - User ID
+   * @param {Object} companyData - { name, website?, industry?, size?, headquarters?, notes?, ratings? }
+   * @returns {Object} Created company
+   */
+  async createCompany(userId, companyData) {
+    const name = companyData.name.trim();
+    const nameKey = this.requireNameKey(name);
+    await this.assertNameAvailable(userId, nameKey);
+
+    const company = await companyRepository.create({
+      user: userId,
+      name,
+      nameKey,
+      ...this.prepareFields(companyData),
+    });
+
+    // Applications already naming this company are linked on the next sync;
+    // none can be linked elsewhere, since their name had no company until now
+    return { ...company.toObject(), applicationCount: 0 };
+  }
+
+  /**
+   * Update a company
+   * A new name is applied to every linked application.
+   * @param {string} userId - User ID
+   * @param {string} companyId - Company ID
+   * @param {Object} updateData - Fields to update (ratings may be partial)
+   * @returns {Object} Updated company with applicationCount
+   */
+  async updateCompany(userId, companyId, updateData) {
+    const company = await this.findCompanyOrThrow(userId, companyId);
+
+    const update = this.prepareFields(updateData);
+    const name = updateData.name?.trim();
+    if (name && name !== company.name) {
+      const nameKey = this.requireNameKey(name);
+      if (nameKey !== company.nameKey) {
+        await this.assertNameAvailable(userId, nameKey);
+      }
+      update.name = name;
+      update.nameKey = nameKey;
+    }
+
+    const updated = Object.keys(update).length > 0
+      ? await companyRepository.updateByIdAndUserId(companyId, userId, update)
+      : company;
+
+    if (update.name) {
+      await jobApplicationRepository.renameCompanyByUserId(userId, companyId, update.name);
+    }
+
+    const applicationCount = await jobApplicationRepository.countByCompanyIdAndUserId(companyId, userId);
+    return { ...updated, applicationCount };
+  }
+
+  /**
+   * Merge a company into another one
+   * For names that normalization cannot match (e.g. "Alphabet" and "Google").
+   * The source's applications move to the target and take its name; the
+   * target keeps its own details, gets the source's notes appended and any
+   * details or ratings it is missing, and the source is deleted.
+   * @param {string} userId - User ID
+   * @param {string} companyId - Company to merge (deleted afterwards)
+   * @param {string} targetCompanyId - Company to keep
+   * @returns {Object} { company, moved }
+   */
+  async mergeCompany(userId, companyId, targetCompanyId) {
+    if (companyId === targetCompanyId) {
+      const error = new Error('A company cannot be merged into itself');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const [source, target] = await Promise.all([
+      this.findCompanyOrThrow(userId, companyId),
+      this.findCompanyOrThrow(userId, targetCompanyId),
+    ]);
+
+    const update = {};
+    TEXT_FIELDS.filter((field) => field !== 'notes').forEach((field) => {
+      if (!target[field] && source[field]) update[field] = source[field];
+    });
+    if (!target.size && source.size) update.size = source.size;
+    COMPANY_RATING_FIELDS.forEach((field) => {
+      if (target.ratings?.[field] == null && source.ratings?.[field] != null) {
+        update[`ratings.${field}`] = source.ratings[field];
+      }
+    });
+    if (source.notes) {
+      update.notes = target.notes
+        ? `${target.notes}\n\n--- Merged from ${source.name} ---\n${source.notes}`
+        : source.notes;
+    }
+
+    if (Object.keys(update).length > 0) {
+      await companyRepository.updateByIdAndUserId(targetCompanyId, userId, update);
+    }
+
+    const result = await jobApplicationRepository.updateCompanyByUserId(userId, companyId, targetCompanyId);
+    await jobApplicationRepository.renameCompanyByUserId(userId, targetCompanyId, target.name);
+    await companyRepository.deleteByIdAndUserId(companyId, userId);
+
+    const company = await companyRepository.findByIdAndUserId(targetCompanyId, userId);
+    const applicationCount = await jobApplicationRepository.countByCompanyIdAndUserId(targetCompanyId, userId);
+    return { company: { ...company, applicationCount }, moved: result.modifiedCount };
+  }
+
+  /**
+   * Delete a company
+   * Only companies without applications can be deleted - otherwise the next
+   * sync would create them again. Trashed applications are unlinked.
+   * @param {string} userId - User ID
+   * @param {string} companyId - Company ID
+   */
+  async deleteCompany(userId, companyId) {
+    await this.findCompanyOrThrow(userId, companyId);
+
+    const applicationCount = await jobApplicationRepository.countByCompanyIdAndUserId(companyId, userId);
+    if (applicationCount > 0) {
+      const error = new Error(
+        `This company still has ${applicationCount} application${applicationCount === 1 ? '' : 's'}. Merge it into another company instead.`
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    await jobApplicationRepository.updateCompanyByUserId(userId, companyId, null);
+    await companyRepository.deleteByIdAndUserId(companyId, userId);
+  }
+
+  /**
+   * Find the company an application with this name belongs to, creating it if needed
+   * @param {string} userId - User ID
+   * @param {string} name - Company name as entered on the application
+   * @returns {string|null} Company ID (null for names that normalize to nothing)
+   */
+  async resolveCompanyId(userId, name) {
+    const nameKey = this.getNameKey(name);
+    if (!nameKey) return null;
+
+    const companies = await this.findOrCreateByNames(userId, [name.trim()]);
+    return companies.get(nameKey)?._id || null;
+  }
+
+  /**
+   * Link applications without a company to the company matching their name,
+   * creating companies for names that have none
+   * Runs in batches; applications whose name normalizes to nothing stay unlinked.
+   * @param {string} userId - User ID
+   * @returns {number} Number of applications linked
+   */
+  async syncCompanies(userId) {
+    let linked = 0;
+    const skipped = new Set();
+
+    // Each pass links a batch, so the next query returns the following one
+    for (;;) {
+      const applications = (
+        await jobApplicationRepository.findWithoutCompanyByUserId(userId, COMPANY_SYNC_BATCH_SIZE + skipped.size)
+      ).filter((application) => !skipped.has(application._id.toString()));
+      if (applications.length === 0) break;
+
+      const byKey = new Map();
+      applications.forEach((application) => {
+        const nameKey = this.getNameKey(application.company);
+        if (!nameKey) {
+          skipped.add(application._id.toString());
+          return;
+        }
+        if (!byKey.has(nameKey)) byKey.set(nameKey, { name: application.company.trim(), ids: [] });
+        byKey.get(nameKey).ids.push(application._id);
+      });
+      if (byKey.size === 0) break;
+
+      const companies = await this.findOrCreateByNames(
+        userId,
+        [...byKey.values()].map(({ name }) => name)
+      );
+
+      let linkedInPass = 0;
+      for (const [nameKey, { ids }] of byKey) {
+        const company = companies.get(nameKey);
+        if (!company) {
+          ids.forEach((id) => skipped.add(id.toString()));
+          continue;
+        }
+        const result = await jobApplicationRepository.setCompanyByIds(userId, ids, company._id);
+        linkedInPass += result.modifiedCount;
+      }
+      if (linkedInPass === 0) break;
+      linked += linkedInPass;
+    }
+
+    return linked;
+  }
+
+  /**
+   * Restore the companies of an account backup
+   * Backup companies match existing ones by normalized name. Merge keeps
+   * existing companies as they are; replace takes the backup's details.
+   * @param {string} userId - User ID
+   * @param {Array} backupCompanies - Company documents from the backup
+   * @param {boolean} replace - Overwrite the details of matching companies
+   * @returns {Object} { companyIds, created } - backup ID → company ID, and IDs of new companies
+   */
+  async restoreCompanies(userId, backupCompanies = [], replace = false) {
+    const companyIds = new Map();
+    const created = [];
+    if (backupCompanies.length === 0) return { companyIds, created };
+
+    const byKey = new Map();
+    backupCompanies.forEach((company) => {
+      const nameKey = this.getNameKey(company.name);
+      if (!nameKey) return;
+      if (!byKey.has(nameKey)) byKey.set(nameKey, []);
+      byKey.get(nameKey).push(company);
+    });
+
+    const existing = await companyRepository.findByNameKeys(userId, [...byKey.keys()]);
+    const existingByKey = new Map(existing.map((company) => [company.nameKey, company]));
+
+    try {
+      for (const [nameKey, companies] of byKey) {
+        const [first] = companies;
+        let companyId = existingByKey.get(nameKey)?._id;
+
+        if (!companyId) {
+          const company = await companyRepository.create({
+            user: userId,
+            name: first.name.trim(),
+            nameKey,
+            ...this.prepareFields(first),
+          });
+          companyId = company._id;
+          created.push(companyId);
+        } else if (replace) {
+          await companyRepository.updateByIdAndUserId(companyId, userId, {
+            name: first.name.trim(),
+            ...this.prepareFields(first),
+          });
+        }
+
+        companies.forEach((company) => companyIds.set(String(company._id), companyId));
+      }
+    } catch (error) {
+      // Companies created before the failure are removed with it
+      await this.removeCompanies(userId, created);
+      throw error;
+    }
+
+    return { companyIds, created };
+  }
+
+  /**
+   * Remove companies left over after a replace restore
+   * @param {string} userId - User ID
+   * @param {Array<string>} keepIds - Companies restored from the backup
+   */
+  async removeCompaniesExcept(userId, keepIds) {
+    await companyRepository.deleteByUserIdExcept(userId, keepIds);
+  }
+
+  /**
+   * Delete companies created by a restore that failed
+   * @param {string} userId - User ID
+   * @param {Array<string>} companyIds - Company IDs
+   */
+  async removeCompanies(userId, companyIds) {
+    if (companyIds.length > 0) {
+      await companyRepository.deleteManyByIds(userId, companyIds);
+    }
+  }
+
+  /**
+   * Find companies by name, creating the missing ones
+   * @param {string} userId - User ID
+   * @param {Array<string>} names - Company names (the first spelling of each company is used)
+   * @returns {Map} Normalized name → company
+   */
+  async findOrCreateByNames(userId, names) {
+    const firstNames = new Map();
+    names.forEach((name) => {
+      const nameKey = this.getNameKey(name);
+      if (nameKey && !firstNames.has(nameKey)) firstNames.set(nameKey, name);
+    });
+
+    const keys = [...firstNames.keys()];
+    const companies = new Map(
+      (await companyRepository.findByNameKeys(userId, keys)).map((company) => [company.nameKey, company])
+    );
+
+    const missing = keys.filter((nameKey) => !companies.has(nameKey));
+    if (missing.length > 0) {
+      await companyRepository.createMany(
+        missing.map((nameKey) => ({ user: userId, name: firstNames.get(nameKey), nameKey }))
+      );
+      // Read back, so companies created concurrently are found too
+      (await companyRepository.findByNameKeys(userId, missing)).forEach((company) => {
+        companies.set(company.nameKey, company);
+      });
+    }
+
+    return companies;
+  }
+
+  /**
+   * Find a company or throw 404
+   */
+  async findCompanyOrThrow(userId, companyId) {
+    const company = await companyRepository.findByIdAndUserId(companyId, userId);
+    if (!company) {
+      const error = new Error('Company not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return company;
+  }
+
+  /**
+   * Throw 409 when the user already has a company matching this name
+   */
+  async assertNameAvailable(userId, nameKey) {
+    const [existing] = await companyRepository.findByNameKeys(userId, [nameKey]);
+    if (existing) {
+      const error = new Error(`This name matches the existing company "${existing.name}"`);
+      error.statusCode = 409;
+      throw error;
+    }
+  }
+
+  /**
+   * Normalized name ('' when there is nothing to match on)
+   */
+  getNameKey(name) {
+    return normalizeCompanyName(name);
+  }
+
+  /**
+   * Normalized name of a name entered for a company, or 400
+   */
+  requireNameKey(name) {
+    const nameKey = this.getNameKey(name);
+    if (!nameKey) {
+      const error = new Error('Company name must contain letters or numbers');
+      error.statusCode = 400;
+      throw error;
+    }
+    return nameKey;
+  }
+
+  /**
+   * Pick and trim the editable company details (everything except the name)
+   * Ratings become dotted paths so a partial update keeps the other ratings.
+   */
+  prepareFields(data = {}) {
+    const fields = {};
+    TEXT_FIELDS.forEach((field) => {
+      if (typeof data[field] === 'string') fields[field] = data[field].trim();
+    });
+    if (data.size !== undefined) fields.size = data.size || null;
+    if (data.ratings) {
+      COMPANY_RATING_FIELDS.forEach((field) => {
+        if (data.ratings[field] !== undefined) fields[`ratings.${field}`] = data.ratings[field];
+      });
+    }
+    return fields;
+  }
+}
+
+export default new CompanyService();
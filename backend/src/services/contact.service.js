@@ -0,0 +1,267 @@
+import contactRepository from '../repositories/contact.repository.js';
+import jobApplicationRepository from '../repositories/jobApplication.repository.js';
+import reminderRepository from '../repositories/reminder.repository.js';
+import { MAX_CONTACT_APPLICATIONS } from '../models/contact.constants.js';
+
+// Contact fields copied as-is (trimmed) when creating or updating a contact
+const TEXT_FIELDS = ['name', 'role', 'email', 'phone', 'linkedInUrl', 'company', 'notes'];
+
+// Application fields returned with a contact
+const APPLICATION_FIELDS = 'company companyId jobTitle status dateApplied archivedAt';
+
+/**
+ * Contact Service
+ *
+ * Why: Recruiters, referrers, hiring managers and interviewers used to live
+ * in separate spreadsheets. Contacts keep them next to the applications
+ * they are involved in, so the user can see who to talk to about an
+ * application and every application a person is involved in.
+ *
+ * Responsibilities:
+ * - List, create, update and delete a user's contacts
+ * - Link contacts to applications with a relationship type, and unlink them
+ * - Clear the contact of reminders when the contact is deleted
+ * - Enforce ownership (404 for contacts or applications that are missing or not the user's)
+ *
+ * Trash:
+ * - Links to applications in the trash are kept so a restore brings them back,
+ *   but those applications are not listed or counted
+ */
+class ContactService {
+  /**
+   * Get a user's contacts
+   * @param {string} userId - User ID
+   * @param {Object} [filters] - { q, applicationId, relationship }
+   * @returns {Array} Contacts, each with applicationCount
+   */
+  async getContacts(userId, { q, applicationId, relationship } = {}) {
+    const [contacts, trashedIds] = await Promise.all([
+      contactRepository.findByUserId(userId, { q: q?.trim(), applicationId, relationship }),
+      jobApplicationRepository.findDeletedIdsByUserId(userId),
+    ]);
+
+    const trashed = new Set(trashedIds.map(String));
+    return contacts.map((contact) => {
+      const applications = contact.applications.filter(
+        (link) => !trashed.has(link.application.toString())
+      );
+      return { ...contact, applications, applicationCount: applications.length };
+    });
+  }
+
+  /**
+   * Get a contact with the applications it is linked to
+   * @param {string} userId - User ID
+   * @param {string} contactId - Contact ID
+   * @returns {Object} { contact, applications } - applications carry their relationship
+   */
+  async getContactById(userId, contactId) {
+    const contact = await this.findContactOrThrow(userId, contactId);
+    const applications = await this.findLinkedApplications(userId, contact);
+    const listed = new Set(applications.map((application) => application._id.toString()));
+
+    return {
+      contact: {
+        ...contact,
+        applications: contact.applications.filter((link) => listed.has(link.application.toString())),
+        applicationCount: applications.length,
+      },
+      applications,
+    };
+  }
+
+  /**
+   * Create a contact
+   * @param {string} userId - User ID
+   * @param {Object} contactData - Contact fields, plus optional applications [{ applicationId, relationship }]
+   * @returns {Object} Created contact
+   */
+  async createContact(userId, contactData) {
+    const links = this.uniqueLinks(contactData.applications);
+    if (links.length > MAX_CONTACT_APPLICATIONS) {
+      const error = new Error(`A contact can be linked to at most ${MAX_CONTACT_APPLICATIONS} applications`);
+      error.statusCode = 400;
+      throw error;
+    }
+    await this.assertApplicationsOwned(userId, links.map((link) => link.application));
+
+    const contact = await contactRepository.create({
+      user: userId,
+      ...this.prepareFields(contactData),
+      applications: links,
+    });
+
+    return contact.toObject();
+  }
+
+  /**
+   * Update a contact's details (links are changed with linkApplication/unlinkApplication)
+   * @param {string} userId - User ID
+   * @param {string} contactId - Contact ID
+   * @param {Object} updateData - Fields to update
+   * @returns {Object} Updated contact
+   */
+  async updateContact(userId, contactId, updateData) {
+    const contact = await contactRepository.updateByIdAndUserId(
+      contactId,
+      userId,
+      this.prepareFields(updateData)
+    );
+
+    if (!contact) {
+      const error = new Error('Contact not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return contact;
+  }
+
+  /**
+   * Delete a contact
+   * Its reminders are kept, without the contact.
+   * @param {string} userId - User ID
+   * @param {string} contactId - Contact ID
+   * @returns {Object} Deleted contact
+   */
+  async deleteContact(userId, contactId) {
+    const contact = await contactRepository.deleteByIdAndUserId(contactId, userId);
+
+    if (!contact) {
+      const error = new Error('Contact not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    await reminderRepository.clearContactByUserId(userId, contactId);
+
+    return contact;
+  }
+
+  /**
+   * Link a contact to an application, or change the relationship of an existing link
+   * @param {string} userId - User ID
+   * @param {string} contactId - Contact ID
+   * @param {string} applicationId - Application ID
+   * @param {string} relationship - Relationship type
+   * @returns {Object} Updated contact
+   */
+  async linkApplication(userId, contactId, applicationId, relationship) {
+    await this.findContactOrThrow(userId, contactId);
+    await this.assertApplicationsOwned(userId, [applicationId]);
+
+    const contact =
+      (await contactRepository.updateApplicationLink(contactId, userId, applicationId, relationship))
+      || (await contactRepository.addApplicationLink(contactId, userId, applicationId, relationship));
+
+    if (!contact) {
+      // Either linked in the meantime or at the limit - only the limit is an error
+      const current = await contactRepository.updateApplicationLink(contactId, userId, applicationId, relationship);
+      if (current) return current;
+
+      const error = new Error(`A contact can be linked to at most ${MAX_CONTACT_APPLICATIONS} applications`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return contact;
+  }
+
+  /**
+   * Remove the link between a contact and an application
+   * @param {string} userId - User ID
+   * @param {string} contactId - Contact ID
+   * @param {string} applicationId - Application ID
+   * @returns {Object} Updated contact
+   */
+  async unlinkApplication(userId, contactId, applicationId) {
+    const contact = await contactRepository.removeApplicationLink(contactId, userId, applicationId);
+
+    if (!contact) {
+      const error = new Error('Contact not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return contact;
+  }
+
+  /**
+   * Find a contact or throw 404
+   */
+  async findContactOrThrow(userId, contactId) {
+    const contact = await contactRepository.findByIdAndUserId(contactId, userId);
+    if (!contact) {
+      const error = new Error('Contact not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return contact;
+  }
+
+  /**
+   * Applications linked to a contact (trash excluded), with their relationship
+   */
+  async findLinkedApplications(userId, contact) {
+    if (contact.applications.length === 0) return [];
+
+    const relationships = new Map(
+      contact.applications.map((link) => [link.application.toString(), link.relationship])
+    );
+    const applications = await jobApplicationRepository.findAllByUserId(
+      userId,
+      APPLICATION_FIELDS,
+      { _id: { $in: [...relationships.keys()] } }
+    );
+
+    return applications
+      .map((application) => ({
+        ...application,
+        relationship: relationships.get(application._id.toString()),
+      }))
+      .sort((a, b) => new Date(b.dateApplied || 0) - new Date(a.dateApplied || 0));
+  }
+
+  /**
+   * Throw 404 unless every application exists, belongs to the user and is not in the trash
+   */
+  async assertApplicationsOwned(userId, applicationIds) {
+    if (applicationIds.length === 0) return;
+
+    const found = await jobApplicationRepository.findAllByUserId(userId, '_id', {
+      _id: { $in: applicationIds },
+    });
+    if (found.length !== new Set(applicationIds.map(String)).size) {
+      const error = new Error('Job application not found');
+      error.statusCode = 404;
+      throw error;
+    }
+  }
+
+  /**
+   * Turn [{ applicationId, relationship }] into links, keeping the first link per application
+   */
+  uniqueLinks(applications = []) {
+    const links = new Map();
+    applications.forEach(({ applicationId, relationship }) => {
+      if (!links.has(applicationId)) links.set(applicationId, { application: applicationId, relationship });
+    });
+    return [...links.values()];
+  }
+
+  /**
+   * Pick and trim the editable contact fields
+   */
+  prepareFields(data = {}) {
+    const fields = {};
+    TEXT_FIELDS.forEach((field) => {
+      if (typeof data[field] === 'string') fields[field] = data[field].trim();
+    });
+    if (data.lastContactedAt !== undefined) {
+      fields.lastContactedAt = data.lastContactedAt ? new Date(data.lastContactedAt) : null;
+    }
+    return fields;
+  }
+}
+
+export default new ContactService();
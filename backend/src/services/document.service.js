@@ -0,0 +1,439 @@
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { isUtf8 } from 'buffer';
+import documentRepository from '../repositories/document.repository.js';
+import jobApplicationRepository from '../repositories/jobApplication.repository.js';
+import storage from '../storage/index.js';
+import {
+  DOCUMENT_FILE_TYPES,
+  MAX_DOCUMENT_VERSIONS,
+  MAX_DOCUMENT_APPLICATIONS,
+} from '../models/document.constants.js';
+
+// Application fields returned with a document
+const APPLICATION_FIELDS = 'company companyId jobTitle status dateApplied archivedAt';
+
+/**
+ * Document Service
+ *
+ * Why: Users tailor resumes and cover letters per role and later need to
+ * know exactly what they sent. Documents keep every uploaded version of a
+ * file, and each application records the version that was sent with it.
+ *
+ * Responsibilities:
+ * - List, upload, rename and delete a user's documents
+ * - Add, download and delete versions (file contents go through the storage adapter)
+ * - Check that uploaded files really are PDF, DOCX or plain text
+ * - Attach a document version to an application, change it, or detach it
+ * - Enforce ownership (404 for documents or applications that are missing or not the user's)
+ *
+ * Storage:
+ * - A file is written before its metadata and removed again if saving the metadata
+ *   fails; deleting metadata comes first and file cleanup is best effort, so a
+ *   document never points at a missing file
+ *
+ * Trash:
+ * - Links to applications in the trash are kept so a restore brings them back,
+ *   but those applications are not listed or counted
+ */
+class DocumentService {
+  /**
+   * Get a user's documents
+   * @param {string} userId - User ID
+   * @param {Object} [filters] - { q, type, applicationId }
+   * @returns {Array} Documents, each with applicationCount
+   */
+  async getDocuments(userId, { q, type, applicationId } = {}) {
+    const [documents, trashedIds] = await Promise.all([
+      documentRepository.findByUserId(userId, { q: q?.trim(), type, applicationId }),
+      jobApplicationRepository.findDeletedIdsByUserId(userId),
+    ]);
+
+    const trashed = new Set(trashedIds.map(String));
+    return documents.map((document) => {
+      const applications = document.applications.filter(
+        (link) => !trashed.has(link.application.toString())
+      );
+      return { ...this.toResponse(document), applications, applicationCount: applications.length };
+    });
+  }
+
+  /**
+   * Get a document with the applications it is attached to
+   * @param {string} userId - User ID
+   * @param {string} documentId - Document ID
+   * @returns {Object} { document, applications } - applications carry the attached version
+   */
+  async getDocumentById(userId, documentId) {
+    const document = await this.findDocumentOrThrow(userId, documentId);
+    const applications = await this.findLinkedApplications(userId, document);
+    const listed = new Set(applications.map((application) => application._id.toString()));
+
+    return {
+      document: {
+        ...this.toResponse(document),
+        applications: document.applications.filter((link) => listed.has(link.application.toString())),
+        applicationCount: applications.length,
+      },
+      applications,
+    };
+  }
+
+  /**
+   * Upload a new document (its first version)
+   * @param {string} userId - User ID
+   * @param {Object} file - Uploaded file (multer memory file)
+   * @param {Object} data - { name, type, notes } - name defaults to the file name
+   * @returns {Object} Created document
+   */
+  async uploadDocument(userId, file, { name, type, notes } = {}) {
+    const extension = this.checkFile(file);
+    const version = await this.storeVersion(userId, file, extension, 1, notes);
+
+    try {
+      const document = await documentRepository.create({
+        user: userId,
+        name: name?.trim() || path.basename(file.originalname, path.extname(file.originalname)),
+        ...(type && { type }),
+        versions: [version],
+        latestVersion: 1,
+      });
+      return this.toResponse(document.toObject());
+    } catch (error) {
+      await this.removeFiles([version.storageKey]);
+      throw error;
+    }
+  }
+
+  /**
+   * Upload a new version of a document
+   * @param {string} userId - User ID
+   * @param {string} documentId - Document ID
+   * @param {Object} file - Uploaded file (multer memory file)
+   * @param {Object} [data] - { notes }
+   * @returns {Object} Updated document
+   */
+  async addVersion(userId, documentId, file, { notes } = {}) {
+    const extension = this.checkFile(file);
+    const current = await this.findDocumentOrThrow(userId, documentId);
+    if (current.versions.length >= MAX_DOCUMENT_VERSIONS) {
+      const error = new Error(
+        `A document can have at most ${MAX_DOCUMENT_VERSIONS} versions. Delete an old version first`
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const version = await this.storeVersion(userId, file, extension, current.latestVersion + 1, notes);
+
+    let document;
+    try {
+      document = await documentRepository.addVersion(documentId, userId, version);
+    } catch (error) {
+      await this.removeFiles([version.storageKey]);
+      throw error;
+    }
+
+    if (!document) {
+      // Another version was uploaded at the same time (or the document was deleted)
+      await this.removeFiles([version.storageKey]);
+      const error = new Error('The document changed while uploading. Please try again');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    return this.toResponse(document);
+  }
+
+  /**
+   * Read a version's file for download
+   * @param {string} userId - User ID
+   * @param {string} documentId - Document ID
+   * @param {number} versionNumber - Version number
+   * @returns {Object} { filename, contentType, body }
+   */
+  async downloadVersion(userId, documentId, versionNumber) {
+    const document = await this.findDocumentOrThrow(userId, documentId);
+    const version = this.findVersionOrThrow(document, versionNumber);
+
+    const body = await storage.read(version.storageKey);
+    if (!body) {
+      const error = new Error('File not found in storage');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    // "Backend resume v3.pdf" - plain characters only, for the Content-Disposition header
+    const baseName = document.name.replace(/[^\w .()-]+/g, '_').trim() || 'document';
+    return {
+      filename: `${baseName} v${version.version}${version.extension}`,
+      contentType: DOCUMENT_FILE_TYPES[version.extension],
+      body,
+    };
+  }
+
+  /**
+   * Delete one version of a document
+   * The only version cannot be deleted (delete the document instead), nor
+   * a version that is attached to an application.
+   * @param {string} userId - User ID
+   * @param {string} documentId - Document ID
+   * @param {number} versionNumber - Version number
+   * @returns {Object} Updated document
+   */
+  async deleteVersion(userId, documentId, versionNumber) {
+    const current = await this.findDocumentOrThrow(userId, documentId);
+    this.findVersionOrThrow(current, versionNumber);
+
+    const previous = await documentRepository.removeVersion(documentId, userId, versionNumber);
+    if (!previous) {
+      const document = await this.findDocumentOrThrow(userId, documentId);
+      const attached = document.applications.filter((link) => link.version === versionNumber).length;
+      const error = new Error(
+        attached > 0
+          ? `Version ${versionNumber} is attached to ${attached} application${attached === 1 ? '' : 's'}. Attach another version first`
+          : 'The only version of a document cannot be deleted. Delete the document instead'
+      );
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const removed = previous.versions.find((version) => version.version === versionNumber);
+    await this.removeFiles([removed.storageKey]);
+
+    return this.toResponse({
+      ...previous,
+      versions: previous.versions.filter((version) => version.version !== versionNumber),
+    });
+  }
+
+  /**
+   * Rename a document or change its type
+   * @param {string} userId - User ID
+   * @param {string} documentId - Document ID
+   * @param {Object} updateData - { name, type }
+   * @returns {Object} Updated document
+   */
+  async updateDocument(userId, documentId, { name, type } = {}) {
+    const document = await documentRepository.updateByIdAndUserId(documentId, userId, {
+      ...(typeof name === 'string' && { name: name.trim() }),
+      ...(type && { type }),
+    });
+
+    if (!document) {
+      const error = new Error('Document not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return this.toResponse(document);
+  }
+
+  /**
+   * Delete a document, all its versions and its application links
+   * @param {string} userId - User ID
+   * @param {string} documentId - Document ID
+   * @returns {Object} Deleted document
+   */
+  async deleteDocument(userId, documentId) {
+    const document = await documentRepository.deleteByIdAndUserId(documentId, userId);
+
+    if (!document) {
+      const error = new Error('Document not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    await this.removeFiles(document.versions.map((version) => version.storageKey));
+
+    return this.toResponse(document);
+  }
+
+  /**
+   * Attach a document version to an application, or change the attached version
+   * @param {string} userId - User ID
+   * @param {string} documentId - Document ID
+   * @param {string} applicationId - Application ID
+   * @param {number} versionNumber - Version number
+   * @returns {Object} Updated document
+   */
+  async attachToApplication(userId, documentId, applicationId, versionNumber) {
+    const current = await this.findDocumentOrThrow(userId, documentId);
+    this.findVersionOrThrow(current, versionNumber);
+    await this.assertApplicationOwned(userId, applicationId);
+
+    const document =
+      (await documentRepository.updateApplicationLink(documentId, userId, applicationId, versionNumber))
+      || (await documentRepository.addApplicationLink(documentId, userId, applicationId, versionNumber));
+
+    if (!document) {
+      // Attached in the meantime, version deleted or at the limit
+      const latest = await this.findDocumentOrThrow(userId, documentId);
+      this.findVersionOrThrow(latest, versionNumber);
+      const updated = await documentRepository.updateApplicationLink(documentId, userId, applicationId, versionNumber);
+      if (updated) return this.toResponse(updated);
+
+      const error = new Error(`A document can be attached to at most ${MAX_DOCUMENT_APPLICATIONS} applications`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return this.toResponse(document);
+  }
+
+  /**
+   * Detach a document from an application
+   * @param {string} userId - User ID
+   * @param {string} documentId - Document ID
+   * @param {string} applicationId - Application ID
+   * @returns {Object} Updated document
+   */
+  async detachFromApplication(userId, documentId, applicationId) {
+    const document = await documentRepository.removeApplicationLink(documentId, userId, applicationId);
+
+    if (!document) {
+      const error = new Error('Document not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return this.toResponse(document);
+  }
+
+  /**
+   * Find a document or throw 404
+   */
+  async findDocumentOrThrow(userId, documentId) {
+    const document = await documentRepository.findByIdAndUserId(documentId, userId);
+    if (!document) {
+      const error = new Error('Document not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return document;
+  }
+
+  /**
+   * Find a version of a document or throw 404
+   */
+  findVersionOrThrow(document, versionNumber) {
+    const version = document.versions.find((item) => item.version === versionNumber);
+    if (!version) {
+      const error = new Error(`Version ${versionNumber} not found`);
+      error.statusCode = 404;
+      throw error;
+    }
+    return version;
+  }
+
+  /**
+   * Throw 404 unless the application exists, belongs to the user and is not in the trash
+   */
+  async assertApplicationOwned(userId, applicationId) {
+    const found = await jobApplicationRepository.findAllByUserId(userId, '_id', { _id: applicationId });
+    if (found.length === 0) {
+      const error = new Error('Job application not found');
+      error.statusCode = 404;
+      throw error;
+    }
+  }
+
+  /**
+   * Applications a document is attached to (trash excluded), with the attached version
+   */
+  async findLinkedApplications(userId, document) {
+    if (document.applications.length === 0) return [];
+
+    const versions = new Map(
+      document.applications.map((link) => [link.application.toString(), link.version])
+    );
+    const applications = await jobApplicationRepository.findAllByUserId(
+      userId,
+      APPLICATION_FIELDS,
+      { _id: { $in: [...versions.keys()] } }
+    );
+
+    return applications
+      .map((application) => ({
+        ...application,
+        version: versions.get(application._id.toString()),
+      }))
+      .sort((a, b) => new Date(b.dateApplied || 0) - new Date(a.dateApplied || 0));
+  }
+
+  /**
+   * Check an uploaded file's contents match its extension
+   * The upload middleware only checks the name, so a renamed file is caught here.
+   * @returns {string} Lowercase extension
+   */
+  checkFile(file) {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    const { buffer } = file;
+
+    let valid;
+    if (extension === '.pdf') {
+      valid = buffer.subarray(0, 5).toString('latin1') === '%PDF-';
+    } else if (extension === '.docx') {
+      // DOCX files are ZIP archives
+      valid = buffer.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]));
+    } else if (extension === '.txt') {
+      valid = buffer.length > 0 && !buffer.includes(0) && isUtf8(buffer);
+    }
+
+    if (!valid) {
+      const error = new Error(
+        extension in DOCUMENT_FILE_TYPES
+          ? `File is not a valid ${extension.slice(1).toUpperCase()} file`
+          : `Unsupported file type. Allowed: ${Object.keys(DOCUMENT_FILE_TYPES).join(', ')}`
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return extension;
+  }
+
+  /**
+   * Write a file to storage and return its version metadata
+   */
+  async storeVersion(userId, file, extension, versionNumber, notes) {
+    const storageKey = `documents/${userId}/${randomUUID()}${extension}`;
+    await storage.save(storageKey, file.buffer);
+
+    return {
+      version: versionNumber,
+      originalName: file.originalname,
+      extension,
+      size: file.size,
+      storageKey,
+      notes: notes?.trim() || '',
+      uploadedAt: new Date(),
+    };
+  }
+
+  /**
+   * Delete files from storage; failures are logged, not thrown
+   * (the metadata is already gone, so an orphaned file is harmless)
+   */
+  async removeFiles(storageKeys) {
+    await Promise.all(
+      storageKeys.map((key) =>
+        storage.delete(key).catch((error) => {
+          console.error(`Failed to delete stored file ${key}:`, error.message);
+        })
+      )
+    );
+  }
+
+  /**
+   * Drop storage keys (internal) from a document's versions
+   */
+  toResponse(document) {
+    return {
+      ...document,
+      versions: document.versions.map(({ storageKey, ...version }) => version),
+    };
+  }
+}
+
+export default new DocumentService();
@@ -0,0 +1,198 @@
+import interviewRoundRepository from '../repositories/interviewRound.repository.js';
+import jobApplicationRepository from '../repositories/jobApplication.repository.js';
+import reminderRepository from '../repositories/reminder.repository.js';
+import reminderService from './reminder.service.js';
+import { MAX_ROUNDS_PER_APPLICATION } from '../models/interviewRound.constants.js';
+
+// Round fields copied as-is (trimmed) when creating or updating a round
+const TEXT_FIELDS = ['name', 'timezone', 'location', 'meetingUrl'];
+
+// Changes to these fields regenerate the round's reminder
+const SCHEDULE_FIELDS = ['name', 'scheduledStart', 'outcome'];
+
+/**
+ * Interview Round Service
+ *
+ * Why: The application status only says that the user is interviewing, not
+ * when, where or with whom. Rounds record each interview of an application
+ * with its real schedule, so reminders fire before the actual interview and
+ * the user can look back on how each round went.
+ *
+ * Responsibilities:
+ * - List, create, update and delete the rounds of an application
+ * - Keep each round's interview reminder in sync with its schedule and outcome
+ * - Enforce ownership (404 for applications or rounds that are missing or not the user's)
+ *
+ * Time zones:
+ * - Times are stored in UTC; timezone records where the round takes place
+ *   so it can be displayed in that zone
+ */
+class InterviewRoundService {
+  /**
+   * Get the rounds of an application
+   * @param {string} userId - User ID
+   * @param {string} applicationId - Application ID
+   * @returns {Array} Rounds, scheduled ones first in time order
+   */
+  async getRounds(userId, applicationId) {
+    await this.findApplicationOrThrow(userId, applicationId);
+    return await interviewRoundRepository.findByApplicationId(userId, applicationId);
+  }
+
+  /**
+   * Create a round and its reminder
+   * @param {string} userId - User ID
+   * @param {string} applicationId - Application ID
+   * @param {Object} roundData - Round fields
+   * @returns {Object} Created round
+   */
+  async createRound(userId, applicationId, roundData) {
+    const application = await this.findApplicationOrThrow(userId, applicationId);
+
+    const count = await interviewRoundRepository.countByApplicationId(userId, applicationId);
+    if (count >= MAX_ROUNDS_PER_APPLICATION) {
+      const error = new Error(`An application cannot have more than ${MAX_ROUNDS_PER_APPLICATION} interview rounds`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const round = await interviewRoundRepository.create({
+      ...this.prepareFields(roundData),
+      user: userId,
+      application: applicationId,
+    });
+
+    await reminderService.syncInterviewRoundReminder(userId, application, round);
+    return round.toObject();
+  }
+
+  /**
+   * Update a round; its reminder is regenerated when the schedule or outcome changes
+   * @param {string} userId - User ID
+   * @param {string} applicationId - Application ID
+   * @param {string} roundId - Round ID
+   * @param {Object} updateData - Fields to change
+   * @returns {Object} Updated round
+   */
+  async updateRound(userId, applicationId, roundId, updateData) {
+    const application = await this.findApplicationOrThrow(userId, applicationId);
+    const round = await this.findRoundOrThrow(userId, applicationId, roundId);
+
+    const { selfAssessment, ...fields } = this.prepareFields(updateData);
+    const scheduleChanged = SCHEDULE_FIELDS.some(
+      (field) => fields[field] !== undefined
+        && JSON.stringify(fields[field]) !== JSON.stringify(round[field])
+    );
+
+    round.set(fields);
+    // Set one by one so a rating update keeps the notes and vice versa
+    Object.entries(selfAssessment || {}).forEach(([field, value]) => {
+      round.set(`selfAssessment.${field}`, value);
+    });
+
+    if (round.scheduledStart && round.scheduledEnd && round.scheduledEnd < round.scheduledStart) {
+      const error = new Error('End time cannot be before the start time');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    await round.save();
+
+    if (scheduleChanged) {
+      await reminderService.syncInterviewRoundReminder(userId, application, round);
+    }
+    return round.toObject();
+  }
+
+  /**
+   * Delete a round and the reminders generated for it
+   * @param {string} userId - User ID
+   * @param {string} applicationId - Application ID
+   * @param {string} roundId - Round ID
+   * @returns {Object} Deleted round
+   */
+  async deleteRound(userId, applicationId, roundId) {
+    await this.findApplicationOrThrow(userId, applicationId);
+
+    const round = await interviewRoundRepository.deleteByIdAndApplicationId(roundId, applicationId, userId);
+    if (!round) {
+      const error = new Error('Interview round not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    await reminderRepository.deleteByInterviewRoundId(roundId);
+    return round;
+  }
+
+  /**
+   * Find an application of the user (not in the trash) or throw 404
+   */
+  async findApplicationOrThrow(userId, applicationId) {
+    const application = await jobApplicationRepository.findByIdAndUserId(applicationId, userId);
+    if (!application) {
+      const error = new Error('Job application not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return application;
+  }
+
+  /**
+   * Find a round of the application or throw 404
+   */
+  async findRoundOrThrow(userId, applicationId, roundId) {
+    const round = await interviewRoundRepository.findByIdAndApplicationId(roundId, applicationId, userId);
+    if (!round) {
+      const error = new Error('Interview round not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return round;
+  }
+
+  /**
+   * Keep only round fields, trimmed, with dates parsed (null clears a time)
+   */
+  prepareFields(data) {
+    const fields = {};
+
+    TEXT_FIELDS.forEach((field) => {
+      if (data[field] !== undefined) {
+        fields[field] = data[field].trim();
+      }
+    });
+
+    ['type', 'outcome'].forEach((field) => {
+      if (data[field] !== undefined) {
+        fields[field] = data[field];
+      }
+    });
+
+    ['scheduledStart', 'scheduledEnd'].forEach((field) => {
+      if (data[field] !== undefined) {
+        fields[field] = data[field] ? new Date(data[field]) : null;
+      }
+    });
+
+    if (data.interviewers !== undefined) {
+      fields.interviewers = data.interviewers
+        .map(({ name, role }) => ({ name: name.trim(), role: role?.trim() || '' }))
+        .filter((interviewer) => interviewer.name);
+    }
+
+    if (data.selfAssessment !== undefined) {
+      fields.selfAssessment = {};
+      if (data.selfAssessment.rating !== undefined) {
+        fields.selfAssessment.rating = data.selfAssessment.rating;
+      }
+      if (data.selfAssessment.notes !== undefined) {
+        fields.selfAssessment.notes = data.selfAssessment.notes.trim();
+      }
+    }
+
+    return fields;
+  }
+}
+
+export default new InterviewRoundService();
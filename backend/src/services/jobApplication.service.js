@@ -1,9 +1,32 @@
 import jobApplicationRepository from '../repositories/jobApplication.repository.js';
-import { APPLICATION_STATUS } from '../models/jobApplication.constants.js';
+import {
+  BOARD_CARD_FIELDS,
+  SEARCH_FIELD_WEIGHTS,
+  BULK_ACTION,
+  MAX_TAGS_PER_APPLICATION,
+  TRASH_PURGE_BATCH_SIZE,
+  SALARY_PERIOD,
+  UNSET_FILTER_VALUE,
+  EXTRACTED_DETAIL_FIELDS,
+} from '../models/jobApplication.constants.js';
+import { DEFAULT_CURRENCY } from '../models/offer.constants.js';
+import { buildHighlightPattern, buildHighlights } from '../utils/search.js';
 import aiService from './ai.service.js';
 import EmailService from '../emails/index.js';
 import userRepository from '../repositories/user.repository.js';
 import reminderService from './reminder.service.js';
+import statusHistoryRepository from '../repositories/statusHistory.repository.js';
+import pipelineService from './pipeline.service.js';
+import tagService from './tag.service.js';
+import companyService from './company.service.js';
+import resumeService from './resume.service.js';
+import { STAGE_CATEGORY } from '../models/pipeline.constants.js';
+import reminderRepository from '../repositories/reminder.repository.js';
+import contactRepository from '../repositories/contact.repository.js';
+import interviewRoundRepository from '../repositories/interviewRound.repository.js';
+import offerRepository from '../repositories/offer.repository.js';
+import documentRepository from '../repositories/document.repository.js';
+import config from '../config/index.js';
 
 /**
  * Job Application Service
@@ -33,20 +56,104 @@ class JobApplicationService {
    * @param {Object} applicationData - Application data
    */
   async createApplication(userId, applicationData) {
+    // New applications start in the user's default stage unless one is given
+    let status;
+    if (applicationData.status) {
+      await this.validateStatusTransition(userId, applicationData.status);
+      status = applicationData.status;
+    } else {
+      status = await pipelineService.getDefaultStageKey(userId);
+    }
+
+    // Tags take the spelling of the user's existing tags; new names become tags
+    const tags = await tagService.resolveTagNames(userId, this.normalizeTags(applicationData.tags));
+
+    // Link to the company matching the name, creating it on first use
+    const companyId = await companyService.resolveCompanyId(userId, applicationData.company);
+
+    // The resume sent must be one of the user's
+    if (applicationData.resumeId) {
+      await resumeService.assertResumeOwned(userId, applicationData.resumeId);
+    }
+
     // Automatically associate application with authenticated user
     const application = await jobApplicationRepository.create({
       ...applicationData,
       user: userId,
+      status,
       company: applicationData.company.trim(),
       jobTitle: applicationData.jobTitle.trim(),
       jobLink: applicationData.jobLink?.trim() || '',
       source: applicationData.source?.trim() || '',
       notes: applicationData.notes?.trim() || '',
+      tags,
+      companyId,
+      salary: this.normalizeSalary(applicationData.salary),
+      // Same clean-up as tags: trimmed, no duplicates
+      locations: this.normalizeTags(applicationData.locations),
+      requiredSkills: this.normalizeTags(applicationData.requiredSkills),
+      niceToHaveSkills: this.normalizeTags(applicationData.niceToHaveSkills),
     });
 
+    // Record the initial status as the first timeline entry
+    await this.recordStatusChange(userId, application, null, application.status);
+
     return application;
   }
 
+  /**
+   * Create many applications at once (spreadsheet imports)
+   * Rows are already validated and normalized by the import service;
+   * statuses must be stages of the user's pipeline.
+   * @param {string} userId - Authenticated user's ID
+   * @param {Array} applications - Application data
+   * @returns {Array} Created applications
+   */
+  async importApplications(userId, applications) {
+    const created = await jobApplicationRepository.createMany(
+      applications.map((applicationData) => ({
+        ...applicationData,
+        user: userId,
+        company: applicationData.company.trim(),
+        jobTitle: applicationData.jobTitle.trim(),
+        jobLink: applicationData.jobLink?.trim() || '',
+        source: applicationData.source?.trim() || '',
+        notes: applicationData.notes?.trim() || '',
+        dateApplied: applicationData.dateApplied ? new Date(applicationData.dateApplied) : null,
+      }))
+    );
+
+    // Each imported application starts its timeline at its imported status
+    try {
+      const stages = await pipelineService.getStages(userId);
+      const now = new Date();
+      await statusHistoryRepository.createMany(
+        created.map((application) => ({
+          user: userId,
+          application: application._id,
+          fromStatus: null,
+          toStatus: application.status,
+          fromCategory: null,
+          toCategory: pipelineService.getCategory(stages, application.status),
+          changedBy: userId,
+          changedAt: now,
+          note: 'Imported from spreadsheet',
+        }))
+      );
+    } catch (error) {
+      console.error('Error recording status history:', error.message);
+    }
+
+    // Link the imported applications to their companies (non-blocking)
+    try {
+      await companyService.syncCompanies(userId);
+    } catch (error) {
+      console.error('Error linking companies:', error.message);
+    }
+
+    return created;
+  }
+
   /**
    * Get application by ID (with ownership check)
    * @param {string} userId - Authenticated user's ID
@@ -70,12 +177,274 @@ class JobApplicationService {
 
   /**
    * Get all applications for a user (with pagination and filtering)
+   * When searching (q), each application gets a relevance score and
+   * highlighted snippets showing where it matched.
    * @param {string} userId - Authenticated user's ID
-   * @param {Object} options - Query options (status, page, limit, sortBy, sortOrder)
+   * @param {Object} options - Pagination/sort options (page, limit, sortBy, sortOrder)
+   *   plus raw list filters (see parseListFilters)
    */
   async getUserApplications(userId, options = {}) {
+    const { page, limit, sortBy, sortOrder } = options;
+    const filters = this.parseListFilters(options);
+    const { q } = filters;
+
     // Repository automatically filters by userId
-    return await jobApplicationRepository.findByUserId(userId, options);
+    const result = await jobApplicationRepository.findByUserId(userId, {
+      ...filters,
+      page,
+      limit,
+      sortBy,
+      sortOrder,
+    });
+
+    if (q) {
+      const pattern = buildHighlightPattern(q);
+      const fields = Object.keys(SEARCH_FIELD_WEIGHTS);
+      result.applications = result.applications.map((application) => ({
+        ...application,
+        searchHighlights: buildHighlights(application, fields, pattern),
+      }));
+    }
+
+    return result;
+  }
+
+  /**
+   * Convert raw list filter query parameters into repository filters
+   * Values arrive as strings (already validated by getJobApplicationsQuerySchema).
+   * @param {Object} query - Raw filters (status, q, dateAppliedFrom, dateAppliedTo,
+   *   appliedMoreThanDaysAgo, appliedWithinDays, createdFrom, createdTo, source,
+   *   tags, hasAnalysis, minMatchScore, maxMatchScore, salaryMin, salaryMax,
+   *   salaryCurrency, hasSalary, location, remotePolicy, employmentType, seniority,
+   *   visaSponsorship, skills, maxYearsOfExperience, includeArchived)
+   * @returns {Object} Filters for jobApplicationRepository.buildListQuery
+   */
+  parseListFilters(query = {}) {
+    const filters = {};
+
+    if (query.status) {
+      filters.statuses = [...new Set(
+        String(query.status).split(',').map((status) => status.trim()).filter(Boolean)
+      )];
+    }
+
+    const q = query.q?.trim();
+    if (q) filters.q = q;
+
+    const dateApplied = this.parseDateRange(query.dateAppliedFrom, query.dateAppliedTo);
+    if (dateApplied) filters.dateApplied = dateApplied;
+
+    // Relative bounds narrow the absolute range when both are given
+    const appliedBefore = this.daysAgo(query.appliedMoreThanDaysAgo);
+    const appliedAfter = this.daysAgo(query.appliedWithinDays);
+    if (appliedBefore || appliedAfter) {
+      filters.dateApplied = { ...filters.dateApplied };
+      if (appliedBefore && (!filters.dateApplied.to || appliedBefore < filters.dateApplied.to)) {
+        filters.dateApplied.to = appliedBefore;
+      }
+      if (appliedAfter && (!filters.dateApplied.from || appliedAfter > filters.dateApplied.from)) {
+        filters.dateApplied.from = appliedAfter;
+      }
+    }
+
+    const createdAt = this.parseDateRange(query.createdFrom, query.createdTo);
+    if (createdAt) filters.createdAt = createdAt;
+
+    const source = query.source?.trim();
+    if (source) filters.source = source;
+
+    if (query.tags) {
+      const tags = this.normalizeTags(String(query.tags).split(','));
+      if (tags.length > 0) filters.tags = tags;
+    }
+
+    if (query.hasAnalysis === 'true' || query.hasAnalysis === true) filters.hasAnalysis = true;
+    if (query.hasAnalysis === 'false' || query.hasAnalysis === false) filters.hasAnalysis = false;
+
+    if (query.minMatchScore !== undefined && query.minMatchScore !== '') {
+      filters.minMatchScore = Number(query.minMatchScore);
+    }
+    if (query.maxMatchScore !== undefined && query.maxMatchScore !== '') {
+      filters.maxMatchScore = Number(query.maxMatchScore);
+    }
+
+    // Salary bounds are yearly amounts in salaryCurrency (USD by default)
+    if (query.salaryMin !== undefined && query.salaryMin !== '') {
+      filters.salaryMin = Number(query.salaryMin);
+    }
+    if (query.salaryMax !== undefined && query.salaryMax !== '') {
+      filters.salaryMax = Number(query.salaryMax);
+    }
+    if (filters.salaryMin !== undefined || filters.salaryMax !== undefined) {
+      filters.salaryCurrency = query.salaryCurrency?.trim().toUpperCase() || DEFAULT_CURRENCY;
+    }
+
+    if (query.hasSalary === 'true' || query.hasSalary === true) filters.hasSalary = true;
+    if (query.hasSalary === 'false' || query.hasSalary === false) filters.hasSalary = false;
+
+    const location = query.location?.trim();
+    if (location) filters.location = location;
+
+    // Job details: any of the listed values, "none" standing for not set (null)
+    ['remotePolicy', 'employmentType', 'seniority'].forEach((field) => {
+      if (!query[field]) return;
+      filters[field] = [...new Set(
+        String(query[field]).split(',').map((value) => value.trim()).filter(Boolean)
+      )].map((value) => (value === UNSET_FILTER_VALUE ? null : value));
+    });
+
+    if (query.visaSponsorship !== undefined && query.visaSponsorship !== '') {
+      const visaSponsorship = String(query.visaSponsorship);
+      filters.visaSponsorship = visaSponsorship === UNSET_FILTER_VALUE ? null : visaSponsorship === 'true';
+    }
+
+    if (query.skills) {
+      const skills = this.normalizeTags(String(query.skills).split(','));
+      if (skills.length > 0) filters.skills = skills;
+    }
+
+    if (query.maxYearsOfExperience !== undefined && query.maxYearsOfExperience !== '') {
+      filters.maxYearsOfExperience = Number(query.maxYearsOfExperience);
+    }
+
+    if (query.includeArchived === 'true' || query.includeArchived === true) {
+      filters.includeArchived = true;
+    }
+
+    return filters;
+  }
+
+  /**
+   * Fill in and check a salary, on top of the current one when updating
+   * Fields left out keep their current value; null clears an amount.
+   * @param {Object} [salary] - { min?, max?, currency?, period?, expected? }
+   * @param {Object} [current] - Current salary of the application
+   * @returns {Object} { min, max, currency, period, expected }
+   */
+  normalizeSalary(salary = {}, current = {}) {
+    const merged = { ...current, ...salary };
+    const normalized = {
+      min: merged.min ?? null,
+      max: merged.max ?? null,
+      currency: (merged.currency || DEFAULT_CURRENCY).trim().toUpperCase(),
+      period: merged.period || SALARY_PERIOD.ANNUAL,
+      expected: merged.expected ?? null,
+    };
+
+    if (normalized.min !== null && normalized.max !== null && normalized.min > normalized.max) {
+      const error = new Error('Maximum salary must be greater than or equal to minimum salary');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Parse a from/to pair of date strings into a range
+   * A date-only "to" (YYYY-MM-DD) covers that whole day.
+   * @param {string} [from] - Start date
+   * @param {string} [to] - End date
+   * @returns {Object|null} { from?: Date, to?: Date } or null if neither is set
+   */
+  parseDateRange(from, to) {
+    if (!from && !to) return null;
+
+    const range = {};
+    if (from) range.from = new Date(from);
+    if (to) {
+      range.to = new Date(to);
+      if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+        range.to.setUTCHours(23, 59, 59, 999);
+      }
+    }
+    return range;
+  }
+
+  /**
+   * Date that is a number of days before now
+   * @param {string|number} [days] - Number of days
+   * @returns {Date|null} Date or null if days is not set
+   */
+  daysAgo(days) {
+    if (days === undefined || days === null || days === '') return null;
+    const date = new Date();
+    date.setDate(date.getDate() - Number(days));
+    return date;
+  }
+
+  /**
+   * Get the distinct sources used by a user's applications (for filter controls)
+   * @param {string} userId - Authenticated user's ID
+   * @returns {Array<string>} Sources, alphabetically
+   */
+  async getSources(userId) {
+    return await jobApplicationRepository.findDistinctSourcesByUserId(userId);
+  }
+
+  /**
+   * Get all applications grouped into board columns (one per pipeline stage)
+   * Applications whose status is no longer in the pipeline get their own
+   * trailing column so they stay visible and can be dragged out.
+   * @param {string} userId - Authenticated user's ID
+   * @returns {Object} { columns: [{ key, label, category, applications }] }
+   */
+  async getBoard(userId) {
+    const [stages, applications] = await Promise.all([
+      pipelineService.getStages(userId),
+      jobApplicationRepository.findBoardByUserId(userId, BOARD_CARD_FIELDS),
+    ]);
+
+    const columns = stages.map((stage) => ({
+      key: stage.key,
+      label: stage.label,
+      category: stage.category,
+      applications: [],
+    }));
+    const columnsByKey = new Map(columns.map((column) => [column.key, column]));
+
+    // Repository returns cards in board order, so pushing preserves it
+    applications.forEach((application) => {
+      let column = columnsByKey.get(application.status);
+      if (!column) {
+        column = {
+          key: application.status,
+          label: application.status,
+          category: pipelineService.getCategory(stages, application.status),
+          applications: [],
+        };
+        columnsByKey.set(column.key, column);
+        columns.push(column);
+      }
+      column.applications.push(application);
+    });
+
+    return { columns };
+  }
+
+  /**
+   * Persist the card order of a board column
+   * Status changes go through updateApplication (history + reminders);
+   * this only stores where cards sit within a column.
+   * @param {string} userId - Authenticated user's ID
+   * @param {string} status - Column status (pipeline stage key)
+   * @param {Array<string>} applicationIds - Application IDs in display order
+   * @returns {Object} { status, updated }
+   */
+  async reorderBoardColumn(userId, status, applicationIds) {
+    await this.validateStatusTransition(userId, status);
+
+    const uniqueIds = [...new Set(applicationIds)];
+    const result = await jobApplicationRepository.updateBoardPositions(
+      userId,
+      status,
+      uniqueIds
+    );
+
+    return {
+      status,
+      updated: result.matchedCount || 0,
+    };
   }
 
   /**
@@ -101,17 +470,43 @@ class JobApplicationService {
 
     // Validate status transition if status is being updated
     if (updateData.status) {
-      this.validateStatusTransition(updateData.status);
+      await this.validateStatusTransition(userId, updateData.status);
     }
 
     // Prepare update data (trim strings)
-    const preparedData = { ...updateData };
+    // statusNote is not an application field - it annotates the status history entry
+    // companyId follows the company name and is never set directly
+    const { statusNote, companyId: _companyId, ...preparedData } = updateData;
     if (preparedData.company) preparedData.company = preparedData.company.trim();
     if (preparedData.jobTitle) preparedData.jobTitle = preparedData.jobTitle.trim();
     if (preparedData.jobLink) preparedData.jobLink = preparedData.jobLink.trim();
     if (preparedData.jobDescription !== undefined) preparedData.jobDescription = preparedData.jobDescription.trim();
     if (preparedData.source) preparedData.source = preparedData.source.trim();
     if (preparedData.notes) preparedData.notes = preparedData.notes.trim();
+    if (preparedData.tags) {
+      preparedData.tags = await tagService.resolveTagNames(userId, this.normalizeTags(preparedData.tags));
+    }
+    if (preparedData.locations) preparedData.locations = this.normalizeTags(preparedData.locations);
+    ['requiredSkills', 'niceToHaveSkills'].forEach((field) => {
+      if (preparedData[field]) preparedData[field] = this.normalizeTags(preparedData[field]);
+    });
+    if (preparedData.salary) {
+      preparedData.salary = this.normalizeSalary(
+        preparedData.salary,
+        currentApplication.toObject().salary
+      );
+    }
+    if (preparedData.company && preparedData.company !== currentApplication.company) {
+      preparedData.companyId = await companyService.resolveCompanyId(userId, preparedData.company);
+    }
+    if (preparedData.resumeId) {
+      await resumeService.assertResumeOwned(userId, preparedData.resumeId);
+    }
+
+    // A card moving to another column loses its old position until that column is reordered
+    if (preparedData.status && preparedData.status !== oldStatus) {
+      preparedData.boardPosition = null;
+    }
 
     // Repository method ensures user owns the application
     const updatedApplication = await jobApplicationRepository.updateByIdAndUserId(
@@ -126,9 +521,18 @@ class JobApplicationService {
       throw error;
     }
 
-    // Auto-create reminders if status changed (non-blocking)
+    // Record transition and auto-create reminders if status changed
     const newStatus = updatedApplication.status;
     if (oldStatus !== newStatus) {
+      await this.recordStatusChange(
+        userId,
+        updatedApplication,
+        oldStatus,
+        newStatus,
+        statusNote
+      );
+
+      // Reminder creation is non-blocking
       reminderService.autoCreateReminders(
         userId,
         updatedApplication,
@@ -144,13 +548,109 @@ class JobApplicationService {
   }
 
   /**
-   * Delete application (with ownership check)
+   * Archive or unarchive an application (with ownership check)
+   * Archived applications stay editable but are hidden from the list, the
+   * board and analytics unless includeArchived is requested.
+   * @param {string} userId - Authenticated user's ID
+   * @param {string} applicationId - Application ID
+   * @param {boolean} archived - true to archive, false to unarchive
+   * @returns {Object} Updated application
+   */
+  async setArchived(userId, applicationId, archived) {
+    const application = await this.getApplicationById(userId, applicationId);
+
+    // Already in the requested state - keep the original archive date
+    if (Boolean(application.archivedAt) === archived) {
+      return application;
+    }
+
+    const updatedApplication = await jobApplicationRepository.setArchivedByIdAndUserId(
+      applicationId,
+      userId,
+      archived
+    );
+
+    if (!updatedApplication) {
+      const error = new Error('Job application not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return updatedApplication;
+  }
+
+  /**
+   * Archive rejected applications for every user who turned on auto-archiving
+   * (archive processor). One user's failure does not stop the others.
+   * @returns {number} Number of applications archived
+   */
+  async autoArchiveRejected() {
+    const users = await userRepository.findWithAutoArchive();
+    let archived = 0;
+
+    for (const user of users) {
+      try {
+        archived += await this.autoArchiveRejectedForUser(
+          user._id.toString(),
+          user.settings.autoArchiveRejectedAfterDays
+        );
+      } catch (error) {
+        console.error(`Error auto-archiving applications for user ${user._id}:`, error.message);
+      }
+    }
+
+    return archived;
+  }
+
+  /**
+   * Archive a user's applications that have been in a rejected stage for
+   * at least the given number of days
+   * Time in the stage is measured from the last status change, or from the
+   * last update for applications without status history.
+   * @param {string} userId - User ID
+   * @param {number} days - Days after which rejected applications are archived
+   * @returns {number} Number of applications archived
+   */
+  async autoArchiveRejectedForUser(userId, days) {
+    const stages = await pipelineService.getStages(userId);
+    const rejectedKeys = stages
+      .filter((stage) => stage.category === STAGE_CATEGORY.REJECTED)
+      .map((stage) => stage.key);
+    if (rejectedKeys.length === 0) return 0;
+
+    const candidates = await jobApplicationRepository.findAllByUserId(userId, '_id updatedAt', {
+      status: { $in: rejectedKeys },
+      archivedAt: null,
+    });
+    if (candidates.length === 0) return 0;
+
+    const cutoff = this.daysAgo(days);
+    const lastChanges = await statusHistoryRepository.findLastChangeByApplicationIds(
+      userId,
+      candidates.map((application) => application._id.toString())
+    );
+    const dueIds = candidates
+      .filter((application) => {
+        const since = lastChanges[application._id.toString()] || application.updatedAt;
+        return new Date(since) <= cutoff;
+      })
+      .map((application) => application._id);
+    if (dueIds.length === 0) return 0;
+
+    const result = await jobApplicationRepository.archiveManyByIds(userId, dueIds);
+    return result.modifiedCount;
+  }
+
+  /**
+   * Move an application to the trash (with ownership check)
+   * Reminders and status history are kept so a restore brings everything
+   * back; they are deleted when the application is purged.
    * @param {string} userId - Authenticated user's ID
    * @param {string} applicationId - Application ID
    */
   async deleteApplication(userId, applicationId) {
     // Repository method ensures user owns the application
-    const deletedApplication = await jobApplicationRepository.deleteByIdAndUserId(
+    const deletedApplication = await jobApplicationRepository.softDeleteByIdAndUserId(
       applicationId,
       userId
     );
@@ -161,56 +661,323 @@ class JobApplicationService {
       throw error;
     }
 
-    // Delete all reminders associated with this application (non-blocking)
-    const reminderRepository = (await import('../repositories/reminder.repository.js')).default;
-    reminderRepository.deleteByApplicationId(applicationId).catch((error) => {
-      console.error('Error deleting reminders for application:', error.message);
-      // Don't throw - reminder deletion shouldn't break application deletion
+    return deletedApplication;
+  }
+
+  /**
+   * Get the applications in the user's trash, most recently deleted first
+   * @param {string} userId - Authenticated user's ID
+   * @param {Object} options - { page, limit }
+   * @returns {Object} { applications (with purgeAt), pagination, retentionDays }
+   */
+  async getTrash(userId, { page, limit } = {}) {
+    const result = await jobApplicationRepository.findDeletedByUserId(userId, { page, limit });
+    const retentionDays = config.TRASH_RETENTION_DAYS;
+
+    result.applications = result.applications.map((application) => {
+      const purgeAt = new Date(application.deletedAt);
+      purgeAt.setDate(purgeAt.getDate() + retentionDays);
+      return { ...application, purgeAt };
     });
 
+    return { ...result, retentionDays };
+  }
+
+  /**
+   * Restore an application from the trash (with ownership check)
+   * If its stage was removed from the pipeline while it was in the trash,
+   * it goes back to the default stage and the move is recorded in history.
+   * @param {string} userId - Authenticated user's ID
+   * @param {string} applicationId - Application ID
+   * @returns {Object} Restored application
+   */
+  async restoreApplication(userId, applicationId) {
+    const trashed = await jobApplicationRepository.findDeletedByIdAndUserId(applicationId, userId);
+
+    if (!trashed) {
+      const error = new Error('Application not found in trash');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const stages = await pipelineService.getStages(userId);
+    const stageExists = stages.some((stage) => stage.key === trashed.status);
+    const updateData = stageExists ? {} : { status: await pipelineService.getDefaultStageKey(userId) };
+
+    const restored = await jobApplicationRepository.restoreByIdAndUserId(
+      applicationId,
+      userId,
+      updateData
+    );
+
+    if (!restored) {
+      const error = new Error('Application not found in trash');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (!stageExists) {
+      await this.recordStatusChange(
+        userId,
+        restored,
+        trashed.status,
+        restored.status,
+        'Stage no longer exists - moved when restored from trash'
+      );
+    }
+
+    return restored;
+  }
+
+  /**
+   * Permanently delete an application from the trash (with ownership check)
+   * Its reminders, status history, interview rounds, contact links and document attachments are deleted too.
+   * @param {string} userId - Authenticated user's ID
+   * @param {string} applicationId - Application ID
+   */
+  async permanentlyDeleteApplication(userId, applicationId) {
+    // Only applications already in the trash can be deleted for good
+    const deletedApplication = await jobApplicationRepository.deleteByIdAndUserId(
+      applicationId,
+      userId
+    );
+
+    if (!deletedApplication) {
+      const error = new Error('Application not found in trash');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    await Promise.all([
+      reminderRepository.deleteByApplicationId(applicationId),
+      statusHistoryRepository.deleteByApplicationId(applicationId),
+      contactRepository.removeApplicationLinks([applicationId]),
+      documentRepository.removeApplicationLinks([applicationId]),
+      interviewRoundRepository.deleteByApplicationId(applicationId),
+      offerRepository.deleteByApplicationId(applicationId),
+    ]);
+
     return deletedApplication;
   }
 
+  /**
+   * Permanently delete applications that have been in the trash longer than
+   * the retention period, with their reminders, history, interview rounds, offers, contact links
+   * and document attachments (trash processor)
+   * @param {Date} cutoff - Purge applications deleted before this date
+   * @returns {number} Number of applications purged
+   */
+  async purgeTrash(cutoff) {
+    let purged = 0;
+
+    // Children first: if a batch fails halfway, the applications are still
+    // in the trash and the next run picks them up again
+    for (;;) {
+      const batch = await jobApplicationRepository.findDeletedBefore(cutoff, TRASH_PURGE_BATCH_SIZE);
+      if (batch.length === 0) break;
+
+      const ids = batch.map((application) => application._id);
+      await Promise.all([
+        reminderRepository.deleteByApplicationIds(ids),
+        statusHistoryRepository.deleteByApplicationIds(ids),
+        contactRepository.removeApplicationLinks(ids),
+        documentRepository.removeApplicationLinks(ids),
+        interviewRoundRepository.deleteByApplicationIds(ids),
+        offerRepository.deleteByApplicationIds(ids),
+      ]);
+      const result = await jobApplicationRepository.deleteDeletedByIds(ids);
+      purged += result.deletedCount;
+
+      if (batch.length < TRASH_PURGE_BATCH_SIZE) break;
+    }
+
+    return purged;
+  }
+
+  /**
+   * Apply one action to several applications
+   * Every item goes through the single-application methods, so ownership
+   * checks, status history and reminder side effects are the same as for
+   * one-by-one edits. A failing item does not stop the others.
+   * @param {string} userId - Authenticated user's ID
+   * @param {Object} bulkData - { action, applicationIds, ...action fields }
+   * @returns {Object} { action, results: [{ id, success, ... }], summary }
+   */
+  async bulkUpdate(userId, bulkData) {
+    const { action, applicationIds } = bulkData;
+    const ids = [...new Set(applicationIds)];
+
+    // Request-level problems fail the whole batch up front
+    if (action === BULK_ACTION.STATUS) {
+      await this.validateStatusTransition(userId, bulkData.status);
+    }
+
+    const results = [];
+    for (const id of ids) {
+      try {
+        const result = await this.runBulkAction(userId, id, bulkData);
+        results.push({ id, success: true, ...result });
+      } catch (error) {
+        results.push({
+          id,
+          success: false,
+          statusCode: error.statusCode || 500,
+          message: error.message || 'Failed to update application',
+        });
+      }
+    }
+
+    const succeeded = results.filter((result) => result.success).length;
+    return {
+      action,
+      results,
+      summary: { total: results.length, succeeded, failed: results.length - succeeded },
+    };
+  }
+
+  /**
+   * Run a bulk action on one application
+   * @returns {Object} Extra result fields for the item
+   */
+  async runBulkAction(userId, applicationId, bulkData) {
+    switch (bulkData.action) {
+      case BULK_ACTION.STATUS: {
+        const application = await this.updateApplication(userId, applicationId, {
+          status: bulkData.status,
+          ...(bulkData.statusNote && { statusNote: bulkData.statusNote }),
+        });
+        return { status: application.status };
+      }
+      case BULK_ACTION.DELETE:
+        await this.deleteApplication(userId, applicationId);
+        return {};
+      case BULK_ACTION.TAG: {
+        const application = await this.getApplicationById(userId, applicationId);
+        const removed = new Set(this.normalizeTags(bulkData.removeTags).map((tag) => tag.toLowerCase()));
+        const tags = this.normalizeTags([
+          ...(application.tags || []).filter((tag) => !removed.has(tag.toLowerCase())),
+          ...this.normalizeTags(bulkData.addTags),
+        ]);
+        if (tags.length > MAX_TAGS_PER_APPLICATION) {
+          const error = new Error(`An application cannot have more than ${MAX_TAGS_PER_APPLICATION} tags`);
+          error.statusCode = 400;
+          throw error;
+        }
+        const updated = await this.updateApplication(userId, applicationId, { tags });
+        return { tags: updated.tags };
+      }
+      case BULK_ACTION.REMINDER: {
+        const reminder = await reminderService.createReminder(userId, {
+          applicationId,
+          reminderDate: bulkData.reminderDate,
+          reminderType: bulkData.reminderType,
+          notes: bulkData.notes,
+        });
+        return { reminderId: reminder._id };
+      }
+      default: {
+        const error = new Error(`Unknown bulk action: ${bulkData.action}`);
+        error.statusCode = 400;
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Trim tags and drop empty and duplicate ones (case-insensitive, first spelling wins)
+   * @param {Array<string>} [tags] - Raw tags
+   * @returns {Array<string>} Clean tags
+   */
+  normalizeTags(tags = []) {
+    const seen = new Set();
+    return tags
+      .map((tag) => String(tag).trim())
+      .filter((tag) => {
+        const key = tag.toLowerCase();
+        if (!tag || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  }
+
+  /**
+   * Get status change timeline for an application (with ownership check)
+   * @param {string} userId - Authenticated user's ID
+   * @param {string} applicationId - Application ID
+   * @returns {Array} Status history entries, oldest first
+   */
+  async getApplicationTimeline(userId, applicationId) {
+    // Verify ownership first so other users' IDs return 404
+    await this.getApplicationById(userId, applicationId);
+
+    return await statusHistoryRepository.findByApplicationId(applicationId, userId);
+  }
+
+  /**
+   * Persist a status transition in the status history
+   * Failures are logged but never break the application write that triggered them
+   * @param {string} userId - User who made the change
+   * @param {Object} application - Job application after the change
+   * @param {string|null} fromStatus - Previous status (null on creation)
+   * @param {string} toStatus - New status
+   * @param {string} [note] - Optional note describing the transition
+   */
+  async recordStatusChange(userId, application, fromStatus, toStatus, note = '') {
+    try {
+      const stages = await pipelineService.getStages(userId);
+      await statusHistoryRepository.create({
+        user: application.user,
+        application: application._id,
+        fromStatus,
+        toStatus,
+        fromCategory: pipelineService.getCategory(stages, fromStatus),
+        toCategory: pipelineService.getCategory(stages, toStatus),
+        changedBy: userId,
+        changedAt: new Date(),
+        note: note?.trim() || '',
+      });
+    } catch (error) {
+      console.error('Error recording status history:', error.message);
+    }
+  }
+
   /**
    * Get application statistics for a user
+   * byStatus is grouped by stage category so it stays comparable across
+   * pipelines; byStage has the per-stage counts in pipeline order.
    * @param {string} userId - Authenticated user's ID
    */
   async getStatistics(userId) {
     // Repository automatically filters by userId
     const stats = await jobApplicationRepository.getStatisticsByUserId(userId);
     const total = await jobApplicationRepository.countByUserId(userId);
+    const stages = await pipelineService.getStages(userId);
 
     return {
       total,
-      byStatus: {
-        saved: stats[APPLICATION_STATUS.SAVED] || 0,
-        applied: stats[APPLICATION_STATUS.APPLIED] || 0,
-        interview: stats[APPLICATION_STATUS.INTERVIEW] || 0,
-        offer: stats[APPLICATION_STATUS.OFFER] || 0,
-        rejected: stats[APPLICATION_STATUS.REJECTED] || 0,
-      },
+      byStatus: pipelineService.countByCategory(stats, stages),
+      byStage: pipelineService.formatStageCounts(stats, stages),
     };
   }
 
   /**
    * Validate status value (business rule)
+   * The status must be a stage in the user's pipeline.
+   * @param {string} userId - Authenticated user's ID
    * @param {string} status - Status to validate
    */
-  validateStatusTransition(status) {
-    if (!Object.values(APPLICATION_STATUS).includes(status)) {
-      const error = new Error(`Invalid status: ${status}`);
-      error.statusCode = 400;
-      throw error;
-    }
+  async validateStatusTransition(userId, status) {
+    await pipelineService.assertValidStage(userId, status);
   }
 
   /**
    * Generate and persist resume match analysis for a job application
    * @param {string} userId - Authenticated user's ID
    * @param {string} applicationId - Job application ID
+   * @param {string} [resumeId] - Resume to use (defaults to the application's resume, then the default resume)
    * @returns {Object} Updated application with AI insights
    */
-  async generateResumeMatch(userId, applicationId) {
+  async generateResumeMatch(userId, applicationId, resumeId) {
     // Verify ownership and get application
     const application = await this.getApplicationById(userId, applicationId);
 
@@ -226,6 +993,12 @@ class JobApplicationService {
       jobDescription: application.jobDescription,
       jobTitle: application.jobTitle,
       company: application.company,
+      resumeId: resumeId || application.resumeId?.toString(),
+      requirements: {
+        requiredSkills: application.requiredSkills,
+        niceToHaveSkills: application.niceToHaveSkills,
+        yearsOfExperience: application.yearsOfExperience,
+      },
     });
 
     // Update application with AI insights (preserve existing insights)
@@ -241,6 +1014,8 @@ class JobApplicationService {
           gaps: aiResult.gaps,
           suggestions: aiResult.suggestions,
           summary: aiResult.summary,
+          resumeId: aiResult.resumeId,
+          resumeName: aiResult.resumeName || '',
           analyzedAt: new Date(aiResult.analyzedAt),
         },
       }
@@ -270,9 +1045,10 @@ class JobApplicationService {
    * Generate and persist interview preparation tips for a job application
    * @param {string} userId - Authenticated user's ID
    * @param {string} applicationId - Job application ID
+   * @param {string} [resumeId] - Resume to use (defaults to the application's resume, then the default resume)
    * @returns {Object} Updated application with AI insights
    */
-  async generateInterviewPrep(userId, applicationId) {
+  async generateInterviewPrep(userId, applicationId, resumeId) {
     // Verify ownership and get application
     const application = await this.getApplicationById(userId, applicationId);
 
@@ -288,6 +1064,7 @@ class JobApplicationService {
       jobDescription: application.jobDescription,
       jobTitle: application.jobTitle,
       company: application.company,
+      resumeId: resumeId || application.resumeId?.toString(),
     });
 
     // Update application with AI insights (preserve existing insights)
@@ -304,6 +1081,8 @@ class JobApplicationService {
           preparationSteps: aiResult.preparationSteps,
           questionsToAsk: aiResult.questionsToAsk,
           summary: aiResult.summary,
+          resumeId: aiResult.resumeId,
+          resumeName: aiResult.resumeName || '',
           generatedAt: new Date(aiResult.generatedAt),
         },
       }
@@ -397,6 +1176,86 @@ class JobApplicationService {
 
     return updatedApplication;
   }
+
+  /**
+   * Extract and persist the requirements stated in an application's job description
+   * Only fields that are not set are filled, so skills, experience and job
+   * details entered by hand or imported from the posting are never overwritten.
+   * To extract a field again, clear it first.
+   * @param {string} userId - Authenticated user's ID
+   * @param {string} applicationId - Job application ID
+   * @returns {Object} { application, filledFields } - updated application and the fields filled
+   */
+  async extractRequirements(userId, applicationId) {
+    // Verify ownership and get application
+    const application = await this.getApplicationById(userId, applicationId);
+
+    // Validate required fields for AI analysis
+    if (!application.jobDescription || application.jobDescription.trim() === '') {
+      const error = new Error('Job description is required for requirements extraction. Please update the job application with a job description.');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // Call AI service to extract requirements
+    const aiResult = await aiService.extractJobRequirements({
+      jobDescription: application.jobDescription,
+      jobTitle: application.jobTitle,
+      company: application.company,
+    });
+
+    const current = application.toObject();
+    const isSet = {
+      requiredSkills: current.requiredSkills?.length > 0,
+      niceToHaveSkills: current.niceToHaveSkills?.length > 0,
+      yearsOfExperience: current.yearsOfExperience != null,
+      salary: current.salary?.min != null || current.salary?.max != null,
+      locations: current.locations?.length > 0,
+      remotePolicy: current.remotePolicy != null,
+      seniority: current.seniority != null,
+    };
+    const found = {
+      requiredSkills: aiResult.requiredSkills.length > 0,
+      niceToHaveSkills: aiResult.niceToHaveSkills.length > 0,
+      yearsOfExperience: aiResult.yearsOfExperience !== null,
+      salary: aiResult.salary !== null,
+      locations: aiResult.locations.length > 0,
+      remotePolicy: aiResult.remotePolicy !== null,
+      seniority: aiResult.seniority !== null,
+    };
+    const filledFields = EXTRACTED_DETAIL_FIELDS.filter((field) => found[field] && !isSet[field]);
+
+    const updateData = {
+      'aiInsights.requirements': {
+        extractedAt: new Date(aiResult.extractedAt),
+        filledFields,
+      },
+    };
+    filledFields.forEach((field) => {
+      if (field === 'salary') {
+        // The expected salary is the user's own figure and stays as it is
+        updateData.salary = this.normalizeSalary(aiResult.salary, current.salary);
+      } else if (['locations', 'requiredSkills', 'niceToHaveSkills'].includes(field)) {
+        updateData[field] = this.normalizeTags(aiResult[field]);
+      } else {
+        updateData[field] = aiResult[field];
+      }
+    });
+
+    const updatedApplication = await jobApplicationRepository.updateByIdAndUserId(
+      applicationId,
+      userId,
+      updateData
+    );
+
+    if (!updatedApplication) {
+      const error = new Error('Failed to update application with extracted requirements');
+      error.statusCode = 500;
+      throw error;
+    }
+
+    return { application: updatedApplication, filledFields };
+  }
 }
 
 export default new JobApplicationService();
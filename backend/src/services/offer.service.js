@@ -0,0 +1,260 @@
+import offerRepository from '../repositories/offer.repository.js';
+import jobApplicationRepository from '../repositories/jobApplication.repository.js';
+import reminderRepository from '../repositories/reminder.repository.js';
+import reminderService from './reminder.service.js';
+import { computeTotalCompensation } from '../utils/compensation.js';
+import { COMPARISON_YEARS } from '../models/offer.constants.js';
+
+// Offer fields copied as-is (text trimmed) when creating or updating an offer
+const TEXT_FIELDS = ['benefits', 'notes'];
+const VALUE_FIELDS = ['baseSalary', 'bonus', 'signOnBonus', 'ptoDays', 'decision'];
+
+// Changes to these fields regenerate the offer's deadline reminder
+const DEADLINE_FIELDS = ['responseDeadline', 'decision'];
+
+/**
+ * Offer Service
+ *
+ * Why: An offer is more than a status - the user needs its numbers to
+ * decide, and often has to weigh several offers with different mixes of
+ * salary, bonus and equity before a deadline. This service stores one offer
+ * per application and computes comparable total compensation.
+ *
+ * Responsibilities:
+ * - List, create, update and delete offers (one per application)
+ * - Compute first-year and multi-year total compensation of each offer
+ * - Compare several offers and pick the best totals
+ * - Keep each offer's deadline reminder in sync with its deadline and decision
+ * - Enforce ownership (404 for offers or applications that are missing or not the user's)
+ *
+ * Currencies:
+ * - Totals are in each offer's own currency; best totals are only picked
+ *   when all compared offers share a currency
+ */
+class OfferService {
+  /**
+   * Get the user's offers with their total compensation
+   * Offers of applications in the trash are hidden.
+   * @param {string} userId - User ID
+   * @param {Object} [options] - { applicationId }
+   * @returns {Array} Offers, newest first
+   */
+  async getOffers(userId, { applicationId } = {}) {
+    if (applicationId) {
+      await this.findApplicationOrThrow(userId, applicationId);
+    }
+
+    const trashedIds = await jobApplicationRepository.findDeletedIdsByUserId(userId);
+    const offers = await offerRepository.findByUserId(userId, {
+      applicationId,
+      excludeApplicationIds: trashedIds,
+    });
+
+    return offers.filter((offer) => offer.application).map((offer) => this.withCompensation(offer));
+  }
+
+  /**
+   * Get an offer by ID
+   * @param {string} userId - User ID
+   * @param {string} offerId - Offer ID
+   * @returns {Object} Offer with its total compensation
+   */
+  async getOfferById(userId, offerId) {
+    const offer = await this.findOfferOrThrow(userId, offerId);
+    return this.withCompensation(offer.toObject());
+  }
+
+  /**
+   * Compare offers side by side
+   * @param {string} userId - User ID
+   * @param {Array<string>} offerIds - Offers to compare
+   * @returns {Object} { offers, years, currencies, bestFirstYear, bestTotal }
+   */
+  async compareOffers(userId, offerIds) {
+    const trashedIds = await jobApplicationRepository.findDeletedIdsByUserId(userId);
+    const found = await offerRepository.findByUserId(userId, {
+      offerIds,
+      excludeApplicationIds: trashedIds,
+    });
+
+    if (found.length !== new Set(offerIds).size) {
+      const error = new Error('One or more offers not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    // Keep the order the offers were asked for
+    const byId = new Map(found.map((offer) => [offer._id.toString(), offer]));
+    const offers = [...new Set(offerIds)].map((id) => this.withCompensation(byId.get(id)));
+    const currencies = [...new Set(offers.map((offer) => offer.currency))];
+
+    // Totals in different currencies can't be ranked without exchange rates
+    const bestBy = (key) => {
+      if (currencies.length !== 1 || offers.length === 0) return null;
+      const best = offers.reduce((top, offer) => (
+        offer.compensation[key] > top.compensation[key] ? offer : top
+      ));
+      return best._id;
+    };
+
+    return {
+      offers,
+      years: COMPARISON_YEARS,
+      currencies,
+      bestFirstYear: bestBy('firstYear'),
+      bestTotal: bestBy('total'),
+    };
+  }
+
+  /**
+   * Create the offer of an application and its deadline reminder
+   * @param {string} userId - User ID
+   * @param {Object} offerData - Offer fields with applicationId
+   * @returns {Object} Created offer
+   */
+  async createOffer(userId, offerData) {
+    const { applicationId } = offerData;
+    const application = await this.findApplicationOrThrow(userId, applicationId);
+
+    const existing = await offerRepository.findByApplicationId(userId, applicationId);
+    if (existing) {
+      const error = new Error('This application already has an offer');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const offer = await offerRepository.create({
+      ...this.prepareFields(offerData),
+      user: userId,
+      application: applicationId,
+    });
+
+    await reminderService.syncOfferDeadlineReminder(userId, application, offer);
+    return this.withCompensation(offer.toObject());
+  }
+
+  /**
+   * Update an offer; its reminder is regenerated when the deadline or decision changes
+   * @param {string} userId - User ID
+   * @param {string} offerId - Offer ID
+   * @param {Object} updateData - Fields to change
+   * @returns {Object} Updated offer
+   */
+  async updateOffer(userId, offerId, updateData) {
+    const offer = await this.findOfferOrThrow(userId, offerId);
+    const application = offer.application;
+
+    const { equity, ...fields } = this.prepareFields(updateData);
+    const deadlineChanged = DEADLINE_FIELDS.some(
+      (field) => fields[field] !== undefined
+        && JSON.stringify(fields[field]) !== JSON.stringify(offer[field])
+    );
+
+    offer.set(fields);
+    // Set one by one so a vesting update keeps the grant value and vice versa
+    Object.entries(equity || {}).forEach(([field, value]) => {
+      offer.set(`equity.${field}`, value);
+    });
+
+    await offer.save();
+
+    if (deadlineChanged) {
+      await reminderService.syncOfferDeadlineReminder(userId, application, offer);
+    }
+    return this.withCompensation(offer.toObject());
+  }
+
+  /**
+   * Delete an offer and the reminders generated for it
+   * @param {string} userId - User ID
+   * @param {string} offerId - Offer ID
+   * @returns {Object} Deleted offer
+   */
+  async deleteOffer(userId, offerId) {
+    await this.findOfferOrThrow(userId, offerId);
+
+    const offer = await offerRepository.deleteByIdAndUserId(offerId, userId);
+    await reminderRepository.deleteByOfferId(offerId);
+    return offer;
+  }
+
+  /**
+   * Add the computed total compensation to an offer
+   * @param {Object} offer - Plain offer
+   * @returns {Object} Offer with compensation { byYear, firstYear, total }
+   */
+  withCompensation(offer) {
+    return {
+      ...offer,
+      compensation: computeTotalCompensation(offer, COMPARISON_YEARS),
+    };
+  }
+
+  /**
+   * Find an application of the user (not in the trash) or throw 404
+   */
+  async findApplicationOrThrow(userId, applicationId) {
+    const application = await jobApplicationRepository.findByIdAndUserId(applicationId, userId);
+    if (!application) {
+      const error = new Error('Job application not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return application;
+  }
+
+  /**
+   * Find an offer of the user whose application is not in the trash or throw 404
+   */
+  async findOfferOrThrow(userId, offerId) {
+    const offer = await offerRepository.findByIdAndUserId(offerId, userId);
+    if (!offer || !offer.application || offer.application.deletedAt) {
+      const error = new Error('Offer not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return offer;
+  }
+
+  /**
+   * Keep only offer fields, trimmed, with dates parsed (null clears a date)
+   */
+  prepareFields(data) {
+    const fields = {};
+
+    TEXT_FIELDS.forEach((field) => {
+      if (data[field] !== undefined) {
+        fields[field] = data[field].trim();
+      }
+    });
+
+    VALUE_FIELDS.forEach((field) => {
+      if (data[field] !== undefined) {
+        fields[field] = data[field];
+      }
+    });
+
+    if (data.currency !== undefined) {
+      fields.currency = data.currency.trim().toUpperCase();
+    }
+
+    ['startDate', 'responseDeadline'].forEach((field) => {
+      if (data[field] !== undefined) {
+        fields[field] = data[field] ? new Date(data[field]) : null;
+      }
+    });
+
+    if (data.equity !== undefined) {
+      fields.equity = {};
+      ['grantValue', 'vestingSchedule', 'cliffMonths'].forEach((field) => {
+        if (data.equity[field] !== undefined) {
+          fields.equity[field] = data.equity[field];
+        }
+      });
+    }
+
+    return fields;
+  }
+}
+
+export default new OfferService();
@@ -0,0 +1,353 @@
+import pipelineRepository from '../repositories/pipeline.repository.js';
+import jobApplicationRepository from '../repositories/jobApplication.repository.js';
+import statusHistoryRepository from '../repositories/statusHistory.repository.js';
+import {
+  STAGE_CATEGORY,
+  DEFAULT_PIPELINE_STAGES,
+  MAX_PIPELINE_STAGES,
+} from '../models/pipeline.constants.js';
+
+/**
+ * Pipeline Service
+ *
+ * Why: Users define their own ordered application stages (e.g. "phone screen",
+ * "take-home", "onsite"). Each stage maps to a canonical category so analytics,
+ * reminders and the funnel can reason about stages they have never seen.
+ * This service is the single source of truth for which statuses are valid
+ * for a user and what they mean.
+ *
+ * Responsibilities:
+ * - Return the user's pipeline (or the default one)
+ * - Add, update, reorder and delete stages
+ * - Prevent removing stages that applications still use (or reassign them)
+ * - Resolve stage keys to labels and categories for other services
+ */
+class PipelineService {
+  /**
+   * Get the pipeline for a user
+   * @param {string} userId - User ID
+   * @returns {Object} { stages, isDefault }
+   */
+  async getPipeline(userId) {
+    const pipeline = await pipelineRepository.findByUserId(userId);
+
+    if (!pipeline || pipeline.stages.length === 0) {
+      return {
+        stages: DEFAULT_PIPELINE_STAGES.map((stage) => ({ ...stage })),
+        isDefault: true,
+      };
+    }
+
+    return {
+      stages: pipeline.stages,
+      isDefault: false,
+    };
+  }
+
+  /**
+   * Get the ordered stages for a user
+   * @param {string} userId - User ID
+   * @returns {Array} Stage definitions
+   */
+  async getStages(userId) {
+    const { stages } = await this.getPipeline(userId);
+    return stages;
+  }
+
+  /**
+   * Replace the full ordered stage list (used for reordering and bulk edits)
+   * @param {string} userId - User ID
+   * @param {Array} stages - New ordered stage definitions
+   * @returns {Object} Updated pipeline
+   */
+  async replaceStages(userId, stages) {
+    const normalized = stages.map((stage) => this.normalizeStage(stage));
+    this.assertValidStageList(normalized);
+
+    // Stages still referenced by applications must not disappear
+    const keys = new Set(normalized.map((stage) => stage.key));
+    const statusesInUse = await jobApplicationRepository.findDistinctStatusesByUserId(userId);
+    const orphaned = statusesInUse.filter((status) => !keys.has(status));
+    if (orphaned.length > 0) {
+      const error = new Error(
+        `Cannot remove stages still used by applications: ${orphaned.join(', ')}. Delete them individually with a reassignment stage.`
+      );
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const pipeline = await pipelineRepository.upsertStages(userId, normalized);
+    return { stages: pipeline.stages, isDefault: false };
+  }
+
+  /**
+   * Add a stage to the pipeline
+   * @param {string} userId - User ID
+   * @param {Object} stageData - { key?, label, category, position? }
+   * @returns {Object} Updated pipeline
+   */
+  async addStage(userId, stageData) {
+    const stages = await this.getStages(userId);
+    const stage = this.normalizeStage(stageData);
+
+    if (stages.some((existing) => existing.key === stage.key)) {
+      const error = new Error(`Stage "${stage.key}" already exists`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const position = stageData.position ?? stages.length;
+    const updated = [...stages];
+    updated.splice(Math.max(0, Math.min(position, stages.length)), 0, stage);
+    this.assertValidStageList(updated);
+
+    const pipeline = await pipelineRepository.upsertStages(userId, updated);
+    return { stages: pipeline.stages, isDefault: false };
+  }
+
+  /**
+   * Update a stage's label, category or position (keys are immutable)
+   * @param {string} userId - User ID
+   * @param {string} stageKey - Stage key
+   * @param {Object} updateData - { label?, category?, position? }
+   * @returns {Object} Updated pipeline
+   */
+  async updateStage(userId, stageKey, updateData) {
+    const stages = await this.getStages(userId);
+    const index = this.findStageIndex(stages, stageKey);
+
+    const stage = { ...stages[index] };
+    if (updateData.label !== undefined) stage.label = updateData.label.trim();
+    if (updateData.category !== undefined) stage.category = updateData.category;
+
+    const updated = [...stages];
+    updated.splice(index, 1);
+    const position = updateData.position ?? index;
+    updated.splice(Math.max(0, Math.min(position, updated.length)), 0, stage);
+    this.assertValidStageList(updated);
+
+    const pipeline = await pipelineRepository.upsertStages(userId, updated);
+    return { stages: pipeline.stages, isDefault: false };
+  }
+
+  /**
+   * Delete a stage
+   * Applications in the stage are moved to reassignTo; without it the
+   * deletion is refused while the stage is in use.
+   * @param {string} userId - User ID
+   * @param {string} stageKey - Stage key to delete
+   * @param {string} [reassignTo] - Stage key to move applications to
+   * @returns {Object} Updated pipeline and number of reassigned applications
+   */
+  async deleteStage(userId, stageKey, reassignTo) {
+    const stages = await this.getStages(userId);
+    const index = this.findStageIndex(stages, stageKey);
+
+    const inUse = await jobApplicationRepository.countByUserIdAndStatus(userId, stageKey);
+    if (inUse > 0) {
+      if (!reassignTo) {
+        const error = new Error(
+          `Stage "${stageKey}" is used by ${inUse} application(s). Provide a stage to reassign them to.`
+        );
+        error.statusCode = 409;
+        throw error;
+      }
+      if (reassignTo === stageKey) {
+        const error = new Error('Cannot reassign applications to the stage being deleted');
+        error.statusCode = 400;
+        throw error;
+      }
+      this.findStageIndex(stages, reassignTo);
+    }
+
+    const updated = stages.filter((_, i) => i !== index);
+    this.assertValidStageList(updated);
+
+    // Move applications out first so none are left pointing at a missing stage
+    let reassigned = 0;
+    if (inUse > 0) {
+      const affected = await jobApplicationRepository.findAllByUserId(userId, '_id', { status: stageKey });
+      const result = await jobApplicationRepository.updateStatusByUserId(userId, stageKey, reassignTo);
+      reassigned = result.modifiedCount || 0;
+
+      // Reassignment is a status transition like any other
+      const now = new Date();
+      await statusHistoryRepository.createMany(
+        affected.map((application) => ({
+          user: userId,
+          application: application._id,
+          fromStatus: stageKey,
+          toStatus: reassignTo,
+          fromCategory: this.getCategory(stages, stageKey),
+          toCategory: this.getCategory(stages, reassignTo),
+          changedBy: userId,
+          changedAt: now,
+          note: `Stage "${stages[index].label}" was deleted`,
+        }))
+      );
+    }
+
+    const pipeline = await pipelineRepository.upsertStages(userId, updated);
+
+    return { pipeline: { stages: pipeline.stages, isDefault: false }, reassigned };
+  }
+
+  /**
+   * Ensure a status is a stage in the user's pipeline
+   * @param {string} userId - User ID
+   * @param {string} status - Stage key
+   * @returns {Object} The matching stage
+   */
+  async assertValidStage(userId, status) {
+    const stages = await this.getStages(userId);
+    const stage = stages.find((s) => s.key === status);
+
+    if (!stage) {
+      const error = new Error(`Invalid status: ${status}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return stage;
+  }
+
+  /**
+   * Get the stage new applications start in
+   * First stage in the "saved" category, otherwise the first stage.
+   * @param {string} userId - User ID
+   * @returns {string} Stage key
+   */
+  async getDefaultStageKey(userId) {
+    const stages = await this.getStages(userId);
+    const saved = stages.find((stage) => stage.category === STAGE_CATEGORY.SAVED);
+    return (saved || stages[0]).key;
+  }
+
+  /**
+   * Resolve a stage key to its category
+   * Unknown keys (e.g. deleted stages in old history) fall back to the key
+   * itself when it is a category, which covers the original statuses.
+   * @param {Array} stages - Stage definitions
+   * @param {string|null} status - Stage key
+   * @returns {string|null} Category or null if it cannot be resolved
+   */
+  getCategory(stages, status) {
+    if (!status) return null;
+    const stage = stages.find((s) => s.key === status);
+    if (stage) return stage.category;
+    return Object.values(STAGE_CATEGORY).includes(status) ? status : null;
+  }
+
+  /**
+   * Get all stage keys that belong to the given categories
+   * @param {Array} stages - Stage definitions
+   * @param {Array<string>} categories - Categories to match
+   * @returns {Array<string>} Stage keys
+   */
+  getStageKeysByCategory(stages, categories) {
+    return stages
+      .filter((stage) => categories.includes(stage.category))
+      .map((stage) => stage.key);
+  }
+
+  /**
+   * Sum per-stage counts into their categories (all categories present, even if 0)
+   * @param {Object} stats - Counts keyed by stage key
+   * @param {Array} stages - Stage definitions
+   * @returns {Object} Counts keyed by category
+   */
+  countByCategory(stats, stages) {
+    const counts = Object.fromEntries(
+      Object.values(STAGE_CATEGORY).map((category) => [category, 0])
+    );
+    Object.entries(stats).forEach(([status, count]) => {
+      const category = this.getCategory(stages, status);
+      if (category) counts[category] += count;
+    });
+    return counts;
+  }
+
+  /**
+   * Per-stage counts in pipeline order
+   * @param {Object} stats - Counts keyed by stage key
+   * @param {Array} stages - Stage definitions
+   * @returns {Array} [{ key, label, category, count }]
+   */
+  formatStageCounts(stats, stages) {
+    return stages.map((stage) => ({
+      key: stage.key,
+      label: stage.label,
+      category: stage.category,
+      count: stats[stage.key] || 0,
+    }));
+  }
+
+  /**
+   * Trim a stage and derive its key from the label when missing
+   */
+  normalizeStage(stage) {
+    const label = stage.label.trim();
+    return {
+      key: stage.key?.trim() || this.slugify(label),
+      label,
+      category: stage.category,
+    };
+  }
+
+  /**
+   * Turn a label into a stage key ("Phone Screen" → "phone-screen")
+   */
+  slugify(label) {
+    return label
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Find a stage index or throw 404
+   */
+  findStageIndex(stages, stageKey) {
+    const index = stages.findIndex((stage) => stage.key === stageKey);
+    if (index === -1) {
+      const error = new Error(`Stage "${stageKey}" not found`);
+      error.statusCode = 404;
+      throw error;
+    }
+    return index;
+  }
+
+  /**
+   * Validate business rules for a complete stage list
+   */
+  assertValidStageList(stages) {
+    if (stages.length === 0) {
+      const error = new Error('Pipeline must have at least one stage');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (stages.length > MAX_PIPELINE_STAGES) {
+      const error = new Error(`Pipeline cannot have more than ${MAX_PIPELINE_STAGES} stages`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const invalidKey = stages.find((stage) => !stage.key);
+    if (invalidKey) {
+      const error = new Error(`Stage "${invalidKey.label}" needs a key made of letters or numbers`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const keys = stages.map((stage) => stage.key);
+    const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+    if (duplicate) {
+      const error = new Error(`Duplicate stage key: ${duplicate}`);
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+}
+
+export default new PipelineService();
@@ -0,0 +1,123 @@
+import { extractPosting } from '../postingExtractors/index.js';
+import { fetchPublicPage } from '../utils/publicFetch.js';
+import {
+  COMPANY_NAME_MAX_LENGTH,
+  JOB_TITLE_MAX_LENGTH,
+  JOB_LINK_MAX_LENGTH,
+  JOB_DESCRIPTION_MAX_LENGTH,
+  LOCATION_MAX_LENGTH,
+  MAX_LOCATIONS_PER_APPLICATION,
+} from '../models/jobApplication.constants.js';
+import {
+  POSTING_FETCH_TIMEOUT_MS,
+  POSTING_MAX_HTML_SIZE,
+  POSTING_MAX_REDIRECTS,
+  POSTING_SITES,
+  POSTING_USER_AGENT,
+} from '../models/postingImport.constants.js';
+
+/**
+ * Job Posting Import Service
+ *
+ * Why: The posting a user applies to already states the company, title,
+ * location, salary and description; copying them into the form by hand is
+ * slow and error-prone. This service reads a posting - fetched from its
+ * URL, or pasted as HTML when the site refuses server requests - and
+ * returns a draft application. Nothing is saved: the draft fills the
+ * create form, and the user reviews it before submitting.
+ *
+ * Responsibilities:
+ * - Fetch public posting pages (see utils/publicFetch.js for the network safeguards)
+ * - Run the posting extractors (see postingExtractors/)
+ * - Fit extracted values to the JobApplication limits
+ * - Report which fields could not be found
+ */
+class PostingImportService {
+  /**
+   * Read a job posting into a draft application
+   * @param {Object} input - { url?, html? } - html is used when given, url is fetched otherwise
+   * @returns {Promise<Object>} { draft, extractors, missingFields, warnings }
+   */
+  async parsePosting({ url, html }) {
+    const postingUrl = url?.trim() || null;
+    let pageHtml = html;
+    let pageUrl = postingUrl;
+
+    if (!pageHtml) {
+      const page = await fetchPublicPage(postingUrl, {
+        timeoutMs: POSTING_FETCH_TIMEOUT_MS,
+        maxBytes: POSTING_MAX_HTML_SIZE,
+        maxRedirects: POSTING_MAX_REDIRECTS,
+        userAgent: POSTING_USER_AGENT,
+      });
+      if (!/html|xml|^$/i.test(page.contentType.split(';')[0].trim())) {
+        const error = new Error('The link does not point to a web page');
+        error.statusCode = 400;
+        throw error;
+      }
+      pageHtml = page.text;
+      pageUrl = page.url;
+    }
+
+    const { fields, extractors } = extractPosting(pageHtml, pageUrl);
+    if (!fields.jobTitle && !fields.company && !fields.description) {
+      const error = new Error(
+        'No job posting was found on this page. If the page needs a login, paste its HTML instead'
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const warnings = [];
+    const draft = this.toDraft(fields, extractors, postingUrl, warnings);
+
+    return {
+      draft,
+      extractors,
+      missingFields: ['company', 'jobTitle'].filter((field) => !draft[field]),
+      warnings,
+    };
+  }
+
+  /**
+   * Draft application from extracted fields, within the JobApplication limits
+   * @param {Object} fields - Extracted posting fields
+   * @param {Array<string>} extractors - Extractors that supplied fields
+   * @param {string|null} postingUrl - URL the user gave
+   * @param {Array<string>} warnings - Collects notes about shortened values
+   * @returns {Object} Draft application (create-form fields)
+   */
+  toDraft(fields, extractors, postingUrl, warnings) {
+    const clip = (value, maxLength, label) => {
+      const text = (value || '').trim();
+      if (text.length <= maxLength) return text;
+      warnings.push(`${label} was cut to ${maxLength} characters`);
+      return text.slice(0, maxLength).trim();
+    };
+
+    const locations = (fields.locations || [])
+      .map((location) => location.slice(0, LOCATION_MAX_LENGTH).trim())
+      .filter(Boolean);
+    if (locations.length > MAX_LOCATIONS_PER_APPLICATION) {
+      warnings.push(`Only the first ${MAX_LOCATIONS_PER_APPLICATION} locations were kept`);
+    }
+
+    // Job board the posting came from, e.g. "Lever"
+    const site = extractors.find((name) => POSTING_SITES[name]);
+
+    return {
+      company: clip(fields.company, COMPANY_NAME_MAX_LENGTH, 'Company name'),
+      jobTitle: clip(fields.jobTitle, JOB_TITLE_MAX_LENGTH, 'Job title'),
+      jobLink: postingUrl && postingUrl.length <= JOB_LINK_MAX_LENGTH ? postingUrl : '',
+      jobDescription: clip(fields.description, JOB_DESCRIPTION_MAX_LENGTH, 'Job description'),
+      source: site ? POSTING_SITES[site].label : '',
+      locations: locations.slice(0, MAX_LOCATIONS_PER_APPLICATION),
+      salary: fields.salary || null,
+      remotePolicy: fields.remotePolicy || null,
+      employmentType: fields.employmentType || null,
+      seniority: fields.seniority || null,
+    };
+  }
+}
+
+export default new PostingImportService();
@@ -1,7 +1,19 @@
 import reminderRepository from '../repositories/reminder.repository.js';
 import jobApplicationRepository from '../repositories/jobApplication.repository.js';
+import contactRepository from '../repositories/contact.repository.js';
 import { REMINDER_TYPE } from '../models/reminder.constants.js';
-import { APPLICATION_STATUS } from '../models/jobApplication.constants.js';
+import { STAGE_CATEGORY } from '../models/pipeline.constants.js';
+import {
+  ROUND_OUTCOME,
+  ROUND_REMINDER_LEAD_HOURS,
+  ROUND_REMINDER_SHORT_LEAD_HOURS,
+} from '../models/interviewRound.constants.js';
+import {
+  OFFER_DECISION,
+  OFFER_REMINDER_LEAD_HOURS,
+  OFFER_REMINDER_SHORT_LEAD_HOURS,
+} from '../models/offer.constants.js';
+import pipelineService from './pipeline.service.js';
 
 /**
  * Reminder Service
@@ -13,8 +25,11 @@ import { APPLICATION_STATUS } from '../models/jobApplication.constants.js';
  * Responsibilities:
  * - Enforce ownership checks (user can only access their own reminders)
  * - Auto-create reminders when application status changes
- * - Calculate reminder dates based on application dates
+ * - Keep interview reminders in sync with the schedule of interview rounds
+ * - Keep deadline reminders in sync with the response deadline of offers
+ * - Calculate reminder dates based on application and interview dates
  * - Validate business rules (dates, reminder types)
+ * - Check that the contact a reminder targets belongs to the user
  * - Handle complex operations that require multiple repository calls
  * 
  * Ownership Enforcement:
@@ -32,7 +47,7 @@ class ReminderService {
    * @returns {Object} Created reminder
    */
   async createReminder(userId, reminderData) {
-    const { applicationId, reminderDate, reminderType, notes } = reminderData;
+    const { applicationId, contactId, reminderDate, reminderType, notes } = reminderData;
 
     // Verify application exists and belongs to user
     const application = await jobApplicationRepository.findByIdAndUserId(
@@ -46,6 +61,10 @@ class ReminderService {
       throw error;
     }
 
+    if (contactId) {
+      await this.assertContactOwned(userId, contactId);
+    }
+
     // Validate reminder date is in the future
     const reminderDateObj = new Date(reminderDate);
     if (reminderDateObj <= new Date()) {
@@ -58,6 +77,7 @@ class ReminderService {
     const reminder = await reminderRepository.create({
       user: userId,
       application: applicationId,
+      contact: contactId || null,
       reminderDate: reminderDateObj,
       reminderType: reminderType || REMINDER_TYPE.FOLLOW_UP,
       notes: notes?.trim() || '',
@@ -91,8 +111,14 @@ class ReminderService {
    * @returns {Object} Reminders with pagination
    */
   async getUserReminders(userId, options = {}) {
+    // Reminders of applications in the trash are hidden until they are restored
+    const trashedIds = await jobApplicationRepository.findDeletedIdsByUserId(userId);
+
     // Repository automatically filters by userId
-    return await reminderRepository.findByUserId(userId, options);
+    return await reminderRepository.findByUserId(userId, {
+      ...options,
+      excludeApplicationIds: trashedIds,
+    });
   }
 
   /**
@@ -103,12 +129,21 @@ class ReminderService {
    * @returns {Object} Updated reminder
    */
   async updateReminder(userId, reminderId, updateData) {
-    // Prepare update data
-    const preparedData = { ...updateData };
+    // Only these fields can be changed; the owner, application, sent state and
+    // the interview round / offer a reminder was created for are server-owned
+    const { contactId, reminderDate, reminderType, notes } = updateData;
+    const preparedData = {};
+
+    if (contactId !== undefined) {
+      if (contactId) {
+        await this.assertContactOwned(userId, contactId);
+      }
+      preparedData.contact = contactId || null;
+    }
 
     // Validate reminder date if being updated
-    if (preparedData.reminderDate) {
-      const reminderDateObj = new Date(preparedData.reminderDate);
+    if (reminderDate) {
+      const reminderDateObj = new Date(reminderDate);
       if (reminderDateObj <= new Date()) {
         const error = new Error('Reminder date must be in the future');
         error.statusCode = 400;
@@ -117,8 +152,12 @@ class ReminderService {
       preparedData.reminderDate = reminderDateObj;
     }
 
-    if (preparedData.notes !== undefined) {
-      preparedData.notes = preparedData.notes.trim();
+    if (reminderType !== undefined) {
+      preparedData.reminderType = reminderType;
+    }
+
+    if (notes !== undefined) {
+      preparedData.notes = notes.trim();
     }
 
     // Repository method ensures user owns the reminder
@@ -174,26 +213,17 @@ class ReminderService {
     }
 
     try {
-      // When status changes to INTERVIEW, create interview reminder 1 day before
-      if (newStatus === APPLICATION_STATUS.INTERVIEW && application.dateApplied) {
-        const interviewDate = new Date(application.dateApplied);
-        const reminderDate = new Date(interviewDate);
-        reminderDate.setDate(reminderDate.getDate() - 1); // 1 day before interview
-
-        // Only create if reminder date is in the future
-        if (reminderDate > new Date()) {
-          await reminderRepository.create({
-            user: userId,
-            application: application._id,
-            reminderDate,
-            reminderType: REMINDER_TYPE.INTERVIEW,
-            notes: `Auto-created reminder for interview at ${application.company}`,
-          });
-        }
-      }
+      // Statuses are pipeline stage keys - decide based on their categories
+      const stages = await pipelineService.getStages(userId);
+      const oldCategory = pipelineService.getCategory(stages, oldStatus);
+      const newCategory = pipelineService.getCategory(stages, newStatus);
 
-      // When status changes to APPLIED, create follow-up reminder 7 days later
-      if (newStatus === APPLICATION_STATUS.APPLIED && oldStatus !== APPLICATION_STATUS.APPLIED) {
+      // Interview reminders are not created here: the status says nothing about
+      // when the interview is. They follow the interview rounds instead
+      // (see syncInterviewRoundReminder).
+
+      // When status first enters an APPLIED stage, create follow-up reminder 7 days later
+      if (newCategory === STAGE_CATEGORY.APPLIED && oldCategory !== STAGE_CATEGORY.APPLIED) {
         const reminderDate = new Date();
         reminderDate.setDate(reminderDate.getDate() + 7); // 7 days from now
 
@@ -211,6 +241,106 @@ class ReminderService {
     }
   }
 
+  /**
+   * Replace the pending reminder of an interview round after it is saved
+   * The reminder is sent ROUND_REMINDER_LEAD_HOURS before the round, or
+   * ROUND_REMINDER_SHORT_LEAD_HOURS before when the round is sooner than that.
+   * Rounds without a start time, in the past or no longer pending get none.
+   * Reminders already sent are kept.
+   * @param {string} userId - User ID
+   * @param {Object} application - Job application the round belongs to
+   * @param {Object} round - Saved interview round
+   * @returns {Object|null} Created reminder or null
+   */
+  async syncInterviewRoundReminder(userId, application, round) {
+    try {
+      await reminderRepository.deleteByInterviewRoundId(round._id, { unsentOnly: true });
+
+      if (!round.scheduledStart || round.outcome !== ROUND_OUTCOME.PENDING) {
+        return null;
+      }
+
+      const reminderDate = this.getLeadReminderDate(round.scheduledStart, [
+        ROUND_REMINDER_LEAD_HOURS,
+        ROUND_REMINDER_SHORT_LEAD_HOURS,
+      ]);
+
+      if (!reminderDate) {
+        return null;
+      }
+
+      return await reminderRepository.create({
+        user: userId,
+        application: application._id,
+        interviewRound: round._id,
+        reminderDate,
+        reminderType: REMINDER_TYPE.INTERVIEW,
+        notes: `Auto-created reminder for ${round.name} at ${application.company}`,
+      });
+    } catch (error) {
+      // Log error but don't throw - reminder creation shouldn't break saving the round
+      console.error('Error syncing interview round reminder:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Replace the pending deadline reminder of an offer after it is saved
+   * The reminder is sent OFFER_REMINDER_LEAD_HOURS before the response
+   * deadline, or OFFER_REMINDER_SHORT_LEAD_HOURS before when the deadline is
+   * sooner than that. Offers without a deadline or already answered get none.
+   * Reminders already sent are kept.
+   * @param {string} userId - User ID
+   * @param {Object} application - Job application the offer belongs to
+   * @param {Object} offer - Saved offer
+   * @returns {Object|null} Created reminder or null
+   */
+  async syncOfferDeadlineReminder(userId, application, offer) {
+    try {
+      await reminderRepository.deleteByOfferId(offer._id, { unsentOnly: true });
+
+      if (!offer.responseDeadline || offer.decision !== OFFER_DECISION.PENDING) {
+        return null;
+      }
+
+      const reminderDate = this.getLeadReminderDate(offer.responseDeadline, [
+        OFFER_REMINDER_LEAD_HOURS,
+        OFFER_REMINDER_SHORT_LEAD_HOURS,
+      ]);
+
+      if (!reminderDate) {
+        return null;
+      }
+
+      return await reminderRepository.create({
+        user: userId,
+        application: application._id,
+        offer: offer._id,
+        reminderDate,
+        reminderType: REMINDER_TYPE.DEADLINE,
+        notes: `Auto-created reminder to respond to the offer from ${application.company}`,
+      });
+    } catch (error) {
+      // Log error but don't throw - reminder creation shouldn't break saving the offer
+      console.error('Error syncing offer deadline reminder:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * First of several lead times before a date that is still in the future
+   * @param {Date|string} date - Event date
+   * @param {Array<number>} leadHours - Lead times in hours, longest first
+   * @returns {Date|undefined} Reminder date, or undefined when all have passed
+   */
+  getLeadReminderDate(date, leadHours) {
+    const now = new Date();
+    const eventTime = new Date(date).getTime();
+    return leadHours
+      .map((hours) => new Date(eventTime - hours * 60 * 60 * 1000))
+      .find((reminderDate) => reminderDate > now);
+  }
+
   /**
    * Get due reminders for processing (used by job scheduler)
    * @returns {Array} Array of due reminders
@@ -227,6 +357,20 @@ class ReminderService {
   async markReminderAsSent(reminderId) {
     return await reminderRepository.markAsSent(reminderId);
   }
+
+  /**
+   * Throw 404 unless the contact exists and belongs to the user
+   * @param {string} userId - User ID
+   * @param {string} contactId - Contact ID
+   */
+  async assertContactOwned(userId, contactId) {
+    const contact = await contactRepository.findByIdAndUserId(contactId, userId);
+    if (!contact) {
+      const error = new Error('Contact not found');
+      error.statusCode = 404;
+      throw error;
+    }
+  }
 }
 
 export default new ReminderService();
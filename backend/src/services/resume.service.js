@@ -0,0 +1,215 @@
+import resumeRepository from '../repositories/resume.repository.js';
+import jobApplicationRepository from '../repositories/jobApplication.repository.js';
+import userRepository from '../repositories/user.repository.js';
+import { MAX_RESUMES, RESUME_CONTENT_MAX_LENGTH } from '../models/resume.constants.js';
+
+/**
+ * Resume Service
+ *
+ * Why: Users tailor their resume per role, so a single profile resume summary
+ * is not enough. The resume library keeps several named resumes; one is the
+ * default, each application can pick its own, and AI analyses read the
+ * chosen resume.
+ *
+ * Responsibilities:
+ * - List, create, update and delete a user's resumes
+ * - Keep exactly one default resume while the library is not empty
+ * - Resolve which resume text an AI analysis uses
+ * - Enforce ownership (404 for resumes that are missing or not the user's)
+ *
+ * Resume choice for AI analyses (first match wins):
+ * 1. The resume picked for the analysis or the application
+ * 2. The default resume
+ * 3. The profile resume summary (accounts from before the resume library)
+ */
+class ResumeService {
+  /**
+   * Get a user's resumes, the default first
+   * @param {string} userId - User ID
+   * @returns {Array} Resumes
+   */
+  async getResumes(userId) {
+    return await resumeRepository.findByUserId(userId);
+  }
+
+  /**
+   * Get a resume
+   * @param {string} userId - User ID
+   * @param {string} resumeId - Resume ID
+   * @returns {Object} Resume
+   */
+  async getResumeById(userId, resumeId) {
+    return await this.findResumeOrThrow(userId, resumeId);
+  }
+
+  /**
+   * Create a resume. The user's first resume becomes the default.
+   * @param {string} userId - User ID
+   * @param {Object} data - { name, targetRole, content, sections, isDefault }
+   * @returns {Object} Created resume
+   */
+  async createResume(userId, { name, targetRole, content, sections, isDefault } = {}) {
+    const count = await resumeRepository.countByUserId(userId);
+    if (count >= MAX_RESUMES) {
+      const error = new Error(`You can keep at most ${MAX_RESUMES} resumes. Delete one first`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const resume = await resumeRepository.create({
+      user: userId,
+      name: name.trim(),
+      targetRole: targetRole?.trim() || '',
+      content: content?.trim() || '',
+      sections: this.normalizeSections(sections),
+    });
+
+    if (count === 0 || isDefault) {
+      return await resumeRepository.setDefault(userId, resume._id);
+    }
+    return resume.toObject();
+  }
+
+  /**
+   * Update a resume
+   * @param {string} userId - User ID
+   * @param {string} resumeId - Resume ID
+   * @param {Object} data - Any of { name, targetRole, content, sections }
+   * @returns {Object} Updated resume
+   */
+  async updateResume(userId, resumeId, { name, targetRole, content, sections } = {}) {
+    const updateData = {};
+    if (name !== undefined) updateData.name = name.trim();
+    if (targetRole !== undefined) updateData.targetRole = targetRole.trim();
+    if (content !== undefined) updateData.content = content.trim();
+    if (sections !== undefined) updateData.sections = this.normalizeSections(sections);
+
+    const resume = await resumeRepository.updateByIdAndUserId(resumeId, userId, updateData);
+    if (!resume) {
+      const error = new Error('Resume not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return resume;
+  }
+
+  /**
+   * Make a resume the default
+   * @param {string} userId - User ID
+   * @param {string} resumeId - Resume ID
+   * @returns {Object} Updated resume
+   */
+  async setDefaultResume(userId, resumeId) {
+    const resume = await resumeRepository.setDefault(userId, resumeId);
+    if (!resume) {
+      const error = new Error('Resume not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return resume;
+  }
+
+  /**
+   * Delete a resume. Applications using it fall back to the default resume;
+   * when the default is deleted, the most recently updated resume takes over.
+   * @param {string} userId - User ID
+   * @param {string} resumeId - Resume ID
+   */
+  async deleteResume(userId, resumeId) {
+    const resume = await resumeRepository.deleteByIdAndUserId(resumeId, userId);
+    if (!resume) {
+      const error = new Error('Resume not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    await jobApplicationRepository.clearResumeByUserId(userId, resumeId);
+
+    if (resume.isDefault) {
+      const [next] = await resumeRepository.findByUserId(userId, '_id');
+      if (next) {
+        await resumeRepository.setDefault(userId, next._id);
+      }
+    }
+  }
+
+  /**
+   * Throw 404 unless the resume exists and belongs to the user
+   * @param {string} userId - User ID
+   * @param {string} resumeId - Resume ID
+   */
+  async assertResumeOwned(userId, resumeId) {
+    await this.findResumeOrThrow(userId, resumeId);
+  }
+
+  /**
+   * Resolve the resume an AI analysis reads
+   * @param {string} userId - User ID
+   * @param {string|null} [resumeId] - Resume picked for the analysis or the application
+   * @returns {Object} { resumeId, resumeName, text } - resumeId and resumeName are null
+   *   when the profile resume summary is used; text is '' when there is nothing to read
+   */
+  async resolveResumeForAnalysis(userId, resumeId) {
+    const resume = resumeId
+      ? await this.findResumeOrThrow(userId, resumeId)
+      : await resumeRepository.findDefaultByUserId(userId);
+
+    if (resume) {
+      return { resumeId: resume._id, resumeName: resume.name, text: this.toText(resume) };
+    }
+
+    const user = await userRepository.findById(userId);
+    if (!user) {
+      const error = new Error('User not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return { resumeId: null, resumeName: null, text: user.profile?.resumeSummary || '' };
+  }
+
+  /**
+   * Plain text of a resume: the full text, or the sections when there is none
+   * @param {Object} resume - Resume
+   * @returns {string}
+   */
+  toText(resume) {
+    if (resume.content) {
+      return resume.content;
+    }
+    return resume.sections
+      .map((section) => [section.title.toUpperCase(), section.content].filter(Boolean).join('\n'))
+      .filter(Boolean)
+      .join('\n\n')
+      .slice(0, RESUME_CONTENT_MAX_LENGTH);
+  }
+
+  /**
+   * Trim sections and drop empty ones
+   * @param {Array} [sections] - [{ type, title, content }]
+   * @returns {Array}
+   */
+  normalizeSections(sections = []) {
+    return sections
+      .map(({ type, title, content }) => ({
+        ...(type && { type }),
+        title: title?.trim() || '',
+        content: content?.trim() || '',
+      }))
+      .filter((section) => section.title || section.content);
+  }
+
+  /**
+   * Find a resume or throw 404
+   */
+  async findResumeOrThrow(userId, resumeId) {
+    const resume = await resumeRepository.findByIdAndUserId(resumeId, userId);
+    if (!resume) {
+      const error = new Error('Resume not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return resume;
+  }
+}
+
+export default new ResumeService();
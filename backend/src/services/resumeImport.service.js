@@ -0,0 +1,327 @@
+import path from 'path';
+import { extractDocumentText } from '../utils/documentText.js';
+import {
+  RESUME_NAME_MAX_LENGTH,
+  RESUME_TARGET_ROLE_MAX_LENGTH,
+  RESUME_CONTENT_MAX_LENGTH,
+  RESUME_SECTION_TITLE_MAX_LENGTH,
+  RESUME_SECTION_CONTENT_MAX_LENGTH,
+  RESUME_SECTION_TYPE,
+  RESUME_SECTION_HEADINGS,
+  MAX_RESUME_SECTIONS,
+  PROFILE_RESUME_SUMMARY_MAX_LENGTH,
+} from '../models/resume.constants.js';
+
+/**
+ * Resume Import Service
+ *
+ * Why: Typing a resume into a textarea is tedious when the user already has
+ * it as a PDF or DOCX. An import reads the file locally, splits the text into
+ * sections and returns a draft for the user to review. Nothing is saved
+ * here: the reviewed draft goes through the normal create-resume and
+ * update-profile endpoints, so an import can never store what the user did
+ * not see.
+ *
+ * Responsibilities:
+ * - Extract text from the uploaded file
+ * - Split it into sections by common headings (summary, experience, education, skills...)
+ * - Split the experience section into one section per position
+ * - Guess a resume name and target role, and pick out contact details for the profile
+ * - Fit everything within resume and profile limits, with warnings for what was cut
+ */
+
+const MONTH = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const DATE = `(?:${MONTH}\\s+\\d{4}|\\d{1,2}[/.]\\d{4}|\\d{4})`;
+// "Jan 2020 - Present", "03/2019 – 06/2021", "2018 to 2020"
+const DATE_RANGE = new RegExp(`${DATE}\\s*(?:-|–|—|to|until)\\s*(?:${DATE}|present|current|now|today)`, 'i');
+const DATE_RANGE_GLOBAL = new RegExp(DATE_RANGE.source, 'gi');
+
+// "-", "•", "*" and similar list markers
+const BULLET = /^(?:[-–•▪●◦*·‣■□➢►✓]|\d{1,2}[.)])\s+/;
+
+const PHONE = /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?)?\d{2,4}[\s.-]?\d{3,4}(?:[\s.-]?\d{3,4})?/g;
+const URL = /\b(?:https?:\/\/)?(?:www\.)?[a-z0-9][a-z0-9-]*(?:\.[a-z0-9-]+)*\.[a-z]{2,}(?:\/[^\s|,;)]*)?/gi;
+
+const WEBSITE_DOMAIN = /\.(?:com|dev|io|me|net|org|co|app|site|tech|xyz|page)$/i;
+
+class ResumeImportService {
+  /**
+   * Read a resume file into a draft resume
+   * @param {Object} file - Uploaded file ({ buffer, originalname })
+   * @returns {Promise<Object>} { draft: { name, targetRole, content, sections, summary }, contact, warnings }
+   */
+  async parseResume(file) {
+    const text = await extractDocumentText(file.buffer, file.originalname);
+    if (!text) {
+      const error = new Error(
+        'No text found in this file. Scanned resumes cannot be read - paste the text into a new resume instead'
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const warnings = [];
+    const { header, sections } = this.splitSections(text.split('\n'));
+    if (sections.length === 0) {
+      warnings.push('No section headings were recognized; the whole text was kept as one section');
+    }
+
+    const draftSections = this.fitSections(this.toDraftSections(header, sections), warnings);
+
+    let content = text;
+    if (content.length > RESUME_CONTENT_MAX_LENGTH) {
+      content = this.truncate(content, RESUME_CONTENT_MAX_LENGTH);
+      warnings.push(`The full text was cut to ${RESUME_CONTENT_MAX_LENGTH} characters`);
+    }
+
+    const summarySection = sections.find((section) => section.type === RESUME_SECTION_TYPE.SUMMARY);
+    let summary = summarySection ? summarySection.lines.join('\n').trim() : '';
+    if (summary.length > PROFILE_RESUME_SUMMARY_MAX_LENGTH) {
+      summary = this.truncate(summary, PROFILE_RESUME_SUMMARY_MAX_LENGTH);
+      warnings.push(`The summary was cut to ${PROFILE_RESUME_SUMMARY_MAX_LENGTH} characters for your profile`);
+    }
+
+    return {
+      draft: {
+        name: this.nameFromFilename(file.originalname),
+        targetRole: this.guessTargetRole(header),
+        content,
+        sections: draftSections,
+        summary,
+      },
+      contact: this.findContact(header.length > 0 ? header.join('\n') : text.slice(0, 2000)),
+      warnings,
+    };
+  }
+
+  /**
+   * Split lines at section headings
+   * @param {Array<string>} lines - Text lines
+   * @returns {Object} { header: [string], sections: [{ type, title, lines }] }
+   */
+  splitSections(lines) {
+    const header = [];
+    const sections = [];
+
+    lines.forEach((line) => {
+      const type = this.headingType(line);
+      if (type) {
+        sections.push({ type, title: this.headingTitle(line), lines: [] });
+      } else if (sections.length > 0) {
+        sections[sections.length - 1].lines.push(line);
+      } else if (line) {
+        header.push(line);
+      }
+    });
+
+    return { header, sections };
+  }
+
+  /**
+   * Section type of a heading line, or null when the line is not a heading
+   */
+  headingType(line) {
+    if (!line || line.length > 50) return null;
+    const key = line
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/[^a-z\s]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (!key) return null;
+
+    const typeOf = (heading) =>
+      Object.keys(RESUME_SECTION_HEADINGS).find((type) => RESUME_SECTION_HEADINGS[type].includes(heading));
+    const type = typeOf(key);
+    if (type) return type;
+
+    // Combined headings such as "Skills & Technologies" take the first one's type
+    const parts = key.split(' and ');
+    return parts.length > 1 && parts.every(typeOf) ? typeOf(parts[0]) : null;
+  }
+
+  /**
+   * Heading as a section title: trailing colon removed, ALL CAPS turned into Title Case
+   */
+  headingTitle(line) {
+    const title = line.replace(/[:\s]+$/, '').trim();
+    if (title !== title.toUpperCase()) return title;
+    return title.toLowerCase().replace(/(^|\s)([a-z])/g, (match, space, letter) => space + letter.toUpperCase());
+  }
+
+  /**
+   * Resume sections from the split text; experience becomes one section per position
+   * @returns {Array} [{ type, title, content }]
+   */
+  toDraftSections(header, sections) {
+    if (sections.length === 0) {
+      return [{ type: RESUME_SECTION_TYPE.OTHER, title: 'Resume', content: this.formatLines(header) }];
+    }
+
+    return sections.flatMap((section) => {
+      if (section.type === RESUME_SECTION_TYPE.EXPERIENCE) {
+        const entries = this.splitExperience(section.lines);
+        if (entries.length > 1) {
+          return entries.map((entry) => ({
+            type: RESUME_SECTION_TYPE.EXPERIENCE,
+            title: entry.title || section.title,
+            content: this.formatLines(entry.lines),
+          }));
+        }
+      }
+      return [{ type: section.type, title: section.title, content: this.formatLines(section.lines) }];
+    });
+  }
+
+  /**
+   * Split experience lines into positions
+   * A position starts with one to three heading lines (company, job title,
+   * dates) - one of them holding a date range - followed by its description.
+   * @param {Array<string>} lines - Experience section lines
+   * @returns {Array} [{ title, lines }]
+   */
+  splitExperience(lines) {
+    const content = lines.filter(Boolean);
+    const entries = [];
+    let current = null;
+
+    content.forEach((line, index) => {
+      const isBullet = BULLET.test(line);
+      const hasDates = DATE_RANGE.test(line);
+      const next = content[index + 1];
+      const nextStartsPosition = next && !BULLET.test(next) && DATE_RANGE.test(next);
+
+      const headingOpen = current && current.lines.length === 0 && current.heading.length < 3;
+
+      if (!isBullet && (hasDates || (nextStartsPosition && line.length <= 80))) {
+        // A second date range means a second position
+        const datedTwice = hasDates && current?.heading.some((heading) => DATE_RANGE.test(heading));
+        if (headingOpen && !datedTwice) {
+          current.heading.push(line);
+        } else {
+          current = { heading: [line], lines: [] };
+          entries.push(current);
+        }
+      } else if (!isBullet && headingOpen && line.length <= 80 && !/[.!?]$/.test(line)) {
+        // A job title under "Company  2020 - 2022"
+        current.heading.push(line);
+      } else {
+        if (!current) {
+          current = { heading: [], lines: [] };
+          entries.push(current);
+        }
+        current.lines.push(line);
+      }
+    });
+
+    return entries.map((entry) => ({
+      title: this.truncate(entry.heading.join(' | '), RESUME_SECTION_TITLE_MAX_LENGTH),
+      lines: entry.lines,
+    }));
+  }
+
+  /**
+   * Lines as section content: list markers normalized to "- ", blank runs collapsed
+   */
+  formatLines(lines) {
+    return lines
+      .map((line) => line.replace(BULLET, '- '))
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  /**
+   * Keep sections within the resume limits
+   * Too many sections: experience positions are merged back into one section.
+   */
+  fitSections(sections, warnings) {
+    let fitted = sections.filter((section) => section.content || section.title);
+
+    if (fitted.length > MAX_RESUME_SECTIONS) {
+      const experience = fitted.filter((section) => section.type === RESUME_SECTION_TYPE.EXPERIENCE);
+      const merged = {
+        type: RESUME_SECTION_TYPE.EXPERIENCE,
+        title: 'Experience',
+        content: experience.map((section) => [section.title, section.content].filter(Boolean).join('\n')).join('\n\n'),
+      };
+      const firstIndex = fitted.indexOf(experience[0]);
+      fitted = fitted.filter((section) => section.type !== RESUME_SECTION_TYPE.EXPERIENCE);
+      if (experience.length > 0) fitted.splice(firstIndex, 0, merged);
+    }
+    if (fitted.length > MAX_RESUME_SECTIONS) {
+      fitted = fitted.slice(0, MAX_RESUME_SECTIONS);
+      warnings.push(`Only the first ${MAX_RESUME_SECTIONS} sections were kept`);
+    }
+
+    return fitted.map((section) => {
+      if (section.content.length <= RESUME_SECTION_CONTENT_MAX_LENGTH) return section;
+      warnings.push(`The "${section.title}" section was cut to ${RESUME_SECTION_CONTENT_MAX_LENGTH} characters`);
+      return { ...section, content: this.truncate(section.content, RESUME_SECTION_CONTENT_MAX_LENGTH) };
+    });
+  }
+
+  /**
+   * Resume name from the file name: "jane_doe-resume.pdf" → "jane doe resume"
+   */
+  nameFromFilename(filename) {
+    const name = path
+      .basename(filename || '', path.extname(filename || ''))
+      .replace(/[_-]+/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+    return this.truncate(name, RESUME_NAME_MAX_LENGTH) || 'Imported resume';
+  }
+
+  /**
+   * Job title under the name at the top of a resume, if there is one
+   * The first header line is taken to be the name; contact lines are skipped.
+   */
+  guessTargetRole(header) {
+    const role = header.slice(1, 4).find(
+      (line) =>
+        line.length <= RESUME_TARGET_ROLE_MAX_LENGTH &&
+        line.split(/\s+/).length <= 8 &&
+        !/[@\d|]|https?:|www\.|\.com\b/i.test(line)
+    );
+    return role || '';
+  }
+
+  /**
+   * Phone number, LinkedIn URL and portfolio URL found in the text
+   * @returns {Object} { phone, linkedInUrl, portfolioUrl } - empty strings when not found
+   */
+  findContact(text) {
+    const phone = (text.replace(DATE_RANGE_GLOBAL, ' ').match(PHONE) || [])
+      .map((candidate) => candidate.trim())
+      // Enough digits for a phone number
+      .find((candidate) => {
+        const digits = candidate.replace(/\D/g, '').length;
+        return digits >= 7 && digits <= 15;
+      }) || '';
+
+    const urls = (text.match(URL) || [])
+      // Email domains are not websites
+      .filter((url) => !new RegExp(`@${url.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`).test(text))
+      // A bare "name.tld" only counts with a common website domain ("Node.js" is not a link)
+      .filter((url) => /^https?:|^www\.|\//i.test(url) || WEBSITE_DOMAIN.test(url))
+      .map((url) => (/^https?:\/\//i.test(url) ? url : `https://${url}`).replace(/[.,]$/, ''));
+
+    const linkedInUrl = urls.find((url) => /linkedin\.com\//i.test(url)) || '';
+    const portfolioUrl = urls.find((url) => !/linkedin\.com/i.test(url)) || '';
+
+    return { phone, linkedInUrl, portfolioUrl };
+  }
+
+  /**
+   * Cut text to a length, at a word boundary when one is close
+   */
+  truncate(text, maxLength) {
+    if (text.length <= maxLength) return text;
+    const cut = text.slice(0, maxLength);
+    const lastSpace = cut.search(/\s\S*$/);
+    return (lastSpace > maxLength * 0.9 ? cut.slice(0, lastSpace) : cut).trim();
+  }
+}
+
+export default new ResumeImportService();
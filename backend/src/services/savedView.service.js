@@ -0,0 +1,159 @@
+import savedViewRepository from '../repositories/savedView.repository.js';
+import jobApplicationRepository from '../repositories/jobApplication.repository.js';
+import jobApplicationService from './jobApplication.service.js';
+import { MAX_SAVED_VIEWS } from '../models/savedView.constants.js';
+
+/**
+ * Saved View Service
+ *
+ * Why: Saved views are named application list queries ("smart lists").
+ * Their filters go through the same parsing as the list endpoint, so a
+ * view's live count always matches what the list shows when it is opened.
+ *
+ * Responsibilities:
+ * - Create, read, update and delete a user's saved views
+ * - Compute live application counts per view
+ * - Enforce ownership (404 for views that are missing or not the user's)
+ * - Limit the number of views per user
+ */
+class SavedViewService {
+  /**
+   * Get all saved views for a user with live counts
+   * @param {string} userId - User ID
+   * @returns {Array} Views, each with a count of matching applications
+   */
+  async getViews(userId) {
+    const views = await savedViewRepository.findByUserId(userId);
+
+    const counts = await Promise.all(
+      views.map((view) => this.countApplications(userId, view))
+    );
+
+    return views.map((view, index) => ({ ...view, count: counts[index] }));
+  }
+
+  /**
+   * Get a single saved view with its live count
+   * @param {string} userId - User ID
+   * @param {string} viewId - View ID
+   * @returns {Object} View with count
+   */
+  async getViewById(userId, viewId) {
+    const view = await this.findViewOrThrow(userId, viewId);
+    const count = await this.countApplications(userId, view);
+    return { ...view, count };
+  }
+
+  /**
+   * Create a saved view
+   * @param {string} userId - User ID
+   * @param {Object} viewData - { name, filters?, sort?, columns? }
+   * @returns {Object} Created view with count
+   */
+  async createView(userId, viewData) {
+    const existing = await savedViewRepository.countByUserId(userId);
+    if (existing >= MAX_SAVED_VIEWS) {
+      const error = new Error(`You can save up to ${MAX_SAVED_VIEWS} views`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const view = await savedViewRepository.create({
+      user: userId,
+      name: viewData.name.trim(),
+      filters: this.normalizeFilters(viewData.filters),
+      ...(viewData.sort && { sort: this.normalizeSort(viewData.sort) }),
+      ...(viewData.columns && { columns: [...new Set(viewData.columns)] }),
+    });
+
+    const plain = view.toObject();
+    const count = await this.countApplications(userId, plain);
+    return { ...plain, count };
+  }
+
+  /**
+   * Update a saved view
+   * @param {string} userId - User ID
+   * @param {string} viewId - View ID
+   * @param {Object} updateData - { name?, filters?, sort?, columns? }
+   * @returns {Object} Updated view with count
+   */
+  async updateView(userId, viewId, updateData) {
+    const update = {};
+    if (updateData.name !== undefined) update.name = updateData.name.trim();
+    if (updateData.filters !== undefined) update.filters = this.normalizeFilters(updateData.filters);
+    if (updateData.sort !== undefined) update.sort = this.normalizeSort(updateData.sort);
+    if (updateData.columns !== undefined) update.columns = [...new Set(updateData.columns)];
+
+    const view = await savedViewRepository.updateByIdAndUserId(viewId, userId, update);
+    if (!view) {
+      const error = new Error('Saved view not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const count = await this.countApplications(userId, view);
+    return { ...view, count };
+  }
+
+  /**
+   * Delete a saved view
+   * @param {string} userId - User ID
+   * @param {string} viewId - View ID
+   */
+  async deleteView(userId, viewId) {
+    const view = await savedViewRepository.deleteByIdAndUserId(viewId, userId);
+    if (!view) {
+      const error = new Error('Saved view not found');
+      error.statusCode = 404;
+      throw error;
+    }
+  }
+
+  /**
+   * Count the applications a view currently matches
+   * @param {string} userId - User ID
+   * @param {Object} view - Saved view
+   * @returns {number} Number of matching applications
+   */
+  async countApplications(userId, view) {
+    const filters = jobApplicationService.parseListFilters(view.filters || {});
+    return await jobApplicationRepository.countByUserIdAndFilters(userId, filters);
+  }
+
+  /**
+   * Find a view or throw 404
+   */
+  async findViewOrThrow(userId, viewId) {
+    const view = await savedViewRepository.findByIdAndUserId(viewId, userId);
+    if (!view) {
+      const error = new Error('Saved view not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return view;
+  }
+
+  /**
+   * Keep non-empty filter values as trimmed strings (the list query format)
+   */
+  normalizeFilters(filters = {}) {
+    return Object.fromEntries(
+      Object.entries(filters)
+        .map(([key, value]) => [key, String(value).trim()])
+        .filter(([, value]) => value !== '')
+    );
+  }
+
+  /**
+   * Fill in defaults for a view's sort
+   */
+  normalizeSort(sort = {}) {
+    return {
+      sortBy: sort.sortBy || null,
+      sortOrder: sort.sortOrder || 'desc',
+    };
+  }
+}
+
+export default new SavedViewService();
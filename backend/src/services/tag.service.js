@@ -0,0 +1,255 @@
+import tagRepository from '../repositories/tag.repository.js';
+import jobApplicationRepository from '../repositories/jobApplication.repository.js';
+import { DEFAULT_TAG_COLOR, MAX_TAGS } from '../models/tag.constants.js';
+
+/**
+ * Tag Service
+ *
+ * Why: Applications keep their tags as plain names, so tag management has
+ * to keep both sides in step: renaming a tag renames it on every
+ * application, deleting it removes it everywhere, and names used on
+ * applications always have a tag (created on first use, or found when the
+ * list is loaded for tags added before tags had colors).
+ *
+ * Responsibilities:
+ * - List a user's tags with usage counts
+ * - Create, rename, recolor and delete tags
+ * - Resolve tag names given for applications to existing tags (case-insensitive),
+ *   creating the missing ones
+ * - Merge the tags of an account backup
+ * - Enforce ownership (404 for tags that are missing or not the user's)
+ */
+class TagService {
+  /**
+   * Get all tags for a user with the number of applications using each
+   * @param {string} userId - User ID
+   * @returns {Array} Tags, each with a count
+   */
+  async getTags(userId) {
+    await this.syncTags(userId);
+
+    const [tags, counts] = await Promise.all([
+      tagRepository.findByUserId(userId),
+      jobApplicationRepository.countByTagForUserId(userId),
+    ]);
+
+    return tags.map((tag) => ({ ...tag, count: counts[tag.nameKey] || 0 }));
+  }
+
+  /**
+   * Create a tag
+   * @param {string} userId - User ID
+   * @param {Object} tagData - { name, color? }
+   * @returns {Object} Created tag
+   */
+  async createTag(userId, tagData) {
+    const name = tagData.name.trim();
+
+    const existing = await tagRepository.countByUserId(userId);
+    if (existing >= MAX_TAGS) {
+      const error = new Error(`You can have up to ${MAX_TAGS} tags`);
+      error.statusCode = 400;
+      throw error;
+    }
+    await this.assertNameAvailable(userId, name);
+
+    const tag = await tagRepository.create({
+      user: userId,
+      name,
+      nameKey: name.toLowerCase(),
+      color: tagData.color || DEFAULT_TAG_COLOR,
+    });
+
+    return { ...tag.toObject(), count: 0 };
+  }
+
+  /**
+   * Update a tag's name and/or color
+   * A new name is applied to every application that has the tag.
+   * @param {string} userId - User ID
+   * @param {string} tagId - Tag ID
+   * @param {Object} updateData - { name?, color? }
+   * @returns {Object} Updated tag with count
+   */
+  async updateTag(userId, tagId, updateData) {
+    const tag = await this.findTagOrThrow(userId, tagId);
+
+    const update = {};
+    if (updateData.color !== undefined) update.color = updateData.color;
+
+    const name = updateData.name?.trim();
+    if (name && name !== tag.name) {
+      // Changing only the case keeps the same tag
+      if (name.toLowerCase() !== tag.nameKey) {
+        await this.syncTags(userId);
+        await this.assertNameAvailable(userId, name);
+      }
+      update.name = name;
+      update.nameKey = name.toLowerCase();
+    }
+
+    const updated = Object.keys(update).length > 0
+      ? await tagRepository.updateByIdAndUserId(tagId, userId, update)
+      : tag;
+
+    if (update.name) {
+      await jobApplicationRepository.renameTagByUserId(userId, tag.name, update.name);
+    }
+
+    const counts = await jobApplicationRepository.countByTagForUserId(userId);
+    return { ...updated, count: counts[updated.nameKey] || 0 };
+  }
+
+  /**
+   * Delete a tag and remove it from every application
+   * @param {string} userId - User ID
+   * @param {string} tagId - Tag ID
+   * @returns {Object} { removedFrom } - Number of applications that had the tag
+   */
+  async deleteTag(userId, tagId) {
+    const tag = await this.findTagOrThrow(userId, tagId);
+
+    const result = await jobApplicationRepository.removeTagByUserId(userId, tag.name);
+    await tagRepository.deleteByIdAndUserId(tagId, userId);
+
+    return { removedFrom: result.modifiedCount };
+  }
+
+  /**
+   * Resolve tag names for an application to the user's tags
+   * Names match existing tags case-insensitively and take their spelling;
+   * names without a tag create one with the default color.
+   * @param {string} userId - User ID
+   * @param {Array<string>} names - Trimmed, de-duplicated tag names
+   * @returns {Array<string>} Tag names as stored on the tags
+   */
+  async resolveTagNames(userId, names = []) {
+    if (names.length === 0) return [];
+
+    const keys = names.map((name) => name.toLowerCase());
+    const existing = await tagRepository.findByNameKeys(userId, keys);
+    const byKey = new Map(existing.map((tag) => [tag.nameKey, tag.name]));
+
+    const missing = names.filter((name) => !byKey.has(name.toLowerCase()));
+    if (missing.length > 0) {
+      const count = await tagRepository.countByUserId(userId);
+      if (count + missing.length > MAX_TAGS) {
+        const error = new Error(`You can have up to ${MAX_TAGS} tags`);
+        error.statusCode = 400;
+        throw error;
+      }
+      await tagRepository.createMany(
+        missing.map((name) => this.buildTag(userId, name))
+      );
+      missing.forEach((name) => byKey.set(name.toLowerCase(), name));
+    }
+
+    return keys.map((key) => byKey.get(key));
+  }
+
+  /**
+   * Create tags for names used on applications that have none yet
+   * (tags added before tags had their own model, or restored from a backup)
+   * @param {string} userId - User ID
+   * @returns {number} Number of tags created
+   */
+  async syncTags(userId) {
+    const names = await jobApplicationRepository.findDistinctTagsByUserId(userId);
+    if (names.length === 0) return 0;
+
+    const existing = await tagRepository.findByUserId(userId);
+    const known = new Set(existing.map((tag) => tag.nameKey));
+
+    const missing = [];
+    names.forEach((name) => {
+      const key = name.toLowerCase();
+      if (!known.has(key)) {
+        known.add(key);
+        missing.push(this.buildTag(userId, name));
+      }
+    });
+
+    if (missing.length > 0) {
+      await tagRepository.createMany(missing);
+    }
+    return missing.length;
+  }
+
+  /**
+   * Restore the tags of an account backup
+   * Merge adds tags that do not exist yet; replace also takes the backup's
+   * colors and removes tags that are not in the backup. Either way every
+   * tag used by the restored applications ends up with a tag.
+   * @param {string} userId - User ID
+   * @param {Array} backupTags - [{ name, color }]
+   * @param {boolean} replace - Replace the existing tags
+   * @returns {number} Number of tags added
+   */
+  async restoreTags(userId, backupTags = [], replace = false) {
+    const existing = await tagRepository.findByUserId(userId);
+    const byKey = new Map(existing.map((tag) => [tag.nameKey, tag]));
+    const backupKeys = new Set();
+    const added = [];
+
+    for (const { name, color } of backupTags) {
+      const key = name.trim().toLowerCase();
+      if (backupKeys.has(key)) continue;
+      backupKeys.add(key);
+
+      const current = byKey.get(key);
+      if (!current) {
+        added.push({ ...this.buildTag(userId, name.trim()), color: color || DEFAULT_TAG_COLOR });
+      } else if (replace && color && current.color !== color) {
+        await tagRepository.updateByIdAndUserId(current._id, userId, { color });
+      }
+    }
+
+    if (replace) {
+      await tagRepository.deleteByUserIdExcept(userId, [...backupKeys]);
+    }
+    if (added.length > 0) {
+      await tagRepository.createMany(added);
+    }
+
+    return added.length + await this.syncTags(userId);
+  }
+
+  /**
+   * Find a tag or throw 404
+   */
+  async findTagOrThrow(userId, tagId) {
+    const tag = await tagRepository.findByIdAndUserId(tagId, userId);
+    if (!tag) {
+      const error = new Error('Tag not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return tag;
+  }
+
+  /**
+   * Throw 409 when the user already has a tag with this name (any case)
+   */
+  async assertNameAvailable(userId, name) {
+    const [existing] = await tagRepository.findByNameKeys(userId, [name.toLowerCase()]);
+    if (existing) {
+      const error = new Error(`A tag named "${existing.name}" already exists`);
+      error.statusCode = 409;
+      throw error;
+    }
+  }
+
+  /**
+   * Tag data for a name, with the default color
+   */
+  buildTag(userId, name) {
+    return {
+      user: userId,
+      name,
+      nameKey: name.toLowerCase(),
+      color: DEFAULT_TAG_COLOR,
+    };
+  }
+}
+
+export default new TagService();
@@ -116,6 +116,14 @@ class UserService {
       };
     }
 
+    // Settings are updated field by field so a partial update keeps the rest
+    if (updateData.settings) {
+      Object.entries(updateData.settings).forEach(([key, value]) => {
+        if (value !== undefined) updateData[`settings.${key}`] = value;
+      });
+      delete updateData.settings;
+    }
+
     const updatedUser = await userRepository.updateById(userId, updateData);
     return updatedUser;
   }
@@ -0,0 +1,38 @@
+/**
+ * File Storage Module
+ *
+ * Why: Central export point for the storage adapter that holds uploaded
+ * files. Services only use the adapter interface, so files can move to
+ * another backend (e.g. S3) by adding an adapter and a STORAGE_DRIVER value
+ * without touching them.
+ *
+ * Adapter interface (all methods async):
+ * - save(key, buffer) - store a file, replacing any file with the same key
+ * - read(key) - file contents as a Buffer, or null if missing
+ * - delete(key) - remove a file (missing files are ignored)
+ *
+ * Usage:
+ * ```js
+ * import storage from '../storage/index.js';
+ * await storage.save(key, req.file.buffer);
+ * ```
+ */
+
+import config from '../config/index.js';
+import LocalDiskStorage from './localDisk.storage.js';
+
+/**
+ * Create the adapter selected by STORAGE_DRIVER
+ */
+function createStorage() {
+  switch (config.STORAGE_DRIVER) {
+    case 'local':
+      return new LocalDiskStorage(config.STORAGE_LOCAL_DIR);
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${config.STORAGE_DRIVER}`);
+  }
+}
+
+const storage = createStorage();
+
+export default storage;
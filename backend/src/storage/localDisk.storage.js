@@ -0,0 +1,68 @@
+import path from 'path';
+import { mkdir, readFile, rm, writeFile } from 'fs/promises';
+
+/**
+ * Local Disk Storage
+ *
+ * Why: The simplest storage adapter - files are written under one directory
+ * on the server's disk. Suits single-server deployments and development;
+ * the directory must be persistent (and backed up) for files to survive.
+ *
+ * Responsibilities:
+ * - Save, read and delete files by key (keys map to paths below the root)
+ * - Refuse keys that would resolve outside the root directory
+ */
+class LocalDiskStorage {
+  /**
+   * @param {string} rootDir - Directory files are stored under
+   */
+  constructor(rootDir) {
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  /**
+   * Store a file, replacing any file with the same key
+   * @param {string} key - Storage key (e.g. "userId/documentId/v1.pdf")
+   * @param {Buffer} buffer - File contents
+   */
+  async save(key, buffer) {
+    const filePath = this.resolveKey(key);
+    await mkdir(path.dirname(filePath), { recursive: true });
+    await writeFile(filePath, buffer);
+  }
+
+  /**
+   * Read a file
+   * @param {string} key - Storage key
+   * @returns {Buffer|null} File contents, or null if there is no such file
+   */
+  async read(key) {
+    try {
+      return await readFile(this.resolveKey(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a file (missing files are ignored)
+   * @param {string} key - Storage key
+   */
+  async delete(key) {
+    await rm(this.resolveKey(key), { force: true });
+  }
+
+  /**
+   * Absolute path of a key, checked to stay inside the root directory
+   */
+  resolveKey(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+}
+
+export default LocalDiskStorage;
@@ -0,0 +1,38 @@
+import { COMPANY_NAME_SUFFIXES } from '../models/company.constants.js';
+
+/**
+ * Company Utility Functions
+ *
+ * Why: Applications name their company as free text, so the same employer
+ * shows up as "Acme", "ACME Inc." or "Acme, Inc". A normalized key lets
+ * those strings match one Company.
+ *
+ * Responsibilities:
+ * - Reduce a company name to a comparable key (case, accents, punctuation,
+ *   "&"/"and", legal-form suffixes)
+ */
+
+const SUFFIX_PATTERN = new RegExp(`(\\s(${COMPANY_NAME_SUFFIXES.join('|')}))+$`);
+
+/**
+ * Normalize a company name for matching
+ * Examples: "Acme, Inc." → "acme", "Ben & Jerry's" → "ben and jerrys",
+ * "Société Générale S.A." → "societe generale"
+ * @param {string} name - Company name as entered
+ * @returns {string} Matching key ('' for empty names)
+ */
+export function normalizeCompanyName(name) {
+  const key = String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Drop accents
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/\b([a-z])\.(?=[a-z]\.)/g, '$1') // "s.a." → "sa."
+    .replace(/['’.]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+  // Keep a name that is nothing but a suffix (e.g. a company called "Company")
+  const withoutSuffix = key.replace(SUFFIX_PATTERN, '').trim();
+  return withoutSuffix || key;
+}
@@ -0,0 +1,100 @@
+import {
+  COMPARISON_YEARS,
+  DEFAULT_VESTING_SCHEDULE,
+  DEFAULT_VESTING_CLIFF_MONTHS,
+} from '../models/offer.constants.js';
+
+/**
+ * Compensation Utility Functions
+ *
+ * Why: Offers are only comparable as totals - a higher base can lose to a
+ * sign-on bonus in year one or to equity over four years. These functions
+ * turn an offer's components into cash per year.
+ *
+ * Responsibilities:
+ * - Spread an equity grant over the years of its vesting schedule, honoring the cliff
+ * - Compute per-year, first-year and multi-year total compensation
+ */
+
+/**
+ * Equity vesting in each year of a grant
+ * Nothing vests before the cliff; what would have vested by then is paid at
+ * the cliff. Example: 100 over [25, 25, 25, 25] with an 18-month cliff →
+ * [0, 50, 25, 25].
+ * @param {number} grantValue - Value of the whole grant
+ * @param {Array<number>} [schedule] - Percent of the grant vesting each year
+ * @param {number} [cliffMonths] - Months before anything vests
+ * @param {number} [years] - Number of years to return
+ * @returns {Array<number>} Value vesting in each year
+ */
+export function vestingByYear(
+  grantValue,
+  schedule = DEFAULT_VESTING_SCHEDULE,
+  cliffMonths = DEFAULT_VESTING_CLIFF_MONTHS,
+  years = COMPARISON_YEARS
+) {
+  const percentVestedBy = (year) => {
+    if (year <= 0 || cliffMonths > year * 12) return 0;
+    return schedule.slice(0, year).reduce((sum, percent) => sum + percent, 0);
+  };
+
+  return Array.from({ length: years }, (_, index) => {
+    const year = index + 1;
+    return ((percentVestedBy(year) - percentVestedBy(year - 1)) / 100) * (grantValue || 0);
+  });
+}
+
+/**
+ * Total compensation of an offer, per year and in total
+ * Base and bonus are paid every year, the sign-on bonus in the first year only.
+ * @param {Object} offer - { baseSalary, bonus, signOnBonus, equity: { grantValue, vestingSchedule, cliffMonths } }
+ * @param {number} [years] - Years to compute
+ * @returns {Object} { byYear: [{ year, base, bonus, signOn, equity, total }], firstYear, total }
+ */
+export function computeTotalCompensation(offer, years = COMPARISON_YEARS) {
+  const base = offer.baseSalary || 0;
+  const bonus = offer.bonus || 0;
+  const equity = vestingByYear(
+    offer.equity?.grantValue || 0,
+    offer.equity?.vestingSchedule?.length > 0 ? offer.equity.vestingSchedule : DEFAULT_VESTING_SCHEDULE,
+    offer.equity?.cliffMonths ?? DEFAULT_VESTING_CLIFF_MONTHS,
+    years
+  );
+
+  const byYear = equity.map((equityValue, index) => {
+    const signOn = index === 0 ? offer.signOnBonus || 0 : 0;
+    return {
+      year: index + 1,
+      base,
+      bonus,
+      signOn,
+      equity: Math.round(equityValue),
+      total: Math.round(base + bonus + signOn + equityValue),
+    };
+  });
+
+  return {
+    byYear,
+    firstYear: byYear[0]?.total || 0,
+    total: byYear.reduce((sum, year) => sum + year.total, 0),
+  };
+}
+
+/**
+ * Format an amount in a currency, e.g. "$120,000" or "€95,000"
+ * @param {number} amount - Amount
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {string} Formatted amount
+ */
+export function formatAmount(amount, currency) {
+  try {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency,
+      maximumFractionDigits: 0,
+    }).format(amount || 0);
+  } catch {
+    // Unknown currency code
+    return `${Math.round(amount || 0).toLocaleString('en-US')} ${currency}`;
+  }
+}
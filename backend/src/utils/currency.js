@@ -0,0 +1,103 @@
+import { readFileSync } from 'fs';
+import { HOURS_PER_YEAR, SALARY_PERIOD } from '../models/jobApplication.constants.js';
+
+/**
+ * Currency Utility Functions
+ *
+ * Why: Salaries are posted in many currencies and as hourly or yearly pay.
+ * To filter and chart them together they need a common unit - a yearly
+ * amount in one currency. Rates come from a static table
+ * (config/exchangeRates.json) rather than a live service, so results are
+ * reproducible and nothing is called over the network; edit the file to
+ * update or add rates.
+ *
+ * Responsibilities:
+ * - Load and check the exchange-rate table once at startup
+ * - Convert amounts between currencies and from hourly to yearly pay
+ */
+
+/**
+ * Load the exchange-rate table
+ * Rates are units of each currency per one unit of the base currency.
+ * @returns {Object} { base, updatedAt, rates }
+ */
+function loadExchangeRates() {
+  const table = JSON.parse(
+    readFileSync(new URL('../config/exchangeRates.json', import.meta.url), 'utf8')
+  );
+
+  const invalid = Object.entries(table.rates || {})
+    .filter(([code, rate]) => !/^[A-Z]{3}$/.test(code) || !(typeof rate === 'number' && rate > 0));
+  if (!table.rates?.[table.base] || invalid.length > 0) {
+    throw new Error(
+      `Invalid exchange-rate table (config/exchangeRates.json): ${
+        invalid.length > 0 ? `bad rates for ${invalid.map(([code]) => code).join(', ')}` : 'missing base rate'
+      }`
+    );
+  }
+
+  return table;
+}
+
+const exchangeRates = loadExchangeRates();
+
+/**
+ * The exchange-rate table
+ * @returns {Object} { base, updatedAt, rates }
+ */
+export function getExchangeRates() {
+  return exchangeRates;
+}
+
+/**
+ * Currency codes with a known rate, sorted
+ * @returns {Array<string>} e.g. ['AUD', 'CAD', ...]
+ */
+export function getSupportedCurrencies() {
+  return Object.keys(exchangeRates.rates).sort();
+}
+
+/**
+ * Whether amounts in a currency can be converted
+ * @param {string} currency - ISO 4217 code (uppercase)
+ * @returns {boolean}
+ */
+export function isSupportedCurrency(currency) {
+  return Object.prototype.hasOwnProperty.call(exchangeRates.rates, currency);
+}
+
+/**
+ * Convert an amount between currencies
+ * @param {number} amount - Amount in the source currency
+ * @param {string} from - Source currency code
+ * @param {string} to - Target currency code
+ * @returns {number|null} Converted amount, or null if either rate is unknown
+ */
+export function convertAmount(amount, from, to) {
+  if (amount === null || amount === undefined) return null;
+  if (from === to) return amount;
+  if (!isSupportedCurrency(from) || !isSupportedCurrency(to)) return null;
+  return (amount / exchangeRates.rates[from]) * exchangeRates.rates[to];
+}
+
+/**
+ * Yearly equivalent of a salary amount
+ * @param {number} amount - Amount per period
+ * @param {string} period - SALARY_PERIOD value
+ * @returns {number|null}
+ */
+export function toAnnualAmount(amount, period) {
+  if (amount === null || amount === undefined) return null;
+  return period === SALARY_PERIOD.HOURLY ? amount * HOURS_PER_YEAR : amount;
+}
+
+/**
+ * Yearly amount of a salary figure in another currency
+ * @param {number} amount - Amount as posted
+ * @param {Object} salary - { currency, period } the amount is expressed in
+ * @param {string} targetCurrency - Target currency code
+ * @returns {number|null} null if the amount is missing or the currency unknown
+ */
+export function toAnnualIn(amount, { currency, period }, targetCurrency) {
+  return convertAmount(toAnnualAmount(amount, period), currency, targetCurrency);
+}
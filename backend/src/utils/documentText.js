@@ -0,0 +1,848 @@
+import path from 'path';
+import { Worker } from 'worker_threads';
+import zlib from 'zlib';
+import JSZip from 'jszip';
+
+/**
+ * Document Text Utility Functions
+ *
+ * Why: Resume imports read the text of PDF and DOCX files. Both are parsed
+ * locally - the file never leaves the server - with what is already
+ * installed: JSZip for DOCX packages and zlib for compressed PDF streams.
+ * Layout is not reproduced; the goal is the words in reading order, one
+ * line per paragraph or text line.
+ *
+ * Responsibilities:
+ * - Read the paragraphs of a DOCX main document (list items become "- " lines)
+ * - Read the text of every PDF page (simple fonts, ToUnicode maps, object streams,
+ *   form XObjects)
+ * - Bound decompression and nesting so a small file cannot expand or recurse without limit
+ * - Read PDFs in a worker thread (documentText.worker.js) with a time and memory limit
+ * - Return 400 errors for damaged, encrypted or unsupported files
+ *
+ * Not supported: scanned PDFs (images of text) and PDFs whose fonts have no
+ * Unicode mapping; both come back with little or no text.
+ *
+ * The PDF reader is written here rather than taken from a PDF library: the
+ * maintained ones (pdf.js and the packages built on it) are full renderers,
+ * far larger than a feature that only needs the text-showing operators. Each
+ * structure this reader supports is pinned by a saved file in
+ * test/fixtures/documents; a file that needs more comes back with little text.
+ */
+
+// Decompressed bytes one file may produce (DOCX XML or PDF streams)
+const MAX_EXPANDED_SIZE = 50 * 1024 * 1024;
+
+// Decompressed bytes one PDF stream may produce (a page of text is a few KB)
+const MAX_STREAM_SIZE = 8 * 1024 * 1024;
+
+// Limits of the worker thread that reads one PDF
+const PDF_WORKER_TIMEOUT_MS = 15 * 1000;
+const PDF_WORKER_HEAP_MB = 256;
+
+// Nested form XObjects followed when reading a page
+const MAX_FORM_DEPTH = 5;
+
+// Arrays and dictionaries nested inside one another (real files stay in single digits)
+const MAX_NESTING_DEPTH = 100;
+
+// A TJ gap wider than this (thousandths of a text unit) separates words
+const WORD_GAP = 200;
+
+const badFile = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Decode XML character references and the predefined entities
+ */
+function decodeXmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (match, entity) => {
+    const lower = entity.toLowerCase();
+    if (lower.startsWith('#x')) return String.fromCodePoint(parseInt(lower.slice(2), 16));
+    if (lower.startsWith('#')) return String.fromCodePoint(parseInt(lower.slice(1), 10));
+    return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[lower];
+  });
+}
+
+/**
+ * Read a ZIP entry as text, failing once the size budget is used up
+ */
+function readZipEntry(entry, budget) {
+  return new Promise((resolve, reject) => {
+    let content = '';
+    const stream = entry.internalStream('string');
+    stream
+      .on('data', (chunk) => {
+        budget.remaining -= chunk.length;
+        if (budget.remaining < 0) {
+          stream.pause();
+          reject(badFile('File is too large to read'));
+          return;
+        }
+        content += chunk;
+      })
+      .on('error', reject)
+      .on('end', () => resolve(content))
+      .resume();
+  });
+}
+
+/**
+ * Extract the text of a DOCX file, one line per paragraph
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<string>} Text
+ */
+export async function extractDocxText(buffer) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch {
+    throw badFile('File is not a valid DOCX document');
+  }
+
+  const entry = zip.file('word/document.xml');
+  if (!entry) {
+    throw badFile('File is not a valid DOCX document');
+  }
+  const xml = await readZipEntry(entry, { remaining: MAX_EXPANDED_SIZE });
+
+  const lines = [];
+  const paragraphs = xml.match(/<w:p[\s>][\s\S]*?<\/w:p>/g) || [];
+  paragraphs.forEach((paragraph) => {
+    let text = '';
+    const runs = /<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:tab\/>|<w:br[^>]*\/>|<w:cr\/>/g;
+    let match;
+    while ((match = runs.exec(paragraph))) {
+      if (match[1] !== undefined) text += decodeXmlEntities(match[1]);
+      else if (match[0].startsWith('<w:tab')) text += '\t';
+      else text += '\n';
+    }
+    // Numbered and bulleted paragraphs
+    const isListItem = /<w:numPr>/.test(paragraph);
+    lines.push(isListItem && text.trim() ? `- ${text}` : text);
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Windows-1252 characters in 0x80-0x9F (WinAnsiEncoding), the usual encoding of simple fonts
+ */
+const WIN_ANSI_EXTRAS = {
+  0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡', 0x88: 'ˆ',
+  0x89: '‰', 0x8a: 'Š', 0x8b: '‹', 0x8c: 'Œ', 0x8e: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“',
+  0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™', 0x9a: 'š', 0x9b: '›',
+  0x9c: 'œ', 0x9e: 'ž', 0x9f: 'Ÿ',
+};
+
+/**
+ * Glyph names used in /Differences encodings that are not a single letter
+ */
+const GLYPH_NAMES = {
+  space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%',
+  ampersand: '&', quotesingle: "'", quoteright: '’', quoteleft: '‘', parenleft: '(',
+  parenright: ')', asterisk: '*', plus: '+', comma: ',', hyphen: '-', period: '.',
+  slash: '/', zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6',
+  seven: '7', eight: '8', nine: '9', colon: ':', semicolon: ';', less: '<', equal: '=',
+  greater: '>', question: '?', at: '@', bracketleft: '[', backslash: '\\', bracketright: ']',
+  underscore: '_', bar: '|', braceleft: '{', braceright: '}', bullet: '•', endash: '–',
+  emdash: '—', quotedblleft: '“', quotedblright: '”', ellipsis: '…', fi: 'fi', fl: 'fl',
+  ff: 'ff', ffi: 'ffi', ffl: 'ffl', copyright: '©', registered: '®', trademark: '™',
+  degree: '°', middot: '·', periodcentered: '·', minus: '-', nbspace: ' ',
+};
+
+function glyphToText(name) {
+  if (name.length === 1) return name;
+  if (GLYPH_NAMES[name] !== undefined) return GLYPH_NAMES[name];
+  const unicode = /^uni([0-9A-F]{4})/.exec(name);
+  if (unicode) return String.fromCharCode(parseInt(unicode[1], 16));
+  return '';
+}
+
+const isWhitespace = (code) =>
+  code === 0x20 || code === 0x0a || code === 0x0d || code === 0x09 || code === 0x0c || code === 0x00;
+const isDelimiter = (code) => '()<>[]{}/%'.includes(String.fromCharCode(code));
+
+/**
+ * Tokenizer and object parser for PDF syntax (object bodies and content streams)
+ * Values: numbers, booleans, null, names ({ name }), strings (Buffer),
+ * arrays, dictionaries (plain objects), references ({ ref }) and operators ({ op }).
+ */
+class PdfParser {
+  constructor(source, position = 0) {
+    this.source = source; // latin1 string: one character per byte
+    this.position = position;
+    this.depth = 0; // arrays and dictionaries currently open
+  }
+
+  /**
+   * Open an array or dictionary; a file nesting them without limit is damaged
+   */
+  enterNested() {
+    this.depth++;
+    if (this.depth > MAX_NESTING_DEPTH) {
+      throw badFile('File is damaged');
+    }
+  }
+
+  skipWhitespace() {
+    const { source } = this;
+    while (this.position < source.length) {
+      const code = source.charCodeAt(this.position);
+      if (isWhitespace(code)) {
+        this.position++;
+      } else if (code === 0x25) {
+        // Comment up to the end of the line
+        while (this.position < source.length && !'\r\n'.includes(source[this.position])) this.position++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Read the next value, or null at the end of the input
+   * @returns {Object|null} { value } wrapper (so a PDF null is not the end)
+   */
+  next() {
+    this.skipWhitespace();
+    const { source } = this;
+    if (this.position >= source.length) return null;
+
+    const char = source[this.position];
+    if (char === '/') return { value: { name: this.readName() } };
+    if (char === '(') return { value: this.readLiteralString() };
+    if (char === '<' && source[this.position + 1] === '<') {
+      this.position += 2;
+      return { value: this.readDictionary() };
+    }
+    if (char === '<') return { value: this.readHexString() };
+    if (char === '[') {
+      this.position++;
+      return { value: this.readArray() };
+    }
+    if (char === ']' || char === '>' || char === '}' || char === ')') {
+      this.position++;
+      return { value: { op: char } };
+    }
+    if (char === '{') {
+      this.position++;
+      return { value: { op: '{' } };
+    }
+
+    const start = this.position;
+    while (this.position < source.length) {
+      const code = source.charCodeAt(this.position);
+      if (isWhitespace(code) || isDelimiter(code)) break;
+      this.position++;
+    }
+    if (this.position === start) {
+      this.position++;
+      return { value: { op: char } };
+    }
+    const token = source.slice(start, this.position);
+
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+      const number = Number(token);
+      // "12 0 R" is a reference
+      const reference = /^\s+(\d+)\s+R(?=[\s/<>[\]()%]|$)/.exec(source.slice(this.position, this.position + 24));
+      if (reference && Number.isInteger(number)) {
+        this.position += reference[0].length;
+        return { value: { ref: number } };
+      }
+      return { value: number };
+    }
+    if (token === 'true') return { value: true };
+    if (token === 'false') return { value: false };
+    if (token === 'null') return { value: null };
+    return { value: { op: token } };
+  }
+
+  readName() {
+    const { source } = this;
+    this.position++;
+    const start = this.position;
+    while (this.position < source.length) {
+      const code = source.charCodeAt(this.position);
+      if (isWhitespace(code) || isDelimiter(code)) break;
+      this.position++;
+    }
+    return source
+      .slice(start, this.position)
+      .replace(/#([0-9a-fA-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+  }
+
+  readLiteralString() {
+    const { source } = this;
+    const bytes = [];
+    let depth = 1;
+    this.position++;
+    while (this.position < source.length) {
+      const char = source[this.position++];
+      if (char === '\\') {
+        const next = source[this.position++];
+        const escapes = { n: 10, r: 13, t: 9, b: 8, f: 12 };
+        if (escapes[next] !== undefined) {
+          bytes.push(escapes[next]);
+        } else if (/[0-7]/.test(next)) {
+          let octal = next;
+          while (octal.length < 3 && /[0-7]/.test(source[this.position])) octal += source[this.position++];
+          bytes.push(parseInt(octal, 8) & 0xff);
+        } else if (next === '\r') {
+          // Line continuation
+          if (source[this.position] === '\n') this.position++;
+        } else if (next !== '\n') {
+          bytes.push(next.charCodeAt(0));
+        }
+      } else if (char === '(') {
+        depth++;
+        bytes.push(0x28);
+      } else if (char === ')') {
+        depth--;
+        if (depth === 0) break;
+        bytes.push(0x29);
+      } else {
+        bytes.push(char.charCodeAt(0));
+      }
+    }
+    return Buffer.from(bytes);
+  }
+
+  readHexString() {
+    const end = this.source.indexOf('>', this.position);
+    const stop = end === -1 ? this.source.length : end;
+    let hex = this.source.slice(this.position + 1, stop).replace(/[^0-9a-fA-F]/g, '');
+    this.position = stop + 1;
+    if (hex.length % 2 === 1) hex += '0';
+    return Buffer.from(hex, 'hex');
+  }
+
+  readArray() {
+    this.enterNested();
+    const items = [];
+    for (;;) {
+      const item = this.next();
+      if (!item || item.value?.op === ']') break;
+      items.push(item.value);
+    }
+    this.depth--;
+    return items;
+  }
+
+  readDictionary() {
+    this.enterNested();
+    const dictionary = {};
+    for (;;) {
+      this.skipWhitespace();
+      if (this.position >= this.source.length) break;
+      if (this.source.startsWith('>>', this.position)) {
+        this.position += 2;
+        break;
+      }
+      const key = this.next();
+      if (!key) break;
+      if (!key.value?.name) continue;
+      const value = this.next();
+      if (!value) break;
+      dictionary[key.value.name] = value.value;
+    }
+    this.depth--;
+    return dictionary;
+  }
+}
+
+/**
+ * A parsed PDF file: its objects, decoded streams and pages
+ */
+class PdfDocument {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.source = buffer.toString('latin1');
+    this.objects = new Map(); // number → { value, streamStart, streamEnd } or { value } from object streams
+    this.decoded = new Map(); // number → decoded stream Buffer
+    this.cmaps = new Map(); // font object number → ToUnicode map
+    this.budget = { remaining: MAX_EXPANDED_SIZE };
+  }
+
+  /**
+   * Find every "N G obj" in the file (later definitions win, as in incremental updates)
+   */
+  parseObjects() {
+    const { source } = this;
+    const header = /(\d+)\s+\d+\s+obj\b/g;
+    let match;
+    while ((match = header.exec(source))) {
+      const parser = new PdfParser(source, header.lastIndex);
+      const item = parser.next();
+      if (!item) break;
+      const entry = { value: item.value };
+
+      parser.skipWhitespace();
+      if (source.startsWith('stream', parser.position)) {
+        let start = parser.position + 'stream'.length;
+        if (source[start] === '\r') start++;
+        if (source[start] === '\n') start++;
+        const length = item.value?.Length;
+        let end = typeof length === 'number' ? start + length : -1;
+        if (end < start || end > source.length || !/^\s*endstream/.test(source.slice(end, end + 20))) {
+          // Indirect or wrong /Length: the data runs up to "endstream"
+          end = source.indexOf('endstream', start);
+          if (end === -1) end = source.length;
+          if (source[end - 1] === '\n') end--;
+          if (source[end - 1] === '\r') end--;
+        }
+        entry.streamStart = start;
+        entry.streamEnd = end;
+        header.lastIndex = end;
+      } else {
+        header.lastIndex = parser.position;
+      }
+      this.objects.set(Number(match[1]), entry);
+    }
+
+    // Objects stored inside compressed object streams (PDF 1.5+)
+    [...this.objects.entries()]
+      .filter(([, entry]) => entry.value?.Type?.name === 'ObjStm')
+      .forEach(([number, entry]) => this.parseObjectStream(number, entry.value));
+  }
+
+  parseObjectStream(number, dictionary) {
+    const data = this.streamData(number);
+    if (!data) return;
+    const text = data.toString('latin1');
+    const offsets = new PdfParser(text.slice(0, dictionary.First));
+    const count = dictionary.N || 0;
+    for (let i = 0; i < count; i++) {
+      const objectNumber = offsets.next()?.value;
+      const offset = offsets.next()?.value;
+      if (typeof objectNumber !== 'number' || typeof offset !== 'number') break;
+      if (this.objects.has(objectNumber) && this.objects.get(objectNumber).streamStart !== undefined) continue;
+      const item = new PdfParser(text, dictionary.First + offset).next();
+      if (item) this.objects.set(objectNumber, { value: item.value });
+    }
+  }
+
+  /**
+   * Follow a reference to its value
+   */
+  resolve(value, depth = 0) {
+    if (value && typeof value === 'object' && value.ref !== undefined && depth < 10) {
+      return this.resolve(this.objects.get(value.ref)?.value, depth + 1);
+    }
+    return value;
+  }
+
+  /**
+   * Decoded data of a stream object (FlateDecode or unfiltered), or null
+   */
+  streamData(number) {
+    if (this.decoded.has(number)) return this.decoded.get(number);
+
+    const entry = this.objects.get(number);
+    if (!entry || entry.streamStart === undefined) return null;
+
+    const raw = this.buffer.subarray(entry.streamStart, entry.streamEnd);
+    const filter = this.resolve(entry.value.Filter);
+    const filters = (Array.isArray(filter) ? filter : filter ? [filter] : []).map((item) => item.name);
+
+    let data = raw;
+    for (const name of filters) {
+      if (name !== 'FlateDecode' && name !== 'Fl') {
+        // Images and other encodings carry no text
+        data = null;
+        break;
+      }
+      data = this.inflate(data);
+      if (!data) break;
+    }
+
+    this.decoded.set(number, data);
+    return data;
+  }
+
+  inflate(data) {
+    if (this.budget.remaining <= 0) {
+      throw badFile('File is too large to read');
+    }
+    try {
+      const inflated = zlib.inflateSync(data, {
+        maxOutputLength: Math.min(this.budget.remaining, MAX_STREAM_SIZE),
+        finishFlush: zlib.constants.Z_SYNC_FLUSH,
+      });
+      this.budget.remaining -= inflated.length;
+      return inflated;
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+        throw badFile('File is too large to read');
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Pages in order, each with its content stream numbers and resources
+   * @returns {Array<Object>} [{ contents: [number], resources }]
+   */
+  pages() {
+    const catalog = [...this.objects.values()].find((entry) => entry.value?.Type?.name === 'Catalog');
+    const pages = [];
+    const visited = new Set();
+
+    const walk = (reference, inheritedResources) => {
+      if (!reference?.ref || visited.has(reference.ref)) return;
+      visited.add(reference.ref);
+      const node = this.resolve(reference);
+      if (!node || typeof node !== 'object') return;
+      const resources = this.resolve(node.Resources) || inheritedResources;
+
+      if (node.Type?.name === 'Pages' || Array.isArray(this.resolve(node.Kids))) {
+        (this.resolve(node.Kids) || []).forEach((kid) => walk(kid, resources));
+      } else {
+        pages.push({ contents: this.contentRefs(node.Contents), resources });
+      }
+    };
+
+    if (catalog) walk(this.resolve(catalog.value).Pages, null);
+
+    if (pages.length === 0) {
+      // Broken page tree: every page object, in object order
+      [...this.objects.entries()]
+        .filter(([, entry]) => entry.value?.Type?.name === 'Page')
+        .sort(([a], [b]) => a - b)
+        .forEach(([, entry]) => {
+          pages.push({ contents: this.contentRefs(entry.value.Contents), resources: this.resolve(entry.value.Resources) });
+        });
+    }
+    return pages;
+  }
+
+  contentRefs(contents) {
+    const value = contents?.ref !== undefined && !this.objects.get(contents.ref)?.streamStart
+      ? this.resolve(contents)
+      : contents;
+    return (Array.isArray(value) ? value : [value])
+      .filter((item) => item?.ref !== undefined)
+      .map((item) => item.ref);
+  }
+
+  /**
+   * How to turn a font's string bytes into text
+   * @returns {Object} { bytes: 1|2, map: Map<code, text>|null, differences: Map|null }
+   */
+  fontDecoder(fontReference) {
+    const key = fontReference?.ref ?? fontReference;
+    if (key !== undefined && this.cmaps.has(key)) return this.cmaps.get(key);
+
+    const font = this.resolve(fontReference) || {};
+    let decoder = { bytes: font.Subtype?.name === 'Type0' ? 2 : 1, map: null, differences: null };
+
+    const toUnicode = font.ToUnicode;
+    if (toUnicode?.ref !== undefined) {
+      const data = this.streamData(toUnicode.ref);
+      if (data) decoder = { ...decoder, ...parseCMap(data.toString('latin1')) };
+    }
+
+    const encoding = this.resolve(font.Encoding);
+    const differences = this.resolve(encoding?.Differences);
+    if (Array.isArray(differences)) {
+      decoder.differences = new Map();
+      let code = 0;
+      differences.forEach((item) => {
+        if (typeof item === 'number') code = item;
+        else if (item?.name) decoder.differences.set(code++, glyphToText(item.name));
+      });
+    }
+
+    if (key !== undefined && typeof key !== 'object') this.cmaps.set(key, decoder);
+    return decoder;
+  }
+}
+
+/**
+ * Parse a ToUnicode CMap
+ * @returns {Object} { bytes, map } - code width in bytes and code → text
+ */
+function parseCMap(text) {
+  const map = new Map();
+  const utf16 = (hex) => {
+    const bytes = Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex');
+    let result = '';
+    for (let i = 0; i + 1 < bytes.length; i += 2) result += String.fromCharCode(bytes.readUInt16BE(i));
+    return result;
+  };
+
+  const space = /begincodespacerange\s*<([0-9a-fA-F]+)>/.exec(text);
+  const bytes = space ? Math.max(1, Math.ceil(space[1].length / 2)) : 2;
+
+  const charBlocks = text.match(/beginbfchar([\s\S]*?)endbfchar/g) || [];
+  charBlocks.forEach((block) => {
+    const pairs = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g;
+    let match;
+    while ((match = pairs.exec(block))) map.set(parseInt(match[1], 16), utf16(match[2]));
+  });
+
+  const rangeBlocks = text.match(/beginbfrange([\s\S]*?)endbfrange/g) || [];
+  rangeBlocks.forEach((block) => {
+    const ranges = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(?:<([0-9a-fA-F]+)>|\[([^\]]*)\])/g;
+    let match;
+    while ((match = ranges.exec(block))) {
+      const low = parseInt(match[1], 16);
+      const high = Math.min(parseInt(match[2], 16), low + 0xffff);
+      if (match[3] !== undefined) {
+        const start = utf16(match[3]);
+        const last = start.charCodeAt(start.length - 1);
+        for (let code = low; code <= high; code++) {
+          map.set(code, start.slice(0, -1) + String.fromCharCode(last + (code - low)));
+        }
+      } else {
+        const targets = match[4].match(/<([0-9a-fA-F]*)>/g) || [];
+        targets.forEach((target, i) => map.set(low + i, utf16(target.slice(1, -1))));
+      }
+    }
+  });
+
+  return { bytes, map };
+}
+
+/**
+ * Turn the bytes of a shown string into text with the current font
+ */
+function decodeString(bytes, decoder) {
+  let text = '';
+  const width = decoder.map ? decoder.bytes : 1;
+  for (let i = 0; i + width <= bytes.length; i += width) {
+    const code = width === 2 ? bytes.readUInt16BE(i) : bytes[i];
+    if (decoder.map?.has(code)) {
+      text += decoder.map.get(code);
+    } else if (decoder.differences?.has(code)) {
+      text += decoder.differences.get(code);
+    } else if (decoder.bytes === 2) {
+      // Composite font without a Unicode map: the codes are glyph IDs, not text
+      continue;
+    } else if (WIN_ANSI_EXTRAS[code]) {
+      text += WIN_ANSI_EXTRAS[code];
+    } else if (code >= 0x20) {
+      text += String.fromCharCode(code);
+    }
+  }
+  return text;
+}
+
+/**
+ * Run a page (or form XObject) content stream and collect its text
+ */
+function readContentText(pdf, data, resources, output, depth = 0) {
+  const parser = new PdfParser(data.toString('latin1'));
+  const fonts = pdf.resolve(resources?.Font) || {};
+  const xObjects = pdf.resolve(resources?.XObject) || {};
+  let decoder = { bytes: 1, map: null, differences: null };
+  let operands = [];
+  // Baseline of the current text line and of the last text shown; a
+  // different baseline starts a new output line, the same one a new word
+  let lineY = 0;
+  let shownY = null;
+  let moved = false;
+
+  const newLine = () => {
+    if (output.text && !output.text.endsWith('\n')) output.text += '\n';
+  };
+  const space = () => {
+    if (output.text && !/\s$/.test(output.text)) output.text += ' ';
+  };
+  const show = (bytes) => {
+    if (!Buffer.isBuffer(bytes)) return;
+    if (moved && shownY !== null) {
+      if (Math.abs(lineY - shownY) > 0.5) newLine();
+      else space();
+    }
+    moved = false;
+    shownY = lineY;
+    output.text += decodeString(bytes, decoder);
+  };
+
+  for (;;) {
+    const item = parser.next();
+    if (!item) break;
+    const { value } = item;
+    if (!value || typeof value !== 'object' || value.op === undefined) {
+      operands.push(value);
+      continue;
+    }
+
+    switch (value.op) {
+      case 'BT':
+        lineY = 0;
+        moved = true;
+        break;
+      case 'Tf':
+        decoder = pdf.fontDecoder(fonts[operands[0]?.name]);
+        break;
+      case 'Tj':
+        show(operands[0]);
+        break;
+      case "'":
+        newLine();
+        shownY = null;
+        show(operands[0]);
+        break;
+      case '"':
+        newLine();
+        shownY = null;
+        show(operands[2]);
+        break;
+      case 'TJ':
+        (Array.isArray(operands[0]) ? operands[0] : []).forEach((part) => {
+          if (typeof part === 'number') {
+            if (part < -WORD_GAP) space();
+          } else {
+            show(part);
+          }
+        });
+        break;
+      case 'Td':
+      case 'TD':
+        lineY += typeof operands[1] === 'number' ? operands[1] : 0;
+        moved = true;
+        break;
+      case 'T*':
+        newLine();
+        shownY = null;
+        break;
+      case 'Tm':
+        if (typeof operands[5] === 'number') lineY = operands[5];
+        moved = true;
+        break;
+      case 'Do': {
+        const reference = xObjects[operands[0]?.name];
+        const form = pdf.resolve(reference);
+        if (depth < MAX_FORM_DEPTH && form?.Subtype?.name === 'Form' && reference?.ref !== undefined) {
+          const formData = pdf.streamData(reference.ref);
+          if (formData) {
+            newLine();
+            readContentText(pdf, formData, pdf.resolve(form.Resources) || resources, output, depth + 1);
+          }
+        }
+        break;
+      }
+      case 'ID': {
+        // Inline image data runs up to "EI"
+        const end = parser.source.indexOf('EI', parser.position);
+        parser.position = end === -1 ? parser.source.length : end + 2;
+        break;
+      }
+      default:
+        break;
+    }
+    operands = [];
+  }
+}
+
+/**
+ * Extract the text of a PDF file, one line per text line
+ * @param {Buffer} buffer - File contents
+ * @returns {string} Text
+ */
+export function extractPdfText(buffer) {
+  if (!buffer.subarray(0, 1024).toString('latin1').includes('%PDF-')) {
+    throw badFile('File is not a valid PDF document');
+  }
+
+  const pdf = new PdfDocument(buffer);
+  pdf.parseObjects();
+
+  const encrypted = [...pdf.objects.values()].some((entry) => entry.value?.Encrypt)
+    || /\/Encrypt\s/.test(pdf.source.slice(-4096));
+  if (encrypted) {
+    throw badFile('Password-protected PDFs cannot be read. Remove the protection and try again');
+  }
+
+  const pageTexts = pdf.pages().map((page) => {
+    const output = { text: '' };
+    page.contents.forEach((number) => {
+      const data = pdf.streamData(number);
+      if (data) {
+        readContentText(pdf, data, page.resources, output);
+        output.text += '\n';
+      }
+    });
+    return output.text;
+  });
+
+  return pageTexts.join('\n');
+}
+
+/**
+ * Tidy extracted text: Unicode ligatures and spaces normalized, lines trimmed,
+ * runs of blank lines collapsed
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+export function normalizeExtractedText(text) {
+  return text
+    .normalize('NFKC')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[  -​ 　]/g, ' ')
+    .split('\n')
+    .map((line) => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Run extractPdfText in a worker thread, off the thread serving requests
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<string>} Text
+ */
+function extractPdfTextInWorker(buffer) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./documentText.worker.js', import.meta.url), {
+      workerData: buffer,
+      resourceLimits: { maxOldGenerationSizeMb: PDF_WORKER_HEAP_MB },
+    });
+    let settled = false;
+    const settle = (callback, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      worker.terminate();
+      callback(value);
+    };
+
+    const timer = setTimeout(() => settle(reject, badFile('File took too long to read')), PDF_WORKER_TIMEOUT_MS);
+
+    worker.on('message', ({ text, error }) => {
+      if (!error) {
+        settle(resolve, text);
+        return;
+      }
+      const workerError = new Error(error.message);
+      if (error.statusCode) workerError.statusCode = error.statusCode;
+      settle(reject, workerError);
+    });
+    worker.on('error', (error) => {
+      settle(reject, error.code === 'ERR_WORKER_OUT_OF_MEMORY' ? badFile('File is too large to read') : error);
+    });
+    worker.on('exit', () => settle(reject, new Error('PDF reader stopped unexpectedly')));
+  });
+}
+
+/**
+ * Extract the text of a PDF or DOCX file
+ * @param {Buffer} buffer - File contents
+ * @param {string} filename - Original file name (its extension picks the format)
+ * @returns {Promise<string>} Normalized text
+ */
+export async function extractDocumentText(buffer, filename) {
+  const extension = path.extname(filename || '').toLowerCase();
+  if (extension === '.pdf') {
+    return normalizeExtractedText(await extractPdfTextInWorker(buffer));
+  }
+  if (extension === '.docx') {
+    return normalizeExtractedText(await extractDocxText(buffer));
+  }
+  throw badFile('Unsupported file type. Allowed: .pdf, .docx');
+}
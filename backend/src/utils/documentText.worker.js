@@ -0,0 +1,20 @@
+import { parentPort, workerData } from 'worker_threads';
+import { extractPdfText } from './documentText.js';
+
+/**
+ * PDF Text Worker
+ *
+ * Why: Reading a PDF is synchronous work (tokenizing, inflating streams) on
+ * an uploaded file. It runs here, in a worker thread started by
+ * extractDocumentText, so a large or hostile file cannot stall the requests
+ * handled by the main thread.
+ *
+ * Receives the file as workerData and posts back { text } or
+ * { error: { message, statusCode } }.
+ */
+
+try {
+  parentPort.postMessage({ text: extractPdfText(Buffer.from(workerData)) });
+} catch (error) {
+  parentPort.postMessage({ error: { message: error.message, statusCode: error.statusCode } });
+}
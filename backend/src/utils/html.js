@@ -0,0 +1,258 @@
+/**
+ * HTML Utility Functions
+ *
+ * Why: Job posting imports read fields out of arbitrary web pages. Pages are
+ * only read, never rendered, so a small tolerant scanner is enough: find
+ * elements by simple selectors, read meta tags and JSON-LD blocks, and turn
+ * markup into readable text. Broken markup yields less text, not errors.
+ *
+ * Responsibilities:
+ * - Decode HTML entities
+ * - Turn HTML into plain text (paragraphs and list items on their own lines)
+ * - Find elements by tag, id, class and attribute
+ * - Read <meta> content, the <title> and JSON-LD structured data
+ */
+
+// Elements that never have a closing tag
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr',
+]);
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', hellip: '…',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', bull: '•', middot: '·', copy: '©', reg: '®',
+  trade: '™', euro: '€', pound: '£', yen: '¥', cent: '¢', times: '×', laquo: '«', raquo: '»',
+  shy: '', zwj: '', zwnj: '', ensp: ' ', emsp: ' ', thinsp: ' ',
+};
+
+// Opening tag: name and raw attributes (quoted values may contain ">")
+const OPENING_TAG = /<([a-z][a-z0-9-]*)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>/gi;
+const ATTRIBUTE = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+/**
+ * Decode named and numeric character references
+ * @param {string} text - Text with entities
+ * @returns {string}
+ */
+export function decodeHtmlEntities(text) {
+  if (!text) return '';
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+    }
+    const decoded = NAMED_ENTITIES[entity.toLowerCase()];
+    return decoded === undefined ? match : decoded;
+  });
+}
+
+/**
+ * Readable text of an HTML fragment
+ * Block elements end lines, list items start with "- ", and scripts,
+ * styles and comments are dropped.
+ * @param {string} html - HTML
+ * @returns {string}
+ */
+export function htmlToText(html) {
+  if (!html) return '';
+  const text = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|template|svg)\b[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<\/(p|h[1-6]|ul|ol|table|blockquote|section|article)\s*>/gi, '\n\n')
+    .replace(/<\/?(div|li|tr|dt|dd|header|footer|h[1-6]|p)\b[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeHtmlEntities(text)
+    .replace(/[  -​ 　]/g, ' ')
+    .split('\n')
+    .map((line) => line.replace(/[ \t\r\f\v]+/g, ' ').trim())
+    .join('\n')
+    .replace(/^- *$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Text of an HTML fragment on one line
+ * @param {string} html - HTML
+ * @returns {string}
+ */
+export function inlineText(html) {
+  return htmlToText(html).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parse the attributes of an opening tag
+ * @param {string} raw - Attribute source, e.g. ' class="a b" id=x'
+ * @returns {Object} Lowercase attribute names → decoded values
+ */
+function parseAttributes(raw) {
+  const attributes = {};
+  let match;
+  ATTRIBUTE.lastIndex = 0;
+  while ((match = ATTRIBUTE.exec(raw || ''))) {
+    attributes[match[1].toLowerCase()] = decodeHtmlEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attributes;
+}
+
+/**
+ * Parse a simple selector: tag, #id, .class (any number), one [attribute] or [attribute=value]
+ * e.g. "h1.app-title", "#content", "div[data-qa=salary-range]"
+ */
+function parseSelector(selector) {
+  const match = /^([a-z][a-z0-9-]*)?(?:#([\w-]+))?((?:\.[\w-]+)*)(?:\[([\w-]+)(?:=["']?([^"'\]]*)["']?)?\])?$/i.exec(
+    selector.trim()
+  );
+  if (!match) {
+    throw new Error(`Unsupported selector: ${selector}`);
+  }
+  return {
+    tag: match[1]?.toLowerCase(),
+    id: match[2],
+    classes: match[3] ? match[3].split('.').filter(Boolean) : [],
+    attribute: match[4]?.toLowerCase(),
+    value: match[5],
+  };
+}
+
+function matchesSelector(tag, attributes, selector) {
+  if (selector.tag && selector.tag !== tag) return false;
+  if (selector.id && attributes.id !== selector.id) return false;
+  if (selector.classes.length > 0) {
+    const classes = (attributes.class || '').split(/\s+/);
+    if (!selector.classes.every((name) => classes.includes(name))) return false;
+  }
+  if (selector.attribute) {
+    if (!(selector.attribute in attributes)) return false;
+    if (selector.value !== undefined && attributes[selector.attribute] !== selector.value) return false;
+  }
+  return true;
+}
+
+/**
+ * Index just after the closing tag matching an element opened at `from`
+ * (nested elements with the same name are counted)
+ */
+function findClosingTag(html, tag, from) {
+  const tags = new RegExp(`<(/?)${tag}\\b[^>]*>`, 'gi');
+  tags.lastIndex = from;
+  let depth = 1;
+  let match;
+  while ((match = tags.exec(html))) {
+    if (match[1]) {
+      depth--;
+      if (depth === 0) return { innerEnd: match.index, end: tags.lastIndex };
+    } else if (!match[0].endsWith('/>')) {
+      depth++;
+    }
+  }
+  // Unclosed: the element runs to the end of the document
+  return { innerEnd: html.length, end: html.length };
+}
+
+/**
+ * Elements matching a simple selector, in document order
+ * @param {string} html - HTML to search
+ * @param {string} selector - e.g. "h1.app-title", "#content", "[data-automation-id=locations]"
+ * @returns {Array<Object>} [{ tag, attributes, html }] - html is the element's inner HTML
+ */
+export function findElements(html, selector) {
+  if (!html) return [];
+  const parsed = parseSelector(selector);
+  // Text the raw tag must contain, to skip parsing attributes of most tags
+  const needle = parsed.id || parsed.classes[0] || parsed.value || parsed.attribute;
+  const elements = [];
+  const opening = new RegExp(OPENING_TAG.source, 'gi');
+  let match;
+
+  while ((match = opening.exec(html))) {
+    const tag = match[1].toLowerCase();
+    if (parsed.tag && parsed.tag !== tag) continue;
+    if (needle && !match[2]?.includes(needle)) continue;
+    const attributes = parseAttributes(match[2]);
+    if (!matchesSelector(tag, attributes, parsed)) continue;
+
+    if (VOID_ELEMENTS.has(tag) || match[3]) {
+      elements.push({ tag, attributes, html: '' });
+    } else {
+      const { innerEnd } = findClosingTag(html, tag, opening.lastIndex);
+      elements.push({ tag, attributes, html: html.slice(opening.lastIndex, innerEnd) });
+    }
+  }
+  return elements;
+}
+
+/**
+ * First element matching a selector, or null
+ * @param {string} html - HTML to search
+ * @param {string} selector - Simple selector (see findElements)
+ * @returns {Object|null} { tag, attributes, html }
+ */
+export function findElement(html, selector) {
+  return findElements(html, selector)[0] || null;
+}
+
+/**
+ * One-line text of the first element matching any of the selectors
+ * @param {string} html - HTML to search
+ * @param {Array<string>} selectors - Tried in order
+ * @returns {string} Empty string when nothing matches
+ */
+export function textOf(html, selectors) {
+  for (const selector of selectors) {
+    const text = findElements(html, selector).map((element) => inlineText(element.html)).find(Boolean);
+    if (text) return text;
+  }
+  return '';
+}
+
+/**
+ * Content of a <meta> tag by name or property (e.g. "og:title", "description")
+ * @param {string} html - HTML document
+ * @param {string} key - name or property value
+ * @returns {string} Empty string when missing
+ */
+export function getMetaContent(html, key) {
+  const meta = findElements(html, 'meta').find(
+    ({ attributes }) => attributes.property === key || attributes.name === key || attributes.itemprop === key
+  );
+  return meta?.attributes.content?.trim() || '';
+}
+
+/**
+ * Text of the document <title>
+ * @param {string} html - HTML document
+ * @returns {string}
+ */
+export function getTitle(html) {
+  const match = /<title\b[^>]*>([\s\S]*?)<\/title\s*>/i.exec(html || '');
+  return match ? decodeHtmlEntities(match[1]).replace(/\s+/g, ' ').trim() : '';
+}
+
+/**
+ * Parsed JSON-LD blocks of a document (blocks that are not valid JSON are skipped)
+ * @param {string} html - HTML document
+ * @returns {Array} Parsed values, in document order
+ */
+export function getJsonLd(html) {
+  const blocks = [];
+  const scripts = /<script\b[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script\s*>/gi;
+  let match;
+  while ((match = scripts.exec(html || ''))) {
+    const source = match[1]
+      .trim()
+      .replace(/^<!--|-->$/g, '')
+      .replace(/^\s*\/\/\s*<!\[CDATA\[|\/\/\s*\]\]>\s*$/g, '');
+    try {
+      blocks.push(JSON.parse(source));
+    } catch {
+      // Some sites publish invalid JSON-LD; other extractors may still find the fields
+    }
+  }
+  return blocks;
+}
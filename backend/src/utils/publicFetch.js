@@ -0,0 +1,226 @@
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import zlib from 'zlib';
+
+/**
+ * Public Page Fetching
+ *
+ * Why: Job posting imports download a page from a URL the user typed. The
+ * request is made by the server, so it must not become a way to reach the
+ * server's own network (cloud metadata endpoints, databases, admin panels).
+ * Every address a host name resolves to is checked when the connection is
+ * made - including after redirects - so a public name pointing at a private
+ * address is refused as well.
+ *
+ * Responsibilities:
+ * - Allow only http(s) URLs on the default ports
+ * - Refuse loopback, private, link-local and other non-public addresses
+ * - Follow a limited number of redirects, checking each one
+ * - Bound response time and size (also after decompression)
+ * - Decode the body using the declared character set
+ */
+
+// Address ranges that are not on the public internet
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 3],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32], ['fc00::', 7],
+  ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const fetchError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Whether an IP address is on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+export function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as IPv4
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return !BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  return !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * DNS lookup that fails for non-public addresses (used for every connection)
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked || addresses.length === 0) {
+      callback(fetchError('This address cannot be fetched'));
+      return;
+    }
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+}
+
+/**
+ * Check that a URL may be requested
+ * @param {string} url - Absolute URL
+ * @returns {URL}
+ */
+function checkUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw fetchError('Invalid URL');
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw fetchError('Only http and https URLs can be fetched');
+  }
+  if (parsed.port && parsed.port !== '80' && parsed.port !== '443') {
+    throw fetchError('Only the default http and https ports can be fetched');
+  }
+  if (parsed.username || parsed.password) {
+    throw fetchError('URLs with credentials cannot be fetched');
+  }
+  // Literal IP addresses skip DNS, so they are checked here
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    throw fetchError('This address cannot be fetched');
+  }
+  return parsed;
+}
+
+/**
+ * Character set of a response: Content-Type header, else <meta charset>, else UTF-8
+ */
+function detectCharset(contentType, body) {
+  const fromHeader = /charset=["']?([\w-]+)/i.exec(contentType || '');
+  const fromMeta = /<meta[^>]+charset=["']?([\w-]+)/i.exec(body.subarray(0, 4096).toString('latin1'));
+  const label = (fromHeader || fromMeta)?.[1] || 'utf-8';
+  try {
+    return new TextDecoder(label);
+  } catch {
+    return new TextDecoder('utf-8');
+  }
+}
+
+/**
+ * Decompression stream for a Content-Encoding, or null for identity
+ */
+function decoderFor(encoding) {
+  switch ((encoding || '').trim().toLowerCase()) {
+    case 'gzip':
+    case 'x-gzip':
+      return zlib.createGunzip();
+    case 'deflate':
+      return zlib.createInflate();
+    case 'br':
+      return zlib.createBrotliDecompress();
+    default:
+      return null;
+  }
+}
+
+/**
+ * Make one GET request
+ * @returns {Promise<Object>} { status, headers, body: Buffer }
+ */
+function request(url, { timeoutMs, maxBytes, userAgent }) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.get(
+      url,
+      {
+        lookup: publicLookup,
+        timeout: timeoutMs,
+        headers: {
+          'User-Agent': userAgent,
+          Accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8',
+          'Accept-Encoding': 'gzip, deflate, br',
+          'Accept-Language': 'en-US,en;q=0.8',
+        },
+      },
+      (res) => {
+        if (res.statusCode >= 300 && res.statusCode < 400) {
+          res.resume();
+          resolve({ status: res.statusCode, headers: res.headers, body: Buffer.alloc(0) });
+          return;
+        }
+
+        const decompress = decoderFor(res.headers['content-encoding']);
+        const stream = decompress ? res.pipe(decompress) : res;
+        const chunks = [];
+        let size = 0;
+
+        stream.on('data', (chunk) => {
+          size += chunk.length;
+          if (size > maxBytes) {
+            req.destroy();
+            stream.destroy();
+            reject(fetchError('The page is too large to import'));
+            return;
+          }
+          chunks.push(chunk);
+        });
+        stream.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+        stream.on('error', () => reject(fetchError('The page could not be read')));
+      }
+    );
+
+    // Whole-request deadline (the socket timeout only covers idle time)
+    const deadline = setTimeout(() => req.destroy(fetchError('The page took too long to respond')), timeoutMs);
+    req.on('close', () => clearTimeout(deadline));
+    req.on('timeout', () => req.destroy(fetchError('The page took too long to respond')));
+    req.on('error', (error) => {
+      reject(error.statusCode ? error : fetchError(`The page could not be fetched (${error.code || error.message})`));
+    });
+  });
+}
+
+/**
+ * Fetch a public web page as text
+ * @param {string} url - http(s) URL
+ * @param {Object} options - { timeoutMs, maxBytes, maxRedirects, userAgent }
+ * @returns {Promise<Object>} { url (after redirects), contentType, text }
+ */
+export async function fetchPublicPage(url, { timeoutMs, maxBytes, maxRedirects, userAgent }) {
+  let current = checkUrl(url);
+
+  for (let redirects = 0; ; redirects++) {
+    const response = await request(current, { timeoutMs, maxBytes, userAgent });
+
+    if (response.status >= 300 && response.status < 400) {
+      if (!response.headers.location || redirects >= maxRedirects) {
+        throw fetchError('The page redirected too many times');
+      }
+      current = checkUrl(new URL(response.headers.location, current).toString());
+      continue;
+    }
+
+    if (response.status >= 400) {
+      throw fetchError(`The page could not be fetched (HTTP ${response.status})`);
+    }
+
+    const contentType = response.headers['content-type'] || '';
+    return {
+      url: current.toString(),
+      contentType,
+      text: detectCharset(contentType, response.body).decode(response.body),
+    };
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * Search Utility Functions
+ *
+ * Why: MongoDB text search ranks documents but does not say where they
+ * matched. These helpers locate the search terms in the returned documents
+ * so the client can show highlighted snippets.
+ *
+ * Responsibilities:
+ * - Parse a text search query into terms and phrases (mirrors $text syntax)
+ * - Find match positions in a field, tolerating simple word endings
+ * - Build short snippets with match offsets (no HTML - the client renders marks)
+ */
+
+const SNIPPET_CONTEXT = 60; // Characters of context on each side of the first match
+const MAX_SNIPPETS = 3;
+
+/**
+ * Escape a string for use inside a RegExp
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Strip common English endings so "engineers" also highlights "engineer"/"engineering"
+ * (MongoDB stems terms, so it matches these too)
+ */
+function stem(term) {
+  return term.replace(/(ing|ers|er|ed|es|s)$/i, '') || term;
+}
+
+/**
+ * Parse a search query into phrases and terms
+ * Follows $text syntax: "quoted phrases" match exactly, -term excludes.
+ * @param {string} query - Raw search query
+ * @returns {Object} { phrases, terms }
+ */
+export function parseSearchQuery(query) {
+  const phrases = [];
+  const withoutPhrases = query.replace(/"([^"]+)"/g, (_, phrase) => {
+    if (phrase.trim()) phrases.push(phrase.trim());
+    return ' ';
+  });
+
+  const terms = withoutPhrases
+    .split(/\s+/)
+    .filter((term) => term && !term.startsWith('-'))
+    .map((term) => term.replace(/^[^\w]+|[^\w]+$/g, ''))
+    .filter(Boolean);
+
+  return { phrases, terms };
+}
+
+/**
+ * Build a RegExp matching any phrase or (stemmed) term of a query
+ * @param {string} query - Raw search query
+ * @returns {RegExp|null} Global, case-insensitive pattern or null if nothing to match
+ */
+export function buildHighlightPattern(query) {
+  const { phrases, terms } = parseSearchQuery(query);
+
+  const alternatives = [
+    ...phrases.map((phrase) => escapeRegExp(phrase)),
+    ...terms.map((term) => {
+      const base = term.length > 4 ? stem(term) : term;
+      return `\\b${escapeRegExp(base)}\\w*`;
+    }),
+  ];
+
+  if (alternatives.length === 0) return null;
+
+  // Longest first so phrases win over the words inside them
+  alternatives.sort((a, b) => b.length - a.length);
+  return new RegExp(alternatives.join('|'), 'gi');
+}
+
+/**
+ * Build a snippet around the matches in a piece of text
+ * @param {string} text - Field value
+ * @param {RegExp} pattern - Pattern from buildHighlightPattern
+ * @returns {Object|null} { snippet, matches: [{ start, end }] } or null if no match
+ */
+export function buildSnippet(text, pattern) {
+  if (!text) return null;
+
+  const matches = [...text.matchAll(pattern)];
+  if (matches.length === 0) return null;
+
+  const firstIndex = matches[0].index;
+  let start = Math.max(0, firstIndex - SNIPPET_CONTEXT);
+  let end = Math.min(text.length, firstIndex + matches[0][0].length + SNIPPET_CONTEXT);
+
+  // Avoid cutting words in half at the edges
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < firstIndex) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > firstIndex) end = space;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const body = text.slice(start, end).replace(/\s+/g, ' ');
+
+  // Recompute offsets on the normalized snippet text
+  const snippetMatches = [...body.matchAll(pattern)].map((match) => ({
+    start: prefix.length + match.index,
+    end: prefix.length + match.index + match[0].length,
+  }));
+
+  return {
+    snippet: `${prefix}${body}${suffix}`,
+    matches: snippetMatches,
+  };
+}
+
+/**
+ * Build highlighted snippets for a document
+ * @param {Object} document - Document to inspect
+ * @param {Array<string>} fields - Fields to search, in display priority order
+ * @param {RegExp} pattern - Pattern from buildHighlightPattern
+ * @returns {Array} [{ field, snippet, matches }]
+ */
+export function buildHighlights(document, fields, pattern) {
+  if (!pattern) return [];
+
+  const highlights = [];
+  for (const field of fields) {
+    const result = buildSnippet(document[field], pattern);
+    if (result) {
+      highlights.push({ field, ...result });
+    }
+    if (highlights.length >= MAX_SNIPPETS) break;
+  }
+  return highlights;
+}
@@ -0,0 +1,212 @@
+import path from 'path';
+import ExcelJS from 'exceljs';
+
+/**
+ * Spreadsheet Utility Functions
+ *
+ * Why: Imports accept both CSV and XLSX files. These helpers turn either
+ * into the same shape - a header row and data rows of plain values - so
+ * the import logic never deals with file formats. Exports go the other way.
+ *
+ * Responsibilities:
+ * - Parse CSV text (quoted fields, embedded newlines, , ; or tab delimiters)
+ * - Read the first worksheet of an XLSX workbook
+ * - Flatten cell values (rich text, hyperlinks, formulas) to strings, numbers or Dates
+ * - Drop blank rows and name unnamed columns
+ * - Write rows to CSV (escaping text that would run as a formula) or XLSX
+ */
+
+/**
+ * Guess the delimiter from the header line (most frequent candidate wins)
+ */
+function detectDelimiter(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const candidates = [',', ';', '\t'];
+  return candidates.reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  );
+}
+
+/**
+ * Parse CSV text into rows of strings (RFC 4180)
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Rows
+ */
+export function parseCsv(text) {
+  const content = text.replace(/^\uFEFF/, ''); // Excel writes a byte order mark
+  const delimiter = detectDelimiter(content);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Flatten an ExcelJS cell value to a string, number, boolean or Date
+ */
+function flattenCellValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date || typeof value !== 'object') return value;
+  if (Array.isArray(value.richText)) return value.richText.map((part) => part.text).join('');
+  if (value.hyperlink !== undefined) return value.text ?? value.hyperlink;
+  if (value.result !== undefined) return flattenCellValue(value.result);
+  if (value.error) return '';
+  return String(value);
+}
+
+/**
+ * Read the first worksheet of an XLSX workbook into rows of values
+ * @param {Buffer} buffer - XLSX file content
+ * @returns {Array<Array>} Rows
+ */
+export async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch {
+    const error = new Error('Could not read the Excel file. Please upload a valid .xlsx file.');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) return [];
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: true }, (worksheetRow) => {
+    const values = [];
+    // Cell indexes are 1-based
+    for (let column = 1; column <= worksheet.columnCount; column++) {
+      values.push(flattenCellValue(worksheetRow.getCell(column).value));
+    }
+    rows.push(values);
+  });
+  return rows;
+}
+
+/**
+ * Whether a cell holds anything
+ */
+function isFilled(value) {
+  return value instanceof Date || String(value ?? '').trim() !== '';
+}
+
+/**
+ * Parse an uploaded CSV or XLSX file into headers and data rows
+ * The first non-blank row is the header row.
+ * @param {Buffer} buffer - File content
+ * @param {string} filename - Original file name (decides the format)
+ * @returns {Object} { headers: Array<string>, rows: Array<{ rowNumber, values }> }
+ */
+export async function parseSpreadsheet(buffer, filename) {
+  const extension = path.extname(filename || '').toLowerCase();
+  const rawRows = extension === '.xlsx'
+    ? await parseXlsx(buffer)
+    : parseCsv(buffer.toString('utf8'));
+
+  // Keep the spreadsheet's own row numbers so errors point at the right line
+  const numbered = rawRows
+    .map((values, index) => ({ rowNumber: index + 1, values }))
+    .filter((row) => row.values.some(isFilled));
+
+  if (numbered.length === 0) {
+    return { headers: [], rows: [] };
+  }
+
+  const [headerRow, ...dataRows] = numbered;
+  const width = Math.max(...numbered.map((row) => row.values.length));
+
+  const headers = [];
+  for (let column = 0; column < width; column++) {
+    const name = String(headerRow.values[column] ?? '').trim() || `Column ${column + 1}`;
+    // Duplicate header names would make the column mapping ambiguous
+    let unique = name;
+    let suffix = 2;
+    while (headers.includes(unique)) unique = `${name} (${suffix++})`;
+    headers.push(unique);
+  }
+
+  return { headers, rows: dataRows };
+}
+
+/**
+ * Neutralize text that spreadsheet apps would run as a formula (CSV injection)
+ */
+function escapeFormula(value) {
+  return typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+/**
+ * Write rows as CSV (RFC 4180, with a byte order mark so Excel reads UTF-8)
+ * @param {Array<string>} headers - Header row
+ * @param {Array<Array>} rows - Data rows (strings, numbers, Dates, null)
+ * @returns {string} CSV content
+ */
+export function toCsv(headers, rows) {
+  const formatCell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(escapeFormula(value instanceof Date ? value.toISOString() : value));
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [headers, ...rows].map((row) => row.map(formatCell).join(','));
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Write rows to a single-sheet XLSX workbook
+ * @param {Array<string>} headers - Header row
+ * @param {Array<Array>} rows - Data rows (strings, numbers, Dates, null)
+ * @param {string} sheetName - Worksheet name
+ * @returns {Buffer} XLSX file content
+ */
+export async function toXlsx(headers, rows, sheetName) {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet(sheetName);
+
+  worksheet.addRow(headers).font = { bold: true };
+  // Strings are stored as text cells, so they never run as formulas here
+  rows.forEach((row) => worksheet.addRow(row));
+
+  worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+  worksheet.columns.forEach((column, index) => {
+    column.width = Math.min(50, Math.max(12, headers[index].length + 2));
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
@@ -0,0 +1,45 @@
+/**
+ * Time Zone Utility Functions
+ *
+ * Why: Interview times are stored in UTC but must be shown in the time
+ * zone the interview was scheduled in (the company's, not the server's).
+ *
+ * Responsibilities:
+ * - Check IANA time zone names (e.g. "Europe/Berlin")
+ * - Format a date in a given time zone
+ */
+
+/**
+ * Check whether a string is a time zone the runtime knows
+ * @param {string} timeZone - IANA time zone name
+ * @returns {boolean} True if the time zone is supported
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Format a date and time in a time zone, e.g. "Monday, March 3, 2025, 2:30 PM CET"
+ * Falls back to UTC for unknown time zones.
+ * @param {Date|string} date - Date to format
+ * @param {string} [timeZone] - IANA time zone name
+ * @returns {string} Formatted date and time
+ */
+export function formatInTimeZone(date, timeZone = 'UTC') {
+  return new Date(date).toLocaleString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short',
+    timeZone: isValidTimeZone(timeZone) ? timeZone : 'UTC',
+  });
+}
@@ -0,0 +1,127 @@
+import { z } from 'zod';
+import {
+  BACKUP_FORMAT,
+  BACKUP_FORMAT_VERSION,
+  BACKUP_FILE_FORMATS,
+  RESTORE_MODE,
+} from '../models/account.constants.js';
+import {
+  STAGE_CATEGORY,
+  STAGE_KEY_REGEX,
+  STAGE_KEY_MAX_LENGTH,
+  STAGE_LABEL_MAX_LENGTH,
+} from '../models/pipeline.constants.js';
+import { NAME_MIN_LENGTH, NAME_MAX_LENGTH } from '../models/user.constants.js';
+import { TAG_MAX_LENGTH, COMPANY_NAME_MAX_LENGTH } from '../models/jobApplication.constants.js';
+import { TAG_COLORS } from '../models/tag.constants.js';
+
+/**
+ * Account Validation Schemas
+ *
+ * Why: Validates backup/restore requests before they reach controllers, and
+ * the structure of uploaded backup files before anything is written.
+ * Field-level rules for restored documents are enforced by the models.
+ */
+
+const objectIdSchema = z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid ID format');
+
+// Documents keep all their fields; the models decide what is stored
+const backupDocumentSchema = z.object({ _id: objectIdSchema }).passthrough();
+
+const applicationChildSchema = backupDocumentSchema.extend({
+  application: objectIdSchema,
+});
+
+/**
+ * Schema for the contents of a backup file (JSON, or the ZIP files combined)
+ */
+export const backupArchiveSchema = z.object({
+  format: z.literal(BACKUP_FORMAT, {
+    errorMap: () => ({ message: 'File is not a Joblytics backup' }),
+  }),
+  version: z
+    .number()
+    .int()
+    .min(1, 'Unknown backup version')
+    .max(
+      BACKUP_FORMAT_VERSION,
+      'This backup was made by a newer version of Joblytics and cannot be restored'
+    ),
+  exportedAt: z.string().optional(),
+  profile: z
+    .object({
+      firstName: z.string().trim().min(NAME_MIN_LENGTH).max(NAME_MAX_LENGTH).optional(),
+      lastName: z.string().trim().min(NAME_MIN_LENGTH).max(NAME_MAX_LENGTH).optional(),
+      profile: z
+        .object({
+          resumeSummary: z.string().max(2000).optional(),
+          phone: z.string().optional(),
+          location: z.string().max(200).optional(),
+          linkedInUrl: z.string().optional(),
+          portfolioUrl: z.string().optional(),
+        })
+        .optional(),
+    })
+    .nullable()
+    .optional(),
+  pipeline: z
+    .object({
+      stages: z.array(
+        z.object({
+          key: z.string().max(STAGE_KEY_MAX_LENGTH).regex(STAGE_KEY_REGEX, 'Invalid stage key'),
+          label: z.string().trim().min(1).max(STAGE_LABEL_MAX_LENGTH),
+          category: z.enum(Object.values(STAGE_CATEGORY)),
+        })
+      ),
+    })
+    .nullable()
+    .optional(),
+  // Added in version 2; older backups get tags from their applications
+  tags: z
+    .array(
+      z.object({
+        name: z.string().trim().min(1).max(TAG_MAX_LENGTH),
+        color: z.enum(TAG_COLORS).optional(),
+      })
+    )
+    .default([]),
+  // Added in version 3; older backups get companies from their applications
+  companies: z
+    .array(
+      backupDocumentSchema.extend({
+        name: z.string().trim().min(1).max(COMPANY_NAME_MAX_LENGTH),
+      })
+    )
+    .default([]),
+  applications: z.array(backupDocumentSchema).default([]),
+  // Added in version 4
+  contacts: z.array(backupDocumentSchema).default([]),
+  // Added in version 5
+  interviewRounds: z.array(applicationChildSchema).default([]),
+  // Added in version 6
+  offers: z.array(applicationChildSchema).default([]),
+  reminders: z.array(applicationChildSchema).default([]),
+  statusHistory: z.array(applicationChildSchema).default([]),
+  savedViews: z.array(backupDocumentSchema).default([]),
+  // Added in version 7
+  resumes: z.array(backupDocumentSchema).default([]),
+});
+
+/**
+ * Schema for backup download query parameters
+ */
+export const backupQuerySchema = z.object({
+  query: z.object({
+    format: z.enum(BACKUP_FILE_FORMATS).optional(),
+  }),
+});
+
+/**
+ * Schema for restore form fields (multipart/form-data, so values are strings)
+ */
+export const restoreBackupSchema = z.object({
+  body: z.object({
+    mode: z.enum(Object.values(RESTORE_MODE)).optional(),
+    restoreProfile: z.enum(['true', 'false']).optional(),
+  }),
+});
@@ -10,6 +10,12 @@ import { z } from 'zod';
  * - Input lengths are reasonable (to avoid excessive API costs)
  */
 
+// Resume from the resume library to analyze (defaults to the default resume)
+const resumeIdSchema = z
+  .string()
+  .regex(/^[0-9a-fA-F]{24}$/, 'Invalid resume ID format')
+  .optional();
+
 /**
  * Schema for resume match analysis
  */
@@ -39,6 +45,7 @@ export const resumeMatchSchema = z.object({
       .min(2, 'Company name must be at least 2 characters')
       .max(200, 'Company name cannot exceed 200 characters')
       .trim(),
+    resumeId: resumeIdSchema,
   }),
 });
 
@@ -71,6 +78,7 @@ export const interviewPrepSchema = z.object({
       .min(2, 'Company name must be at least 2 characters')
       .max(200, 'Company name cannot exceed 200 characters')
       .trim(),
+    resumeId: resumeIdSchema,
   }),
 });
 
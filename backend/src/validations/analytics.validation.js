@@ -0,0 +1,33 @@
+import { z } from 'zod';
+import { isSupportedCurrency } from '../utils/currency.js';
+
+/**
+ * Analytics Validation Schemas
+ *
+ * Why: Validates analytics query parameters before they reach controllers.
+ */
+
+/**
+ * Schema for analytics query parameters (shared by all analytics endpoints)
+ */
+export const analyticsQuerySchema = z.object({
+  query: z.object({
+    // Archived applications are left out unless this is "true"
+    includeArchived: z.enum(['true', 'false']).optional(),
+  }),
+});
+
+/**
+ * Schema for compensation analytics query parameters
+ */
+export const compensationQuerySchema = z.object({
+  query: z.object({
+    // Currency to convert salaries to (defaults to USD)
+    currency: z
+      .string()
+      .trim()
+      .toUpperCase()
+      .refine(isSupportedCurrency, 'Unsupported currency')
+      .optional(),
+  }),
+});
@@ -0,0 +1,129 @@
+import { z } from 'zod';
+import {
+  COMPANY_WEBSITE_MAX_LENGTH,
+  COMPANY_INDUSTRY_MAX_LENGTH,
+  COMPANY_HEADQUARTERS_MAX_LENGTH,
+  COMPANY_NOTES_MAX_LENGTH,
+  COMPANY_SIZES,
+  COMPANY_RATING_FIELDS,
+  COMPANY_RATING_MIN,
+  COMPANY_RATING_MAX,
+  COMPANY_RATING_STEP,
+} from '../models/company.constants.js';
+import { COMPANY_NAME_MAX_LENGTH } from '../models/jobApplication.constants.js';
+
+/**
+ * Company Validation Schemas
+ *
+ * Why: Validates company request data before it reaches controllers.
+ * Whether a name matches another company is a per-user rule enforced in the service.
+ */
+
+const companyIdSchema = z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid company ID format');
+
+const companyNameSchema = z
+  .string({
+    required_error: 'Company name is required',
+    invalid_type_error: 'Company name must be a string',
+  })
+  .trim()
+  .min(1, 'Company name is required')
+  .max(COMPANY_NAME_MAX_LENGTH, `Company name cannot exceed ${COMPANY_NAME_MAX_LENGTH} characters`);
+
+const ratingSchema = z
+  .number({ invalid_type_error: 'Rating must be a number' })
+  .min(COMPANY_RATING_MIN, `Ratings must be between ${COMPANY_RATING_MIN} and ${COMPANY_RATING_MAX}`)
+  .max(COMPANY_RATING_MAX, `Ratings must be between ${COMPANY_RATING_MIN} and ${COMPANY_RATING_MAX}`)
+  .refine(
+    (value) => Number.isInteger(value / COMPANY_RATING_STEP),
+    `Ratings go in steps of ${COMPANY_RATING_STEP}`
+  )
+  .nullable();
+
+/**
+ * Company details (everything except the name), all optional
+ */
+const companyDetailFields = {
+  website: z
+    .string()
+    .trim()
+    .max(COMPANY_WEBSITE_MAX_LENGTH, `Website cannot exceed ${COMPANY_WEBSITE_MAX_LENGTH} characters`)
+    .refine((value) => value === '' || /^https?:\/\/\S+$/i.test(value), 'Website must be a valid http(s) URL')
+    .optional(),
+  industry: z
+    .string()
+    .trim()
+    .max(COMPANY_INDUSTRY_MAX_LENGTH, `Industry cannot exceed ${COMPANY_INDUSTRY_MAX_LENGTH} characters`)
+    .optional(),
+  size: z
+    .enum(COMPANY_SIZES, {
+      errorMap: () => ({ message: `Size must be one of: ${COMPANY_SIZES.join(', ')}` }),
+    })
+    .nullable()
+    .optional(),
+  headquarters: z
+    .string()
+    .trim()
+    .max(COMPANY_HEADQUARTERS_MAX_LENGTH, `Headquarters cannot exceed ${COMPANY_HEADQUARTERS_MAX_LENGTH} characters`)
+    .optional(),
+  notes: z
+    .string()
+    .max(COMPANY_NOTES_MAX_LENGTH, `Notes cannot exceed ${COMPANY_NOTES_MAX_LENGTH} characters`)
+    .optional(),
+  // Partial: ratings that are not sent are left unchanged; null clears one
+  ratings: z
+    .object(Object.fromEntries(COMPANY_RATING_FIELDS.map((field) => [field, ratingSchema.optional()])))
+    .strict()
+    .optional(),
+};
+
+/**
+ * Schema for listing companies
+ */
+export const getCompaniesQuerySchema = z.object({
+  query: z.object({
+    q: z.string().trim().max(COMPANY_NAME_MAX_LENGTH).optional(),
+  }),
+});
+
+/**
+ * Schema for creating a company
+ */
+export const createCompanySchema = z.object({
+  body: z.object({
+    name: companyNameSchema,
+    ...companyDetailFields,
+  }),
+});
+
+/**
+ * Schema for updating a company
+ */
+export const updateCompanySchema = z.object({
+  body: z
+    .object({
+      name: companyNameSchema.optional(),
+      ...companyDetailFields,
+    })
+    .refine((data) => Object.keys(data).length > 0, {
+      message: 'At least one field must be provided for update',
+    }),
+});
+
+/**
+ * Schema for merging a company into another
+ */
+export const mergeCompanySchema = z.object({
+  body: z.object({
+    targetCompanyId: companyIdSchema,
+  }),
+});
+
+/**
+ * Schema for company ID parameter
+ */
+export const companyIdParamSchema = z.object({
+  params: z.object({
+    companyId: companyIdSchema,
+  }),
+});
@@ -0,0 +1,156 @@
+import { z } from 'zod';
+import {
+  CONTACT_NAME_MAX_LENGTH,
+  CONTACT_ROLE_MAX_LENGTH,
+  CONTACT_EMAIL_MAX_LENGTH,
+  CONTACT_PHONE_MAX_LENGTH,
+  CONTACT_URL_MAX_LENGTH,
+  CONTACT_NOTES_MAX_LENGTH,
+  CONTACT_RELATIONSHIP,
+} from '../models/contact.constants.js';
+import { COMPANY_NAME_MAX_LENGTH } from '../models/jobApplication.constants.js';
+
+/**
+ * Contact Validation Schemas
+ *
+ * Why: Validates contact request data before it reaches controllers.
+ * Whether linked applications belong to the user is checked in the service.
+ */
+
+const objectIdSchema = (label) =>
+  z.string().regex(/^[0-9a-fA-F]{24}$/, `Invalid ${label} ID format`);
+
+const relationshipSchema = z.enum(Object.values(CONTACT_RELATIONSHIP), {
+  errorMap: () => ({
+    message: `Relationship must be one of: ${Object.values(CONTACT_RELATIONSHIP).join(', ')}`,
+  }),
+});
+
+const contactNameSchema = z
+  .string({
+    required_error: 'Contact name is required',
+    invalid_type_error: 'Contact name must be a string',
+  })
+  .trim()
+  .min(1, 'Contact name is required')
+  .max(CONTACT_NAME_MAX_LENGTH, `Name cannot exceed ${CONTACT_NAME_MAX_LENGTH} characters`);
+
+/**
+ * Contact details (everything except the name), all optional
+ */
+const contactDetailFields = {
+  role: z
+    .string()
+    .trim()
+    .max(CONTACT_ROLE_MAX_LENGTH, `Role cannot exceed ${CONTACT_ROLE_MAX_LENGTH} characters`)
+    .optional(),
+  email: z
+    .string()
+    .trim()
+    .max(CONTACT_EMAIL_MAX_LENGTH, `Email cannot exceed ${CONTACT_EMAIL_MAX_LENGTH} characters`)
+    .email('Please provide a valid email')
+    .optional()
+    .or(z.literal('')),
+  phone: z
+    .string()
+    .trim()
+    .max(CONTACT_PHONE_MAX_LENGTH, `Phone cannot exceed ${CONTACT_PHONE_MAX_LENGTH} characters`)
+    .optional(),
+  linkedInUrl: z
+    .string()
+    .trim()
+    .max(CONTACT_URL_MAX_LENGTH, `LinkedIn URL cannot exceed ${CONTACT_URL_MAX_LENGTH} characters`)
+    .url('Please provide a valid LinkedIn URL')
+    .optional()
+    .or(z.literal('')),
+  company: z
+    .string()
+    .trim()
+    .max(COMPANY_NAME_MAX_LENGTH, `Company name cannot exceed ${COMPANY_NAME_MAX_LENGTH} characters`)
+    .optional(),
+  notes: z
+    .string()
+    .max(CONTACT_NOTES_MAX_LENGTH, `Notes cannot exceed ${CONTACT_NOTES_MAX_LENGTH} characters`)
+    .optional(),
+  // null clears the date
+  lastContactedAt: z
+    .string()
+    .datetime('Please provide a valid ISO datetime string')
+    .refine((value) => new Date(value) <= new Date(), {
+      message: 'Last contacted date cannot be in the future',
+    })
+    .nullable()
+    .optional(),
+};
+
+/**
+ * Schema for listing contacts
+ */
+export const getContactsQuerySchema = z.object({
+  query: z.object({
+    q: z.string().trim().max(CONTACT_NAME_MAX_LENGTH).optional(),
+    applicationId: objectIdSchema('application').optional(),
+    relationship: relationshipSchema.optional(),
+  }),
+});
+
+/**
+ * Schema for creating a contact
+ */
+export const createContactSchema = z.object({
+  body: z.object({
+    name: contactNameSchema,
+    ...contactDetailFields,
+    // Optional links created with the contact
+    applications: z
+      .array(
+        z.object({
+          applicationId: objectIdSchema('application'),
+          relationship: relationshipSchema,
+        })
+      )
+      .optional(),
+  }),
+});
+
+/**
+ * Schema for updating a contact
+ */
+export const updateContactSchema = z.object({
+  body: z
+    .object({
+      name: contactNameSchema.optional(),
+      ...contactDetailFields,
+    })
+    .refine((data) => Object.keys(data).length > 0, {
+      message: 'At least one field must be provided for update',
+    }),
+});
+
+/**
+ * Schema for linking a contact to an application
+ */
+export const linkApplicationSchema = z.object({
+  body: z.object({
+    relationship: relationshipSchema,
+  }),
+});
+
+/**
+ * Schema for contact ID parameter
+ */
+export const contactIdParamSchema = z.object({
+  params: z.object({
+    contactId: objectIdSchema('contact'),
+  }),
+});
+
+/**
+ * Schema for contact and application ID parameters
+ */
+export const contactApplicationParamsSchema = z.object({
+  params: z.object({
+    contactId: objectIdSchema('contact'),
+    applicationId: objectIdSchema('application'),
+  }),
+});
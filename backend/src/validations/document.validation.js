@@ -0,0 +1,124 @@
+import { z } from 'zod';
+import {
+  DOCUMENT_NAME_MAX_LENGTH,
+  DOCUMENT_NOTES_MAX_LENGTH,
+  DOCUMENT_TYPE,
+} from '../models/document.constants.js';
+
+/**
+ * Document Validation Schemas
+ *
+ * Why: Validates document request data before it reaches controllers.
+ * Uploads arrive as multipart forms, so their fields are strings; the file
+ * itself is checked by the upload middleware and the service.
+ */
+
+const objectIdSchema = (label) =>
+  z.string().regex(/^[0-9a-fA-F]{24}$/, `Invalid ${label} ID format`);
+
+const documentTypeSchema = z.enum(Object.values(DOCUMENT_TYPE), {
+  errorMap: () => ({
+    message: `Document type must be one of: ${Object.values(DOCUMENT_TYPE).join(', ')}`,
+  }),
+});
+
+const documentNameSchema = z
+  .string({ invalid_type_error: 'Document name must be a string' })
+  .trim()
+  .min(1, 'Document name cannot be empty')
+  .max(DOCUMENT_NAME_MAX_LENGTH, `Name cannot exceed ${DOCUMENT_NAME_MAX_LENGTH} characters`);
+
+const versionNotesSchema = z
+  .string()
+  .max(DOCUMENT_NOTES_MAX_LENGTH, `Notes cannot exceed ${DOCUMENT_NOTES_MAX_LENGTH} characters`)
+  .optional();
+
+// Version numbers arrive as path parameters or JSON numbers
+const versionNumberSchema = z.coerce
+  .number({ invalid_type_error: 'Version must be a number' })
+  .int('Version must be a whole number')
+  .min(1, 'Version must be at least 1');
+
+/**
+ * Schema for listing documents
+ */
+export const getDocumentsQuerySchema = z.object({
+  query: z.object({
+    q: z.string().trim().max(DOCUMENT_NAME_MAX_LENGTH).optional(),
+    type: documentTypeSchema.optional(),
+    applicationId: objectIdSchema('application').optional(),
+  }),
+});
+
+/**
+ * Schema for uploading a document (multipart form fields sent with the file)
+ * name defaults to the file name.
+ */
+export const uploadDocumentSchema = z.object({
+  body: z.object({
+    name: documentNameSchema.optional().or(z.literal('')),
+    type: documentTypeSchema.optional(),
+    notes: versionNotesSchema,
+  }),
+});
+
+/**
+ * Schema for uploading a new version (multipart form fields sent with the file)
+ */
+export const uploadVersionSchema = z.object({
+  body: z.object({
+    notes: versionNotesSchema,
+  }),
+});
+
+/**
+ * Schema for renaming a document or changing its type
+ */
+export const updateDocumentSchema = z.object({
+  body: z
+    .object({
+      name: documentNameSchema.optional(),
+      type: documentTypeSchema.optional(),
+    })
+    .refine((data) => Object.keys(data).length > 0, {
+      message: 'At least one field must be provided for update',
+    }),
+});
+
+/**
+ * Schema for attaching a document version to an application
+ */
+export const attachDocumentSchema = z.object({
+  body: z.object({
+    version: versionNumberSchema,
+  }),
+});
+
+/**
+ * Schema for document ID parameter
+ */
+export const documentIdParamSchema = z.object({
+  params: z.object({
+    documentId: objectIdSchema('document'),
+  }),
+});
+
+/**
+ * Schema for document ID and version parameters
+ */
+export const documentVersionParamsSchema = z.object({
+  params: z.object({
+    documentId: objectIdSchema('document'),
+    version: versionNumberSchema,
+  }),
+});
+
+/**
+ * Schema for document and application ID parameters
+ */
+export const documentApplicationParamsSchema = z.object({
+  params: z.object({
+    documentId: objectIdSchema('document'),
+    applicationId: objectIdSchema('application'),
+  }),
+});
@@ -0,0 +1,163 @@
+import { z } from 'zod';
+import {
+  ROUND_NAME_MAX_LENGTH,
+  ROUND_LOCATION_MAX_LENGTH,
+  ROUND_URL_MAX_LENGTH,
+  ROUND_NOTES_MAX_LENGTH,
+  INTERVIEWER_NAME_MAX_LENGTH,
+  INTERVIEWER_ROLE_MAX_LENGTH,
+  TIMEZONE_MAX_LENGTH,
+  MAX_INTERVIEWERS_PER_ROUND,
+  ROUND_TYPE,
+  ROUND_OUTCOME,
+  SELF_RATING_MIN,
+  SELF_RATING_MAX,
+} from '../models/interviewRound.constants.js';
+import { isValidTimeZone } from '../utils/timezone.js';
+
+/**
+ * Interview Round Validation Schemas
+ *
+ * Why: Validates interview round request data before it reaches controllers.
+ * Whether the end is after the start when only one of them changes is
+ * checked in the service, which knows the stored value.
+ */
+
+const objectIdSchema = (label) =>
+  z.string().regex(/^[0-9a-fA-F]{24}$/, `Invalid ${label} ID format`);
+
+const enumSchema = (values, label) =>
+  z.enum(Object.values(values), {
+    errorMap: () => ({ message: `${label} must be one of: ${Object.values(values).join(', ')}` }),
+  });
+
+const roundNameSchema = z
+  .string({
+    required_error: 'Round name is required',
+    invalid_type_error: 'Round name must be a string',
+  })
+  .trim()
+  .min(1, 'Round name is required')
+  .max(ROUND_NAME_MAX_LENGTH, `Round name cannot exceed ${ROUND_NAME_MAX_LENGTH} characters`);
+
+// null clears the time (the round is not scheduled yet)
+const dateTimeSchema = z
+  .string()
+  .datetime({ offset: true, message: 'Please provide a valid ISO datetime string' })
+  .nullable()
+  .optional();
+
+const interviewerSchema = z.object({
+  name: z
+    .string({ required_error: 'Interviewer name is required' })
+    .trim()
+    .min(1, 'Interviewer name is required')
+    .max(INTERVIEWER_NAME_MAX_LENGTH, `Interviewer name cannot exceed ${INTERVIEWER_NAME_MAX_LENGTH} characters`),
+  role: z
+    .string()
+    .trim()
+    .max(INTERVIEWER_ROLE_MAX_LENGTH, `Interviewer role cannot exceed ${INTERVIEWER_ROLE_MAX_LENGTH} characters`)
+    .optional(),
+});
+
+/**
+ * Round fields except the name, all optional
+ */
+const roundDetailFields = {
+  type: enumSchema(ROUND_TYPE, 'Round type').optional(),
+  scheduledStart: dateTimeSchema,
+  scheduledEnd: dateTimeSchema,
+  timezone: z
+    .string()
+    .trim()
+    .max(TIMEZONE_MAX_LENGTH, `Time zone cannot exceed ${TIMEZONE_MAX_LENGTH} characters`)
+    .refine(isValidTimeZone, { message: 'Please provide a valid time zone (e.g. Europe/Berlin)' })
+    .optional(),
+  location: z
+    .string()
+    .trim()
+    .max(ROUND_LOCATION_MAX_LENGTH, `Location cannot exceed ${ROUND_LOCATION_MAX_LENGTH} characters`)
+    .optional(),
+  meetingUrl: z
+    .string()
+    .trim()
+    .max(ROUND_URL_MAX_LENGTH, `Meeting link cannot exceed ${ROUND_URL_MAX_LENGTH} characters`)
+    .url('Please provide a valid meeting link')
+    .optional()
+    .or(z.literal('')),
+  interviewers: z
+    .array(interviewerSchema)
+    .max(MAX_INTERVIEWERS_PER_ROUND, `A round cannot have more than ${MAX_INTERVIEWERS_PER_ROUND} interviewers`)
+    .optional(),
+  selfAssessment: z
+    .object({
+      rating: z
+        .number()
+        .int('Rating must be a whole number')
+        .min(SELF_RATING_MIN, `Rating must be at least ${SELF_RATING_MIN}`)
+        .max(SELF_RATING_MAX, `Rating cannot exceed ${SELF_RATING_MAX}`)
+        .nullable()
+        .optional(),
+      notes: z
+        .string()
+        .max(ROUND_NOTES_MAX_LENGTH, `Self-assessment cannot exceed ${ROUND_NOTES_MAX_LENGTH} characters`)
+        .optional(),
+    })
+    .strict()
+    .optional(),
+  outcome: enumSchema(ROUND_OUTCOME, 'Outcome').optional(),
+};
+
+const endAfterStart = (data) =>
+  !data.scheduledStart || !data.scheduledEnd || new Date(data.scheduledEnd) >= new Date(data.scheduledStart);
+
+const endAfterStartMessage = {
+  message: 'End time cannot be before the start time',
+  path: ['scheduledEnd'],
+};
+
+/**
+ * Schema for listing an application's rounds
+ */
+export const applicationRoundsParamsSchema = z.object({
+  params: z.object({
+    applicationId: objectIdSchema('application'),
+  }),
+});
+
+/**
+ * Schema for application and round ID parameters
+ */
+export const interviewRoundParamsSchema = z.object({
+  params: z.object({
+    applicationId: objectIdSchema('application'),
+    roundId: objectIdSchema('round'),
+  }),
+});
+
+/**
+ * Schema for creating a round
+ */
+export const createInterviewRoundSchema = z.object({
+  body: z
+    .object({
+      name: roundNameSchema,
+      ...roundDetailFields,
+    })
+    .refine(endAfterStart, endAfterStartMessage),
+});
+
+/**
+ * Schema for updating a round
+ */
+export const updateInterviewRoundSchema = z.object({
+  body: z
+    .object({
+      name: roundNameSchema.optional(),
+      ...roundDetailFields,
+    })
+    .refine((data) => Object.keys(data).length > 0, {
+      message: 'At least one field must be provided for update',
+    })
+    .refine(endAfterStart, endAfterStartMessage),
+});
@@ -1,12 +1,37 @@
 import { z } from 'zod';
 import {
-  APPLICATION_STATUS,
   COMPANY_NAME_MAX_LENGTH,
   JOB_TITLE_MAX_LENGTH,
   JOB_LINK_MAX_LENGTH,
+  JOB_DESCRIPTION_MAX_LENGTH,
   SOURCE_MAX_LENGTH,
   NOTES_MAX_LENGTH,
+  STATUS_NOTE_MAX_LENGTH,
+  MAX_BOARD_COLUMN_SIZE,
+  SEARCH_QUERY_MAX_LENGTH,
+  MAX_STATUS_FILTERS,
+  TAG_MAX_LENGTH,
+  MAX_TAGS_PER_APPLICATION,
+  BULK_ACTION,
+  MAX_BULK_APPLICATIONS,
+  SALARY_PERIOD,
+  MAX_SALARY_AMOUNT,
+  REMOTE_POLICY,
+  EMPLOYMENT_TYPE,
+  SENIORITY_LEVEL,
+  LOCATION_MAX_LENGTH,
+  MAX_LOCATIONS_PER_APPLICATION,
+  UNSET_FILTER_VALUE,
+  SKILL_MAX_LENGTH,
+  MAX_SKILLS_PER_LIST,
+  MAX_YEARS_OF_EXPERIENCE,
 } from '../models/jobApplication.constants.js';
+import { STAGE_KEY_REGEX, STAGE_KEY_MAX_LENGTH } from '../models/pipeline.constants.js';
+import { IMPORT_FIELDS, IMPORT_DATE_FORMATS } from '../models/applicationImport.constants.js';
+import { EXPORT_FORMATS, EXPORT_INCLUDE_OPTIONS } from '../models/applicationExport.constants.js';
+import { POSTING_MAX_HTML_LENGTH } from '../models/postingImport.constants.js';
+import { createReminderSchema } from './reminder.validation.js';
+import { isSupportedCurrency } from '../utils/currency.js';
 
 /**
  * Job Application Validation Schemas
@@ -15,8 +40,281 @@ import {
  * These schemas ensure data integrity and provide clear error messages.
  */
 
+/**
+ * Status is a stage key from the user's pipeline. Only the format is checked
+ * here - whether the stage exists is a per-user rule enforced in the service.
+ */
+const statusSchema = z
+  .string({ invalid_type_error: 'Invalid status value' })
+  .trim()
+  .max(STAGE_KEY_MAX_LENGTH, 'Invalid status value')
+  .regex(STAGE_KEY_REGEX, 'Invalid status value');
+
+/**
+ * A single tag (compared case-insensitively in the service)
+ */
+const tagSchema = z
+  .string({ invalid_type_error: 'Tag must be a string' })
+  .trim()
+  .min(1, 'Tag cannot be empty')
+  .max(TAG_MAX_LENGTH, `Tag cannot exceed ${TAG_MAX_LENGTH} characters`);
+
+const tagListSchema = z
+  .array(tagSchema)
+  .max(MAX_TAGS_PER_APPLICATION, `Cannot have more than ${MAX_TAGS_PER_APPLICATION} tags`);
+
+const applicationIdSchema = z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid application ID format');
+
+// Resume from the resume library (null falls back to the default resume)
+const resumeIdSchema = z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid resume ID format');
+
+/**
+ * Currency code with a rate in the exchange-rate table (e.g. "EUR")
+ */
+const currencySchema = z
+  .string({ invalid_type_error: 'Currency must be a string' })
+  .trim()
+  .toUpperCase()
+  .refine(
+    isSupportedCurrency,
+    'Unsupported currency - add its exchange rate to config/exchangeRates.json'
+  );
+
+const salaryAmountSchema = (label) => z
+  .number({ invalid_type_error: `${label} must be a number` })
+  .min(0, `${label} cannot be negative`)
+  .max(MAX_SALARY_AMOUNT, `${label} is too large`)
+  .nullable()
+  .optional();
+
+/**
+ * Posted salary range and expected salary
+ * Amounts are in the given currency, per year or per hour.
+ */
+const salarySchema = z
+  .object({
+    min: salaryAmountSchema('Minimum salary'),
+    max: salaryAmountSchema('Maximum salary'),
+    currency: currencySchema.optional(),
+    period: z
+      .enum(Object.values(SALARY_PERIOD), {
+        errorMap: () => ({ message: `Salary period must be one of: ${Object.values(SALARY_PERIOD).join(', ')}` }),
+      })
+      .optional(),
+    expected: salaryAmountSchema('Expected salary'),
+  })
+  .strict()
+  .refine(
+    (salary) => salary.min === null || salary.min === undefined
+      || salary.max === null || salary.max === undefined
+      || salary.min <= salary.max,
+    { message: 'Maximum salary must be greater than or equal to minimum salary', path: ['max'] }
+  );
+
+const locationListSchema = z
+  .array(
+    z
+      .string({ invalid_type_error: 'Location must be a string' })
+      .trim()
+      .min(1, 'Location cannot be empty')
+      .max(LOCATION_MAX_LENGTH, `Location cannot exceed ${LOCATION_MAX_LENGTH} characters`)
+  )
+  .max(MAX_LOCATIONS_PER_APPLICATION, `Cannot have more than ${MAX_LOCATIONS_PER_APPLICATION} locations`);
+
+/**
+ * An optional choice from a fixed list; null clears it
+ */
+const optionalEnumSchema = (values, label) => z
+  .enum(values, {
+    errorMap: () => ({ message: `${label} must be one of: ${values.join(', ')}` }),
+  })
+  .nullable()
+  .optional();
+
+/**
+ * Structured job details shared by the create and update schemas
+ */
+const jobDetailFields = {
+  locations: locationListSchema.optional(),
+  remotePolicy: optionalEnumSchema(Object.values(REMOTE_POLICY), 'Remote policy'),
+  employmentType: optionalEnumSchema(Object.values(EMPLOYMENT_TYPE), 'Employment type'),
+  seniority: optionalEnumSchema(Object.values(SENIORITY_LEVEL), 'Seniority'),
+  visaSponsorship: z.boolean({ invalid_type_error: 'Visa sponsorship must be true or false' }).nullable().optional(),
+};
+
+const skillListSchema = (label) => z
+  .array(
+    z
+      .string({ invalid_type_error: 'Skill must be a string' })
+      .trim()
+      .min(1, 'Skill cannot be empty')
+      .max(SKILL_MAX_LENGTH, `Skill cannot exceed ${SKILL_MAX_LENGTH} characters`)
+  )
+  .max(MAX_SKILLS_PER_LIST, `Cannot have more than ${MAX_SKILLS_PER_LIST} ${label}`);
+
+/**
+ * Job requirements shared by the create and update schemas
+ * (usually filled by the AI requirements task, editable by hand)
+ */
+const jobRequirementFields = {
+  requiredSkills: skillListSchema('required skills').optional(),
+  niceToHaveSkills: skillListSchema('nice-to-have skills').optional(),
+  yearsOfExperience: z
+    .number({ invalid_type_error: 'Years of experience must be a number' })
+    .int('Years of experience must be a whole number')
+    .min(0, 'Years of experience cannot be negative')
+    .max(MAX_YEARS_OF_EXPERIENCE, `Years of experience cannot exceed ${MAX_YEARS_OF_EXPERIENCE}`)
+    .nullable()
+    .optional(),
+};
+
+/**
+ * Comma-separated list of statuses for filtering (e.g. "applied,interview")
+ */
+const statusListSchema = z
+  .string()
+  .trim()
+  .refine((value) => {
+    const statuses = value.split(',').map((status) => status.trim()).filter(Boolean);
+    return statuses.length > 0
+      && statuses.length <= MAX_STATUS_FILTERS
+      && statuses.every((status) => statusSchema.safeParse(status).success);
+  }, 'Invalid status filter');
+
+/**
+ * Comma-separated list of tags for filtering (e.g. "remote,referral")
+ */
+const tagFilterSchema = z
+  .string()
+  .trim()
+  .refine((value) => {
+    const tags = value.split(',').map((tag) => tag.trim()).filter(Boolean);
+    return tags.length > 0
+      && tags.length <= MAX_TAGS_PER_APPLICATION
+      && tags.every((tag) => tag.length <= TAG_MAX_LENGTH);
+  }, 'Invalid tag filter');
+
+/**
+ * Comma-separated list of values from a fixed list (e.g. "remote,hybrid")
+ * "none" matches applications where the field is not set.
+ */
+const enumListFilterSchema = (values, label) => z
+  .string()
+  .trim()
+  .refine((value) => {
+    const selected = value.split(',').map((item) => item.trim()).filter(Boolean);
+    return selected.length > 0
+      && selected.every((item) => item === UNSET_FILTER_VALUE || values.includes(item));
+  }, `${label} filter must be a comma-separated list of: ${[...values, UNSET_FILTER_VALUE].join(', ')}`);
+
+/**
+ * Comma-separated list of skills for filtering (e.g. "react,typescript")
+ */
+const skillFilterSchema = z
+  .string()
+  .trim()
+  .refine((value) => {
+    const skills = value.split(',').map((skill) => skill.trim()).filter(Boolean);
+    return skills.length > 0
+      && skills.length <= MAX_SKILLS_PER_LIST
+      && skills.every((skill) => skill.length <= SKILL_MAX_LENGTH);
+  }, 'Invalid skills filter');
+
+/**
+ * Date filter bound - a date (YYYY-MM-DD) or full ISO datetime
+ */
+const dateFilterSchema = z
+  .string()
+  .trim()
+  .refine((value) => !Number.isNaN(Date.parse(value)), 'Please provide a valid date');
+
+/**
+ * Match score filter bound (0-100)
+ */
+const matchScoreFilterSchema = z
+  .string()
+  .regex(/^\d+$/, 'Match score must be a whole number')
+  .transform(Number)
+  .pipe(z.number().int().min(0).max(100, 'Match score cannot exceed 100'));
+
+/**
+ * Yearly salary filter bound (whole amount)
+ */
+const salaryFilterSchema = z
+  .string()
+  .regex(/^\d+$/, 'Salary must be a whole number')
+  .transform(Number)
+  .pipe(z.number().int().max(MAX_SALARY_AMOUNT, 'Salary is too large'));
+
+/**
+ * Relative day filter (e.g. applied more than 14 days ago)
+ */
+const dayCountFilterSchema = z
+  .string()
+  .regex(/^\d+$/, 'Days must be a whole number')
+  .transform(Number)
+  .pipe(z.number().int().min(0).max(3650, 'Days cannot exceed 3650'));
+
+/**
+ * Ensure each from/to pair is in order
+ */
+const refineRanges = (query, ctx) => {
+  [
+    ['dateAppliedFrom', 'dateAppliedTo'],
+    ['createdFrom', 'createdTo'],
+  ].forEach(([from, to]) => {
+    if (query[from] && query[to] && Date.parse(query[from]) > Date.parse(query[to])) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: [to],
+        message: `${to} must be on or after ${from}`,
+      });
+    }
+  });
+
+  if (
+    query.minMatchScore !== undefined
+    && query.maxMatchScore !== undefined
+    && query.minMatchScore > query.maxMatchScore
+  ) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['maxMatchScore'],
+      message: 'maxMatchScore must be greater than or equal to minMatchScore',
+    });
+  }
+
+  if (
+    query.salaryMin !== undefined
+    && query.salaryMax !== undefined
+    && query.salaryMin > query.salaryMax
+  ) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['salaryMax'],
+      message: 'salaryMax must be greater than or equal to salaryMin',
+    });
+  }
+
+  // "Applied within 7 days" and "more than 14 days ago" can never both match
+  if (
+    query.appliedWithinDays !== undefined
+    && query.appliedMoreThanDaysAgo !== undefined
+    && query.appliedWithinDays < query.appliedMoreThanDaysAgo
+  ) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['appliedWithinDays'],
+      message: 'appliedWithinDays must be greater than or equal to appliedMoreThanDaysAgo',
+    });
+  }
+};
+
 /**
  * Schema for creating a job application
+ * The body is strict: unknown keys are rejected, so fields the server manages
+ * (owner, board position, AI insights, ...) cannot be set through it. A new
+ * model field stays server-managed until it is added here.
  */
 export const createJobApplicationSchema = z.object({
   body: z.object({
@@ -45,16 +343,12 @@ export const createJobApplicationSchema = z.object({
       .or(z.literal('')),
     jobDescription: z
       .string()
-      .max(10000, 'Job description cannot exceed 10000 characters')
+      .max(JOB_DESCRIPTION_MAX_LENGTH, `Job description cannot exceed ${JOB_DESCRIPTION_MAX_LENGTH} characters`)
       .trim()
       .optional()
       .default(''),
-    status: z
-      .enum(Object.values(APPLICATION_STATUS), {
-        errorMap: () => ({ message: 'Invalid status value' }),
-      })
-      .optional()
-      .default(APPLICATION_STATUS.SAVED),
+    // Defaults to the first "saved" stage of the user's pipeline
+    status: statusSchema.optional(),
     dateApplied: z
       .string()
       .datetime('Please provide a valid date')
@@ -73,11 +367,17 @@ export const createJobApplicationSchema = z.object({
       .trim()
       .optional()
       .default(''),
-  }),
+    tags: tagListSchema.optional(),
+    salary: salarySchema.optional(),
+    ...jobDetailFields,
+    ...jobRequirementFields,
+    resumeId: resumeIdSchema.optional().nullable(),
+  }).strict(),
 });
 
 /**
  * Schema for updating a job application
+ * Strict like the create body: only the fields listed here can be changed.
  */
 export const updateJobApplicationSchema = z.object({
   body: z.object({
@@ -102,14 +402,10 @@ export const updateJobApplicationSchema = z.object({
       .or(z.literal('')),
     jobDescription: z
       .string()
-      .max(10000, 'Job description cannot exceed 10000 characters')
+      .max(JOB_DESCRIPTION_MAX_LENGTH, `Job description cannot exceed ${JOB_DESCRIPTION_MAX_LENGTH} characters`)
       .trim()
       .optional(),
-    status: z
-      .enum(Object.values(APPLICATION_STATUS), {
-        errorMap: () => ({ message: 'Invalid status value' }),
-      })
-      .optional(),
+    status: statusSchema.optional(),
     dateApplied: z
       .string()
       .datetime('Please provide a valid date')
@@ -126,7 +422,74 @@ export const updateJobApplicationSchema = z.object({
       .max(NOTES_MAX_LENGTH, `Notes cannot exceed ${NOTES_MAX_LENGTH} characters`)
       .trim()
       .optional(),
-  }),
+    tags: tagListSchema.optional(),
+    // Only the given salary fields change (the range is checked again once merged)
+    salary: salarySchema.optional(),
+    ...jobDetailFields,
+    ...jobRequirementFields,
+    resumeId: resumeIdSchema.optional().nullable(),
+    // Optional note recorded in the status history when status changes
+    statusNote: z
+      .string()
+      .max(STATUS_NOTE_MAX_LENGTH, `Status note cannot exceed ${STATUS_NOTE_MAX_LENGTH} characters`)
+      .trim()
+      .optional(),
+  }).strict(),
+});
+
+/**
+ * Schema for bulk operations on applications
+ * The action decides which other fields are required.
+ */
+const bulkApplicationIdsSchema = z
+  .array(applicationIdSchema, { required_error: 'Application IDs are required' })
+  .min(1, 'Select at least one application')
+  .max(MAX_BULK_APPLICATIONS, `Cannot update more than ${MAX_BULK_APPLICATIONS} applications at once`);
+
+export const bulkApplicationsSchema = z.object({
+  body: z
+    .discriminatedUnion(
+      'action',
+      [
+        z.object({
+          action: z.literal(BULK_ACTION.STATUS),
+          applicationIds: bulkApplicationIdsSchema,
+          status: statusSchema,
+          statusNote: z
+            .string()
+            .max(STATUS_NOTE_MAX_LENGTH, `Status note cannot exceed ${STATUS_NOTE_MAX_LENGTH} characters`)
+            .trim()
+            .optional(),
+        }),
+        z.object({
+          action: z.literal(BULK_ACTION.DELETE),
+          applicationIds: bulkApplicationIdsSchema,
+        }),
+        z.object({
+          action: z.literal(BULK_ACTION.TAG),
+          applicationIds: bulkApplicationIdsSchema,
+          addTags: tagListSchema.optional(),
+          removeTags: tagListSchema.optional(),
+        }),
+        // Same fields as a single reminder, minus the application
+        createReminderSchema.shape.body.omit({ applicationId: true }).extend({
+          action: z.literal(BULK_ACTION.REMINDER),
+          applicationIds: bulkApplicationIdsSchema,
+        }),
+      ],
+      {
+        errorMap: (issue, ctx) => ({
+          message: issue.code === z.ZodIssueCode.invalid_union_discriminator
+            ? `Action must be one of: ${Object.values(BULK_ACTION).join(', ')}`
+            : ctx.defaultError,
+        }),
+      }
+    )
+    .refine(
+      (body) => body.action !== BULK_ACTION.TAG
+        || (body.addTags?.length || 0) + (body.removeTags?.length || 0) > 0,
+      { message: 'Provide tags to add or remove', path: ['addTags'] }
+    ),
 });
 
 /**
@@ -139,27 +502,215 @@ export const jobApplicationIdParamSchema = z.object({
 });
 
 /**
- * Schema for query parameters (pagination, filtering)
+ * List filter fields (shared by the list endpoint and saved views)
+ * All values are strings, as they arrive in a query string.
  */
-export const getJobApplicationsQuerySchema = z.object({
+export const applicationFilterFields = {
+  // One status or several, comma-separated
+  status: statusListSchema.optional(),
+  // Full-text search over company, job title, description, notes and source
+  q: z
+    .string()
+    .trim()
+    .max(SEARCH_QUERY_MAX_LENGTH, `Search query cannot exceed ${SEARCH_QUERY_MAX_LENGTH} characters`)
+    .optional(),
+  dateAppliedFrom: dateFilterSchema.optional(),
+  dateAppliedTo: dateFilterSchema.optional(),
+  // Relative to today, so saved views stay current
+  appliedMoreThanDaysAgo: dayCountFilterSchema.optional(),
+  appliedWithinDays: dayCountFilterSchema.optional(),
+  createdFrom: dateFilterSchema.optional(),
+  createdTo: dateFilterSchema.optional(),
+  // Case-insensitive exact match on the source (e.g. "LinkedIn")
+  source: z
+    .string()
+    .trim()
+    .max(SOURCE_MAX_LENGTH, `Source cannot exceed ${SOURCE_MAX_LENGTH} characters`)
+    .optional(),
+  // One tag or several, comma-separated (matches any, case-insensitive)
+  tags: tagFilterSchema.optional(),
+  // Whether a resume match analysis has been generated
+  hasAnalysis: z.enum(['true', 'false']).optional(),
+  minMatchScore: matchScoreFilterSchema.optional(),
+  maxMatchScore: matchScoreFilterSchema.optional(),
+  // Yearly pay bounds in salaryCurrency: matches posted ranges that overlap them
+  salaryMin: salaryFilterSchema.optional(),
+  salaryMax: salaryFilterSchema.optional(),
+  // Currency of salaryMin/salaryMax (defaults to USD)
+  salaryCurrency: currencySchema.optional(),
+  // Whether a posted salary range (min or max) is recorded
+  hasSalary: z.enum(['true', 'false']).optional(),
+  // Case-insensitive partial match on any location (e.g. "berlin")
+  location: z
+    .string()
+    .trim()
+    .max(LOCATION_MAX_LENGTH, `Location cannot exceed ${LOCATION_MAX_LENGTH} characters`)
+    .optional(),
+  // Job details: one value or several, comma-separated ("none" = not set)
+  remotePolicy: enumListFilterSchema(Object.values(REMOTE_POLICY), 'Remote policy').optional(),
+  employmentType: enumListFilterSchema(Object.values(EMPLOYMENT_TYPE), 'Employment type').optional(),
+  seniority: enumListFilterSchema(Object.values(SENIORITY_LEVEL), 'Seniority').optional(),
+  // "true", "false" or "none" (not known)
+  visaSponsorship: z.enum(['true', 'false', UNSET_FILTER_VALUE]).optional(),
+  // One skill or several, comma-separated: required or nice-to-have (matches any, case-insensitive)
+  skills: skillFilterSchema.optional(),
+  // Applications asking for at most this many years of experience (not stated = no match)
+  maxYearsOfExperience: z
+    .string()
+    .regex(/^\d+$/, 'Years of experience must be a whole number')
+    .transform(Number)
+    .pipe(z.number().int().max(MAX_YEARS_OF_EXPERIENCE, `Years of experience cannot exceed ${MAX_YEARS_OF_EXPERIENCE}`))
+    .optional(),
+  // Archived applications are hidden unless this is "true"
+  includeArchived: z.enum(['true', 'false']).optional(),
+};
+
+/**
+ * Sort fields accepted by the list endpoint
+ * relevance only applies when searching (q); it falls back to createdAt otherwise
+ */
+export const APPLICATION_SORT_FIELDS = ['relevance', 'createdAt', 'updatedAt', 'dateApplied', 'company', 'jobTitle'];
+
+/**
+ * Schema for a set of list filters (validated as one object)
+ */
+export const applicationFiltersSchema = z
+  .object(applicationFilterFields)
+  .strict()
+  .superRefine(refineRanges);
+
+/**
+ * Schema for export query parameters
+ * Takes the same filters and sort as the list endpoint, without pagination.
+ */
+export const exportApplicationsQuerySchema = z.object({
   query: z.object({
-    page: z
+    format: z.enum(EXPORT_FORMATS).optional(),
+    // Optional column groups, comma-separated (e.g. "ai,reminders")
+    include: z
       .string()
-      .regex(/^\d+$/, 'Page must be a positive number')
-      .transform(Number)
-      .pipe(z.number().int().positive())
-      .optional()
-      .default('1'),
-    limit: z
+      .refine(
+        (value) => value.split(',').map((option) => option.trim()).filter(Boolean)
+          .every((option) => EXPORT_INCLUDE_OPTIONS.includes(option)),
+        `Include must be a comma-separated list of: ${EXPORT_INCLUDE_OPTIONS.join(', ')}`
+      )
+      .optional(),
+    sortBy: z.enum(APPLICATION_SORT_FIELDS).optional(),
+    sortOrder: z.enum(['asc', 'desc']).optional(),
+    ...applicationFilterFields,
+  }).superRefine(refineRanges),
+});
+
+/**
+ * Schema for import options (multipart form fields sent with the file)
+ * mapping is a JSON object of JobApplication field → column header.
+ */
+export const importApplicationsSchema = z.object({
+  body: z.object({
+    mapping: z
       .string()
-      .regex(/^\d+$/, 'Limit must be a positive number')
-      .transform(Number)
-      .pipe(z.number().int().positive().max(100))
-      .optional()
-      .default('10'),
-    status: z.enum(Object.values(APPLICATION_STATUS)).optional(),
-    sortBy: z.enum(['createdAt', 'updatedAt', 'dateApplied', 'company', 'jobTitle']).optional().default('createdAt'),
+      .transform((value, ctx) => {
+        try {
+          return JSON.parse(value);
+        } catch {
+          ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Mapping must be valid JSON' });
+          return z.NEVER;
+        }
+      })
+      .pipe(
+        z
+          .object(Object.fromEntries(
+            IMPORT_FIELDS.map((field) => [field, z.string().max(200).nullable().optional()])
+          ))
+          .strict()
+      )
+      .optional(),
+    dateFormat: z.enum(IMPORT_DATE_FORMATS).optional(),
+    skipDuplicates: z.enum(['true', 'false']).optional(),
+  }),
+});
+
+/**
+ * Schema for reading a job posting into a draft application
+ * html (pasted page source) is read when given; otherwise url is fetched.
+ */
+export const parsePostingSchema = z.object({
+  body: z
+    .object({
+      url: z
+        .string({ invalid_type_error: 'URL must be a string' })
+        .trim()
+        .url('Please provide a valid URL')
+        .max(JOB_LINK_MAX_LENGTH, `URL cannot exceed ${JOB_LINK_MAX_LENGTH} characters`)
+        .refine((value) => /^https?:\/\//i.test(value), 'URL must start with http:// or https://')
+        .optional(),
+      html: z
+        .string({ invalid_type_error: 'HTML must be a string' })
+        .max(POSTING_MAX_HTML_LENGTH, 'The pasted page is too large')
+        .optional(),
+    })
+    .refine((data) => data.url || data.html?.trim(), {
+      message: 'Provide a posting URL or the page HTML',
+      path: ['url'],
+    }),
+});
+
+// Pagination query parameters (list and trash)
+const paginationFields = {
+  page: z
+    .string()
+    .regex(/^\d+$/, 'Page must be a positive number')
+    .transform(Number)
+    .pipe(z.number().int().positive())
+    .optional()
+    .default('1'),
+  limit: z
+    .string()
+    .regex(/^\d+$/, 'Limit must be a positive number')
+    .transform(Number)
+    .pipe(z.number().int().positive().max(100))
+    .optional()
+    .default('10'),
+};
+
+/**
+ * Schema for query parameters (pagination, filtering)
+ */
+export const getJobApplicationsQuerySchema = z.object({
+  query: z.object({
+    ...paginationFields,
+    sortBy: z.enum(APPLICATION_SORT_FIELDS).optional(),
     sortOrder: z.enum(['asc', 'desc']).optional().default('desc'),
+    ...applicationFilterFields,
+  }).superRefine(refineRanges),
+});
+
+/**
+ * Schema for trash query parameters (pagination only)
+ */
+export const trashQuerySchema = z.object({
+  query: z.object(paginationFields),
+});
+
+/**
+ * Schema for persisting the card order of a board column
+ */
+export const boardColumnOrderSchema = z.object({
+  body: z.object({
+    status: statusSchema,
+    applicationIds: z
+      .array(z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid application ID format'))
+      .max(MAX_BOARD_COLUMN_SIZE, `Cannot reorder more than ${MAX_BOARD_COLUMN_SIZE} applications at once`),
+  }),
+});
+
+/**
+ * Schema for resume match and interview prep request body
+ * resumeId defaults to the application's resume, then the default resume.
+ */
+export const applicationAIBodySchema = z.object({
+  body: z.object({
+    resumeId: resumeIdSchema.optional(),
   }),
 });
 
@@ -0,0 +1,158 @@
+import { z } from 'zod';
+import {
+  OFFER_TEXT_MAX_LENGTH,
+  OFFER_NOTES_MAX_LENGTH,
+  MAX_COMPENSATION_AMOUNT,
+  MAX_PTO_DAYS,
+  CURRENCY_CODE_REGEX,
+  MAX_VESTING_YEARS,
+  MAX_VESTING_CLIFF_MONTHS,
+  MAX_COMPARED_OFFERS,
+  OFFER_DECISION,
+} from '../models/offer.constants.js';
+
+/**
+ * Offer Validation Schemas
+ *
+ * Why: Validates offer request data before it reaches controllers.
+ * Whether the application belongs to the user and doesn't have an offer yet
+ * is checked in the service.
+ */
+
+const OBJECT_ID_REGEX = /^[0-9a-fA-F]{24}$/;
+
+const objectIdSchema = (label) =>
+  z.string().regex(OBJECT_ID_REGEX, `Invalid ${label} ID format`);
+
+const amountSchema = (label) =>
+  z
+    .number({ invalid_type_error: `${label} must be a number` })
+    .min(0, `${label} cannot be negative`)
+    .max(MAX_COMPENSATION_AMOUNT, `${label} is too large`)
+    .optional();
+
+// null clears the date
+const dateTimeSchema = z
+  .string()
+  .datetime({ offset: true, message: 'Please provide a valid ISO datetime string' })
+  .nullable()
+  .optional();
+
+/**
+ * Offer fields except the application, all optional
+ */
+const offerFields = {
+  currency: z
+    .string()
+    .trim()
+    .toUpperCase()
+    .regex(CURRENCY_CODE_REGEX, 'Currency must be a 3-letter ISO code (e.g. USD)')
+    .optional(),
+  baseSalary: amountSchema('Base salary'),
+  bonus: amountSchema('Bonus'),
+  signOnBonus: amountSchema('Sign-on bonus'),
+  equity: z
+    .object({
+      grantValue: amountSchema('Equity grant'),
+      vestingSchedule: z
+        .array(
+          z
+            .number({ invalid_type_error: 'Vesting percentages must be numbers' })
+            .min(0, 'Vesting percentages cannot be negative')
+            .max(100, 'Vesting percentages cannot exceed 100')
+        )
+        .max(MAX_VESTING_YEARS, `Vesting schedule cannot exceed ${MAX_VESTING_YEARS} years`)
+        .refine((schedule) => schedule.reduce((sum, percent) => sum + percent, 0) <= 100, {
+          message: 'Vesting schedule cannot vest more than 100% of the grant',
+        })
+        .optional(),
+      cliffMonths: z
+        .number()
+        .int('Cliff must be a whole number of months')
+        .min(0, 'Cliff cannot be negative')
+        .max(MAX_VESTING_CLIFF_MONTHS, `Cliff cannot exceed ${MAX_VESTING_CLIFF_MONTHS} months`)
+        .optional(),
+    })
+    .strict()
+    .optional(),
+  benefits: z
+    .string()
+    .max(OFFER_TEXT_MAX_LENGTH, `Benefits cannot exceed ${OFFER_TEXT_MAX_LENGTH} characters`)
+    .optional(),
+  ptoDays: z
+    .number()
+    .min(0, 'PTO days cannot be negative')
+    .max(MAX_PTO_DAYS, `PTO days cannot exceed ${MAX_PTO_DAYS}`)
+    .nullable()
+    .optional(),
+  startDate: dateTimeSchema,
+  responseDeadline: dateTimeSchema,
+  decision: z
+    .enum(Object.values(OFFER_DECISION), {
+      errorMap: () => ({
+        message: `Decision must be one of: ${Object.values(OFFER_DECISION).join(', ')}`,
+      }),
+    })
+    .optional(),
+  notes: z
+    .string()
+    .max(OFFER_NOTES_MAX_LENGTH, `Notes cannot exceed ${OFFER_NOTES_MAX_LENGTH} characters`)
+    .optional(),
+};
+
+/**
+ * Schema for offer ID parameter
+ */
+export const offerIdSchema = z.object({
+  params: z.object({
+    offerId: objectIdSchema('offer'),
+  }),
+});
+
+/**
+ * Schema for listing offers
+ */
+export const getOffersQuerySchema = z.object({
+  query: z.object({
+    applicationId: objectIdSchema('application').optional(),
+  }),
+});
+
+/**
+ * Schema for comparing offers (?offerIds=id1,id2)
+ */
+export const compareOffersQuerySchema = z.object({
+  query: z.object({
+    offerIds: z
+      .string({ required_error: 'offerIds is required' })
+      .refine(
+        (value) => value.split(',').every((id) => OBJECT_ID_REGEX.test(id.trim())),
+        { message: 'Invalid offer ID format' }
+      )
+      .refine(
+        (value) => value.split(',').length <= MAX_COMPARED_OFFERS,
+        { message: `Cannot compare more than ${MAX_COMPARED_OFFERS} offers` }
+      ),
+  }),
+});
+
+/**
+ * Schema for creating an offer
+ */
+export const createOfferSchema = z.object({
+  body: z.object({
+    applicationId: objectIdSchema('application'),
+    ...offerFields,
+  }),
+});
+
+/**
+ * Schema for updating an offer (the application can't change)
+ */
+export const updateOfferSchema = z.object({
+  body: z
+    .object(offerFields)
+    .refine((data) => Object.keys(data).length > 0, {
+      message: 'At least one field must be provided for update',
+    }),
+});
@@ -0,0 +1,100 @@
+import { z } from 'zod';
+import {
+  STAGE_CATEGORY,
+  STAGE_KEY_REGEX,
+  STAGE_KEY_MAX_LENGTH,
+  STAGE_LABEL_MAX_LENGTH,
+  MAX_PIPELINE_STAGES,
+} from '../models/pipeline.constants.js';
+
+/**
+ * Pipeline Validation Schemas
+ * 
+ * Why: Validates pipeline request data before it reaches controllers.
+ * These schemas ensure data integrity and provide clear error messages.
+ * Rules that depend on the user's current pipeline (duplicates, stages in use)
+ * are enforced in the service layer.
+ */
+
+const stageKeySchema = z
+  .string({ invalid_type_error: 'Stage key must be a string' })
+  .trim()
+  .max(STAGE_KEY_MAX_LENGTH, `Stage key cannot exceed ${STAGE_KEY_MAX_LENGTH} characters`)
+  .regex(STAGE_KEY_REGEX, 'Stage key may only contain lowercase letters, numbers and dashes');
+
+const stageLabelSchema = z
+  .string({
+    required_error: 'Stage label is required',
+    invalid_type_error: 'Stage label must be a string',
+  })
+  .trim()
+  .min(1, 'Stage label is required')
+  .max(STAGE_LABEL_MAX_LENGTH, `Stage label cannot exceed ${STAGE_LABEL_MAX_LENGTH} characters`);
+
+const stageCategorySchema = z.enum(Object.values(STAGE_CATEGORY), {
+  errorMap: () => ({ message: 'Invalid stage category' }),
+});
+
+const positionSchema = z
+  .number({ invalid_type_error: 'Position must be a number' })
+  .int('Position must be an integer')
+  .min(0, 'Position cannot be negative');
+
+/**
+ * Schema for replacing the whole pipeline (reorder / bulk edit)
+ */
+export const replacePipelineSchema = z.object({
+  body: z.object({
+    stages: z
+      .array(
+        z.object({
+          key: stageKeySchema.optional(),
+          label: stageLabelSchema,
+          category: stageCategorySchema,
+        })
+      )
+      .min(1, 'Pipeline must have at least one stage')
+      .max(MAX_PIPELINE_STAGES, `Pipeline cannot have more than ${MAX_PIPELINE_STAGES} stages`),
+  }),
+});
+
+/**
+ * Schema for adding a stage
+ */
+export const addStageSchema = z.object({
+  body: z.object({
+    key: stageKeySchema.optional(),
+    label: stageLabelSchema,
+    category: stageCategorySchema,
+    position: positionSchema.optional(),
+  }),
+});
+
+/**
+ * Schema for updating a stage
+ */
+export const updateStageSchema = z.object({
+  body: z.object({
+    label: stageLabelSchema.optional(),
+    category: stageCategorySchema.optional(),
+    position: positionSchema.optional(),
+  }),
+});
+
+/**
+ * Schema for stage key parameter
+ */
+export const stageKeyParamSchema = z.object({
+  params: z.object({
+    stageKey: stageKeySchema,
+  }),
+});
+
+/**
+ * Schema for deleting a stage
+ */
+export const deleteStageQuerySchema = z.object({
+  query: z.object({
+    reassignTo: stageKeySchema.optional(),
+  }),
+});
@@ -19,6 +19,12 @@ export const createReminderSchema = z.object({
         invalid_type_error: 'Application ID must be a string',
       })
       .regex(/^[0-9a-fA-F]{24}$/, 'Invalid application ID format'),
+    // Optional contact to follow up with
+    contactId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid contact ID format')
+      .nullable()
+      .optional(),
     reminderDate: z
       .string({
         required_error: 'Reminder date is required',
@@ -49,6 +55,12 @@ export const createReminderSchema = z.object({
  */
 export const updateReminderSchema = z.object({
   body: z.object({
+    // null removes the contact
+    contactId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid contact ID format')
+      .nullable()
+      .optional(),
     reminderDate: z
       .string()
       .datetime('Please provide a valid ISO datetime string')
@@ -102,6 +114,10 @@ export const getRemindersQuerySchema = z.object({
       .string()
       .regex(/^[0-9a-fA-F]{24}$/, 'Invalid application ID format')
       .optional(),
+    contactId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid contact ID format')
+      .optional(),
     reminderType: z.enum(Object.values(REMINDER_TYPE)).optional(),
     sent: z
       .string()
@@ -0,0 +1,97 @@
+import { z } from 'zod';
+import {
+  RESUME_NAME_MAX_LENGTH,
+  RESUME_TARGET_ROLE_MAX_LENGTH,
+  RESUME_CONTENT_MAX_LENGTH,
+  RESUME_SECTION_TITLE_MAX_LENGTH,
+  RESUME_SECTION_CONTENT_MAX_LENGTH,
+  RESUME_SECTION_TYPE,
+  MAX_RESUME_SECTIONS,
+} from '../models/resume.constants.js';
+
+/**
+ * Resume Validation Schemas
+ *
+ * Why: Validates resume library request data before it reaches controllers.
+ */
+
+const objectIdSchema = (label) =>
+  z.string().regex(/^[0-9a-fA-F]{24}$/, `Invalid ${label} ID format`);
+
+const resumeNameSchema = z
+  .string({ invalid_type_error: 'Resume name must be a string' })
+  .trim()
+  .min(1, 'Resume name cannot be empty')
+  .max(RESUME_NAME_MAX_LENGTH, `Name cannot exceed ${RESUME_NAME_MAX_LENGTH} characters`);
+
+const targetRoleSchema = z
+  .string()
+  .trim()
+  .max(RESUME_TARGET_ROLE_MAX_LENGTH, `Target role cannot exceed ${RESUME_TARGET_ROLE_MAX_LENGTH} characters`);
+
+const contentSchema = z
+  .string()
+  .trim()
+  .max(RESUME_CONTENT_MAX_LENGTH, `Resume text cannot exceed ${RESUME_CONTENT_MAX_LENGTH} characters`);
+
+const sectionSchema = z.object({
+  type: z
+    .enum(Object.values(RESUME_SECTION_TYPE), {
+      errorMap: () => ({
+        message: `Section type must be one of: ${Object.values(RESUME_SECTION_TYPE).join(', ')}`,
+      }),
+    })
+    .optional(),
+  title: z
+    .string()
+    .trim()
+    .max(RESUME_SECTION_TITLE_MAX_LENGTH, `Section title cannot exceed ${RESUME_SECTION_TITLE_MAX_LENGTH} characters`)
+    .optional(),
+  content: z
+    .string()
+    .trim()
+    .max(RESUME_SECTION_CONTENT_MAX_LENGTH, `Section content cannot exceed ${RESUME_SECTION_CONTENT_MAX_LENGTH} characters`)
+    .optional(),
+});
+
+const sectionsSchema = z
+  .array(sectionSchema)
+  .max(MAX_RESUME_SECTIONS, `A resume can have at most ${MAX_RESUME_SECTIONS} sections`);
+
+/**
+ * Schema for creating a resume
+ */
+export const createResumeSchema = z.object({
+  body: z.object({
+    name: resumeNameSchema,
+    targetRole: targetRoleSchema.optional(),
+    content: contentSchema.optional(),
+    sections: sectionsSchema.optional(),
+    isDefault: z.boolean().optional(),
+  }),
+});
+
+/**
+ * Schema for updating a resume
+ */
+export const updateResumeSchema = z.object({
+  body: z
+    .object({
+      name: resumeNameSchema.optional(),
+      targetRole: targetRoleSchema.optional(),
+      content: contentSchema.optional(),
+      sections: sectionsSchema.optional(),
+    })
+    .refine((data) => Object.keys(data).length > 0, {
+      message: 'At least one field must be provided for update',
+    }),
+});
+
+/**
+ * Schema for resume ID parameter
+ */
+export const resumeIdParamSchema = z.object({
+  params: z.object({
+    resumeId: objectIdSchema('resume'),
+  }),
+});
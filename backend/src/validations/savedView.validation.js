@@ -0,0 +1,76 @@
+import { z } from 'zod';
+import {
+  SAVED_VIEW_NAME_MAX_LENGTH,
+  SAVED_VIEW_COLUMNS,
+} from '../models/savedView.constants.js';
+import {
+  applicationFiltersSchema,
+  APPLICATION_SORT_FIELDS,
+} from './jobApplication.validation.js';
+
+/**
+ * Saved View Validation Schemas
+ * 
+ * Why: Validates saved view request data before it reaches controllers.
+ * Filters use the same rules as the application list query, so anything
+ * that can be saved can also be listed.
+ */
+
+const viewNameSchema = z
+  .string({
+    required_error: 'View name is required',
+    invalid_type_error: 'View name must be a string',
+  })
+  .trim()
+  .min(1, 'View name is required')
+  .max(SAVED_VIEW_NAME_MAX_LENGTH, `View name cannot exceed ${SAVED_VIEW_NAME_MAX_LENGTH} characters`);
+
+const viewSortSchema = z
+  .object({
+    sortBy: z.enum(APPLICATION_SORT_FIELDS).nullable().optional(),
+    sortOrder: z.enum(['asc', 'desc']).optional(),
+  })
+  .strict();
+
+const viewColumnsSchema = z
+  .array(z.enum(SAVED_VIEW_COLUMNS, {
+    errorMap: () => ({ message: 'Invalid column' }),
+  }))
+  .max(SAVED_VIEW_COLUMNS.length);
+
+/**
+ * Schema for creating a saved view
+ */
+export const createSavedViewSchema = z.object({
+  body: z.object({
+    name: viewNameSchema,
+    filters: applicationFiltersSchema.optional(),
+    sort: viewSortSchema.optional(),
+    columns: viewColumnsSchema.optional(),
+  }),
+});
+
+/**
+ * Schema for updating a saved view
+ */
+export const updateSavedViewSchema = z.object({
+  body: z
+    .object({
+      name: viewNameSchema.optional(),
+      filters: applicationFiltersSchema.optional(),
+      sort: viewSortSchema.optional(),
+      columns: viewColumnsSchema.optional(),
+    })
+    .refine((data) => Object.keys(data).length > 0, {
+      message: 'At least one field must be provided for update',
+    }),
+});
+
+/**
+ * Schema for saved view ID parameter
+ */
+export const savedViewIdParamSchema = z.object({
+  params: z.object({
+    viewId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid view ID format'),
+  }),
+});
@@ -0,0 +1,56 @@
+import { z } from 'zod';
+import { TAG_COLORS } from '../models/tag.constants.js';
+import { TAG_MAX_LENGTH } from '../models/jobApplication.constants.js';
+
+/**
+ * Tag Validation Schemas
+ *
+ * Why: Validates tag request data before it reaches controllers.
+ * Whether a name is already taken is a per-user rule enforced in the service.
+ */
+
+const tagNameSchema = z
+  .string({
+    required_error: 'Tag name is required',
+    invalid_type_error: 'Tag name must be a string',
+  })
+  .trim()
+  .min(1, 'Tag name is required')
+  .max(TAG_MAX_LENGTH, `Tag name cannot exceed ${TAG_MAX_LENGTH} characters`);
+
+const tagColorSchema = z.enum(TAG_COLORS, {
+  errorMap: () => ({ message: `Color must be one of: ${TAG_COLORS.join(', ')}` }),
+});
+
+/**
+ * Schema for creating a tag
+ */
+export const createTagSchema = z.object({
+  body: z.object({
+    name: tagNameSchema,
+    color: tagColorSchema.optional(),
+  }),
+});
+
+/**
+ * Schema for updating a tag (rename and/or recolor)
+ */
+export const updateTagSchema = z.object({
+  body: z
+    .object({
+      name: tagNameSchema.optional(),
+      color: tagColorSchema.optional(),
+    })
+    .refine((data) => Object.keys(data).length > 0, {
+      message: 'At least one field must be provided for update',
+    }),
+});
+
+/**
+ * Schema for tag ID parameter
+ */
+export const tagIdParamSchema = z.object({
+  params: z.object({
+    tagId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid tag ID format'),
+  }),
+});
@@ -5,6 +5,8 @@ import {
   EMAIL_MAX_LENGTH,
   NAME_MIN_LENGTH,
   NAME_MAX_LENGTH,
+  AUTO_ARCHIVE_MIN_DAYS,
+  AUTO_ARCHIVE_MAX_DAYS,
 } from '../models/user.constants.js';
 
 /**
@@ -125,6 +127,19 @@ export const updateUserSchema = z.object({
         }
       )
       .optional(),
+    settings: z
+      .object({
+        // null turns auto-archiving off
+        autoArchiveRejectedAfterDays: z
+          .number()
+          .int('Auto-archive days must be a whole number')
+          .min(AUTO_ARCHIVE_MIN_DAYS, `Auto-archive must be at least ${AUTO_ARCHIVE_MIN_DAYS} day`)
+          .max(AUTO_ARCHIVE_MAX_DAYS, `Auto-archive cannot exceed ${AUTO_ARCHIVE_MAX_DAYS} days`)
+          .nullable()
+          .optional(),
+      })
+      .strict()
+      .optional(),
   }),
 });
 
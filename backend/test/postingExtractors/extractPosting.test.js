@@ -0,0 +1,136 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { extractPosting } from '../../src/postingExtractors/index.js';
+
+/**
+ * Posting Extractor Tests
+ *
+ * Runs extractPosting on saved posting pages (test/fixtures/postings) -
+ * no network access. Each board is read with and without its URL, since
+ * pasted HTML may come without one.
+ */
+
+const page = (name) => readFileSync(new URL(`../fixtures/postings/${name}.html`, import.meta.url), 'utf8');
+
+describe('extractPosting', () => {
+  it('reads classic Greenhouse boards', () => {
+    const expected = {
+      fields: {
+        jobTitle: 'Senior Engineer',
+        company: 'Acme Corp',
+        description: "We build rockets.\n\nWhat you'll need\n\n- 5+ years Node\n\n- AWS & Docker\n\nPay range\n\n$150,000—$180,000 USD",
+        locations: ['San Francisco, CA', 'Remote'],
+        salary: { min: 150000, max: 180000, currency: 'USD', period: 'annual' },
+        remotePolicy: 'remote',
+      },
+      extractors: ['greenhouse'],
+    };
+    assert.deepEqual(extractPosting(page('greenhouse'), 'https://boards.greenhouse.io/acme/jobs/4012345'), expected);
+    assert.deepEqual(extractPosting(page('greenhouse')), expected);
+  });
+
+  it('reads current Greenhouse boards, with the company from the embedded job data', () => {
+    assert.deepEqual(extractPosting(page('greenhouse-job-boards'), 'https://job-boards.greenhouse.io/hooli/jobs/5123456'), {
+      fields: {
+        jobTitle: 'Platform Engineer',
+        company: 'Hooli & Partners',
+        description: 'Run our Kubernetes platform.\n\n- Terraform\n\n- Go',
+        locations: ['Toronto, ON', 'Remote - Canada'],
+        remotePolicy: 'remote',
+      },
+      extractors: ['greenhouse'],
+    });
+  });
+
+  it('reads Lever postings without the headline or apply sections', () => {
+    const expected = {
+      fields: {
+        jobTitle: 'Backend Developer',
+        company: 'Globex',
+        description: 'Join our team.\n\nRequirements\n\n- Go\n\n- Postgres',
+        locations: ['Berlin, Germany'],
+        salary: { min: 70000, max: 85000, currency: 'EUR', period: 'annual' },
+        remotePolicy: 'hybrid',
+        employmentType: 'full-time',
+      },
+      extractors: ['lever'],
+    };
+    assert.deepEqual(
+      extractPosting(page('lever'), 'https://jobs.lever.co/globex/6a1b2c3d-0000-4e5f-9a8b-7c6d5e4f3a2b'),
+      expected
+    );
+    assert.deepEqual(extractPosting(page('lever')), expected);
+  });
+
+  it('reads Workday postings and fills gaps from their JSON-LD', () => {
+    const url = 'https://initrode.wd5.myworkdayjobs.com/en-US/careers/job/Austin/Data-Analyst-II_R0042';
+    assert.deepEqual(extractPosting(page('workday'), url), {
+      fields: {
+        jobTitle: 'Data Analyst II',
+        // Workday markup wins over the JSON-LD organization name
+        company: 'Initrode',
+        description: 'About\n\nAnalyze things.',
+        locations: ['Austin, TX', 'Dallas, TX'],
+        remotePolicy: 'hybrid',
+        employmentType: 'full-time',
+        salary: { min: 80000, max: 95000, currency: 'USD', period: 'annual' },
+      },
+      extractors: ['workday', 'json-ld'],
+    });
+  });
+
+  it('takes the company from the JSON-LD when a pasted Workday page has no URL', () => {
+    const { fields } = extractPosting(page('workday'));
+    assert.equal(fields.company, 'Initrode Global');
+    assert.equal(fields.jobTitle, 'Data Analyst II');
+  });
+
+  it('reads LinkedIn job pages, including job criteria', () => {
+    const expected = {
+      fields: {
+        jobTitle: 'Product Designer',
+        company: 'Initech',
+        description: 'Design\nthings\n- Figma',
+        locations: ['London, England, United Kingdom'],
+        salary: { min: 60000, max: 75000, currency: 'GBP', period: 'annual' },
+        remotePolicy: 'hybrid',
+        employmentType: 'contract',
+        seniority: 'senior',
+      },
+      extractors: ['linkedin'],
+    };
+    assert.deepEqual(extractPosting(page('linkedin'), 'https://www.linkedin.com/jobs/view/3900000000'), expected);
+    assert.deepEqual(extractPosting(page('linkedin')), expected);
+  });
+
+  it('reads a JSON-LD JobPosting from a @graph on any career site', () => {
+    assert.deepEqual(extractPosting(page('json-ld'), 'https://careers.umbrella.example/jobs/1'), {
+      fields: {
+        jobTitle: 'ML Engineer',
+        company: 'Umbrella & Co',
+        description: 'Train models\n\n- PyTorch',
+        locations: ['Toronto, ON, CA', 'Remote - Canada'],
+        salary: { min: 140000, max: 170000, currency: 'CAD', period: 'annual' },
+        remotePolicy: 'remote',
+        employmentType: 'full-time',
+      },
+      extractors: ['json-ld'],
+    });
+  });
+
+  it('falls back to page metadata', () => {
+    assert.deepEqual(extractPosting(page('meta-only'), 'https://vandelay.example/careers/42'), {
+      fields: {
+        jobTitle: 'Import/Export Coordinator',
+        company: 'Vandelay Industries',
+        description: 'Coordinate latex imports across three continents.',
+      },
+      extractors: ['meta'],
+    });
+  });
+
+  it('ignores a URL that cannot be parsed', () => {
+    assert.deepEqual(extractPosting(page('meta-only'), 'not a url').extractors, ['meta']);
+  });
+});
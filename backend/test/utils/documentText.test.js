@@ -0,0 +1,157 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import zlib from 'zlib';
+import JSZip from 'jszip';
+import {
+  extractDocumentText,
+  extractPdfText,
+  normalizeExtractedText,
+} from '../../src/utils/documentText.js';
+
+/**
+ * Document Text Tests
+ *
+ * Runs the PDF and DOCX readers on saved documents (test/fixtures/documents,
+ * see the README there for what each one covers) and on damaged input.
+ */
+
+const fixture = (name) => readFileSync(new URL(`../fixtures/documents/${name}`, import.meta.url));
+
+const extract = (name) => extractDocumentText(fixture(name), name);
+
+// A minimal PDF whose only page draws one content stream
+const pdfWithContent = (streamDictionary, data) => Buffer.concat([
+  Buffer.from(
+    '%PDF-1.4\n'
+    + '1 0 obj << /Type /Catalog /Pages 2 0 R >> endobj\n'
+    + '2 0 obj << /Type /Pages /Kids [3 0 R] /Count 1 >> endobj\n'
+    + '3 0 obj << /Type /Page /Parent 2 0 R /Contents 4 0 R >> endobj\n'
+    + `4 0 obj << ${streamDictionary} /Length ${data.length} >>\nstream\n`,
+    'latin1'
+  ),
+  data,
+  Buffer.from('\nendstream\nendobj\ntrailer << /Root 1 0 R >>\n%%EOF\n', 'latin1'),
+]);
+
+const assertBadFile = async (promise, message) => {
+  await assert.rejects(promise, (error) => {
+    assert.equal(error.statusCode, 400);
+    assert.match(error.message, message);
+    return true;
+  });
+};
+
+describe('extractDocumentText - PDF', () => {
+  it('reads standard fonts across pages, with WinAnsi characters', async () => {
+    assert.equal(
+      await extract('resume-standard-font.pdf'),
+      [
+        'Jane Doe',
+        'Senior Software Engineer – Berlin',
+        'jane@example.com | github.com/janedoe',
+        'Experience',
+        'Acme Corp, 2019 – 2024: Built payment APIs handling €2M per day.',
+        '',
+        'Skills',
+        'TypeScript, Node.js, PostgreSQL',
+      ].join('\n')
+    );
+  });
+
+  it('reads embedded fonts through their ToUnicode map', async () => {
+    assert.equal(
+      await extract('resume-embedded-font.pdf'),
+      'Jane Doe\nZürich · “Data” Engineer\nSkills: Python, Spark, Kafka'
+    );
+  });
+
+  it('reads objects from object streams and text from form XObjects', async () => {
+    assert.equal(
+      await extract('resume-object-streams.pdf'),
+      'Jane Doe\nEducation\nMSc Computer Science, TU Berlin'
+    );
+  });
+
+  it('applies /Differences encodings, string escapes, TJ word gaps and line operators', async () => {
+    assert.equal(
+      await extract('resume-custom-encoding.pdf'),
+      'Jane Doe\nCafé (Lisbon)\nfi• and &\nDocker, Kubernetes'
+    );
+  });
+
+  it('reads FlateDecode streams', () => {
+    const content = zlib.deflateSync(Buffer.from('BT (Hello) Tj 0 -14 Td (World) Tj ET', 'latin1'));
+    assert.equal(extractPdfText(pdfWithContent('/Filter /FlateDecode', content)).trim(), 'Hello\nWorld');
+  });
+
+  it('skips streams in encodings that carry no text', () => {
+    const content = Buffer.from('BT (Hidden) Tj ET', 'latin1');
+    assert.equal(extractPdfText(pdfWithContent('/Filter /DCTDecode', content)).trim(), '');
+  });
+
+  it('rejects password-protected files', async () => {
+    await assertBadFile(extract('resume-encrypted.pdf'), /Password-protected/);
+  });
+
+  it('rejects files that are not PDFs', async () => {
+    await assertBadFile(extractDocumentText(Buffer.from('plain text'), 'resume.pdf'), /not a valid PDF/);
+  });
+
+  it('rejects arrays and dictionaries nested without limit', async () => {
+    const nested = Buffer.from(`%PDF-1.4\n1 0 obj ${'[ << /A '.repeat(50000)} endobj\n%%EOF\n`, 'latin1');
+    await assertBadFile(extractDocumentText(nested, 'resume.pdf'), /damaged/);
+  });
+
+  it('stops streams that expand past the size limit', () => {
+    const content = zlib.deflateSync(Buffer.alloc(51 * 1024 * 1024, 0x20));
+    assert.throws(() => extractPdfText(pdfWithContent('/Filter /FlateDecode', content)), (error) => {
+      assert.equal(error.statusCode, 400);
+      assert.match(error.message, /too large/);
+      return true;
+    });
+  });
+});
+
+describe('extractDocumentText - DOCX', () => {
+  it('reads paragraphs, list items, tabs, breaks and entities', async () => {
+    assert.equal(
+      await extract('resume.docx'),
+      [
+        'Jane Doe',
+        'Senior Engineer Berlin',
+        'Experience',
+        '- Led R&D for <fast> APIs',
+        '- Mentored 5 engineers',
+        'Skills: Go, Rust',
+        'Languages: English, German',
+      ].join('\n')
+    );
+  });
+
+  it('rejects files that are not ZIP packages', async () => {
+    await assertBadFile(extractDocumentText(Buffer.from('plain text'), 'resume.docx'), /not a valid DOCX/);
+  });
+
+  it('rejects packages without a main document', async () => {
+    const zip = new JSZip();
+    zip.file('word/styles.xml', '<w:styles/>');
+    const buffer = await zip.generateAsync({ type: 'nodebuffer' });
+    await assertBadFile(extractDocumentText(buffer, 'resume.docx'), /not a valid DOCX/);
+  });
+});
+
+describe('extractDocumentText - other files', () => {
+  it('rejects unsupported extensions', async () => {
+    await assertBadFile(extractDocumentText(fixture('resume.docx'), 'resume.doc'), /Unsupported file type/);
+  });
+});
+
+describe('normalizeExtractedText', () => {
+  it('normalizes ligatures and spaces, trims lines and collapses blank lines', () => {
+    assert.equal(
+      normalizeExtractedText('\u00a0\ufb01rst\u00a0 line \r\n\r\n\r\n\tsecond\u2003line  '),
+      'first line\n\nsecond line'
+    );
+  });
+});
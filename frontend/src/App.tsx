@@ -10,8 +10,17 @@ import Login from "./pages/Login";
 import Register from "./pages/Register";
 import Dashboard from "./pages/Dashboard";
 import Applications from "./pages/Applications";
+import ApplicationsBoard from "./pages/ApplicationsBoard";
+import ImportApplications from "./pages/ImportApplications";
+import Trash from "./pages/Trash";
 import CreateApplication from "./pages/CreateApplication";
 import ApplicationDetails from "./pages/ApplicationDetails";
+import Companies from "./pages/Companies";
+import CompanyDetails from "./pages/CompanyDetails";
+import Contacts from "./pages/Contacts";
+import Offers from "./pages/Offers";
+import Documents from "./pages/Documents";
+import Resumes from "./pages/Resumes";
 import Analytics from "./pages/Analytics";
 import AITools from "./pages/AITools";
 import Reminders from "./pages/Reminders";
@@ -58,6 +67,30 @@ const App = () => (
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/dashboard/applications/board"
+              element={
+                <ProtectedRoute>
+                  <ApplicationsBoard />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/dashboard/applications/import"
+              element={
+                <ProtectedRoute>
+                  <ImportApplications />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/dashboard/applications/trash"
+              element={
+                <ProtectedRoute>
+                  <Trash />
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/dashboard/applications/new"
               element={
@@ -74,6 +107,54 @@ const App = () => (
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/dashboard/companies"
+              element={
+                <ProtectedRoute>
+                  <Companies />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/dashboard/companies/:id"
+              element={
+                <ProtectedRoute>
+                  <CompanyDetails />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/dashboard/contacts"
+              element={
+                <ProtectedRoute>
+                  <Contacts />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/dashboard/offers"
+              element={
+                <ProtectedRoute>
+                  <Offers />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/dashboard/documents"
+              element={
+                <ProtectedRoute>
+                  <Documents />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/dashboard/resumes"
+              element={
+                <ProtectedRoute>
+                  <Resumes />
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/dashboard/analytics"
               element={
@@ -0,0 +1,226 @@
+import { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { Mail, Plus, Unlink, Users, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { contactsAPI } from "@/lib/api";
+import { Contact, CONTACT_RELATIONSHIPS, ContactRelationship, relationshipLabels } from "@/lib/contacts";
+import { toast } from "sonner";
+
+interface ApplicationContactsProps {
+  applicationId: string;
+  // Pre-fills the company of a contact created from here
+  company: string;
+}
+
+// Value of the contact select that switches to creating a new contact
+const NEW_CONTACT = "__new__";
+
+const selectClassName =
+  "w-full px-3 py-2 rounded-lg border border-border bg-background text-foreground text-sm";
+
+const getErrorMessage = (error: unknown, fallback: string) =>
+  (error as { response?: { data?: { message?: string } } })?.response?.data?.message || fallback;
+
+/**
+ * Contacts linked to an application, with their relationship to it. An
+ * existing contact can be linked, or a new one created and linked at once.
+ */
+const ApplicationContacts = ({ applicationId, company }: ApplicationContactsProps) => {
+  const [linked, setLinked] = useState<Contact[]>([]);
+  const [allContacts, setAllContacts] = useState<Contact[]>([]);
+  const [showForm, setShowForm] = useState(false);
+  const [contactId, setContactId] = useState("");
+  const [newName, setNewName] = useState("");
+  const [relationship, setRelationship] = useState<ContactRelationship>("recruiter");
+  const [saving, setSaving] = useState(false);
+
+  const loadLinked = useCallback(async () => {
+    try {
+      const response = await contactsAPI.getAll({ applicationId });
+      setLinked(response.data?.data?.contacts || []);
+    } catch (error) {
+      console.error("Failed to load contacts:", error);
+    }
+  }, [applicationId]);
+
+  useEffect(() => {
+    loadLinked();
+  }, [loadLinked]);
+
+  const openForm = async () => {
+    setShowForm(true);
+    try {
+      const response = await contactsAPI.getAll();
+      setAllContacts(response.data?.data?.contacts || []);
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to load contacts"));
+    }
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setContactId("");
+    setNewName("");
+  };
+
+  const handleLink = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!contactId) {
+      toast.error("Choose a contact");
+      return;
+    }
+    if (contactId === NEW_CONTACT && !newName.trim()) {
+      toast.error("Enter a name for the new contact");
+      return;
+    }
+
+    try {
+      setSaving(true);
+      if (contactId === NEW_CONTACT) {
+        await contactsAPI.create({
+          name: newName.trim(),
+          company,
+          applications: [{ applicationId, relationship }],
+        });
+      } else {
+        await contactsAPI.linkApplication(contactId, applicationId, relationship);
+      }
+      toast.success("Contact linked");
+      closeForm();
+      loadLinked();
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to link contact"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUnlink = async (contact: Contact) => {
+    try {
+      await contactsAPI.unlinkApplication(contact._id, applicationId);
+      setLinked((prev) => prev.filter((item) => item._id !== contact._id));
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to unlink contact"));
+    }
+  };
+
+  const relationshipOf = (contact: Contact) =>
+    contact.applications.find((link) => link.application === applicationId)?.relationship;
+
+  const linkedIds = new Set(linked.map((contact) => contact._id));
+  const available = allContacts.filter((contact) => !linkedIds.has(contact._id));
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="flex items-center gap-2">
+          <Users className="w-5 h-5" />
+          Contacts
+        </CardTitle>
+        {!showForm && (
+          <Button variant="ghost" size="sm" onClick={openForm}>
+            <Plus className="w-4 h-4" />
+          </Button>
+        )}
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {showForm && (
+          <form onSubmit={handleLink} className="space-y-2">
+            <select
+              value={contactId}
+              onChange={(e) => setContactId(e.target.value)}
+              className={selectClassName}
+              disabled={saving}
+              aria-label="Contact"
+            >
+              <option value="">Choose a contact...</option>
+              {available.map((contact) => (
+                <option key={contact._id} value={contact._id}>
+                  {contact.name}
+                  {contact.company ? ` (${contact.company})` : ""}
+                </option>
+              ))}
+              <option value={NEW_CONTACT}>+ New contact</option>
+            </select>
+            {contactId === NEW_CONTACT && (
+              <Input
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+                placeholder="Name"
+                disabled={saving}
+                autoFocus
+              />
+            )}
+            <select
+              value={relationship}
+              onChange={(e) => setRelationship(e.target.value as ContactRelationship)}
+              className={selectClassName}
+              disabled={saving}
+              aria-label="Relationship"
+            >
+              {CONTACT_RELATIONSHIPS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <div className="flex gap-2">
+              <Button type="submit" size="sm" disabled={saving}>
+                {saving ? "Linking..." : "Link Contact"}
+              </Button>
+              <Button type="button" variant="ghost" size="sm" onClick={closeForm} disabled={saving}>
+                <X className="w-4 h-4" />
+              </Button>
+            </div>
+          </form>
+        )}
+
+        {linked.length === 0 ? (
+          !showForm && <p className="text-sm text-muted-foreground">No contacts linked yet</p>
+        ) : (
+          <div className="space-y-3">
+            {linked.map((contact) => {
+              const role = relationshipOf(contact);
+              return (
+                <div key={contact._id} className="flex items-start gap-2">
+                  <div className="flex-1 min-w-0">
+                    <Link
+                      to={`/dashboard/contacts?contact=${contact._id}`}
+                      className="text-sm font-medium text-foreground hover:underline truncate block"
+                    >
+                      {contact.name}
+                    </Link>
+                    <p className="text-xs text-muted-foreground truncate">
+                      {[role && relationshipLabels[role], contact.role].filter(Boolean).join(" · ")}
+                    </p>
+                    {contact.email && (
+                      <a
+                        href={`mailto:${contact.email}`}
+                        className="text-xs text-primary hover:underline flex items-center gap-1 mt-1"
+                      >
+                        <Mail className="w-3 h-3" />
+                        {contact.email}
+                      </a>
+                    )}
+                  </div>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => handleUnlink(contact)}
+                    title="Unlink contact"
+                  >
+                    <Unlink className="w-4 h-4" />
+                  </Button>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ApplicationContacts;
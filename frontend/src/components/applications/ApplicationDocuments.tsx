@@ -0,0 +1,305 @@
+import { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { Download, FileText, Plus, Unlink, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { documentsAPI } from "@/lib/api";
+import { getBlobErrorMessage, saveDownload } from "@/lib/download";
+import {
+  checkDocumentFile,
+  DOCUMENT_FILE_ACCEPT,
+  DOCUMENT_TYPES,
+  DocumentType,
+  documentTypeLabels,
+  sortedVersions,
+  StoredDocument,
+} from "@/lib/documents";
+import { toast } from "sonner";
+
+interface ApplicationDocumentsProps {
+  applicationId: string;
+}
+
+// Value of the document select that switches to uploading a new document
+const NEW_DOCUMENT = "__new__";
+
+const selectClassName =
+  "w-full px-3 py-2 rounded-lg border border-border bg-background text-foreground text-sm";
+
+const getErrorMessage = (error: unknown, fallback: string) =>
+  (error as { response?: { data?: { message?: string } } })?.response?.data?.message || fallback;
+
+/**
+ * Resumes and cover letters sent with an application, each with the exact
+ * version that was sent. An existing document can be attached, or a new
+ * file uploaded and attached at once.
+ */
+const ApplicationDocuments = ({ applicationId }: ApplicationDocumentsProps) => {
+  const [attached, setAttached] = useState<StoredDocument[]>([]);
+  const [allDocuments, setAllDocuments] = useState<StoredDocument[]>([]);
+  const [showForm, setShowForm] = useState(false);
+  const [documentId, setDocumentId] = useState("");
+  const [version, setVersion] = useState("");
+  const [file, setFile] = useState<File | null>(null);
+  const [type, setType] = useState<DocumentType>("resume");
+  const [saving, setSaving] = useState(false);
+
+  const loadAttached = useCallback(async () => {
+    try {
+      const response = await documentsAPI.getAll({ applicationId });
+      setAttached(response.data?.data?.documents || []);
+    } catch (error) {
+      console.error("Failed to load documents:", error);
+    }
+  }, [applicationId]);
+
+  useEffect(() => {
+    loadAttached();
+  }, [loadAttached]);
+
+  const openForm = async () => {
+    setShowForm(true);
+    try {
+      const response = await documentsAPI.getAll();
+      setAllDocuments(response.data?.data?.documents || []);
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to load documents"));
+    }
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setDocumentId("");
+    setVersion("");
+    setFile(null);
+  };
+
+  const chooseDocument = (value: string) => {
+    setDocumentId(value);
+    // Latest version by default
+    const chosen = allDocuments.find((document) => document._id === value);
+    setVersion(chosen ? String(chosen.latestVersion) : "");
+  };
+
+  const chooseFile = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const chosen = e.target.files?.[0] || null;
+    const problem = chosen ? checkDocumentFile(chosen) : "";
+    if (problem) {
+      toast.error(problem);
+      e.target.value = "";
+      setFile(null);
+      return;
+    }
+    setFile(chosen);
+  };
+
+  const handleAttach = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!documentId) {
+      toast.error("Choose a document");
+      return;
+    }
+    if (documentId === NEW_DOCUMENT && !file) {
+      toast.error("Choose a file to upload");
+      return;
+    }
+
+    try {
+      setSaving(true);
+      if (documentId === NEW_DOCUMENT && file) {
+        const formData = new FormData();
+        formData.append("file", file);
+        formData.append("type", type);
+        const response = await documentsAPI.upload(formData);
+        const created: StoredDocument = response.data?.data?.document;
+        await documentsAPI.attachToApplication(created._id, applicationId, created.latestVersion);
+      } else {
+        await documentsAPI.attachToApplication(documentId, applicationId, Number(version));
+      }
+      toast.success("Document attached");
+      closeForm();
+      loadAttached();
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to attach document"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleChangeVersion = async (document: StoredDocument, newVersion: number) => {
+    try {
+      await documentsAPI.attachToApplication(document._id, applicationId, newVersion);
+      loadAttached();
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to change version"));
+    }
+  };
+
+  const handleDetach = async (document: StoredDocument) => {
+    try {
+      await documentsAPI.detachFromApplication(document._id, applicationId);
+      setAttached((prev) => prev.filter((item) => item._id !== document._id));
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to detach document"));
+    }
+  };
+
+  const handleDownload = async (document: StoredDocument, sentVersion: number) => {
+    try {
+      const response = await documentsAPI.downloadVersion(document._id, sentVersion);
+      saveDownload(response, `${document.name} v${sentVersion}`);
+    } catch (error) {
+      toast.error(await getBlobErrorMessage(error, "Failed to download document"));
+    }
+  };
+
+  const versionOf = (document: StoredDocument) =>
+    document.applications.find((link) => link.application === applicationId)?.version;
+
+  const attachedIds = new Set(attached.map((document) => document._id));
+  const available = allDocuments.filter((document) => !attachedIds.has(document._id));
+  const chosenDocument = allDocuments.find((document) => document._id === documentId);
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="flex items-center gap-2">
+          <FileText className="w-5 h-5" />
+          Documents
+        </CardTitle>
+        {!showForm && (
+          <Button variant="ghost" size="sm" onClick={openForm}>
+            <Plus className="w-4 h-4" />
+          </Button>
+        )}
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {showForm && (
+          <form onSubmit={handleAttach} className="space-y-2">
+            <select
+              value={documentId}
+              onChange={(e) => chooseDocument(e.target.value)}
+              className={selectClassName}
+              disabled={saving}
+              aria-label="Document"
+            >
+              <option value="">Choose a document...</option>
+              {available.map((document) => (
+                <option key={document._id} value={document._id}>
+                  {document.name} ({documentTypeLabels[document.type]})
+                </option>
+              ))}
+              <option value={NEW_DOCUMENT}>+ Upload new file</option>
+            </select>
+            {chosenDocument && (
+              <select
+                value={version}
+                onChange={(e) => setVersion(e.target.value)}
+                className={selectClassName}
+                disabled={saving}
+                aria-label="Version"
+              >
+                {sortedVersions(chosenDocument).map((item) => (
+                  <option key={item.version} value={item.version}>
+                    v{item.version} - {item.originalName}
+                  </option>
+                ))}
+              </select>
+            )}
+            {documentId === NEW_DOCUMENT && (
+              <>
+                <input
+                  type="file"
+                  accept={DOCUMENT_FILE_ACCEPT}
+                  onChange={chooseFile}
+                  className="block w-full text-sm text-muted-foreground file:mr-3 file:px-3 file:py-2 file:rounded-lg file:border-0 file:bg-muted file:text-foreground"
+                  disabled={saving}
+                  aria-label="File"
+                />
+                <select
+                  value={type}
+                  onChange={(e) => setType(e.target.value as DocumentType)}
+                  className={selectClassName}
+                  disabled={saving}
+                  aria-label="Document type"
+                >
+                  {DOCUMENT_TYPES.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </>
+            )}
+            <div className="flex gap-2">
+              <Button type="submit" size="sm" disabled={saving}>
+                {saving ? "Attaching..." : "Attach Document"}
+              </Button>
+              <Button type="button" variant="ghost" size="sm" onClick={closeForm} disabled={saving}>
+                <X className="w-4 h-4" />
+              </Button>
+            </div>
+          </form>
+        )}
+
+        {attached.length === 0 ? (
+          !showForm && <p className="text-sm text-muted-foreground">No documents attached yet</p>
+        ) : (
+          <div className="space-y-3">
+            {attached.map((document) => {
+              const sentVersion = versionOf(document);
+              return (
+                <div key={document._id} className="flex items-start gap-2">
+                  <div className="flex-1 min-w-0">
+                    <Link
+                      to={`/dashboard/documents?document=${document._id}`}
+                      className="text-sm font-medium text-foreground hover:underline truncate block"
+                    >
+                      {document.name}
+                    </Link>
+                    <div className="flex items-center gap-2 mt-1">
+                      <span className="text-xs text-muted-foreground">{documentTypeLabels[document.type]}</span>
+                      <select
+                        value={sentVersion}
+                        onChange={(e) => handleChangeVersion(document, Number(e.target.value))}
+                        className="px-2 py-0.5 rounded border border-border bg-background text-foreground text-xs"
+                        aria-label={`Version of ${document.name} sent`}
+                      >
+                        {sortedVersions(document).map((item) => (
+                          <option key={item.version} value={item.version}>
+                            v{item.version}
+                            {item.version === document.latestVersion ? " (latest)" : ""}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+                  {sentVersion && (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => handleDownload(document, sentVersion)}
+                      title="Download the version sent"
+                    >
+                      <Download className="w-4 h-4" />
+                    </Button>
+                  )}
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => handleDetach(document)}
+                    title="Detach document"
+                  >
+                    <Unlink className="w-4 h-4" />
+                  </Button>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ApplicationDocuments;
@@ -0,0 +1,416 @@
+import { X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { PipelineStage, categoryDotClasses } from "@/lib/pipeline";
+import { Tag, tagDotClasses } from "@/lib/tags";
+import { COMMON_CURRENCIES } from "@/lib/offers";
+import {
+  EMPLOYMENT_TYPES,
+  MAX_YEARS_OF_EXPERIENCE,
+  REMOTE_POLICIES,
+  SENIORITY_LEVELS,
+  UNSET_FILTER_VALUE,
+  VISA_SPONSORSHIP_OPTIONS,
+} from "@/lib/jobDetails";
+import {
+  AnalysisFilter,
+  ApplicationFilterValues,
+  EMPTY_FILTERS,
+  SalaryFilter,
+  VisaSponsorshipFilter,
+  countActiveFilters,
+} from "@/lib/applicationFilters";
+
+interface ApplicationFiltersProps {
+  value: ApplicationFilterValues;
+  onChange: (value: ApplicationFilterValues) => void;
+  stages: PipelineStage[];
+  sources: string[];
+  tags: Tag[];
+}
+
+const selectClassName =
+  "w-full px-3 py-2 rounded-lg border border-border bg-background text-foreground text-sm";
+
+const chipClassName = (selected: boolean) =>
+  `flex items-center gap-2 px-3 py-1 text-xs font-medium rounded-full border transition-colors ${
+    selected
+      ? "border-primary bg-primary/10 text-foreground"
+      : "border-border text-muted-foreground hover:text-foreground"
+  }`;
+
+interface OptionChipsProps {
+  label: string;
+  options: { value: string; label: string }[];
+  selected: string[];
+  onChange: (selected: string[]) => void;
+}
+
+/**
+ * Multi-select chips for a job detail, with a "Not set" chip
+ */
+const OptionChips = ({ label, options, selected, onChange }: OptionChipsProps) => {
+  const toggle = (value: string) =>
+    onChange(selected.includes(value) ? selected.filter((item) => item !== value) : [...selected, value]);
+
+  return (
+    <div>
+      <p className="text-sm font-medium mb-2">{label}</p>
+      <div className="flex flex-wrap gap-2">
+        {[...options, { value: UNSET_FILTER_VALUE, label: "Not set" }].map((option) => (
+          <button
+            key={option.value}
+            type="button"
+            onClick={() => toggle(option.value)}
+            aria-pressed={selected.includes(option.value)}
+            className={chipClassName(selected.includes(option.value))}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const ApplicationFilters = ({ value, onChange, stages, sources, tags }: ApplicationFiltersProps) => {
+  const update = (changes: Partial<ApplicationFilterValues>) => onChange({ ...value, ...changes });
+
+  const toggleStatus = (key: string) => {
+    const statuses = value.statuses.includes(key)
+      ? value.statuses.filter((status) => status !== key)
+      : [...value.statuses, key];
+    update({ statuses });
+  };
+
+  // Tag filters compare names case-insensitively, like the API
+  const isTagSelected = (name: string) =>
+    value.tags.some((tag) => tag.toLowerCase() === name.toLowerCase());
+
+  const toggleTag = (name: string) => {
+    const selected = isTagSelected(name)
+      ? value.tags.filter((tag) => tag.toLowerCase() !== name.toLowerCase())
+      : [...value.tags, name];
+    update({ tags: selected });
+  };
+
+  // Match score thresholds only apply to analyzed applications
+  const scoreDisabled = value.analysis === "without";
+  // Salary bounds only apply to applications with a posted range
+  const salaryDisabled = value.salary === "without";
+
+  return (
+    <div className="space-y-4 pt-4 border-t border-border">
+      <div>
+        <p className="text-sm font-medium mb-2">Status</p>
+        <div className="flex flex-wrap gap-2">
+          {stages.map((stage) => {
+            const selected = value.statuses.includes(stage.key);
+            return (
+              <button
+                key={stage.key}
+                type="button"
+                onClick={() => toggleStatus(stage.key)}
+                aria-pressed={selected}
+                className={`flex items-center gap-2 px-3 py-1 text-xs font-medium rounded-full border transition-colors ${
+                  selected
+                    ? "border-primary bg-primary/10 text-foreground"
+                    : "border-border text-muted-foreground hover:text-foreground"
+                }`}
+              >
+                <span className={`w-2 h-2 rounded-full ${categoryDotClasses[stage.category]}`} />
+                {stage.label}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+
+      {tags.length > 0 && (
+        <div>
+          <p className="text-sm font-medium mb-2">Tags</p>
+          <div className="flex flex-wrap gap-2">
+            {tags.map((tag) => {
+              const selected = isTagSelected(tag.name);
+              return (
+                <button
+                  key={tag._id}
+                  type="button"
+                  onClick={() => toggleTag(tag.name)}
+                  aria-pressed={selected}
+                  className={`flex items-center gap-2 px-3 py-1 text-xs font-medium rounded-full border transition-colors ${
+                    selected
+                      ? "border-primary bg-primary/10 text-foreground"
+                      : "border-border text-muted-foreground hover:text-foreground"
+                  }`}
+                >
+                  <span className={`w-2 h-2 rounded-full ${tagDotClasses[tag.color]}`} />
+                  {tag.name}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      <div className="grid md:grid-cols-3 gap-4">
+        <OptionChips
+          label="Remote Policy"
+          options={REMOTE_POLICIES}
+          selected={value.remotePolicies}
+          onChange={(remotePolicies) => update({ remotePolicies })}
+        />
+        <OptionChips
+          label="Employment Type"
+          options={EMPLOYMENT_TYPES}
+          selected={value.employmentTypes}
+          onChange={(employmentTypes) => update({ employmentTypes })}
+        />
+        <OptionChips
+          label="Seniority"
+          options={SENIORITY_LEVELS}
+          selected={value.seniorities}
+          onChange={(seniorities) => update({ seniorities })}
+        />
+      </div>
+
+      <div className="grid sm:grid-cols-2 lg:grid-cols-4 gap-4">
+        <div>
+          <label className="block text-sm font-medium mb-2">Location</label>
+          <Input
+            value={value.location}
+            onChange={(e) => update({ location: e.target.value })}
+            placeholder="e.g. Berlin or EU"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium mb-2">Visa Sponsorship</label>
+          <select
+            value={value.visaSponsorship}
+            onChange={(e) => update({ visaSponsorship: e.target.value as VisaSponsorshipFilter })}
+            className={selectClassName}
+          >
+            <option value="">Any</option>
+            {VISA_SPONSORSHIP_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+            <option value={UNSET_FILTER_VALUE}>Not known</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium mb-2">Skills</label>
+          <Input
+            value={value.skills}
+            onChange={(e) => update({ skills: e.target.value })}
+            placeholder="e.g. React, Python"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium mb-2">Max Years of Experience</label>
+          <Input
+            type="number"
+            min={0}
+            max={MAX_YEARS_OF_EXPERIENCE}
+            value={value.maxYearsOfExperience}
+            onChange={(e) => update({ maxYearsOfExperience: e.target.value })}
+            placeholder="Asks for at most"
+          />
+        </div>
+      </div>
+
+      <div className="grid sm:grid-cols-2 lg:grid-cols-4 gap-4">
+        <div>
+          <label className="block text-sm font-medium mb-2">Applied Between</label>
+          <div className="flex items-center gap-2">
+            <Input
+              type="date"
+              value={value.dateAppliedFrom}
+              max={value.dateAppliedTo || undefined}
+              onChange={(e) => update({ dateAppliedFrom: e.target.value })}
+              aria-label="Applied from"
+            />
+            <Input
+              type="date"
+              value={value.dateAppliedTo}
+              min={value.dateAppliedFrom || undefined}
+              onChange={(e) => update({ dateAppliedTo: e.target.value })}
+              aria-label="Applied to"
+            />
+          </div>
+        </div>
+        <div>
+          <label className="block text-sm font-medium mb-2">Added Between</label>
+          <div className="flex items-center gap-2">
+            <Input
+              type="date"
+              value={value.createdFrom}
+              max={value.createdTo || undefined}
+              onChange={(e) => update({ createdFrom: e.target.value })}
+              aria-label="Added from"
+            />
+            <Input
+              type="date"
+              value={value.createdTo}
+              min={value.createdFrom || undefined}
+              onChange={(e) => update({ createdTo: e.target.value })}
+              aria-label="Added to"
+            />
+          </div>
+        </div>
+        <div>
+          <label className="block text-sm font-medium mb-2">Source</label>
+          <select
+            value={value.source}
+            onChange={(e) => update({ source: e.target.value })}
+            className={selectClassName}
+          >
+            <option value="">All Sources</option>
+            {sources.map((source) => (
+              <option key={source} value={source}>
+                {source}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium mb-2">AI Analysis</label>
+          <select
+            value={value.analysis}
+            onChange={(e) => {
+              const analysis = e.target.value as AnalysisFilter;
+              update(
+                analysis === "without"
+                  ? { analysis, minMatchScore: "", maxMatchScore: "" }
+                  : { analysis }
+              );
+            }}
+            className={selectClassName}
+          >
+            <option value="any">Any</option>
+            <option value="with">Analyzed</option>
+            <option value="without">Not analyzed</option>
+          </select>
+        </div>
+      </div>
+
+      <div className="flex flex-col sm:flex-row sm:items-end gap-4">
+        <div>
+          <label className="block text-sm font-medium mb-2">Applied (days ago)</label>
+          <div className="flex items-center gap-2">
+            <Input
+              type="number"
+              min={0}
+              placeholder="Over"
+              value={value.appliedMoreThanDaysAgo}
+              onChange={(e) => update({ appliedMoreThanDaysAgo: e.target.value })}
+              className="w-24"
+              aria-label="Applied more than this many days ago"
+            />
+            <span className="text-muted-foreground">–</span>
+            <Input
+              type="number"
+              min={0}
+              placeholder="Within"
+              value={value.appliedWithinDays}
+              onChange={(e) => update({ appliedWithinDays: e.target.value })}
+              className="w-24"
+              aria-label="Applied within this many days"
+            />
+          </div>
+        </div>
+        <div>
+          <label className="block text-sm font-medium mb-2">Match Score (%)</label>
+          <div className="flex items-center gap-2">
+            <Input
+              type="number"
+              min={0}
+              max={100}
+              placeholder="Min"
+              value={value.minMatchScore}
+              onChange={(e) => update({ minMatchScore: e.target.value })}
+              disabled={scoreDisabled}
+              className="w-24"
+              aria-label="Minimum match score"
+            />
+            <span className="text-muted-foreground">–</span>
+            <Input
+              type="number"
+              min={0}
+              max={100}
+              placeholder="Max"
+              value={value.maxMatchScore}
+              onChange={(e) => update({ maxMatchScore: e.target.value })}
+              disabled={scoreDisabled}
+              className="w-24"
+              aria-label="Maximum match score"
+            />
+          </div>
+        </div>
+        <div>
+          <label className="block text-sm font-medium mb-2">Posted Salary</label>
+          <select
+            value={value.salary}
+            onChange={(e) => {
+              const salary = e.target.value as SalaryFilter;
+              update(salary === "without" ? { salary, salaryMin: "", salaryMax: "" } : { salary });
+            }}
+            className={selectClassName}
+          >
+            <option value="any">Any</option>
+            <option value="with">Listed</option>
+            <option value="without">Not listed</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium mb-2">Yearly Salary</label>
+          <div className="flex items-center gap-2">
+            <Input
+              type="number"
+              min={0}
+              placeholder="Min"
+              value={value.salaryMin}
+              onChange={(e) => update({ salaryMin: e.target.value })}
+              disabled={salaryDisabled}
+              className="w-28"
+              aria-label="Minimum yearly salary"
+            />
+            <span className="text-muted-foreground">–</span>
+            <Input
+              type="number"
+              min={0}
+              placeholder="Max"
+              value={value.salaryMax}
+              onChange={(e) => update({ salaryMax: e.target.value })}
+              disabled={salaryDisabled}
+              className="w-28"
+              aria-label="Maximum yearly salary"
+            />
+            <select
+              value={value.salaryCurrency}
+              onChange={(e) => update({ salaryCurrency: e.target.value })}
+              disabled={salaryDisabled}
+              className="px-3 py-2 rounded-lg border border-border bg-background text-foreground text-sm"
+              aria-label="Salary currency"
+            >
+              {[...new Set([...COMMON_CURRENCIES, value.salaryCurrency])].map((currency) => (
+                <option key={currency} value={currency}>
+                  {currency}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+        {countActiveFilters(value) > 0 && (
+          <Button variant="ghost" onClick={() => onChange(EMPTY_FILTERS)} className="sm:ml-auto">
+            <X className="w-4 h-4 mr-2" />
+            Clear Filters
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ApplicationFilters;
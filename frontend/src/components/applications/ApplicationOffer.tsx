@@ -0,0 +1,528 @@
+import { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { format } from "date-fns";
+import { CalendarClock, Edit, HandCoins, Plus, Scale, Trash2, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { offersAPI, OfferInput } from "@/lib/api";
+import {
+  COMMON_CURRENCIES,
+  formatMoney,
+  Offer,
+  OFFER_DECISIONS,
+  OfferDecision,
+  VESTING_PRESETS,
+} from "@/lib/offers";
+import { toast } from "sonner";
+
+interface ApplicationOfferProps {
+  applicationId: string;
+  // Offer stages show the card even before an offer is recorded
+  isOfferStage: boolean;
+}
+
+interface OfferForm {
+  currency: string;
+  baseSalary: string;
+  bonus: string;
+  signOnBonus: string;
+  grantValue: string;
+  // Percent per year, comma-separated: "25, 25, 25, 25"
+  vestingSchedule: string;
+  cliffMonths: string;
+  ptoDays: string;
+  startDate: string;
+  responseDeadline: string;
+  decision: OfferDecision;
+  benefits: string;
+  notes: string;
+}
+
+const emptyForm = (): OfferForm => ({
+  currency: "USD",
+  baseSalary: "",
+  bonus: "",
+  signOnBonus: "",
+  grantValue: "",
+  vestingSchedule: VESTING_PRESETS[0].schedule.join(", "),
+  cliffMonths: String(VESTING_PRESETS[0].cliffMonths),
+  ptoDays: "",
+  startDate: "",
+  responseDeadline: "",
+  decision: "pending",
+  benefits: "",
+  notes: "",
+});
+
+const amountText = (value: number) => (value ? String(value) : "");
+
+const toForm = (offer: Offer): OfferForm => ({
+  currency: offer.currency,
+  baseSalary: amountText(offer.baseSalary),
+  bonus: amountText(offer.bonus),
+  signOnBonus: amountText(offer.signOnBonus),
+  grantValue: amountText(offer.equity?.grantValue),
+  vestingSchedule: (offer.equity?.vestingSchedule || []).join(", "),
+  cliffMonths: String(offer.equity?.cliffMonths ?? 12),
+  ptoDays: offer.ptoDays === null ? "" : String(offer.ptoDays),
+  // Start dates are calendar days, stored at midnight UTC
+  startDate: offer.startDate ? offer.startDate.slice(0, 10) : "",
+  responseDeadline: offer.responseDeadline
+    ? format(new Date(offer.responseDeadline), "yyyy-MM-dd'T'HH:mm")
+    : "",
+  decision: offer.decision,
+  benefits: offer.benefits || "",
+  notes: offer.notes || "",
+});
+
+const parseSchedule = (text: string) =>
+  text
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map(Number);
+
+const selectClassName =
+  "w-full px-3 py-2 rounded-lg border border-border bg-background text-foreground text-sm";
+
+const getErrorMessage = (error: unknown, fallback: string) =>
+  (error as { response?: { data?: { message?: string } } })?.response?.data?.message || fallback;
+
+/**
+ * The offer of an application: compensation, equity vesting and terms, with
+ * its first-year and four-year totals. A reminder is created before the
+ * response deadline while the offer is pending.
+ */
+const ApplicationOffer = ({ applicationId, isOfferStage }: ApplicationOfferProps) => {
+  const [offer, setOffer] = useState<Offer | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(false);
+  const [form, setForm] = useState<OfferForm>(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  const loadOffer = useCallback(async () => {
+    try {
+      const response = await offersAPI.getAll({ applicationId });
+      setOffer(response.data?.data?.offers?.[0] || null);
+    } catch (error) {
+      console.error("Failed to load offer:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, [applicationId]);
+
+  useEffect(() => {
+    loadOffer();
+  }, [loadOffer]);
+
+  const openForm = () => {
+    setForm(offer ? toForm(offer) : emptyForm());
+    setEditing(true);
+  };
+
+  const updateField = <K extends keyof OfferForm>(field: K, value: OfferForm[K]) =>
+    setForm((prev) => ({ ...prev, [field]: value }));
+
+  const applyPreset = (index: string) => {
+    const preset = VESTING_PRESETS[Number(index)];
+    if (!preset) return;
+    setForm((prev) => ({
+      ...prev,
+      vestingSchedule: preset.schedule.join(", "),
+      cliffMonths: String(preset.cliffMonths),
+    }));
+  };
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    const currency = form.currency.trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency)) {
+      toast.error("Currency must be a 3-letter code (e.g. USD)");
+      return;
+    }
+
+    const vestingSchedule = parseSchedule(form.vestingSchedule);
+    if (vestingSchedule.some((percent) => Number.isNaN(percent) || percent < 0)) {
+      toast.error("Vesting schedule must be percentages separated by commas");
+      return;
+    }
+    if (vestingSchedule.reduce((sum, percent) => sum + percent, 0) > 100) {
+      toast.error("Vesting schedule cannot add up to more than 100%");
+      return;
+    }
+
+    const amounts = [form.baseSalary, form.bonus, form.signOnBonus, form.grantValue, form.ptoDays];
+    if (amounts.some((value) => value && (Number.isNaN(Number(value)) || Number(value) < 0))) {
+      toast.error("Amounts must be positive numbers");
+      return;
+    }
+
+    const payload: OfferInput = {
+      currency,
+      baseSalary: Number(form.baseSalary) || 0,
+      bonus: Number(form.bonus) || 0,
+      signOnBonus: Number(form.signOnBonus) || 0,
+      equity: {
+        grantValue: Number(form.grantValue) || 0,
+        vestingSchedule,
+        cliffMonths: Number(form.cliffMonths) || 0,
+      },
+      ptoDays: form.ptoDays ? Number(form.ptoDays) : null,
+      startDate: form.startDate ? `${form.startDate}T00:00:00.000Z` : null,
+      responseDeadline: form.responseDeadline ? new Date(form.responseDeadline).toISOString() : null,
+      decision: form.decision,
+      benefits: form.benefits.trim(),
+      notes: form.notes.trim(),
+    };
+
+    try {
+      setSaving(true);
+      const response = offer
+        ? await offersAPI.update(offer._id, payload)
+        : await offersAPI.create({ ...payload, applicationId });
+      setOffer(response.data?.data?.offer || null);
+      toast.success(
+        !offer && payload.responseDeadline
+          ? "Offer saved - you'll get a reminder before the deadline"
+          : "Offer saved"
+      );
+      setEditing(false);
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to save offer"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDecision = async (decision: OfferDecision) => {
+    if (!offer) return;
+    try {
+      const response = await offersAPI.update(offer._id, { decision });
+      setOffer(response.data?.data?.offer || offer);
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to update decision"));
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!offer || !confirm("Delete this offer? Its deadline reminder is deleted too.")) return;
+    try {
+      await offersAPI.delete(offer._id);
+      setOffer(null);
+      toast.success("Offer deleted");
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to delete offer"));
+    }
+  };
+
+  // Nothing to show outside offer stages until an offer is recorded
+  if (loading || (!offer && !isOfferStage && !editing)) {
+    return null;
+  }
+
+  const renderForm = () => (
+    <form onSubmit={handleSave} className="grid gap-4 md:grid-cols-2">
+      <div className="space-y-2">
+        <Label htmlFor="offerCurrency">Currency</Label>
+        <Input
+          id="offerCurrency"
+          list="offerCurrencies"
+          value={form.currency}
+          onChange={(e) => updateField("currency", e.target.value)}
+          maxLength={3}
+          disabled={saving}
+        />
+        <datalist id="offerCurrencies">
+          {COMMON_CURRENCIES.map((currency) => (
+            <option key={currency} value={currency} />
+          ))}
+        </datalist>
+      </div>
+      <div className="space-y-2">
+        <Label htmlFor="offerBase">Base Salary (yearly)</Label>
+        <Input
+          id="offerBase"
+          type="number"
+          min="0"
+          value={form.baseSalary}
+          onChange={(e) => updateField("baseSalary", e.target.value)}
+          disabled={saving}
+          autoFocus
+        />
+      </div>
+      <div className="space-y-2">
+        <Label htmlFor="offerBonus">Target Bonus (yearly)</Label>
+        <Input
+          id="offerBonus"
+          type="number"
+          min="0"
+          value={form.bonus}
+          onChange={(e) => updateField("bonus", e.target.value)}
+          disabled={saving}
+        />
+      </div>
+      <div className="space-y-2">
+        <Label htmlFor="offerSignOn">Sign-on Bonus</Label>
+        <Input
+          id="offerSignOn"
+          type="number"
+          min="0"
+          value={form.signOnBonus}
+          onChange={(e) => updateField("signOnBonus", e.target.value)}
+          disabled={saving}
+        />
+      </div>
+      <div className="space-y-2">
+        <Label htmlFor="offerGrant">Equity Grant (total value)</Label>
+        <Input
+          id="offerGrant"
+          type="number"
+          min="0"
+          value={form.grantValue}
+          onChange={(e) => updateField("grantValue", e.target.value)}
+          disabled={saving}
+        />
+      </div>
+      <div className="space-y-2">
+        <Label htmlFor="offerVestingPreset">Vesting Preset</Label>
+        <select
+          id="offerVestingPreset"
+          value=""
+          onChange={(e) => applyPreset(e.target.value)}
+          className={selectClassName}
+          disabled={saving}
+        >
+          <option value="">Choose a preset...</option>
+          {VESTING_PRESETS.map((preset, index) => (
+            <option key={preset.label} value={index}>
+              {preset.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="space-y-2">
+        <Label htmlFor="offerVesting">Vesting (% per year)</Label>
+        <Input
+          id="offerVesting"
+          value={form.vestingSchedule}
+          onChange={(e) => updateField("vestingSchedule", e.target.value)}
+          placeholder="25, 25, 25, 25"
+          disabled={saving}
+        />
+      </div>
+      <div className="space-y-2">
+        <Label htmlFor="offerCliff">Cliff (months)</Label>
+        <Input
+          id="offerCliff"
+          type="number"
+          min="0"
+          value={form.cliffMonths}
+          onChange={(e) => updateField("cliffMonths", e.target.value)}
+          disabled={saving}
+        />
+      </div>
+      <div className="space-y-2">
+        <Label htmlFor="offerPto">PTO (days per year)</Label>
+        <Input
+          id="offerPto"
+          type="number"
+          min="0"
+          value={form.ptoDays}
+          onChange={(e) => updateField("ptoDays", e.target.value)}
+          disabled={saving}
+        />
+      </div>
+      <div className="space-y-2">
+        <Label htmlFor="offerStart">Start Date</Label>
+        <Input
+          id="offerStart"
+          type="date"
+          value={form.startDate}
+          onChange={(e) => updateField("startDate", e.target.value)}
+          disabled={saving}
+        />
+      </div>
+      <div className="space-y-2">
+        <Label htmlFor="offerDeadline">Respond By</Label>
+        <Input
+          id="offerDeadline"
+          type="datetime-local"
+          value={form.responseDeadline}
+          onChange={(e) => updateField("responseDeadline", e.target.value)}
+          disabled={saving}
+        />
+      </div>
+      <div className="space-y-2">
+        <Label htmlFor="offerDecision">Decision</Label>
+        <select
+          id="offerDecision"
+          value={form.decision}
+          onChange={(e) => updateField("decision", e.target.value as OfferDecision)}
+          className={selectClassName}
+          disabled={saving}
+        >
+          {OFFER_DECISIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="space-y-2 md:col-span-2">
+        <Label htmlFor="offerBenefits">Benefits</Label>
+        <Textarea
+          id="offerBenefits"
+          value={form.benefits}
+          onChange={(e) => updateField("benefits", e.target.value)}
+          placeholder="Health insurance, 401(k) match, remote stipend..."
+          rows={2}
+          disabled={saving}
+        />
+      </div>
+      <div className="space-y-2 md:col-span-2">
+        <Label htmlFor="offerNotes">Notes</Label>
+        <Textarea
+          id="offerNotes"
+          value={form.notes}
+          onChange={(e) => updateField("notes", e.target.value)}
+          rows={2}
+          disabled={saving}
+        />
+      </div>
+      <div className="md:col-span-2 flex justify-end gap-2">
+        <Button type="button" variant="outline" onClick={() => setEditing(false)} disabled={saving}>
+          Cancel
+        </Button>
+        <Button type="submit" disabled={saving}>
+          {saving ? "Saving..." : "Save Offer"}
+        </Button>
+      </div>
+    </form>
+  );
+
+  const detail = (label: string, value: string) => (
+    <div>
+      <p className="text-xs text-muted-foreground">{label}</p>
+      <p className="text-sm font-medium text-foreground">{value}</p>
+    </div>
+  );
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="flex items-center gap-2">
+          <HandCoins className="w-5 h-5" />
+          Offer
+        </CardTitle>
+        {editing ? (
+          <Button variant="ghost" size="sm" onClick={() => setEditing(false)} disabled={saving}>
+            <X className="w-4 h-4" />
+          </Button>
+        ) : offer ? (
+          <div className="flex items-center gap-1">
+            <select
+              value={offer.decision}
+              onChange={(e) => handleDecision(e.target.value as OfferDecision)}
+              className={`px-2 py-1 text-xs font-medium rounded-full border-0 ${
+                OFFER_DECISIONS.find((option) => option.value === offer.decision)?.className || ""
+              }`}
+              aria-label="Decision"
+            >
+              {OFFER_DECISIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <Button variant="ghost" size="sm" onClick={openForm} title="Edit offer">
+              <Edit className="w-4 h-4" />
+            </Button>
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={handleDelete}
+              className="text-red-500 hover:text-red-600"
+              title="Delete offer"
+            >
+              <Trash2 className="w-4 h-4" />
+            </Button>
+          </div>
+        ) : (
+          <Button variant="outline" size="sm" onClick={openForm}>
+            <Plus className="w-4 h-4 mr-2" />
+            Add Offer
+          </Button>
+        )}
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {editing ? (
+          renderForm()
+        ) : !offer ? (
+          <p className="text-sm text-muted-foreground">
+            Record the offer to compare its total compensation with your other offers and get a reminder
+            before the deadline.
+          </p>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 gap-4 p-4 rounded-lg bg-primary/5 border border-primary/20">
+              {detail("First-Year Total", formatMoney(offer.compensation.firstYear, offer.currency))}
+              {detail(
+                `${offer.compensation.byYear.length}-Year Total`,
+                formatMoney(offer.compensation.total, offer.currency)
+              )}
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+              {detail("Base Salary", formatMoney(offer.baseSalary, offer.currency))}
+              {offer.bonus > 0 && detail("Target Bonus", formatMoney(offer.bonus, offer.currency))}
+              {offer.signOnBonus > 0 && detail("Sign-on Bonus", formatMoney(offer.signOnBonus, offer.currency))}
+              {offer.equity?.grantValue > 0 &&
+                detail(
+                  "Equity Grant",
+                  `${formatMoney(offer.equity.grantValue, offer.currency)} (${offer.equity.vestingSchedule.join("/")}%${
+                    offer.equity.cliffMonths ? `, ${offer.equity.cliffMonths}-month cliff` : ""
+                  })`
+                )}
+              {offer.ptoDays !== null && detail("PTO", `${offer.ptoDays} days`)}
+              {offer.startDate &&
+                detail(
+                  "Start Date",
+                  new Date(offer.startDate).toLocaleDateString("en-US", {
+                    year: "numeric",
+                    month: "short",
+                    day: "numeric",
+                    timeZone: "UTC",
+                  })
+                )}
+            </div>
+            {offer.responseDeadline && (
+              <p className="flex items-center gap-2 text-sm text-muted-foreground">
+                <CalendarClock className="w-4 h-4 flex-shrink-0" />
+                Respond by {format(new Date(offer.responseDeadline), "MMM d, yyyy 'at' h:mm a")}
+              </p>
+            )}
+            {offer.benefits && (
+              <div>
+                <p className="text-xs text-muted-foreground">Benefits</p>
+                <p className="text-sm text-foreground whitespace-pre-wrap">{offer.benefits}</p>
+              </div>
+            )}
+            {offer.notes && <p className="text-sm text-foreground whitespace-pre-wrap">{offer.notes}</p>}
+            <Link
+              to={`/dashboard/offers?offers=${offer._id}`}
+              className="text-sm text-primary hover:underline flex items-center gap-1"
+            >
+              <Scale className="w-4 h-4" />
+              Compare with other offers
+            </Link>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ApplicationOffer;
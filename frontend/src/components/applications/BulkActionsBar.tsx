@@ -0,0 +1,258 @@
+import { useState } from "react";
+import { Bell, GitBranch, Tag, Trash2, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { applicationsAPI } from "@/lib/api";
+import { PipelineStage } from "@/lib/pipeline";
+import { notifyTagsChanged, splitTags } from "@/lib/tags";
+import { toast } from "sonner";
+
+type BulkPanel = "status" | "tag" | "reminder";
+
+export interface BulkItemResult {
+  id: string;
+  success: boolean;
+  message?: string;
+}
+
+interface BulkActionsBarProps {
+  selectedIds: string[];
+  stages: PipelineStage[];
+  onClear: () => void;
+  // Called after every bulk request with the per-application results
+  onComplete: (results: BulkItemResult[]) => void;
+}
+
+const getErrorMessage = (error: unknown, fallback: string) =>
+  (error as { response?: { data?: { message?: string } } })?.response?.data?.message || fallback;
+
+const selectClassName =
+  "px-3 py-2 rounded-lg border border-border bg-background text-foreground text-sm";
+
+const reminderTypes = [
+  { value: "follow-up", label: "Follow-up" },
+  { value: "interview", label: "Interview" },
+  { value: "deadline", label: "Deadline" },
+];
+
+/**
+ * Actions for the applications selected in the list: change status, add or
+ * remove tags, create a reminder or delete. Each application is processed
+ * on its own, so one failure does not stop the rest.
+ */
+const BulkActionsBar = ({ selectedIds, stages, onClear, onComplete }: BulkActionsBarProps) => {
+  const [panel, setPanel] = useState<BulkPanel | null>(null);
+  const [running, setRunning] = useState(false);
+  const [status, setStatus] = useState("");
+  const [tagInput, setTagInput] = useState("");
+  const [reminder, setReminder] = useState({ reminderDate: "", reminderType: "follow-up", notes: "" });
+
+  const count = selectedIds.length;
+  const noun = `application${count === 1 ? "" : "s"}`;
+
+  const run = async (request: () => ReturnType<typeof applicationsAPI.bulk>) => {
+    try {
+      setRunning(true);
+      const response = await request();
+      const data = response.data?.data;
+      const results: BulkItemResult[] = data?.results || [];
+      const failed = results.filter((result) => !result.success);
+
+      if (failed.length === 0) {
+        toast.success(response.data?.message || "Applications updated");
+      } else {
+        toast.error(`${response.data?.message}. ${failed[0].message || ""}`.trim());
+      }
+      setPanel(null);
+      onComplete(results);
+      // New tags may have been created and tag counts have changed
+      notifyTagsChanged();
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to update applications"));
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleStatus = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!status) {
+      toast.error("Choose a stage");
+      return;
+    }
+    run(() => applicationsAPI.bulk({ action: "status", applicationIds: selectedIds, status }));
+  };
+
+  const handleTags = (mode: "add" | "remove") => {
+    const tags = splitTags(tagInput);
+    if (tags.length === 0) {
+      toast.error("Enter at least one tag");
+      return;
+    }
+    run(() =>
+      applicationsAPI.bulk({
+        action: "tag",
+        applicationIds: selectedIds,
+        ...(mode === "add" ? { addTags: tags } : { removeTags: tags }),
+      })
+    );
+  };
+
+  const handleReminder = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!reminder.reminderDate) {
+      toast.error("Choose a reminder date");
+      return;
+    }
+    const reminderDate = new Date(reminder.reminderDate);
+    if (reminderDate <= new Date()) {
+      toast.error("Reminder date must be in the future");
+      return;
+    }
+    run(() =>
+      applicationsAPI.bulk({
+        action: "reminder",
+        applicationIds: selectedIds,
+        reminderDate: reminderDate.toISOString(),
+        reminderType: reminder.reminderType,
+        notes: reminder.notes.trim(),
+      })
+    );
+  };
+
+  const handleDelete = () => {
+    if (!confirm(`Move ${count} ${noun} to the trash? You can restore them from the trash.`)) return;
+    run(() => applicationsAPI.bulk({ action: "delete", applicationIds: selectedIds }));
+  };
+
+  const togglePanel = (value: BulkPanel) => setPanel((prev) => (prev === value ? null : value));
+
+  return (
+    <div className="border-b border-border bg-muted/40 px-4 py-3 space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm font-medium text-foreground mr-2">
+          {count} {noun} selected
+        </span>
+        <Button
+          variant={panel === "status" ? "secondary" : "outline"}
+          size="sm"
+          onClick={() => togglePanel("status")}
+          disabled={running}
+        >
+          <GitBranch className="w-4 h-4 mr-2" />
+          Change Status
+        </Button>
+        <Button
+          variant={panel === "tag" ? "secondary" : "outline"}
+          size="sm"
+          onClick={() => togglePanel("tag")}
+          disabled={running}
+        >
+          <Tag className="w-4 h-4 mr-2" />
+          Tags
+        </Button>
+        <Button
+          variant={panel === "reminder" ? "secondary" : "outline"}
+          size="sm"
+          onClick={() => togglePanel("reminder")}
+          disabled={running}
+        >
+          <Bell className="w-4 h-4 mr-2" />
+          Add Reminder
+        </Button>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={handleDelete}
+          disabled={running}
+          className="text-red-500 hover:text-red-600"
+        >
+          <Trash2 className="w-4 h-4 mr-2" />
+          Delete
+        </Button>
+        <Button variant="ghost" size="sm" onClick={onClear} disabled={running}>
+          <X className="w-4 h-4 mr-2" />
+          Clear
+        </Button>
+      </div>
+
+      {panel === "status" && (
+        <form onSubmit={handleStatus} className="flex flex-wrap items-center gap-2">
+          <select
+            value={status}
+            onChange={(e) => setStatus(e.target.value)}
+            className={selectClassName}
+            disabled={running}
+            aria-label="New status"
+          >
+            <option value="">Move to stage...</option>
+            {stages.map((stage) => (
+              <option key={stage.key} value={stage.key}>
+                {stage.label}
+              </option>
+            ))}
+          </select>
+          <Button type="submit" size="sm" disabled={running}>
+            {running ? "Updating..." : `Update ${count} ${noun}`}
+          </Button>
+        </form>
+      )}
+
+      {panel === "tag" && (
+        <div className="flex flex-wrap items-center gap-2">
+          <Input
+            value={tagInput}
+            onChange={(e) => setTagInput(e.target.value)}
+            placeholder="Tags, comma-separated"
+            className="w-64 h-9"
+            disabled={running}
+          />
+          <Button size="sm" onClick={() => handleTags("add")} disabled={running}>
+            Add Tags
+          </Button>
+          <Button variant="outline" size="sm" onClick={() => handleTags("remove")} disabled={running}>
+            Remove Tags
+          </Button>
+        </div>
+      )}
+
+      {panel === "reminder" && (
+        <form onSubmit={handleReminder} className="flex flex-wrap items-center gap-2">
+          <Input
+            type="datetime-local"
+            value={reminder.reminderDate}
+            onChange={(e) => setReminder((prev) => ({ ...prev, reminderDate: e.target.value }))}
+            className="w-auto h-9"
+            disabled={running}
+            aria-label="Reminder date"
+          />
+          <select
+            value={reminder.reminderType}
+            onChange={(e) => setReminder((prev) => ({ ...prev, reminderType: e.target.value }))}
+            className={selectClassName}
+            disabled={running}
+            aria-label="Reminder type"
+          >
+            {reminderTypes.map((type) => (
+              <option key={type.value} value={type.value}>
+                {type.label}
+              </option>
+            ))}
+          </select>
+          <Input
+            value={reminder.notes}
+            onChange={(e) => setReminder((prev) => ({ ...prev, notes: e.target.value }))}
+            placeholder="Notes (optional)"
+            className="w-56 h-9"
+            disabled={running}
+          />
+          <Button type="submit" size="sm" disabled={running}>
+            {running ? "Creating..." : `Create ${count} reminder${count === 1 ? "" : "s"}`}
+          </Button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default BulkActionsBar;
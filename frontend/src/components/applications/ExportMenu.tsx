@@ -0,0 +1,98 @@
+import { useState } from "react";
+import { Download } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  DropdownMenu,
+  DropdownMenuCheckboxItem,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import { applicationsAPI } from "@/lib/api";
+import { getBlobErrorMessage, saveDownload } from "@/lib/download";
+import { toast } from "sonner";
+
+type ExportFormat = "csv" | "xlsx" | "json";
+type ExportInclude = "ai" | "reminders" | "description";
+
+interface ExportMenuProps {
+  // Current list filters, search and sort (same parameters as the list request)
+  params: Record<string, string>;
+}
+
+const formats: { value: ExportFormat; label: string }[] = [
+  { value: "csv", label: "CSV" },
+  { value: "xlsx", label: "Excel (.xlsx)" },
+  { value: "json", label: "JSON" },
+];
+
+const includeOptions: { value: ExportInclude; label: string }[] = [
+  { value: "ai", label: "AI insight summaries" },
+  { value: "reminders", label: "Reminder counts" },
+  { value: "description", label: "Job descriptions" },
+];
+
+/**
+ * Downloads the applications currently shown (all pages) in the chosen format
+ */
+const ExportMenu = ({ params }: ExportMenuProps) => {
+  const [include, setInclude] = useState<ExportInclude[]>([]);
+  const [exporting, setExporting] = useState(false);
+
+  const toggleInclude = (value: ExportInclude) => {
+    setInclude((prev) =>
+      prev.includes(value) ? prev.filter((option) => option !== value) : [...prev, value]
+    );
+  };
+
+  const handleExport = async (format: ExportFormat) => {
+    try {
+      setExporting(true);
+      const response = await applicationsAPI.exportFile({
+        ...params,
+        format,
+        ...(include.length > 0 && { include: include.join(",") }),
+      });
+      saveDownload(response, `applications.${format}`);
+    } catch (error) {
+      toast.error(await getBlobErrorMessage(error, "Failed to export applications"));
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button variant="outline" disabled={exporting}>
+          <Download className="w-4 h-4 mr-2" />
+          {exporting ? "Exporting..." : "Export"}
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end" className="w-56">
+        <DropdownMenuLabel>Include</DropdownMenuLabel>
+        {includeOptions.map((option) => (
+          <DropdownMenuCheckboxItem
+            key={option.value}
+            checked={include.includes(option.value)}
+            onCheckedChange={() => toggleInclude(option.value)}
+            onSelect={(e) => e.preventDefault()}
+          >
+            {option.label}
+          </DropdownMenuCheckboxItem>
+        ))}
+        <DropdownMenuSeparator />
+        <DropdownMenuLabel>Download as</DropdownMenuLabel>
+        {formats.map((format) => (
+          <DropdownMenuItem key={format.value} onClick={() => handleExport(format.value)}>
+            {format.label}
+          </DropdownMenuItem>
+        ))}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+};
+
+export default ExportMenu;
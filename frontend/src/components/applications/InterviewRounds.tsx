@@ -0,0 +1,511 @@
+import { useCallback, useEffect, useState } from "react";
+import { CalendarClock, Edit, ExternalLink, MapPin, Plus, Star, Trash2, Users, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { interviewsAPI, InterviewRoundInput } from "@/lib/api";
+import {
+  formatInTimeZone,
+  getLocalTimeZone,
+  getTimeZones,
+  InterviewRound,
+  isoToZonedInput,
+  ROUND_OUTCOMES,
+  ROUND_TYPES,
+  RoundOutcome,
+  RoundType,
+  SELF_RATING_MAX,
+  zonedInputToIso,
+} from "@/lib/interviews";
+import { toast } from "sonner";
+
+interface InterviewRoundsProps {
+  applicationId: string;
+}
+
+interface RoundForm {
+  name: string;
+  type: RoundType;
+  start: string;
+  end: string;
+  timezone: string;
+  location: string;
+  meetingUrl: string;
+  // One interviewer per line: "Name, Role"
+  interviewers: string;
+  rating: string;
+  assessment: string;
+  outcome: RoundOutcome;
+}
+
+const emptyForm = (): RoundForm => ({
+  name: "",
+  type: "phone-screen",
+  start: "",
+  end: "",
+  timezone: getLocalTimeZone(),
+  location: "",
+  meetingUrl: "",
+  interviewers: "",
+  rating: "",
+  assessment: "",
+  outcome: "pending",
+});
+
+const toForm = (round: InterviewRound): RoundForm => ({
+  name: round.name,
+  type: round.type,
+  start: isoToZonedInput(round.scheduledStart, round.timezone),
+  end: isoToZonedInput(round.scheduledEnd, round.timezone),
+  timezone: round.timezone,
+  location: round.location || "",
+  meetingUrl: round.meetingUrl || "",
+  interviewers: round.interviewers
+    .map(({ name, role }) => (role ? `${name}, ${role}` : name))
+    .join("\n"),
+  rating: round.selfAssessment?.rating ? String(round.selfAssessment.rating) : "",
+  assessment: round.selfAssessment?.notes || "",
+  outcome: round.outcome,
+});
+
+const parseInterviewers = (text: string) =>
+  text
+    .split("\n")
+    .map((line) => {
+      const [name, ...role] = line.split(",");
+      return { name: name.trim(), role: role.join(",").trim() };
+    })
+    .filter((interviewer) => interviewer.name);
+
+const selectClassName =
+  "w-full px-3 py-2 rounded-lg border border-border bg-background text-foreground text-sm";
+
+const getErrorMessage = (error: unknown, fallback: string) =>
+  (error as { response?: { data?: { message?: string } } })?.response?.data?.message || fallback;
+
+const typeLabel = (type: RoundType) => ROUND_TYPES.find((option) => option.value === type)?.label || type;
+
+/**
+ * Interview rounds of an application. Times are entered and shown in the
+ * round's time zone; the local time is shown too when it differs. Each
+ * scheduled round gets a reminder before it starts.
+ */
+const InterviewRounds = ({ applicationId }: InterviewRoundsProps) => {
+  const [rounds, setRounds] = useState<InterviewRound[]>([]);
+  const [loading, setLoading] = useState(true);
+  // null = form closed, "new" = creating, otherwise the ID of the round being edited
+  const [editing, setEditing] = useState<string | null>(null);
+  const [form, setForm] = useState<RoundForm>(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  const localTimeZone = getLocalTimeZone();
+
+  const loadRounds = useCallback(async () => {
+    try {
+      const response = await interviewsAPI.getAll(applicationId);
+      setRounds(response.data?.data?.rounds || []);
+    } catch (error) {
+      console.error("Failed to load interview rounds:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, [applicationId]);
+
+  useEffect(() => {
+    loadRounds();
+  }, [loadRounds]);
+
+  const openCreate = () => {
+    setForm({ ...emptyForm(), name: `Round ${rounds.length + 1}` });
+    setEditing("new");
+  };
+
+  const openEdit = (round: InterviewRound) => {
+    setForm(toForm(round));
+    setEditing(round._id);
+  };
+
+  const updateField = <K extends keyof RoundForm>(field: K, value: RoundForm[K]) =>
+    setForm((prev) => ({ ...prev, [field]: value }));
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!form.name.trim()) {
+      toast.error("Enter a round name");
+      return;
+    }
+
+    const timezone = form.timezone.trim() || localTimeZone;
+    let scheduledStart: string | null = null;
+    let scheduledEnd: string | null = null;
+    try {
+      scheduledStart = form.start ? zonedInputToIso(form.start, timezone) : null;
+      scheduledEnd = form.end ? zonedInputToIso(form.end, timezone) : null;
+    } catch {
+      toast.error("Unknown time zone");
+      return;
+    }
+    if (scheduledStart && scheduledEnd && scheduledEnd < scheduledStart) {
+      toast.error("End time cannot be before the start time");
+      return;
+    }
+
+    const payload: InterviewRoundInput & { name: string } = {
+      name: form.name.trim(),
+      type: form.type,
+      scheduledStart,
+      scheduledEnd,
+      timezone,
+      location: form.location.trim(),
+      meetingUrl: form.meetingUrl.trim(),
+      interviewers: parseInterviewers(form.interviewers),
+      selfAssessment: {
+        rating: form.rating ? Number(form.rating) : null,
+        notes: form.assessment.trim(),
+      },
+      outcome: form.outcome,
+    };
+
+    try {
+      setSaving(true);
+      if (editing === "new") {
+        await interviewsAPI.create(applicationId, payload);
+        toast.success(scheduledStart ? "Round added - you'll get a reminder before it" : "Round added");
+      } else if (editing) {
+        await interviewsAPI.update(applicationId, editing, payload);
+        toast.success("Round updated");
+      }
+      setEditing(null);
+      loadRounds();
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to save round"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleOutcome = async (round: InterviewRound, outcome: RoundOutcome) => {
+    try {
+      await interviewsAPI.update(applicationId, round._id, { outcome });
+      setRounds((prev) => prev.map((item) => (item._id === round._id ? { ...item, outcome } : item)));
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to update outcome"));
+    }
+  };
+
+  const handleDelete = async (round: InterviewRound) => {
+    if (!confirm(`Delete "${round.name}"? Its reminders are deleted too.`)) return;
+    try {
+      await interviewsAPI.delete(applicationId, round._id);
+      setRounds((prev) => prev.filter((item) => item._id !== round._id));
+      toast.success("Round deleted");
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to delete round"));
+    }
+  };
+
+  const renderForm = () => (
+    <form onSubmit={handleSave} className="grid gap-4 md:grid-cols-2 border border-border rounded-lg p-4">
+      <div className="space-y-2">
+        <Label htmlFor="roundName">Round</Label>
+        <Input
+          id="roundName"
+          value={form.name}
+          onChange={(e) => updateField("name", e.target.value)}
+          placeholder="Technical interview"
+          disabled={saving}
+          autoFocus
+        />
+      </div>
+      <div className="space-y-2">
+        <Label htmlFor="roundType">Type</Label>
+        <select
+          id="roundType"
+          value={form.type}
+          onChange={(e) => updateField("type", e.target.value as RoundType)}
+          className={selectClassName}
+          disabled={saving}
+        >
+          {ROUND_TYPES.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="space-y-2">
+        <Label htmlFor="roundStart">Starts</Label>
+        <Input
+          id="roundStart"
+          type="datetime-local"
+          value={form.start}
+          onChange={(e) => updateField("start", e.target.value)}
+          disabled={saving}
+        />
+      </div>
+      <div className="space-y-2">
+        <Label htmlFor="roundEnd">Ends</Label>
+        <Input
+          id="roundEnd"
+          type="datetime-local"
+          value={form.end}
+          onChange={(e) => updateField("end", e.target.value)}
+          disabled={saving}
+        />
+      </div>
+      <div className="space-y-2">
+        <Label htmlFor="roundTimezone">Time Zone</Label>
+        <Input
+          id="roundTimezone"
+          list="roundTimezones"
+          value={form.timezone}
+          onChange={(e) => updateField("timezone", e.target.value)}
+          placeholder={localTimeZone}
+          disabled={saving}
+        />
+        <datalist id="roundTimezones">
+          {getTimeZones().map((zone) => (
+            <option key={zone} value={zone} />
+          ))}
+        </datalist>
+      </div>
+      <div className="space-y-2">
+        <Label htmlFor="roundOutcome">Outcome</Label>
+        <select
+          id="roundOutcome"
+          value={form.outcome}
+          onChange={(e) => updateField("outcome", e.target.value as RoundOutcome)}
+          className={selectClassName}
+          disabled={saving}
+        >
+          {ROUND_OUTCOMES.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="space-y-2">
+        <Label htmlFor="roundLocation">Location</Label>
+        <Input
+          id="roundLocation"
+          value={form.location}
+          onChange={(e) => updateField("location", e.target.value)}
+          placeholder="Office address or room"
+          disabled={saving}
+        />
+      </div>
+      <div className="space-y-2">
+        <Label htmlFor="roundMeetingUrl">Video Link</Label>
+        <Input
+          id="roundMeetingUrl"
+          value={form.meetingUrl}
+          onChange={(e) => updateField("meetingUrl", e.target.value)}
+          placeholder="https://meet.example.com/..."
+          disabled={saving}
+        />
+      </div>
+      <div className="space-y-2 md:col-span-2">
+        <Label htmlFor="roundInterviewers">Interviewers</Label>
+        <Textarea
+          id="roundInterviewers"
+          value={form.interviewers}
+          onChange={(e) => updateField("interviewers", e.target.value)}
+          placeholder={"One per line: Name, Role\nJane Doe, Engineering Manager"}
+          rows={3}
+          disabled={saving}
+        />
+      </div>
+      <div className="space-y-2">
+        <Label htmlFor="roundRating">How It Went</Label>
+        <select
+          id="roundRating"
+          value={form.rating}
+          onChange={(e) => updateField("rating", e.target.value)}
+          className={selectClassName}
+          disabled={saving}
+        >
+          <option value="">Not rated</option>
+          {Array.from({ length: SELF_RATING_MAX }, (_, index) => index + 1).map((rating) => (
+            <option key={rating} value={rating}>
+              {rating} / {SELF_RATING_MAX}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="space-y-2 md:col-span-2">
+        <Label htmlFor="roundAssessment">Self-Assessment</Label>
+        <Textarea
+          id="roundAssessment"
+          value={form.assessment}
+          onChange={(e) => updateField("assessment", e.target.value)}
+          placeholder="What went well, what to improve..."
+          rows={3}
+          disabled={saving}
+        />
+      </div>
+      <div className="md:col-span-2 flex justify-end gap-2">
+        <Button type="button" variant="outline" onClick={() => setEditing(null)} disabled={saving}>
+          Cancel
+        </Button>
+        <Button type="submit" disabled={saving}>
+          {saving ? "Saving..." : editing === "new" ? "Add Round" : "Save Round"}
+        </Button>
+      </div>
+    </form>
+  );
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="flex items-center gap-2">
+          <CalendarClock className="w-5 h-5" />
+          Interview Rounds
+        </CardTitle>
+        {editing ? (
+          <Button variant="ghost" size="sm" onClick={() => setEditing(null)} disabled={saving}>
+            <X className="w-4 h-4" />
+          </Button>
+        ) : (
+          <Button variant="outline" size="sm" onClick={openCreate}>
+            <Plus className="w-4 h-4 mr-2" />
+            Add Round
+          </Button>
+        )}
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {editing === "new" && renderForm()}
+
+        {loading ? (
+          <p className="text-sm text-muted-foreground">Loading rounds...</p>
+        ) : rounds.length === 0 ? (
+          editing !== "new" && (
+            <p className="text-sm text-muted-foreground">
+              No interview rounds yet. Add one when an interview is scheduled to get a reminder before it.
+            </p>
+          )
+        ) : (
+          <div className="space-y-3">
+            {rounds.map((round) =>
+              editing === round._id ? (
+                <div key={round._id}>{renderForm()}</div>
+              ) : (
+                <div key={round._id} className="border border-border rounded-lg p-4 space-y-2">
+                  <div className="flex flex-wrap items-start justify-between gap-2">
+                    <div>
+                      <p className="font-medium text-foreground">{round.name}</p>
+                      <p className="text-xs text-muted-foreground">{typeLabel(round.type)}</p>
+                    </div>
+                    <div className="flex items-center gap-1">
+                      <select
+                        value={round.outcome}
+                        onChange={(e) => handleOutcome(round, e.target.value as RoundOutcome)}
+                        className={`px-2 py-1 text-xs font-medium rounded-full border-0 ${
+                          ROUND_OUTCOMES.find((option) => option.value === round.outcome)?.className || ""
+                        }`}
+                        aria-label="Outcome"
+                      >
+                        {ROUND_OUTCOMES.map((option) => (
+                          <option key={option.value} value={option.value}>
+                            {option.label}
+                          </option>
+                        ))}
+                      </select>
+                      <Button variant="ghost" size="sm" onClick={() => openEdit(round)} title="Edit round">
+                        <Edit className="w-4 h-4" />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => handleDelete(round)}
+                        className="text-red-500 hover:text-red-600"
+                        title="Delete round"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </Button>
+                    </div>
+                  </div>
+
+                  <div className="text-sm text-muted-foreground space-y-1">
+                    <p className="flex items-center gap-2">
+                      <CalendarClock className="w-4 h-4 flex-shrink-0" />
+                      {round.scheduledStart ? (
+                        <span>
+                          {formatInTimeZone(round.scheduledStart, round.timezone)}
+                          {round.scheduledEnd &&
+                            ` - ${new Date(round.scheduledEnd).toLocaleTimeString("en-US", {
+                              hour: "numeric",
+                              minute: "2-digit",
+                              timeZone: round.timezone,
+                            })}`}
+                          {round.timezone !== localTimeZone && (
+                            <span className="block text-xs">
+                              Your time: {formatInTimeZone(round.scheduledStart, localTimeZone)}
+                            </span>
+                          )}
+                        </span>
+                      ) : (
+                        "Not scheduled yet"
+                      )}
+                    </p>
+                    {round.location && (
+                      <p className="flex items-center gap-2">
+                        <MapPin className="w-4 h-4 flex-shrink-0" />
+                        {round.location}
+                      </p>
+                    )}
+                    {round.meetingUrl && (
+                      <a
+                        href={round.meetingUrl}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="flex items-center gap-2 text-primary hover:underline"
+                      >
+                        <ExternalLink className="w-4 h-4 flex-shrink-0" />
+                        Join video call
+                      </a>
+                    )}
+                    {round.interviewers.length > 0 && (
+                      <p className="flex items-center gap-2">
+                        <Users className="w-4 h-4 flex-shrink-0" />
+                        {round.interviewers
+                          .map(({ name, role }) => (role ? `${name} (${role})` : name))
+                          .join(", ")}
+                      </p>
+                    )}
+                  </div>
+
+                  {(round.selfAssessment?.rating || round.selfAssessment?.notes) && (
+                    <div className="pt-2 border-t border-border">
+                      {round.selfAssessment.rating && (
+                        <div className="flex items-center gap-0.5 mb-1" title={`${round.selfAssessment.rating} / ${SELF_RATING_MAX}`}>
+                          {Array.from({ length: SELF_RATING_MAX }, (_, index) => (
+                            <Star
+                              key={index}
+                              className={`w-4 h-4 ${
+                                index < (round.selfAssessment.rating || 0)
+                                  ? "fill-amber-400 text-amber-400"
+                                  : "text-muted-foreground"
+                              }`}
+                            />
+                          ))}
+                        </div>
+                      )}
+                      {round.selfAssessment.notes && (
+                        <p className="text-sm text-foreground whitespace-pre-wrap">{round.selfAssessment.notes}</p>
+                      )}
+                    </div>
+                  )}
+                </div>
+              )
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default InterviewRounds;
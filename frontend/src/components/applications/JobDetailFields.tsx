@@ -0,0 +1,160 @@
+import { Input } from "@/components/ui/input";
+import {
+  EMPLOYMENT_TYPES,
+  EmploymentType,
+  JobDetailsFormValues,
+  MAX_LOCATIONS,
+  MAX_SKILLS,
+  MAX_YEARS_OF_EXPERIENCE,
+  REMOTE_POLICIES,
+  RemotePolicy,
+  SENIORITY_LEVELS,
+  SeniorityLevel,
+  VISA_SPONSORSHIP_OPTIONS,
+} from "@/lib/jobDetails";
+
+interface JobDetailFieldsProps {
+  value: JobDetailsFormValues;
+  onChange: (value: JobDetailsFormValues) => void;
+}
+
+const selectClassName =
+  "w-full px-3 py-2 rounded-lg border border-border bg-background text-foreground text-sm";
+
+/**
+ * Location, remote policy, employment type, seniority, visa and requirement inputs (create and edit forms)
+ */
+const JobDetailFields = ({ value, onChange }: JobDetailFieldsProps) => {
+  const update = (changes: Partial<JobDetailsFormValues>) => onChange({ ...value, ...changes });
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label htmlFor="job-locations" className="block text-sm font-medium mb-2">
+          Locations
+        </label>
+        <Input
+          id="job-locations"
+          value={value.locations}
+          onChange={(e) => update({ locations: e.target.value })}
+          placeholder="Semicolon-separated, e.g. Berlin; Remote - EU"
+        />
+        <p className="text-xs text-muted-foreground mt-1">Up to {MAX_LOCATIONS} locations</p>
+      </div>
+      <div className="grid grid-cols-2 gap-2">
+        <div>
+          <label htmlFor="job-remote-policy" className="block text-sm font-medium mb-2">
+            Remote Policy
+          </label>
+          <select
+            id="job-remote-policy"
+            value={value.remotePolicy}
+            onChange={(e) => update({ remotePolicy: e.target.value as RemotePolicy | "" })}
+            className={selectClassName}
+          >
+            <option value="">Not set</option>
+            {REMOTE_POLICIES.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="job-employment-type" className="block text-sm font-medium mb-2">
+            Employment Type
+          </label>
+          <select
+            id="job-employment-type"
+            value={value.employmentType}
+            onChange={(e) => update({ employmentType: e.target.value as EmploymentType | "" })}
+            className={selectClassName}
+          >
+            <option value="">Not set</option>
+            {EMPLOYMENT_TYPES.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="job-seniority" className="block text-sm font-medium mb-2">
+            Seniority
+          </label>
+          <select
+            id="job-seniority"
+            value={value.seniority}
+            onChange={(e) => update({ seniority: e.target.value as SeniorityLevel | "" })}
+            className={selectClassName}
+          >
+            <option value="">Not set</option>
+            {SENIORITY_LEVELS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="job-visa" className="block text-sm font-medium mb-2">
+            Visa Sponsorship
+          </label>
+          <select
+            id="job-visa"
+            value={value.visaSponsorship}
+            onChange={(e) => update({ visaSponsorship: e.target.value as JobDetailsFormValues["visaSponsorship"] })}
+            className={selectClassName}
+          >
+            <option value="">Not known</option>
+            {VISA_SPONSORSHIP_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <div>
+        <label htmlFor="job-required-skills" className="block text-sm font-medium mb-2">
+          Required Skills
+        </label>
+        <Input
+          id="job-required-skills"
+          value={value.requiredSkills}
+          onChange={(e) => update({ requiredSkills: e.target.value })}
+          placeholder="Comma-separated, e.g. React, Node.js"
+        />
+      </div>
+      <div>
+        <label htmlFor="job-nice-to-have-skills" className="block text-sm font-medium mb-2">
+          Nice-to-have Skills
+        </label>
+        <Input
+          id="job-nice-to-have-skills"
+          value={value.niceToHaveSkills}
+          onChange={(e) => update({ niceToHaveSkills: e.target.value })}
+          placeholder="Comma-separated"
+        />
+        <p className="text-xs text-muted-foreground mt-1">Up to {MAX_SKILLS} skills each</p>
+      </div>
+      <div>
+        <label htmlFor="job-years-of-experience" className="block text-sm font-medium mb-2">
+          Years of Experience
+        </label>
+        <Input
+          id="job-years-of-experience"
+          type="number"
+          min={0}
+          max={MAX_YEARS_OF_EXPERIENCE}
+          step={1}
+          value={value.yearsOfExperience}
+          onChange={(e) => update({ yearsOfExperience: e.target.value })}
+          placeholder="Minimum asked for"
+        />
+      </div>
+    </div>
+  );
+};
+
+export default JobDetailFields;
@@ -0,0 +1,111 @@
+import { useState } from "react";
+import { AlertTriangle, Wand2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import { applicationsAPI } from "@/lib/api";
+import { POSTING_HTML_MAX_LENGTH, ParsedPosting } from "@/lib/postings";
+import { toast } from "sonner";
+
+interface PostingImportProps {
+  // Posting URL already typed into the form
+  jobLink: string;
+  onImport: (posting: ParsedPosting) => void;
+}
+
+/**
+ * Reads a job posting from its URL (or pasted page HTML) to fill the create form
+ */
+const PostingImport = ({ jobLink, onImport }: PostingImportProps) => {
+  const [url, setUrl] = useState("");
+  const [html, setHtml] = useState("");
+  const [pasteHtml, setPasteHtml] = useState(false);
+  const [reading, setReading] = useState(false);
+  const [warnings, setWarnings] = useState<string[]>([]);
+
+  // The form's job link is used until the user types another URL here
+  const postingUrl = url.trim() || jobLink.trim();
+
+  const handleRead = async () => {
+    if (pasteHtml ? !html.trim() : !postingUrl) {
+      toast.error(pasteHtml ? "Paste the posting page HTML" : "Enter the job posting URL");
+      return;
+    }
+
+    try {
+      setReading(true);
+      const response = await applicationsAPI.parsePosting(
+        pasteHtml ? { html, ...(postingUrl ? { url: postingUrl } : {}) } : { url: postingUrl }
+      );
+      const posting: ParsedPosting = response.data?.data;
+      setWarnings(posting.warnings);
+      onImport(posting);
+    } catch (error) {
+      console.error("Failed to read job posting:", error);
+      toast.error(
+        (error as { response?: { data?: { message?: string } } })?.response?.data?.message ||
+          "Failed to read job posting"
+      );
+    } finally {
+      setReading(false);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-muted-foreground">
+        Fill the form from the posting page. Only empty fields are filled; review them before saving.
+      </p>
+      <div className="flex flex-col sm:flex-row gap-2">
+        <Input
+          type="url"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+          placeholder={jobLink.trim() || "https://boards.greenhouse.io/..."}
+          maxLength={500}
+          aria-label="Job posting URL to read"
+        />
+        <Button type="button" variant="outline" onClick={handleRead} disabled={reading}>
+          <Wand2 className="w-4 h-4 mr-2" />
+          {reading ? "Reading..." : "Fill from Posting"}
+        </Button>
+      </div>
+
+      <button
+        type="button"
+        className="text-xs text-primary hover:underline"
+        onClick={() => setPasteHtml((prev) => !prev)}
+      >
+        {pasteHtml ? "Fetch the URL instead" : "Page needs a login? Paste its HTML instead"}
+      </button>
+      {pasteHtml && (
+        <div>
+          <Textarea
+            value={html}
+            onChange={(e) => setHtml(e.target.value)}
+            placeholder="Open the posting, view the page source (Ctrl+U) and paste it here..."
+            rows={5}
+            maxLength={POSTING_HTML_MAX_LENGTH}
+            className="font-mono text-xs"
+          />
+          <p className="text-xs text-muted-foreground mt-1">
+            The URL above (if any) is kept as the job link and helps recognise the job board.
+          </p>
+        </div>
+      )}
+
+      {warnings.length > 0 && (
+        <ul className="space-y-1">
+          {warnings.map((warning) => (
+            <li key={warning} className="flex items-start gap-2 text-sm text-amber-600">
+              <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+              {warning}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default PostingImport;
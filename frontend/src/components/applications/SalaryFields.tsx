@@ -0,0 +1,101 @@
+import { Input } from "@/components/ui/input";
+import { COMMON_CURRENCIES } from "@/lib/offers";
+import { SALARY_PERIODS, SalaryFormValues, SalaryPeriod } from "@/lib/salary";
+
+interface SalaryFieldsProps {
+  value: SalaryFormValues;
+  onChange: (value: SalaryFormValues) => void;
+}
+
+const selectClassName =
+  "w-full px-3 py-2 rounded-lg border border-border bg-background text-foreground text-sm";
+
+/**
+ * Posted salary range and expected salary inputs (create and edit forms)
+ */
+const SalaryFields = ({ value, onChange }: SalaryFieldsProps) => {
+  const update = (changes: Partial<SalaryFormValues>) => onChange({ ...value, ...changes });
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium mb-2">Posted Range</label>
+        <div className="flex items-center gap-2">
+          <Input
+            type="number"
+            min={0}
+            step="any"
+            placeholder="Min"
+            value={value.min}
+            onChange={(e) => update({ min: e.target.value })}
+            aria-label="Minimum salary"
+          />
+          <span className="text-muted-foreground">–</span>
+          <Input
+            type="number"
+            min={0}
+            step="any"
+            placeholder="Max"
+            value={value.max}
+            onChange={(e) => update({ max: e.target.value })}
+            aria-label="Maximum salary"
+          />
+        </div>
+      </div>
+      <div className="grid grid-cols-2 gap-2">
+        <div>
+          <label htmlFor="salary-currency" className="block text-sm font-medium mb-2">
+            Currency
+          </label>
+          <select
+            id="salary-currency"
+            value={value.currency}
+            onChange={(e) => update({ currency: e.target.value })}
+            className={selectClassName}
+          >
+            {/* Keep a stored currency selectable even if it is not a common one */}
+            {[...new Set([...COMMON_CURRENCIES, value.currency])].map((currency) => (
+              <option key={currency} value={currency}>
+                {currency}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="salary-period" className="block text-sm font-medium mb-2">
+            Period
+          </label>
+          <select
+            id="salary-period"
+            value={value.period}
+            onChange={(e) => update({ period: e.target.value as SalaryPeriod })}
+            className={selectClassName}
+          >
+            {SALARY_PERIODS.map((period) => (
+              <option key={period.value} value={period.value}>
+                {period.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <div>
+        <label htmlFor="salary-expected" className="block text-sm font-medium mb-2">
+          Expected Salary
+        </label>
+        <Input
+          id="salary-expected"
+          type="number"
+          min={0}
+          step="any"
+          placeholder="What you asked for"
+          value={value.expected}
+          onChange={(e) => update({ expected: e.target.value })}
+        />
+        <p className="text-xs text-muted-foreground mt-1">Same currency and period as the range</p>
+      </div>
+    </div>
+  );
+};
+
+export default SalaryFields;
@@ -0,0 +1,174 @@
+import { useState } from "react";
+import { Bookmark, Check, Save, Trash2, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { viewsAPI } from "@/lib/api";
+import {
+  SavedView,
+  SavedViewSettings,
+  isSameViewSettings,
+  notifySavedViewsChanged,
+} from "@/lib/savedViews";
+import { toast } from "sonner";
+
+interface SavedViewsBarProps {
+  views: SavedView[];
+  activeView: SavedView | null;
+  settings: SavedViewSettings;
+  onSelect: (view: SavedView | null) => void;
+}
+
+const getErrorMessage = (error: unknown, fallback: string) =>
+  (error as { response?: { data?: { message?: string } } })?.response?.data?.message || fallback;
+
+/**
+ * Saved view chips with live counts, plus saving the current filters,
+ * sort and columns as a new view or into the active one.
+ */
+const SavedViewsBar = ({ views, activeView, settings, onSelect }: SavedViewsBarProps) => {
+  const [naming, setNaming] = useState(false);
+  const [name, setName] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const isModified = !!activeView && !isSameViewSettings(activeView, settings);
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!name.trim()) {
+      toast.error("View name is required");
+      return;
+    }
+    try {
+      setSaving(true);
+      const response = await viewsAPI.create({ name: name.trim(), ...settings });
+      const view = response.data?.data?.view;
+      toast.success("View saved");
+      setNaming(false);
+      setName("");
+      notifySavedViewsChanged();
+      if (view) onSelect(view);
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to save view"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUpdate = async () => {
+    if (!activeView) return;
+    try {
+      setSaving(true);
+      await viewsAPI.update(activeView._id, settings);
+      toast.success(`"${activeView.name}" updated`);
+      notifySavedViewsChanged();
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to update view"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!activeView) return;
+    if (!confirm(`Delete the saved view "${activeView.name}"?`)) return;
+    try {
+      setSaving(true);
+      await viewsAPI.delete(activeView._id);
+      toast.success("View deleted");
+      notifySavedViewsChanged();
+      onSelect(null);
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to delete view"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const chipClassName = (selected: boolean) =>
+    `flex items-center gap-2 px-3 py-1 text-xs font-medium rounded-full border transition-colors ${
+      selected
+        ? "border-primary bg-primary/10 text-foreground"
+        : "border-border text-muted-foreground hover:text-foreground"
+    }`;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 pt-4">
+      <button
+        type="button"
+        onClick={() => onSelect(null)}
+        aria-pressed={!activeView}
+        className={chipClassName(!activeView)}
+      >
+        All Applications
+      </button>
+      {views.map((view) => (
+        <button
+          key={view._id}
+          type="button"
+          onClick={() => onSelect(view)}
+          aria-pressed={activeView?._id === view._id}
+          className={chipClassName(activeView?._id === view._id)}
+        >
+          <Bookmark className="w-3 h-3" />
+          {view.name}
+          <span className="px-1.5 rounded-full bg-muted text-muted-foreground">{view.count}</span>
+        </button>
+      ))}
+
+      <div className="flex items-center gap-1 ml-auto">
+        {naming ? (
+          <form onSubmit={handleCreate} className="flex items-center gap-1">
+            <Input
+              autoFocus
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="e.g. Applied > 14 days, no response"
+              className="h-8 w-64"
+              maxLength={100}
+              disabled={saving}
+              aria-label="View name"
+            />
+            <Button type="submit" variant="ghost" size="icon" disabled={saving} aria-label="Save view">
+              <Check className="w-4 h-4" />
+            </Button>
+            <Button
+              type="button"
+              variant="ghost"
+              size="icon"
+              onClick={() => setNaming(false)}
+              aria-label="Cancel"
+            >
+              <X className="w-4 h-4" />
+            </Button>
+          </form>
+        ) : (
+          <>
+            {isModified && (
+              <Button variant="ghost" size="sm" onClick={handleUpdate} disabled={saving}>
+                Update View
+              </Button>
+            )}
+            {activeView && (
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={handleDelete}
+                disabled={saving}
+                className="text-destructive hover:text-destructive"
+                aria-label="Delete view"
+              >
+                <Trash2 className="w-4 h-4" />
+              </Button>
+            )}
+            <Button variant="outline" size="sm" onClick={() => setNaming(true)}>
+              <Save className="w-4 h-4 mr-2" />
+              Save View
+            </Button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SavedViewsBar;
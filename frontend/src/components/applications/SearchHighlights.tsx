@@ -0,0 +1,56 @@
+export interface SearchHighlight {
+  field: string;
+  snippet: string;
+  matches: Array<{ start: number; end: number }>;
+}
+
+interface SearchHighlightsProps {
+  highlights?: SearchHighlight[];
+}
+
+const fieldLabels: Record<string, string> = {
+  company: "Company",
+  jobTitle: "Title",
+  jobDescription: "Description",
+  notes: "Notes",
+  source: "Source",
+};
+
+// Split a snippet into plain and matched parts using the offsets from the API
+export const HighlightedText = ({ highlight }: { highlight: SearchHighlight }) => {
+  const { snippet, matches } = highlight;
+  const parts: React.ReactNode[] = [];
+  let cursor = 0;
+  matches.forEach((match, index) => {
+    if (match.start > cursor) parts.push(snippet.slice(cursor, match.start));
+    parts.push(
+      <mark key={index} className="bg-primary/20 text-foreground rounded px-0.5">
+        {snippet.slice(match.start, match.end)}
+      </mark>
+    );
+    cursor = match.end;
+  });
+  if (cursor < snippet.length) parts.push(snippet.slice(cursor));
+  return <>{parts}</>;
+};
+
+const SearchHighlights = ({ highlights }: SearchHighlightsProps) => {
+  // Company and title are already visible on the row - only show other fields
+  const extra = (highlights || []).filter(
+    (highlight) => highlight.field !== "company" && highlight.field !== "jobTitle"
+  );
+  if (extra.length === 0) return null;
+
+  return (
+    <div className="mt-2 space-y-1">
+      {extra.map((highlight) => (
+        <p key={highlight.field} className="text-xs text-muted-foreground line-clamp-2">
+          <span className="font-medium text-foreground/80">{fieldLabels[highlight.field] || highlight.field}: </span>
+          <HighlightedText highlight={highlight} />
+        </p>
+      ))}
+    </div>
+  );
+};
+
+export default SearchHighlights;
@@ -0,0 +1,116 @@
+import { motion } from "framer-motion";
+import { History } from "lucide-react";
+import { format } from "date-fns";
+import {
+  PipelineStage,
+  StageCategory,
+  categoryBadgeClasses,
+  categoryDotClasses,
+  getStageCategory,
+  getStageLabel,
+} from "@/lib/pipeline";
+
+export interface StatusHistoryEntry {
+  _id: string;
+  fromStatus: string | null;
+  toStatus: string;
+  fromCategory?: StageCategory | null;
+  toCategory?: StageCategory | null;
+  changedAt: string;
+  note?: string;
+  changedBy?: {
+    _id: string;
+    firstName?: string;
+    lastName?: string;
+    email?: string;
+  };
+}
+
+interface StatusTimelineProps {
+  entries: StatusHistoryEntry[];
+  stages: PipelineStage[];
+}
+
+const StatusTimeline = ({ entries, stages }: StatusTimelineProps) => {
+  if (entries.length === 0) {
+    return (
+      <div className="text-center py-6">
+        <History className="w-8 h-8 mx-auto text-muted-foreground mb-2 opacity-50" />
+        <p className="text-sm text-muted-foreground">No status changes recorded yet</p>
+      </div>
+    );
+  }
+
+  const getLabel = (status: string) => getStageLabel(stages, status);
+
+  // Prefer the category recorded with the change - the stage may since have been deleted
+  const getCategory = (status: string, recorded?: StageCategory | null) =>
+    recorded || getStageCategory(stages, status);
+  const getBadgeClass = (status: string, recorded?: StageCategory | null) => {
+    const category = getCategory(status, recorded);
+    return category ? categoryBadgeClasses[category] : "badge-applied";
+  };
+
+  const getChangedByName = (entry: StatusHistoryEntry) => {
+    const person = entry.changedBy;
+    if (!person) return null;
+    const name = [person.firstName, person.lastName].filter(Boolean).join(" ");
+    return name || person.email || null;
+  };
+
+  return (
+    <ol className="relative border-l border-border ml-2 space-y-6">
+      {entries.map((entry, index) => {
+        const changedBy = getChangedByName(entry);
+        return (
+          <motion.li
+            key={entry._id}
+            initial={{ opacity: 0, x: -10 }}
+            animate={{ opacity: 1, x: 0 }}
+            transition={{ delay: index * 0.05 }}
+            className="ml-4"
+          >
+            <span
+              className={`absolute -left-[5px] mt-1.5 w-2.5 h-2.5 rounded-full ${
+                categoryDotClasses[getCategory(entry.toStatus, entry.toCategory) as StageCategory] ||
+                "bg-primary"
+              }`}
+            />
+            <div className="flex flex-wrap items-center gap-2">
+              {entry.fromStatus ? (
+                <>
+                  <span
+                    className={`px-2 py-0.5 text-xs font-medium rounded-full ${
+                      getBadgeClass(entry.fromStatus, entry.fromCategory)
+                    }`}
+                  >
+                    {getLabel(entry.fromStatus)}
+                  </span>
+                  <span className="text-xs text-muted-foreground">→</span>
+                </>
+              ) : (
+                <span className="text-xs text-muted-foreground">Created as</span>
+              )}
+              <span
+                className={`px-2 py-0.5 text-xs font-medium rounded-full ${
+                  getBadgeClass(entry.toStatus, entry.toCategory)
+                }`}
+              >
+                {getLabel(entry.toStatus)}
+              </span>
+            </div>
+            <p className="text-xs text-muted-foreground mt-1">
+              {format(new Date(entry.changedAt), "PPP 'at' p")}
+              {changedBy && ` · ${changedBy}`}
+            </p>
+            {entry.note && (
+              <p className="text-sm text-foreground mt-1 whitespace-pre-wrap">{entry.note}</p>
+            )}
+          </motion.li>
+        );
+      })}
+    </ol>
+  );
+};
+
+export default StatusTimeline;
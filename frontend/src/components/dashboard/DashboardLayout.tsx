@@ -4,20 +4,25 @@ import { motion, AnimatePresence } from "framer-motion";
 import {
   LayoutDashboard,
   Briefcase,
+  Building2,
   Brain,
   BarChart3,
   Bell,
   FileText,
+  FileUser,
   Settings,
   LogOut,
   ChevronLeft,
   ChevronRight,
   Sparkles,
   User,
+  Users,
+  HandCoins,
   Search,
   Menu,
   Clock,
   Calendar,
+  Bookmark,
 } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
@@ -32,6 +37,7 @@ import {
 import { cn } from "@/lib/utils";
 import { useAuth } from "@/contexts/AuthContext";
 import { remindersAPI } from "@/lib/api";
+import { useSavedViews } from "@/hooks/use-saved-views";
 import { format, formatDistanceToNow } from "date-fns";
 import { ThemeToggle } from "@/components/ThemeToggle";
 
@@ -42,9 +48,13 @@ interface DashboardLayoutProps {
 const menuItems = [
   { name: "Overview", icon: LayoutDashboard, path: "/dashboard" },
   { name: "Applications", icon: Briefcase, path: "/dashboard/applications" },
+  { name: "Companies", icon: Building2, path: "/dashboard/companies" },
+  { name: "Contacts", icon: Users, path: "/dashboard/contacts" },
+  { name: "Offers", icon: HandCoins, path: "/dashboard/offers" },
   { name: "AI Tools", icon: Brain, path: "/dashboard/ai-tools" },
   { name: "Analytics", icon: BarChart3, path: "/dashboard/analytics" },
   { name: "Reminders", icon: Bell, path: "/dashboard/reminders" },
+  { name: "Resumes", icon: FileUser, path: "/dashboard/resumes" },
   { name: "Documents", icon: FileText, path: "/dashboard/documents" },
 ];
 
@@ -78,6 +88,7 @@ const DashboardLayout = ({ children }: DashboardLayoutProps) => {
   const location = useLocation();
   const { user, logout } = useAuth();
   const navigate = useNavigate();
+  const { views: savedViews } = useSavedViews();
 
   const isActive = (path: string) => {
     if (path === "/dashboard") {
@@ -86,6 +97,10 @@ const DashboardLayout = ({ children }: DashboardLayoutProps) => {
     return location.pathname.startsWith(path);
   };
 
+  const activeViewId = new URLSearchParams(location.search).get("view");
+  const isViewActive = (viewId: string) =>
+    location.pathname === "/dashboard/applications" && activeViewId === viewId;
+
   const handleLogout = async () => {
     await logout();
     // Navigation is handled in the logout function, no need to navigate here
@@ -226,6 +241,29 @@ const DashboardLayout = ({ children }: DashboardLayoutProps) => {
               </AnimatePresence>
             </Link>
           ))}
+
+          {/* Saved Views */}
+          {!isCollapsed && savedViews.length > 0 && (
+            <div className="pt-4 space-y-1">
+              <p className="px-4 pb-1 text-xs font-medium uppercase tracking-wider text-sidebar-foreground/50">
+                Saved Views
+              </p>
+              {savedViews.map((view) => (
+                <Link
+                  key={view._id}
+                  to={`/dashboard/applications?view=${view._id}`}
+                  className={cn(
+                    "sidebar-item py-2 text-sm",
+                    isViewActive(view._id) && "active"
+                  )}
+                >
+                  <Bookmark className="w-4 h-4 flex-shrink-0" />
+                  <span className="flex-1 truncate">{view.name}</span>
+                  <span className="text-xs opacity-70">{view.count}</span>
+                </Link>
+              ))}
+            </div>
+          )}
         </nav>
 
         {/* Bottom Menu */}
@@ -351,7 +389,7 @@ const DashboardLayout = ({ children }: DashboardLayoutProps) => {
               </div>
 
               {/* Mobile Menu Items */}
-              <nav className="flex-1 py-6 px-3 space-y-2">
+              <nav className="flex-1 py-6 px-3 space-y-2 overflow-y-auto">
                 {menuItems.map((item) => (
                   <Link
                     key={item.name}
@@ -366,6 +404,29 @@ const DashboardLayout = ({ children }: DashboardLayoutProps) => {
                     <span>{item.name}</span>
                   </Link>
                 ))}
+
+                {savedViews.length > 0 && (
+                  <div className="pt-4 space-y-1">
+                    <p className="px-4 pb-1 text-xs font-medium uppercase tracking-wider text-sidebar-foreground/50">
+                      Saved Views
+                    </p>
+                    {savedViews.map((view) => (
+                      <Link
+                        key={view._id}
+                        to={`/dashboard/applications?view=${view._id}`}
+                        onClick={() => setIsMobileMenuOpen(false)}
+                        className={cn(
+                          "sidebar-item py-2 text-sm",
+                          isViewActive(view._id) && "active"
+                        )}
+                      >
+                        <Bookmark className="w-4 h-4" />
+                        <span className="flex-1 truncate">{view.name}</span>
+                        <span className="text-xs opacity-70">{view.count}</span>
+                      </Link>
+                    ))}
+                  </div>
+                )}
               </nav>
 
               {/* Mobile Menu Bottom */}
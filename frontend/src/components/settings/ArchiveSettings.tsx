@@ -0,0 +1,113 @@
+import { useEffect, useState } from "react";
+import { Archive, Save } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { authAPI } from "@/lib/api";
+import { toast } from "sonner";
+
+const DEFAULT_DAYS = "30";
+const MAX_DAYS = 365;
+
+const getErrorMessage = (error: unknown, fallback: string) =>
+  (error as { response?: { data?: { message?: string } } })?.response?.data?.message || fallback;
+
+/**
+ * Auto-archive setting: rejected applications are archived a number of
+ * days after their last status change. Archived applications stay
+ * searchable with the "include archived" toggle.
+ */
+const ArchiveSettings = () => {
+  const [enabled, setEnabled] = useState(false);
+  const [days, setDays] = useState(DEFAULT_DAYS);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const response = await authAPI.getMe();
+        const value = response.data?.data?.user?.settings?.autoArchiveRejectedAfterDays;
+        if (value) {
+          setEnabled(true);
+          setDays(String(value));
+        }
+      } catch (error) {
+        console.error("Failed to load settings:", error);
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, []);
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const count = Number(days);
+    if (enabled && (!Number.isInteger(count) || count < 1 || count > MAX_DAYS)) {
+      toast.error(`Enter a number of days between 1 and ${MAX_DAYS}`);
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await authAPI.updateProfile({
+        settings: { autoArchiveRejectedAfterDays: enabled ? count : null },
+      });
+      toast.success(enabled ? "Auto-archive turned on" : "Auto-archive turned off");
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to save setting"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Archive className="w-5 h-5" />
+          Auto-Archive
+        </CardTitle>
+        <p className="text-sm text-muted-foreground">
+          Archived applications are hidden from your list, board and analytics unless you choose
+          to include them. Checked once a day.
+        </p>
+      </CardHeader>
+      <CardContent>
+        <form onSubmit={handleSave} className="flex flex-wrap items-center gap-4">
+          <div className="flex items-center gap-2">
+            <Checkbox
+              id="autoArchive"
+              checked={enabled}
+              onCheckedChange={(checked) => setEnabled(checked === true)}
+              disabled={loading || saving}
+            />
+            <Label htmlFor="autoArchive" className="font-normal">
+              Archive rejected applications after
+            </Label>
+            <Input
+              type="number"
+              min={1}
+              max={MAX_DAYS}
+              value={days}
+              onChange={(e) => setDays(e.target.value)}
+              disabled={!enabled || loading || saving}
+              className="w-20 h-9"
+              aria-label="Days before archiving"
+            />
+            <span className="text-sm text-muted-foreground">days</span>
+          </div>
+          <Button type="submit" variant="outline" disabled={loading || saving}>
+            <Save className="w-4 h-4 mr-2" />
+            {saving ? "Saving..." : "Save"}
+          </Button>
+        </form>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ArchiveSettings;
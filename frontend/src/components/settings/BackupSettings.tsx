@@ -0,0 +1,247 @@
+import { useRef, useState } from "react";
+import { Archive, Download, Upload } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Label } from "@/components/ui/label";
+import { accountAPI } from "@/lib/api";
+import { getBlobErrorMessage, saveDownload } from "@/lib/download";
+import { notifySavedViewsChanged } from "@/lib/savedViews";
+import { notifyTagsChanged } from "@/lib/tags";
+import { toast } from "sonner";
+
+type BackupFormat = "json" | "zip";
+type RestoreMode = "merge" | "replace";
+
+interface RestoreResult {
+  mode: RestoreMode;
+  restored: Record<
+    | "resumes"
+    | "applications"
+    | "contacts"
+    | "interviewRounds"
+    | "offers"
+    | "reminders"
+    | "statusHistory"
+    | "savedViews",
+    number
+  >;
+  skipped: Record<
+    "resumes" | "interviewRounds" | "offers" | "reminders" | "statusHistory" | "savedViews",
+    number
+  >;
+  stagesAdded: number;
+  tagsAdded: number;
+  companiesAdded: number;
+  profileRestored: boolean;
+}
+
+interface BackupSettingsProps {
+  onRestored?: () => void;
+}
+
+const getErrorMessage = (error: unknown, fallback: string) =>
+  (error as { response?: { data?: { message?: string } } })?.response?.data?.message || fallback;
+
+const selectClassName =
+  "px-3 py-2 rounded-lg border border-border bg-background text-foreground text-sm";
+
+const plural = (count: number, word: string, pluralWord = `${word}s`) =>
+  `${count} ${count === 1 ? word : pluralWord}`;
+
+/**
+ * Downloads a full backup of the account and restores one, into this
+ * account or another. Merge keeps existing data; replace removes it once
+ * the backup has been restored.
+ */
+const BackupSettings = ({ onRestored }: BackupSettingsProps) => {
+  const fileInputRef = useRef<HTMLInputElement>(null);
+  const [downloading, setDownloading] = useState<BackupFormat | null>(null);
+  const [file, setFile] = useState<File | null>(null);
+  const [mode, setMode] = useState<RestoreMode>("merge");
+  const [restoreProfile, setRestoreProfile] = useState(false);
+  const [restoring, setRestoring] = useState(false);
+  const [result, setResult] = useState<RestoreResult | null>(null);
+
+  const handleDownload = async (format: BackupFormat) => {
+    try {
+      setDownloading(format);
+      const response = await accountAPI.backup(format);
+      saveDownload(response, `joblytics-backup.${format}`);
+    } catch (error) {
+      toast.error(await getBlobErrorMessage(error, "Failed to create backup"));
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  const handleRestore = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!file) {
+      toast.error("Choose a backup file to restore");
+      return;
+    }
+    if (
+      mode === "replace" &&
+      !window.confirm(
+        "Replace all applications, reminders and saved views in this account with the backup? This cannot be undone."
+      )
+    ) {
+      return;
+    }
+
+    try {
+      setRestoring(true);
+      const formData = new FormData();
+      formData.append("file", file);
+      formData.append("mode", mode);
+      formData.append("restoreProfile", String(restoreProfile));
+
+      const response = await accountAPI.restore(formData);
+      const restored: RestoreResult | undefined = response.data?.data;
+      if (restored) setResult(restored);
+      toast.success(response.data?.message || "Backup restored");
+
+      setFile(null);
+      if (fileInputRef.current) fileInputRef.current.value = "";
+      notifySavedViewsChanged();
+      notifyTagsChanged();
+      onRestored?.();
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to restore backup"));
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const skippedTotal = result
+    ? (result.skipped.resumes ?? 0)
+      + (result.skipped.interviewRounds ?? 0)
+      + (result.skipped.offers ?? 0)
+      + result.skipped.reminders
+      + result.skipped.statusHistory
+      + result.skipped.savedViews
+    : 0;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Archive className="w-5 h-5" />
+          Backup & Restore
+        </CardTitle>
+        <p className="text-sm text-muted-foreground">
+          Download everything in your account - profile, stages, tags, resumes, applications with AI insights,
+          reminders, history and saved views - and restore it here or into another account. Uploaded
+          documents are not included; download them from the Documents page.
+        </p>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="flex flex-wrap gap-2">
+          <Button
+            type="button"
+            variant="outline"
+            onClick={() => handleDownload("json")}
+            disabled={downloading !== null}
+          >
+            <Download className="w-4 h-4 mr-2" />
+            {downloading === "json" ? "Preparing..." : "Download JSON"}
+          </Button>
+          <Button
+            type="button"
+            variant="outline"
+            onClick={() => handleDownload("zip")}
+            disabled={downloading !== null}
+          >
+            <Download className="w-4 h-4 mr-2" />
+            {downloading === "zip" ? "Preparing..." : "Download ZIP"}
+          </Button>
+        </div>
+
+        <form onSubmit={handleRestore} className="space-y-4 pt-4 border-t border-border">
+          <div className="space-y-2">
+            <Label htmlFor="backupFile">Restore from backup</Label>
+            <input
+              id="backupFile"
+              ref={fileInputRef}
+              type="file"
+              accept=".json,.zip"
+              onChange={(e) => {
+                setFile(e.target.files?.[0] || null);
+                setResult(null);
+              }}
+              className="block w-full text-sm text-muted-foreground file:mr-3 file:px-3 file:py-2 file:rounded-lg file:border-0 file:bg-muted file:text-foreground"
+              disabled={restoring}
+            />
+          </div>
+
+          <div className="flex flex-wrap items-center gap-4">
+            <select
+              value={mode}
+              onChange={(e) => setMode(e.target.value as RestoreMode)}
+              className={selectClassName}
+              disabled={restoring}
+              aria-label="Restore mode"
+            >
+              <option value="merge">Merge with existing data</option>
+              <option value="replace">Replace existing data</option>
+            </select>
+            <div className="flex items-center gap-2">
+              <Checkbox
+                id="restoreProfile"
+                checked={restoreProfile}
+                onCheckedChange={(checked) => setRestoreProfile(checked === true)}
+                disabled={restoring}
+              />
+              <Label htmlFor="restoreProfile" className="font-normal">
+                Also restore name and profile
+              </Label>
+            </div>
+          </div>
+
+          <Button type="submit" variant="outline" disabled={restoring || !file}>
+            <Upload className="w-4 h-4 mr-2" />
+            {restoring ? "Restoring..." : "Restore Backup"}
+          </Button>
+        </form>
+
+        {result && (
+          <div className="p-3 rounded-lg bg-muted/50 text-sm space-y-1">
+            <p className="text-foreground">
+              Restored {plural(result.restored.resumes ?? 0, "resume")},{" "}
+              {plural(result.restored.applications, "application")},{" "}
+              {plural(result.restored.contacts ?? 0, "contact")},{" "}
+              {plural(result.restored.interviewRounds ?? 0, "interview round")},{" "}
+              {plural(result.restored.offers ?? 0, "offer")},{" "}
+              {plural(result.restored.reminders, "reminder")},{" "}
+              {plural(result.restored.statusHistory, "history entry", "history entries")}{" "}
+              and {plural(result.restored.savedViews, "saved view")}.
+            </p>
+            {result.stagesAdded > 0 && (
+              <p className="text-muted-foreground">
+                {plural(result.stagesAdded, "stage")} added to your pipeline.
+              </p>
+            )}
+            {result.tagsAdded > 0 && (
+              <p className="text-muted-foreground">{plural(result.tagsAdded, "tag")} added.</p>
+            )}
+            {result.companiesAdded > 0 && (
+              <p className="text-muted-foreground">{plural(result.companiesAdded, "company")} added.</p>
+            )}
+            {skippedTotal > 0 && (
+              <p className="text-muted-foreground">
+                {plural(skippedTotal, "item")} skipped (missing applications, duplicate view
+                names or the saved view limit).
+              </p>
+            )}
+            {result.profileRestored && (
+              <p className="text-muted-foreground">Profile restored from the backup.</p>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default BackupSettings;
@@ -0,0 +1,254 @@
+import { useState } from "react";
+import type { AxiosResponse } from "axios";
+import { ArrowDown, ArrowUp, GitBranch, Plus, Trash2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { pipelineAPI } from "@/lib/api";
+import { usePipeline } from "@/hooks/use-pipeline";
+import {
+  PipelineStage,
+  STAGE_CATEGORIES,
+  StageCategory,
+  categoryDotClasses,
+  categoryLabels,
+} from "@/lib/pipeline";
+import { toast } from "sonner";
+
+const getErrorMessage = (error: unknown, fallback: string) =>
+  (error as { response?: { data?: { message?: string } } })?.response?.data?.message || fallback;
+
+const selectClassName =
+  "px-3 py-2 rounded-lg border border-border bg-background text-foreground text-sm";
+
+/**
+ * Lets the user rename, recategorize, reorder, add and delete the stages
+ * their applications move through. Each stage maps to a category, which
+ * drives colors, reminders and analytics.
+ */
+const PipelineSettings = () => {
+  const { stages, setStages, loading } = usePipeline();
+  const [saving, setSaving] = useState(false);
+  const [newStage, setNewStage] = useState<{ label: string; category: StageCategory }>({
+    label: "",
+    category: "interview",
+  });
+  const [deleting, setDeleting] = useState<{ key: string; reassignTo: string } | null>(null);
+
+  const applyResponse = (response: AxiosResponse) => {
+    const pipeline = response.data?.data?.pipeline;
+    if (pipeline?.stages) setStages(pipeline.stages);
+  };
+
+  const runUpdate = async (request: () => Promise<AxiosResponse>, successMessage: string) => {
+    try {
+      setSaving(true);
+      const response = await request();
+      applyResponse(response);
+      toast.success(successMessage);
+      return true;
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to update pipeline"));
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRename = (stage: PipelineStage, label: string) => {
+    const trimmed = label.trim();
+    if (!trimmed || trimmed === stage.label) return;
+    runUpdate(() => pipelineAPI.updateStage(stage.key, { label: trimmed }), "Stage renamed");
+  };
+
+  const handleCategoryChange = (stage: PipelineStage, category: StageCategory) => {
+    runUpdate(() => pipelineAPI.updateStage(stage.key, { category }), "Stage updated");
+  };
+
+  const handleMove = (index: number, direction: -1 | 1) => {
+    const reordered = [...stages];
+    const [moved] = reordered.splice(index, 1);
+    reordered.splice(index + direction, 0, moved);
+    runUpdate(() => pipelineAPI.replace(reordered), "Stages reordered");
+  };
+
+  const handleAdd = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!newStage.label.trim()) {
+      toast.error("Stage name is required");
+      return;
+    }
+    const added = await runUpdate(
+      () => pipelineAPI.addStage({ label: newStage.label.trim(), category: newStage.category }),
+      "Stage added"
+    );
+    if (added) setNewStage((prev) => ({ ...prev, label: "" }));
+  };
+
+  const handleDelete = async () => {
+    if (!deleting) return;
+    try {
+      setSaving(true);
+      const response = await pipelineAPI.deleteStage(deleting.key, deleting.reassignTo || undefined);
+      applyResponse(response);
+      const reassigned = response.data?.data?.reassigned || 0;
+      toast.success(
+        reassigned > 0
+          ? `Stage deleted and ${reassigned} application${reassigned === 1 ? "" : "s"} moved`
+          : "Stage deleted"
+      );
+      setDeleting(null);
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to delete stage"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <GitBranch className="w-5 h-5" />
+          Application Stages
+        </CardTitle>
+        <p className="text-sm text-muted-foreground">
+          Customize the stages your applications move through. The category decides how a
+          stage is counted in analytics and which reminders it triggers.
+        </p>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {loading ? (
+          <div className="h-24 flex items-center justify-center text-muted-foreground text-sm">
+            Loading stages...
+          </div>
+        ) : (
+          <ul className="space-y-2">
+            {stages.map((stage, index) => (
+              <li key={stage.key} className="p-3 rounded-lg bg-muted/50 space-y-2">
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className={`w-2.5 h-2.5 rounded-full ${categoryDotClasses[stage.category]}`} />
+                  <Input
+                    defaultValue={stage.label}
+                    onBlur={(e) => handleRename(stage, e.target.value)}
+                    className="flex-1 min-w-[140px] h-9"
+                    disabled={saving}
+                    aria-label={`Name of stage ${stage.label}`}
+                  />
+                  <select
+                    value={stage.category}
+                    onChange={(e) => handleCategoryChange(stage, e.target.value as StageCategory)}
+                    className={selectClassName}
+                    disabled={saving}
+                    aria-label={`Category of stage ${stage.label}`}
+                  >
+                    {STAGE_CATEGORIES.map((category) => (
+                      <option key={category} value={category}>
+                        {categoryLabels[category]}
+                      </option>
+                    ))}
+                  </select>
+                  <div className="flex items-center">
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => handleMove(index, -1)}
+                      disabled={saving || index === 0}
+                      aria-label="Move up"
+                    >
+                      <ArrowUp className="w-4 h-4" />
+                    </Button>
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => handleMove(index, 1)}
+                      disabled={saving || index === stages.length - 1}
+                      aria-label="Move down"
+                    >
+                      <ArrowDown className="w-4 h-4" />
+                    </Button>
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="icon"
+                      className="text-destructive hover:text-destructive"
+                      onClick={() => setDeleting({ key: stage.key, reassignTo: "" })}
+                      disabled={saving || stages.length === 1}
+                      aria-label="Delete stage"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </Button>
+                  </div>
+                </div>
+
+                {deleting?.key === stage.key && (
+                  <div className="flex flex-wrap items-center gap-2 text-sm">
+                    <span className="text-muted-foreground">Move its applications to</span>
+                    <select
+                      value={deleting.reassignTo}
+                      onChange={(e) => setDeleting({ ...deleting, reassignTo: e.target.value })}
+                      className={selectClassName}
+                    >
+                      <option value="">No reassignment (stage must be empty)</option>
+                      {stages
+                        .filter((other) => other.key !== stage.key)
+                        .map((other) => (
+                          <option key={other.key} value={other.key}>
+                            {other.label}
+                          </option>
+                        ))}
+                    </select>
+                    <Button
+                      type="button"
+                      variant="destructive"
+                      size="sm"
+                      onClick={handleDelete}
+                      disabled={saving}
+                    >
+                      Delete
+                    </Button>
+                    <Button type="button" variant="ghost" size="sm" onClick={() => setDeleting(null)}>
+                      Cancel
+                    </Button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <form onSubmit={handleAdd} className="flex flex-wrap items-center gap-2 pt-2 border-t border-border">
+          <Input
+            value={newStage.label}
+            onChange={(e) => setNewStage((prev) => ({ ...prev, label: e.target.value }))}
+            placeholder="New stage, e.g. Phone Screen"
+            className="flex-1 min-w-[160px]"
+            disabled={saving}
+          />
+          <select
+            value={newStage.category}
+            onChange={(e) =>
+              setNewStage((prev) => ({ ...prev, category: e.target.value as StageCategory }))
+            }
+            className={selectClassName}
+            disabled={saving}
+          >
+            {STAGE_CATEGORIES.map((category) => (
+              <option key={category} value={category}>
+                {categoryLabels[category]}
+              </option>
+            ))}
+          </select>
+          <Button type="submit" variant="outline" disabled={saving}>
+            <Plus className="w-4 h-4 mr-2" />
+            Add Stage
+          </Button>
+        </form>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default PipelineSettings;
@@ -0,0 +1,182 @@
+import { useState } from "react";
+import { Plus, Tag as TagIcon, Trash2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { tagsAPI } from "@/lib/api";
+import { useTags } from "@/hooks/use-tags";
+import { DEFAULT_TAG_COLOR, TAG_COLORS, Tag, TagColor, notifyTagsChanged, tagDotClasses } from "@/lib/tags";
+import { notifySavedViewsChanged } from "@/lib/savedViews";
+import { toast } from "sonner";
+
+const getErrorMessage = (error: unknown, fallback: string) =>
+  (error as { response?: { data?: { message?: string } } })?.response?.data?.message || fallback;
+
+const selectClassName =
+  "px-3 py-2 rounded-lg border border-border bg-background text-foreground text-sm";
+
+const colorLabel = (color: TagColor) => color.charAt(0).toUpperCase() + color.slice(1);
+
+/**
+ * Lets the user create, rename, recolor and delete tags. Renaming a tag
+ * renames it on every application; deleting it removes it from them.
+ */
+const TagSettings = () => {
+  const { tags, loading } = useTags();
+  const [saving, setSaving] = useState(false);
+  const [newTag, setNewTag] = useState<{ name: string; color: TagColor }>({
+    name: "",
+    color: DEFAULT_TAG_COLOR,
+  });
+
+  const runUpdate = async (request: () => Promise<unknown>, successMessage: string) => {
+    try {
+      setSaving(true);
+      await request();
+      toast.success(successMessage);
+      // Saved view counts can change when a tag they filter on is renamed or deleted
+      notifyTagsChanged();
+      notifySavedViewsChanged();
+      return true;
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to update tag"));
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRename = async (tag: Tag, input: HTMLInputElement) => {
+    const trimmed = input.value.trim();
+    if (!trimmed || trimmed === tag.name) {
+      input.value = tag.name;
+      return;
+    }
+    const renamed = await runUpdate(() => tagsAPI.update(tag._id, { name: trimmed }), "Tag renamed");
+    if (!renamed) input.value = tag.name;
+  };
+
+  const handleColorChange = (tag: Tag, color: TagColor) => {
+    runUpdate(() => tagsAPI.update(tag._id, { color }), "Tag color updated");
+  };
+
+  const handleDelete = (tag: Tag) => {
+    const usage = tag.count > 0
+      ? ` It will be removed from ${tag.count} application${tag.count === 1 ? "" : "s"}.`
+      : "";
+    if (!confirm(`Delete the tag "${tag.name}"?${usage}`)) return;
+    runUpdate(() => tagsAPI.delete(tag._id), "Tag deleted");
+  };
+
+  const handleAdd = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!newTag.name.trim()) {
+      toast.error("Tag name is required");
+      return;
+    }
+    const added = await runUpdate(
+      () => tagsAPI.create({ name: newTag.name.trim(), color: newTag.color }),
+      "Tag added"
+    );
+    if (added) setNewTag((prev) => ({ ...prev, name: "" }));
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <TagIcon className="w-5 h-5" />
+          Tags
+        </CardTitle>
+        <p className="text-sm text-muted-foreground">
+          Label applications with your own tags and filter or compare them in analytics.
+          Tags typed on an application are added here automatically.
+        </p>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {loading ? (
+          <div className="h-24 flex items-center justify-center text-muted-foreground text-sm">
+            Loading tags...
+          </div>
+        ) : tags.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No tags yet.</p>
+        ) : (
+          <ul className="space-y-2">
+            {tags.map((tag) => (
+              <li key={tag._id} className="p-3 rounded-lg bg-muted/50">
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className={`w-2.5 h-2.5 rounded-full ${tagDotClasses[tag.color]}`} />
+                  <Input
+                    key={tag.name}
+                    defaultValue={tag.name}
+                    onBlur={(e) => handleRename(tag, e.target)}
+                    className="flex-1 min-w-[140px] h-9"
+                    disabled={saving}
+                    aria-label={`Name of tag ${tag.name}`}
+                  />
+                  <select
+                    value={tag.color}
+                    onChange={(e) => handleColorChange(tag, e.target.value as TagColor)}
+                    className={selectClassName}
+                    disabled={saving}
+                    aria-label={`Color of tag ${tag.name}`}
+                  >
+                    {TAG_COLORS.map((color) => (
+                      <option key={color} value={color}>
+                        {colorLabel(color)}
+                      </option>
+                    ))}
+                  </select>
+                  <span className="text-xs text-muted-foreground w-24 text-right">
+                    {tag.count} application{tag.count === 1 ? "" : "s"}
+                  </span>
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="icon"
+                    className="text-destructive hover:text-destructive"
+                    onClick={() => handleDelete(tag)}
+                    disabled={saving}
+                    aria-label="Delete tag"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </Button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <form onSubmit={handleAdd} className="flex flex-wrap items-center gap-2 pt-2 border-t border-border">
+          <Input
+            value={newTag.name}
+            onChange={(e) => setNewTag((prev) => ({ ...prev, name: e.target.value }))}
+            placeholder="New tag, e.g. Referral"
+            maxLength={50}
+            className="flex-1 min-w-[160px]"
+            disabled={saving}
+          />
+          <select
+            value={newTag.color}
+            onChange={(e) => setNewTag((prev) => ({ ...prev, color: e.target.value as TagColor }))}
+            className={selectClassName}
+            disabled={saving}
+            aria-label="Tag color"
+          >
+            {TAG_COLORS.map((color) => (
+              <option key={color} value={color}>
+                {colorLabel(color)}
+              </option>
+            ))}
+          </select>
+          <Button type="submit" variant="outline" disabled={saving}>
+            <Plus className="w-4 h-4 mr-2" />
+            Add Tag
+          </Button>
+        </form>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default TagSettings;
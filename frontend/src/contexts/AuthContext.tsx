@@ -11,6 +11,13 @@ interface User {
   email: string;
   role?: string;
   status?: string;
+  profile?: {
+    resumeSummary?: string;
+    phone?: string;
+    location?: string;
+    linkedInUrl?: string;
+    portfolioUrl?: string;
+  };
 }
 
 interface AuthContextType {
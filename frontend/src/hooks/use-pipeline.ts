@@ -0,0 +1,52 @@
+import { useCallback, useEffect, useState } from "react";
+import { pipelineAPI } from "@/lib/api";
+import {
+  DEFAULT_STAGES,
+  PipelineStage,
+  getStageBadgeClass,
+  getStageCategory,
+  getStageDotClass,
+  getStageLabel,
+} from "@/lib/pipeline";
+
+/**
+ * Loads the current user's pipeline stages.
+ * Falls back to the default stages while loading or if the request fails,
+ * so status labels and colors always render.
+ */
+export function usePipeline() {
+  const [stages, setStages] = useState<PipelineStage[]>(DEFAULT_STAGES);
+  const [isDefault, setIsDefault] = useState(true);
+  const [loading, setLoading] = useState(true);
+
+  const refresh = useCallback(async () => {
+    try {
+      const response = await pipelineAPI.get();
+      const pipeline = response.data?.data?.pipeline;
+      if (pipeline?.stages?.length) {
+        setStages(pipeline.stages);
+        setIsDefault(!!pipeline.isDefault);
+      }
+    } catch (error) {
+      console.error("Failed to load pipeline:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return {
+    stages,
+    setStages,
+    isDefault,
+    loading,
+    refresh,
+    getLabel: (key?: string | null) => getStageLabel(stages, key),
+    getCategory: (key?: string | null) => getStageCategory(stages, key),
+    getBadgeClass: (key?: string | null) => getStageBadgeClass(stages, key),
+    getDotClass: (key?: string | null) => getStageDotClass(stages, key),
+  };
+}
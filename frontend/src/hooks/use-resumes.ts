@@ -0,0 +1,33 @@
+import { useCallback, useEffect, useState } from "react";
+import { resumesAPI } from "@/lib/api";
+import { Resume } from "@/lib/resumes";
+
+/**
+ * Loads the current user's resume library, the default resume first.
+ */
+export function useResumes() {
+  const [resumes, setResumes] = useState<Resume[]>([]);
+  const [loading, setLoading] = useState(true);
+
+  const refresh = useCallback(async () => {
+    try {
+      const response = await resumesAPI.getAll();
+      setResumes(response.data?.data?.resumes || []);
+    } catch (error) {
+      console.error("Failed to load resumes:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return {
+    resumes,
+    loading,
+    refresh,
+    defaultResume: resumes.find((resume) => resume.isDefault) || null,
+  };
+}
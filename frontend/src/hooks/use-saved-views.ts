@@ -0,0 +1,31 @@
+import { useCallback, useEffect, useState } from "react";
+import { viewsAPI } from "@/lib/api";
+import { SAVED_VIEWS_CHANGED_EVENT, SavedView } from "@/lib/savedViews";
+
+/**
+ * Loads the current user's saved views with their live counts.
+ * Reloads whenever a view changes anywhere in the app (see notifySavedViewsChanged).
+ */
+export function useSavedViews() {
+  const [views, setViews] = useState<SavedView[]>([]);
+  const [loading, setLoading] = useState(true);
+
+  const refresh = useCallback(async () => {
+    try {
+      const response = await viewsAPI.getAll();
+      setViews(response.data?.data?.views || []);
+    } catch (error) {
+      console.error("Failed to load saved views:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    window.addEventListener(SAVED_VIEWS_CHANGED_EVENT, refresh);
+    return () => window.removeEventListener(SAVED_VIEWS_CHANGED_EVENT, refresh);
+  }, [refresh]);
+
+  return { views, loading, refresh };
+}
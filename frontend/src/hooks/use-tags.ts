@@ -0,0 +1,36 @@
+import { useCallback, useEffect, useState } from "react";
+import { tagsAPI } from "@/lib/api";
+import { TAGS_CHANGED_EVENT, Tag, getTagColor, tagChipClasses } from "@/lib/tags";
+
+/**
+ * Loads the current user's tags with their colors and counts.
+ * Reloads whenever a tag changes anywhere in the app (see notifyTagsChanged).
+ */
+export function useTags() {
+  const [tags, setTags] = useState<Tag[]>([]);
+  const [loading, setLoading] = useState(true);
+
+  const refresh = useCallback(async () => {
+    try {
+      const response = await tagsAPI.getAll();
+      setTags(response.data?.data?.tags || []);
+    } catch (error) {
+      console.error("Failed to load tags:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    window.addEventListener(TAGS_CHANGED_EVENT, refresh);
+    return () => window.removeEventListener(TAGS_CHANGED_EVENT, refresh);
+  }, [refresh]);
+
+  return {
+    tags,
+    loading,
+    refresh,
+    getChipClass: (name: string) => tagChipClasses[getTagColor(tags, name)],
+  };
+}
@@ -86,25 +86,71 @@ export const authAPI = {
     api.post('/auth/reset-password', { token, newPassword }),
 };
 
+type BulkActionInput = { applicationIds: string[] } & (
+  | { action: 'status'; status: string; statusNote?: string }
+  | { action: 'delete' }
+  | { action: 'tag'; addTags?: string[]; removeTags?: string[] }
+  | { action: 'reminder'; reminderDate: string; reminderType?: string; notes?: string }
+);
+
 export const applicationsAPI = {
   getAll: (params?: any) => api.get('/applications', { params }),
   getById: (id: string) => api.get(`/applications/${id}`),
   create: (data: any) => api.post('/applications', data),
   update: (id: string, data: any) => api.put(`/applications/${id}`, data),
   delete: (id: string) => api.delete(`/applications/${id}`),
+  getTrash: (params?: { page?: number; limit?: number }) => api.get('/applications/trash', { params }),
+  archive: (id: string) => api.post(`/applications/${id}/archive`),
+  unarchive: (id: string) => api.post(`/applications/${id}/unarchive`),
+  restore: (id: string) => api.post(`/applications/${id}/restore`),
+  deletePermanently: (id: string) => api.delete(`/applications/trash/${id}`),
   getStatistics: () => api.get('/applications/statistics'),
-  generateResumeMatch: (id: string) => api.post(`/applications/${id}/ai/resume-match`),
-  generateInterviewPrep: (id: string) => api.post(`/applications/${id}/ai/interview-prep`),
+  getTimeline: (id: string) => api.get(`/applications/${id}/timeline`),
+  getSources: () => api.get('/applications/sources'),
+  // Reads a posting into a draft application (saves nothing); html is used instead of fetching url
+  parsePosting: (data: { url?: string; html?: string }) => api.post('/applications/parse-posting', data),
+  exportFile: (params: Record<string, string>) =>
+    api.get('/applications/export', { params, responseType: 'blob' }),
+  // FormData: file plus optional mapping (JSON), dateFormat and skipDuplicates
+  previewImport: (data: FormData) =>
+    api.post('/applications/import/preview', data, { headers: { 'Content-Type': 'multipart/form-data' } }),
+  importFile: (data: FormData) =>
+    api.post('/applications/import', data, { headers: { 'Content-Type': 'multipart/form-data' } }),
+  bulk: (data: BulkActionInput) => api.post('/applications/bulk', data),
+  getBoard: () => api.get('/applications/board'),
+  reorderBoardColumn: (status: string, applicationIds: string[]) =>
+    api.put('/applications/board/order', { status, applicationIds }),
+  // resumeId defaults to the application's resume, then the default resume
+  generateResumeMatch: (id: string, resumeId?: string) =>
+    api.post(`/applications/${id}/ai/resume-match`, { resumeId }),
+  generateInterviewPrep: (id: string, resumeId?: string) =>
+    api.post(`/applications/${id}/ai/interview-prep`, { resumeId }),
   generateResumeImprovement: (id: string, data: any) => 
     api.post(`/applications/${id}/ai/resume-improvement`, data),
+  // Fills empty skills, experience, salary, locations, remote policy and seniority from the description
+  extractRequirements: (id: string) => api.post(`/applications/${id}/ai/requirements`),
 };
 
+// Archived applications are left out of analytics unless includeArchived is "true"
+export interface AnalyticsParams {
+  includeArchived?: "true" | "false";
+}
+
 export const analyticsAPI = {
-  getComprehensive: () => api.get('/analytics'),
-  getStatusDistribution: () => api.get('/analytics/status-distribution'),
-  getMonthlyTrends: () => api.get('/analytics/monthly-trends'),
-  getSuccessRate: () => api.get('/analytics/success-rate'),
-  getTimeline: () => api.get('/analytics/timeline'),
+  getComprehensive: (params?: AnalyticsParams) => api.get('/analytics', { params }),
+  getStatusDistribution: (params?: AnalyticsParams) => api.get('/analytics/status-distribution', { params }),
+  getMonthlyTrends: (params?: AnalyticsParams) => api.get('/analytics/monthly-trends', { params }),
+  getSuccessRate: (params?: AnalyticsParams) => api.get('/analytics/success-rate', { params }),
+  getTimeline: (params?: AnalyticsParams) => api.get('/analytics/timeline', { params }),
+  getFunnel: (params?: AnalyticsParams) => api.get('/analytics/funnel', { params }),
+  getTags: (params?: AnalyticsParams) => api.get('/analytics/tags', { params }),
+  getCompanies: (params?: AnalyticsParams) => api.get('/analytics/companies', { params }),
+  getCompany: (companyId: string, params?: AnalyticsParams) =>
+    api.get(`/analytics/companies/${companyId}`, { params }),
+  getJobDetails: (params?: AnalyticsParams) => api.get('/analytics/job-details', { params }),
+  // Salaries as yearly amounts converted to currency (default USD)
+  getCompensation: (params?: AnalyticsParams & { currency?: string }) =>
+    api.get('/analytics/compensation', { params }),
 };
 
 export const aiAPI = {
@@ -121,5 +167,185 @@ export const remindersAPI = {
   delete: (id: string) => api.delete(`/reminders/${id}`),
 };
 
+type PipelineStageInput = { key?: string; label: string; category: string };
+
+export const pipelineAPI = {
+  get: () => api.get('/pipeline'),
+  replace: (stages: PipelineStageInput[]) => api.put('/pipeline', { stages }),
+  addStage: (data: PipelineStageInput & { position?: number }) => api.post('/pipeline/stages', data),
+  updateStage: (key: string, data: Partial<PipelineStageInput> & { position?: number }) =>
+    api.put(`/pipeline/stages/${key}`, data),
+  deleteStage: (key: string, reassignTo?: string) =>
+    api.delete(`/pipeline/stages/${key}`, { params: reassignTo ? { reassignTo } : undefined }),
+};
+
 export default api;
 
+
+type SavedViewInput = {
+  name?: string;
+  filters?: Record<string, string>;
+  sort?: { sortBy?: string | null; sortOrder?: 'asc' | 'desc' };
+  columns?: string[];
+};
+
+export const viewsAPI = {
+  getAll: () => api.get('/views'),
+  getById: (id: string) => api.get(`/views/${id}`),
+  create: (data: SavedViewInput & { name: string }) => api.post('/views', data),
+  update: (id: string, data: SavedViewInput) => api.put(`/views/${id}`, data),
+  delete: (id: string) => api.delete(`/views/${id}`),
+};
+
+export const tagsAPI = {
+  getAll: () => api.get('/tags'),
+  create: (data: { name: string; color?: string }) => api.post('/tags', data),
+  update: (id: string, data: { name?: string; color?: string }) => api.put(`/tags/${id}`, data),
+  delete: (id: string) => api.delete(`/tags/${id}`),
+};
+
+export interface CompanyInput {
+  name: string;
+  website?: string;
+  industry?: string;
+  size?: string | null;
+  headquarters?: string;
+  notes?: string;
+  // Partial: ratings left out are unchanged, null clears one
+  ratings?: Record<string, number | null>;
+}
+
+export const companiesAPI = {
+  getAll: (params?: { q?: string }) => api.get('/companies', { params }),
+  getById: (id: string) => api.get(`/companies/${id}`),
+  create: (data: CompanyInput) => api.post('/companies', data),
+  update: (id: string, data: Partial<CompanyInput>) => api.put(`/companies/${id}`, data),
+  delete: (id: string) => api.delete(`/companies/${id}`),
+  merge: (id: string, targetCompanyId: string) =>
+    api.post(`/companies/${id}/merge`, { targetCompanyId }),
+};
+
+export interface InterviewRoundInput {
+  name?: string;
+  type?: string;
+  // ISO datetimes; null clears them
+  scheduledStart?: string | null;
+  scheduledEnd?: string | null;
+  timezone?: string;
+  location?: string;
+  meetingUrl?: string;
+  interviewers?: { name: string; role?: string }[];
+  selfAssessment?: { rating?: number | null; notes?: string };
+  outcome?: string;
+}
+
+export const interviewsAPI = {
+  getAll: (applicationId: string) => api.get(`/applications/${applicationId}/interviews`),
+  create: (applicationId: string, data: InterviewRoundInput & { name: string }) =>
+    api.post(`/applications/${applicationId}/interviews`, data),
+  update: (applicationId: string, roundId: string, data: InterviewRoundInput) =>
+    api.put(`/applications/${applicationId}/interviews/${roundId}`, data),
+  delete: (applicationId: string, roundId: string) =>
+    api.delete(`/applications/${applicationId}/interviews/${roundId}`),
+};
+
+export interface ContactInput {
+  name: string;
+  role?: string;
+  email?: string;
+  phone?: string;
+  linkedInUrl?: string;
+  company?: string;
+  notes?: string;
+  // ISO date; null clears it
+  lastContactedAt?: string | null;
+}
+
+export const contactsAPI = {
+  getAll: (params?: { q?: string; applicationId?: string; relationship?: string }) =>
+    api.get('/contacts', { params }),
+  getById: (id: string) => api.get(`/contacts/${id}`),
+  create: (data: ContactInput & { applications?: { applicationId: string; relationship: string }[] }) =>
+    api.post('/contacts', data),
+  update: (id: string, data: Partial<ContactInput>) => api.put(`/contacts/${id}`, data),
+  delete: (id: string) => api.delete(`/contacts/${id}`),
+  linkApplication: (id: string, applicationId: string, relationship: string) =>
+    api.put(`/contacts/${id}/applications/${applicationId}`, { relationship }),
+  unlinkApplication: (id: string, applicationId: string) =>
+    api.delete(`/contacts/${id}/applications/${applicationId}`),
+};
+
+export const documentsAPI = {
+  getAll: (params?: { q?: string; type?: string; applicationId?: string }) =>
+    api.get('/documents', { params }),
+  getById: (id: string) => api.get(`/documents/${id}`),
+  // FormData: file plus optional name, type and notes
+  upload: (data: FormData) =>
+    api.post('/documents', data, { headers: { 'Content-Type': 'multipart/form-data' } }),
+  update: (id: string, data: { name?: string; type?: string }) => api.put(`/documents/${id}`, data),
+  delete: (id: string) => api.delete(`/documents/${id}`),
+  // FormData: file plus optional notes
+  uploadVersion: (id: string, data: FormData) =>
+    api.post(`/documents/${id}/versions`, data, { headers: { 'Content-Type': 'multipart/form-data' } }),
+  downloadVersion: (id: string, version: number) =>
+    api.get(`/documents/${id}/versions/${version}/download`, { responseType: 'blob' }),
+  deleteVersion: (id: string, version: number) => api.delete(`/documents/${id}/versions/${version}`),
+  attachToApplication: (id: string, applicationId: string, version: number) =>
+    api.put(`/documents/${id}/applications/${applicationId}`, { version }),
+  detachFromApplication: (id: string, applicationId: string) =>
+    api.delete(`/documents/${id}/applications/${applicationId}`),
+};
+
+export interface ResumeInput {
+  name?: string;
+  targetRole?: string;
+  content?: string;
+  // Replaces all sections; empty sections are dropped
+  sections?: { type: string; title: string; content: string }[];
+}
+
+export const resumesAPI = {
+  getAll: () => api.get('/resumes'),
+  getById: (id: string) => api.get(`/resumes/${id}`),
+  create: (data: ResumeInput & { name: string; isDefault?: boolean }) => api.post('/resumes', data),
+  // FormData: file (PDF or DOCX); returns a draft, nothing is saved
+  parse: (data: FormData) =>
+    api.post('/resumes/parse', data, { headers: { 'Content-Type': 'multipart/form-data' } }),
+  update: (id: string, data: ResumeInput) => api.put(`/resumes/${id}`, data),
+  setDefault: (id: string) => api.put(`/resumes/${id}/default`),
+  delete: (id: string) => api.delete(`/resumes/${id}`),
+};
+
+export interface OfferInput {
+  currency?: string;
+  baseSalary?: number;
+  bonus?: number;
+  signOnBonus?: number;
+  // Partial on update: fields left out are unchanged
+  equity?: { grantValue?: number; vestingSchedule?: number[]; cliffMonths?: number };
+  benefits?: string;
+  ptoDays?: number | null;
+  // ISO datetimes; null clears them
+  startDate?: string | null;
+  responseDeadline?: string | null;
+  decision?: string;
+  notes?: string;
+}
+
+export const offersAPI = {
+  getAll: (params?: { applicationId?: string }) => api.get('/offers', { params }),
+  getById: (id: string) => api.get(`/offers/${id}`),
+  compare: (offerIds: string[]) =>
+    api.get('/offers/compare', { params: { offerIds: offerIds.join(',') } }),
+  create: (data: OfferInput & { applicationId: string }) => api.post('/offers', data),
+  update: (id: string, data: OfferInput) => api.put(`/offers/${id}`, data),
+  delete: (id: string) => api.delete(`/offers/${id}`),
+};
+
+export const accountAPI = {
+  backup: (format: 'json' | 'zip') =>
+    api.get('/account/backup', { params: { format }, responseType: 'blob' }),
+  // FormData: file plus optional mode (merge|replace) and restoreProfile
+  restore: (data: FormData) =>
+    api.post('/account/restore', data, { headers: { 'Content-Type': 'multipart/form-data' } }),
+};
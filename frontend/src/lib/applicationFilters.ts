@@ -0,0 +1,175 @@
+/**
+ * Application list filters
+ *
+ * Shared shape for the filter controls on the Applications page and the
+ * query parameters understood by GET /api/applications.
+ */
+
+import { MAX_SKILLS, MAX_YEARS_OF_EXPERIENCE, SKILL_MAX_LENGTH, splitSkills } from "@/lib/jobDetails";
+
+export type AnalysisFilter = "any" | "with" | "without";
+export type SalaryFilter = "any" | "with" | "without";
+// "none" matches applications where the detail is not set
+export type VisaSponsorshipFilter = "" | "true" | "false" | "none";
+
+export interface ApplicationFilterValues {
+  statuses: string[];
+  dateAppliedFrom: string;
+  dateAppliedTo: string;
+  appliedMoreThanDaysAgo: string;
+  appliedWithinDays: string;
+  createdFrom: string;
+  createdTo: string;
+  source: string;
+  // Matches applications with any of these tags
+  tags: string[];
+  analysis: AnalysisFilter;
+  minMatchScore: string;
+  maxMatchScore: string;
+  salary: SalaryFilter;
+  // Yearly pay bounds in salaryCurrency (posted ranges overlapping them match)
+  salaryMin: string;
+  salaryMax: string;
+  salaryCurrency: string;
+  // Partial match on any location
+  location: string;
+  // Job details: match any of these values ("none" = not set)
+  remotePolicies: string[];
+  employmentTypes: string[];
+  seniorities: string[];
+  visaSponsorship: VisaSponsorshipFilter;
+  // Comma-separated; matches applications requiring or preferring any of them
+  skills: string;
+  // Applications asking for at most this many years (not stated = no match)
+  maxYearsOfExperience: string;
+  // Archived applications are hidden unless this is on
+  includeArchived: boolean;
+}
+
+export const EMPTY_FILTERS: ApplicationFilterValues = {
+  statuses: [],
+  dateAppliedFrom: "",
+  dateAppliedTo: "",
+  appliedMoreThanDaysAgo: "",
+  appliedWithinDays: "",
+  createdFrom: "",
+  createdTo: "",
+  source: "",
+  tags: [],
+  analysis: "any",
+  minMatchScore: "",
+  maxMatchScore: "",
+  salary: "any",
+  salaryMin: "",
+  salaryMax: "",
+  salaryCurrency: "USD",
+  location: "",
+  remotePolicies: [],
+  employmentTypes: [],
+  seniorities: [],
+  visaSponsorship: "",
+  skills: "",
+  maxYearsOfExperience: "",
+  includeArchived: false,
+};
+
+// Ignore half-typed or out-of-range scores instead of sending a request the API rejects
+const isValidScore = (value: string) => /^\d+$/.test(value) && Number(value) <= 100;
+const isValidDayCount = (value: string) => /^\d+$/.test(value) && Number(value) <= 3650;
+const isValidSalary = (value: string) => /^\d+$/.test(value) && Number(value) <= 1_000_000_000;
+const isValidYears = (value: string) => /^\d+$/.test(value) && Number(value) <= MAX_YEARS_OF_EXPERIENCE;
+
+/**
+ * Convert filter values to API query parameters (empty values are omitted)
+ */
+export const toFilterParams = (filters: ApplicationFilterValues): Record<string, string> => {
+  const params: Record<string, string> = {};
+
+  if (filters.statuses.length > 0) params.status = filters.statuses.join(",");
+  if (filters.dateAppliedFrom) params.dateAppliedFrom = filters.dateAppliedFrom;
+  if (filters.dateAppliedTo) params.dateAppliedTo = filters.dateAppliedTo;
+  if (isValidDayCount(filters.appliedMoreThanDaysAgo)) {
+    params.appliedMoreThanDaysAgo = filters.appliedMoreThanDaysAgo;
+  }
+  if (isValidDayCount(filters.appliedWithinDays)) params.appliedWithinDays = filters.appliedWithinDays;
+  if (filters.createdFrom) params.createdFrom = filters.createdFrom;
+  if (filters.createdTo) params.createdTo = filters.createdTo;
+  if (filters.source) params.source = filters.source;
+  if (filters.tags.length > 0) params.tags = filters.tags.join(",");
+  if (filters.analysis !== "any") params.hasAnalysis = filters.analysis === "with" ? "true" : "false";
+  if (isValidScore(filters.minMatchScore)) params.minMatchScore = filters.minMatchScore;
+  if (isValidScore(filters.maxMatchScore)) params.maxMatchScore = filters.maxMatchScore;
+  if (filters.salary !== "any") params.hasSalary = filters.salary === "with" ? "true" : "false";
+  if (isValidSalary(filters.salaryMin)) params.salaryMin = filters.salaryMin;
+  if (isValidSalary(filters.salaryMax)) params.salaryMax = filters.salaryMax;
+  // The currency only matters with a bound
+  if ((params.salaryMin || params.salaryMax) && filters.salaryCurrency) {
+    params.salaryCurrency = filters.salaryCurrency;
+  }
+  if (filters.location.trim()) params.location = filters.location.trim();
+  if (filters.remotePolicies.length > 0) params.remotePolicy = filters.remotePolicies.join(",");
+  if (filters.employmentTypes.length > 0) params.employmentType = filters.employmentTypes.join(",");
+  if (filters.seniorities.length > 0) params.seniority = filters.seniorities.join(",");
+  if (filters.visaSponsorship) params.visaSponsorship = filters.visaSponsorship;
+  const skills = splitSkills(filters.skills).filter((skill) => skill.length <= SKILL_MAX_LENGTH);
+  if (skills.length > 0) params.skills = skills.slice(0, MAX_SKILLS).join(",");
+  if (isValidYears(filters.maxYearsOfExperience)) params.maxYearsOfExperience = filters.maxYearsOfExperience;
+  if (filters.includeArchived) params.includeArchived = "true";
+
+  return params;
+};
+
+/**
+ * Convert API query parameters (e.g. a saved view's filters) back to filter values
+ */
+export const fromFilterParams = (params: Record<string, string> = {}): ApplicationFilterValues => ({
+  statuses: params.status ? params.status.split(",").filter(Boolean) : [],
+  dateAppliedFrom: params.dateAppliedFrom || "",
+  dateAppliedTo: params.dateAppliedTo || "",
+  appliedMoreThanDaysAgo: params.appliedMoreThanDaysAgo || "",
+  appliedWithinDays: params.appliedWithinDays || "",
+  createdFrom: params.createdFrom || "",
+  createdTo: params.createdTo || "",
+  source: params.source || "",
+  tags: params.tags ? params.tags.split(",").filter(Boolean) : [],
+  analysis: params.hasAnalysis === "true" ? "with" : params.hasAnalysis === "false" ? "without" : "any",
+  minMatchScore: params.minMatchScore || "",
+  maxMatchScore: params.maxMatchScore || "",
+  salary: params.hasSalary === "true" ? "with" : params.hasSalary === "false" ? "without" : "any",
+  salaryMin: params.salaryMin || "",
+  salaryMax: params.salaryMax || "",
+  salaryCurrency: params.salaryCurrency || "USD",
+  location: params.location || "",
+  remotePolicies: params.remotePolicy ? params.remotePolicy.split(",").filter(Boolean) : [],
+  employmentTypes: params.employmentType ? params.employmentType.split(",").filter(Boolean) : [],
+  seniorities: params.seniority ? params.seniority.split(",").filter(Boolean) : [],
+  visaSponsorship: (params.visaSponsorship || "") as VisaSponsorshipFilter,
+  skills: params.skills ? params.skills.split(",").join(", ") : "",
+  maxYearsOfExperience: params.maxYearsOfExperience || "",
+  includeArchived: params.includeArchived === "true",
+});
+
+/**
+ * Number of filter groups currently narrowing the list
+ */
+export const countActiveFilters = (filters: ApplicationFilterValues): number =>
+  [
+    filters.statuses.length > 0,
+    !!(filters.dateAppliedFrom || filters.dateAppliedTo),
+    !!(filters.appliedMoreThanDaysAgo || filters.appliedWithinDays),
+    !!(filters.createdFrom || filters.createdTo),
+    !!filters.source,
+    filters.tags.length > 0,
+    filters.analysis !== "any",
+    !!(filters.minMatchScore || filters.maxMatchScore),
+    filters.salary !== "any",
+    !!(filters.salaryMin || filters.salaryMax),
+    !!filters.location.trim(),
+    filters.remotePolicies.length > 0,
+    filters.employmentTypes.length > 0,
+    filters.seniorities.length > 0,
+    !!filters.visaSponsorship,
+    splitSkills(filters.skills).length > 0,
+    !!filters.maxYearsOfExperience,
+    filters.includeArchived,
+  ].filter(Boolean).length;
@@ -0,0 +1,61 @@
+/**
+ * Companies
+ *
+ * Applications keep the company name they were saved with and are linked
+ * to one company per employer. Names match ignoring case, punctuation and
+ * legal suffixes ("Acme, Inc." and "ACME" are the same company).
+ */
+
+export type CompanyRatingField =
+  | "overall"
+  | "workLifeBalance"
+  | "compensation"
+  | "culture"
+  | "careerGrowth"
+  | "management";
+
+export interface Company {
+  _id: string;
+  name: string;
+  website: string;
+  industry: string;
+  size: string | null;
+  headquarters: string;
+  notes: string;
+  ratings: Partial<Record<CompanyRatingField, number | null>>;
+  // Applications linked to the company (not counting the trash)
+  applicationCount: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+// Matches the backend size bands (company.constants.js)
+export const COMPANY_SIZES = [
+  "1-10",
+  "11-50",
+  "51-200",
+  "201-500",
+  "501-1000",
+  "1001-5000",
+  "5001-10000",
+  "10000+",
+];
+
+export const COMPANY_RATINGS: { field: CompanyRatingField; label: string }[] = [
+  { field: "overall", label: "Overall" },
+  { field: "workLifeBalance", label: "Work/Life Balance" },
+  { field: "compensation", label: "Compensation & Benefits" },
+  { field: "culture", label: "Culture & Values" },
+  { field: "careerGrowth", label: "Career Opportunities" },
+  { field: "management", label: "Senior Management" },
+];
+
+export const RATING_MIN = 1;
+export const RATING_MAX = 5;
+export const RATING_STEP = 0.5;
+
+/**
+ * Rating shown with one decimal, or a dash when not set
+ */
+export const formatRating = (value?: number | null) =>
+  value === null || value === undefined ? "–" : value.toFixed(1);
@@ -0,0 +1,42 @@
+/**
+ * Contacts
+ *
+ * People met during the job search. A contact is linked to each
+ * application it is involved in, with its relationship to that application.
+ */
+
+export type ContactRelationship = "recruiter" | "hiring-manager" | "referrer" | "interviewer";
+
+export interface ContactApplicationLink {
+  application: string;
+  relationship: ContactRelationship;
+}
+
+export interface Contact {
+  _id: string;
+  name: string;
+  role: string;
+  email: string;
+  phone: string;
+  linkedInUrl: string;
+  company: string;
+  notes: string;
+  lastContactedAt: string | null;
+  // Links to applications (not counting the trash)
+  applications: ContactApplicationLink[];
+  applicationCount: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+// Matches the backend relationship types (contact.constants.js)
+export const CONTACT_RELATIONSHIPS: { value: ContactRelationship; label: string }[] = [
+  { value: "recruiter", label: "Recruiter" },
+  { value: "hiring-manager", label: "Hiring Manager" },
+  { value: "referrer", label: "Referrer" },
+  { value: "interviewer", label: "Interviewer" },
+];
+
+export const relationshipLabels: Record<ContactRelationship, string> = Object.fromEntries(
+  CONTACT_RELATIONSHIPS.map(({ value, label }) => [value, label])
+) as Record<ContactRelationship, string>;
@@ -0,0 +1,81 @@
+/**
+ * Documents
+ *
+ * Uploaded resumes and cover letters. A document keeps every version that
+ * was uploaded; an application records the exact version sent with it.
+ */
+
+export type DocumentType = "resume" | "cover-letter" | "other";
+
+export interface DocumentVersion {
+  version: number;
+  originalName: string;
+  extension: string;
+  size: number;
+  notes: string;
+  uploadedAt: string;
+}
+
+export interface DocumentApplicationLink {
+  application: string;
+  version: number;
+  attachedAt: string;
+}
+
+export interface StoredDocument {
+  _id: string;
+  name: string;
+  type: DocumentType;
+  // Oldest first
+  versions: DocumentVersion[];
+  latestVersion: number;
+  // Attachments to applications (not counting the trash)
+  applications: DocumentApplicationLink[];
+  applicationCount: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+// Matches the backend types (document.constants.js)
+export const DOCUMENT_TYPES: { value: DocumentType; label: string }[] = [
+  { value: "resume", label: "Resume" },
+  { value: "cover-letter", label: "Cover Letter" },
+  { value: "other", label: "Other" },
+];
+
+export const documentTypeLabels: Record<DocumentType, string> = Object.fromEntries(
+  DOCUMENT_TYPES.map(({ value, label }) => [value, label])
+) as Record<DocumentType, string>;
+
+// Upload rules (checked again by the backend)
+export const DOCUMENT_FILE_ACCEPT = ".pdf,.docx,.txt";
+export const DOCUMENT_MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Human-readable file size, e.g. "240 KB"
+ */
+export const formatFileSize = (bytes: number) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Newest version first
+ */
+export const sortedVersions = (document: StoredDocument) =>
+  [...document.versions].sort((a, b) => b.version - a.version);
+
+/**
+ * Check a file before uploading it; returns an error message or ""
+ */
+export const checkDocumentFile = (file: File) => {
+  const extension = file.name.slice(file.name.lastIndexOf(".")).toLowerCase();
+  if (!DOCUMENT_FILE_ACCEPT.split(",").includes(extension)) {
+    return "Only PDF, DOCX and TXT files can be uploaded";
+  }
+  if (file.size > DOCUMENT_MAX_FILE_SIZE) {
+    return `File is too large. Maximum size is ${DOCUMENT_MAX_FILE_SIZE / (1024 * 1024)} MB`;
+  }
+  return "";
+};
@@ -0,0 +1,41 @@
+import type { AxiosResponse } from "axios";
+
+/**
+ * Read the file name from a Content-Disposition header
+ */
+const getFilename = (response: AxiosResponse, fallback: string) => {
+  const disposition = response.headers?.["content-disposition"] as string | undefined;
+  const match = disposition?.match(/filename="?([^";]+)"?/);
+  return match?.[1] || fallback;
+};
+
+/**
+ * Save a blob response (responseType: "blob") as a file download
+ */
+export const saveDownload = (response: AxiosResponse<Blob>, fallbackName: string) => {
+  const url = URL.createObjectURL(response.data);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = getFilename(response, fallbackName);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Read the API error message from a failed blob request
+ * (error bodies arrive as a Blob too, so they need parsing)
+ */
+export const getBlobErrorMessage = async (error: unknown, fallback: string) => {
+  const data = (error as { response?: { data?: unknown } })?.response?.data;
+  if (data instanceof Blob) {
+    try {
+      const body = JSON.parse(await data.text());
+      return body?.message || fallback;
+    } catch {
+      return fallback;
+    }
+  }
+  return fallback;
+};
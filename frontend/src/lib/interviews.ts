@@ -0,0 +1,151 @@
+/**
+ * Interview rounds
+ *
+ * Rounds are stored with UTC times plus the time zone they were scheduled
+ * in. Forms take a wall-clock time in that zone, so the helpers below
+ * convert between the two without a date library.
+ */
+
+export type RoundType =
+  | "phone-screen"
+  | "technical"
+  | "behavioral"
+  | "system-design"
+  | "take-home"
+  | "onsite"
+  | "panel"
+  | "final"
+  | "other";
+
+export type RoundOutcome = "pending" | "passed" | "failed" | "cancelled";
+
+export interface Interviewer {
+  name: string;
+  role: string;
+}
+
+export interface InterviewRound {
+  _id: string;
+  application: string;
+  name: string;
+  type: RoundType;
+  scheduledStart: string | null;
+  scheduledEnd: string | null;
+  timezone: string;
+  location: string;
+  meetingUrl: string;
+  interviewers: Interviewer[];
+  selfAssessment: { rating: number | null; notes: string };
+  outcome: RoundOutcome;
+  createdAt: string;
+  updatedAt: string;
+}
+
+// Matches the backend round types (interviewRound.constants.js)
+export const ROUND_TYPES: { value: RoundType; label: string }[] = [
+  { value: "phone-screen", label: "Phone Screen" },
+  { value: "technical", label: "Technical" },
+  { value: "behavioral", label: "Behavioral" },
+  { value: "system-design", label: "System Design" },
+  { value: "take-home", label: "Take-Home" },
+  { value: "onsite", label: "Onsite" },
+  { value: "panel", label: "Panel" },
+  { value: "final", label: "Final" },
+  { value: "other", label: "Other" },
+];
+
+export const ROUND_OUTCOMES: { value: RoundOutcome; label: string; className: string }[] = [
+  { value: "pending", label: "Pending", className: "bg-muted text-muted-foreground" },
+  { value: "passed", label: "Passed", className: "bg-green-500/20 text-green-600" },
+  { value: "failed", label: "Failed", className: "bg-red-500/20 text-red-600" },
+  { value: "cancelled", label: "Cancelled", className: "bg-amber-500/20 text-amber-600" },
+];
+
+export const SELF_RATING_MAX = 5;
+
+// Used when the browser cannot list its time zones
+const COMMON_TIME_ZONES = [
+  "UTC",
+  "America/Los_Angeles",
+  "America/Denver",
+  "America/Chicago",
+  "America/New_York",
+  "America/Sao_Paulo",
+  "Europe/London",
+  "Europe/Berlin",
+  "Europe/Paris",
+  "Africa/Lagos",
+  "Asia/Dubai",
+  "Asia/Kolkata",
+  "Asia/Singapore",
+  "Asia/Tokyo",
+  "Australia/Sydney",
+];
+
+export const getLocalTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+export const getTimeZones = (): string[] => {
+  const supportedValuesOf = (Intl as { supportedValuesOf?: (key: string) => string[] }).supportedValuesOf;
+  return supportedValuesOf ? ["UTC", ...supportedValuesOf("timeZone")] : COMMON_TIME_ZONES;
+};
+
+/**
+ * Offset of a time zone from UTC at a given instant, in milliseconds
+ */
+const getOffset = (date: Date, timeZone: string) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, Number(value)])
+  );
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * "2025-03-03T14:30" in a time zone → ISO string in UTC
+ */
+export const zonedInputToIso = (value: string, timeZone: string): string | null => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/.exec(value);
+  if (!match) return null;
+  const [, year, month, day, hour, minute] = match.map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  // Two passes settle times next to a daylight saving change
+  let utc = wallClock - getOffset(new Date(wallClock), timeZone);
+  utc = wallClock - getOffset(new Date(utc), timeZone);
+  return new Date(utc).toISOString();
+};
+
+/**
+ * ISO string → "2025-03-03T14:30" in a time zone (for datetime-local inputs)
+ */
+export const isoToZonedInput = (iso: string | null, timeZone: string): string => {
+  if (!iso) return "";
+  const date = new Date(iso);
+  const shifted = new Date(date.getTime() + getOffset(date, timeZone));
+  return shifted.toISOString().slice(0, 16);
+};
+
+/**
+ * Format a round time in its own time zone, e.g. "Mon, Mar 3, 2:30 PM GMT+1"
+ */
+export const formatInTimeZone = (iso: string, timeZone: string, withZone = true) =>
+  new Date(iso).toLocaleString("en-US", {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    timeZone,
+    ...(withZone && { timeZoneName: "short" }),
+  });
@@ -0,0 +1,156 @@
+/**
+ * Job details
+ *
+ * Structured facts about a job (where, how and at what level, and the skills
+ * and experience it asks for) that used to live in notes. Every field is
+ * optional; null means not known.
+ */
+
+export type RemotePolicy = "remote" | "hybrid" | "onsite";
+export type EmploymentType = "full-time" | "part-time" | "contract" | "internship" | "temporary";
+export type SeniorityLevel =
+  | "intern"
+  | "entry"
+  | "mid"
+  | "senior"
+  | "lead"
+  | "manager"
+  | "director"
+  | "executive";
+
+export interface JobDetails {
+  locations: string[];
+  remotePolicy: RemotePolicy | null;
+  employmentType: EmploymentType | null;
+  seniority: SeniorityLevel | null;
+  visaSponsorship: boolean | null;
+  // Usually extracted from the description (AI requirements task)
+  requiredSkills: string[];
+  niceToHaveSkills: string[];
+  // Minimum years asked for
+  yearsOfExperience: number | null;
+}
+
+// Matches the backend values (jobApplication.constants.js)
+export const REMOTE_POLICIES: { value: RemotePolicy; label: string }[] = [
+  { value: "remote", label: "Remote" },
+  { value: "hybrid", label: "Hybrid" },
+  { value: "onsite", label: "Onsite" },
+];
+
+export const EMPLOYMENT_TYPES: { value: EmploymentType; label: string }[] = [
+  { value: "full-time", label: "Full-time" },
+  { value: "part-time", label: "Part-time" },
+  { value: "contract", label: "Contract" },
+  { value: "internship", label: "Internship" },
+  { value: "temporary", label: "Temporary" },
+];
+
+export const SENIORITY_LEVELS: { value: SeniorityLevel; label: string }[] = [
+  { value: "intern", label: "Intern" },
+  { value: "entry", label: "Entry level" },
+  { value: "mid", label: "Mid level" },
+  { value: "senior", label: "Senior" },
+  { value: "lead", label: "Lead / Staff" },
+  { value: "manager", label: "Manager" },
+  { value: "director", label: "Director" },
+  { value: "executive", label: "Executive" },
+];
+
+export const VISA_SPONSORSHIP_OPTIONS: { value: "true" | "false"; label: string }[] = [
+  { value: "true", label: "Sponsors visas" },
+  { value: "false", label: "No sponsorship" },
+];
+
+// Filter value for "not set" (matches the API)
+export const UNSET_FILTER_VALUE = "none";
+
+export const MAX_LOCATIONS = 10;
+export const MAX_SKILLS = 30;
+export const SKILL_MAX_LENGTH = 60;
+export const MAX_YEARS_OF_EXPERIENCE = 50;
+
+export const EMPTY_JOB_DETAILS: JobDetails = {
+  locations: [],
+  remotePolicy: null,
+  employmentType: null,
+  seniority: null,
+  visaSponsorship: null,
+  requiredSkills: [],
+  niceToHaveSkills: [],
+  yearsOfExperience: null,
+};
+
+const findLabel = (options: { value: string; label: string }[], value: string | null | undefined) =>
+  options.find((option) => option.value === value)?.label || "";
+
+export const getRemotePolicyLabel = (value?: string | null) => findLabel(REMOTE_POLICIES, value);
+export const getEmploymentTypeLabel = (value?: string | null) => findLabel(EMPLOYMENT_TYPES, value);
+export const getSeniorityLabel = (value?: string | null) => findLabel(SENIORITY_LEVELS, value);
+export const getVisaSponsorshipLabel = (value?: boolean | null) =>
+  value === null || value === undefined ? "" : findLabel(VISA_SPONSORSHIP_OPTIONS, String(value));
+export const getYearsOfExperienceLabel = (value?: number | null) =>
+  value === null || value === undefined ? "" : `${value}+ year${value === 1 ? "" : "s"}`;
+
+/**
+ * Split a semicolon-separated location field (e.g. "Austin, TX; Remote - US")
+ * Semicolons, because locations often contain commas.
+ */
+export const splitLocations = (value: string) =>
+  value
+    .split(";")
+    .map((location) => location.trim())
+    .filter(Boolean);
+
+/**
+ * Split a comma-separated skill field (e.g. "React, Node.js")
+ */
+export const splitSkills = (value: string) =>
+  value
+    .split(",")
+    .map((skill) => skill.trim())
+    .filter(Boolean);
+
+// Job details form state: selects use "" for not set
+export interface JobDetailsFormValues {
+  locations: string;
+  remotePolicy: RemotePolicy | "";
+  employmentType: EmploymentType | "";
+  seniority: SeniorityLevel | "";
+  visaSponsorship: "true" | "false" | "";
+  // Skills are comma-separated
+  requiredSkills: string;
+  niceToHaveSkills: string;
+  yearsOfExperience: string;
+}
+
+export const toJobDetailsForm = (details?: Partial<JobDetails> | null): JobDetailsFormValues => ({
+  locations: (details?.locations || []).join("; "),
+  remotePolicy: details?.remotePolicy || "",
+  employmentType: details?.employmentType || "",
+  seniority: details?.seniority || "",
+  visaSponsorship:
+    details?.visaSponsorship === null || details?.visaSponsorship === undefined
+      ? ""
+      : details.visaSponsorship ? "true" : "false",
+  requiredSkills: (details?.requiredSkills || []).join(", "),
+  niceToHaveSkills: (details?.niceToHaveSkills || []).join(", "),
+  yearsOfExperience:
+    details?.yearsOfExperience === null || details?.yearsOfExperience === undefined
+      ? ""
+      : String(details.yearsOfExperience),
+});
+
+/**
+ * Form values → API job details (not set is sent as null, which clears it)
+ */
+export const fromJobDetailsForm = (values: JobDetailsFormValues): JobDetails => ({
+  locations: splitLocations(values.locations),
+  remotePolicy: values.remotePolicy || null,
+  employmentType: values.employmentType || null,
+  seniority: values.seniority || null,
+  visaSponsorship: values.visaSponsorship === "" ? null : values.visaSponsorship === "true",
+  requiredSkills: splitSkills(values.requiredSkills),
+  niceToHaveSkills: splitSkills(values.niceToHaveSkills),
+  yearsOfExperience: values.yearsOfExperience.trim() === "" ? null : Number(values.yearsOfExperience),
+});
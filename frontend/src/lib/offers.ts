@@ -0,0 +1,96 @@
+/**
+ * Offers
+ *
+ * One offer per application. Amounts are yearly and in the offer's own
+ * currency, except the one-time sign-on bonus and the whole equity grant.
+ * Total compensation is computed by the backend (utils/compensation.js).
+ */
+
+export type OfferDecision = "pending" | "accepted" | "declined" | "expired";
+
+export interface OfferEquity {
+  grantValue: number;
+  // Percent of the grant vesting in each year
+  vestingSchedule: number[];
+  cliffMonths: number;
+}
+
+export interface CompensationYear {
+  year: number;
+  base: number;
+  bonus: number;
+  signOn: number;
+  equity: number;
+  total: number;
+}
+
+export interface Compensation {
+  byYear: CompensationYear[];
+  firstYear: number;
+  // Sum over all compared years
+  total: number;
+}
+
+export interface Offer {
+  _id: string;
+  // Populated in lists and comparisons
+  application: string | { _id: string; company: string; jobTitle: string; status: string };
+  currency: string;
+  baseSalary: number;
+  bonus: number;
+  signOnBonus: number;
+  equity: OfferEquity;
+  benefits: string;
+  ptoDays: number | null;
+  startDate: string | null;
+  responseDeadline: string | null;
+  decision: OfferDecision;
+  notes: string;
+  compensation: Compensation;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface OfferComparison {
+  offers: Offer[];
+  years: number;
+  currencies: string[];
+  // Only set when all offers share a currency
+  bestFirstYear: string | null;
+  bestTotal: string | null;
+}
+
+// Matches the backend decisions (offer.constants.js)
+export const OFFER_DECISIONS: { value: OfferDecision; label: string; className: string }[] = [
+  { value: "pending", label: "Pending", className: "bg-muted text-muted-foreground" },
+  { value: "accepted", label: "Accepted", className: "bg-green-500/20 text-green-600" },
+  { value: "declined", label: "Declined", className: "bg-red-500/20 text-red-600" },
+  { value: "expired", label: "Expired", className: "bg-amber-500/20 text-amber-600" },
+];
+
+export const COMMON_CURRENCIES = ["USD", "EUR", "GBP", "CAD", "AUD", "INR", "NGN", "JPY", "CHF", "SGD"];
+
+export const VESTING_PRESETS: { label: string; schedule: number[]; cliffMonths: number }[] = [
+  { label: "4 years, even, 1-year cliff", schedule: [25, 25, 25, 25], cliffMonths: 12 },
+  { label: "4 years, back-loaded (10/20/30/40)", schedule: [10, 20, 30, 40], cliffMonths: 12 },
+  { label: "4 years, front-loaded (40/30/20/10)", schedule: [40, 30, 20, 10], cliffMonths: 12 },
+  { label: "3 years, even, no cliff", schedule: [33.33, 33.33, 33.34], cliffMonths: 0 },
+];
+
+export const getOfferApplication = (offer: Offer) =>
+  typeof offer.application === "string" ? null : offer.application;
+
+/**
+ * Format an amount in a currency, e.g. "$120,000"
+ */
+export const formatMoney = (amount: number, currency: string) => {
+  try {
+    return new Intl.NumberFormat("en-US", {
+      style: "currency",
+      currency,
+      maximumFractionDigits: 0,
+    }).format(amount || 0);
+  } catch {
+    return `${Math.round(amount || 0).toLocaleString("en-US")} ${currency}`;
+  }
+};
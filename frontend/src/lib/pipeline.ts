@@ -0,0 +1,87 @@
+/**
+ * Pipeline helpers
+ *
+ * Applications store the key of a stage from the user's own pipeline.
+ * Every stage maps to one of the fixed categories below, which drive
+ * colors, analytics and reminders.
+ */
+
+export type StageCategory = "saved" | "applied" | "interview" | "offer" | "rejected";
+
+export interface PipelineStage {
+  key: string;
+  label: string;
+  category: StageCategory;
+}
+
+export const STAGE_CATEGORIES: StageCategory[] = ["saved", "applied", "interview", "offer", "rejected"];
+
+export const categoryLabels: Record<StageCategory, string> = {
+  saved: "Saved",
+  applied: "Applied",
+  interview: "Interview",
+  offer: "Offer",
+  rejected: "Rejected",
+};
+
+// Used until the pipeline has loaded (matches the backend defaults)
+export const DEFAULT_STAGES: PipelineStage[] = STAGE_CATEGORIES.map((category) => ({
+  key: category,
+  label: categoryLabels[category],
+  category,
+}));
+
+export const categoryBadgeClasses: Record<StageCategory, string> = {
+  saved: "badge-applied",
+  applied: "badge-applied",
+  interview: "badge-interviewing",
+  offer: "badge-offered",
+  rejected: "badge-rejected",
+};
+
+export const categoryDotClasses: Record<StageCategory, string> = {
+  saved: "bg-purple-500",
+  applied: "bg-blue-500",
+  interview: "bg-amber-500",
+  offer: "bg-green-500",
+  rejected: "bg-red-500",
+};
+
+export const categoryChartColors: Record<StageCategory, string> = {
+  saved: "#3b82f6", // blue
+  applied: "#8b5cf6", // purple
+  interview: "#f59e0b", // amber
+  offer: "#10b981", // green
+  rejected: "#ef4444", // red
+};
+
+const isCategory = (value: string): value is StageCategory =>
+  (STAGE_CATEGORIES as string[]).includes(value);
+
+/**
+ * Resolve a stage key to its category. Keys that are no longer in the
+ * pipeline fall back to the key itself when it is a category.
+ */
+export const getStageCategory = (stages: PipelineStage[], key?: string | null): StageCategory | null => {
+  if (!key) return null;
+  const stage = stages.find((s) => s.key === key);
+  if (stage) return stage.category;
+  return isCategory(key) ? key : null;
+};
+
+export const getStageLabel = (stages: PipelineStage[], key?: string | null): string => {
+  if (!key) return "";
+  const stage = stages.find((s) => s.key === key);
+  if (stage) return stage.label;
+  return isCategory(key) ? categoryLabels[key] : key;
+};
+
+export const getStageBadgeClass = (stages: PipelineStage[], key?: string | null): string => {
+  const category = getStageCategory(stages, key);
+  return category ? categoryBadgeClasses[category] : "badge-applied";
+};
+
+export const getStageDotClass = (stages: PipelineStage[], key?: string | null): string => {
+  const category = getStageCategory(stages, key);
+  return category ? categoryDotClasses[category] : "bg-primary";
+};
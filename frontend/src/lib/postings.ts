@@ -0,0 +1,36 @@
+/**
+ * Job posting import
+ *
+ * A job posting read into a draft application (POST /api/applications/parse-posting),
+ * from its URL or from page HTML pasted by the user when the site needs a
+ * login. Nothing is saved: the draft fills the create form for review.
+ */
+
+import type { Salary } from "@/lib/salary";
+import type { EmploymentType, RemotePolicy, SeniorityLevel } from "@/lib/jobDetails";
+
+// Pasted HTML limit (checked again by the backend)
+export const POSTING_HTML_MAX_LENGTH = 3000000;
+
+export interface ParsedPosting {
+  draft: {
+    // Empty strings when not found
+    company: string;
+    jobTitle: string;
+    jobLink: string;
+    jobDescription: string;
+    // Job board label, e.g. "Greenhouse"
+    source: string;
+    locations: string[];
+    // null when not found
+    salary: Omit<Salary, "expected"> | null;
+    remotePolicy: RemotePolicy | null;
+    employmentType: EmploymentType | null;
+    seniority: SeniorityLevel | null;
+  };
+  // Extractors that supplied fields, e.g. ["lever", "json-ld"]
+  extractors: string[];
+  // Required fields that were not found
+  missingFields: string[];
+  warnings: string[];
+}
@@ -0,0 +1,84 @@
+/**
+ * Resumes
+ *
+ * The resume library: named resume texts tailored per role. One is the
+ * default; an application can pick its own, and AI analyses read the chosen
+ * resume (falling back to the profile resume summary when the library is empty).
+ */
+
+export type ResumeSectionType =
+  | "summary"
+  | "experience"
+  | "education"
+  | "skills"
+  | "projects"
+  | "certifications"
+  | "other";
+
+export interface ResumeSection {
+  type: ResumeSectionType;
+  title: string;
+  content: string;
+}
+
+export interface Resume {
+  _id: string;
+  name: string;
+  targetRole: string;
+  content: string;
+  sections: ResumeSection[];
+  isDefault: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
+// Matches the backend section types (resume.constants.js)
+export const RESUME_SECTION_TYPES: { value: ResumeSectionType; label: string }[] = [
+  { value: "summary", label: "Summary" },
+  { value: "experience", label: "Experience" },
+  { value: "education", label: "Education" },
+  { value: "skills", label: "Skills" },
+  { value: "projects", label: "Projects" },
+  { value: "certifications", label: "Certifications" },
+  { value: "other", label: "Other" },
+];
+
+export const resumeSectionLabels: Record<ResumeSectionType, string> = Object.fromEntries(
+  RESUME_SECTION_TYPES.map(({ value, label }) => [value, label])
+) as Record<ResumeSectionType, string>;
+
+// Limits (checked again by the backend)
+export const RESUME_CONTENT_MAX_LENGTH = 20000;
+export const RESUME_SECTION_CONTENT_MAX_LENGTH = 10000;
+export const MAX_RESUME_SECTIONS = 20;
+
+/**
+ * Label for a resume in pickers, e.g. "Backend (default)"
+ */
+export const resumeOptionLabel = (resume: Resume) =>
+  `${resume.name}${resume.targetRole ? ` - ${resume.targetRole}` : ""}${resume.isDefault ? " (default)" : ""}`;
+
+/**
+ * Whether a resume has anything for an AI analysis to read
+ */
+export const hasResumeText = (resume: Resume) =>
+  resume.content.trim().length > 0 || resume.sections.some((section) => section.content.trim().length > 0);
+
+// Resume file import (POST /api/resumes/parse)
+export const RESUME_IMPORT_ACCEPT = ".pdf,.docx";
+export const RESUME_IMPORT_MAX_FILE_SIZE = 10 * 1024 * 1024;
+export const PROFILE_RESUME_SUMMARY_MAX_LENGTH = 2000;
+
+export interface ParsedResume {
+  draft: {
+    name: string;
+    targetRole: string;
+    content: string;
+    sections: ResumeSection[];
+    // Summary section text, sized for the profile resume summary
+    summary: string;
+  };
+  // Empty strings when not found
+  contact: { phone: string; linkedInUrl: string; portfolioUrl: string };
+  warnings: string[];
+}
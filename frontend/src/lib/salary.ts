@@ -0,0 +1,141 @@
+/**
+ * Salaries
+ *
+ * An application's posted salary range and expected salary share one
+ * currency and pay period. Filters and analytics compare yearly amounts,
+ * converted by the backend with its exchange-rate table.
+ */
+
+import { formatMoney } from "@/lib/offers";
+
+export type SalaryPeriod = "annual" | "hourly";
+
+export interface Salary {
+  min: number | null;
+  max: number | null;
+  currency: string;
+  period: SalaryPeriod;
+  expected: number | null;
+}
+
+// Matches the backend periods (jobApplication.constants.js)
+export const SALARY_PERIODS: { value: SalaryPeriod; label: string; suffix: string }[] = [
+  { value: "annual", label: "Per year", suffix: "/yr" },
+  { value: "hourly", label: "Per hour", suffix: "/hr" },
+];
+
+export const EMPTY_SALARY: Salary = {
+  min: null,
+  max: null,
+  currency: "USD",
+  period: "annual",
+  expected: null,
+};
+
+export interface SalaryStats {
+  count: number;
+  median: number | null;
+  average: number | null;
+  min: number | null;
+  max: number | null;
+}
+
+export interface CompensationAnalytics {
+  currency: string;
+  // Currencies the backend has a rate for
+  currencies: string[];
+  ratesUpdatedAt: string | null;
+  posted: SalaryStats;
+  expected: SalaryStats;
+  // Applications in a currency without a rate
+  unconverted: number;
+  buckets: { from: number; to: number; posted: number; expected: number }[];
+  byCategory: Record<string, { count: number; median: number | null }>;
+}
+
+const periodSuffix = (period: SalaryPeriod) =>
+  SALARY_PERIODS.find((option) => option.value === period)?.suffix || "";
+
+/**
+ * Format a posted range, e.g. "$120,000 – $150,000/yr" or "From $45/hr"
+ * Returns "" when no range is recorded.
+ */
+export const formatSalaryRange = (salary?: Partial<Salary> | null) => {
+  if (!salary || (salary.min == null && salary.max == null)) return "";
+  const currency = salary.currency || "USD";
+  const suffix = periodSuffix(salary.period || "annual");
+
+  if (salary.min != null && salary.max != null) {
+    return salary.min === salary.max
+      ? `${formatMoney(salary.min, currency)}${suffix}`
+      : `${formatMoney(salary.min, currency)} – ${formatMoney(salary.max, currency)}${suffix}`;
+  }
+  return salary.min != null
+    ? `From ${formatMoney(salary.min, currency)}${suffix}`
+    : `Up to ${formatMoney(salary.max as number, currency)}${suffix}`;
+};
+
+/**
+ * Format an expected salary in the range's currency and period ("" if not set)
+ */
+export const formatExpectedSalary = (salary?: Partial<Salary> | null) =>
+  salary?.expected != null
+    ? `${formatMoney(salary.expected, salary.currency || "USD")}${periodSuffix(salary.period || "annual")}`
+    : "";
+
+/**
+ * Compact amount for chart axes, e.g. "$120k"
+ */
+export const formatCompactMoney = (amount: number, currency: string) => {
+  try {
+    return new Intl.NumberFormat("en-US", {
+      style: "currency",
+      currency,
+      notation: "compact",
+      maximumFractionDigits: 1,
+    }).format(amount);
+  } catch {
+    return `${Math.round(amount / 1000)}k ${currency}`;
+  }
+};
+
+// Salary form state: amounts as typed
+export interface SalaryFormValues {
+  min: string;
+  max: string;
+  currency: string;
+  period: SalaryPeriod;
+  expected: string;
+}
+
+export const toSalaryForm = (salary?: Partial<Salary> | null): SalaryFormValues => ({
+  min: salary?.min != null ? String(salary.min) : "",
+  max: salary?.max != null ? String(salary.max) : "",
+  currency: salary?.currency || EMPTY_SALARY.currency,
+  period: salary?.period || EMPTY_SALARY.period,
+  expected: salary?.expected != null ? String(salary.expected) : "",
+});
+
+/**
+ * Form values → API salary, or an error message for the form
+ * Empty amounts are sent as null (clears them).
+ */
+export const fromSalaryForm = (values: SalaryFormValues): Salary | string => {
+  const parse = (value: string) => {
+    if (value.trim() === "") return null;
+    const amount = Number(value);
+    return Number.isFinite(amount) && amount >= 0 ? amount : undefined;
+  };
+
+  const min = parse(values.min);
+  const max = parse(values.max);
+  const expected = parse(values.expected);
+  if (min === undefined || max === undefined || expected === undefined) {
+    return "Salary amounts must be positive numbers";
+  }
+  if (min !== null && max !== null && min > max) {
+    return "Maximum salary must be greater than or equal to minimum salary";
+  }
+
+  return { min, max, currency: values.currency, period: values.period, expected };
+};
@@ -0,0 +1,58 @@
+/**
+ * Saved views
+ *
+ * A saved view is a named set of list filters, sort and visible columns
+ * (e.g. "Applied > 14 days, no response"). Filters use the same query
+ * parameters as GET /api/applications.
+ */
+
+export type ViewColumn = "dateApplied" | "source" | "matchScore" | "salary" | "createdAt" | "updatedAt";
+
+export interface SavedView {
+  _id: string;
+  name: string;
+  filters: Record<string, string>;
+  sort: {
+    sortBy: string | null;
+    sortOrder: "asc" | "desc";
+  };
+  columns: ViewColumn[];
+  count: number;
+}
+
+export const VIEW_COLUMNS: ViewColumn[] = ["dateApplied", "source", "matchScore", "salary", "createdAt", "updatedAt"];
+
+export const DEFAULT_VIEW_COLUMNS: ViewColumn[] = ["dateApplied"];
+
+export const viewColumnLabels: Record<ViewColumn, string> = {
+  dateApplied: "Date Applied",
+  source: "Source",
+  matchScore: "Match Score",
+  salary: "Salary",
+  createdAt: "Date Added",
+  updatedAt: "Last Updated",
+};
+
+// Fired after a view is created, changed or deleted so every list of views reloads
+export const SAVED_VIEWS_CHANGED_EVENT = "saved-views-changed";
+
+export const notifySavedViewsChanged = () => {
+  window.dispatchEvent(new Event(SAVED_VIEWS_CHANGED_EVENT));
+};
+
+/**
+ * The parts of the Applications page a view stores
+ */
+export type SavedViewSettings = Pick<SavedView, "filters" | "sort" | "columns">;
+
+const sortedEntries = (filters: Record<string, string>) =>
+  Object.entries(filters).sort(([a], [b]) => a.localeCompare(b));
+
+/**
+ * Whether the page currently shows exactly what a view stores
+ */
+export const isSameViewSettings = (view: SavedViewSettings, settings: SavedViewSettings) =>
+  JSON.stringify(sortedEntries(view.filters || {})) === JSON.stringify(sortedEntries(settings.filters)) &&
+  (view.sort?.sortBy || "createdAt") === (settings.sort.sortBy || "createdAt") &&
+  (view.sort?.sortOrder || "desc") === settings.sort.sortOrder &&
+  [...view.columns].sort().join(",") === [...settings.columns].sort().join(",");
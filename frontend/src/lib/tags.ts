@@ -0,0 +1,89 @@
+/**
+ * Tags
+ *
+ * Applications store tag names; each name has a tag with a color from a
+ * fixed palette. Names are unique per user, ignoring case.
+ */
+
+export type TagColor =
+  | "gray"
+  | "red"
+  | "orange"
+  | "amber"
+  | "green"
+  | "teal"
+  | "blue"
+  | "indigo"
+  | "purple"
+  | "pink";
+
+export interface Tag {
+  _id: string;
+  name: string;
+  color: TagColor;
+  // Applications using the tag (not counting the trash)
+  count: number;
+}
+
+// Matches the backend palette (tag.constants.js)
+export const TAG_COLORS: TagColor[] = [
+  "gray",
+  "red",
+  "orange",
+  "amber",
+  "green",
+  "teal",
+  "blue",
+  "indigo",
+  "purple",
+  "pink",
+];
+
+export const DEFAULT_TAG_COLOR: TagColor = "gray";
+
+export const tagChipClasses: Record<TagColor, string> = {
+  gray: "bg-muted text-muted-foreground",
+  red: "bg-red-500/15 text-red-600 dark:text-red-400",
+  orange: "bg-orange-500/15 text-orange-600 dark:text-orange-400",
+  amber: "bg-amber-500/15 text-amber-600 dark:text-amber-400",
+  green: "bg-green-500/15 text-green-600 dark:text-green-400",
+  teal: "bg-teal-500/15 text-teal-600 dark:text-teal-400",
+  blue: "bg-blue-500/15 text-blue-600 dark:text-blue-400",
+  indigo: "bg-indigo-500/15 text-indigo-600 dark:text-indigo-400",
+  purple: "bg-purple-500/15 text-purple-600 dark:text-purple-400",
+  pink: "bg-pink-500/15 text-pink-600 dark:text-pink-400",
+};
+
+export const tagDotClasses: Record<TagColor, string> = {
+  gray: "bg-gray-400",
+  red: "bg-red-500",
+  orange: "bg-orange-500",
+  amber: "bg-amber-500",
+  green: "bg-green-500",
+  teal: "bg-teal-500",
+  blue: "bg-blue-500",
+  indigo: "bg-indigo-500",
+  purple: "bg-purple-500",
+  pink: "bg-pink-500",
+};
+
+// Fired after a tag is created, renamed, recolored or deleted so every tag list reloads
+export const TAGS_CHANGED_EVENT = "tags-changed";
+
+export const notifyTagsChanged = () => {
+  window.dispatchEvent(new Event(TAGS_CHANGED_EVENT));
+};
+
+/**
+ * Color of a tag name; names without a tag (not loaded yet) are gray
+ */
+export const getTagColor = (tags: Tag[], name: string): TagColor => {
+  const key = name.toLowerCase();
+  return tags.find((tag) => tag.name.toLowerCase() === key)?.color || DEFAULT_TAG_COLOR;
+};
+
+/**
+ * Split comma-separated input into tag names
+ */
+export const splitTags = (value: string) =>
+  value.split(",").map((tag) => tag.trim()).filter(Boolean);
@@ -16,6 +16,8 @@ import { formatDistanceToNow } from "date-fns";
 import { Link } from "react-router-dom";
 import { toast } from "sonner";
 import { useAuth } from "@/contexts/AuthContext";
+import { useResumes } from "@/hooks/use-resumes";
+import { resumeOptionLabel } from "@/lib/resumes";
 import ResumeMatchDisplay from "@/components/ai/ResumeMatchDisplay";
 import InterviewPrepDisplay from "@/components/ai/InterviewPrepDisplay";
 import ResumeImprovementDisplay from "@/components/ai/ResumeImprovementDisplay";
@@ -39,8 +41,13 @@ const AITools = () => {
   const [applications, setApplications] = useState<Application[]>([]);
   const [loading, setLoading] = useState(true);
   const [aiLoading, setAiLoading] = useState<Record<string, string>>({});
+  const { resumes } = useResumes();
+  // "" = each application's own resume, or the default resume
+  const [resumeId, setResumeId] = useState("");
   
   const hasResumeSummary = user?.profile?.resumeSummary && user.profile.resumeSummary.trim().length > 0;
+  // AI analyses read a resume from the library, or the profile resume summary without one
+  const hasResume = resumes.length > 0 || hasResumeSummary;
 
   useEffect(() => {
     loadApplications();
@@ -64,9 +71,9 @@ const AITools = () => {
     applicationId: string,
     type: "resumeMatch" | "interviewPrep" | "resumeImprovement"
   ) => {
-    // Check if resume summary is required and missing
-    if ((type === "resumeMatch" || type === "interviewPrep") && !hasResumeSummary) {
-      toast.error("Resume summary is required. Please add it in Settings.");
+    // Check if a resume is required and missing
+    if ((type === "resumeMatch" || type === "interviewPrep") && !hasResume) {
+      toast.error("A resume is required. Please add one to your resume library.");
       return;
     }
     
@@ -76,9 +83,9 @@ const AITools = () => {
 
       let response;
       if (type === "resumeMatch") {
-        response = await applicationsAPI.generateResumeMatch(applicationId);
+        response = await applicationsAPI.generateResumeMatch(applicationId, resumeId || undefined);
       } else if (type === "interviewPrep") {
-        response = await applicationsAPI.generateInterviewPrep(applicationId);
+        response = await applicationsAPI.generateInterviewPrep(applicationId, resumeId || undefined);
       } else {
         // Resume improvement requires resume bullets
         const resumeBullets = prompt(
@@ -161,22 +168,22 @@ const AITools = () => {
           </motion.p>
         </div>
 
-        {/* Resume Summary Warning */}
-        {!hasResumeSummary && (
+        {/* Resume Warning */}
+        {!hasResume && (
           <Card className="border-amber-500 bg-amber-50 dark:bg-amber-950/20">
             <CardContent className="p-4">
               <div className="flex items-start gap-3">
                 <FileText className="w-5 h-5 text-amber-600 dark:text-amber-400 flex-shrink-0 mt-0.5" />
                 <div className="flex-1">
                   <p className="font-semibold text-amber-900 dark:text-amber-100 mb-1">
-                    Resume Summary Required
+                    Resume Required
                   </p>
                   <p className="text-sm text-amber-800 dark:text-amber-200 mb-3">
-                    To use Resume Match and Interview Prep features, you need to add your resume summary in Settings.
+                    To use Resume Match and Interview Prep features, you need to add a resume to your resume library.
                   </p>
-                  <Link to="/dashboard/settings">
+                  <Link to="/dashboard/resumes">
                     <Button variant="outline" size="sm" className="border-amber-500 text-amber-700 dark:text-amber-300">
-                      Go to Settings
+                      Go to Resumes
                     </Button>
                   </Link>
                 </div>
@@ -185,6 +192,30 @@ const AITools = () => {
           </Card>
         )}
 
+        {/* Resume Picker */}
+        {resumes.length > 0 && (
+          <Card>
+            <CardContent className="p-4 flex flex-col sm:flex-row sm:items-center gap-2">
+              <label htmlFor="ai-resume" className="text-sm font-medium text-muted-foreground">
+                Analyze with
+              </label>
+              <select
+                id="ai-resume"
+                value={resumeId}
+                onChange={(e) => setResumeId(e.target.value)}
+                className="flex-1 px-3 py-2 rounded-lg border border-border bg-background text-foreground text-sm"
+              >
+                <option value="">Each application's resume (or the default)</option>
+                {resumes.map((resume) => (
+                  <option key={resume._id} value={resume._id}>
+                    {resumeOptionLabel(resume)}
+                  </option>
+                ))}
+              </select>
+            </CardContent>
+          </Card>
+        )}
+
         {/* Applications List */}
         {applications.length === 0 ? (
           <Card>
@@ -233,7 +264,7 @@ const AITools = () => {
                           variant="outline"
                           onClick={() => handleAI(app._id, "resumeMatch")}
                           disabled={
-                            !!aiLoading[`${app._id}-resumeMatch`] || !hasJobDescription(app) || !hasResumeSummary
+                            !!aiLoading[`${app._id}-resumeMatch`] || !hasJobDescription(app) || !hasResume
                           }
                           className="flex flex-col items-center gap-2 h-auto py-4"
                         >
@@ -243,12 +274,12 @@ const AITools = () => {
                             <Sparkles className="w-5 h-5" />
                           )}
                           <span>Resume Match</span>
-                          {!hasResumeSummary && (
+                          {!hasResume && (
                             <span className="text-xs text-red-500">
-                              Requires resume summary
+                              Requires a resume
                             </span>
                           )}
-                          {hasResumeSummary && !hasJobDescription(app) && (
+                          {hasResume && !hasJobDescription(app) && (
                             <span className="text-xs text-muted-foreground">
                               Requires job description
                             </span>
@@ -259,7 +290,7 @@ const AITools = () => {
                           variant="outline"
                           onClick={() => handleAI(app._id, "interviewPrep")}
                           disabled={
-                            !!aiLoading[`${app._id}-interviewPrep`] || !hasJobDescription(app) || !hasResumeSummary
+                            !!aiLoading[`${app._id}-interviewPrep`] || !hasJobDescription(app) || !hasResume
                           }
                           className="flex flex-col items-center gap-2 h-auto py-4"
                         >
@@ -269,12 +300,12 @@ const AITools = () => {
                             <Brain className="w-5 h-5" />
                           )}
                           <span>Interview Prep</span>
-                          {!hasResumeSummary && (
+                          {!hasResume && (
                             <span className="text-xs text-red-500">
-                              Requires resume summary
+                              Requires a resume
                             </span>
                           )}
-                          {hasResumeSummary && !hasJobDescription(app) && (
+                          {hasResume && !hasJobDescription(app) && (
                             <span className="text-xs text-muted-foreground">
                               Requires job description
                             </span>
@@ -1,4 +1,4 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useCallback } from "react";
 import { motion } from "framer-motion";
 import {
   BarChart3,
@@ -9,10 +9,18 @@ import {
   CheckCircle2,
   XCircle,
   Clock,
+  Filter,
+  Timer,
+  Tag as TagIcon,
+  Building2,
+  Banknote,
+  MapPin,
 } from "lucide-react";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Checkbox } from "@/components/ui/checkbox";
 import DashboardLayout from "@/components/dashboard/DashboardLayout";
 import { analyticsAPI } from "@/lib/api";
+import { Link } from "react-router-dom";
 import { toast } from "sonner";
 import {
   BarChart,
@@ -28,7 +36,20 @@ import {
   ResponsiveContainer,
   LineChart,
   Line,
+  FunnelChart,
+  Funnel,
+  LabelList,
 } from "recharts";
+import { PipelineStage, STAGE_CATEGORIES, StageCategory, categoryChartColors, categoryLabels } from "@/lib/pipeline";
+import { TagColor, tagChipClasses } from "@/lib/tags";
+import { CompensationAnalytics, formatCompactMoney } from "@/lib/salary";
+import { formatMoney } from "@/lib/offers";
+import {
+  getEmploymentTypeLabel,
+  getRemotePolicyLabel,
+  getSeniorityLabel,
+  getVisaSponsorshipLabel,
+} from "@/lib/jobDetails";
 
 interface AnalyticsData {
   total: number;
@@ -45,47 +66,138 @@ interface AnalyticsData {
     count: number;
     monthLabel?: string;
   }>;
+  // Per-stage counts in pipeline order (custom stages roll up into byStatus categories)
+  byStage?: Array<PipelineStage & { count: number }>;
   successRate: number;
   successful: number;
 }
 
-const COLORS = {
-  saved: "#3b82f6", // blue
-  applied: "#8b5cf6", // purple
-  interview: "#f59e0b", // amber
-  offer: "#10b981", // green
-  rejected: "#ef4444", // red
-};
+interface FunnelStage {
+  stage: string;
+  count: number;
+  conversionRate: number | null;
+  medianDaysInStage: number | null;
+}
 
-const statusLabels: Record<string, string> = {
-  saved: "Saved",
-  applied: "Applied",
-  interview: "Interview",
-  offer: "Offer",
-  rejected: "Rejected",
-};
+interface FunnelData {
+  total: number;
+  stages: FunnelStage[];
+  medianDaysInStage: Record<string, number | null>;
+  averageDaysToFirstResponse: number | null;
+  respondedCount: number;
+}
+
+interface TagBreakdown {
+  tag: string;
+  color: TagColor;
+  total: number;
+  byStatus: Record<StageCategory, number>;
+  successful: number;
+  successRate: number;
+}
+
+interface JobDetailRow {
+  value: string | boolean | null;
+  // Locations only: spelling of the location
+  name?: string;
+  total: number;
+  byStatus: Record<StageCategory, number>;
+  successful: number;
+  successRate: number;
+}
+
+type JobDetailKey = "remotePolicy" | "employmentType" | "seniority" | "visaSponsorship" | "locations";
+
+type JobDetailBreakdown = Record<JobDetailKey, JobDetailRow[]>;
+
+const JOB_DETAIL_VIEWS: { key: JobDetailKey; label: string; getLabel: (row: JobDetailRow) => string }[] = [
+  { key: "remotePolicy", label: "Remote Policy", getLabel: (row) => getRemotePolicyLabel(row.value as string) },
+  { key: "employmentType", label: "Employment Type", getLabel: (row) => getEmploymentTypeLabel(row.value as string) },
+  { key: "seniority", label: "Seniority", getLabel: (row) => getSeniorityLabel(row.value as string) },
+  { key: "visaSponsorship", label: "Visa Sponsorship", getLabel: (row) => getVisaSponsorshipLabel(row.value as boolean) },
+  { key: "locations", label: "Top Locations", getLabel: (row) => row.name || "" },
+];
+
+interface CompanyBreakdown {
+  companyId: string;
+  company: string;
+  total: number;
+  byStatus: Record<StageCategory, number>;
+  successRate: number;
+  responseRate: number;
+  averageMatchScore: number | null;
+}
+
+// The chart shows the most used tags; the table below it lists all of them
+const MAX_CHARTED_TAGS = 10;
+
+// Companies with the most applications
+const MAX_LISTED_COMPANIES = 10;
+
+const COLORS: Record<string, string> = categoryChartColors;
+
+const statusLabels: Record<string, string> = categoryLabels;
 
 const Analytics = () => {
   const [analytics, setAnalytics] = useState<AnalyticsData | null>(null);
+  const [funnel, setFunnel] = useState<FunnelData | null>(null);
+  const [tagBreakdown, setTagBreakdown] = useState<TagBreakdown[]>([]);
+  const [companyBreakdown, setCompanyBreakdown] = useState<CompanyBreakdown[]>([]);
   const [loading, setLoading] = useState(true);
+  const [includeArchived, setIncludeArchived] = useState(false);
+  const [jobDetails, setJobDetails] = useState<JobDetailBreakdown | null>(null);
+  const [jobDetailKey, setJobDetailKey] = useState<JobDetailKey>("remotePolicy");
+  const [compensation, setCompensation] = useState<CompensationAnalytics | null>(null);
+  const [compensationCurrency, setCompensationCurrency] = useState("USD");
 
-  useEffect(() => {
-    loadAnalytics();
-  }, []);
-
-  const loadAnalytics = async () => {
+  // Only the first load shows the spinner; switching the archived toggle
+  // keeps the current charts on screen until the new data arrives
+  const loadAnalytics = useCallback(async () => {
     try {
-      setLoading(true);
-      const response = await analyticsAPI.getComprehensive();
+      const params = includeArchived ? { includeArchived: "true" as const } : undefined;
+      const [response, funnelResponse, tagsResponse, companiesResponse, jobDetailsResponse] = await Promise.all([
+        analyticsAPI.getComprehensive(params),
+        // Funnel, tags, companies and job details are supplementary - the rest of the page still renders without them
+        analyticsAPI.getFunnel(params).catch(() => null),
+        analyticsAPI.getTags(params).catch(() => null),
+        analyticsAPI.getCompanies(params).catch(() => null),
+        analyticsAPI.getJobDetails(params).catch(() => null),
+      ]);
       const data = response.data?.data?.analytics || response.data?.analytics;
       setAnalytics(data);
+      setFunnel(funnelResponse?.data?.data?.funnel || null);
+      setTagBreakdown(tagsResponse?.data?.data?.tags || []);
+      setCompanyBreakdown(companiesResponse?.data?.data?.companies || []);
+      setJobDetails(jobDetailsResponse?.data?.data?.jobDetails || null);
     } catch (error: any) {
       console.error("Failed to load analytics:", error);
       toast.error(error?.response?.data?.message || "Failed to load analytics");
     } finally {
       setLoading(false);
     }
-  };
+  }, [includeArchived]);
+
+  useEffect(() => {
+    loadAnalytics();
+  }, [loadAnalytics]);
+
+  // Loaded on its own so switching the currency only refreshes this chart
+  const loadCompensation = useCallback(async () => {
+    try {
+      const response = await analyticsAPI.getCompensation({
+        currency: compensationCurrency,
+        ...(includeArchived && { includeArchived: "true" as const }),
+      });
+      setCompensation(response.data?.data?.compensation || null);
+    } catch (error) {
+      // Supplementary - the rest of the page still renders without it
+      console.error("Failed to load compensation analytics:", error);
+    }
+  }, [compensationCurrency, includeArchived]);
+
+  useEffect(() => {
+    loadCompensation();
+  }, [loadCompensation]);
 
   const prepareStatusData = () => {
     if (!analytics) return [];
@@ -96,6 +208,15 @@ const Analytics = () => {
     }));
   };
 
+  const prepareStageData = () => {
+    if (!analytics?.byStage?.length) return prepareStatusData();
+    return analytics.byStage.map((stage) => ({
+      name: stage.label,
+      value: stage.count,
+      status: stage.category as string,
+    }));
+  };
+
   const prepareMonthlyData = () => {
     if (!analytics?.monthlyTrends) return [];
     return analytics.monthlyTrends.map((trend) => {
@@ -107,8 +228,45 @@ const Analytics = () => {
     });
   };
 
+  const prepareFunnelData = () => {
+    if (!funnel?.stages) return [];
+    return funnel.stages.map((stage) => ({
+      name: statusLabels[stage.stage] || stage.stage,
+      value: stage.count,
+      fill: COLORS[stage.stage as keyof typeof COLORS] || "#8884d8",
+    }));
+  };
+
+  const formatDays = (days: number | null | undefined) => {
+    if (days === null || days === undefined) return "—";
+    return `${days.toFixed(1)} ${days === 1 ? "day" : "days"}`;
+  };
+
   const statusData = prepareStatusData();
+  const stageData = prepareStageData();
   const monthlyData = prepareMonthlyData();
+  const funnelData = prepareFunnelData();
+  const jobDetailView = JOB_DETAIL_VIEWS.find((view) => view.key === jobDetailKey)!;
+  const jobDetailRows = jobDetails?.[jobDetailKey] || [];
+  const jobDetailChartData = jobDetailRows.map((row) => ({
+    name: row.value === null ? "Not set" : jobDetailView.getLabel(row),
+    ...row.byStatus,
+  }));
+  // Shown once any detail is set on any application
+  const hasJobDetails = !!jobDetails && JOB_DETAIL_VIEWS.some(({ key }) =>
+    jobDetails[key].some((row) => row.value !== null)
+  );
+  const compensationChartData = (compensation?.buckets || []).map((bucket) => ({
+    range: formatCompactMoney(bucket.from, compensation!.currency),
+    label: `${formatMoney(bucket.from, compensation!.currency)} – ${formatMoney(bucket.to, compensation!.currency)}`,
+    posted: bucket.posted,
+    expected: bucket.expected,
+  }));
+  const formatAmount = (amount: number | null | undefined) =>
+    amount === null || amount === undefined ? "—" : formatMoney(amount, compensation?.currency || "USD");
+  const tagChartData = tagBreakdown
+    .slice(0, MAX_CHARTED_TAGS)
+    .map((row) => ({ tag: row.tag, ...row.byStatus }));
 
   if (loading) {
     return (
@@ -137,22 +295,34 @@ const Analytics = () => {
     <DashboardLayout>
       <div className="space-y-6">
         {/* Header */}
-        <div>
-          <motion.h1
-            initial={{ opacity: 0, y: 10 }}
-            animate={{ opacity: 1, y: 0 }}
-            className="text-2xl lg:text-3xl font-bold text-foreground"
-          >
-            Analytics Dashboard
-          </motion.h1>
-          <motion.p
-            initial={{ opacity: 0, y: 10 }}
-            animate={{ opacity: 1, y: 0 }}
-            transition={{ delay: 0.1 }}
-            className="text-muted-foreground mt-1"
-          >
-            Insights into your job application journey
-          </motion.p>
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <motion.h1
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              className="text-2xl lg:text-3xl font-bold text-foreground"
+            >
+              Analytics Dashboard
+            </motion.h1>
+            <motion.p
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 0.1 }}
+              className="text-muted-foreground mt-1"
+            >
+              Insights into your job application journey
+            </motion.p>
+          </div>
+          <div className="flex items-center gap-2">
+            <Checkbox
+              id="analyticsIncludeArchived"
+              checked={includeArchived}
+              onCheckedChange={(checked) => setIncludeArchived(checked === true)}
+            />
+            <label htmlFor="analyticsIncludeArchived" className="text-sm text-muted-foreground">
+              Include archived applications
+            </label>
+          </div>
         </div>
 
         {/* Key Metrics */}
@@ -267,19 +437,19 @@ const Analytics = () => {
             <CardHeader>
               <CardTitle className="flex items-center gap-2">
                 <BarChart3 className="w-5 h-5" />
-                Status Breakdown
+                Stage Breakdown
               </CardTitle>
             </CardHeader>
             <CardContent>
-              {statusData.length > 0 ? (
+              {stageData.length > 0 ? (
                 <ResponsiveContainer width="100%" height={300}>
-                  <BarChart data={statusData}>
+                  <BarChart data={stageData}>
                     <CartesianGrid strokeDasharray="3 3" />
                     <XAxis dataKey="name" />
-                    <YAxis />
+                    <YAxis allowDecimals={false} />
                     <Tooltip />
                     <Bar dataKey="value" fill="#8884d8">
-                      {statusData.map((entry, index) => (
+                      {stageData.map((entry, index) => (
                         <Cell
                           key={`cell-${index}`}
                           fill={COLORS[entry.status as keyof typeof COLORS] || "#8884d8"}
@@ -297,6 +467,95 @@ const Analytics = () => {
           </Card>
         </div>
 
+        {/* Hiring Funnel */}
+        {funnel && (
+          <div className="grid lg:grid-cols-3 gap-6">
+            <Card className="lg:col-span-2">
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <Filter className="w-5 h-5" />
+                  Hiring Funnel
+                </CardTitle>
+              </CardHeader>
+              <CardContent>
+                {funnel.total > 0 ? (
+                  <>
+                    <ResponsiveContainer width="100%" height={300}>
+                      <FunnelChart>
+                        <Tooltip />
+                        <Funnel dataKey="value" data={funnelData} isAnimationActive>
+                          <LabelList position="right" fill="currentColor" stroke="none" dataKey="name" />
+                        </Funnel>
+                      </FunnelChart>
+                    </ResponsiveContainer>
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-4">
+                      {funnel.stages.map((stage) => (
+                        <div key={stage.stage} className="text-center p-3 bg-muted rounded-lg">
+                          <p className="text-sm font-medium text-foreground">
+                            {statusLabels[stage.stage] || stage.stage}
+                          </p>
+                          <p className="text-xl font-bold text-foreground mt-1">{stage.count}</p>
+                          <p className="text-xs text-muted-foreground mt-1">
+                            {stage.conversionRate === null
+                              ? "Entry stage"
+                              : `${stage.conversionRate}% converted`}
+                          </p>
+                          <p className="text-xs text-muted-foreground">
+                            Median stay: {formatDays(stage.medianDaysInStage)}
+                          </p>
+                        </div>
+                      ))}
+                    </div>
+                  </>
+                ) : (
+                  <div className="h-[300px] flex items-center justify-center text-muted-foreground">
+                    No funnel data available
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardContent className="p-6">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p className="text-sm text-muted-foreground mb-1">Avg. Days to First Response</p>
+                    <p className="text-3xl font-bold text-foreground">
+                      {funnel.averageDaysToFirstResponse !== null
+                        ? funnel.averageDaysToFirstResponse.toFixed(1)
+                        : "—"}
+                    </p>
+                    <p className="text-xs text-muted-foreground mt-1">
+                      Based on {funnel.respondedCount}{" "}
+                      {funnel.respondedCount === 1 ? "response" : "responses"}
+                    </p>
+                  </div>
+                  <div className="w-12 h-12 rounded-xl bg-gradient-to-br from-cyan-500 to-blue-500 flex items-center justify-center">
+                    <Timer className="w-6 h-6 text-white" />
+                  </div>
+                </div>
+                <div className="mt-6 space-y-2">
+                  <p className="text-sm font-medium text-foreground">Median Days in Stage</p>
+                  {Object.entries(funnel.medianDaysInStage).map(([status, days]) => (
+                    <div key={status} className="flex items-center justify-between text-sm">
+                      <span className="flex items-center gap-2 text-muted-foreground">
+                        <span
+                          className="w-2.5 h-2.5 rounded-full"
+                          style={{
+                            backgroundColor: COLORS[status as keyof typeof COLORS] || "#8884d8",
+                          }}
+                        />
+                        {statusLabels[status] || status}
+                      </span>
+                      <span className="font-medium text-foreground">{formatDays(days)}</span>
+                    </div>
+                  ))}
+                </div>
+              </CardContent>
+            </Card>
+          </div>
+        )}
+
         {/* Monthly Trends */}
         <Card>
           <CardHeader>
@@ -331,6 +590,280 @@ const Analytics = () => {
           </CardContent>
         </Card>
 
+        {/* Tag Breakdown */}
+        {tagBreakdown.length > 0 && (
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <TagIcon className="w-5 h-5" />
+                Applications by Tag
+              </CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-6">
+              <ResponsiveContainer width="100%" height={300}>
+                <BarChart data={tagChartData}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="tag" />
+                  <YAxis allowDecimals={false} />
+                  <Tooltip />
+                  <Legend />
+                  {STAGE_CATEGORIES.map((category) => (
+                    <Bar
+                      key={category}
+                      dataKey={category}
+                      stackId="tags"
+                      fill={categoryChartColors[category]}
+                      name={categoryLabels[category]}
+                    />
+                  ))}
+                </BarChart>
+              </ResponsiveContainer>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-muted-foreground border-b border-border">
+                      <th className="py-2 pr-4 font-medium">Tag</th>
+                      <th className="py-2 pr-4 font-medium text-right">Applications</th>
+                      {STAGE_CATEGORIES.map((category) => (
+                        <th key={category} className="py-2 pr-4 font-medium text-right">
+                          {categoryLabels[category]}
+                        </th>
+                      ))}
+                      <th className="py-2 font-medium text-right">Success Rate</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {tagBreakdown.map((row) => (
+                      <tr key={row.tag} className="border-b border-border last:border-0">
+                        <td className="py-2 pr-4">
+                          <span className={`px-2 py-0.5 rounded-full text-xs ${tagChipClasses[row.color]}`}>
+                            {row.tag}
+                          </span>
+                        </td>
+                        <td className="py-2 pr-4 text-right font-medium text-foreground">{row.total}</td>
+                        {STAGE_CATEGORIES.map((category) => (
+                          <td key={category} className="py-2 pr-4 text-right text-muted-foreground">
+                            {row.byStatus[category] || 0}
+                          </td>
+                        ))}
+                        <td className="py-2 text-right text-foreground">{row.successRate.toFixed(1)}%</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </CardContent>
+          </Card>
+        )}
+
+        {/* Job Details */}
+        {hasJobDetails && (
+          <Card>
+            <CardHeader className="flex flex-row items-center justify-between gap-4 space-y-0">
+              <CardTitle className="flex items-center gap-2">
+                <MapPin className="w-5 h-5" />
+                Applications by {jobDetailView.label}
+              </CardTitle>
+              <select
+                value={jobDetailKey}
+                onChange={(e) => setJobDetailKey(e.target.value as JobDetailKey)}
+                className="px-3 py-2 rounded-lg border border-border bg-background text-foreground text-sm"
+                aria-label="Job detail"
+              >
+                {JOB_DETAIL_VIEWS.map((view) => (
+                  <option key={view.key} value={view.key}>
+                    {view.label}
+                  </option>
+                ))}
+              </select>
+            </CardHeader>
+            <CardContent className="space-y-6">
+              {jobDetailRows.length === 0 ? (
+                <p className="text-sm text-muted-foreground">No applications list a location yet.</p>
+              ) : (
+                <>
+                  <ResponsiveContainer width="100%" height={300}>
+                    <BarChart data={jobDetailChartData}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="name" />
+                      <YAxis allowDecimals={false} />
+                      <Tooltip />
+                      <Legend />
+                      {STAGE_CATEGORIES.map((category) => (
+                        <Bar
+                          key={category}
+                          dataKey={category}
+                          stackId="jobDetails"
+                          fill={categoryChartColors[category]}
+                          name={categoryLabels[category]}
+                        />
+                      ))}
+                    </BarChart>
+                  </ResponsiveContainer>
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="text-left text-muted-foreground border-b border-border">
+                          <th className="py-2 pr-4 font-medium">{jobDetailView.label}</th>
+                          <th className="py-2 pr-4 font-medium text-right">Applications</th>
+                          <th className="py-2 pr-4 font-medium text-right">Interviews</th>
+                          <th className="py-2 pr-4 font-medium text-right">Offers</th>
+                          <th className="py-2 font-medium text-right">Success Rate</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {jobDetailRows.map((row, index) => (
+                          <tr key={`${row.value}-${index}`} className="border-b border-border last:border-0">
+                            <td className="py-2 pr-4 text-foreground">
+                              {row.value === null ? "Not set" : jobDetailView.getLabel(row)}
+                            </td>
+                            <td className="py-2 pr-4 text-right font-medium text-foreground">{row.total}</td>
+                            <td className="py-2 pr-4 text-right text-muted-foreground">{row.byStatus.interview || 0}</td>
+                            <td className="py-2 pr-4 text-right text-muted-foreground">{row.byStatus.offer || 0}</td>
+                            <td className="py-2 text-right text-foreground">{row.successRate.toFixed(1)}%</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </>
+              )}
+            </CardContent>
+          </Card>
+        )}
+
+        {/* Salary Distribution */}
+        {compensation && compensation.posted.count + compensation.expected.count > 0 && (
+          <Card>
+            <CardHeader className="flex flex-row items-center justify-between gap-4 space-y-0">
+              <CardTitle className="flex items-center gap-2">
+                <Banknote className="w-5 h-5" />
+                Salary Distribution
+              </CardTitle>
+              <select
+                value={compensationCurrency}
+                onChange={(e) => setCompensationCurrency(e.target.value)}
+                className="px-3 py-2 rounded-lg border border-border bg-background text-foreground text-sm"
+                aria-label="Currency"
+              >
+                {compensation.currencies.map((currency) => (
+                  <option key={currency} value={currency}>
+                    {currency}
+                  </option>
+                ))}
+              </select>
+            </CardHeader>
+            <CardContent className="space-y-6">
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                <div>
+                  <p className="text-sm text-muted-foreground">Median Posted</p>
+                  <p className="text-xl font-bold text-foreground">{formatAmount(compensation.posted.median)}</p>
+                  <p className="text-xs text-muted-foreground">
+                    {compensation.posted.count} {compensation.posted.count === 1 ? "range" : "ranges"}
+                  </p>
+                </div>
+                <div>
+                  <p className="text-sm text-muted-foreground">Average Posted</p>
+                  <p className="text-xl font-bold text-foreground">{formatAmount(compensation.posted.average)}</p>
+                </div>
+                <div>
+                  <p className="text-sm text-muted-foreground">Posted Range</p>
+                  <p className="text-xl font-bold text-foreground">
+                    {compensation.posted.count > 0
+                      ? `${formatCompactMoney(compensation.posted.min!, compensation.currency)} – ${formatCompactMoney(compensation.posted.max!, compensation.currency)}`
+                      : "—"}
+                  </p>
+                </div>
+                <div>
+                  <p className="text-sm text-muted-foreground">Median Expected</p>
+                  <p className="text-xl font-bold text-foreground">{formatAmount(compensation.expected.median)}</p>
+                  <p className="text-xs text-muted-foreground">
+                    {compensation.expected.count} {compensation.expected.count === 1 ? "application" : "applications"}
+                  </p>
+                </div>
+              </div>
+              <ResponsiveContainer width="100%" height={300}>
+                <BarChart data={compensationChartData}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="range" />
+                  <YAxis allowDecimals={false} />
+                  <Tooltip labelFormatter={(_, payload) => payload?.[0]?.payload?.label || ""} />
+                  <Legend />
+                  <Bar dataKey="posted" name="Posted (midpoint)" fill="#8884d8" />
+                  <Bar dataKey="expected" name="Expected" fill="#F59E0B" />
+                </BarChart>
+              </ResponsiveContainer>
+              <div className="flex flex-wrap gap-x-6 gap-y-2 text-sm">
+                {STAGE_CATEGORIES.filter((category) => compensation.byCategory[category]?.count > 0).map((category) => (
+                  <div key={category} className="flex items-center gap-2">
+                    <span className="w-2 h-2 rounded-full" style={{ backgroundColor: categoryChartColors[category] }} />
+                    <span className="text-muted-foreground">{categoryLabels[category]}:</span>
+                    <span className="font-medium text-foreground">
+                      {formatAmount(compensation.byCategory[category].median)} median
+                    </span>
+                  </div>
+                ))}
+              </div>
+              <p className="text-xs text-muted-foreground">
+                Yearly amounts (hourly pay × 2080 hours) converted to {compensation.currency} with the
+                exchange rates{compensation.ratesUpdatedAt ? ` of ${compensation.ratesUpdatedAt}` : ""}.
+                {compensation.unconverted > 0 &&
+                  ` ${compensation.unconverted} ${compensation.unconverted === 1 ? "application is" : "applications are"} left out: no rate for their currency.`}
+              </p>
+            </CardContent>
+          </Card>
+        )}
+
+        {companyBreakdown.length > 0 && (
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <Building2 className="w-5 h-5" />
+                Top Companies
+              </CardTitle>
+            </CardHeader>
+            <CardContent>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-muted-foreground border-b border-border">
+                      <th className="py-2 pr-4 font-medium">Company</th>
+                      <th className="py-2 pr-4 font-medium text-right">Applications</th>
+                      <th className="py-2 pr-4 font-medium text-right">Interviews</th>
+                      <th className="py-2 pr-4 font-medium text-right">Offers</th>
+                      <th className="py-2 pr-4 font-medium text-right">Response Rate</th>
+                      <th className="py-2 pr-4 font-medium text-right">Success Rate</th>
+                      <th className="py-2 font-medium text-right">Avg. Match</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {companyBreakdown.slice(0, MAX_LISTED_COMPANIES).map((row) => (
+                      <tr key={row.companyId} className="border-b border-border last:border-0">
+                        <td className="py-2 pr-4">
+                          <Link
+                            to={`/dashboard/companies/${row.companyId}`}
+                            className="font-medium text-foreground hover:text-primary hover:underline"
+                          >
+                            {row.company}
+                          </Link>
+                        </td>
+                        <td className="py-2 pr-4 text-right font-medium text-foreground">{row.total}</td>
+                        <td className="py-2 pr-4 text-right text-muted-foreground">{row.byStatus.interview || 0}</td>
+                        <td className="py-2 pr-4 text-right text-muted-foreground">{row.byStatus.offer || 0}</td>
+                        <td className="py-2 pr-4 text-right text-foreground">{row.responseRate.toFixed(1)}%</td>
+                        <td className="py-2 pr-4 text-right text-foreground">{row.successRate.toFixed(1)}%</td>
+                        <td className="py-2 text-right text-muted-foreground">
+                          {row.averageMatchScore !== null ? `${Math.round(row.averageMatchScore)}%` : "–"}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </CardContent>
+          </Card>
+        )}
+
         {/* Status Details */}
         <Card>
           <CardHeader>
@@ -1,6 +1,8 @@
 import { useState, useEffect } from "react";
 import { motion } from "framer-motion";
 import {
+  Archive,
+  ArchiveRestore,
   ArrowLeft,
   Edit,
   Trash2,
@@ -13,6 +15,8 @@ import {
   FileText,
   Save,
   X,
+  History,
+  ListChecks,
 } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
@@ -27,10 +31,42 @@ import { useAuth } from "@/contexts/AuthContext";
 import ResumeMatchDisplay from "@/components/ai/ResumeMatchDisplay";
 import InterviewPrepDisplay from "@/components/ai/InterviewPrepDisplay";
 import ResumeImprovementDisplay from "@/components/ai/ResumeImprovementDisplay";
-
-interface Application {
+import StatusTimeline, { StatusHistoryEntry } from "@/components/applications/StatusTimeline";
+import ApplicationContacts from "@/components/applications/ApplicationContacts";
+import ApplicationDocuments from "@/components/applications/ApplicationDocuments";
+import InterviewRounds from "@/components/applications/InterviewRounds";
+import ApplicationOffer from "@/components/applications/ApplicationOffer";
+import SalaryFields from "@/components/applications/SalaryFields";
+import JobDetailFields from "@/components/applications/JobDetailFields";
+import { usePipeline } from "@/hooks/use-pipeline";
+import { useTags } from "@/hooks/use-tags";
+import { useResumes } from "@/hooks/use-resumes";
+import { resumeOptionLabel } from "@/lib/resumes";
+import { notifyTagsChanged, splitTags } from "@/lib/tags";
+import {
+  Salary,
+  formatExpectedSalary,
+  formatSalaryRange,
+  fromSalaryForm,
+  toSalaryForm,
+} from "@/lib/salary";
+import {
+  JobDetails,
+  MAX_LOCATIONS,
+  fromJobDetailsForm,
+  getEmploymentTypeLabel,
+  getRemotePolicyLabel,
+  getSeniorityLabel,
+  getYearsOfExperienceLabel,
+  getVisaSponsorshipLabel,
+  toJobDetailsForm,
+} from "@/lib/jobDetails";
+
+interface Application extends Partial<JobDetails> {
   _id: string;
   company: string;
+  // Company page the application is linked to (by name)
+  companyId?: string | null;
   jobTitle: string;
   jobLink?: string;
   jobDescription?: string;
@@ -39,40 +75,35 @@ interface Application {
   appliedDate?: string;
   source?: string;
   notes?: string;
+  tags?: string[];
+  salary?: Salary;
+  archivedAt?: string | null;
+  // Resume from the library (null = the default resume)
+  resumeId?: string | null;
   aiInsights?: {
     resumeMatch?: any;
     interviewPrep?: any;
     resumeImprovement?: any;
+    // Values are stored in requiredSkills, niceToHaveSkills and the job details
+    requirements?: { extractedAt: string | null; filledFields: string[] };
   };
   createdAt: string;
   updatedAt: string;
 }
 
-const statusColors: Record<string, string> = {
-  saved: "badge-applied",
-  applied: "badge-applied",
-  "under-review": "badge-applied",
-  interview: "badge-interviewing",
-  offer: "badge-offered",
-  rejected: "badge-rejected",
-};
-
-const statusLabels: Record<string, string> = {
-  saved: "Saved",
-  applied: "Applied",
-  "under-review": "Review",
-  interview: "Interview",
-  offer: "Offer",
-  rejected: "Rejected",
-};
-
 const ApplicationDetails = () => {
   const { id } = useParams<{ id: string }>();
   const navigate = useNavigate();
   const { user } = useAuth();
   const [application, setApplication] = useState<Application | null>(null);
+  const [timeline, setTimeline] = useState<StatusHistoryEntry[]>([]);
+  const pipeline = usePipeline();
+  const tagList = useTags();
+  const { resumes, defaultResume } = useResumes();
   
   const hasResumeSummary = user?.profile?.resumeSummary && user.profile.resumeSummary.trim().length > 0;
+  // AI analyses read a resume from the library, or the profile resume summary without one
+  const hasResume = resumes.length > 0 || hasResumeSummary;
   const [loading, setLoading] = useState(true);
   const [isEditing, setIsEditing] = useState(false);
   const [saving, setSaving] = useState(false);
@@ -80,10 +111,12 @@ const ApplicationDetails = () => {
     resumeMatch: boolean;
     interviewPrep: boolean;
     resumeImprovement: boolean;
+    requirements: boolean;
   }>({
     resumeMatch: false,
     interviewPrep: false,
     resumeImprovement: false,
+    requirements: false,
   });
   const [formData, setFormData] = useState({
     company: "",
@@ -94,11 +127,17 @@ const ApplicationDetails = () => {
     dateApplied: "",
     source: "",
     notes: "",
+    // Comma-separated
+    tags: "",
+    statusNote: "",
   });
+  const [salaryForm, setSalaryForm] = useState(toSalaryForm());
+  const [jobDetailsForm, setJobDetailsForm] = useState(toJobDetailsForm());
 
   useEffect(() => {
     if (id) {
       loadApplication();
+      loadTimeline();
     }
   }, [id]);
 
@@ -121,7 +160,11 @@ const ApplicationDetails = () => {
           : "",
         source: app.source || "",
         notes: app.notes || "",
+        tags: (app.tags || []).join(", "),
+        statusNote: "",
       });
+      setSalaryForm(toSalaryForm(app.salary));
+      setJobDetailsForm(toJobDetailsForm(app));
     } catch (error: any) {
       console.error("Failed to load application:", error);
       toast.error(error?.response?.data?.message || "Failed to load application");
@@ -131,6 +174,16 @@ const ApplicationDetails = () => {
     }
   };
 
+  const loadTimeline = async () => {
+    try {
+      const response = await applicationsAPI.getTimeline(id!);
+      setTimeline(response.data?.data?.timeline || []);
+    } catch (error) {
+      // Timeline is supplementary - don't block the page if it fails
+      console.error("Failed to load status timeline:", error);
+    }
+  };
+
   const handleChange = (
     e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement>
   ) => {
@@ -138,12 +191,48 @@ const ApplicationDetails = () => {
     setFormData((prev) => ({ ...prev, [name]: value }));
   };
 
+  // Existing tags not yet in the tags field, offered as one-click additions
+  const enteredTags = new Set(splitTags(formData.tags).map((tag) => tag.toLowerCase()));
+  const unusedTags = tagList.tags.filter((tag) => !enteredTags.has(tag.name.toLowerCase()));
+
+  const addTag = (name: string) => {
+    setFormData((prev) => ({ ...prev, tags: [...splitTags(prev.tags), name].join(", ") }));
+  };
+
+  // Job details that are set, in display order
+  const jobDetailItems = [
+    { label: "Locations", value: (application?.locations || []).join("; ") },
+    { label: "Remote Policy", value: getRemotePolicyLabel(application?.remotePolicy) },
+    { label: "Employment Type", value: getEmploymentTypeLabel(application?.employmentType) },
+    { label: "Seniority", value: getSeniorityLabel(application?.seniority) },
+    { label: "Visa Sponsorship", value: getVisaSponsorshipLabel(application?.visaSponsorship) },
+    { label: "Experience", value: getYearsOfExperienceLabel(application?.yearsOfExperience) },
+  ].filter((item) => item.value);
+
+  // Skill lists that are set, shown as chips
+  const skillGroups = [
+    { label: "Required Skills", skills: application?.requiredSkills || [] },
+    { label: "Nice-to-have Skills", skills: application?.niceToHaveSkills || [] },
+  ].filter((group) => group.skills.length > 0);
+
   const handleSave = async () => {
     if (!formData.company.trim() || !formData.jobTitle.trim()) {
       toast.error("Company name and job title are required");
       return;
     }
 
+    const salary = fromSalaryForm(salaryForm);
+    if (typeof salary === "string") {
+      toast.error(salary);
+      return;
+    }
+
+    const jobDetails = fromJobDetailsForm(jobDetailsForm);
+    if (jobDetails.locations.length > MAX_LOCATIONS) {
+      toast.error(`Cannot have more than ${MAX_LOCATIONS} locations`);
+      return;
+    }
+
     try {
       setSaving(true);
       const payload: any = {
@@ -172,10 +261,24 @@ const ApplicationDetails = () => {
         payload.notes = formData.notes.trim();
       }
 
+      payload.tags = splitTags(formData.tags);
+      payload.salary = salary;
+      Object.assign(payload, jobDetails);
+
+      if (formData.status !== application?.status && formData.statusNote.trim()) {
+        payload.statusNote = formData.statusNote.trim();
+      }
+
       const response = await applicationsAPI.update(id!, payload);
       const updatedApp = response.data?.data?.application || response.data?.application;
       setApplication(updatedApp);
+      setFormData((prev) => ({ ...prev, statusNote: "" }));
+      setFormData((prev) => ({ ...prev, tags: (updatedApp?.tags || []).join(", ") }));
+      setSalaryForm(toSalaryForm(updatedApp?.salary));
+      setJobDetailsForm(toJobDetailsForm(updatedApp));
       setIsEditing(false);
+      loadTimeline();
+      notifyTagsChanged();
       toast.success("Application updated successfully!");
     } catch (error: any) {
       console.error("Failed to update application:", error);
@@ -186,26 +289,55 @@ const ApplicationDetails = () => {
   };
 
   const handleDelete = async () => {
-    if (!confirm(`Are you sure you want to delete this application for ${application?.company}?`)) {
+    if (!confirm(`Move this application for ${application?.company} to the trash?`)) {
       return;
     }
 
     try {
       await applicationsAPI.delete(id!);
-      toast.success("Application deleted successfully");
+      toast.success("Application moved to trash");
       navigate("/dashboard/applications");
     } catch (error: any) {
       toast.error(error?.response?.data?.message || "Failed to delete application");
     }
   };
 
+  const handleArchive = async () => {
+    if (!application) return;
+    const archived = !!application.archivedAt;
+
+    try {
+      const response = archived
+        ? await applicationsAPI.unarchive(id!)
+        : await applicationsAPI.archive(id!);
+      const updatedApp = response.data?.data?.application;
+      if (updatedApp) setApplication(updatedApp);
+      toast.success(archived ? "Application unarchived" : "Application archived");
+    } catch (error) {
+      const message = (error as { response?: { data?: { message?: string } } })?.response?.data?.message;
+      toast.error(message || "Failed to update application");
+    }
+  };
+
+  const handleResumeChange = async (resumeId: string) => {
+    try {
+      const response = await applicationsAPI.update(id!, { resumeId: resumeId || null });
+      const updatedApp = response.data?.data?.application;
+      if (updatedApp) setApplication(updatedApp);
+      toast.success("Resume updated");
+    } catch (error) {
+      const message = (error as { response?: { data?: { message?: string } } })?.response?.data?.message;
+      toast.error(message || "Failed to update resume");
+    }
+  };
+
   const handleAI = async (type: "resumeMatch" | "interviewPrep" | "resumeImprovement") => {
     if (!application) return;
 
-    // Check if resume summary is required and missing
-    if ((type === "resumeMatch" || type === "interviewPrep") && !hasResumeSummary) {
-      toast.error("Resume summary is required. Please add it in Settings.");
-      navigate("/dashboard/settings");
+    // Check if a resume is required and missing
+    if ((type === "resumeMatch" || type === "interviewPrep") && !hasResume) {
+      toast.error("A resume is required. Please add one to your resume library.");
+      navigate("/dashboard/resumes");
       return;
     }
 
@@ -239,6 +371,48 @@ const ApplicationDetails = () => {
     }
   };
 
+  // Labels for the fields the requirements task can fill
+  const extractedFieldLabels: Record<string, string> = {
+    requiredSkills: "required skills",
+    niceToHaveSkills: "nice-to-have skills",
+    yearsOfExperience: "years of experience",
+    salary: "salary",
+    locations: "locations",
+    remotePolicy: "remote policy",
+    seniority: "seniority",
+  };
+
+  const handleExtractRequirements = async () => {
+    if (!application) return;
+
+    try {
+      setAiLoading((prev) => ({ ...prev, requirements: true }));
+      const response = await applicationsAPI.extractRequirements(id!);
+      const { application: updatedApp, filledFields = [] } = response.data?.data || {};
+      if (updatedApp) {
+        setApplication(updatedApp);
+        setSalaryForm(toSalaryForm(updatedApp.salary));
+        setJobDetailsForm(toJobDetailsForm(updatedApp));
+      }
+      if (filledFields.length > 0) {
+        toast.success(
+          `Filled from the description: ${filledFields.map((field: string) => extractedFieldLabels[field] || field).join(", ")}`
+        );
+      } else {
+        // Fields already set are kept; clearing one lets it be extracted again
+        toast.info("Nothing new to fill. Clear a field under Job Details to extract it again");
+      }
+    } catch (error) {
+      console.error("Failed to extract requirements:", error);
+      toast.error(
+        (error as { response?: { data?: { message?: string } } })?.response?.data?.message ||
+          "Failed to extract requirements"
+      );
+    } finally {
+      setAiLoading((prev) => ({ ...prev, requirements: false }));
+    }
+  };
+
   if (loading) {
     return (
       <DashboardLayout>
@@ -299,15 +473,28 @@ const ApplicationDetails = () => {
               <>
                 <span
                   className={`px-3 py-1 text-xs font-medium rounded-full ${
-                    statusColors[application.status] || "badge-applied"
+                    pipeline.getBadgeClass(application.status)
                   }`}
                 >
-                  {statusLabels[application.status] || application.status}
+                  {pipeline.getLabel(application.status)}
                 </span>
+                {application.archivedAt && (
+                  <span className="px-3 py-1 text-xs font-medium rounded-full bg-muted text-muted-foreground">
+                    Archived
+                  </span>
+                )}
                 <Button variant="outline" onClick={() => setIsEditing(true)}>
                   <Edit className="w-4 h-4 mr-2" />
                   Edit
                 </Button>
+                <Button variant="outline" onClick={handleArchive}>
+                  {application.archivedAt ? (
+                    <ArchiveRestore className="w-4 h-4 mr-2" />
+                  ) : (
+                    <Archive className="w-4 h-4 mr-2" />
+                  )}
+                  {application.archivedAt ? "Unarchive" : "Archive"}
+                </Button>
                 <Button variant="outline" onClick={handleDelete} className="text-red-500 hover:text-red-600">
                   <Trash2 className="w-4 h-4 mr-2" />
                   Delete
@@ -398,6 +585,29 @@ const ApplicationDetails = () => {
                         rows={4}
                       />
                     </div>
+                    <div>
+                      <label className="block text-sm font-medium mb-2">Tags</label>
+                      <Input
+                        name="tags"
+                        value={formData.tags}
+                        onChange={handleChange}
+                        placeholder="Comma-separated, e.g. remote, referral"
+                      />
+                      {unusedTags.length > 0 && (
+                        <div className="flex flex-wrap gap-1 mt-2">
+                          {unusedTags.map((tag) => (
+                            <button
+                              key={tag._id}
+                              type="button"
+                              onClick={() => addTag(tag.name)}
+                              className={`px-2 py-0.5 rounded-full text-xs hover:opacity-80 ${tagList.getChipClass(tag.name)}`}
+                            >
+                              + {tag.name}
+                            </button>
+                          ))}
+                        </div>
+                      )}
+                    </div>
                     <div>
                       <label className="block text-sm font-medium mb-2">Status</label>
                       <select
@@ -406,14 +616,30 @@ const ApplicationDetails = () => {
                         onChange={handleChange}
                         className="w-full px-4 py-2 rounded-lg border border-border bg-background text-foreground"
                       >
-                        <option value="saved">Saved</option>
-                        <option value="applied">Applied</option>
-                        <option value="under-review">Under Review</option>
-                        <option value="interview">Interview</option>
-                        <option value="offer">Offer</option>
-                        <option value="rejected">Rejected</option>
+                        {pipeline.stages.map((stage) => (
+                          <option key={stage.key} value={stage.key}>
+                            {stage.label}
+                          </option>
+                        ))}
+                        {!pipeline.stages.some((stage) => stage.key === application.status) && (
+                          <option value={application.status}>
+                            {pipeline.getLabel(application.status)}
+                          </option>
+                        )}
                       </select>
                     </div>
+                    {formData.status !== application.status && (
+                      <div>
+                        <label className="block text-sm font-medium mb-2">Status Change Note</label>
+                        <Input
+                          name="statusNote"
+                          value={formData.statusNote}
+                          onChange={handleChange}
+                          maxLength={500}
+                          placeholder="e.g. Recruiter called to schedule a phone screen"
+                        />
+                      </div>
+                    )}
                     <div>
                       <label className="block text-sm font-medium mb-2">Date Applied</label>
                       <Input
@@ -423,6 +649,14 @@ const ApplicationDetails = () => {
                         onChange={handleChange}
                       />
                     </div>
+                    <div className="pt-2 border-t border-border">
+                      <p className="text-sm font-semibold mb-3">Job Details</p>
+                      <JobDetailFields value={jobDetailsForm} onChange={setJobDetailsForm} />
+                    </div>
+                    <div className="pt-2 border-t border-border">
+                      <p className="text-sm font-semibold mb-3">Salary</p>
+                      <SalaryFields value={salaryForm} onChange={setSalaryForm} />
+                    </div>
                   </>
                 ) : (
                   <>
@@ -431,7 +665,16 @@ const ApplicationDetails = () => {
                         <label className="block text-sm font-medium text-muted-foreground mb-1">
                           Company
                         </label>
-                        <p className="text-foreground font-medium">{application.company}</p>
+                        {application.companyId ? (
+                          <Link
+                            to={`/dashboard/companies/${application.companyId}`}
+                            className="text-primary font-medium hover:underline"
+                          >
+                            {application.company}
+                          </Link>
+                        ) : (
+                          <p className="text-foreground font-medium">{application.company}</p>
+                        )}
                       </div>
                       <div>
                         <label className="block text-sm font-medium text-muted-foreground mb-1">
@@ -471,6 +714,69 @@ const ApplicationDetails = () => {
                         <p className="text-foreground">{application.source}</p>
                       </div>
                     )}
+                    {jobDetailItems.length > 0 && (
+                      <div className="grid md:grid-cols-2 gap-4">
+                        {jobDetailItems.map((item) => (
+                          <div key={item.label}>
+                            <label className="block text-sm font-medium text-muted-foreground mb-1">
+                              {item.label}
+                            </label>
+                            <p className="text-foreground">{item.value}</p>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                    {skillGroups.map((group) => (
+                      <div key={group.label}>
+                        <label className="block text-sm font-medium text-muted-foreground mb-1">
+                          {group.label}
+                        </label>
+                        <div className="flex flex-wrap gap-1">
+                          {group.skills.map((skill) => (
+                            <span key={skill} className="px-2 py-0.5 rounded-full text-xs bg-muted text-foreground">
+                              {skill}
+                            </span>
+                          ))}
+                        </div>
+                      </div>
+                    ))}
+                    {(formatSalaryRange(application.salary) || formatExpectedSalary(application.salary)) && (
+                      <div className="grid md:grid-cols-2 gap-4">
+                        {formatSalaryRange(application.salary) && (
+                          <div>
+                            <label className="block text-sm font-medium text-muted-foreground mb-1">
+                              Posted Salary
+                            </label>
+                            <p className="text-foreground">{formatSalaryRange(application.salary)}</p>
+                          </div>
+                        )}
+                        {formatExpectedSalary(application.salary) && (
+                          <div>
+                            <label className="block text-sm font-medium text-muted-foreground mb-1">
+                              Expected Salary
+                            </label>
+                            <p className="text-foreground">{formatExpectedSalary(application.salary)}</p>
+                          </div>
+                        )}
+                      </div>
+                    )}
+                    {application.tags && application.tags.length > 0 && (
+                      <div>
+                        <label className="block text-sm font-medium text-muted-foreground mb-1">
+                          Tags
+                        </label>
+                        <div className="flex flex-wrap gap-1">
+                          {application.tags.map((tag) => (
+                            <span
+                              key={tag}
+                              className={`px-2 py-0.5 rounded-full text-xs ${tagList.getChipClass(tag)}`}
+                            >
+                              {tag}
+                            </span>
+                          ))}
+                        </div>
+                      </div>
+                    )}
                     {application.notes && (
                       <div>
                         <label className="block text-sm font-medium text-muted-foreground mb-1">
@@ -497,6 +803,13 @@ const ApplicationDetails = () => {
               </CardContent>
             </Card>
 
+            <InterviewRounds applicationId={application._id} />
+
+            <ApplicationOffer
+              applicationId={application._id}
+              isOfferStage={pipeline.getCategory(application.status) === "offer"}
+            />
+
             {/* AI Insights */}
             <Card>
               <CardHeader>
@@ -506,31 +819,53 @@ const ApplicationDetails = () => {
                 </CardTitle>
               </CardHeader>
               <CardContent className="space-y-4">
-                <div className="grid md:grid-cols-3 gap-4">
+                {resumes.length > 0 && (
+                  <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+                    <label htmlFor="application-resume" className="text-sm font-medium text-muted-foreground">
+                      Resume
+                    </label>
+                    <select
+                      id="application-resume"
+                      value={application.resumeId || ""}
+                      onChange={(e) => handleResumeChange(e.target.value)}
+                      className="flex-1 px-3 py-2 rounded-lg border border-border bg-background text-foreground text-sm"
+                    >
+                      <option value="">
+                        Default resume{defaultResume ? ` (${defaultResume.name})` : ""}
+                      </option>
+                      {resumes.map((resume) => (
+                        <option key={resume._id} value={resume._id}>
+                          {resumeOptionLabel(resume)}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+                <div className="grid md:grid-cols-2 xl:grid-cols-4 gap-4">
                   <Button
                     variant="outline"
                     onClick={() => handleAI("resumeMatch")}
-                    disabled={aiLoading.resumeMatch || !application.jobDescription || !hasResumeSummary}
+                    disabled={aiLoading.resumeMatch || !application.jobDescription || !hasResume}
                     className="flex flex-col items-center gap-2 h-auto py-4"
                   >
                     <Sparkles className="w-5 h-5" />
                     <span>Resume Match</span>
                     {aiLoading.resumeMatch && <span className="text-xs">Generating...</span>}
-                    {!hasResumeSummary && (
-                      <span className="text-xs text-red-500">Requires resume summary</span>
+                    {!hasResume && (
+                      <span className="text-xs text-red-500">Requires a resume</span>
                     )}
                   </Button>
                   <Button
                     variant="outline"
                     onClick={() => handleAI("interviewPrep")}
-                    disabled={aiLoading.interviewPrep || !application.jobDescription || !hasResumeSummary}
+                    disabled={aiLoading.interviewPrep || !application.jobDescription || !hasResume}
                     className="flex flex-col items-center gap-2 h-auto py-4"
                   >
                     <Brain className="w-5 h-5" />
                     <span>Interview Prep</span>
                     {aiLoading.interviewPrep && <span className="text-xs">Generating...</span>}
-                    {!hasResumeSummary && (
-                      <span className="text-xs text-red-500">Requires resume summary</span>
+                    {!hasResume && (
+                      <span className="text-xs text-red-500">Requires a resume</span>
                     )}
                   </Button>
                   <Button
@@ -543,16 +878,44 @@ const ApplicationDetails = () => {
                     <span>Resume Improvement</span>
                     {aiLoading.resumeImprovement && <span className="text-xs">Generating...</span>}
                   </Button>
+                  <Button
+                    variant="outline"
+                    onClick={handleExtractRequirements}
+                    disabled={aiLoading.requirements || !application.jobDescription}
+                    className="flex flex-col items-center gap-2 h-auto py-4"
+                  >
+                    <ListChecks className="w-5 h-5" />
+                    <span>Extract Requirements</span>
+                    {aiLoading.requirements && <span className="text-xs">Extracting...</span>}
+                  </Button>
                 </div>
 
+                {application.aiInsights?.requirements?.extractedAt && (
+                  <p className="text-xs text-muted-foreground">
+                    Requirements extracted from the description on{" "}
+                    {format(new Date(application.aiInsights.requirements.extractedAt), "PPP")}. Edit them
+                    under Job Details.
+                  </p>
+                )}
+
                 {application.aiInsights?.resumeMatch && (
                   <div className="mt-4">
+                    {application.aiInsights.resumeMatch.resumeName && (
+                      <p className="text-xs text-muted-foreground mb-2">
+                        Based on {application.aiInsights.resumeMatch.resumeName}
+                      </p>
+                    )}
                     <ResumeMatchDisplay data={application.aiInsights.resumeMatch} />
                   </div>
                 )}
 
                 {application.aiInsights?.interviewPrep && (
                   <div className="mt-4">
+                    {application.aiInsights.interviewPrep.resumeName && (
+                      <p className="text-xs text-muted-foreground mb-2">
+                        Based on {application.aiInsights.interviewPrep.resumeName}
+                      </p>
+                    )}
                     <InterviewPrepDisplay data={application.aiInsights.interviewPrep} />
                   </div>
                 )}
@@ -579,10 +942,10 @@ const ApplicationDetails = () => {
                   </label>
                   <span
                     className={`px-3 py-1 text-xs font-medium rounded-full inline-block ${
-                      statusColors[application.status] || "badge-applied"
+                      pipeline.getBadgeClass(application.status)
                     }`}
                   >
-                    {statusLabels[application.status] || application.status}
+                    {pipeline.getLabel(application.status)}
                   </span>
                 </div>
                 <div>
@@ -605,6 +968,25 @@ const ApplicationDetails = () => {
                 )}
               </CardContent>
             </Card>
+
+            <ApplicationContacts applicationId={application._id} company={application.company} />
+
+            <ApplicationDocuments applicationId={application._id} />
+
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <History className="w-5 h-5" />
+                  Status Timeline
+                </CardTitle>
+              </CardHeader>
+              <CardContent>
+                <StatusTimeline
+                  entries={timeline}
+                  stages={pipeline.stages}
+                />
+              </CardContent>
+            </Card>
           </div>
         </div>
       </div>
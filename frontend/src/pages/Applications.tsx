@@ -1,6 +1,7 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef, useCallback } from "react";
 import { motion } from "framer-motion";
 import {
+  Banknote,
   Briefcase,
   Plus,
   Search,
@@ -9,14 +10,58 @@ import {
   ExternalLink,
   Calendar,
   Building2,
+  Archive,
+  Columns3,
+  Globe,
+  SlidersHorizontal,
+  Target,
+  Trash2,
+  Upload,
 } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Input } from "@/components/ui/input";
+import { Checkbox } from "@/components/ui/checkbox";
+import {
+  DropdownMenu,
+  DropdownMenuCheckboxItem,
+  DropdownMenuContent,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
 import DashboardLayout from "@/components/dashboard/DashboardLayout";
 import { applicationsAPI } from "@/lib/api";
+import ApplicationFilters from "@/components/applications/ApplicationFilters";
+import {
+  ApplicationFilterValues,
+  EMPTY_FILTERS,
+  countActiveFilters,
+  fromFilterParams,
+  toFilterParams,
+} from "@/lib/applicationFilters";
+import {
+  DEFAULT_VIEW_COLUMNS,
+  SavedView,
+  SavedViewSettings,
+  VIEW_COLUMNS,
+  ViewColumn,
+  notifySavedViewsChanged,
+  viewColumnLabels,
+} from "@/lib/savedViews";
+import { Salary, formatSalaryRange } from "@/lib/salary";
+import { usePipeline } from "@/hooks/use-pipeline";
+import { useSavedViews } from "@/hooks/use-saved-views";
+import { useTags } from "@/hooks/use-tags";
+import SavedViewsBar from "@/components/applications/SavedViewsBar";
+import ExportMenu from "@/components/applications/ExportMenu";
+import BulkActionsBar, { BulkItemResult } from "@/components/applications/BulkActionsBar";
+import SearchHighlights, {
+  HighlightedText,
+  SearchHighlight,
+} from "@/components/applications/SearchHighlights";
 import { formatDistanceToNow, format } from "date-fns";
-import { Link, useNavigate } from "react-router-dom";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
 import { toast } from "sonner";
 
 interface Application {
@@ -27,42 +72,141 @@ interface Application {
   appliedDate?: string;
   dateApplied?: string;
   createdAt: string;
+  updatedAt?: string;
   jobLink?: string;
+  source?: string;
+  tags?: string[];
+  salary?: Salary;
+  archivedAt?: string | null;
+  aiInsights?: {
+    resumeMatch?: {
+      matchScore?: number | null;
+    };
+  };
+  searchHighlights?: SearchHighlight[];
 }
 
-const statusColors: Record<string, string> = {
-  saved: "badge-applied",
-  applied: "badge-applied",
-  "under-review": "badge-applied",
-  interview: "badge-interviewing",
-  offer: "badge-offered",
-  rejected: "badge-rejected",
-};
-
-const statusLabels: Record<string, string> = {
-  saved: "Saved",
-  applied: "Applied",
-  "under-review": "Review",
-  interview: "Interview",
-  offer: "Offer",
-  rejected: "Rejected",
-};
-
 const Applications = () => {
   const navigate = useNavigate();
+  const pipeline = usePipeline();
+  const savedViews = useSavedViews();
+  const tagList = useTags();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const activeViewId = searchParams.get("view");
   const [applications, setApplications] = useState<Application[]>([]);
   const [loading, setLoading] = useState(true);
   const [searchQuery, setSearchQuery] = useState("");
-  const [statusFilter, setStatusFilter] = useState<string>("all");
+  const [debouncedQuery, setDebouncedQuery] = useState("");
+  const [filters, setFilters] = useState<ApplicationFilterValues>(EMPTY_FILTERS);
+  const [showFilters, setShowFilters] = useState(false);
+  const [sources, setSources] = useState<string[]>([]);
   const [currentPage, setCurrentPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
   const [total, setTotal] = useState(0);
   const [sortBy, setSortBy] = useState("createdAt");
   const [sortOrder, setSortOrder] = useState<"asc" | "desc">("desc");
+  const [columns, setColumns] = useState<ViewColumn[]>(DEFAULT_VIEW_COLUMNS);
+  const [selectedIds, setSelectedIds] = useState<string[]>([]);
+  const appliedViewId = useRef<string | null>(null);
+
+  const activeView = savedViews.views.find((view) => view._id === activeViewId) || null;
+
+  const applyView = useCallback((view: SavedView) => {
+    const { q = "", ...viewFilters } = view.filters || {};
+    setFilters(fromFilterParams(viewFilters));
+    setSearchQuery(q);
+    setDebouncedQuery(q);
+    setSortBy(view.sort?.sortBy || (q ? "relevance" : "createdAt"));
+    setSortOrder(view.sort?.sortOrder || "desc");
+    setColumns(view.columns?.length ? view.columns : DEFAULT_VIEW_COLUMNS);
+    setCurrentPage(1);
+  }, []);
+
+  // Opening a view by URL (?view=<id>, e.g. from the sidebar) loads its filters, sort and columns
+  useEffect(() => {
+    if (!activeViewId) {
+      appliedViewId.current = null;
+      return;
+    }
+    if (appliedViewId.current === activeViewId || savedViews.loading) return;
+
+    const view = savedViews.views.find((v) => v._id === activeViewId);
+    if (!view) {
+      toast.error("Saved view not found");
+      setSearchParams({}, { replace: true });
+      return;
+    }
+
+    appliedViewId.current = activeViewId;
+    applyView(view);
+  }, [activeViewId, savedViews.views, savedViews.loading, setSearchParams, applyView]);
+
+  const handleSelectView = (view: SavedView | null) => {
+    if (view) {
+      // Clicking the active view again discards unsaved changes
+      appliedViewId.current = view._id;
+      applyView(view);
+      setSearchParams({ view: view._id });
+      return;
+    }
+    setSearchParams({});
+    setFilters(EMPTY_FILTERS);
+    setSearchQuery("");
+    setDebouncedQuery("");
+    setSortBy("createdAt");
+    setSortOrder("desc");
+    setColumns(DEFAULT_VIEW_COLUMNS);
+    setCurrentPage(1);
+  };
+
+  const toggleColumn = (column: ViewColumn) => {
+    setColumns((prev) =>
+      prev.includes(column) ? prev.filter((c) => c !== column) : [...prev, column]
+    );
+  };
+
+  // Search runs on the server - wait for typing to pause before querying
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      const query = searchQuery.trim();
+      if (query === debouncedQuery) return;
+      // Rank by relevance while searching, back to newest first when cleared
+      if (query && !debouncedQuery) {
+        setSortBy("relevance");
+        setSortOrder("desc");
+      } else if (!query && sortBy === "relevance") {
+        setSortBy("createdAt");
+        setSortOrder("desc");
+      }
+      setDebouncedQuery(query);
+      setCurrentPage(1);
+    }, 300);
+    return () => clearTimeout(timeout);
+  }, [searchQuery, debouncedQuery, sortBy]);
 
   useEffect(() => {
     loadApplications();
-  }, [currentPage, statusFilter, sortBy, sortOrder]);
+  }, [currentPage, filters, sortBy, sortOrder, debouncedQuery]);
+
+  useEffect(() => {
+    applicationsAPI
+      .getSources()
+      .then((response) => setSources(response.data?.data?.sources || []))
+      .catch((error) => console.error("Failed to load sources:", error));
+  }, []);
+
+  const handleFiltersChange = (value: ApplicationFilterValues) => {
+    setFilters(value);
+    setCurrentPage(1);
+  };
+
+  const activeFilterCount = countActiveFilters(filters);
+
+  const viewSettings: SavedViewSettings = {
+    filters: { ...toFilterParams(filters), ...(debouncedQuery && { q: debouncedQuery }) },
+    sort: { sortBy, sortOrder },
+    columns,
+  };
 
   const loadApplications = async () => {
     try {
@@ -72,16 +216,20 @@ const Applications = () => {
         limit: 10,
         sortBy,
         sortOrder,
+        ...toFilterParams(filters),
       };
 
-      if (statusFilter !== "all") {
-        params.status = statusFilter;
+      if (debouncedQuery) {
+        params.q = debouncedQuery;
       }
 
       const response = await applicationsAPI.getAll(params);
       const data = response.data?.data || response.data;
-      setApplications(data.applications || []);
-      setTotalPages(data.pagination?.totalPages || 1);
+      const loaded: Application[] = data.applications || [];
+      setApplications(loaded);
+      // Selection only covers applications on the current page
+      setSelectedIds((prev) => prev.filter((id) => loaded.some((app) => app._id === id)));
+      setTotalPages(data.pagination?.totalPages || data.pagination?.pages || 1);
       setTotal(data.pagination?.total || 0);
     } catch (error: any) {
       console.error("Failed to load applications:", error);
@@ -92,31 +240,51 @@ const Applications = () => {
   };
 
   const handleDelete = async (id: string, company: string) => {
-    if (!confirm(`Are you sure you want to delete the application for ${company}?`)) {
+    if (!confirm(`Move the application for ${company} to the trash?`)) {
       return;
     }
 
     try {
       await applicationsAPI.delete(id);
-      toast.success("Application deleted successfully");
+      toast.success("Application moved to trash");
       loadApplications();
+      notifySavedViewsChanged();
     } catch (error: any) {
       toast.error(error?.response?.data?.message || "Failed to delete application");
     }
   };
 
-  const filteredApplications = applications.filter((app) => {
-    const matchesSearch =
-      app.company.toLowerCase().includes(searchQuery.toLowerCase()) ||
-      app.jobTitle.toLowerCase().includes(searchQuery.toLowerCase());
-    return matchesSearch;
-  });
+  const toggleSelected = (id: string) => {
+    setSelectedIds((prev) =>
+      prev.includes(id) ? prev.filter((selected) => selected !== id) : [...prev, id]
+    );
+  };
+
+  const allSelected =
+    applications.length > 0 && applications.every((app) => selectedIds.includes(app._id));
+
+  const toggleSelectAll = () => {
+    setSelectedIds(allSelected ? [] : applications.map((app) => app._id));
+  };
+
+  // Failed items stay selected so they can be retried
+  const handleBulkComplete = (results: BulkItemResult[]) => {
+    setSelectedIds(results.filter((result) => !result.success).map((result) => result.id));
+    loadApplications();
+    notifySavedViewsChanged();
+  };
 
   const getStatusDisplay = (status: string) => {
     if (!status || status.trim() === '') {
       return 'No Status';
     }
-    return statusLabels[status] || status;
+    return pipeline.getLabel(status);
+  };
+
+  // Company and title are short, so their snippet is the whole value with matches marked
+  const renderField = (app: Application, field: "company" | "jobTitle") => {
+    const highlight = app.searchHighlights?.find((h) => h.field === field);
+    return highlight ? <HighlightedText highlight={highlight} /> : app[field];
   };
 
   const getDateDisplay = (date?: string) => {
@@ -128,6 +296,45 @@ const Applications = () => {
     }
   };
 
+  const renderColumn = (app: Application, column: ViewColumn) => {
+    switch (column) {
+      case "dateApplied":
+        return (
+          <>
+            <Calendar className="w-3 h-3" />
+            {getDateDisplay(app.dateApplied || app.appliedDate || app.createdAt)}
+          </>
+        );
+      case "source":
+        return (
+          <>
+            <Globe className="w-3 h-3" />
+            {app.source || "No source"}
+          </>
+        );
+      case "matchScore": {
+        const score = app.aiInsights?.resumeMatch?.matchScore;
+        return (
+          <>
+            <Target className="w-3 h-3" />
+            {typeof score === "number" ? `${score}% match` : "Not analyzed"}
+          </>
+        );
+      }
+      case "salary":
+        return (
+          <>
+            <Banknote className="w-3 h-3" />
+            {formatSalaryRange(app.salary) || "No salary listed"}
+          </>
+        );
+      case "createdAt":
+        return <>Added {getDateDisplay(app.createdAt)}</>;
+      case "updatedAt":
+        return <>Updated {getDateDisplay(app.updatedAt)}</>;
+    }
+  };
+
   const handleSort = (field: string) => {
     if (sortBy === field) {
       setSortOrder(sortOrder === "asc" ? "desc" : "asc");
@@ -163,7 +370,27 @@ const Applications = () => {
             initial={{ opacity: 0, y: 10 }}
             animate={{ opacity: 1, y: 0 }}
             transition={{ delay: 0.2 }}
+            className="flex flex-wrap gap-2"
           >
+            <ExportMenu params={{ ...viewSettings.filters, sortBy, sortOrder }} />
+            <Link to="/dashboard/applications/import">
+              <Button variant="outline">
+                <Upload className="w-4 h-4 mr-2" />
+                Import
+              </Button>
+            </Link>
+            <Link to="/dashboard/applications/trash">
+              <Button variant="outline">
+                <Trash2 className="w-4 h-4 mr-2" />
+                Trash
+              </Button>
+            </Link>
+            <Link to="/dashboard/applications/board">
+              <Button variant="outline">
+                <Columns3 className="w-4 h-4 mr-2" />
+                Board View
+              </Button>
+            </Link>
             <Link to="/dashboard/applications/new">
               <Button variant="gradient">
                 <Plus className="w-4 h-4 mr-2" />
@@ -180,29 +407,38 @@ const Applications = () => {
               <div className="flex-1 relative">
                 <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-muted-foreground w-4 h-4" />
                 <Input
-                  placeholder="Search by company or job title..."
+                  placeholder="Search company, title, description, notes or source..."
                   value={searchQuery}
                   onChange={(e) => setSearchQuery(e.target.value)}
                   className="pl-10"
                 />
               </div>
               <div className="flex gap-2">
-                <select
-                  value={statusFilter}
-                  onChange={(e) => {
-                    setStatusFilter(e.target.value);
-                    setCurrentPage(1);
-                  }}
-                  className="px-4 py-2 rounded-lg border border-border bg-background text-foreground"
+                <div className="flex items-center gap-2 px-2">
+                  <Checkbox
+                    id="includeArchived"
+                    checked={filters.includeArchived}
+                    onCheckedChange={(checked) =>
+                      handleFiltersChange({ ...filters, includeArchived: checked === true })
+                    }
+                  />
+                  <label htmlFor="includeArchived" className="text-sm text-muted-foreground whitespace-nowrap">
+                    Include archived
+                  </label>
+                </div>
+                <Button
+                  variant={showFilters || activeFilterCount > 0 ? "secondary" : "outline"}
+                  onClick={() => setShowFilters((prev) => !prev)}
+                  aria-expanded={showFilters}
                 >
-                  <option value="all">All Status</option>
-                  <option value="saved">Saved</option>
-                  <option value="applied">Applied</option>
-                  <option value="under-review">Under Review</option>
-                  <option value="interview">Interview</option>
-                  <option value="offer">Offer</option>
-                  <option value="rejected">Rejected</option>
-                </select>
+                  <Filter className="w-4 h-4 mr-2" />
+                  Filters
+                  {activeFilterCount > 0 && (
+                    <span className="ml-2 px-1.5 rounded-full bg-primary text-primary-foreground text-xs">
+                      {activeFilterCount}
+                    </span>
+                  )}
+                </Button>
                 <select
                   value={`${sortBy}-${sortOrder}`}
                   onChange={(e) => {
@@ -213,6 +449,7 @@ const Applications = () => {
                   }}
                   className="px-4 py-2 rounded-lg border border-border bg-background text-foreground"
                 >
+                  {debouncedQuery && <option value="relevance-desc">Most Relevant</option>}
                   <option value="createdAt-desc">Newest First</option>
                   <option value="createdAt-asc">Oldest First</option>
                   <option value="company-asc">Company A-Z</option>
@@ -220,30 +457,86 @@ const Applications = () => {
                   <option value="dateApplied-desc">Applied Date (Recent)</option>
                   <option value="dateApplied-asc">Applied Date (Oldest)</option>
                 </select>
+                <DropdownMenu>
+                  <DropdownMenuTrigger asChild>
+                    <Button variant="outline" size="icon" aria-label="Choose columns">
+                      <SlidersHorizontal className="w-4 h-4" />
+                    </Button>
+                  </DropdownMenuTrigger>
+                  <DropdownMenuContent align="end">
+                    <DropdownMenuLabel>Columns</DropdownMenuLabel>
+                    <DropdownMenuSeparator />
+                    {VIEW_COLUMNS.map((column) => (
+                      <DropdownMenuCheckboxItem
+                        key={column}
+                        checked={columns.includes(column)}
+                        onCheckedChange={() => toggleColumn(column)}
+                        onSelect={(e) => e.preventDefault()}
+                      >
+                        {viewColumnLabels[column]}
+                      </DropdownMenuCheckboxItem>
+                    ))}
+                  </DropdownMenuContent>
+                </DropdownMenu>
               </div>
             </div>
+            <SavedViewsBar
+              views={savedViews.views}
+              activeView={activeView}
+              settings={viewSettings}
+              onSelect={handleSelectView}
+            />
+            {showFilters && (
+              <ApplicationFilters
+                value={filters}
+                onChange={handleFiltersChange}
+                stages={pipeline.stages}
+                sources={sources}
+                tags={tagList.tags}
+              />
+            )}
           </CardContent>
         </Card>
 
         {/* Applications List */}
         <Card>
           <CardHeader className="flex flex-row items-center justify-between pb-4">
-            <CardTitle className="text-lg font-semibold">
+            <CardTitle className="text-lg font-semibold flex items-center gap-3">
+              {applications.length > 0 && (
+                <Checkbox
+                  checked={allSelected}
+                  onCheckedChange={toggleSelectAll}
+                  aria-label="Select all applications on this page"
+                />
+              )}
               {total} {total === 1 ? "Application" : "Applications"}
+              {activeView && (
+                <span className="ml-2 text-sm font-normal text-muted-foreground">
+                  in {activeView.name}
+                </span>
+              )}
             </CardTitle>
           </CardHeader>
           <CardContent className="p-0">
+            {selectedIds.length > 0 && (
+              <BulkActionsBar
+                selectedIds={selectedIds}
+                stages={pipeline.stages}
+                onClear={() => setSelectedIds([])}
+                onComplete={handleBulkComplete}
+              />
+            )}
             {loading ? (
               <div className="p-8 text-center text-muted-foreground">Loading applications...</div>
-            ) : filteredApplications.length === 0 ? (
+            ) : applications.length === 0 ? (
               <div className="p-8 text-center">
                 <Briefcase className="w-12 h-12 mx-auto text-muted-foreground mb-4" />
                 <p className="text-muted-foreground mb-4">
-                  {searchQuery || statusFilter !== "all"
+                  {searchQuery || activeFilterCount > 0
                     ? "No applications match your filters"
                     : "No applications yet. Add your first one!"}
                 </p>
-                {!searchQuery && statusFilter === "all" && (
+                {!searchQuery && activeFilterCount === 0 && (
                   <Link to="/dashboard/applications/new">
                     <Button variant="gradient">
                       <Plus className="w-4 h-4 mr-2" />
@@ -254,14 +547,21 @@ const Applications = () => {
               </div>
             ) : (
               <div className="divide-y">
-                {filteredApplications.map((app, index) => (
+                {applications.map((app, index) => (
                   <motion.div
                     key={app._id}
                     initial={{ opacity: 0, y: 20 }}
                     animate={{ opacity: 1, y: 0 }}
                     transition={{ delay: index * 0.05 }}
-                    className="flex items-center gap-4 p-4 hover:bg-muted/50 transition-colors group"
+                    className={`flex items-center gap-4 p-4 hover:bg-muted/50 transition-colors group ${
+                      selectedIds.includes(app._id) ? "bg-muted/40" : ""
+                    }`}
                   >
+                    <Checkbox
+                      checked={selectedIds.includes(app._id)}
+                      onCheckedChange={() => toggleSelected(app._id)}
+                      aria-label={`Select ${app.company}`}
+                    />
                     <div className="w-12 h-12 rounded-xl bg-gradient-to-br from-primary/20 to-blue-500/20 flex items-center justify-center font-bold text-primary flex-shrink-0">
                       {app.company.charAt(0).toUpperCase()}
                     </div>
@@ -271,7 +571,7 @@ const Applications = () => {
                           to={`/dashboard/applications/${app._id}`}
                           className="font-medium text-foreground hover:text-primary transition-colors"
                         >
-                          {app.company}
+                          {renderField(app, "company")}
                         </Link>
                         {app.jobLink && (
                           <a
@@ -285,19 +585,41 @@ const Applications = () => {
                           </a>
                         )}
                       </div>
-                      <p className="text-sm text-muted-foreground truncate">{app.jobTitle}</p>
-                      <div className="flex items-center gap-4 mt-2">
-                        <span className="text-xs text-muted-foreground flex items-center gap-1">
-                          <Calendar className="w-3 h-3" />
-                          {getDateDisplay(app.dateApplied || app.appliedDate || app.createdAt)}
+                      <p className="text-sm text-muted-foreground truncate">{renderField(app, "jobTitle")}</p>
+                      {app.archivedAt && (
+                        <span className="inline-flex items-center gap-1 mt-1 text-xs text-muted-foreground">
+                          <Archive className="w-3 h-3" />
+                          Archived
                         </span>
-                      </div>
+                      )}
+                      <SearchHighlights highlights={app.searchHighlights} />
+                      {app.tags && app.tags.length > 0 && (
+                        <div className="flex flex-wrap gap-1 mt-2">
+                          {app.tags.map((tag) => (
+                            <span
+                              key={tag}
+                              className={`px-2 py-0.5 rounded-full text-xs ${tagList.getChipClass(tag)}`}
+                            >
+                              {tag}
+                            </span>
+                          ))}
+                        </div>
+                      )}
+                      {columns.length > 0 && (
+                        <div className="flex flex-wrap items-center gap-4 mt-2">
+                          {columns.map((column) => (
+                            <span key={column} className="text-xs text-muted-foreground flex items-center gap-1">
+                              {renderColumn(app, column)}
+                            </span>
+                          ))}
+                        </div>
+                      )}
                     </div>
                     <div className="flex items-center gap-4">
                       {app.status && app.status.trim() !== '' ? (
                         <span
                           className={`px-3 py-1 text-xs font-medium rounded-full ${
-                            statusColors[app.status] || "badge-applied"
+                            pipeline.getBadgeClass(app.status)
                           }`}
                         >
                           {getStatusDisplay(app.status)}
@@ -0,0 +1,303 @@
+import { useState, useEffect } from "react";
+import { motion } from "framer-motion";
+import { Building2, Calendar, List, Plus, Target } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import DashboardLayout from "@/components/dashboard/DashboardLayout";
+import { applicationsAPI } from "@/lib/api";
+import { StageCategory, categoryDotClasses } from "@/lib/pipeline";
+import { formatDistanceToNow } from "date-fns";
+import { Link } from "react-router-dom";
+import { toast } from "sonner";
+
+interface BoardCard {
+  _id: string;
+  company: string;
+  jobTitle: string;
+  status: string;
+  dateApplied?: string | null;
+  createdAt: string;
+  boardPosition?: number | null;
+  aiInsights?: {
+    resumeMatch?: {
+      matchScore?: number | null;
+    };
+  };
+}
+
+interface BoardColumn {
+  key: string;
+  label: string;
+  category: StageCategory | null;
+  applications: BoardCard[];
+}
+
+interface DropTarget {
+  columnKey: string;
+  index: number;
+}
+
+const getErrorMessage = (error: unknown, fallback: string) =>
+  (error as { response?: { data?: { message?: string } } })?.response?.data?.message || fallback;
+
+const ApplicationsBoard = () => {
+  const [columns, setColumns] = useState<BoardColumn[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [draggingId, setDraggingId] = useState<string | null>(null);
+  const [dropTarget, setDropTarget] = useState<DropTarget | null>(null);
+
+  useEffect(() => {
+    loadBoard();
+  }, []);
+
+  const loadBoard = async () => {
+    try {
+      const response = await applicationsAPI.getBoard();
+      setColumns(response.data?.data?.board?.columns || []);
+    } catch (error) {
+      console.error("Failed to load board:", error);
+      toast.error(getErrorMessage(error, "Failed to load board"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const getDateDisplay = (card: BoardCard) => {
+    const date = card.dateApplied || card.createdAt;
+    try {
+      return formatDistanceToNow(new Date(date), { addSuffix: true });
+    } catch {
+      return "N/A";
+    }
+  };
+
+  const handleDragStart = (e: React.DragEvent, card: BoardCard) => {
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", card._id);
+    setDraggingId(card._id);
+  };
+
+  const handleDragEnd = () => {
+    setDraggingId(null);
+    setDropTarget(null);
+  };
+
+  // Drop before or after a card depending on which half of it the pointer is over
+  const handleCardDragOver = (e: React.DragEvent, columnKey: string, index: number) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const rect = e.currentTarget.getBoundingClientRect();
+    const after = e.clientY > rect.top + rect.height / 2;
+    setDropTarget({ columnKey, index: after ? index + 1 : index });
+  };
+
+  // Empty space in a column drops the card at the end
+  const handleColumnDragOver = (e: React.DragEvent, column: BoardColumn) => {
+    e.preventDefault();
+    if (dropTarget?.columnKey !== column.key) {
+      setDropTarget({ columnKey: column.key, index: column.applications.length });
+    }
+  };
+
+  const handleDrop = async (e: React.DragEvent) => {
+    e.preventDefault();
+    const cardId = e.dataTransfer.getData("text/plain") || draggingId;
+    const target = dropTarget;
+    handleDragEnd();
+    if (!cardId || !target) return;
+
+    const sourceColumn = columns.find((column) =>
+      column.applications.some((card) => card._id === cardId)
+    );
+    if (!sourceColumn) return;
+
+    const sourceIndex = sourceColumn.applications.findIndex((card) => card._id === cardId);
+    const card = sourceColumn.applications[sourceIndex];
+    const statusChanged = sourceColumn.key !== target.columnKey;
+
+    // Removing the card first shifts later positions in the same column up by one
+    let targetIndex = target.index;
+    if (!statusChanged && sourceIndex < targetIndex) targetIndex -= 1;
+    if (!statusChanged && sourceIndex === targetIndex) return;
+
+    const previousColumns = columns;
+    const nextColumns = columns.map((column) => ({
+      ...column,
+      applications: column.applications.filter((c) => c._id !== cardId),
+    }));
+    const targetColumn = nextColumns.find((column) => column.key === target.columnKey);
+    if (!targetColumn) return;
+    targetColumn.applications.splice(targetIndex, 0, { ...card, status: targetColumn.key });
+    setColumns(nextColumns);
+
+    try {
+      // Status changes use the regular update endpoint so history and reminders are recorded
+      if (statusChanged) {
+        await applicationsAPI.update(cardId, { status: targetColumn.key });
+      }
+      await applicationsAPI.reorderBoardColumn(
+        targetColumn.key,
+        targetColumn.applications.map((c) => c._id)
+      );
+      if (statusChanged) {
+        toast.success(`${card.company} moved to ${targetColumn.label}`);
+      }
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to move application"));
+      setColumns(previousColumns);
+      loadBoard();
+    }
+  };
+
+  const totalCards = columns.reduce((sum, column) => sum + column.applications.length, 0);
+
+  return (
+    <DashboardLayout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4">
+          <div>
+            <motion.h1
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              className="text-2xl lg:text-3xl font-bold text-foreground"
+            >
+              Application Board
+            </motion.h1>
+            <motion.p
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 0.1 }}
+              className="text-muted-foreground mt-1"
+            >
+              Drag cards between columns to update their status
+            </motion.p>
+          </div>
+          <motion.div
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.2 }}
+            className="flex gap-2"
+          >
+            <Link to="/dashboard/applications">
+              <Button variant="outline">
+                <List className="w-4 h-4 mr-2" />
+                List View
+              </Button>
+            </Link>
+            <Link to="/dashboard/applications/new">
+              <Button variant="gradient">
+                <Plus className="w-4 h-4 mr-2" />
+                Add Application
+              </Button>
+            </Link>
+          </motion.div>
+        </div>
+
+        {loading ? (
+          <div className="text-center py-12">
+            <p className="text-muted-foreground">Loading board...</p>
+          </div>
+        ) : (
+          <div className="flex gap-4 overflow-x-auto pb-4">
+            {columns.map((column) => {
+              const isTarget = dropTarget?.columnKey === column.key;
+              return (
+                <div
+                  key={column.key}
+                  onDragOver={(e) => handleColumnDragOver(e, column)}
+                  onDrop={handleDrop}
+                  className={`flex-shrink-0 w-72 rounded-xl border bg-muted/40 flex flex-col max-h-[calc(100vh-14rem)] transition-colors ${
+                    isTarget ? "border-primary" : "border-border"
+                  }`}
+                >
+                  <div className="flex items-center justify-between px-4 py-3 border-b border-border">
+                    <div className="flex items-center gap-2">
+                      <span
+                        className={`w-2.5 h-2.5 rounded-full ${
+                          column.category ? categoryDotClasses[column.category] : "bg-primary"
+                        }`}
+                      />
+                      <h2 className="font-semibold text-foreground text-sm">{column.label}</h2>
+                    </div>
+                    <span className="text-xs text-muted-foreground">
+                      {column.applications.length}
+                    </span>
+                  </div>
+
+                  <div className="flex-1 overflow-y-auto p-3 space-y-2 min-h-[120px]">
+                    {column.applications.map((card, index) => (
+                      <div key={card._id}>
+                        {isTarget && dropTarget?.index === index && draggingId && (
+                          <div className="h-1 rounded-full bg-primary mb-2" />
+                        )}
+                        <div
+                          draggable
+                          onDragStart={(e) => handleDragStart(e, card)}
+                          onDragEnd={handleDragEnd}
+                          onDragOver={(e) => handleCardDragOver(e, column.key, index)}
+                          className={`rounded-lg border border-border bg-background p-3 cursor-grab active:cursor-grabbing hover:shadow-sm transition-opacity ${
+                            draggingId === card._id ? "opacity-50" : ""
+                          }`}
+                        >
+                          <Link
+                            to={`/dashboard/applications/${card._id}`}
+                            className="block"
+                            draggable={false}
+                          >
+                            <p className="font-medium text-foreground text-sm truncate">
+                              {card.jobTitle}
+                            </p>
+                            <p className="text-xs text-muted-foreground flex items-center gap-1 mt-1 truncate">
+                              <Building2 className="w-3 h-3 flex-shrink-0" />
+                              {card.company}
+                            </p>
+                            <div className="flex items-center justify-between mt-2 text-xs text-muted-foreground">
+                              <span className="flex items-center gap-1">
+                                <Calendar className="w-3 h-3" />
+                                {getDateDisplay(card)}
+                              </span>
+                              {typeof card.aiInsights?.resumeMatch?.matchScore === "number" && (
+                                <span className="flex items-center gap-1">
+                                  <Target className="w-3 h-3" />
+                                  {card.aiInsights.resumeMatch.matchScore}%
+                                </span>
+                              )}
+                            </div>
+                          </Link>
+                        </div>
+                      </div>
+                    ))}
+                    {isTarget &&
+                      draggingId &&
+                      dropTarget?.index === column.applications.length && (
+                        <div className="h-1 rounded-full bg-primary" />
+                      )}
+                    {column.applications.length === 0 && !isTarget && (
+                      <p className="text-xs text-muted-foreground text-center py-6">
+                        No applications
+                      </p>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {!loading && totalCards === 0 && (
+          <div className="text-center py-6">
+            <p className="text-muted-foreground mb-4">No applications yet</p>
+            <Link to="/dashboard/applications/new">
+              <Button variant="gradient">
+                <Plus className="w-4 h-4 mr-2" />
+                Add Your First Application
+              </Button>
+            </Link>
+          </div>
+        )}
+      </div>
+    </DashboardLayout>
+  );
+};
+
+export default ApplicationsBoard;
@@ -0,0 +1,227 @@
+import { useCallback, useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import { Building2, MapPin, Plus, Search, Star, X } from "lucide-react";
+import { Link } from "react-router-dom";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import DashboardLayout from "@/components/dashboard/DashboardLayout";
+import { companiesAPI } from "@/lib/api";
+import { Company, formatRating } from "@/lib/companies";
+import { toast } from "sonner";
+
+const SEARCH_DELAY_MS = 300;
+
+const EMPTY_FORM = { name: "", industry: "", website: "" };
+
+const getErrorMessage = (error: unknown, fallback: string) =>
+  (error as { response?: { data?: { message?: string } } })?.response?.data?.message || fallback;
+
+/**
+ * Companies the user has applied to. Applications are linked to a company
+ * by name when they are saved; each company has its own page with shared
+ * notes, details, ratings and every application sent there.
+ */
+const Companies = () => {
+  const [companies, setCompanies] = useState<Company[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [searchInput, setSearchInput] = useState("");
+  const [search, setSearch] = useState("");
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  // Debounce the search box so every keystroke is not a request
+  useEffect(() => {
+    const timer = setTimeout(() => setSearch(searchInput.trim()), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  const loadCompanies = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await companiesAPI.getAll(search ? { q: search } : undefined);
+      setCompanies(response.data?.data?.companies || []);
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to load companies"));
+    } finally {
+      setLoading(false);
+    }
+  }, [search]);
+
+  useEffect(() => {
+    loadCompanies();
+  }, [loadCompanies]);
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!form.name.trim()) {
+      toast.error("Enter a company name");
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await companiesAPI.create({
+        name: form.name.trim(),
+        industry: form.industry.trim(),
+        website: form.website.trim(),
+      });
+      toast.success(`${form.name.trim()} added`);
+      setForm(EMPTY_FORM);
+      setShowForm(false);
+      loadCompanies();
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to create company"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <DashboardLayout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4">
+          <div>
+            <motion.h1
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              className="text-2xl lg:text-3xl font-bold text-foreground"
+            >
+              Companies
+            </motion.h1>
+            <motion.p
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 0.1 }}
+              className="text-muted-foreground mt-1"
+            >
+              Research, notes and ratings shared by all your applications to each company
+            </motion.p>
+          </div>
+          <Button onClick={() => setShowForm((prev) => !prev)} variant={showForm ? "outline" : "default"}>
+            {showForm ? <X className="w-4 h-4 mr-2" /> : <Plus className="w-4 h-4 mr-2" />}
+            {showForm ? "Cancel" : "Add Company"}
+          </Button>
+        </div>
+
+        {showForm && (
+          <Card>
+            <CardContent className="pt-6">
+              <form onSubmit={handleCreate} className="grid gap-4 md:grid-cols-3">
+                <div className="space-y-2">
+                  <Label htmlFor="companyName">Name</Label>
+                  <Input
+                    id="companyName"
+                    value={form.name}
+                    onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+                    placeholder="Acme Inc."
+                    disabled={saving}
+                    autoFocus
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="companyIndustry">Industry</Label>
+                  <Input
+                    id="companyIndustry"
+                    value={form.industry}
+                    onChange={(e) => setForm((prev) => ({ ...prev, industry: e.target.value }))}
+                    placeholder="Fintech"
+                    disabled={saving}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="companyWebsite">Website</Label>
+                  <Input
+                    id="companyWebsite"
+                    value={form.website}
+                    onChange={(e) => setForm((prev) => ({ ...prev, website: e.target.value }))}
+                    placeholder="https://acme.com"
+                    disabled={saving}
+                  />
+                </div>
+                <div className="md:col-span-3 flex justify-end">
+                  <Button type="submit" disabled={saving}>
+                    {saving ? "Adding..." : "Add Company"}
+                  </Button>
+                </div>
+              </form>
+            </CardContent>
+          </Card>
+        )}
+
+        <Card>
+          <CardHeader className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 space-y-0">
+            <CardTitle>All Companies ({companies.length})</CardTitle>
+            <div className="relative w-full sm:w-64">
+              <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-muted-foreground" />
+              <Input
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
+                placeholder="Search companies..."
+                className="pl-9"
+              />
+            </div>
+          </CardHeader>
+          <CardContent className="p-0">
+            {loading ? (
+              <div className="p-8 text-center text-muted-foreground">Loading companies...</div>
+            ) : companies.length === 0 ? (
+              <div className="p-8 text-center">
+                <Building2 className="w-12 h-12 mx-auto text-muted-foreground mb-4" />
+                <p className="text-muted-foreground">
+                  {search ? "No companies match your search" : "Companies appear here as you add applications"}
+                </p>
+              </div>
+            ) : (
+              <div className="divide-y divide-border">
+                {companies.map((company, index) => (
+                  <motion.div
+                    key={company._id}
+                    initial={{ opacity: 0, y: 10 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ delay: Math.min(index, 10) * 0.05 }}
+                  >
+                    <Link
+                      to={`/dashboard/companies/${company._id}`}
+                      className="flex items-center gap-4 p-4 hover:bg-muted/50 transition-colors"
+                    >
+                      <div className="w-12 h-12 rounded-xl bg-muted flex items-center justify-center font-bold text-muted-foreground flex-shrink-0">
+                        {company.name.charAt(0).toUpperCase()}
+                      </div>
+                      <div className="flex-1 min-w-0">
+                        <p className="font-medium text-foreground truncate">{company.name}</p>
+                        <p className="text-sm text-muted-foreground truncate">
+                          {[company.industry, company.size && `${company.size} employees`]
+                            .filter(Boolean)
+                            .join(" · ") || "No details yet"}
+                        </p>
+                        {company.headquarters && (
+                          <p className="text-xs text-muted-foreground mt-1 flex items-center gap-1">
+                            <MapPin className="w-3 h-3" />
+                            {company.headquarters}
+                          </p>
+                        )}
+                      </div>
+                      <div className="hidden sm:flex items-center gap-1 text-sm text-muted-foreground w-16">
+                        <Star className="w-4 h-4" />
+                        {formatRating(company.ratings?.overall)}
+                      </div>
+                      <span className="px-3 py-1 text-xs font-medium rounded-full bg-muted text-muted-foreground whitespace-nowrap">
+                        {company.applicationCount} application{company.applicationCount === 1 ? "" : "s"}
+                      </span>
+                    </Link>
+                  </motion.div>
+                ))}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </DashboardLayout>
+  );
+};
+
+export default Companies;
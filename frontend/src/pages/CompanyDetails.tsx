@@ -0,0 +1,573 @@
+import { useCallback, useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import {
+  ArrowLeft,
+  Briefcase,
+  Edit,
+  ExternalLink,
+  GitMerge,
+  MapPin,
+  Save,
+  Star,
+  Trash2,
+  Users,
+  X,
+} from "lucide-react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { format } from "date-fns";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import DashboardLayout from "@/components/dashboard/DashboardLayout";
+import { analyticsAPI, companiesAPI } from "@/lib/api";
+import {
+  COMPANY_RATINGS,
+  COMPANY_SIZES,
+  Company,
+  CompanyRatingField,
+  RATING_MAX,
+  RATING_MIN,
+  RATING_STEP,
+  formatRating,
+} from "@/lib/companies";
+import { usePipeline } from "@/hooks/use-pipeline";
+import { toast } from "sonner";
+
+interface CompanyApplication {
+  _id: string;
+  jobTitle: string;
+  status: string;
+  dateApplied?: string | null;
+  archivedAt?: string | null;
+  createdAt: string;
+}
+
+interface CompanyStats {
+  total: number;
+  successRate: number;
+  responseRate: number;
+  averageMatchScore: number | null;
+  firstApplied: string | null;
+  lastApplied: string | null;
+}
+
+type RatingValues = Record<CompanyRatingField, string>;
+
+const selectClassName =
+  "w-full px-3 py-2 rounded-lg border border-border bg-background text-foreground text-sm";
+
+// 1, 1.5, 2 ... 5
+const RATING_OPTIONS = Array.from(
+  { length: (RATING_MAX - RATING_MIN) / RATING_STEP + 1 },
+  (_, index) => (RATING_MIN + index * RATING_STEP).toFixed(1)
+);
+
+const getErrorMessage = (error: unknown, fallback: string) =>
+  (error as { response?: { data?: { message?: string } } })?.response?.data?.message || fallback;
+
+const toFormData = (company: Company) => ({
+  name: company.name,
+  website: company.website || "",
+  industry: company.industry || "",
+  size: company.size || "",
+  headquarters: company.headquarters || "",
+  notes: company.notes || "",
+  ratings: Object.fromEntries(
+    COMPANY_RATINGS.map(({ field }) => {
+      const value = company.ratings?.[field];
+      return [field, value === null || value === undefined ? "" : value.toFixed(1)];
+    })
+  ) as RatingValues,
+});
+
+/**
+ * A company with its details, research notes, ratings, statistics and every
+ * application sent to it. Companies can be merged into another one when the
+ * same employer was saved under names that do not match.
+ */
+const CompanyDetails = () => {
+  const { id } = useParams<{ id: string }>();
+  const navigate = useNavigate();
+  const pipeline = usePipeline();
+  const [company, setCompany] = useState<Company | null>(null);
+  const [applications, setApplications] = useState<CompanyApplication[]>([]);
+  const [stats, setStats] = useState<CompanyStats | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [isEditing, setIsEditing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [formData, setFormData] = useState<ReturnType<typeof toFormData> | null>(null);
+  const [mergeTargets, setMergeTargets] = useState<Company[] | null>(null);
+  const [mergeTargetId, setMergeTargetId] = useState("");
+
+  const loadCompany = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [companyResponse, statsResponse] = await Promise.all([
+        companiesAPI.getById(id!),
+        // The page lists archived applications too, so count them
+        analyticsAPI.getCompany(id!, { includeArchived: "true" }),
+      ]);
+      const data = companyResponse.data?.data;
+      setCompany(data?.company || null);
+      setApplications(data?.applications || []);
+      setStats(statsResponse.data?.data?.company || null);
+      if (data?.company) setFormData(toFormData(data.company));
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to load company"));
+      navigate("/dashboard/companies");
+    } finally {
+      setLoading(false);
+    }
+  }, [id, navigate]);
+
+  useEffect(() => {
+    if (id) loadCompany();
+  }, [id, loadCompany]);
+
+  const handleChange = (
+    e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement>
+  ) => {
+    const { name, value } = e.target;
+    setFormData((prev) => (prev ? { ...prev, [name]: value } : prev));
+  };
+
+  const handleRatingChange = (field: CompanyRatingField, value: string) => {
+    setFormData((prev) => (prev ? { ...prev, ratings: { ...prev.ratings, [field]: value } } : prev));
+  };
+
+  const handleCancel = () => {
+    if (company) setFormData(toFormData(company));
+    setIsEditing(false);
+  };
+
+  const handleSave = async () => {
+    if (!formData) return;
+    if (!formData.name.trim()) {
+      toast.error("Company name is required");
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await companiesAPI.update(id!, {
+        name: formData.name.trim(),
+        website: formData.website.trim(),
+        industry: formData.industry.trim(),
+        size: formData.size || null,
+        headquarters: formData.headquarters.trim(),
+        notes: formData.notes,
+        ratings: Object.fromEntries(
+          COMPANY_RATINGS.map(({ field }) => [
+            field,
+            formData.ratings[field] ? Number(formData.ratings[field]) : null,
+          ])
+        ),
+      });
+      const updated = response.data?.data?.company;
+      toast.success("Company updated");
+      setIsEditing(false);
+      if (updated?.name !== company?.name) {
+        // A rename changes the company name on every application
+        loadCompany();
+      } else if (updated) {
+        setCompany({ ...updated, applicationCount: applications.length });
+        setFormData(toFormData(updated));
+      }
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to update company"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!company) return;
+    if (applications.length > 0) {
+      toast.error("Move or delete this company's applications first, or merge it into another company");
+      return;
+    }
+    if (!confirm(`Delete ${company.name}? Its notes and ratings are deleted too.`)) return;
+
+    try {
+      await companiesAPI.delete(id!);
+      toast.success("Company deleted");
+      navigate("/dashboard/companies");
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to delete company"));
+    }
+  };
+
+  const openMerge = async () => {
+    if (mergeTargets) {
+      setMergeTargets(null);
+      return;
+    }
+    try {
+      const response = await companiesAPI.getAll();
+      const companies: Company[] = response.data?.data?.companies || [];
+      setMergeTargets(companies.filter((other) => other._id !== id));
+      setMergeTargetId("");
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to load companies"));
+    }
+  };
+
+  const handleMerge = async () => {
+    const target = mergeTargets?.find((other) => other._id === mergeTargetId);
+    if (!company || !target) {
+      toast.error("Choose a company to merge into");
+      return;
+    }
+    if (
+      !confirm(
+        `Merge ${company.name} into ${target.name}? Its applications move to ${target.name} and are renamed, and its notes are added to ${target.name}'s.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      const response = await companiesAPI.merge(id!, target._id);
+      toast.success(response.data?.message || `Merged into ${target.name}`);
+      navigate(`/dashboard/companies/${target._id}`);
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to merge company"));
+    }
+  };
+
+  if (loading) {
+    return (
+      <DashboardLayout>
+        <div className="flex items-center justify-center min-h-[400px]">
+          <div className="text-center">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary mx-auto mb-4"></div>
+            <p className="text-muted-foreground">Loading company...</p>
+          </div>
+        </div>
+      </DashboardLayout>
+    );
+  }
+
+  if (!company || !formData) {
+    return (
+      <DashboardLayout>
+        <div className="text-center py-12">
+          <p className="text-muted-foreground mb-4">Company not found</p>
+          <Link to="/dashboard/companies">
+            <Button>Back to Companies</Button>
+          </Link>
+        </div>
+      </DashboardLayout>
+    );
+  }
+
+  const statCards = [
+    { label: "Applications", value: String(stats?.total ?? applications.length) },
+    { label: "Response Rate", value: `${stats?.responseRate ?? 0}%` },
+    { label: "Success Rate", value: `${stats?.successRate ?? 0}%` },
+    {
+      label: "Avg. Match Score",
+      value: stats?.averageMatchScore !== null && stats?.averageMatchScore !== undefined
+        ? `${Math.round(stats.averageMatchScore)}%`
+        : "–",
+    },
+  ];
+
+  return (
+    <DashboardLayout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4">
+          <div className="flex items-center gap-4">
+            <Link to="/dashboard/companies">
+              <Button variant="ghost" size="icon">
+                <ArrowLeft className="w-4 h-4" />
+              </Button>
+            </Link>
+            <div>
+              <motion.h1
+                initial={{ opacity: 0, y: 10 }}
+                animate={{ opacity: 1, y: 0 }}
+                className="text-2xl lg:text-3xl font-bold text-foreground"
+              >
+                {isEditing ? "Edit Company" : company.name}
+              </motion.h1>
+              <motion.p
+                initial={{ opacity: 0, y: 10 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ delay: 0.1 }}
+                className="text-muted-foreground mt-1"
+              >
+                {isEditing
+                  ? "Update company details, notes and ratings"
+                  : [company.industry, company.headquarters].filter(Boolean).join(" · ") || "Company"}
+              </motion.p>
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            {!isEditing ? (
+              <>
+                <Button variant="outline" onClick={() => setIsEditing(true)}>
+                  <Edit className="w-4 h-4 mr-2" />
+                  Edit
+                </Button>
+                <Button variant={mergeTargets ? "secondary" : "outline"} onClick={openMerge}>
+                  <GitMerge className="w-4 h-4 mr-2" />
+                  Merge
+                </Button>
+                <Button variant="outline" onClick={handleDelete} className="text-red-500 hover:text-red-600">
+                  <Trash2 className="w-4 h-4 mr-2" />
+                  Delete
+                </Button>
+              </>
+            ) : (
+              <>
+                <Button variant="outline" onClick={handleCancel}>
+                  <X className="w-4 h-4 mr-2" />
+                  Cancel
+                </Button>
+                <Button variant="gradient" onClick={handleSave} disabled={saving}>
+                  <Save className="w-4 h-4 mr-2" />
+                  {saving ? "Saving..." : "Save"}
+                </Button>
+              </>
+            )}
+          </div>
+        </div>
+
+        {mergeTargets && !isEditing && (
+          <Card>
+            <CardContent className="pt-6 flex flex-col sm:flex-row sm:items-center gap-3">
+              <p className="text-sm text-muted-foreground">Merge {company.name} into</p>
+              <select
+                value={mergeTargetId}
+                onChange={(e) => setMergeTargetId(e.target.value)}
+                className={`${selectClassName} sm:w-64`}
+                aria-label="Company to merge into"
+              >
+                <option value="">Choose a company...</option>
+                {mergeTargets.map((other) => (
+                  <option key={other._id} value={other._id}>
+                    {other.name}
+                  </option>
+                ))}
+              </select>
+              <Button onClick={handleMerge} disabled={!mergeTargetId}>
+                Merge
+              </Button>
+            </CardContent>
+          </Card>
+        )}
+
+        {/* Statistics */}
+        <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+          {statCards.map((stat) => (
+            <Card key={stat.label}>
+              <CardContent className="pt-6">
+                <p className="text-sm text-muted-foreground">{stat.label}</p>
+                <p className="text-2xl font-bold text-foreground mt-1">{stat.value}</p>
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+
+        <div className="grid lg:grid-cols-3 gap-6">
+          {/* Main Content */}
+          <div className="lg:col-span-2 space-y-6">
+            {/* Applications */}
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <Briefcase className="w-5 h-5" />
+                  Applications ({applications.length})
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="p-0">
+                {applications.length === 0 ? (
+                  <p className="p-6 text-sm text-muted-foreground">No applications to this company</p>
+                ) : (
+                  <div className="divide-y divide-border">
+                    {applications.map((app) => (
+                      <Link
+                        key={app._id}
+                        to={`/dashboard/applications/${app._id}`}
+                        className="flex items-center gap-4 p-4 hover:bg-muted/50 transition-colors"
+                      >
+                        <div className="flex-1 min-w-0">
+                          <p className="font-medium text-foreground truncate">{app.jobTitle}</p>
+                          <p className="text-xs text-muted-foreground mt-1">
+                            {app.dateApplied
+                              ? `Applied ${format(new Date(app.dateApplied), "MMM d, yyyy")}`
+                              : `Added ${format(new Date(app.createdAt), "MMM d, yyyy")}`}
+                          </p>
+                        </div>
+                        {app.archivedAt && (
+                          <span className="px-3 py-1 text-xs font-medium rounded-full bg-muted text-muted-foreground">
+                            Archived
+                          </span>
+                        )}
+                        <span
+                          className={`px-3 py-1 text-xs font-medium rounded-full ${pipeline.getBadgeClass(app.status)}`}
+                        >
+                          {pipeline.getLabel(app.status)}
+                        </span>
+                      </Link>
+                    ))}
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+
+            {/* Research Notes */}
+            <Card>
+              <CardHeader>
+                <CardTitle>Research Notes</CardTitle>
+              </CardHeader>
+              <CardContent>
+                {isEditing ? (
+                  <Textarea
+                    name="notes"
+                    value={formData.notes}
+                    onChange={handleChange}
+                    rows={10}
+                    placeholder="Mission, products, tech stack, people you know, interview process..."
+                  />
+                ) : company.notes ? (
+                  <p className="text-foreground whitespace-pre-wrap">{company.notes}</p>
+                ) : (
+                  <p className="text-sm text-muted-foreground">
+                    No notes yet. Notes are shared by every application to {company.name}.
+                  </p>
+                )}
+              </CardContent>
+            </Card>
+          </div>
+
+          {/* Sidebar */}
+          <div className="space-y-6">
+            {/* Details */}
+            <Card>
+              <CardHeader>
+                <CardTitle>Details</CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                {isEditing ? (
+                  <>
+                    <div>
+                      <label className="block text-sm font-medium mb-2">
+                        Name <span className="text-red-500">*</span>
+                      </label>
+                      <Input name="name" value={formData.name} onChange={handleChange} required />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium mb-2">Website</label>
+                      <Input
+                        name="website"
+                        value={formData.website}
+                        onChange={handleChange}
+                        placeholder="https://..."
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium mb-2">Industry</label>
+                      <Input name="industry" value={formData.industry} onChange={handleChange} />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium mb-2">Size</label>
+                      <select name="size" value={formData.size} onChange={handleChange} className={selectClassName}>
+                        <option value="">Unknown</option>
+                        {COMPANY_SIZES.map((size) => (
+                          <option key={size} value={size}>
+                            {size} employees
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium mb-2">Headquarters</label>
+                      <Input name="headquarters" value={formData.headquarters} onChange={handleChange} />
+                    </div>
+                  </>
+                ) : (
+                  <>
+                    {company.website && (
+                      <a
+                        href={company.website}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="flex items-center gap-2 text-sm text-primary hover:underline break-all"
+                      >
+                        <ExternalLink className="w-4 h-4 flex-shrink-0" />
+                        {company.website}
+                      </a>
+                    )}
+                    <div className="flex items-center gap-2 text-sm text-foreground">
+                      <Users className="w-4 h-4 text-muted-foreground" />
+                      {company.size ? `${company.size} employees` : "Size unknown"}
+                    </div>
+                    <div className="flex items-center gap-2 text-sm text-foreground">
+                      <MapPin className="w-4 h-4 text-muted-foreground" />
+                      {company.headquarters || "Headquarters unknown"}
+                    </div>
+                    {stats?.firstApplied && (
+                      <p className="text-sm text-muted-foreground">
+                        First applied {format(new Date(stats.firstApplied), "MMM d, yyyy")}
+                        {stats.lastApplied && stats.lastApplied !== stats.firstApplied
+                          ? `, last ${format(new Date(stats.lastApplied), "MMM d, yyyy")}`
+                          : ""}
+                      </p>
+                    )}
+                  </>
+                )}
+              </CardContent>
+            </Card>
+
+            {/* Ratings */}
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <Star className="w-5 h-5" />
+                  Ratings
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                {COMPANY_RATINGS.map(({ field, label }) => (
+                  <div key={field} className="flex items-center justify-between gap-4">
+                    <span className="text-sm text-muted-foreground">{label}</span>
+                    {isEditing ? (
+                      <select
+                        value={formData.ratings[field]}
+                        onChange={(e) => handleRatingChange(field, e.target.value)}
+                        className="px-2 py-1 rounded-lg border border-border bg-background text-foreground text-sm"
+                        aria-label={label}
+                      >
+                        <option value="">–</option>
+                        {RATING_OPTIONS.map((option) => (
+                          <option key={option} value={option}>
+                            {option}
+                          </option>
+                        ))}
+                      </select>
+                    ) : (
+                      <span className="text-sm font-medium text-foreground">
+                        {formatRating(company.ratings?.[field])}
+                      </span>
+                    )}
+                  </div>
+                ))}
+                {!isEditing && (
+                  <p className="text-xs text-muted-foreground pt-2">
+                    Entered by you, e.g. from employer review sites ({RATING_MIN}-{RATING_MAX})
+                  </p>
+                )}
+              </CardContent>
+            </Card>
+          </div>
+        </div>
+      </div>
+    </DashboardLayout>
+  );
+};
+
+export default CompanyDetails;
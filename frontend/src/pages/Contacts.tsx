@@ -0,0 +1,512 @@
+import { useCallback, useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import {
+  Briefcase,
+  CalendarCheck,
+  Edit,
+  Linkedin,
+  Mail,
+  Phone,
+  Plus,
+  Search,
+  Trash2,
+  Unlink,
+  Users,
+  X,
+} from "lucide-react";
+import { Link, useSearchParams } from "react-router-dom";
+import { format } from "date-fns";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import DashboardLayout from "@/components/dashboard/DashboardLayout";
+import { contactsAPI, ContactInput } from "@/lib/api";
+import { Contact, CONTACT_RELATIONSHIPS, ContactRelationship, relationshipLabels } from "@/lib/contacts";
+import { toast } from "sonner";
+
+const SEARCH_DELAY_MS = 300;
+
+const EMPTY_FORM = {
+  name: "",
+  role: "",
+  email: "",
+  phone: "",
+  linkedInUrl: "",
+  company: "",
+  notes: "",
+  lastContactedAt: "",
+};
+
+type ContactForm = typeof EMPTY_FORM;
+
+interface LinkedApplication {
+  _id: string;
+  company: string;
+  jobTitle: string;
+  status: string;
+  dateApplied?: string;
+  relationship: ContactRelationship;
+}
+
+const selectClassName =
+  "px-3 py-2 rounded-lg border border-border bg-background text-foreground text-sm";
+
+const getErrorMessage = (error: unknown, fallback: string) =>
+  (error as { response?: { data?: { message?: string } } })?.response?.data?.message || fallback;
+
+const toForm = (contact: Contact): ContactForm => ({
+  name: contact.name,
+  role: contact.role || "",
+  email: contact.email || "",
+  phone: contact.phone || "",
+  linkedInUrl: contact.linkedInUrl || "",
+  company: contact.company || "",
+  notes: contact.notes || "",
+  lastContactedAt: contact.lastContactedAt ? format(new Date(contact.lastContactedAt), "yyyy-MM-dd") : "",
+});
+
+const toInput = (form: ContactForm): ContactInput => ({
+  name: form.name.trim(),
+  role: form.role.trim(),
+  email: form.email.trim(),
+  phone: form.phone.trim(),
+  linkedInUrl: form.linkedInUrl.trim(),
+  company: form.company.trim(),
+  notes: form.notes.trim(),
+  lastContactedAt: form.lastContactedAt ? new Date(form.lastContactedAt).toISOString() : null,
+});
+
+/**
+ * Recruiters, hiring managers, referrers and interviewers. Each contact is
+ * linked to the applications it is involved in; links are added from the
+ * application page and listed here.
+ */
+const Contacts = () => {
+  const [searchParams] = useSearchParams();
+  const [contacts, setContacts] = useState<Contact[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [searchInput, setSearchInput] = useState("");
+  const [search, setSearch] = useState("");
+  const [relationship, setRelationship] = useState("");
+  const [selected, setSelected] = useState<Contact | null>(null);
+  const [linkedApplications, setLinkedApplications] = useState<LinkedApplication[]>([]);
+  // "create" shows an empty form, "edit" the selected contact's form
+  const [mode, setMode] = useState<"view" | "create" | "edit">("view");
+  const [form, setForm] = useState<ContactForm>(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  // Debounce the search box so every keystroke is not a request
+  useEffect(() => {
+    const timer = setTimeout(() => setSearch(searchInput.trim()), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  const loadContacts = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await contactsAPI.getAll({
+        ...(search && { q: search }),
+        ...(relationship && { relationship }),
+      });
+      setContacts(response.data?.data?.contacts || []);
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to load contacts"));
+    } finally {
+      setLoading(false);
+    }
+  }, [search, relationship]);
+
+  useEffect(() => {
+    loadContacts();
+  }, [loadContacts]);
+
+  const selectContact = useCallback(async (contactId: string) => {
+    try {
+      const response = await contactsAPI.getById(contactId);
+      setSelected(response.data?.data?.contact || null);
+      setLinkedApplications(response.data?.data?.applications || []);
+      setMode("view");
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to load contact"));
+    }
+  }, []);
+
+  // Links from an application's contacts open that contact
+  const initialContactId = searchParams.get("contact");
+  useEffect(() => {
+    if (initialContactId) selectContact(initialContactId);
+  }, [initialContactId, selectContact]);
+
+  const startCreate = () => {
+    setForm(EMPTY_FORM);
+    setSelected(null);
+    setMode("create");
+  };
+
+  const startEdit = () => {
+    if (!selected) return;
+    setForm(toForm(selected));
+    setMode("edit");
+  };
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!form.name.trim()) {
+      toast.error("Enter a name");
+      return;
+    }
+
+    try {
+      setSaving(true);
+      if (mode === "edit" && selected) {
+        await contactsAPI.update(selected._id, toInput(form));
+        toast.success("Contact updated");
+        await selectContact(selected._id);
+      } else {
+        const response = await contactsAPI.create(toInput(form));
+        toast.success(`${form.name.trim()} added`);
+        const created: Contact | undefined = response.data?.data?.contact;
+        if (created) {
+          await selectContact(created._id);
+        } else {
+          setMode("view");
+        }
+      }
+      loadContacts();
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to save contact"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleMarkContacted = async () => {
+    if (!selected) return;
+    try {
+      await contactsAPI.update(selected._id, { lastContactedAt: new Date().toISOString() });
+      toast.success("Marked as contacted today");
+      await selectContact(selected._id);
+      loadContacts();
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to update contact"));
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!selected) return;
+    if (!confirm(`Delete ${selected.name}? Reminders to follow up with them are kept.`)) return;
+
+    try {
+      await contactsAPI.delete(selected._id);
+      toast.success("Contact deleted");
+      setSelected(null);
+      setLinkedApplications([]);
+      loadContacts();
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to delete contact"));
+    }
+  };
+
+  const handleUnlink = async (applicationId: string) => {
+    if (!selected) return;
+    try {
+      await contactsAPI.unlinkApplication(selected._id, applicationId);
+      setLinkedApplications((prev) => prev.filter((application) => application._id !== applicationId));
+      loadContacts();
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to unlink application"));
+    }
+  };
+
+  const updateField = (field: keyof ContactForm) => (
+    e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement>
+  ) => setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const textFields: { field: keyof ContactForm; label: string; placeholder: string; type?: string }[] = [
+    { field: "name", label: "Name", placeholder: "Jane Doe" },
+    { field: "role", label: "Role", placeholder: "Technical Recruiter" },
+    { field: "company", label: "Company", placeholder: "Acme Inc." },
+    { field: "email", label: "Email", placeholder: "jane@acme.com", type: "email" },
+    { field: "phone", label: "Phone", placeholder: "+1 555 0100" },
+    { field: "linkedInUrl", label: "LinkedIn", placeholder: "https://linkedin.com/in/janedoe" },
+  ];
+
+  return (
+    <DashboardLayout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4">
+          <div>
+            <motion.h1
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              className="text-2xl lg:text-3xl font-bold text-foreground"
+            >
+              Contacts
+            </motion.h1>
+            <motion.p
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 0.1 }}
+              className="text-muted-foreground mt-1"
+            >
+              Recruiters, hiring managers, referrers and interviewers from your job search
+            </motion.p>
+          </div>
+          <Button onClick={startCreate}>
+            <Plus className="w-4 h-4 mr-2" />
+            Add Contact
+          </Button>
+        </div>
+
+        <div className="grid lg:grid-cols-3 gap-6">
+          {/* List */}
+          <Card className="lg:col-span-1">
+            <CardHeader className="space-y-3">
+              <CardTitle>All Contacts ({contacts.length})</CardTitle>
+              <div className="relative">
+                <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-muted-foreground" />
+                <Input
+                  value={searchInput}
+                  onChange={(e) => setSearchInput(e.target.value)}
+                  placeholder="Search contacts..."
+                  className="pl-9"
+                />
+              </div>
+              <select
+                value={relationship}
+                onChange={(e) => setRelationship(e.target.value)}
+                className={`${selectClassName} w-full`}
+                aria-label="Filter by relationship"
+              >
+                <option value="">All relationships</option>
+                {CONTACT_RELATIONSHIPS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </CardHeader>
+            <CardContent className="p-0">
+              {loading ? (
+                <div className="p-8 text-center text-muted-foreground">Loading contacts...</div>
+              ) : contacts.length === 0 ? (
+                <div className="p-8 text-center">
+                  <Users className="w-12 h-12 mx-auto text-muted-foreground mb-4" />
+                  <p className="text-muted-foreground">
+                    {search || relationship ? "No contacts match your filters" : "No contacts yet"}
+                  </p>
+                </div>
+              ) : (
+                <div className="divide-y divide-border">
+                  {contacts.map((contact) => (
+                    <button
+                      key={contact._id}
+                      type="button"
+                      onClick={() => selectContact(contact._id)}
+                      className={`w-full text-left flex items-center gap-3 p-4 hover:bg-muted/50 transition-colors ${
+                        selected?._id === contact._id ? "bg-muted/50" : ""
+                      }`}
+                    >
+                      <div className="w-10 h-10 rounded-full bg-muted flex items-center justify-center font-bold text-muted-foreground flex-shrink-0">
+                        {contact.name.charAt(0).toUpperCase()}
+                      </div>
+                      <div className="flex-1 min-w-0">
+                        <p className="font-medium text-foreground truncate">{contact.name}</p>
+                        <p className="text-sm text-muted-foreground truncate">
+                          {[contact.role, contact.company].filter(Boolean).join(" at ") || "No details yet"}
+                        </p>
+                      </div>
+                      <span className="text-xs text-muted-foreground whitespace-nowrap">
+                        {contact.applicationCount} app{contact.applicationCount === 1 ? "" : "s"}
+                      </span>
+                    </button>
+                  ))}
+                </div>
+              )}
+            </CardContent>
+          </Card>
+
+          {/* Detail / form */}
+          <div className="lg:col-span-2">
+            {mode === "create" || mode === "edit" ? (
+              <Card>
+                <CardHeader className="flex flex-row items-center justify-between space-y-0">
+                  <CardTitle>{mode === "edit" ? "Edit Contact" : "New Contact"}</CardTitle>
+                  <Button variant="ghost" size="sm" onClick={() => setMode("view")} disabled={saving}>
+                    <X className="w-4 h-4" />
+                  </Button>
+                </CardHeader>
+                <CardContent>
+                  <form onSubmit={handleSave} className="grid gap-4 md:grid-cols-2">
+                    {textFields.map(({ field, label, placeholder, type }) => (
+                      <div key={field} className="space-y-2">
+                        <Label htmlFor={`contact-${field}`}>{label}</Label>
+                        <Input
+                          id={`contact-${field}`}
+                          type={type || "text"}
+                          value={form[field]}
+                          onChange={updateField(field)}
+                          placeholder={placeholder}
+                          disabled={saving}
+                          autoFocus={field === "name"}
+                        />
+                      </div>
+                    ))}
+                    <div className="space-y-2">
+                      <Label htmlFor="contact-lastContactedAt">Last Contacted</Label>
+                      <Input
+                        id="contact-lastContactedAt"
+                        type="date"
+                        value={form.lastContactedAt}
+                        max={format(new Date(), "yyyy-MM-dd")}
+                        onChange={updateField("lastContactedAt")}
+                        disabled={saving}
+                      />
+                    </div>
+                    <div className="space-y-2 md:col-span-2">
+                      <Label htmlFor="contact-notes">Notes</Label>
+                      <Textarea
+                        id="contact-notes"
+                        value={form.notes}
+                        onChange={updateField("notes")}
+                        placeholder="How you met, what you talked about..."
+                        rows={4}
+                        disabled={saving}
+                      />
+                    </div>
+                    <div className="md:col-span-2 flex justify-end gap-2">
+                      <Button type="button" variant="outline" onClick={() => setMode("view")} disabled={saving}>
+                        Cancel
+                      </Button>
+                      <Button type="submit" disabled={saving}>
+                        {saving ? "Saving..." : mode === "edit" ? "Save Changes" : "Add Contact"}
+                      </Button>
+                    </div>
+                  </form>
+                </CardContent>
+              </Card>
+            ) : selected ? (
+              <Card>
+                <CardHeader className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-4 space-y-0">
+                  <div>
+                    <CardTitle>{selected.name}</CardTitle>
+                    <p className="text-sm text-muted-foreground mt-1">
+                      {[selected.role, selected.company].filter(Boolean).join(" at ") || "No role or company"}
+                    </p>
+                  </div>
+                  <div className="flex gap-2">
+                    <Button variant="outline" size="sm" onClick={handleMarkContacted}>
+                      <CalendarCheck className="w-4 h-4 mr-2" />
+                      Contacted Today
+                    </Button>
+                    <Button variant="outline" size="sm" onClick={startEdit}>
+                      <Edit className="w-4 h-4 mr-2" />
+                      Edit
+                    </Button>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={handleDelete}
+                      className="text-red-500 hover:text-red-600"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </Button>
+                  </div>
+                </CardHeader>
+                <CardContent className="space-y-6">
+                  <div className="grid sm:grid-cols-2 gap-3 text-sm">
+                    {selected.email && (
+                      <a href={`mailto:${selected.email}`} className="flex items-center gap-2 text-primary hover:underline">
+                        <Mail className="w-4 h-4" />
+                        {selected.email}
+                      </a>
+                    )}
+                    {selected.phone && (
+                      <a href={`tel:${selected.phone}`} className="flex items-center gap-2 text-primary hover:underline">
+                        <Phone className="w-4 h-4" />
+                        {selected.phone}
+                      </a>
+                    )}
+                    {selected.linkedInUrl && (
+                      <a
+                        href={selected.linkedInUrl}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="flex items-center gap-2 text-primary hover:underline"
+                      >
+                        <Linkedin className="w-4 h-4" />
+                        LinkedIn profile
+                      </a>
+                    )}
+                    <p className="flex items-center gap-2 text-muted-foreground">
+                      <CalendarCheck className="w-4 h-4" />
+                      {selected.lastContactedAt
+                        ? `Last contacted ${format(new Date(selected.lastContactedAt), "MMM d, yyyy")}`
+                        : "Never contacted"}
+                    </p>
+                  </div>
+
+                  {selected.notes && (
+                    <div>
+                      <h3 className="text-sm font-medium text-foreground mb-2">Notes</h3>
+                      <p className="text-sm text-muted-foreground whitespace-pre-wrap">{selected.notes}</p>
+                    </div>
+                  )}
+
+                  <div>
+                    <h3 className="text-sm font-medium text-foreground mb-2">
+                      Applications ({linkedApplications.length})
+                    </h3>
+                    {linkedApplications.length === 0 ? (
+                      <p className="text-sm text-muted-foreground">
+                        Link this contact from an application's page.
+                      </p>
+                    ) : (
+                      <div className="divide-y divide-border border border-border rounded-lg">
+                        {linkedApplications.map((application) => (
+                          <div key={application._id} className="flex items-center gap-3 p-3">
+                            <Briefcase className="w-4 h-4 text-muted-foreground flex-shrink-0" />
+                            <Link
+                              to={`/dashboard/applications/${application._id}`}
+                              className="flex-1 min-w-0 hover:underline"
+                            >
+                              <p className="text-sm font-medium text-foreground truncate">{application.jobTitle}</p>
+                              <p className="text-xs text-muted-foreground truncate">{application.company}</p>
+                            </Link>
+                            <span className="px-2 py-1 text-xs font-medium rounded-full bg-muted text-muted-foreground whitespace-nowrap">
+                              {relationshipLabels[application.relationship] || application.relationship}
+                            </span>
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => handleUnlink(application._id)}
+                              title="Unlink application"
+                            >
+                              <Unlink className="w-4 h-4" />
+                            </Button>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                </CardContent>
+              </Card>
+            ) : (
+              <Card>
+                <CardContent className="p-8 text-center">
+                  <Users className="w-12 h-12 mx-auto text-muted-foreground mb-4" />
+                  <p className="text-muted-foreground">Select a contact to see their details</p>
+                </CardContent>
+              </Card>
+            )}
+          </div>
+        </div>
+      </div>
+    </DashboardLayout>
+  );
+};
+
+export default Contacts;
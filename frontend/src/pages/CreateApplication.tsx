@@ -1,4 +1,4 @@
-import { useState } from "react";
+import { useEffect, useState } from "react";
 import { motion } from "framer-motion";
 import { ArrowLeft, Save } from "lucide-react";
 import { Button } from "@/components/ui/button";
@@ -6,13 +6,21 @@ import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Input } from "@/components/ui/input";
 import { Textarea } from "@/components/ui/textarea";
 import DashboardLayout from "@/components/dashboard/DashboardLayout";
+import SalaryFields from "@/components/applications/SalaryFields";
+import JobDetailFields from "@/components/applications/JobDetailFields";
+import PostingImport from "@/components/applications/PostingImport";
 import { applicationsAPI } from "@/lib/api";
+import { usePipeline } from "@/hooks/use-pipeline";
+import { fromSalaryForm, toSalaryForm } from "@/lib/salary";
+import { MAX_LOCATIONS, fromJobDetailsForm, toJobDetailsForm } from "@/lib/jobDetails";
+import { ParsedPosting } from "@/lib/postings";
 import { Link, useNavigate } from "react-router-dom";
 import { toast } from "sonner";
 
 const CreateApplication = () => {
   const navigate = useNavigate();
   const [loading, setLoading] = useState(false);
+  const { stages } = usePipeline();
   const [formData, setFormData] = useState({
     company: "",
     jobTitle: "",
@@ -23,6 +31,17 @@ const CreateApplication = () => {
     source: "",
     notes: "",
   });
+  const [salaryForm, setSalaryForm] = useState(toSalaryForm());
+  const [jobDetailsForm, setJobDetailsForm] = useState(toJobDetailsForm());
+
+  // Start in the pipeline's first "saved" stage once the user's stages are known
+  useEffect(() => {
+    setFormData((prev) => {
+      if (stages.some((stage) => stage.key === prev.status)) return prev;
+      const defaultStage = stages.find((stage) => stage.category === "saved") || stages[0];
+      return { ...prev, status: defaultStage?.key || prev.status };
+    });
+  }, [stages]);
 
   const handleChange = (
     e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement>
@@ -31,6 +50,61 @@ const CreateApplication = () => {
     setFormData((prev) => ({ ...prev, [name]: value }));
   };
 
+  // Fill the fields the user has left empty from a parsed posting
+  const handleImportPosting = ({ draft, missingFields }: ParsedPosting) => {
+    const filled: string[] = [];
+
+    const textFields = {
+      company: "company",
+      jobTitle: "job title",
+      jobLink: "job link",
+      jobDescription: "description",
+      source: "source",
+    } as const;
+    const formChanges: Partial<typeof formData> = {};
+    (Object.keys(textFields) as (keyof typeof textFields)[]).forEach((field) => {
+      if (draft[field] && !formData[field].trim()) {
+        formChanges[field] = draft[field];
+        filled.push(textFields[field]);
+      }
+    });
+    setFormData((prev) => ({ ...prev, ...formChanges }));
+
+    const detailChanges: Partial<typeof jobDetailsForm> = {};
+    if (draft.locations.length > 0 && !jobDetailsForm.locations.trim()) {
+      detailChanges.locations = draft.locations.join("; ");
+      filled.push("locations");
+    }
+    if (draft.remotePolicy && !jobDetailsForm.remotePolicy) {
+      detailChanges.remotePolicy = draft.remotePolicy;
+      filled.push("remote policy");
+    }
+    if (draft.employmentType && !jobDetailsForm.employmentType) {
+      detailChanges.employmentType = draft.employmentType;
+      filled.push("employment type");
+    }
+    if (draft.seniority && !jobDetailsForm.seniority) {
+      detailChanges.seniority = draft.seniority;
+      filled.push("seniority");
+    }
+    setJobDetailsForm((prev) => ({ ...prev, ...detailChanges }));
+
+    // The posted range, currency and period come as one; the expected salary is kept
+    if (draft.salary && !salaryForm.min.trim() && !salaryForm.max.trim()) {
+      setSalaryForm((prev) => ({ ...toSalaryForm(draft.salary), expected: prev.expected }));
+      filled.push("salary");
+    }
+
+    if (filled.length === 0) {
+      toast.info("Nothing new was found for the empty fields");
+    } else {
+      toast.success(`Filled ${filled.join(", ")}`);
+    }
+    if (missingFields.length > 0) {
+      toast.warning("The company or job title was not found. Please fill them in.");
+    }
+  };
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     
@@ -39,6 +113,18 @@ const CreateApplication = () => {
       return;
     }
 
+    const salary = fromSalaryForm(salaryForm);
+    if (typeof salary === "string") {
+      toast.error(salary);
+      return;
+    }
+
+    const jobDetails = fromJobDetailsForm(jobDetailsForm);
+    if (jobDetails.locations.length > MAX_LOCATIONS) {
+      toast.error(`Cannot have more than ${MAX_LOCATIONS} locations`);
+      return;
+    }
+
     try {
       setLoading(true);
       const payload: any = {
@@ -67,6 +153,12 @@ const CreateApplication = () => {
         payload.notes = formData.notes.trim();
       }
 
+      if (salary.min !== null || salary.max !== null || salary.expected !== null) {
+        payload.salary = salary;
+      }
+
+      Object.assign(payload, jobDetails);
+
       const response = await applicationsAPI.create(payload);
       const application = response.data?.data?.application || response.data?.application;
       
@@ -109,6 +201,15 @@ const CreateApplication = () => {
           </div>
         </div>
 
+        <Card>
+          <CardHeader>
+            <CardTitle>Import from Job Posting</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <PostingImport jobLink={formData.jobLink} onImport={handleImportPosting} />
+          </CardContent>
+        </Card>
+
         {/* Form */}
         <form onSubmit={handleSubmit}>
           <div className="grid lg:grid-cols-3 gap-6">
@@ -236,12 +337,11 @@ const CreateApplication = () => {
                       onChange={handleChange}
                       className="w-full px-4 py-2 rounded-lg border border-border bg-background text-foreground"
                     >
-                      <option value="saved">Saved</option>
-                      <option value="applied">Applied</option>
-                      <option value="under-review">Under Review</option>
-                      <option value="interview">Interview</option>
-                      <option value="offer">Offer</option>
-                      <option value="rejected">Rejected</option>
+                      {stages.map((stage) => (
+                        <option key={stage.key} value={stage.key}>
+                          {stage.label}
+                        </option>
+                      ))}
                     </select>
                   </div>
 
@@ -260,6 +360,24 @@ const CreateApplication = () => {
                 </CardContent>
               </Card>
 
+              <Card>
+                <CardHeader>
+                  <CardTitle>Job Details</CardTitle>
+                </CardHeader>
+                <CardContent>
+                  <JobDetailFields value={jobDetailsForm} onChange={setJobDetailsForm} />
+                </CardContent>
+              </Card>
+
+              <Card>
+                <CardHeader>
+                  <CardTitle>Salary</CardTitle>
+                </CardHeader>
+                <CardContent>
+                  <SalaryFields value={salaryForm} onChange={setSalaryForm} />
+                </CardContent>
+              </Card>
+
               <div className="flex gap-2">
                 <Button
                   type="submit"
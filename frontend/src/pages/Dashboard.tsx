@@ -18,6 +18,7 @@ import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import DashboardLayout from "@/components/dashboard/DashboardLayout";
 import { useAuth } from "@/contexts/AuthContext";
 import { applicationsAPI, analyticsAPI, remindersAPI } from "@/lib/api";
+import { usePipeline } from "@/hooks/use-pipeline";
 import { formatDistanceToNow, format } from "date-fns";
 import { Link } from "react-router-dom";
 import { toast } from "sonner";
@@ -31,14 +32,6 @@ interface Application {
   createdAt: string;
 }
 
-const statusColors: Record<string, string> = {
-  Applied: "badge-applied",
-  Interview: "badge-interviewing",
-  Review: "badge-applied",
-  Offer: "badge-offered",
-  Rejected: "badge-rejected",
-};
-
 interface Reminder {
   _id: string;
   applicationId?: {
@@ -59,6 +52,7 @@ interface Reminder {
 
 const Dashboard = () => {
   const { user } = useAuth();
+  const pipeline = usePipeline();
   const [stats, setStats] = useState([
     {
       title: "Total Applications",
@@ -178,18 +172,6 @@ const Dashboard = () => {
     }
   };
 
-  const getStatusDisplay = (status: string) => {
-    const statusMap: Record<string, string> = {
-      'applied': 'Applied',
-      'under-review': 'Review',
-      'interview': 'Interview',
-      'offer': 'Offer',
-      'rejected': 'Rejected',
-      'withdrawn': 'Withdrawn',
-    };
-    return statusMap[status] || status;
-  };
-
   const getDateDisplay = (date: string) => {
     if (!date) return 'N/A';
     try {
@@ -340,8 +322,8 @@ const Dashboard = () => {
                             <p className="text-sm text-muted-foreground truncate">{app.jobTitle}</p>
                           </div>
                           <div className="flex items-center gap-4">
-                            <span className={`px-3 py-1 text-xs font-medium rounded-full ${statusColors[getStatusDisplay(app.status)] || 'badge-applied'}`}>
-                              {getStatusDisplay(app.status)}
+                            <span className={`px-3 py-1 text-xs font-medium rounded-full ${pipeline.getBadgeClass(app.status)}`}>
+                              {pipeline.getLabel(app.status)}
                             </span>
                             <span className="text-xs text-muted-foreground hidden sm:block">{getDateDisplay(app.appliedDate || app.createdAt)}</span>
                             <Button variant="ghost" size="icon" className="flex-shrink-0" onClick={(e) => e.preventDefault()}>
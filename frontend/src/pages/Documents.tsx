@@ -0,0 +1,631 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { motion } from "framer-motion";
+import { Briefcase, Download, Edit, FileText, Plus, Search, Trash2, Unlink, Upload, X } from "lucide-react";
+import { Link, useSearchParams } from "react-router-dom";
+import { format } from "date-fns";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import DashboardLayout from "@/components/dashboard/DashboardLayout";
+import { documentsAPI } from "@/lib/api";
+import { getBlobErrorMessage, saveDownload } from "@/lib/download";
+import {
+  checkDocumentFile,
+  DOCUMENT_FILE_ACCEPT,
+  DOCUMENT_TYPES,
+  DocumentType,
+  documentTypeLabels,
+  formatFileSize,
+  sortedVersions,
+  StoredDocument,
+} from "@/lib/documents";
+import { toast } from "sonner";
+
+const SEARCH_DELAY_MS = 300;
+
+interface AttachedApplication {
+  _id: string;
+  company: string;
+  jobTitle: string;
+  status: string;
+  dateApplied?: string;
+  version: number;
+}
+
+const selectClassName =
+  "px-3 py-2 rounded-lg border border-border bg-background text-foreground text-sm";
+
+const fileInputClassName =
+  "block w-full text-sm text-muted-foreground file:mr-3 file:px-3 file:py-2 file:rounded-lg file:border-0 file:bg-muted file:text-foreground";
+
+const getErrorMessage = (error: unknown, fallback: string) =>
+  (error as { response?: { data?: { message?: string } } })?.response?.data?.message || fallback;
+
+/**
+ * Resumes and cover letters with every uploaded version. Versions are
+ * attached to applications from the application page; this page lists
+ * which application got which version.
+ */
+const Documents = () => {
+  const [searchParams] = useSearchParams();
+  const [documents, setDocuments] = useState<StoredDocument[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [searchInput, setSearchInput] = useState("");
+  const [search, setSearch] = useState("");
+  const [typeFilter, setTypeFilter] = useState("");
+  const [selected, setSelected] = useState<StoredDocument | null>(null);
+  const [attachedApplications, setAttachedApplications] = useState<AttachedApplication[]>([]);
+  // "upload" shows the new document form, "edit" the selected document's name and type
+  const [mode, setMode] = useState<"view" | "upload" | "edit">("view");
+  const [file, setFile] = useState<File | null>(null);
+  const [name, setName] = useState("");
+  const [type, setType] = useState<DocumentType>("resume");
+  const [notes, setNotes] = useState("");
+  const [saving, setSaving] = useState(false);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+  const versionInputRef = useRef<HTMLInputElement>(null);
+
+  // Debounce the search box so every keystroke is not a request
+  useEffect(() => {
+    const timer = setTimeout(() => setSearch(searchInput.trim()), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  const loadDocuments = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await documentsAPI.getAll({
+        ...(search && { q: search }),
+        ...(typeFilter && { type: typeFilter }),
+      });
+      setDocuments(response.data?.data?.documents || []);
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to load documents"));
+    } finally {
+      setLoading(false);
+    }
+  }, [search, typeFilter]);
+
+  useEffect(() => {
+    loadDocuments();
+  }, [loadDocuments]);
+
+  const clearFile = useCallback(() => {
+    setFile(null);
+    if (fileInputRef.current) fileInputRef.current.value = "";
+    if (versionInputRef.current) versionInputRef.current.value = "";
+  }, []);
+
+  const selectDocument = useCallback(async (documentId: string) => {
+    try {
+      const response = await documentsAPI.getById(documentId);
+      setSelected(response.data?.data?.document || null);
+      setAttachedApplications(response.data?.data?.applications || []);
+      setMode("view");
+      clearFile();
+      setNotes("");
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to load document"));
+    }
+  }, [clearFile]);
+
+  // Links from an application's documents open that document
+  const initialDocumentId = searchParams.get("document");
+  useEffect(() => {
+    if (initialDocumentId) selectDocument(initialDocumentId);
+  }, [initialDocumentId, selectDocument]);
+
+  const chooseFile = (chosen: File | null) => {
+    const problem = chosen ? checkDocumentFile(chosen) : "";
+    if (problem) {
+      toast.error(problem);
+      clearFile();
+      return;
+    }
+    setFile(chosen);
+  };
+
+  const startUpload = () => {
+    setSelected(null);
+    clearFile();
+    setName("");
+    setType("resume");
+    setNotes("");
+    setMode("upload");
+  };
+
+  const startEdit = () => {
+    if (!selected) return;
+    setName(selected.name);
+    setType(selected.type);
+    setMode("edit");
+  };
+
+  const handleUpload = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!file) {
+      toast.error("Choose a file to upload");
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const formData = new FormData();
+      formData.append("file", file);
+      if (name.trim()) formData.append("name", name.trim());
+      formData.append("type", type);
+      if (notes.trim()) formData.append("notes", notes.trim());
+
+      const response = await documentsAPI.upload(formData);
+      const created: StoredDocument | undefined = response.data?.data?.document;
+      toast.success(`${created?.name || "Document"} uploaded`);
+      if (created) {
+        await selectDocument(created._id);
+      } else {
+        setMode("view");
+      }
+      loadDocuments();
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to upload document"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveDetails = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!selected) return;
+    if (!name.trim()) {
+      toast.error("Enter a name");
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await documentsAPI.update(selected._id, { name: name.trim(), type });
+      toast.success("Document updated");
+      await selectDocument(selected._id);
+      loadDocuments();
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to update document"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUploadVersion = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!selected) return;
+    if (!file) {
+      toast.error("Choose a file to upload");
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const formData = new FormData();
+      formData.append("file", file);
+      if (notes.trim()) formData.append("notes", notes.trim());
+
+      const response = await documentsAPI.uploadVersion(selected._id, formData);
+      toast.success(response.data?.message || "Version uploaded");
+      await selectDocument(selected._id);
+      loadDocuments();
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to upload version"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDownload = async (version: number) => {
+    if (!selected) return;
+    try {
+      const response = await documentsAPI.downloadVersion(selected._id, version);
+      saveDownload(response, `${selected.name} v${version}`);
+    } catch (error) {
+      toast.error(await getBlobErrorMessage(error, "Failed to download document"));
+    }
+  };
+
+  const handleDeleteVersion = async (version: number) => {
+    if (!selected) return;
+    if (!confirm(`Delete version ${version} of ${selected.name}?`)) return;
+
+    try {
+      await documentsAPI.deleteVersion(selected._id, version);
+      toast.success(`Version ${version} deleted`);
+      await selectDocument(selected._id);
+      loadDocuments();
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to delete version"));
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!selected) return;
+    const attached = selected.applicationCount
+      ? ` It is attached to ${selected.applicationCount} application${selected.applicationCount === 1 ? "" : "s"}.`
+      : "";
+    if (!confirm(`Delete ${selected.name} and all its versions?${attached}`)) return;
+
+    try {
+      await documentsAPI.delete(selected._id);
+      toast.success("Document deleted");
+      setSelected(null);
+      setAttachedApplications([]);
+      loadDocuments();
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to delete document"));
+    }
+  };
+
+  const handleDetach = async (applicationId: string) => {
+    if (!selected) return;
+    try {
+      await documentsAPI.detachFromApplication(selected._id, applicationId);
+      await selectDocument(selected._id);
+      loadDocuments();
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to detach document"));
+    }
+  };
+
+  // Number of applications each version was sent with
+  const attachmentCounts = new Map<number, number>();
+  attachedApplications.forEach(({ version }) =>
+    attachmentCounts.set(version, (attachmentCounts.get(version) || 0) + 1)
+  );
+
+  return (
+    <DashboardLayout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4">
+          <div>
+            <motion.h1
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              className="text-2xl lg:text-3xl font-bold text-foreground"
+            >
+              Documents
+            </motion.h1>
+            <motion.p
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 0.1 }}
+              className="text-muted-foreground mt-1"
+            >
+              Resumes and cover letters, with every version you sent
+            </motion.p>
+          </div>
+          <Button onClick={startUpload}>
+            <Plus className="w-4 h-4 mr-2" />
+            Upload Document
+          </Button>
+        </div>
+
+        <div className="grid lg:grid-cols-3 gap-6">
+          {/* List */}
+          <Card className="lg:col-span-1">
+            <CardHeader className="space-y-3">
+              <CardTitle>All Documents ({documents.length})</CardTitle>
+              <div className="relative">
+                <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-muted-foreground" />
+                <Input
+                  value={searchInput}
+                  onChange={(e) => setSearchInput(e.target.value)}
+                  placeholder="Search documents..."
+                  className="pl-9"
+                />
+              </div>
+              <select
+                value={typeFilter}
+                onChange={(e) => setTypeFilter(e.target.value)}
+                className={`${selectClassName} w-full`}
+                aria-label="Filter by type"
+              >
+                <option value="">All types</option>
+                {DOCUMENT_TYPES.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </CardHeader>
+            <CardContent className="p-0">
+              {loading ? (
+                <div className="p-8 text-center text-muted-foreground">Loading documents...</div>
+              ) : documents.length === 0 ? (
+                <div className="p-8 text-center">
+                  <FileText className="w-12 h-12 mx-auto text-muted-foreground mb-4" />
+                  <p className="text-muted-foreground">
+                    {search || typeFilter ? "No documents match your filters" : "No documents yet"}
+                  </p>
+                </div>
+              ) : (
+                <div className="divide-y divide-border">
+                  {documents.map((document) => (
+                    <button
+                      key={document._id}
+                      type="button"
+                      onClick={() => selectDocument(document._id)}
+                      className={`w-full text-left flex items-center gap-3 p-4 hover:bg-muted/50 transition-colors ${
+                        selected?._id === document._id ? "bg-muted/50" : ""
+                      }`}
+                    >
+                      <FileText className="w-5 h-5 text-muted-foreground flex-shrink-0" />
+                      <div className="flex-1 min-w-0">
+                        <p className="font-medium text-foreground truncate">{document.name}</p>
+                        <p className="text-sm text-muted-foreground truncate">
+                          {documentTypeLabels[document.type]} · v{document.latestVersion}
+                        </p>
+                      </div>
+                      <span className="text-xs text-muted-foreground whitespace-nowrap">
+                        {document.applicationCount} app{document.applicationCount === 1 ? "" : "s"}
+                      </span>
+                    </button>
+                  ))}
+                </div>
+              )}
+            </CardContent>
+          </Card>
+
+          {/* Detail / forms */}
+          <div className="lg:col-span-2">
+            {mode === "upload" ? (
+              <Card>
+                <CardHeader className="flex flex-row items-center justify-between space-y-0">
+                  <CardTitle>Upload Document</CardTitle>
+                  <Button variant="ghost" size="sm" onClick={() => setMode("view")} disabled={saving}>
+                    <X className="w-4 h-4" />
+                  </Button>
+                </CardHeader>
+                <CardContent>
+                  <form onSubmit={handleUpload} className="grid gap-4 md:grid-cols-2">
+                    <div className="space-y-2 md:col-span-2">
+                      <Label htmlFor="document-file">File (PDF, DOCX or TXT, up to 10 MB)</Label>
+                      <input
+                        id="document-file"
+                        ref={fileInputRef}
+                        type="file"
+                        accept={DOCUMENT_FILE_ACCEPT}
+                        onChange={(e) => chooseFile(e.target.files?.[0] || null)}
+                        className={fileInputClassName}
+                        disabled={saving}
+                      />
+                    </div>
+                    <div className="space-y-2">
+                      <Label htmlFor="document-name">Name</Label>
+                      <Input
+                        id="document-name"
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        placeholder={file ? file.name.replace(/\.[^.]+$/, "") : "Backend resume"}
+                        disabled={saving}
+                      />
+                    </div>
+                    <div className="space-y-2">
+                      <Label htmlFor="document-type">Type</Label>
+                      <select
+                        id="document-type"
+                        value={type}
+                        onChange={(e) => setType(e.target.value as DocumentType)}
+                        className={`${selectClassName} w-full`}
+                        disabled={saving}
+                      >
+                        {DOCUMENT_TYPES.map((option) => (
+                          <option key={option.value} value={option.value}>
+                            {option.label}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="space-y-2 md:col-span-2">
+                      <Label htmlFor="document-notes">Notes</Label>
+                      <Input
+                        id="document-notes"
+                        value={notes}
+                        onChange={(e) => setNotes(e.target.value)}
+                        placeholder="What this version is tailored for"
+                        disabled={saving}
+                      />
+                    </div>
+                    <div className="md:col-span-2 flex justify-end gap-2">
+                      <Button type="button" variant="outline" onClick={() => setMode("view")} disabled={saving}>
+                        Cancel
+                      </Button>
+                      <Button type="submit" disabled={saving || !file}>
+                        {saving ? "Uploading..." : "Upload"}
+                      </Button>
+                    </div>
+                  </form>
+                </CardContent>
+              </Card>
+            ) : selected ? (
+              <Card>
+                <CardHeader className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-4 space-y-0">
+                  {mode === "edit" ? (
+                    <form onSubmit={handleSaveDetails} className="flex flex-col sm:flex-row gap-2 flex-1">
+                      <Input
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        aria-label="Document name"
+                        disabled={saving}
+                        autoFocus
+                      />
+                      <select
+                        value={type}
+                        onChange={(e) => setType(e.target.value as DocumentType)}
+                        className={selectClassName}
+                        aria-label="Document type"
+                        disabled={saving}
+                      >
+                        {DOCUMENT_TYPES.map((option) => (
+                          <option key={option.value} value={option.value}>
+                            {option.label}
+                          </option>
+                        ))}
+                      </select>
+                      <Button type="submit" size="sm" disabled={saving}>
+                        {saving ? "Saving..." : "Save"}
+                      </Button>
+                      <Button type="button" variant="ghost" size="sm" onClick={() => setMode("view")} disabled={saving}>
+                        <X className="w-4 h-4" />
+                      </Button>
+                    </form>
+                  ) : (
+                    <>
+                      <div>
+                        <CardTitle>{selected.name}</CardTitle>
+                        <p className="text-sm text-muted-foreground mt-1">
+                          {documentTypeLabels[selected.type]} · {selected.versions.length} version
+                          {selected.versions.length === 1 ? "" : "s"}
+                        </p>
+                      </div>
+                      <div className="flex gap-2">
+                        <Button variant="outline" size="sm" onClick={startEdit}>
+                          <Edit className="w-4 h-4 mr-2" />
+                          Edit
+                        </Button>
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={handleDelete}
+                          className="text-red-500 hover:text-red-600"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </Button>
+                      </div>
+                    </>
+                  )}
+                </CardHeader>
+                <CardContent className="space-y-6">
+                  <div>
+                    <h3 className="text-sm font-medium text-foreground mb-2">Versions</h3>
+                    <div className="divide-y divide-border border border-border rounded-lg">
+                      {sortedVersions(selected).map((version) => {
+                        const sentWith = attachmentCounts.get(version.version) || 0;
+                        return (
+                          <div key={version.version} className="flex items-center gap-3 p-3">
+                            <span className="px-2 py-1 text-xs font-medium rounded-full bg-muted text-muted-foreground">
+                              v{version.version}
+                            </span>
+                            <div className="flex-1 min-w-0">
+                              <p className="text-sm text-foreground truncate">{version.originalName}</p>
+                              <p className="text-xs text-muted-foreground truncate">
+                                {[
+                                  format(new Date(version.uploadedAt), "MMM d, yyyy"),
+                                  formatFileSize(version.size),
+                                  sentWith > 0 && `sent with ${sentWith} application${sentWith === 1 ? "" : "s"}`,
+                                  version.notes,
+                                ]
+                                  .filter(Boolean)
+                                  .join(" · ")}
+                              </p>
+                            </div>
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => handleDownload(version.version)}
+                              title="Download"
+                            >
+                              <Download className="w-4 h-4" />
+                            </Button>
+                            {selected.versions.length > 1 && sentWith === 0 && (
+                              <Button
+                                variant="ghost"
+                                size="sm"
+                                onClick={() => handleDeleteVersion(version.version)}
+                                title="Delete version"
+                              >
+                                <Trash2 className="w-4 h-4" />
+                              </Button>
+                            )}
+                          </div>
+                        );
+                      })}
+                    </div>
+                  </div>
+
+                  <form onSubmit={handleUploadVersion} className="space-y-2">
+                    <Label htmlFor="version-file">Upload a new version</Label>
+                    <div className="flex flex-col sm:flex-row gap-2">
+                      <input
+                        id="version-file"
+                        ref={versionInputRef}
+                        type="file"
+                        accept={DOCUMENT_FILE_ACCEPT}
+                        onChange={(e) => chooseFile(e.target.files?.[0] || null)}
+                        className={fileInputClassName}
+                        disabled={saving}
+                      />
+                      <Input
+                        value={notes}
+                        onChange={(e) => setNotes(e.target.value)}
+                        placeholder="What changed (optional)"
+                        aria-label="Version notes"
+                        disabled={saving}
+                      />
+                      <Button type="submit" variant="outline" disabled={saving || !file}>
+                        <Upload className="w-4 h-4 mr-2" />
+                        {saving ? "Uploading..." : "Upload"}
+                      </Button>
+                    </div>
+                  </form>
+
+                  <div>
+                    <h3 className="text-sm font-medium text-foreground mb-2">
+                      Sent With ({attachedApplications.length})
+                    </h3>
+                    {attachedApplications.length === 0 ? (
+                      <p className="text-sm text-muted-foreground">
+                        Attach a version from an application's page.
+                      </p>
+                    ) : (
+                      <div className="divide-y divide-border border border-border rounded-lg">
+                        {attachedApplications.map((application) => (
+                          <div key={application._id} className="flex items-center gap-3 p-3">
+                            <Briefcase className="w-4 h-4 text-muted-foreground flex-shrink-0" />
+                            <Link
+                              to={`/dashboard/applications/${application._id}`}
+                              className="flex-1 min-w-0 hover:underline"
+                            >
+                              <p className="text-sm font-medium text-foreground truncate">{application.jobTitle}</p>
+                              <p className="text-xs text-muted-foreground truncate">{application.company}</p>
+                            </Link>
+                            <span className="px-2 py-1 text-xs font-medium rounded-full bg-muted text-muted-foreground whitespace-nowrap">
+                              v{application.version}
+                            </span>
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => handleDetach(application._id)}
+                              title="Detach from application"
+                            >
+                              <Unlink className="w-4 h-4" />
+                            </Button>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                </CardContent>
+              </Card>
+            ) : (
+              <Card>
+                <CardContent className="p-8 text-center">
+                  <FileText className="w-12 h-12 mx-auto text-muted-foreground mb-4" />
+                  <p className="text-muted-foreground">Select a document to see its versions</p>
+                </CardContent>
+              </Card>
+            )}
+          </div>
+        </div>
+      </div>
+    </DashboardLayout>
+  );
+};
+
+export default Documents;
@@ -0,0 +1,478 @@
+import { useState } from "react";
+import { motion } from "framer-motion";
+import { AlertCircle, ArrowLeft, CheckCircle2, Copy, FileSpreadsheet, Upload } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import DashboardLayout from "@/components/dashboard/DashboardLayout";
+import { applicationsAPI } from "@/lib/api";
+import { usePipeline } from "@/hooks/use-pipeline";
+import { notifySavedViewsChanged } from "@/lib/savedViews";
+import { format } from "date-fns";
+import { Link } from "react-router-dom";
+import { toast } from "sonner";
+
+type ImportField =
+  | "company"
+  | "jobTitle"
+  | "status"
+  | "dateApplied"
+  | "jobLink"
+  | "source"
+  | "notes"
+  | "jobDescription";
+
+type ColumnMapping = Partial<Record<ImportField, string>>;
+
+interface ImportRowError {
+  field: string;
+  message: string;
+}
+
+interface ImportRow {
+  rowNumber: number;
+  data: {
+    company: string;
+    jobTitle: string;
+    status?: string;
+    dateApplied?: string;
+  };
+  errors: ImportRowError[];
+  duplicate: boolean;
+}
+
+interface ImportPreview {
+  headers: string[];
+  mapping: ColumnMapping;
+  missingFields: ImportField[];
+  rows: ImportRow[];
+  summary: {
+    total: number;
+    valid: number;
+    invalid: number;
+    duplicates: number;
+    toImport: number;
+  };
+}
+
+interface ImportResult {
+  imported: number;
+  skipped: { rowNumber: number; reason: "invalid" | "duplicate"; errors?: ImportRowError[] }[];
+}
+
+const importFields: { key: ImportField; label: string; required?: boolean }[] = [
+  { key: "company", label: "Company", required: true },
+  { key: "jobTitle", label: "Job Title", required: true },
+  { key: "status", label: "Status" },
+  { key: "dateApplied", label: "Date Applied" },
+  { key: "jobLink", label: "Job Link" },
+  { key: "source", label: "Source" },
+  { key: "notes", label: "Notes" },
+  { key: "jobDescription", label: "Job Description" },
+];
+
+const getErrorMessage = (error: unknown, fallback: string) =>
+  (error as { response?: { data?: { message?: string } } })?.response?.data?.message || fallback;
+
+const selectClassName =
+  "w-full px-3 py-2 rounded-lg border border-border bg-background text-foreground text-sm";
+
+/**
+ * Import applications from a CSV or Excel file.
+ * Every change re-runs the server preview, so the table always shows
+ * exactly what the import will create.
+ */
+const ImportApplications = () => {
+  const pipeline = usePipeline();
+  const [file, setFile] = useState<File | null>(null);
+  const [mapping, setMapping] = useState<ColumnMapping | null>(null);
+  const [dateFormat, setDateFormat] = useState<"mdy" | "dmy">("mdy");
+  const [skipDuplicates, setSkipDuplicates] = useState(true);
+  const [preview, setPreview] = useState<ImportPreview | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [result, setResult] = useState<ImportResult | null>(null);
+  const [showIssuesOnly, setShowIssuesOnly] = useState(false);
+
+  const buildFormData = (
+    selectedFile: File,
+    options: { mapping: ColumnMapping | null; dateFormat: string; skipDuplicates: boolean }
+  ) => {
+    const data = new FormData();
+    data.append("file", selectedFile);
+    if (options.mapping) data.append("mapping", JSON.stringify(options.mapping));
+    data.append("dateFormat", options.dateFormat);
+    data.append("skipDuplicates", String(options.skipDuplicates));
+    return data;
+  };
+
+  const runPreview = async (
+    selectedFile: File,
+    options: { mapping: ColumnMapping | null; dateFormat: string; skipDuplicates: boolean }
+  ) => {
+    try {
+      setLoading(true);
+      const response = await applicationsAPI.previewImport(buildFormData(selectedFile, options));
+      const data: ImportPreview = response.data?.data?.preview;
+      setPreview(data);
+      setMapping(data.mapping);
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to read file"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFileChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const selected = e.target.files?.[0];
+    e.target.value = "";
+    if (!selected) return;
+    setFile(selected);
+    setResult(null);
+    setPreview(null);
+    // A new file gets a fresh mapping suggested from its headers
+    setMapping(null);
+    runPreview(selected, { mapping: null, dateFormat, skipDuplicates });
+  };
+
+  const handleMappingChange = (field: ImportField, header: string) => {
+    if (!file || !mapping) return;
+    const next = { ...mapping };
+    if (header) {
+      // A column can only feed one field
+      (Object.keys(next) as ImportField[]).forEach((key) => {
+        if (next[key] === header) delete next[key];
+      });
+      next[field] = header;
+    } else {
+      delete next[field];
+    }
+    setMapping(next);
+    runPreview(file, { mapping: next, dateFormat, skipDuplicates });
+  };
+
+  const handleDateFormatChange = (value: "mdy" | "dmy") => {
+    setDateFormat(value);
+    if (file) runPreview(file, { mapping, dateFormat: value, skipDuplicates });
+  };
+
+  const handleSkipDuplicatesChange = (value: boolean) => {
+    setSkipDuplicates(value);
+    if (file) runPreview(file, { mapping, dateFormat, skipDuplicates: value });
+  };
+
+  const handleImport = async () => {
+    if (!file) return;
+    try {
+      setImporting(true);
+      const response = await applicationsAPI.importFile(
+        buildFormData(file, { mapping, dateFormat, skipDuplicates })
+      );
+      const data: ImportResult = response.data?.data;
+      setResult(data);
+      toast.success(response.data?.message || "Import complete");
+      notifySavedViewsChanged();
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to import applications"));
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleReset = () => {
+    setFile(null);
+    setMapping(null);
+    setPreview(null);
+    setResult(null);
+  };
+
+  const formatDate = (date?: string) => {
+    if (!date) return "—";
+    try {
+      return format(new Date(date), "MMM d, yyyy");
+    } catch {
+      return "—";
+    }
+  };
+
+  const visibleRows = (preview?.rows || []).filter(
+    (row) => !showIssuesOnly || row.errors.length > 0 || row.duplicate
+  );
+
+  return (
+    <DashboardLayout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4">
+          <div>
+            <motion.h1
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              className="text-2xl lg:text-3xl font-bold text-foreground"
+            >
+              Import Applications
+            </motion.h1>
+            <motion.p
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 0.1 }}
+              className="text-muted-foreground mt-1"
+            >
+              Bring in your existing spreadsheet (CSV or Excel). Nothing is saved until you import.
+            </motion.p>
+          </div>
+          <Link to="/dashboard/applications">
+            <Button variant="outline">
+              <ArrowLeft className="w-4 h-4 mr-2" />
+              Back to Applications
+            </Button>
+          </Link>
+        </div>
+
+        {result ? (
+          <Card>
+            <CardContent className="p-6 space-y-4">
+              <div className="flex items-center gap-3">
+                <CheckCircle2 className="w-8 h-8 text-green-500" />
+                <div>
+                  <p className="text-lg font-semibold">
+                    {result.imported} application{result.imported === 1 ? "" : "s"} imported
+                  </p>
+                  {result.skipped.length > 0 && (
+                    <p className="text-sm text-muted-foreground">
+                      {result.skipped.length} row{result.skipped.length === 1 ? "" : "s"} skipped
+                    </p>
+                  )}
+                </div>
+              </div>
+              {result.skipped.length > 0 && (
+                <ul className="max-h-48 overflow-y-auto text-sm space-y-1">
+                  {result.skipped.map((row) => (
+                    <li key={row.rowNumber} className="text-muted-foreground">
+                      Row {row.rowNumber}:{" "}
+                      {row.reason === "duplicate"
+                        ? "already in your applications"
+                        : row.errors?.map((error) => error.message).join("; ")}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <div className="flex gap-2">
+                <Link to="/dashboard/applications">
+                  <Button variant="gradient">View Applications</Button>
+                </Link>
+                <Button variant="outline" onClick={handleReset}>
+                  Import Another File
+                </Button>
+              </div>
+            </CardContent>
+          </Card>
+        ) : (
+          <>
+            {/* File */}
+            <Card>
+              <CardContent className="p-6">
+                <label className="flex flex-col items-center justify-center gap-2 p-8 rounded-xl border-2 border-dashed border-border cursor-pointer hover:border-primary transition-colors">
+                  {file ? (
+                    <FileSpreadsheet className="w-10 h-10 text-primary" />
+                  ) : (
+                    <Upload className="w-10 h-10 text-muted-foreground" />
+                  )}
+                  <span className="font-medium">{file ? file.name : "Choose a .csv or .xlsx file"}</span>
+                  <span className="text-sm text-muted-foreground">
+                    The first row must contain column names. Up to 2000 rows, 5 MB.
+                  </span>
+                  <input
+                    type="file"
+                    accept=".csv,.xlsx"
+                    onChange={handleFileChange}
+                    className="sr-only"
+                  />
+                </label>
+              </CardContent>
+            </Card>
+
+            {/* Column mapping */}
+            {preview && mapping && (
+              <Card>
+                <CardHeader>
+                  <CardTitle className="text-lg">Map Columns</CardTitle>
+                  <p className="text-sm text-muted-foreground">
+                    Choose which column of your file fills each field. Statuses are matched to your
+                    stages and dates are read in the format below.
+                  </p>
+                </CardHeader>
+                <CardContent className="space-y-4">
+                  <div className="grid sm:grid-cols-2 lg:grid-cols-4 gap-4">
+                    {importFields.map((field) => (
+                      <div key={field.key}>
+                        <label className="block text-sm font-medium mb-2">
+                          {field.label}
+                          {field.required && <span className="text-destructive"> *</span>}
+                        </label>
+                        <select
+                          value={mapping[field.key] || ""}
+                          onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                          className={selectClassName}
+                          disabled={loading}
+                        >
+                          <option value="">Don't import</option>
+                          {preview.headers.map((header) => (
+                            <option key={header} value={header}>
+                              {header}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    ))}
+                  </div>
+                  <div className="flex flex-col sm:flex-row gap-4 sm:items-end">
+                    <div>
+                      <label className="block text-sm font-medium mb-2">Dates like 03/04/2024 are</label>
+                      <select
+                        value={dateFormat}
+                        onChange={(e) => handleDateFormatChange(e.target.value as "mdy" | "dmy")}
+                        className={selectClassName}
+                        disabled={loading}
+                      >
+                        <option value="mdy">Month/Day/Year</option>
+                        <option value="dmy">Day/Month/Year</option>
+                      </select>
+                    </div>
+                    <label className="flex items-center gap-2 text-sm pb-2">
+                      <input
+                        type="checkbox"
+                        checked={skipDuplicates}
+                        onChange={(e) => handleSkipDuplicatesChange(e.target.checked)}
+                        disabled={loading}
+                      />
+                      Skip rows matching an existing application (same company and title)
+                    </label>
+                  </div>
+                </CardContent>
+              </Card>
+            )}
+
+            {/* Preview */}
+            {preview && (
+              <Card>
+                <CardHeader className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+                  <div>
+                    <CardTitle className="text-lg">Preview</CardTitle>
+                    {preview.missingFields.length === 0 && (
+                      <p className="text-sm text-muted-foreground mt-1">
+                        {preview.summary.total} rows · {preview.summary.valid} valid ·{" "}
+                        {preview.summary.invalid} with errors · {preview.summary.duplicates} duplicates
+                      </p>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => setShowIssuesOnly((prev) => !prev)}
+                      disabled={preview.rows.length === 0}
+                    >
+                      {showIssuesOnly ? "Show All Rows" : "Show Rows With Issues"}
+                    </Button>
+                    <Button
+                      variant="gradient"
+                      onClick={handleImport}
+                      disabled={loading || importing || preview.summary.toImport === 0}
+                    >
+                      {importing
+                        ? "Importing..."
+                        : `Import ${preview.summary.toImport} Application${
+                            preview.summary.toImport === 1 ? "" : "s"
+                          }`}
+                    </Button>
+                  </div>
+                </CardHeader>
+                <CardContent className="p-0">
+                  {preview.missingFields.length > 0 ? (
+                    <div className="p-6 flex items-center gap-2 text-sm text-muted-foreground">
+                      <AlertCircle className="w-4 h-4 text-amber-500" />
+                      Choose the column for{" "}
+                      {preview.missingFields
+                        .map((key) => importFields.find((field) => field.key === key)?.label || key)
+                        .join(" and ")}{" "}
+                      to see your rows.
+                    </div>
+                  ) : (
+                    <div className="max-h-[480px] overflow-y-auto">
+                      <Table>
+                        <TableHeader>
+                          <TableRow>
+                            <TableHead className="w-16">Row</TableHead>
+                            <TableHead>Company</TableHead>
+                            <TableHead>Job Title</TableHead>
+                            <TableHead>Status</TableHead>
+                            <TableHead>Applied</TableHead>
+                            <TableHead>Issues</TableHead>
+                          </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                          {visibleRows.map((row) => (
+                            <TableRow
+                              key={row.rowNumber}
+                              className={row.errors.length > 0 ? "bg-destructive/5" : undefined}
+                            >
+                              <TableCell className="text-muted-foreground">{row.rowNumber}</TableCell>
+                              <TableCell className="font-medium">{row.data.company || "—"}</TableCell>
+                              <TableCell>{row.data.jobTitle || "—"}</TableCell>
+                              <TableCell>
+                                {row.data.status ? (
+                                  <span
+                                    className={`px-2 py-0.5 text-xs font-medium rounded-full ${pipeline.getBadgeClass(
+                                      row.data.status
+                                    )}`}
+                                  >
+                                    {pipeline.getLabel(row.data.status)}
+                                  </span>
+                                ) : (
+                                  "—"
+                                )}
+                              </TableCell>
+                              <TableCell>{formatDate(row.data.dateApplied)}</TableCell>
+                              <TableCell className="text-xs">
+                                {row.errors.map((error) => (
+                                  <p key={`${error.field}-${error.message}`} className="text-destructive">
+                                    {error.message}
+                                  </p>
+                                ))}
+                                {row.duplicate && (
+                                  <p className="flex items-center gap-1 text-amber-600">
+                                    <Copy className="w-3 h-3" />
+                                    Already in your applications
+                                  </p>
+                                )}
+                              </TableCell>
+                            </TableRow>
+                          ))}
+                        </TableBody>
+                      </Table>
+                      {visibleRows.length === 0 && (
+                        <p className="p-6 text-center text-sm text-muted-foreground">
+                          {showIssuesOnly ? "No rows with issues" : "No rows found in this file"}
+                        </p>
+                      )}
+                    </div>
+                  )}
+                </CardContent>
+              </Card>
+            )}
+          </>
+        )}
+      </div>
+    </DashboardLayout>
+  );
+};
+
+export default ImportApplications;
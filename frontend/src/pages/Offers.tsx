@@ -0,0 +1,359 @@
+import { useEffect, useMemo, useState } from "react";
+import { motion } from "framer-motion";
+import { AlertTriangle, HandCoins, Scale, Trophy } from "lucide-react";
+import { Link, useSearchParams } from "react-router-dom";
+import { format } from "date-fns";
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import DashboardLayout from "@/components/dashboard/DashboardLayout";
+import { offersAPI } from "@/lib/api";
+import {
+  formatMoney,
+  getOfferApplication,
+  Offer,
+  OfferComparison,
+  OFFER_DECISIONS,
+} from "@/lib/offers";
+import { toast } from "sonner";
+
+// Matches MAX_COMPARED_OFFERS in the backend
+const MAX_COMPARED_OFFERS = 10;
+
+const chartColors = ["#6366f1", "#22c55e", "#f59e0b", "#ef4444", "#06b6d4", "#a855f7", "#ec4899", "#84cc16", "#f97316", "#14b8a6"];
+
+const getErrorMessage = (error: unknown, fallback: string) =>
+  (error as { response?: { data?: { message?: string } } })?.response?.data?.message || fallback;
+
+const offerName = (offer: Offer) => getOfferApplication(offer)?.company || "Offer";
+
+/**
+ * Offers side by side: components, terms and total compensation in the
+ * first year and over four years. The best totals are highlighted when the
+ * offers share a currency.
+ */
+const Offers = () => {
+  const [searchParams] = useSearchParams();
+  const [offers, setOffers] = useState<Offer[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedIds, setSelectedIds] = useState<string[]>([]);
+  const [comparison, setComparison] = useState<OfferComparison | null>(null);
+
+  // Links from an application's offer preselect it (?offers=id1,id2)
+  const initialIds = searchParams.get("offers");
+
+  useEffect(() => {
+    const loadOffers = async () => {
+      try {
+        const response = await offersAPI.getAll();
+        const loaded: Offer[] = response.data?.data?.offers || [];
+        setOffers(loaded);
+
+        // Start with the linked offer(s) plus the other pending offers
+        const requested = initialIds ? initialIds.split(",") : [];
+        const initial = loaded
+          .filter((offer) => requested.includes(offer._id) || offer.decision === "pending")
+          .map((offer) => offer._id);
+        setSelectedIds((initial.length > 0 ? initial : loaded.map((offer) => offer._id)).slice(0, MAX_COMPARED_OFFERS));
+      } catch (error) {
+        toast.error(getErrorMessage(error, "Failed to load offers"));
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadOffers();
+  }, [initialIds]);
+
+  useEffect(() => {
+    if (selectedIds.length === 0) {
+      setComparison(null);
+      return;
+    }
+    const loadComparison = async () => {
+      try {
+        const response = await offersAPI.compare(selectedIds);
+        setComparison(response.data?.data || null);
+      } catch (error) {
+        toast.error(getErrorMessage(error, "Failed to compare offers"));
+      }
+    };
+    loadComparison();
+  }, [selectedIds]);
+
+  const toggleOffer = (offerId: string) => {
+    if (selectedIds.includes(offerId)) {
+      setSelectedIds(selectedIds.filter((id) => id !== offerId));
+    } else if (selectedIds.length >= MAX_COMPARED_OFFERS) {
+      toast.error(`Compare up to ${MAX_COMPARED_OFFERS} offers at once`);
+    } else {
+      setSelectedIds([...selectedIds, offerId]);
+    }
+  };
+
+  const compared = comparison?.offers || [];
+  const mixedCurrencies = (comparison?.currencies.length || 0) > 1;
+
+  // One group of bars per year, one bar per offer
+  const chartData = useMemo(
+    () =>
+      Array.from({ length: comparison?.years || 0 }, (_, index) => ({
+        year: `Year ${index + 1}`,
+        ...Object.fromEntries(
+          (comparison?.offers || []).map((offer) => [offer._id, offer.compensation.byYear[index]?.total || 0])
+        ),
+      })),
+    [comparison]
+  );
+
+  const rows: { label: string; value: (offer: Offer) => string }[] = [
+    { label: "Base Salary", value: (offer) => formatMoney(offer.baseSalary, offer.currency) },
+    { label: "Target Bonus", value: (offer) => formatMoney(offer.bonus, offer.currency) },
+    { label: "Sign-on Bonus", value: (offer) => formatMoney(offer.signOnBonus, offer.currency) },
+    { label: "Equity Grant", value: (offer) => formatMoney(offer.equity?.grantValue, offer.currency) },
+    {
+      label: "Vesting",
+      value: (offer) =>
+        offer.equity?.grantValue
+          ? `${offer.equity.vestingSchedule.join("/")}%${
+              offer.equity.cliffMonths ? `, ${offer.equity.cliffMonths}-mo cliff` : ""
+            }`
+          : "-",
+    },
+    { label: "PTO", value: (offer) => (offer.ptoDays === null ? "-" : `${offer.ptoDays} days`) },
+    {
+      label: "Start Date",
+      value: (offer) =>
+        offer.startDate
+          ? new Date(offer.startDate).toLocaleDateString("en-US", {
+              year: "numeric",
+              month: "short",
+              day: "numeric",
+              timeZone: "UTC",
+            })
+          : "-",
+    },
+    {
+      label: "Respond By",
+      value: (offer) => (offer.responseDeadline ? format(new Date(offer.responseDeadline), "MMM d, h:mm a") : "-"),
+    },
+  ];
+
+  return (
+    <DashboardLayout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div>
+          <motion.h1
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="text-2xl lg:text-3xl font-bold text-foreground"
+          >
+            Offers
+          </motion.h1>
+          <motion.p
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.1 }}
+            className="text-muted-foreground mt-1"
+          >
+            Compare total compensation across your offers
+          </motion.p>
+        </div>
+
+        {loading ? (
+          <div className="p-8 text-center text-muted-foreground">Loading offers...</div>
+        ) : offers.length === 0 ? (
+          <Card>
+            <CardContent className="p-8 text-center">
+              <HandCoins className="w-12 h-12 mx-auto text-muted-foreground mb-4" />
+              <p className="text-muted-foreground">
+                No offers yet. Record an offer from the page of an application in an offer stage.
+              </p>
+            </CardContent>
+          </Card>
+        ) : (
+          <>
+            {/* Offer selection */}
+            <Card>
+              <CardHeader>
+                <CardTitle>Your Offers ({offers.length})</CardTitle>
+              </CardHeader>
+              <CardContent className="flex flex-wrap gap-2">
+                {offers.map((offer) => {
+                  const application = getOfferApplication(offer);
+                  const decision = OFFER_DECISIONS.find((option) => option.value === offer.decision);
+                  return (
+                    <label
+                      key={offer._id}
+                      className={`flex items-center gap-2 px-3 py-2 rounded-lg border cursor-pointer text-sm transition-colors ${
+                        selectedIds.includes(offer._id) ? "border-primary bg-primary/5" : "border-border"
+                      }`}
+                    >
+                      <input
+                        type="checkbox"
+                        checked={selectedIds.includes(offer._id)}
+                        onChange={() => toggleOffer(offer._id)}
+                      />
+                      <span className="font-medium text-foreground">{application?.company || "Offer"}</span>
+                      {application?.jobTitle && (
+                        <span className="text-muted-foreground">{application.jobTitle}</span>
+                      )}
+                      {decision && (
+                        <span className={`px-2 py-0.5 text-xs rounded-full ${decision.className}`}>
+                          {decision.label}
+                        </span>
+                      )}
+                    </label>
+                  );
+                })}
+              </CardContent>
+            </Card>
+
+            {mixedCurrencies && (
+              <div className="flex items-start gap-2 p-4 rounded-lg border border-amber-500/30 bg-amber-500/10 text-sm text-amber-700 dark:text-amber-400">
+                <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                These offers are in different currencies ({comparison?.currencies.join(", ")}). Totals are shown
+                in each offer's own currency, so no offer is marked as the best.
+              </div>
+            )}
+
+            {compared.length > 0 && comparison && (
+              <>
+                <Card>
+                  <CardHeader>
+                    <CardTitle className="flex items-center gap-2">
+                      <Scale className="w-5 h-5" />
+                      Side by Side
+                    </CardTitle>
+                  </CardHeader>
+                  <CardContent className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="text-left text-muted-foreground border-b border-border">
+                          <th className="py-2 pr-4 font-medium" />
+                          {compared.map((offer) => {
+                            const application = getOfferApplication(offer);
+                            return (
+                              <th key={offer._id} className="py-2 px-4 font-medium text-foreground">
+                                {application ? (
+                                  <Link to={`/dashboard/applications/${application._id}`} className="hover:underline">
+                                    {application.company}
+                                  </Link>
+                                ) : (
+                                  "Offer"
+                                )}
+                                {application?.jobTitle && (
+                                  <span className="block text-xs font-normal text-muted-foreground">
+                                    {application.jobTitle}
+                                  </span>
+                                )}
+                              </th>
+                            );
+                          })}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {rows.map((row) => (
+                          <tr key={row.label} className="border-b border-border">
+                            <td className="py-2 pr-4 text-muted-foreground whitespace-nowrap">{row.label}</td>
+                            {compared.map((offer) => (
+                              <td key={offer._id} className="py-2 px-4 text-foreground whitespace-nowrap">
+                                {row.value(offer)}
+                              </td>
+                            ))}
+                          </tr>
+                        ))}
+                        {Array.from({ length: comparison.years }, (_, index) => (
+                          <tr key={`year-${index}`} className="border-b border-border">
+                            <td className="py-2 pr-4 text-muted-foreground whitespace-nowrap">Year {index + 1}</td>
+                            {compared.map((offer) => (
+                              <td key={offer._id} className="py-2 px-4 text-foreground whitespace-nowrap">
+                                {formatMoney(offer.compensation.byYear[index]?.total || 0, offer.currency)}
+                              </td>
+                            ))}
+                          </tr>
+                        ))}
+                        {[
+                          { label: "First-Year Total", key: "firstYear" as const, best: comparison.bestFirstYear },
+                          { label: `${comparison.years}-Year Total`, key: "total" as const, best: comparison.bestTotal },
+                        ].map((total) => (
+                          <tr key={total.key} className="border-b border-border font-semibold">
+                            <td className="py-2 pr-4 text-foreground whitespace-nowrap">{total.label}</td>
+                            {compared.map((offer) => (
+                              <td
+                                key={offer._id}
+                                className={`py-2 px-4 whitespace-nowrap ${
+                                  compared.length > 1 && total.best === offer._id
+                                    ? "text-green-600 bg-green-500/10"
+                                    : "text-foreground"
+                                }`}
+                              >
+                                <span className="flex items-center gap-1">
+                                  {compared.length > 1 && total.best === offer._id && <Trophy className="w-4 h-4" />}
+                                  {formatMoney(offer.compensation[total.key], offer.currency)}
+                                </span>
+                              </td>
+                            ))}
+                          </tr>
+                        ))}
+                        <tr>
+                          <td className="py-2 pr-4 text-muted-foreground align-top">Benefits</td>
+                          {compared.map((offer) => (
+                            <td key={offer._id} className="py-2 px-4 text-foreground align-top whitespace-pre-wrap min-w-[12rem]">
+                              {offer.benefits || "-"}
+                            </td>
+                          ))}
+                        </tr>
+                      </tbody>
+                    </table>
+                  </CardContent>
+                </Card>
+
+                {!mixedCurrencies && (
+                  <Card>
+                    <CardHeader>
+                      <CardTitle>Total Compensation by Year ({comparison.currencies[0]})</CardTitle>
+                    </CardHeader>
+                    <CardContent>
+                      <ResponsiveContainer width="100%" height={300}>
+                        <BarChart data={chartData}>
+                          <CartesianGrid strokeDasharray="3 3" />
+                          <XAxis dataKey="year" />
+                          <YAxis
+                            tickFormatter={(value: number) =>
+                              new Intl.NumberFormat("en-US", { notation: "compact" }).format(value)
+                            }
+                          />
+                          <Tooltip formatter={(value: number) => formatMoney(value, comparison.currencies[0])} />
+                          <Legend />
+                          {compared.map((offer, index) => (
+                            <Bar
+                              key={offer._id}
+                              dataKey={offer._id}
+                              name={offerName(offer)}
+                              fill={chartColors[index % chartColors.length]}
+                            />
+                          ))}
+                        </BarChart>
+                      </ResponsiveContainer>
+                    </CardContent>
+                  </Card>
+                )}
+              </>
+            )}
+          </>
+        )}
+      </div>
+    </DashboardLayout>
+  );
+};
+
+export default Offers;
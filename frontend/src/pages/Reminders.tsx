@@ -9,11 +9,14 @@ import {
   Briefcase,
   Filter,
   Clock,
+  User,
 } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import DashboardLayout from "@/components/dashboard/DashboardLayout";
-import { remindersAPI, applicationsAPI } from "@/lib/api";
+import { remindersAPI, applicationsAPI, contactsAPI } from "@/lib/api";
+import { Contact } from "@/lib/contacts";
+import { formatInTimeZone } from "@/lib/interviews";
 import { format, formatDistanceToNow, isPast, isToday, isTomorrow } from "date-fns";
 import { Link } from "react-router-dom";
 import { toast } from "sonner";
@@ -30,6 +33,25 @@ interface Reminder {
     company: string;
     jobTitle: string;
   }; // Support both formats for backward compatibility
+  // Set for "follow up with X" reminders
+  contact?: {
+    _id: string;
+    name: string;
+    role?: string;
+  } | null;
+  // Set for reminders generated from an interview round
+  interviewRound?: {
+    _id: string;
+    name: string;
+    scheduledStart: string | null;
+    timezone: string;
+  } | null;
+  // Set for reminders generated from an offer's response deadline
+  offer?: {
+    _id: string;
+    responseDeadline: string | null;
+    decision: string;
+  } | null;
   reminderType: string;
   reminderDate: string;
   sent: boolean;
@@ -59,6 +81,7 @@ const reminderTypeColors: Record<string, string> = {
 const Reminders = () => {
   const [reminders, setReminders] = useState<Reminder[]>([]);
   const [applications, setApplications] = useState<Application[]>([]);
+  const [contacts, setContacts] = useState<Contact[]>([]);
   const [loading, setLoading] = useState(true);
   const [filter, setFilter] = useState<"all" | "upcoming" | "past" | "sent">("all");
   const [reminderTypeFilter, setReminderTypeFilter] = useState<string>("all");
@@ -66,6 +89,7 @@ const Reminders = () => {
   const [editingReminder, setEditingReminder] = useState<Reminder | null>(null);
   const [formData, setFormData] = useState({
     applicationId: "",
+    contactId: "",
     reminderType: "follow-up",
     reminderDate: "",
     notes: "",
@@ -78,15 +102,18 @@ const Reminders = () => {
   const loadData = async () => {
     try {
       setLoading(true);
-      const [remindersRes, applicationsRes] = await Promise.all([
+      const [remindersRes, applicationsRes, contactsRes] = await Promise.all([
         remindersAPI.getAll({ limit: 100 }),
         applicationsAPI.getAll({ limit: 100 }),
+        // Contacts are optional on a reminder, so the page still loads without them
+        contactsAPI.getAll().catch(() => null),
       ]);
 
       const remindersData = remindersRes.data?.data?.reminders || remindersRes.data?.reminders || [];
       const applicationsData = applicationsRes.data?.data?.applications || applicationsRes.data?.applications || [];
 
       setApplications(applicationsData);
+      setContacts(contactsRes?.data?.data?.contacts || []);
       
       // Filter reminders
       let filtered = remindersData;
@@ -139,6 +166,7 @@ const Reminders = () => {
         reminderType: formData.reminderType,
         reminderDate: localDate.toISOString(),
         notes: formData.notes || "",
+        ...(formData.contactId && { contactId: formData.contactId }),
       };
 
       await remindersAPI.create(payload);
@@ -172,6 +200,7 @@ const Reminders = () => {
       const payload: any = {
         reminderType: formData.reminderType,
         reminderDate: localDate.toISOString(),
+        contactId: formData.contactId || null,
       };
 
       if (formData.notes !== undefined) {
@@ -210,6 +239,7 @@ const Reminders = () => {
   const resetForm = () => {
     setFormData({
       applicationId: "",
+      contactId: "",
       reminderType: "follow-up",
       reminderDate: "",
       notes: "",
@@ -230,6 +260,7 @@ const Reminders = () => {
     
     setFormData({
       applicationId: app?._id || "",
+      contactId: reminder.contact?._id || "",
       reminderType: reminder.reminderType,
       reminderDate: formattedDate,
       notes: reminder.notes || "",
@@ -237,6 +268,12 @@ const Reminders = () => {
     setShowCreateModal(true);
   };
 
+  // Contacts linked to the chosen application are listed first
+  const isLinked = (contact: Contact) =>
+    contact.applications.some((link) => link.application === formData.applicationId);
+  const linkedContacts = formData.applicationId ? contacts.filter(isLinked) : [];
+  const otherContacts = contacts.filter((contact) => !linkedContacts.includes(contact));
+
   const getReminderDateDisplay = (date: string) => {
     const reminderDate = new Date(date);
     if (isPast(reminderDate) && !isToday(reminderDate)) {
@@ -405,6 +442,38 @@ const Reminders = () => {
                       <p className="text-sm text-muted-foreground truncate">
                         {(reminder.application || reminder.applicationId)?.jobTitle || 'No job title'}
                       </p>
+                      {reminder.interviewRound && (
+                        <p className="text-sm text-foreground flex items-center gap-1 mt-1">
+                          <Clock className="w-3 h-3" />
+                          {reminder.interviewRound.name}
+                          {reminder.interviewRound.scheduledStart && (
+                            <span className="text-muted-foreground">
+                              {formatInTimeZone(
+                                reminder.interviewRound.scheduledStart,
+                                reminder.interviewRound.timezone
+                              )}
+                            </span>
+                          )}
+                        </p>
+                      )}
+                      {reminder.offer?.responseDeadline && (
+                        <p className="text-sm text-foreground flex items-center gap-1 mt-1">
+                          <Clock className="w-3 h-3" />
+                          Respond to offer by
+                          <span className="text-muted-foreground">
+                            {format(new Date(reminder.offer.responseDeadline), "MMM d, yyyy 'at' h:mm a")}
+                          </span>
+                        </p>
+                      )}
+                      {reminder.contact && (
+                        <p className="text-sm text-foreground flex items-center gap-1 mt-1">
+                          <User className="w-3 h-3" />
+                          Follow up with {reminder.contact.name}
+                          {reminder.contact.role && (
+                            <span className="text-muted-foreground">({reminder.contact.role})</span>
+                          )}
+                        </p>
+                      )}
                       <div className="flex items-center gap-4 mt-2">
                         <span className="text-xs text-muted-foreground flex items-center gap-1">
                           <Calendar className="w-3 h-3" />
@@ -487,6 +556,35 @@ const Reminders = () => {
                     <option value="deadline">Deadline</option>
                   </select>
                 </div>
+                <div>
+                  <label className="block text-sm font-medium mb-2">Contact</label>
+                  <select
+                    value={formData.contactId}
+                    onChange={(e) =>
+                      setFormData({ ...formData, contactId: e.target.value })
+                    }
+                    className="w-full px-4 py-2 rounded-lg border border-border bg-background text-foreground"
+                  >
+                    <option value="">No contact</option>
+                    {linkedContacts.length > 0 && (
+                      <optgroup label="Linked to this application">
+                        {linkedContacts.map((contact) => (
+                          <option key={contact._id} value={contact._id}>
+                            {contact.name}
+                          </option>
+                        ))}
+                      </optgroup>
+                    )}
+                    <optgroup label={linkedContacts.length > 0 ? "Other contacts" : "All contacts"}>
+                      {otherContacts.map((contact) => (
+                        <option key={contact._id} value={contact._id}>
+                          {contact.name}
+                          {contact.company ? ` (${contact.company})` : ""}
+                        </option>
+                      ))}
+                    </optgroup>
+                  </select>
+                </div>
                 <div>
                   <label className="block text-sm font-medium mb-2">
                     Reminder Date & Time <span className="text-red-500">*</span>
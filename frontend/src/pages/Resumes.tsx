@@ -0,0 +1,672 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { motion } from "framer-motion";
+import { AlertTriangle, Edit, FileUser, Plus, Star, Trash2, Upload, X } from "lucide-react";
+import { Link, useSearchParams } from "react-router-dom";
+import { format } from "date-fns";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import DashboardLayout from "@/components/dashboard/DashboardLayout";
+import { authAPI, resumesAPI } from "@/lib/api";
+import { useAuth } from "@/contexts/AuthContext";
+import {
+  MAX_RESUME_SECTIONS,
+  ParsedResume,
+  PROFILE_RESUME_SUMMARY_MAX_LENGTH,
+  Resume,
+  RESUME_CONTENT_MAX_LENGTH,
+  RESUME_IMPORT_ACCEPT,
+  RESUME_IMPORT_MAX_FILE_SIZE,
+  RESUME_SECTION_CONTENT_MAX_LENGTH,
+  RESUME_SECTION_TYPES,
+  ResumeSection,
+  ResumeSectionType,
+  resumeSectionLabels,
+} from "@/lib/resumes";
+import { toast } from "sonner";
+
+interface ResumeForm {
+  name: string;
+  targetRole: string;
+  content: string;
+  sections: ResumeSection[];
+}
+
+const emptyForm: ResumeForm = { name: "", targetRole: "", content: "", sections: [] };
+
+// What an imported resume may also change in the profile
+interface ProfileImportOptions {
+  useSummary: boolean;
+  summary: string;
+  fillContact: boolean;
+}
+
+const CONTACT_LABELS = { phone: "Phone", linkedInUrl: "LinkedIn", portfolioUrl: "Portfolio" } as const;
+type ContactField = keyof typeof CONTACT_LABELS;
+
+const selectClassName =
+  "px-3 py-2 rounded-lg border border-border bg-background text-foreground text-sm";
+
+const getErrorMessage = (error: unknown, fallback: string) =>
+  (error as { response?: { data?: { message?: string } } })?.response?.data?.message || fallback;
+
+/**
+ * The resume library: several resumes tailored per role. The default resume
+ * is used by applications and AI analyses that do not pick one.
+ * A PDF or DOCX resume can be imported: the extracted draft opens in the
+ * create form for review, and can also fill the profile summary and links.
+ */
+const Resumes = () => {
+  const { user, checkAuth } = useAuth();
+  const [searchParams] = useSearchParams();
+  const [resumes, setResumes] = useState<Resume[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedId, setSelectedId] = useState<string | null>(searchParams.get("resume"));
+  // "create" and "edit" show the form in place of the selected resume
+  const [mode, setMode] = useState<"view" | "create" | "edit">("view");
+  const [form, setForm] = useState<ResumeForm>(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+  const [importing, setImporting] = useState(false);
+  // Set while reviewing an imported resume
+  const [imported, setImported] = useState<ParsedResume | null>(null);
+  const [profileOptions, setProfileOptions] = useState<ProfileImportOptions>({
+    useSummary: false,
+    summary: "",
+    fillContact: false,
+  });
+
+  const loadResumes = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await resumesAPI.getAll();
+      setResumes(response.data?.data?.resumes || []);
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to load resumes"));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadResumes();
+  }, [loadResumes]);
+
+  const selected = resumes.find((resume) => resume._id === selectedId) || null;
+
+  const selectResume = (resumeId: string) => {
+    setSelectedId(resumeId);
+    setMode("view");
+  };
+
+  const startCreate = () => {
+    setSelectedId(null);
+    setForm(emptyForm);
+    setImported(null);
+    setMode("create");
+  };
+
+  const closeForm = () => {
+    setImported(null);
+    setMode("view");
+  };
+
+  const handleImportFile = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    if (file.size > RESUME_IMPORT_MAX_FILE_SIZE) {
+      toast.error("File is too large (max 10 MB)");
+      return;
+    }
+
+    const data = new FormData();
+    data.append("file", file);
+    try {
+      setImporting(true);
+      const response = await resumesAPI.parse(data);
+      const result: ParsedResume = response.data.data;
+      setSelectedId(null);
+      setForm({
+        name: result.draft.name,
+        targetRole: result.draft.targetRole,
+        content: result.draft.content,
+        sections: result.draft.sections,
+      });
+      setImported(result);
+      setProfileOptions({
+        // Offered by default when the profile has no summary yet and can be updated
+        useSummary:
+          Boolean(result.draft.summary) &&
+          !user?.profile?.resumeSummary &&
+          Boolean(user?.profile?.linkedInUrl || user?.profile?.portfolioUrl),
+        summary: result.draft.summary,
+        fillContact: false,
+      });
+      setMode("create");
+      toast.success("Resume read. Review it and save.");
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to read resume file"));
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const startEdit = () => {
+    if (!selected) return;
+    setForm({
+      name: selected.name,
+      targetRole: selected.targetRole,
+      content: selected.content,
+      sections: selected.sections.map((section) => ({ ...section })),
+    });
+    setImported(null);
+    setMode("edit");
+  };
+
+  const updateSection = (index: number, changes: Partial<ResumeSection>) => {
+    setForm((prev) => ({
+      ...prev,
+      sections: prev.sections.map((section, i) => (i === index ? { ...section, ...changes } : section)),
+    }));
+  };
+
+  const addSection = () => {
+    setForm((prev) => ({
+      ...prev,
+      sections: [...prev.sections, { type: "experience", title: "", content: "" }],
+    }));
+  };
+
+  const removeSection = (index: number) => {
+    setForm((prev) => ({ ...prev, sections: prev.sections.filter((_, i) => i !== index) }));
+  };
+
+  // Contact details found in the imported file for profile fields that are empty
+  const contactToFill = imported
+    ? (Object.keys(CONTACT_LABELS) as ContactField[]).filter(
+        (field) => imported.contact[field] && !user?.profile?.[field]?.trim()
+      )
+    : [];
+
+  // The profile update requires a LinkedIn or portfolio URL
+  const profileLinks = {
+    linkedInUrl:
+      user?.profile?.linkedInUrl?.trim() ||
+      (profileOptions.fillContact && contactToFill.includes("linkedInUrl") ? imported?.contact.linkedInUrl : "") ||
+      "",
+    portfolioUrl:
+      user?.profile?.portfolioUrl?.trim() ||
+      (profileOptions.fillContact && contactToFill.includes("portfolioUrl") ? imported?.contact.portfolioUrl : "") ||
+      "",
+  };
+  const hasProfileLink = Boolean(profileLinks.linkedInUrl || profileLinks.portfolioUrl);
+
+  /**
+   * Apply the chosen profile options after an imported resume is saved
+   */
+  const updateProfileFromImport = async () => {
+    if (!imported || !(profileOptions.useSummary || profileOptions.fillContact) || !hasProfileLink) return;
+
+    const profile: Record<string, string> = {};
+    if (profileLinks.linkedInUrl) profile.linkedInUrl = profileLinks.linkedInUrl;
+    if (profileLinks.portfolioUrl) profile.portfolioUrl = profileLinks.portfolioUrl;
+    if (profileOptions.useSummary && profileOptions.summary.trim()) {
+      profile.resumeSummary = profileOptions.summary.trim();
+    }
+    if (profileOptions.fillContact && contactToFill.includes("phone")) profile.phone = imported.contact.phone;
+
+    try {
+      await authAPI.updateProfile({ profile });
+      await checkAuth();
+      toast.success("Profile updated from your resume");
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Resume saved, but the profile could not be updated"));
+    }
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!form.name.trim()) {
+      toast.error("Enter a name");
+      return;
+    }
+
+    const data = {
+      name: form.name.trim(),
+      targetRole: form.targetRole.trim(),
+      content: form.content.trim(),
+      sections: form.sections,
+    };
+
+    try {
+      setSaving(true);
+      if (mode === "edit" && selected) {
+        await resumesAPI.update(selected._id, data);
+        toast.success("Resume updated");
+      } else {
+        const response = await resumesAPI.create(data);
+        const created: Resume | undefined = response.data?.data?.resume;
+        toast.success(`${created?.name || "Resume"} created`);
+        if (created) setSelectedId(created._id);
+        await updateProfileFromImport();
+      }
+      setImported(null);
+      setMode("view");
+      loadResumes();
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to save resume"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSetDefault = async () => {
+    if (!selected) return;
+    try {
+      await resumesAPI.setDefault(selected._id);
+      toast.success(`${selected.name} is now your default resume`);
+      loadResumes();
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to set default resume"));
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!selected) return;
+    if (!confirm(`Delete ${selected.name}? Applications using it will use your default resume.`)) return;
+
+    try {
+      await resumesAPI.delete(selected._id);
+      toast.success("Resume deleted");
+      setSelectedId(null);
+      loadResumes();
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to delete resume"));
+    }
+  };
+
+  return (
+    <DashboardLayout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4">
+          <div>
+            <motion.h1
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              className="text-2xl lg:text-3xl font-bold text-foreground"
+            >
+              Resumes
+            </motion.h1>
+            <motion.p
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 0.1 }}
+              className="text-muted-foreground mt-1"
+            >
+              Resumes tailored per role, used by your applications and AI analyses
+            </motion.p>
+          </div>
+          <div className="flex gap-2">
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept={RESUME_IMPORT_ACCEPT}
+              onChange={handleImportFile}
+              className="hidden"
+            />
+            <Button
+              variant="outline"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={importing || saving}
+              title="Read a PDF or DOCX resume into a new resume"
+            >
+              <Upload className="w-4 h-4 mr-2" />
+              {importing ? "Reading..." : "Import from File"}
+            </Button>
+            <Button onClick={startCreate}>
+              <Plus className="w-4 h-4 mr-2" />
+              New Resume
+            </Button>
+          </div>
+        </div>
+
+        <div className="grid lg:grid-cols-3 gap-6">
+          {/* List */}
+          <Card className="lg:col-span-1">
+            <CardHeader>
+              <CardTitle>All Resumes ({resumes.length})</CardTitle>
+            </CardHeader>
+            <CardContent className="p-0">
+              {loading ? (
+                <div className="p-8 text-center text-muted-foreground">Loading resumes...</div>
+              ) : resumes.length === 0 ? (
+                <div className="p-8 text-center">
+                  <FileUser className="w-12 h-12 mx-auto text-muted-foreground mb-4" />
+                  <p className="text-muted-foreground">No resumes yet</p>
+                  <p className="text-sm text-muted-foreground mt-1">
+                    Until you add one, AI analyses use the resume summary in Settings.
+                  </p>
+                </div>
+              ) : (
+                <div className="divide-y divide-border">
+                  {resumes.map((resume) => (
+                    <button
+                      key={resume._id}
+                      type="button"
+                      onClick={() => selectResume(resume._id)}
+                      className={`w-full text-left flex items-center gap-3 p-4 hover:bg-muted/50 transition-colors ${
+                        selectedId === resume._id ? "bg-muted/50" : ""
+                      }`}
+                    >
+                      <FileUser className="w-5 h-5 text-muted-foreground flex-shrink-0" />
+                      <div className="flex-1 min-w-0">
+                        <p className="font-medium text-foreground truncate">{resume.name}</p>
+                        <p className="text-sm text-muted-foreground truncate">
+                          {resume.targetRole || "No target role"}
+                        </p>
+                      </div>
+                      {resume.isDefault && (
+                        <span className="px-2 py-1 text-xs font-medium rounded-full bg-primary/10 text-primary whitespace-nowrap">
+                          Default
+                        </span>
+                      )}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </CardContent>
+          </Card>
+
+          {/* Detail / form */}
+          <div className="lg:col-span-2">
+            {mode !== "view" ? (
+              <Card>
+                <CardHeader className="flex flex-row items-center justify-between space-y-0">
+                  <CardTitle>
+                    {mode === "edit" ? "Edit Resume" : imported ? "Review Imported Resume" : "New Resume"}
+                  </CardTitle>
+                  <Button variant="ghost" size="sm" onClick={closeForm} disabled={saving}>
+                    <X className="w-4 h-4" />
+                  </Button>
+                </CardHeader>
+                <CardContent>
+                  <form onSubmit={handleSubmit} className="grid gap-4 md:grid-cols-2">
+                    {imported && (
+                      <div className="md:col-span-2 space-y-4 p-4 rounded-lg border border-border bg-muted/30">
+                        <p className="text-sm text-muted-foreground">
+                          Check the text and sections read from your file before saving. Nothing is saved until
+                          you create the resume.
+                        </p>
+                        {imported.warnings.length > 0 && (
+                          <ul className="space-y-1">
+                            {imported.warnings.map((warning) => (
+                              <li key={warning} className="flex items-start gap-2 text-sm text-amber-600">
+                                <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                                {warning}
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+
+                        <div className="space-y-2">
+                          <div className="flex items-center gap-2">
+                            <Checkbox
+                              id="import-use-summary"
+                              checked={profileOptions.useSummary}
+                              onCheckedChange={(checked) =>
+                                setProfileOptions((prev) => ({ ...prev, useSummary: checked === true }))
+                              }
+                              disabled={saving || !hasProfileLink}
+                            />
+                            <Label htmlFor="import-use-summary" className="font-normal">
+                              {user?.profile?.resumeSummary
+                                ? "Replace my profile resume summary"
+                                : "Use as my profile resume summary"}
+                            </Label>
+                          </div>
+                          {profileOptions.useSummary && (
+                            <>
+                              <Textarea
+                                value={profileOptions.summary}
+                                onChange={(e) =>
+                                  setProfileOptions((prev) => ({ ...prev, summary: e.target.value }))
+                                }
+                                rows={4}
+                                maxLength={PROFILE_RESUME_SUMMARY_MAX_LENGTH}
+                                aria-label="Profile resume summary"
+                                placeholder="No summary section was found. Write one here."
+                                disabled={saving}
+                              />
+                              <p className="text-xs text-muted-foreground">
+                                {profileOptions.summary.length}/{PROFILE_RESUME_SUMMARY_MAX_LENGTH} characters
+                              </p>
+                            </>
+                          )}
+                        </div>
+
+                        {contactToFill.length > 0 && (
+                          <div className="flex items-start gap-2">
+                            <Checkbox
+                              id="import-fill-contact"
+                              checked={profileOptions.fillContact}
+                              onCheckedChange={(checked) =>
+                                setProfileOptions((prev) => ({ ...prev, fillContact: checked === true }))
+                              }
+                              disabled={saving}
+                            />
+                            <Label htmlFor="import-fill-contact" className="font-normal leading-relaxed">
+                              Fill empty profile fields:{" "}
+                              {contactToFill
+                                .map((field) => `${CONTACT_LABELS[field]} (${imported.contact[field]})`)
+                                .join(", ")}
+                            </Label>
+                          </div>
+                        )}
+
+                        {!hasProfileLink && (
+                          <p className="text-xs text-muted-foreground">
+                            Your profile needs a LinkedIn or portfolio URL before the summary can be saved to it.
+                            Add one in <Link to="/dashboard/settings" className="text-primary hover:underline">Settings</Link>
+                            {contactToFill.some((field) => field !== "phone") && " or fill it from this resume"}.
+                          </p>
+                        )}
+                      </div>
+                    )}
+                    <div className="space-y-2">
+                      <Label htmlFor="resume-name">Name *</Label>
+                      <Input
+                        id="resume-name"
+                        value={form.name}
+                        onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+                        placeholder="Backend resume"
+                        disabled={saving}
+                        autoFocus
+                      />
+                    </div>
+                    <div className="space-y-2">
+                      <Label htmlFor="resume-target-role">Target Role</Label>
+                      <Input
+                        id="resume-target-role"
+                        value={form.targetRole}
+                        onChange={(e) => setForm((prev) => ({ ...prev, targetRole: e.target.value }))}
+                        placeholder="Backend Engineer"
+                        disabled={saving}
+                      />
+                    </div>
+                    <div className="space-y-2 md:col-span-2">
+                      <Label htmlFor="resume-content">Full Text</Label>
+                      <Textarea
+                        id="resume-content"
+                        value={form.content}
+                        onChange={(e) => setForm((prev) => ({ ...prev, content: e.target.value }))}
+                        placeholder="Paste your resume here. AI analyses read this text, or the sections below when it is empty."
+                        rows={10}
+                        maxLength={RESUME_CONTENT_MAX_LENGTH}
+                        disabled={saving}
+                      />
+                      <p className="text-xs text-muted-foreground">
+                        {form.content.length}/{RESUME_CONTENT_MAX_LENGTH} characters
+                      </p>
+                    </div>
+
+                    <div className="space-y-3 md:col-span-2">
+                      <div className="flex items-center justify-between">
+                        <Label>Sections</Label>
+                        <Button
+                          type="button"
+                          variant="outline"
+                          size="sm"
+                          onClick={addSection}
+                          disabled={saving || form.sections.length >= MAX_RESUME_SECTIONS}
+                        >
+                          <Plus className="w-4 h-4 mr-2" />
+                          Add Section
+                        </Button>
+                      </div>
+                      {form.sections.length === 0 && (
+                        <p className="text-sm text-muted-foreground">
+                          Optional: split the resume into experience, education, skills and so on.
+                        </p>
+                      )}
+                      {form.sections.map((section, index) => (
+                        <div key={index} className="space-y-2 p-3 border border-border rounded-lg">
+                          <div className="flex flex-col sm:flex-row gap-2">
+                            <select
+                              value={section.type}
+                              onChange={(e) =>
+                                updateSection(index, { type: e.target.value as ResumeSectionType })
+                              }
+                              className={selectClassName}
+                              aria-label="Section type"
+                              disabled={saving}
+                            >
+                              {RESUME_SECTION_TYPES.map((option) => (
+                                <option key={option.value} value={option.value}>
+                                  {option.label}
+                                </option>
+                              ))}
+                            </select>
+                            <Input
+                              value={section.title}
+                              onChange={(e) => updateSection(index, { title: e.target.value })}
+                              placeholder={resumeSectionLabels[section.type]}
+                              aria-label="Section title"
+                              disabled={saving}
+                            />
+                            <Button
+                              type="button"
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => removeSection(index)}
+                              title="Remove section"
+                              disabled={saving}
+                            >
+                              <Trash2 className="w-4 h-4" />
+                            </Button>
+                          </div>
+                          <Textarea
+                            value={section.content}
+                            onChange={(e) => updateSection(index, { content: e.target.value })}
+                            rows={4}
+                            maxLength={RESUME_SECTION_CONTENT_MAX_LENGTH}
+                            aria-label="Section content"
+                            disabled={saving}
+                          />
+                        </div>
+                      ))}
+                    </div>
+
+                    <div className="md:col-span-2 flex justify-end gap-2">
+                      <Button type="button" variant="outline" onClick={closeForm} disabled={saving}>
+                        Cancel
+                      </Button>
+                      <Button type="submit" disabled={saving}>
+                        {saving ? "Saving..." : mode === "edit" ? "Save" : "Create Resume"}
+                      </Button>
+                    </div>
+                  </form>
+                </CardContent>
+              </Card>
+            ) : selected ? (
+              <Card>
+                <CardHeader className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-4 space-y-0">
+                  <div>
+                    <CardTitle className="flex items-center gap-2">
+                      {selected.name}
+                      {selected.isDefault && (
+                        <span className="px-2 py-1 text-xs font-medium rounded-full bg-primary/10 text-primary">
+                          Default
+                        </span>
+                      )}
+                    </CardTitle>
+                    <p className="text-sm text-muted-foreground mt-1">
+                      {[
+                        selected.targetRole,
+                        `Updated ${format(new Date(selected.updatedAt), "MMM d, yyyy")}`,
+                      ]
+                        .filter(Boolean)
+                        .join(" · ")}
+                    </p>
+                  </div>
+                  <div className="flex gap-2">
+                    {!selected.isDefault && (
+                      <Button variant="outline" size="sm" onClick={handleSetDefault}>
+                        <Star className="w-4 h-4 mr-2" />
+                        Make Default
+                      </Button>
+                    )}
+                    <Button variant="outline" size="sm" onClick={startEdit}>
+                      <Edit className="w-4 h-4 mr-2" />
+                      Edit
+                    </Button>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={handleDelete}
+                      className="text-red-500 hover:text-red-600"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </Button>
+                  </div>
+                </CardHeader>
+                <CardContent className="space-y-6">
+                  {selected.content ? (
+                    <p className="text-sm text-foreground whitespace-pre-wrap">{selected.content}</p>
+                  ) : (
+                    selected.sections.length === 0 && (
+                      <p className="text-sm text-muted-foreground">
+                        This resume is empty. Edit it to add its text.
+                      </p>
+                    )
+                  )}
+                  {selected.sections.map((section, index) => (
+                    <div key={index}>
+                      <h3 className="text-sm font-medium text-foreground mb-1">
+                        {section.title || resumeSectionLabels[section.type]}
+                      </h3>
+                      <p className="text-sm text-muted-foreground whitespace-pre-wrap">{section.content}</p>
+                    </div>
+                  ))}
+                </CardContent>
+              </Card>
+            ) : (
+              <Card>
+                <CardContent className="p-8 text-center">
+                  <FileUser className="w-12 h-12 mx-auto text-muted-foreground mb-4" />
+                  <p className="text-muted-foreground">Select a resume to see it</p>
+                </CardContent>
+              </Card>
+            )}
+          </div>
+        </div>
+      </div>
+    </DashboardLayout>
+  );
+};
+
+export default Resumes;
@@ -6,13 +6,20 @@ import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Input } from "@/components/ui/input";
 import { Textarea } from "@/components/ui/textarea";
 import DashboardLayout from "@/components/dashboard/DashboardLayout";
+import PipelineSettings from "@/components/settings/PipelineSettings";
+import BackupSettings from "@/components/settings/BackupSettings";
+import ArchiveSettings from "@/components/settings/ArchiveSettings";
+import TagSettings from "@/components/settings/TagSettings";
 import { authAPI } from "@/lib/api";
 import { useAuth } from "@/contexts/AuthContext";
 import { toast } from "sonner";
+import { Link } from "react-router-dom";
 
 const Settings = () => {
   const { user, checkAuth } = useAuth();
   const [loading, setLoading] = useState(false);
+  // Remounts the pipeline editor after a restore so it shows the restored stages
+  const [pipelineKey, setPipelineKey] = useState(0);
   const [formData, setFormData] = useState({
     firstName: "",
     lastName: "",
@@ -219,7 +226,9 @@ const Settings = () => {
                   <div className="mb-4 p-4 bg-blue-50 dark:bg-blue-950/20 rounded-lg border border-blue-200 dark:border-blue-800">
                     <p className="text-sm text-blue-900 dark:text-blue-100">
                       <strong>Required for AI Features:</strong> Add a summary of your resume, skills, and experience. 
-                      This is used by AI tools to analyze resume matches and provide interview preparation tips.
+                      AI tools use it when your resume library is empty; to keep resumes tailored per role, add them
+                      on the <Link to="/dashboard/resumes" className="underline">Resumes</Link> page. Have a PDF
+                      or DOCX resume? Use Import from File there to fill this summary from it.
                     </p>
                   </div>
                   <Textarea
@@ -303,6 +312,21 @@ const Settings = () => {
             </div>
           </div>
         </form>
+
+        {/* Pipeline stages, tags, archiving and backups are saved independently of the profile form */}
+        <div className="grid lg:grid-cols-3 gap-6">
+          <div className="lg:col-span-2 space-y-6">
+            <PipelineSettings key={pipelineKey} />
+            <TagSettings />
+            <ArchiveSettings />
+            <BackupSettings
+              onRestored={() => {
+                setPipelineKey((key) => key + 1);
+                checkAuth();
+              }}
+            />
+          </div>
+        </div>
       </div>
     </DashboardLayout>
   );
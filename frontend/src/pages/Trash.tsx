@@ -0,0 +1,230 @@
+import { useCallback, useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import { ArrowLeft, RotateCcw, Trash2 } from "lucide-react";
+import { Link } from "react-router-dom";
+import { format, formatDistanceToNow } from "date-fns";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import DashboardLayout from "@/components/dashboard/DashboardLayout";
+import { applicationsAPI } from "@/lib/api";
+import { notifySavedViewsChanged } from "@/lib/savedViews";
+import { usePipeline } from "@/hooks/use-pipeline";
+import { toast } from "sonner";
+
+interface TrashedApplication {
+  _id: string;
+  company: string;
+  jobTitle: string;
+  status: string;
+  deletedAt: string;
+  purgeAt: string;
+}
+
+const getErrorMessage = (error: unknown, fallback: string) =>
+  (error as { response?: { data?: { message?: string } } })?.response?.data?.message || fallback;
+
+/**
+ * Deleted applications. Each one can be restored, with its reminders and
+ * history, or deleted for good; the rest are purged automatically once the
+ * retention period has passed.
+ */
+const Trash = () => {
+  const pipeline = usePipeline();
+  const [applications, setApplications] = useState<TrashedApplication[]>([]);
+  const [retentionDays, setRetentionDays] = useState<number | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState<string | null>(null);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [total, setTotal] = useState(0);
+
+  const loadTrash = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await applicationsAPI.getTrash({ page: currentPage, limit: 10 });
+      const data = response.data?.data;
+      setApplications(data?.applications || []);
+      setRetentionDays(data?.retentionDays ?? null);
+      setTotalPages(data?.pagination?.pages || 1);
+      setTotal(data?.pagination?.total || 0);
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to load trash"));
+    } finally {
+      setLoading(false);
+    }
+  }, [currentPage]);
+
+  useEffect(() => {
+    loadTrash();
+  }, [loadTrash]);
+
+  // Step back a page when the last item on it goes away
+  const afterRemove = () => {
+    if (applications.length === 1 && currentPage > 1) {
+      setCurrentPage((page) => page - 1);
+    } else {
+      loadTrash();
+    }
+  };
+
+  const handleRestore = async (app: TrashedApplication) => {
+    try {
+      setBusyId(app._id);
+      const response = await applicationsAPI.restore(app._id);
+      const restored = response.data?.data?.application;
+      if (restored && restored.status !== app.status) {
+        toast.success(`${app.company} restored to ${pipeline.getLabel(restored.status)} - its stage no longer exists`);
+      } else {
+        toast.success(`${app.company} restored`);
+      }
+      notifySavedViewsChanged();
+      afterRemove();
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to restore application"));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDeletePermanently = async (app: TrashedApplication) => {
+    if (!confirm(`Permanently delete the application for ${app.company}? Its reminders and history are deleted too. This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      setBusyId(app._id);
+      await applicationsAPI.deletePermanently(app._id);
+      toast.success("Application permanently deleted");
+      afterRemove();
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to delete application"));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <DashboardLayout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4">
+          <div>
+            <motion.h1
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              className="text-2xl lg:text-3xl font-bold text-foreground"
+            >
+              Trash
+            </motion.h1>
+            <motion.p
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 0.1 }}
+              className="text-muted-foreground mt-1"
+            >
+              {retentionDays !== null
+                ? `Deleted applications are permanently removed after ${retentionDays} days`
+                : "Restore deleted applications or remove them for good"}
+            </motion.p>
+          </div>
+          <Link to="/dashboard/applications">
+            <Button variant="outline">
+              <ArrowLeft className="w-4 h-4 mr-2" />
+              Back to Applications
+            </Button>
+          </Link>
+        </div>
+
+        <Card>
+          <CardHeader>
+            <CardTitle>Deleted Applications ({total})</CardTitle>
+          </CardHeader>
+          <CardContent className="p-0">
+            {loading ? (
+              <div className="p-8 text-center text-muted-foreground">Loading trash...</div>
+            ) : applications.length === 0 ? (
+              <div className="p-8 text-center">
+                <Trash2 className="w-12 h-12 mx-auto text-muted-foreground mb-4" />
+                <p className="text-muted-foreground">The trash is empty</p>
+              </div>
+            ) : (
+              <div className="divide-y divide-border">
+                {applications.map((app, index) => (
+                  <motion.div
+                    key={app._id}
+                    initial={{ opacity: 0, y: 10 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ delay: index * 0.05 }}
+                    className="flex flex-col sm:flex-row sm:items-center gap-4 p-4"
+                  >
+                    <div className="w-12 h-12 rounded-xl bg-muted flex items-center justify-center font-bold text-muted-foreground flex-shrink-0">
+                      {app.company.charAt(0).toUpperCase()}
+                    </div>
+                    <div className="flex-1 min-w-0">
+                      <p className="font-medium text-foreground">{app.company}</p>
+                      <p className="text-sm text-muted-foreground truncate">{app.jobTitle}</p>
+                      <p className="text-xs text-muted-foreground mt-1">
+                        Deleted {format(new Date(app.deletedAt), "MMM d, yyyy")} · Permanently deleted{" "}
+                        {formatDistanceToNow(new Date(app.purgeAt), { addSuffix: true })}
+                      </p>
+                    </div>
+                    <span
+                      className={`px-3 py-1 text-xs font-medium rounded-full self-start sm:self-center ${pipeline.getBadgeClass(app.status)}`}
+                    >
+                      {pipeline.getLabel(app.status)}
+                    </span>
+                    <div className="flex items-center gap-2">
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => handleRestore(app)}
+                        disabled={busyId !== null}
+                      >
+                        <RotateCcw className="w-4 h-4 mr-2" />
+                        Restore
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => handleDeletePermanently(app)}
+                        disabled={busyId !== null}
+                        className="text-red-500 hover:text-red-600"
+                      >
+                        Delete Forever
+                      </Button>
+                    </div>
+                  </motion.div>
+                ))}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+
+        {/* Pagination */}
+        {totalPages > 1 && (
+          <div className="flex items-center justify-center gap-2">
+            <Button
+              variant="outline"
+              onClick={() => setCurrentPage((p) => Math.max(1, p - 1))}
+              disabled={currentPage === 1}
+            >
+              Previous
+            </Button>
+            <span className="text-sm text-muted-foreground">
+              Page {currentPage} of {totalPages}
+            </span>
+            <Button
+              variant="outline"
+              onClick={() => setCurrentPage((p) => Math.min(totalPages, p + 1))}
+              disabled={currentPage === totalPages}
+            >
+              Next
+            </Button>
+          </div>
+        )}
+      </div>
+    </DashboardLayout>
+  );
+};
+
+export default Trash;